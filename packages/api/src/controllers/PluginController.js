@@ -5,9 +5,34 @@
  * @date 2025-10-14
  */
 
-import { Logger } from '@dismodular/shared';
+import {
+  Logger,
+  isSupportedEvent,
+  validatePattern,
+  validateCommandOptions,
+  diffPluginVersions,
+  bumpVersion,
+  compareVersions,
+  parseVersion,
+  getPluginStatus,
+  validateUsageLimits,
+  validateEgressPolicy,
+  canEditPlugin,
+  isPluginOwner,
+  hasPermission,
+  Permissions,
+  VersionBumps,
+  WebhookEvents,
+  INITIAL_PLUGIN_VERSION,
+} from '@dismodular/shared';
+import { Prisma } from '@prisma/client';
+import { DryRunner } from '@dismodular/bot/sandbox/DryRunner.js';
 import NodeCompiler from '../services/NodeCompiler.js';
+import { resolveSubflows } from '../services/SubflowService.js';
+import { validateSecret, listSecrets, setSecret, deleteSecret } from '../services/SecretService.js';
 import { getPrismaClient } from '../services/PrismaService.js';
+import { canManageGuild } from '../services/GuildPermissionService.js';
+import { enqueueWebhookEvent } from '../services/WebhookService.js';
 import { writeFile, rm } from 'fs/promises';
 import { join, resolve } from 'path';
 
@@ -135,6 +160,52 @@ function sanitizeString(str) {
     .substring(0, 1000); // Limit length
 }
 
+/**
+ * Validate plugin trigger definition
+ * @param {Object} trigger - Plugin trigger
+ * @param {string} type - Plugin type
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+function validateTrigger(trigger, type) {
+  if (!trigger || typeof trigger !== 'object') {
+    return { valid: false, error: 'Trigger must be an object' };
+  }
+
+  if (trigger.type === 'event') {
+    if (!isSupportedEvent(trigger.event)) {
+      return { valid: false, error: `Unsupported trigger event: ${trigger.event}` };
+    }
+    if (type && type !== 'listener') {
+      return { valid: false, error: 'Event triggers require plugin type "listener"' };
+    }
+  } else if (type === 'listener') {
+    return { valid: false, error: 'Listener plugins require an event trigger' };
+  }
+
+  if (trigger.type === 'message') {
+    const patternValidation = validatePattern(trigger.pattern);
+    if (!patternValidation.valid) {
+      return { valid: false, error: `Invalid message pattern: ${patternValidation.error}` };
+    }
+    if (type && type !== 'pattern') {
+      return { valid: false, error: 'Message pattern triggers require plugin type "pattern"' };
+    }
+  } else if (type === 'pattern') {
+    return { valid: false, error: 'Pattern plugins require a message pattern trigger' };
+  }
+
+  // The cron expression or interval is configured per guild, not on the plugin
+  if (trigger.type === 'schedule') {
+    if (type && type !== 'scheduled') {
+      return { valid: false, error: 'Schedule triggers require plugin type "scheduled"' };
+    }
+  } else if (type === 'scheduled') {
+    return { valid: false, error: 'Scheduled plugins require a schedule trigger' };
+  }
+
+  return { valid: true };
+}
+
 /**
  * Validate plugin data structure to prevent malicious content
  * @param {Object} pluginData - Plugin data to validate
@@ -153,6 +224,11 @@ function validatePluginData(pluginData) {
     }
   }
   
+  const triggerValidation = validateTrigger(pluginData.trigger, pluginData.type);
+  if (!triggerValidation.valid) {
+    return triggerValidation;
+  }
+  
   // Validate string fields
   const stringFields = ['name', 'description', 'author'];
   for (const field of stringFields) {
@@ -278,12 +354,16 @@ function sanitizePluginData(pluginData) {
   
   // Sanitize trigger object
   if (sanitized.trigger && typeof sanitized.trigger === 'object') {
-    const triggerFields = ['command', 'event', 'pattern'];
+    const triggerFields = ['command', 'event'];
     for (const field of triggerFields) {
       if (sanitized.trigger[field]) {
         sanitized.trigger[field] = sanitizeString(sanitized.trigger[field]);
       }
     }
+    // Patterns need < and > for named groups, validatePattern already bounds them
+    if (typeof sanitized.trigger.pattern === 'string') {
+      sanitized.trigger.pattern = sanitized.trigger.pattern.trim();
+    }
   }
   
   // Sanitize node configurations
@@ -512,6 +592,95 @@ function validateNodeGraphComplexity(nodes, edges) {
   return { valid: true };
 }
 
+/**
+ * Number of revisions kept per plugin, older ones are pruned when a new one is saved
+ * @type {number}
+ */
+const MAX_PLUGIN_REVISIONS = 50;
+
+/**
+ * Plugin columns an editor draft holds
+ * @type {string[]}
+ */
+const DRAFT_FIELDS = [
+  'name', 'description', 'type', 'trigger_type', 'trigger_command', 'trigger_event', 'trigger_pattern',
+  'options', 'nodes', 'edges',
+];
+
+/**
+ * Plugin columns copied into each revision snapshot
+ * @type {string[]}
+ */
+const REVISION_FIELDS = [...DRAFT_FIELDS, 'compiled'];
+
+/**
+ * Get the version of a plugin the editor works on: its draft over the published columns
+ * @param {Object} plugin - Plugin row
+ * @returns {Object} Plugin row with the draft applied
+ */
+function getWorkingCopy(plugin) {
+  return plugin.draft ? { ...plugin, ...plugin.draft } : plugin;
+}
+
+/**
+ * Build the plugin.json contents the bot loads for a published plugin
+ * @param {Object} plugin - Plugin row
+ * @returns {Object} Plugin file data
+ */
+function toPluginFile(plugin) {
+  return {
+    id: plugin.id,
+    name: plugin.name,
+    version: plugin.version,
+    description: plugin.description,
+    author: plugin.author,
+    type: plugin.type,
+    enabled: Boolean(plugin.enabled),
+    trigger: {
+      type: plugin.trigger_type,
+      command: plugin.trigger_command,
+      event: plugin.trigger_event,
+      pattern: plugin.trigger_pattern,
+    },
+    options: plugin.options,
+    nodes: plugin.nodes,
+    edges: plugin.edges,
+    compiled: plugin.compiled,
+  };
+}
+
+/**
+ * Convert a plugin or revision row to the shape compared by diffPluginVersions
+ * @param {Object} row - Plugin or revision row
+ * @returns {Object} Plugin version
+ */
+function toPluginVersion(row) {
+  return {
+    name: row.name,
+    description: row.description || '',
+    type: row.type,
+    trigger: {
+      type: row.trigger_type,
+      command: row.trigger_command,
+      event: row.trigger_event,
+      pattern: row.trigger_pattern,
+    },
+    options: row.options || [],
+    nodes: row.nodes || [],
+    edges: row.edges || [],
+  };
+}
+
+/**
+ * Parse a revision number route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} Revision number, or null if invalid
+ */
+function parseRevisionNumber(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
 export class PluginController {
   /**
    * Initialize Plugin Controller
@@ -529,6 +698,12 @@ export class PluginController {
       logger.error('Failed to initialize NodeCompiler:', error);
       this.compiler = null;
     }
+
+    // Runs plugin code against a synthetic interaction for the editor's test runner
+    this.dryRunner = new DryRunner();
+
+    // Decides who manages the guild owning a private plugin, asks Discord for non guild managers
+    this.canManageGuild = canManageGuild;
     
     // Validate database connection
     if (!this.db) {
@@ -560,11 +735,21 @@ export class PluginController {
               discord_id: true,
             },
           },
+          collaborators: {
+            select: { user_id: true },
+          },
         },
       });
 
-      const formatted = plugins.map(p => ({
+      // Guild-owned plugins are listed for the people who work on them and for guild managers,
+      // everyone else finds them through their guild's plugin list
+      const canSeePrivate = hasPermission(req.user, Permissions.GUILDS_MANAGE);
+      const visible = plugins.filter(p => !p.guild_id || canSeePrivate || canEditPlugin(req.user, p));
+
+      const formatted = visible.map(p => ({
         ...p,
+        can_edit: canEditPlugin(req.user, p),
+        status: getPluginStatus(p),
         enabled: Boolean(p.enabled),
         options: p.options,
         nodes: p.nodes,
@@ -624,6 +809,9 @@ export class PluginController {
               discord_id: true,
             },
           },
+          collaborators: {
+            select: { user_id: true },
+          },
         },
       });
 
@@ -634,10 +822,24 @@ export class PluginController {
         });
       }
 
+      const managesGuild = await this.managesPluginGuild(req.user, plugin);
+      const canEdit = canEditPlugin(req.user, plugin)
+        || (managesGuild && hasPermission(req.user, Permissions.PLUGINS_EDIT));
+
+      // Another guild's private plugin looks the same as a missing one
+      if (plugin.guild_id && !canEdit && !managesGuild) {
+        return res.status(404).json({
+          success: false,
+          error: 'Plugin not found',
+        });
+      }
+
       res.json({
         success: true,
         data: {
           ...plugin,
+          can_edit: canEdit,
+          status: getPluginStatus(plugin),
           enabled: Boolean(plugin.enabled),
           options: plugin.options,
           nodes: plugin.nodes,
@@ -648,6 +850,18 @@ export class PluginController {
             event: plugin.trigger_event,
             pattern: plugin.trigger_pattern,
           },
+          // Unpublished edits, shaped like the plugin so the editor can load them over it
+          draft: plugin.draft
+            ? {
+              ...plugin.draft,
+              trigger: {
+                type: plugin.draft.trigger_type,
+                command: plugin.draft.trigger_command,
+                event: plugin.draft.trigger_event,
+                pattern: plugin.draft.trigger_pattern,
+              },
+            }
+            : null,
         },
       });
     } catch (error) {
@@ -673,7 +887,33 @@ export class PluginController {
         });
       }
 
-      const { name, description, type, trigger, nodes, edges, options } = req.body;
+      const { name, description, type, trigger, nodes, edges, options, guild_id: guildId } = req.body;
+
+      // A plugin can be made private to a guild the user manages; this is fixed once it is created
+      if (guildId !== undefined && guildId !== null) {
+        if (typeof guildId !== 'string' || !/^\d{17,20}$/.test(guildId)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid guild ID format',
+          });
+        }
+
+        const guild = await this.db.guild.findUnique({ where: { id: guildId }, select: { id: true } });
+        if (!guild) {
+          return res.status(404).json({
+            success: false,
+            error: 'Guild not found',
+          });
+        }
+
+        if (!await this.managesPluginGuild(req.user, { guild_id: guildId })) {
+          return res.status(403).json({
+            success: false,
+            error: 'Insufficient permissions',
+            details: 'You can only create private plugins for guilds you manage',
+          });
+        }
+      }
 
       // Validate and sanitize plugin data
       const pluginData = { name, description, type, trigger, nodes, edges, options };
@@ -709,10 +949,23 @@ export class PluginController {
       }
 
       // Use provided compiled code or compile fresh (always compile for safety)
-      const compiled = this.compiler.compile(sanitizedData.nodes, sanitizedData.edges);
+      const subflows = await this.loadSubflows(sanitizedData.nodes, res);
+      if (!subflows) {
+        return;
+      }
+      const compiled = this.compiler.compile(sanitizedData.nodes, sanitizedData.edges, { subflows });
 
       // Extract options from nodes
-      const extractedOptions = this.compiler.extractOptions(sanitizedData.nodes);
+      const extractedOptions = this.compiler.extractOptions(sanitizedData.nodes, sanitizedData.edges);
+
+      const optionsValidation = validateCommandOptions(sanitizedData.options || extractedOptions);
+      if (!optionsValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid command options',
+          details: optionsValidation.error,
+        });
+      }
 
       // Generate plugin ID
       const pluginId = `plugin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -732,12 +985,12 @@ export class PluginController {
         }
       }
 
-      // Insert into database
-      await this.db.plugin.create({
+      // Insert into database (published_at stays null until the first publish)
+      const createdPlugin = await this.db.plugin.create({
         data: {
           id: pluginId,
           name: sanitizedData.name,
-          version: '1.0.0',
+          version: INITIAL_PLUGIN_VERSION,
           description: sanitizedData.description || '',
           author: req.user?.username || 'Unknown',
           type: sanitizedData.type,
@@ -751,30 +1004,12 @@ export class PluginController {
           edges: sanitizedData.edges,
           compiled,
           created_by: createdBy,
+          guild_id: guildId || null,
         },
       });
 
-      // Write plugin file (non-blocking for tests)
-      try {
-        await this.writePluginFile(pluginId, {
-          id: pluginId,
-          name: sanitizedData.name,
-          version: '1.0.0',
-          description: sanitizedData.description,
-          author: req.user?.username || 'Unknown',
-          type: sanitizedData.type,
-          enabled: true,
-          trigger: sanitizedData.trigger,
-          options: sanitizedData.options || extractedOptions,
-          nodes: sanitizedData.nodes,
-          edges: sanitizedData.edges,
-          compiled,
-        });
-      } catch (fileError) {
-        // Log warning but don't fail the operation if file write fails
-        logger.warn(`Failed to write plugin file for ${pluginId}:`, fileError.message);
-        logger.warn('Plugin database was created successfully, but file system write failed');
-      }
+      // New plugins are drafts: no plugin file is written until the plugin is published
+      await this.recordRevision(createdPlugin, req.user);
 
       // Add audit log (only if user exists in database)
       if (req.user?.id) {
@@ -800,13 +1035,16 @@ export class PluginController {
         }
       }
 
+      await this.notifyWebhooks(WebhookEvents.PLUGIN_CREATED, createdPlugin, req.user);
+
       logger.success(`Plugin created: ${name} (${pluginId})`);
 
       res.status(201).json({
         success: true,
         data: {
           id: pluginId,
-          message: 'Plugin created successfully',
+          status: getPluginStatus(createdPlugin),
+          message: 'Plugin created as a draft',
         },
       });
     } catch (error) {
@@ -821,6 +1059,7 @@ export class PluginController {
 
   /**
    * Update existing plugin
+   * Structural changes are saved to the draft; `enabled`, usage `limits` and the `egress` policy apply to the live plugin right away.
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
@@ -834,7 +1073,7 @@ export class PluginController {
       }
 
       const { id } = req.params;
-      const { name, description, type, trigger, nodes, edges, enabled, options, compiled: providedCompiled } = req.body;
+      const { name, description, type, trigger, nodes, edges, enabled, options, limits, egress } = req.body;
 
       // Validate plugin ID to prevent path traversal
       if (!validatePluginId(id)) {
@@ -844,6 +1083,24 @@ export class PluginController {
         });
       }
 
+      const limitsValidation = validateUsageLimits(limits);
+      if (!limitsValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid usage limits',
+          details: limitsValidation.error,
+        });
+      }
+
+      const egressValidation = validateEgressPolicy(egress);
+      if (!egressValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid egress policy',
+          details: egressValidation.error,
+        });
+      }
+
       // Check if plugin exists
       const existing = await this.db.plugin.findUnique({
         where: { id },
@@ -856,6 +1113,24 @@ export class PluginController {
         });
       }
 
+      // Edits apply to the draft, which starts from the published version
+      const working = getWorkingCopy(existing);
+
+      // Validate trigger if provided
+      if (trigger || type) {
+        const triggerValidation = validateTrigger(
+          trigger || { type: working.trigger_type, event: working.trigger_event, pattern: working.trigger_pattern },
+          type || working.type,
+        );
+        if (!triggerValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid plugin data',
+            details: triggerValidation.error,
+          });
+        }
+      }
+
       // Validate node graph if provided
       if (nodes && edges) {
         const validation = this.compiler.validate(nodes, edges);
@@ -868,64 +1143,60 @@ export class PluginController {
         }
       }
 
-      // Use provided compiled code or compile node graph if changed
-      const compiled = providedCompiled || ((nodes && edges) 
-        ? this.compiler.compile(nodes, edges)
-        : existing.compiled);
-
       // Extract options from nodes if provided
       const extractedOptions = (nodes && edges) 
-        ? this.compiler.extractOptions(nodes)
-        : existing.options;
+        ? this.compiler.extractOptions(nodes, edges)
+        : working.options;
+
+      if (options || (nodes && edges)) {
+        const optionsValidation = validateCommandOptions(options || extractedOptions);
+        if (!optionsValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid command options',
+            details: optionsValidation.error,
+          });
+        }
+      }
+
+      // Only save a draft and snapshot it when the structure changed (not just enabled status, limits or egress)
+      const structureChanged = nodes || edges || name || description || type || trigger || options !== undefined;
+
+      // Plugins saved before revision history get their current version recorded first, so it can be restored
+      if (structureChanged) {
+        await this.ensureRevisionBaseline(existing);
+      }
+
+      // The live version is left alone until the draft is published
+      const draft = structureChanged
+        ? {
+          name: name || working.name,
+          description: description !== undefined ? description : working.description,
+          type: type || working.type,
+          trigger_type: trigger?.type || working.trigger_type,
+          trigger_command: trigger?.command || working.trigger_command,
+          trigger_event: trigger?.event || working.trigger_event,
+          trigger_pattern: trigger?.pattern || working.trigger_pattern,
+          options: options !== undefined ? options : extractedOptions,
+          nodes: nodes || working.nodes,
+          edges: edges || working.edges,
+        }
+        : undefined;
 
       // Update database
       const updatedPlugin = await this.db.plugin.update({
         where: { id },
         data: {
-          name: name || existing.name,
-          description: description !== undefined ? description : existing.description,
-          type: type || existing.type,
           enabled: enabled !== undefined ? enabled : existing.enabled,
-          trigger_type: trigger?.type || existing.trigger_type,
-          trigger_command: trigger?.command || existing.trigger_command,
-          trigger_event: trigger?.event || existing.trigger_event,
-          trigger_pattern: trigger?.pattern || existing.trigger_pattern,
-          options: options !== undefined ? options : extractedOptions,
-          nodes: nodes || existing.nodes,
-          edges: edges || existing.edges,
-          compiled,
+          limits: limits !== undefined ? limitsValidation.limits : undefined,
+          egress: egress !== undefined ? egressValidation.policy : undefined,
+          draft,
         },
       });
 
-      // Only update plugin file if the plugin structure changed (not just enabled status)
-      const structureChanged = nodes || edges || name || description || type || trigger || options !== undefined;
-      
       if (structureChanged) {
-        try {
-          await this.writePluginFile(id, {
-            id: updatedPlugin.id,
-            name: updatedPlugin.name,
-            version: updatedPlugin.version,
-            description: updatedPlugin.description,
-            author: updatedPlugin.author,
-            type: updatedPlugin.type,
-            enabled: Boolean(updatedPlugin.enabled),
-            trigger: {
-              type: updatedPlugin.trigger_type,
-              command: updatedPlugin.trigger_command,
-              event: updatedPlugin.trigger_event,
-              pattern: updatedPlugin.trigger_pattern,
-            },
-            options: updatedPlugin.options,
-            nodes: updatedPlugin.nodes,
-            edges: updatedPlugin.edges,
-            compiled: updatedPlugin.compiled,
-          });
-        } catch (fileError) {
-          // Log the file write error but don't fail the entire operation
-          logger.warn(`Failed to write plugin file for ${id}:`, fileError.message);
-          logger.warn('Plugin database was updated successfully, but file system write failed');
-        }
+        // Drafts are compiled when published
+        await this.recordRevision({ id, ...draft, compiled: '' }, req.user);
       }
 
       // Add audit log (only if user exists in database)
@@ -952,11 +1223,18 @@ export class PluginController {
         }
       }
 
-      logger.success(`Plugin updated: ${id}`);
+      if (updatedPlugin.enabled !== existing.enabled) {
+        await this.notifyWebhooks(WebhookEvents.PLUGIN_TOGGLED, updatedPlugin, req.user, { enabled: updatedPlugin.enabled });
+      }
+
+      logger.success(`Plugin ${structureChanged ? 'draft saved' : 'updated'}: ${id}`);
 
       res.json({
         success: true,
-        data: updatedPlugin,
+        data: {
+          ...updatedPlugin,
+          status: getPluginStatus(updatedPlugin),
+        },
       });
     } catch (error) {
       logger.error('Failed to update plugin:', error);
@@ -969,16 +1247,14 @@ export class PluginController {
   }
 
   /**
-   * Toggle plugin enabled status (no file system writes)
+   * Publish a plugin's draft: validate and compile it, bump the version and write the plugin file the bot loads
+   * Body `bump` is major, minor or patch (default: patch), or `version` sets an exact, higher version.
+   * The first publish keeps the version the plugin was created with.
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  async toggleEnabled(req, res) {
+  async publish(req, res) {
     try {
-      const { id } = req.params;
-      const { enabled } = req.body;
-
-      // Check if database is available
       if (!this.db) {
         return res.status(500).json({
           success: false,
@@ -986,7 +1262,9 @@ export class PluginController {
         });
       }
 
-      // Validate plugin ID to prevent path traversal
+      const { id } = req.params;
+      const { bump = VersionBumps.PATCH, version: requestedVersion } = req.body || {};
+
       if (!validatePluginId(id)) {
         return res.status(400).json({
           success: false,
@@ -994,19 +1272,14 @@ export class PluginController {
         });
       }
 
-      // Validate input
-      if (typeof enabled !== 'boolean') {
+      if (!Object.values(VersionBumps).includes(bump)) {
         return res.status(400).json({
           success: false,
-          error: 'Enabled status must be a boolean value',
+          error: `Version bump must be one of: ${Object.values(VersionBumps).join(', ')}`,
         });
       }
 
-      // Check if plugin exists
-      const existing = await this.db.plugin.findUnique({
-        where: { id },
-      });
-
+      const existing = await this.db.plugin.findUnique({ where: { id } });
       if (!existing) {
         return res.status(404).json({
           success: false,
@@ -1014,55 +1287,226 @@ export class PluginController {
         });
       }
 
-      // Update only the enabled status in database
-      const updatedPlugin = await this.db.plugin.update({
+      if (existing.published_at && !existing.draft) {
+        return res.status(400).json({
+          success: false,
+          error: 'Plugin has no unpublished changes',
+        });
+      }
+
+      const working = getWorkingCopy(existing);
+
+      const triggerValidation = validateTrigger(
+        { type: working.trigger_type, command: working.trigger_command, event: working.trigger_event, pattern: working.trigger_pattern },
+        working.type,
+      );
+      if (!triggerValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin data',
+          details: triggerValidation.error,
+        });
+      }
+
+      const graphValidation = this.compiler.validate(working.nodes, working.edges);
+      if (!graphValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid node graph',
+          details: graphValidation.errors,
+        });
+      }
+
+      const graphComplexity = validateNodeGraphComplexity(working.nodes, working.edges);
+      if (!graphComplexity.valid) {
+        return res.status(400).json({
+          success: false,
+          error: graphComplexity.error,
+        });
+      }
+
+      const optionsValidation = validateCommandOptions(working.options || []);
+      if (!optionsValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid command options',
+          details: optionsValidation.error,
+        });
+      }
+
+      let version;
+      if (requestedVersion !== undefined) {
+        if (!parseVersion(requestedVersion) || (existing.published_at && compareVersions(requestedVersion, existing.version) <= 0)) {
+          return res.status(400).json({
+            success: false,
+            error: existing.published_at
+              ? `Version must be a major.minor.patch version higher than ${existing.version}`
+              : 'Version must be a major.minor.patch version',
+          });
+        }
+        version = requestedVersion.trim();
+      } else if (!existing.published_at) {
+        version = parseVersion(existing.version) ? existing.version : INITIAL_PLUGIN_VERSION;
+      } else {
+        version = bumpVersion(existing.version, bump);
+      }
+
+      // Sub-flow calls are pinned to a version, so the published code only changes when the plugin does
+      const subflows = await this.loadSubflows(working.nodes, res);
+      if (!subflows) {
+        return;
+      }
+      const compiled = this.compiler.compile(working.nodes, working.edges, { subflows });
+
+      const publishedPlugin = await this.db.plugin.update({
         where: { id },
-        data: { enabled },
+        data: {
+          ...Object.fromEntries(DRAFT_FIELDS.map(field => [field, working[field]])),
+          compiled,
+          version,
+          draft: Prisma.DbNull,
+          published_at: new Date(),
+        },
       });
 
-      // Add audit log (only if user exists in database)
+      // The bot hot-reloads the plugin file, so only published versions are written to it
+      try {
+        await this.writePluginFile(id, toPluginFile(publishedPlugin));
+      } catch (fileError) {
+        logger.warn(`Failed to write plugin file for ${id}:`, fileError.message);
+        logger.warn('Plugin was published in the database, but file system write failed');
+      }
+
+      await this.recordRevision(publishedPlugin, req.user, `Published v${version}`, version);
+
       if (req.user?.id) {
         try {
           await this.db.auditLog.create({
             data: {
               user_id: req.user.id,
-              action: enabled ? 'ENABLE' : 'DISABLE',
+              action: 'PUBLISH',
               resource_type: 'plugin',
               resource_id: id,
+              details: { version },
             },
           });
         } catch (auditError) {
-          logger.warn(`Failed to create audit log for plugin toggle:`, auditError.message);
+          logger.warn('Failed to create audit log for plugin publish:', auditError.message);
         }
       }
 
-      logger.success(`Plugin ${enabled ? 'enabled' : 'disabled'}: ${id}`);
+      logger.success(`Plugin published: ${id} v${version}`);
 
       res.json({
         success: true,
         data: {
-          id: updatedPlugin.id,
-          name: updatedPlugin.name,
-          enabled: updatedPlugin.enabled,
-          message: `Plugin ${enabled ? 'enabled' : 'disabled'} successfully`,
+          ...publishedPlugin,
+          status: getPluginStatus(publishedPlugin),
         },
       });
     } catch (error) {
-      logger.error('Failed to toggle plugin status:', error);
+      logger.error('Failed to publish plugin:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to toggle plugin status',
+        error: 'Failed to publish plugin',
         details: error.message,
       });
     }
   }
 
   /**
-   * Delete plugin
+   * Load the sub-flow versions a graph calls, or respond with 400 when one is missing
+   * @param {Array} nodes - React Flow nodes
+   * @param {Object} res - Express response
+   * @returns {Promise<Map|null>} Sub-flows for the compiler, or null if a response was sent
+   */
+  async loadSubflows(nodes, res) {
+    const { subflows, errors } = await resolveSubflows(this.db, nodes);
+    if (errors.length > 0) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid sub-flow call',
+        details: errors,
+      });
+      return null;
+    }
+    return subflows;
+  }
+
+  /**
+   * Record a revision snapshot of a plugin and prune revisions beyond MAX_PLUGIN_REVISIONS
+   * Failures are logged rather than thrown so saving the plugin itself is never blocked
+   * @param {Object} plugin - Plugin row as saved
+   * @param {Object} user - Authenticated user ({id, username}), if any
+   * @param {string} message - Note shown in the history (optional)
+   * @param {string} version - Version, set when the snapshot is being published (optional)
+   * @returns {Promise<Object|null>} Revision row, or null if it could not be recorded
+   */
+  async recordRevision(plugin, user, message = null, version = null) {
+    try {
+      const latest = await this.db.pluginRevision.findFirst({
+        where: { plugin_id: plugin.id },
+        orderBy: { revision: 'desc' },
+        select: { revision: true },
+      });
+
+      // Only link users that exist in the database
+      let createdBy = null;
+      if (user?.id) {
+        const userExists = await this.db.user.findUnique({
+          where: { id: user.id },
+          select: { id: true },
+        });
+        createdBy = userExists ? user.id : null;
+      }
+
+      const snapshot = Object.fromEntries(REVISION_FIELDS.map(field => [field, plugin[field]]));
+      const revision = await this.db.pluginRevision.create({
+        data: {
+          ...snapshot,
+          plugin_id: plugin.id,
+          revision: (latest?.revision || 0) + 1,
+          message,
+          version,
+          created_by: createdBy,
+          author: user?.username || null,
+        },
+      });
+
+      if (revision.revision > MAX_PLUGIN_REVISIONS) {
+        await this.db.pluginRevision.deleteMany({
+          where: { plugin_id: plugin.id, revision: { lte: revision.revision - MAX_PLUGIN_REVISIONS } },
+        });
+      }
+
+      return revision;
+    } catch (error) {
+      logger.warn(`Failed to record revision for plugin ${plugin.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the current version of a plugin saved before revision history existed
+   * @param {Object} plugin - Plugin row before the update
+   */
+  async ensureRevisionBaseline(plugin) {
+    try {
+      const count = await this.db.pluginRevision.count({ where: { plugin_id: plugin.id } });
+      if (count === 0) {
+        await this.recordRevision(plugin, { username: plugin.author }, 'Saved before revision history', plugin.published_at ? plugin.version : null);
+      }
+    } catch (error) {
+      logger.warn(`Failed to record baseline revision for plugin ${plugin.id}:`, error.message);
+    }
+  }
+
+  /**
+   * List the revisions of a plugin, newest first, without their node graphs
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    */
-  async delete(req, res) {
+  async listRevisions(req, res) {
     try {
       if (!this.db) {
         return res.status(500).json({
@@ -1073,7 +1517,791 @@ export class PluginController {
 
       const { id } = req.params;
 
-      // Validate plugin ID to prevent path traversal
+      if (!validatePluginId(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID format',
+        });
+      }
+
+      if (!await this.findVisiblePlugin(req, res)) {
+        return;
+      }
+
+      const revisions = await this.db.pluginRevision.findMany({
+        where: { plugin_id: id },
+        orderBy: { revision: 'desc' },
+        select: {
+          revision: true,
+          name: true,
+          message: true,
+          version: true,
+          author: true,
+          created_by: true,
+          created_at: true,
+        },
+      });
+
+      res.json({
+        success: true,
+        data: revisions,
+      });
+    } catch (error) {
+      logger.error('Failed to list plugin revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve plugin revisions',
+      });
+    }
+  }
+
+  /**
+   * Diff a revision against an older revision or the current plugin
+   * Query `base` is a revision number or `current`, defaulting to the previous revision
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async diffRevision(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const { id } = req.params;
+      const revisionNumber = parseRevisionNumber(req.params.revision);
+      const base = req.query.base;
+
+      if (!validatePluginId(id) || !revisionNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID or revision',
+        });
+      }
+
+      if (!await this.findVisiblePlugin(req, res)) {
+        return;
+      }
+
+      const revision = await this.db.pluginRevision.findUnique({
+        where: { plugin_id_revision: { plugin_id: id, revision: revisionNumber } },
+      });
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+        });
+      }
+
+      let baseRow = null;
+      let baseLabel = null;
+      if (base === 'current') {
+        const plugin = await this.db.plugin.findUnique({ where: { id } });
+        baseRow = plugin && getWorkingCopy(plugin);
+        baseLabel = 'current';
+      } else if (base !== undefined) {
+        const baseNumber = parseRevisionNumber(base);
+        if (!baseNumber) {
+          return res.status(400).json({
+            success: false,
+            error: 'Base must be a revision number or "current"',
+          });
+        }
+        baseRow = await this.db.pluginRevision.findUnique({
+          where: { plugin_id_revision: { plugin_id: id, revision: baseNumber } },
+        });
+        baseLabel = baseNumber;
+      } else {
+        baseRow = await this.db.pluginRevision.findFirst({
+          where: { plugin_id: id, revision: { lt: revisionNumber } },
+          orderBy: { revision: 'desc' },
+        });
+        baseLabel = baseRow?.revision ?? null;
+      }
+
+      if (base !== undefined && !baseRow) {
+        return res.status(404).json({
+          success: false,
+          error: 'Base revision not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          base: baseLabel,
+          revision: revisionNumber,
+          diff: diffPluginVersions(baseRow ? toPluginVersion(baseRow) : {}, toPluginVersion(revision)),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to diff plugin revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to diff plugin revision',
+      });
+    }
+  }
+
+  /**
+   * Restore a revision into the plugin's draft, recording the restore as a new revision
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async restoreRevision(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const { id } = req.params;
+      const revisionNumber = parseRevisionNumber(req.params.revision);
+
+      if (!validatePluginId(id) || !revisionNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID or revision',
+        });
+      }
+
+      const existing = await this.db.plugin.findUnique({ where: { id } });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Plugin not found',
+        });
+      }
+
+      const revision = await this.db.pluginRevision.findUnique({
+        where: { plugin_id_revision: { plugin_id: id, revision: revisionNumber } },
+      });
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found',
+        });
+      }
+
+      // The revision becomes the draft; it goes live once published, which recompiles it
+      const draft = Object.fromEntries(DRAFT_FIELDS.map(field => [field, revision[field]]));
+
+      const updatedPlugin = await this.db.plugin.update({
+        where: { id },
+        data: { draft },
+      });
+
+      const restored = await this.recordRevision({ id, ...draft, compiled: '' }, req.user, `Restored revision ${revisionNumber}`);
+
+      if (req.user?.id) {
+        try {
+          await this.db.auditLog.create({
+            data: {
+              user_id: req.user.id,
+              action: 'RESTORE',
+              resource_type: 'plugin',
+              resource_id: id,
+              details: { revision: revisionNumber },
+            },
+          });
+        } catch (auditError) {
+          logger.warn('Failed to create audit log for plugin restore:', auditError.message);
+        }
+      }
+
+      logger.success(`Plugin ${id} draft restored to revision ${revisionNumber}`);
+
+      res.json({
+        success: true,
+        data: {
+          ...updatedPlugin,
+          status: getPluginStatus(updatedPlugin),
+          revision: restored?.revision ?? null,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to restore plugin revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to restore plugin revision',
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * List a plugin's secrets shared by every guild, by name only
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async listSecrets(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!validatePluginId(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID format',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await listSecrets(this.db, id),
+      });
+    } catch (error) {
+      logger.error('Failed to list plugin secrets:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve plugin secrets',
+      });
+    }
+  }
+
+  /**
+   * Encrypt and store a secret shared by every guild, replacing one of the same name
+   * Body: { value }
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async setSecret(req, res) {
+    try {
+      const { id, name } = req.params;
+      const { value } = req.body;
+
+      if (!validatePluginId(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID format',
+        });
+      }
+
+      const validation = validateSecret(name, value);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid secret',
+          details: validation.error,
+        });
+      }
+
+      const plugin = await this.db.plugin.findUnique({ where: { id }, select: { id: true } });
+      if (!plugin) {
+        return res.status(404).json({
+          success: false,
+          error: 'Plugin not found',
+        });
+      }
+
+      try {
+        await setSecret(this.db, id, '', name, value);
+      } catch (keyError) {
+        return res.status(503).json({
+          success: false,
+          error: keyError.message,
+        });
+      }
+
+      await this.auditSecret(req.user, 'SET_SECRET', id, name);
+
+      res.json({
+        success: true,
+        message: `Secret ${name} saved`,
+      });
+    } catch (error) {
+      logger.error('Failed to save plugin secret:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save plugin secret',
+      });
+    }
+  }
+
+  /**
+   * Delete a secret shared by every guild
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async deleteSecret(req, res) {
+    try {
+      const { id, name } = req.params;
+
+      if (!validatePluginId(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID format',
+        });
+      }
+
+      if (!(await deleteSecret(this.db, id, '', name))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Secret not found',
+        });
+      }
+
+      await this.auditSecret(req.user, 'DELETE_SECRET', id, name);
+
+      res.json({
+        success: true,
+        message: `Secret ${name} deleted`,
+      });
+    } catch (error) {
+      logger.error('Failed to delete plugin secret:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete plugin secret',
+      });
+    }
+  }
+
+  /**
+   * Record a secret change in the audit log, by name only
+   * @param {Object} user - Acting user
+   * @param {string} action - SET_SECRET or DELETE_SECRET
+   * @param {string} id - Plugin ID
+   * @param {string} name - Secret name
+   */
+  async auditSecret(user, action, id, name) {
+    if (!user?.id) {return;}
+    try {
+      await this.db.auditLog.create({
+        data: {
+          user_id: user.id,
+          action,
+          resource_type: 'plugin',
+          resource_id: id,
+          details: { secret: name },
+        },
+      });
+    } catch (auditError) {
+      logger.warn('Failed to create audit log for plugin secret:', auditError.message);
+    }
+  }
+
+  /**
+   * Queue a plugin event for the webhooks that subscribed to it
+   * @param {string} event - WebhookEvents value
+   * @param {Object} plugin - Plugin the event is about
+   * @param {Object} user - User who caused the event
+   * @param {Object} details - Extra event details
+   */
+  async notifyWebhooks(event, plugin, user, details = {}) {
+    await enqueueWebhookEvent(this.db, event, {
+      plugin: {
+        id: plugin.id,
+        name: plugin.name,
+        version: plugin.version,
+        guild_id: plugin.guild_id || null,
+      },
+      user: user ? { id: user.id, username: user.username } : null,
+      ...details,
+    });
+  }
+
+  /**
+   * Load a plugin and check the user may change it, responding with the error when they may not
+   * @param {Object} req - Express request with the plugin ID in params.id
+   * @param {Object} res - Express response
+   * @param {boolean} [ownerOnly=false] - Require ownership rather than edit access, for sharing
+   * @returns {Promise<boolean>} Whether the user has access
+   */
+  async ensurePluginAccess(req, res, ownerOnly = false) {
+    const { id } = req.params;
+
+    if (!validatePluginId(id)) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid plugin ID format',
+      });
+      return false;
+    }
+
+    const plugin = await this.db.plugin.findUnique({
+      where: { id },
+      select: { id: true, created_by: true, guild_id: true, collaborators: { select: { user_id: true } } },
+    });
+
+    if (!plugin) {
+      res.status(404).json({
+        success: false,
+        error: 'Plugin not found',
+      });
+      return false;
+    }
+
+    // Authors who manage a plugin's guild may change it as well, so a guild's plugins outlive their creator
+    const allowed = ownerOnly
+      ? isPluginOwner(req.user, plugin) || hasPermission(req.user, Permissions.PLUGINS_EDIT_ANY)
+      : canEditPlugin(req.user, plugin)
+        || (hasPermission(req.user, Permissions.PLUGINS_EDIT) && await this.managesPluginGuild(req.user, plugin));
+
+    if (!allowed) {
+      logger.warn(`User ${req.user?.username} attempted to change plugin ${id} without access`);
+      res.status(403).json({
+        success: false,
+        error: ownerOnly ? 'Only the plugin owner can share it' : 'You can only change plugins you own or that are shared with you',
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Load the plugin in params.id if the user may see it, answering 404 otherwise
+   * Another guild's private plugin looks the same as a missing one, as in getById
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<Object|null>} Plugin, or null once the response is sent
+   */
+  async findVisiblePlugin(req, res) {
+    const plugin = await this.db.plugin.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, created_by: true, guild_id: true, collaborators: { select: { user_id: true } } },
+    });
+
+    const visible = plugin
+      && (!plugin.guild_id || canEditPlugin(req.user, plugin) || await this.managesPluginGuild(req.user, plugin));
+    if (!visible) {
+      res.status(404).json({
+        success: false,
+        error: 'Plugin not found',
+      });
+      return null;
+    }
+    return plugin;
+  }
+
+  /**
+   * Check if a user manages the guild that owns a plugin
+   * A failed Discord check counts as no, so a private plugin is never exposed by mistake
+   * @param {Object} user - Session user
+   * @param {Object} plugin - Plugin with guild_id
+   * @returns {Promise<boolean>} Whether the plugin belongs to a guild the user manages
+   */
+  async managesPluginGuild(user, plugin) {
+    if (!plugin.guild_id) {
+      return false;
+    }
+    try {
+      return await this.canManageGuild(user, plugin.guild_id);
+    } catch (error) {
+      logger.warn(`Failed to check if ${user?.username} manages guild ${plugin.guild_id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Middleware requiring edit access to the plugin in params.id
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   */
+  async requireEditAccess(req, res, next) {
+    try {
+      if (await this.ensurePluginAccess(req, res)) {
+        next();
+      }
+    } catch (error) {
+      logger.error('Failed to check plugin access:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check plugin access',
+      });
+    }
+  }
+
+  /**
+   * Middleware requiring ownership of the plugin in params.id
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   */
+  async requireOwnerAccess(req, res, next) {
+    try {
+      if (await this.ensurePluginAccess(req, res, true)) {
+        next();
+      }
+    } catch (error) {
+      logger.error('Failed to check plugin access:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check plugin access',
+      });
+    }
+  }
+
+  /**
+   * List the users a plugin is shared with
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async listCollaborators(req, res) {
+    try {
+      const { id } = req.params;
+
+      const collaborators = await this.db.pluginCollaborator.findMany({
+        where: { plugin_id: id },
+        include: {
+          user: {
+            select: { id: true, username: true, discord_id: true, avatar: true },
+          },
+        },
+        orderBy: { created_at: 'asc' },
+      });
+
+      res.json({
+        success: true,
+        data: collaborators.map(collaborator => ({
+          ...collaborator.user,
+          shared_at: collaborator.created_at,
+        })),
+      });
+    } catch (error) {
+      logger.error('Failed to list plugin collaborators:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve plugin collaborators',
+      });
+    }
+  }
+
+  /**
+   * Share a plugin with another author
+   * Body: { discord_id }
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async addCollaborator(req, res) {
+    try {
+      const { id } = req.params;
+      const { discord_id } = req.body;
+
+      if (typeof discord_id !== 'string' || !discord_id.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Discord ID is required',
+        });
+      }
+
+      const user = await this.db.user.findUnique({
+        where: { discord_id: discord_id.trim() },
+        select: { id: true, username: true, discord_id: true, role: true, is_admin: true },
+      });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+          details: 'They need to log in to the dashboard once before a plugin can be shared with them',
+        });
+      }
+
+      if (!hasPermission(user, Permissions.PLUGINS_EDIT)) {
+        return res.status(400).json({
+          success: false,
+          error: 'User cannot edit plugins',
+          details: 'Give them the author role or above first',
+        });
+      }
+
+      await this.db.pluginCollaborator.upsert({
+        where: { plugin_id_user_id: { plugin_id: id, user_id: user.id } },
+        update: {},
+        create: { plugin_id: id, user_id: user.id },
+      });
+
+      await this.auditSharing(req.user, 'SHARE', id, user.id);
+
+      res.json({
+        success: true,
+        data: { id: user.id, username: user.username, discord_id: user.discord_id },
+        message: `Plugin shared with ${user.username}`,
+      });
+    } catch (error) {
+      logger.error('Failed to share plugin:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to share plugin',
+      });
+    }
+  }
+
+  /**
+   * Stop sharing a plugin with a user
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async removeCollaborator(req, res) {
+    try {
+      const { id, userId } = req.params;
+
+      const result = await this.db.pluginCollaborator.deleteMany({
+        where: { plugin_id: id, user_id: userId },
+      });
+
+      if (result.count === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Plugin is not shared with this user',
+        });
+      }
+
+      await this.auditSharing(req.user, 'UNSHARE', id, userId);
+
+      res.json({
+        success: true,
+        message: 'Plugin no longer shared with this user',
+      });
+    } catch (error) {
+      logger.error('Failed to unshare plugin:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unshare plugin',
+      });
+    }
+  }
+
+  /**
+   * Record a sharing change in the audit log
+   * @param {Object} user - Acting user
+   * @param {string} action - SHARE or UNSHARE
+   * @param {string} id - Plugin ID
+   * @param {string} collaboratorId - User the plugin was shared or unshared with
+   */
+  async auditSharing(user, action, id, collaboratorId) {
+    if (!user?.id) {return;}
+    try {
+      await this.db.auditLog.create({
+        data: {
+          user_id: user.id,
+          action,
+          resource_type: 'plugin',
+          resource_id: id,
+          details: { collaborator: collaboratorId },
+        },
+      });
+    } catch (auditError) {
+      logger.warn('Failed to create audit log for plugin sharing:', auditError.message);
+    }
+  }
+
+  /**
+   * Toggle plugin enabled status (no file system writes)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async toggleEnabled(req, res) {
+    try {
+      const { id } = req.params;
+      const { enabled } = req.body;
+
+      // Check if database is available
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      // Validate plugin ID to prevent path traversal
+      if (!validatePluginId(id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plugin ID format',
+        });
+      }
+
+      // Validate input
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'Enabled status must be a boolean value',
+        });
+      }
+
+      // Check if plugin exists
+      const existing = await this.db.plugin.findUnique({
+        where: { id },
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Plugin not found',
+        });
+      }
+
+      // Update only the enabled status in database
+      const updatedPlugin = await this.db.plugin.update({
+        where: { id },
+        data: { enabled },
+      });
+
+      // Add audit log (only if user exists in database)
+      if (req.user?.id) {
+        try {
+          await this.db.auditLog.create({
+            data: {
+              user_id: req.user.id,
+              action: enabled ? 'ENABLE' : 'DISABLE',
+              resource_type: 'plugin',
+              resource_id: id,
+            },
+          });
+        } catch (auditError) {
+          logger.warn(`Failed to create audit log for plugin toggle:`, auditError.message);
+        }
+      }
+
+      if (existing.enabled !== enabled) {
+        await this.notifyWebhooks(WebhookEvents.PLUGIN_TOGGLED, updatedPlugin, req.user, { enabled });
+      }
+
+      logger.success(`Plugin ${enabled ? 'enabled' : 'disabled'}: ${id}`);
+
+      res.json({
+        success: true,
+        data: {
+          id: updatedPlugin.id,
+          name: updatedPlugin.name,
+          enabled: updatedPlugin.enabled,
+          message: `Plugin ${enabled ? 'enabled' : 'disabled'} successfully`,
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to toggle plugin status:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to toggle plugin status',
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete plugin
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async delete(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const { id } = req.params;
+
+      // Validate plugin ID to prevent path traversal
       if (!validatePluginId(id)) {
         return res.status(400).json({
           success: false,
@@ -1133,6 +2361,8 @@ export class PluginController {
         }
       }
 
+      await this.notifyWebhooks(WebhookEvents.PLUGIN_DELETED, plugin, req.user);
+
       logger.success(`Plugin deleted: ${id}`);
 
       res.json({
@@ -1184,7 +2414,11 @@ export class PluginController {
       }
 
       // Compile
-      const compiled = this.compiler.compile(nodes, edges);
+      const subflows = await this.loadSubflows(nodes, res);
+      if (!subflows) {
+        return;
+      }
+      const compiled = this.compiler.compile(nodes, edges, { subflows });
 
       res.json({
         success: true,
@@ -1201,6 +2435,77 @@ export class PluginController {
     }
   }
 
+  /**
+   * Compile a node graph and run it against a synthetic interaction
+   * Nothing is sent to Discord; replies, logs, the execution trace, state changes and attempted actions are returned instead
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async dryRun(req, res) {
+    try {
+      const { nodes, edges, input = {}, trace = true } = req.body;
+
+      if (!nodes || !edges) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing nodes or edges',
+        });
+      }
+
+      if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dry run input must be an object',
+        });
+      }
+
+      if (input.options !== undefined && (!Array.isArray(input.options) || input.options.some(option => typeof option?.name !== 'string'))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Dry run options must be a list of {name, type, value}',
+        });
+      }
+
+      if (!this.compiler) {
+        logger.error('NodeCompiler not available');
+        return res.status(500).json({
+          success: false,
+          error: 'Compiler not available',
+        });
+      }
+
+      const validation = this.compiler.validate(nodes, edges);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid node graph',
+          details: validation.errors,
+        });
+      }
+
+      const subflows = await this.loadSubflows(nodes, res);
+      if (!subflows) {
+        return;
+      }
+
+      // Traced code reports each node it enters so the editor can replay the run
+      const compiled = this.compiler.compile(nodes, edges, { trace: trace !== false, subflows });
+      const result = await this.dryRunner.run(compiled, input);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('Failed to dry run plugin:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to dry run plugin',
+        details: error.message,
+      });
+    }
+  }
+
   /**
    * Write plugin to file system with enhanced security
    * @param {string} pluginId - Plugin ID
@@ -1332,7 +2637,7 @@ export class PluginController {
       const newPlugin = {
         id: newPluginId,
         name: name,
-        version: '1.0.0',
+        version: INITIAL_PLUGIN_VERSION,
         description: description || template.description,
         author: req.user.username,
         type: template.type,
@@ -1355,8 +2660,8 @@ export class PluginController {
         data: newPlugin,
       });
 
-      // Write to file system
-      await this.writePluginFile(newPluginId, newPlugin);
+      // Clones start as drafts, so no plugin file is written until they are published
+      await this.recordRevision(savedPlugin, req.user, `Cloned from template ${template.name}`);
 
       // Create audit log (only if user exists in database)
       if (req.user?.id) {
@@ -1379,6 +2684,8 @@ export class PluginController {
         }
       }
 
+      await this.notifyWebhooks(WebhookEvents.PLUGIN_CREATED, savedPlugin, req.user, { template_id: templateId });
+
       res.json({
         success: true,
         message: 'Template cloned successfully',
@@ -1390,6 +2697,7 @@ export class PluginController {
           author: savedPlugin.author,
           type: savedPlugin.type,
           enabled: savedPlugin.enabled,
+          status: getPluginStatus(savedPlugin),
           created_at: savedPlugin.created_at,
         },
       });
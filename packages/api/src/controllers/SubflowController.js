@@ -0,0 +1,557 @@
+/**
+ * Sub-flow Controller
+ * Handles reusable sub-flows: node graphs with declared inputs and outputs that plugins call.
+ * Every save adds a new version; Call Sub-flow nodes stay pinned to the version they were set up with.
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger } from '@dismodular/shared';
+import NodeCompiler from '../services/NodeCompiler.js';
+import {
+  findSubflowDependents,
+  resolveSubflows,
+  validateSubflowPorts,
+} from '../services/SubflowService.js';
+
+const logger = new Logger('SubflowController');
+
+/**
+ * Limits on a sub-flow graph, matching the plugin limits
+ */
+const MAX_SUBFLOW_NODES = 100;
+const MAX_SUBFLOW_EDGES = 200;
+
+/**
+ * Parse a version route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} Version number or null if invalid
+ */
+function parseVersionNumber(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Validate the parts of a sub-flow a new version is made of
+ * @param {Object} body - Request body
+ * @returns {Object} { valid, error, version } with the validated inputs, outputs, nodes, edges and message
+ */
+function validateSubflowVersion(body) {
+  const { inputs = [], outputs = [], nodes, edges, message } = body;
+
+  const inputValidation = validateSubflowPorts(inputs, 'input');
+  if (!inputValidation.valid) {
+    return inputValidation;
+  }
+  const outputValidation = validateSubflowPorts(outputs, 'output');
+  if (!outputValidation.valid) {
+    return outputValidation;
+  }
+
+  if (!Array.isArray(nodes) || !Array.isArray(edges)) {
+    return { valid: false, error: 'Missing nodes or edges' };
+  }
+  if (nodes.length > MAX_SUBFLOW_NODES || edges.length > MAX_SUBFLOW_EDGES) {
+    return { valid: false, error: `Sub-flows are limited to ${MAX_SUBFLOW_NODES} nodes and ${MAX_SUBFLOW_EDGES} edges` };
+  }
+
+  return {
+    valid: true,
+    version: {
+      inputs: inputValidation.ports,
+      outputs: outputValidation.ports,
+      nodes,
+      edges,
+      message: typeof message === 'string' && message.trim() ? message.trim().slice(0, 200) : null,
+    },
+  };
+}
+
+/**
+ * Sub-flow Controller Class
+ */
+export class SubflowController {
+  /**
+   * Initialize Sub-flow Controller
+   * @param {Object} db - Database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.compiler = new NodeCompiler();
+
+    if (!this.db) {
+      logger.warn('SubflowController initialized without database connection');
+    }
+  }
+
+  /**
+   * List sub-flows with the inputs and outputs of their latest version
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getAll(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const subflows = await this.db.subflow.findMany({
+        orderBy: { name: 'asc' },
+        include: {
+          versions: {
+            orderBy: { version: 'desc' },
+            take: 1,
+            select: { inputs: true, outputs: true, author: true, created_at: true },
+          },
+        },
+      });
+
+      res.json({
+        success: true,
+        data: subflows.map(({ versions, ...subflow }) => ({
+          ...subflow,
+          inputs: versions[0]?.inputs || [],
+          outputs: versions[0]?.outputs || [],
+          author: versions[0]?.author || null,
+        })),
+      });
+    } catch (error) {
+      logger.error('Failed to fetch sub-flows:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sub-flows',
+      });
+    }
+  }
+
+  /**
+   * Get a sub-flow with its version history and the graph of its latest version
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getById(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const subflow = await this.db.subflow.findUnique({
+        where: { id: req.params.id },
+        include: { versions: { orderBy: { version: 'desc' } } },
+      });
+
+      if (!subflow) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sub-flow not found',
+        });
+      }
+
+      const { versions, ...rest } = subflow;
+      const latest = versions[0];
+      res.json({
+        success: true,
+        data: {
+          ...rest,
+          inputs: latest?.inputs || [],
+          outputs: latest?.outputs || [],
+          nodes: latest?.nodes || [],
+          edges: latest?.edges || [],
+          versions: versions.map(({ version, inputs, outputs, message, author, created_at }) => ({
+            version, inputs, outputs, message, author, created_at,
+          })),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to fetch sub-flow:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sub-flow',
+      });
+    }
+  }
+
+  /**
+   * Get one version of a sub-flow
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getVersion(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const version = parseVersionNumber(req.params.version);
+      if (!version) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid version number',
+        });
+      }
+
+      const row = await this.db.subflowVersion.findUnique({
+        where: { subflow_id_version: { subflow_id: req.params.id, version } },
+      });
+
+      if (!row) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sub-flow version not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: row,
+      });
+    } catch (error) {
+      logger.error('Failed to fetch sub-flow version:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sub-flow version',
+      });
+    }
+  }
+
+  /**
+   * Create a sub-flow with its first version
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async create(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name || name.length > 64 || /[\r\n]/.test(name)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sub-flow name is required and must be a single line of at most 64 characters',
+        });
+      }
+
+      const validation = validateSubflowVersion(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sub-flow',
+          details: validation.error,
+        });
+      }
+
+      const existing = await this.db.subflow.findUnique({ where: { name } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: `A sub-flow named "${name}" already exists`,
+        });
+      }
+
+      if (!(await this.checkCompiles({ id: 'new', name, version: 1, ...validation.version }, res))) {
+        return;
+      }
+
+      const subflow = await this.db.subflow.create({
+        data: {
+          name,
+          description: typeof req.body.description === 'string' ? req.body.description.trim().slice(0, 500) : null,
+          latest_version: 1,
+        },
+      });
+      await this.recordVersion(subflow.id, 1, validation.version, req.user);
+      await this.recordAudit(req.user, 'CREATE', subflow.id);
+
+      logger.success(`Sub-flow created: ${name} (${subflow.id})`);
+
+      res.status(201).json({
+        success: true,
+        data: { ...subflow, ...validation.version },
+      });
+    } catch (error) {
+      logger.error('Failed to create sub-flow:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create sub-flow',
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Save a new version of a sub-flow
+   * Earlier versions are kept as they were, so plugins calling them keep working until they are updated.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async update(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const existing = await this.db.subflow.findUnique({ where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sub-flow not found',
+        });
+      }
+
+      const validation = validateSubflowVersion(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid sub-flow',
+          details: validation.error,
+        });
+      }
+
+      const version = existing.latest_version + 1;
+      if (!(await this.checkCompiles({ id: existing.id, name: existing.name, version, ...validation.version }, res))) {
+        return;
+      }
+
+      await this.recordVersion(existing.id, version, validation.version, req.user);
+      const subflow = await this.db.subflow.update({
+        where: { id: existing.id },
+        data: {
+          latest_version: version,
+          description: typeof req.body.description === 'string'
+            ? req.body.description.trim().slice(0, 500)
+            : existing.description,
+        },
+      });
+
+      await this.recordAudit(req.user, 'UPDATE', existing.id);
+
+      logger.success(`Sub-flow ${existing.name} saved as v${version}`);
+
+      res.json({
+        success: true,
+        data: { ...subflow, ...validation.version },
+      });
+    } catch (error) {
+      logger.error('Failed to update sub-flow:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update sub-flow',
+        details: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a sub-flow and all its versions, unless a plugin or another sub-flow calls it
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async delete(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const subflow = await this.db.subflow.findUnique({ where: { id: req.params.id } });
+      if (!subflow) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sub-flow not found',
+        });
+      }
+
+      const dependents = await findSubflowDependents(this.db, subflow.id);
+      if (dependents.plugins.length > 0 || dependents.subflows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Sub-flow is still called by plugins or other sub-flows',
+          details: dependents,
+        });
+      }
+
+      await this.db.subflow.delete({ where: { id: subflow.id } });
+      await this.recordAudit(req.user, 'DELETE', subflow.id);
+
+      logger.success(`Sub-flow deleted: ${subflow.name} (${subflow.id})`);
+
+      res.json({
+        success: true,
+        message: 'Sub-flow deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Failed to delete sub-flow:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete sub-flow',
+      });
+    }
+  }
+
+  /**
+   * List the plugins and sub-flows that call a sub-flow and the versions they are pinned to
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async getDependents(req, res) {
+    try {
+      if (!this.db) {
+        return res.status(500).json({
+          success: false,
+          error: 'Database not available',
+        });
+      }
+
+      const subflow = await this.db.subflow.findUnique({ where: { id: req.params.id } });
+      if (!subflow) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sub-flow not found',
+        });
+      }
+
+      const dependents = await findSubflowDependents(this.db, subflow.id);
+      const outdated = (entry) => ({ ...entry, outdated: entry.versions.some(version => version < subflow.latest_version) });
+
+      res.json({
+        success: true,
+        data: {
+          latest_version: subflow.latest_version,
+          plugins: dependents.plugins.map(outdated),
+          subflows: dependents.subflows.map(outdated),
+        },
+      });
+    } catch (error) {
+      logger.error('Failed to fetch sub-flow dependents:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sub-flow dependents',
+      });
+    }
+  }
+
+  /**
+   * Check a sub-flow version is a valid graph that compiles with the sub-flows it calls
+   * @param {Object} definition - Sub-flow version to check
+   * @param {Object} res - Express response, a 400 is sent when the check fails
+   * @returns {Promise<boolean>} Whether the version can be saved
+   */
+  async checkCompiles(definition, res) {
+    const graphValidation = this.compiler.validateSubflow(definition.nodes, definition.edges);
+    if (!graphValidation.valid) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid node graph',
+        details: graphValidation.errors,
+      });
+      return false;
+    }
+
+    const { subflows, errors } = await resolveSubflows(this.db, definition.nodes);
+    if (errors.length > 0) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid sub-flow call',
+        details: errors,
+      });
+      return false;
+    }
+
+    try {
+      this.compiler.compileSubflow(definition, { subflows });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Sub-flow does not compile',
+        details: error.message,
+      });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Store a version of a sub-flow
+   * @param {string} subflowId - Sub-flow ID
+   * @param {number} version - Version number
+   * @param {Object} data - Validated inputs, outputs, nodes, edges and message
+   * @param {Object} user - User saving the version
+   * @returns {Promise<Object>} Stored version row
+   */
+  async recordVersion(subflowId, version, data, user) {
+    // Only link users that exist in the database
+    let createdBy = null;
+    if (user?.id) {
+      const userExists = await this.db.user.findUnique({
+        where: { id: user.id },
+        select: { id: true },
+      });
+      createdBy = userExists ? user.id : null;
+    }
+
+    return this.db.subflowVersion.create({
+      data: {
+        ...data,
+        subflow_id: subflowId,
+        version,
+        created_by: createdBy,
+        author: user?.username || null,
+      },
+    });
+  }
+
+  /**
+   * Add an audit log entry for a sub-flow change (only if the user exists in the database)
+   * @param {Object} user - User making the change
+   * @param {string} action - CREATE, UPDATE or DELETE
+   * @param {string} subflowId - Sub-flow ID
+   */
+  async recordAudit(user, action, subflowId) {
+    if (!user?.id) {
+      return;
+    }
+
+    try {
+      const userExists = await this.db.user.findUnique({
+        where: { id: user.id },
+        select: { id: true },
+      });
+
+      if (userExists) {
+        await this.db.auditLog.create({
+          data: {
+            user_id: user.id,
+            action,
+            resource_type: 'subflow',
+            resource_id: subflowId,
+          },
+        });
+      }
+    } catch (auditError) {
+      logger.warn(`Failed to create audit log for sub-flow ${action.toLowerCase()}:`, auditError.message);
+    }
+  }
+}
+
+export default SubflowController;
@@ -16,14 +16,18 @@ import { join } from 'path';
 // import { dirname } from 'path';
 import { Logger } from '@dismodular/shared';
 import DatabaseModel from './models/Database.js';
-import { initializePassport, requireApprovedAccess, requireAdmin } from './middleware/auth.js';
-import { authLimiter, apiLimiter, pluginLimiter, adminLimiter, guildLimiter, expensiveOperationLimiter } from './middleware/rateLimiter.js';
+import { initializePassport, requireApprovedAccess, authenticateApiToken, requireTokenScope, requireSession } from './middleware/auth.js';
+import { authLimiter, apiLimiter, pluginLimiter, adminLimiter, guildLimiter, apiTokenLimiter, expensiveOperationLimiter } from './middleware/rateLimiter.js';
 import PluginController from './controllers/PluginController.js';
+import SubflowController from './controllers/SubflowController.js';
 import { createPluginRoutes } from './routes/plugins.js';
 import { createBotRoutes } from './routes/bot.js';
 import { createAuthRoutes } from './routes/auth.js';
 import { createAdminRoutes } from './routes/admin.js';
 import { createGuildRoutes } from './routes/guild.js';
+import { createSubflowRoutes } from './routes/subflows.js';
+import { createTokenRoutes } from './routes/tokens.js';
+import WebhookDispatcher from './services/WebhookDispatcher.js';
 
 // const __filename = fileURLToPath(import.meta.url);
 // const __dirname = dirname(__filename);
@@ -137,8 +141,13 @@ app.use(passport.initialize());
 app.use(passport.session());
 initializePassport(config.discord);
 
+// Personal API tokens sign requests in without a session
+// Token requests are rate limited before the lookup, so guessing tokens cannot flood the database
+app.use(apiTokenLimiter, authenticateApiToken);
+
 // Add CSRF protection middleware
-app.use(lusca.csrf({
+// Token requests carry no cookies a browser could send on their own, so they skip it
+const csrfProtection = lusca.csrf({
   cookie: {
     name: '_csrf',
     options: {
@@ -147,10 +156,15 @@ app.use(lusca.csrf({
       sameSite: 'lax'
     }
   }
-}));
+});
+app.use((req, res, next) => (req.apiToken ? next() : csrfProtection(req, res, next)));
 
 // Initialize controllers
 const pluginController = new PluginController(db, config.pluginsDir);
+const subflowController = new SubflowController(db);
+
+// Outgoing webhooks are sent from the API, with retries, until delivered or given up
+const webhookDispatcher = db ? new WebhookDispatcher(db) : null;
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -179,11 +193,13 @@ app.get('/csrf-token', (req, res) => {
 
 // API routes (no /api prefix since Traefik handles routing)
 // Registering routes...
-app.use('/auth', authLimiter, createAuthRoutes());
-app.use('/plugins', requireApprovedAccess, expensiveOperationLimiter, createPluginRoutes(pluginController));
-app.use('/bot', apiLimiter, createBotRoutes(db));
-app.use('/admin', requireAdmin, expensiveOperationLimiter, createAdminRoutes());
-app.use('/guilds', requireAdmin, expensiveOperationLimiter, createGuildRoutes());
+app.use('/auth', authLimiter, requireSession, createAuthRoutes());
+app.use('/plugins', requireApprovedAccess, requireTokenScope('plugins'), expensiveOperationLimiter, createPluginRoutes(pluginController));
+app.use('/subflows', requireApprovedAccess, requireTokenScope('plugins'), expensiveOperationLimiter, createSubflowRoutes(subflowController));
+app.use('/bot', apiLimiter, requireSession, createBotRoutes(db));
+app.use('/admin', requireApprovedAccess, requireSession, expensiveOperationLimiter, createAdminRoutes());
+app.use('/guilds', requireApprovedAccess, requireTokenScope('guilds'), expensiveOperationLimiter, createGuildRoutes());
+app.use('/tokens', apiLimiter, requireApprovedAccess, createTokenRoutes());
 // Routes registered successfully
 
 // Middleware to inject CSRF token into HTML responses
@@ -256,6 +272,7 @@ app.use((req, res) => {
 const server = app.listen(config.port, () => {
   logger.success(`API Server listening on port ${config.port}`);
   logger.info(`API URL: http://localhost:${config.port}`);
+  webhookDispatcher?.start();
 });
 
 // Handle server errors
@@ -274,6 +291,7 @@ server.on('error', (error) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT, shutting down gracefully...');
+  webhookDispatcher?.stop();
   server.close(async () => {
     await database.close();
     logger.success('API Server stopped');
@@ -283,6 +301,7 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM, shutting down gracefully...');
+  webhookDispatcher?.stop();
   server.close(async () => {
     await database.close();
     logger.success('API Server stopped');
@@ -6,8 +6,9 @@
 
 import passport from 'passport';
 import { Strategy as DiscordStrategy } from 'passport-discord';
-import { Logger } from '@dismodular/shared';
+import { Logger, hasPermission, UserRoles, tokenHasScope, getRequiredTokenScope } from '@dismodular/shared';
 import { getPrismaClient } from '../services/PrismaService.js';
+import { findApiToken, recordApiTokenUse } from '../services/ApiTokenService.js';
 
 const logger = new Logger('AuthMiddleware');
 
@@ -70,6 +71,7 @@ export function initializePassport(config) {
               access_token: accessToken,
               refresh_token: refreshToken,
               is_admin: isInitialAdmin || undefined, // Only update admin status if this is initial admin
+              role: isInitialAdmin ? UserRoles.ADMIN : undefined,
               last_login: new Date(),
             },
             create: {
@@ -80,6 +82,7 @@ export function initializePassport(config) {
               access_token: accessToken,
               refresh_token: refreshToken,
               is_admin: isInitialAdmin,
+              role: isInitialAdmin ? UserRoles.ADMIN : UserRoles.VIEWER,
               access_status: isInitialAdmin ? 'approved' : 'pending',
               admin_notes: isInitialAdmin ? 'Initial admin from environment' : null,
             },
@@ -102,6 +105,89 @@ export function initializePassport(config) {
   logger.success('Passport initialized with Discord OAuth');
 }
 
+/**
+ * Middleware that signs requests in with a personal API token sent as `Authorization: Bearer`
+ * The token's user becomes req.user and the token is kept on req.apiToken. Requests without a
+ * bearer token fall through to the session; an invalid one is rejected rather than ignored.
+ */
+export async function authenticateApiToken(req, res, next) {
+  const header = req.headers.authorization;
+  if (typeof header !== 'string' || !header.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const prisma = getPrismaClient();
+    if (!prisma) {
+      return res.status(503).json({
+        success: false,
+        error: 'Database not available',
+      });
+    }
+
+    const apiToken = await findApiToken(prisma, header.slice('Bearer '.length).trim());
+    if (!apiToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API token',
+        details: 'The token is unknown, revoked or expired',
+      });
+    }
+
+    req.user = apiToken.user;
+    req.apiToken = { id: apiToken.id, name: apiToken.name, scopes: apiToken.scopes };
+
+    try {
+      await recordApiTokenUse(prisma, apiToken, { method: req.method, path: req.originalUrl, ip: req.ip });
+    } catch (error) {
+      logger.warn(`Failed to record use of API token ${apiToken.id}:`, error.message);
+    }
+
+    return next();
+  } catch (error) {
+    logger.error('API token authentication failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to check API token',
+    });
+  }
+}
+
+/**
+ * Create middleware that limits API token requests to the token's scopes for an area
+ * Session requests pass straight through
+ * @param {string} area - API area, e.g. plugins or guilds
+ * @returns {Function} Express middleware
+ */
+export function requireTokenScope(area) {
+  return (req, res, next) => {
+    if (!req.apiToken || tokenHasScope(req.apiToken.scopes, area, req.method)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient token scope',
+      details: `Requires the ${getRequiredTokenScope(area, req.method)} scope`,
+    });
+  };
+}
+
+/**
+ * Middleware that keeps API tokens out of routes only the dashboard session may use
+ */
+export function requireSession(req, res, next) {
+  if (!req.apiToken) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'API tokens cannot be used here',
+    details: 'Sign in to the dashboard instead',
+  });
+}
+
 /**
  * Middleware to check if user is authenticated
  */
@@ -138,6 +224,33 @@ export function requireAdmin(req, res, next) {
   return next();
 }
 
+/**
+ * Create middleware that requires a role permission
+ * @param {string} permission - Permission from Permissions in @dismodular/shared
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      logger.warn(`User ${req.user.username} without ${permission} attempted to access ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        details: `Requires the ${permission} permission`,
+      });
+    }
+
+    return next();
+  };
+}
+
 /**
  * Middleware to optionally authenticate user
  */
@@ -192,6 +305,10 @@ export default {
   initializePassport,
   requireAuth,
   requireAdmin,
+  requirePermission,
+  authenticateApiToken,
+  requireTokenScope,
+  requireSession,
   optionalAuth,
 };
 
@@ -157,6 +157,28 @@ export const templateLimiter = rateLimit({
   },
 });
 
+/**
+ * API token rate limiter
+ * 100 requests per minute for requests carrying an API token, counted before the token is looked up
+ * Keyed by IP alone, so changing the user agent does not buy more token guesses
+ */
+export const apiTokenLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 100,
+  message: {
+    success: false,
+    error: 'Too many API token requests, please slow down',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => {
+    // Requests without a token never reach the token lookup
+    const header = req.headers.authorization;
+    return typeof header !== 'string' || !header.startsWith('Bearer ');
+  },
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+});
+
 /**
  * Expensive operations rate limiter
  * 10 requests per minute for operations that make external API calls
@@ -190,5 +212,6 @@ export default {
   adminLimiter,
   guildLimiter,
   templateLimiter,
+  apiTokenLimiter,
   expensiveOperationLimiter,
 };
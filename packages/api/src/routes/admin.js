@@ -6,8 +6,20 @@
  */
 
 import express from 'express';
-import { requireAdmin } from '../middleware/auth.js';
+import { Permissions, UserRoles, WebhookEvents, MAX_WEBHOOKS, isValidRole } from '@dismodular/shared';
+import { requirePermission } from '../middleware/auth.js';
 import { getPrismaClient } from '../services/PrismaService.js';
+import { AnalyticsService, parseAnalyticsDays } from '../services/AnalyticsService.js';
+import {
+  validateWebhookRequest,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  redeliverWebhookDelivery,
+  enqueueWebhookEvent,
+} from '../services/WebhookService.js';
 
 // Helper function to get Prisma client with error handling
 function getPrisma() {
@@ -23,20 +35,80 @@ function getPrisma() {
  */
 export function createAdminRoutes() {
   const router = express.Router();
+  const requireUserManager = requirePermission(Permissions.USERS_MANAGE);
+  const requireAnalytics = requirePermission(Permissions.ANALYTICS_READ);
+  const requireWebhookManager = requirePermission(Permissions.WEBHOOKS_MANAGE);
+
+  /**
+   * Load the webhook a request is about, or answer 404
+   * @returns {Promise<Object|null>} Webhook row, or null once the response is sent
+   */
+  const findWebhook = async (req, res) => {
+    const webhook = await getPrisma().webhook.findUnique({
+      where: { id: req.params.id },
+    });
+    if (!webhook) {
+      res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+      return null;
+    }
+    return webhook;
+  };
+
+  /**
+   * Record a webhook change in the audit log
+   */
+  const auditWebhook = (req, action, webhookId, details) => getPrisma().auditLog.create({
+    data: {
+      user_id: req.user.id,
+      action,
+      resource_type: 'webhook',
+      resource_id: webhookId,
+      details,
+    },
+  });
 
   /**
    * PUT /api/admin/users/:id/toggle-admin
    * Toggle admin status for a user
+   * Revoking admin makes an admin a viewer and leaves any other role as it is.
    */
-  router.put('/users/:id/toggle-admin', requireAdmin, async (req, res) => {
+  router.put('/users/:id/toggle-admin', requireUserManager, async (req, res) => {
     try {
       const { id } = req.params;
       const { is_admin, admin_notes } = req.body;
-      
+
+      // Admins demoting themselves could leave nobody able to manage users
+      if (id === req.user.discord_id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot change your own admin status',
+        });
+      }
+
+      const user = await getPrisma().user.findUnique({
+        where: { discord_id: id },
+        select: { role: true },
+      });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+
+      let role = UserRoles.ADMIN;
+      if (!is_admin) {
+        role = user.role === UserRoles.ADMIN ? UserRoles.VIEWER : user.role;
+      }
+
       await getPrisma().user.update({
         where: { discord_id: id },
         data: {
-          is_admin: is_admin,
+          is_admin: Boolean(is_admin),
+          role,
           admin_notes: admin_notes || null,
         },
       });
@@ -63,11 +135,75 @@ export function createAdminRoutes() {
     }
   });
 
+  /**
+   * PUT /api/admin/users/:userId/role
+   * Assign a dashboard role: viewer, author, guild_manager or admin
+   */
+  router.put('/users/:userId/role', requireUserManager, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (!isValidRole(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid role',
+          details: `Role must be one of: ${Object.values(UserRoles).join(', ')}`,
+        });
+      }
+
+      // Admins demoting themselves could leave nobody able to manage users
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot change your own role',
+        });
+      }
+
+      const user = await getPrisma().user.update({
+        where: { id: userId },
+        data: {
+          role,
+          is_admin: role === UserRoles.ADMIN,
+        },
+        select: { id: true, username: true, role: true, is_admin: true },
+      });
+
+      await getPrisma().auditLog.create({
+        data: {
+          user_id: req.user.id,
+          action: 'UPDATE_ROLE',
+          resource_type: 'User',
+          resource_id: userId,
+          details: { role },
+        },
+      });
+
+      res.json({
+        success: true,
+        data: user,
+        message: `${user.username} is now ${role.replace('_', ' ')}`,
+      });
+    } catch (error) {
+      if (error.code === 'P2025') {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found',
+        });
+      }
+      console.error('Failed to update user role:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user role',
+      });
+    }
+  });
+
   /**
    * POST /api/admin/users/add-admin
    * Add admin privileges to a user by Discord ID
    */
-  router.post('/users/add-admin', requireAdmin, async (req, res) => {
+  router.post('/users/add-admin', requireUserManager, async (req, res) => {
     try {
       const { discord_id, admin_notes } = req.body;
       
@@ -83,6 +219,7 @@ export function createAdminRoutes() {
         where: { discord_id },
         update: {
           is_admin: true,
+          role: UserRoles.ADMIN,
           admin_notes: admin_notes || 'Admin privileges granted',
         },
         create: {
@@ -91,6 +228,7 @@ export function createAdminRoutes() {
           discriminator: '0000',
           avatar: null,
           is_admin: true,
+          role: UserRoles.ADMIN,
           admin_notes: admin_notes || 'Admin privileges pre-granted',
         },
       });
@@ -114,7 +252,7 @@ export function createAdminRoutes() {
    * GET /api/admin/stats
    * Get admin dashboard statistics
    */
-  router.get('/stats', requireAdmin, async (req, res) => {
+  router.get('/stats', requireAnalytics, async (req, res) => {
     try {
       const [
         totalUsers,
@@ -160,136 +298,24 @@ export function createAdminRoutes() {
   /**
    * GET /api/admin/analytics
    * Get analytics data for dashboard
+   * Query: days (breakdown window, default 30), guildId and pluginId (optional filters)
    */
-  router.get('/analytics', requireAdmin, async (req, res) => {
+  router.get('/analytics', requireAnalytics, async (req, res) => {
     try {
-      // Total commands executed
-      const totalCommands = await getPrisma().commandExecution.count();
-      const commands24h = await getPrisma().commandExecution.count({
-        where: {
-          created_at: {
-            gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
-          },
-        },
-      });
-      const commands7d = await getPrisma().commandExecution.count({
-        where: {
-          created_at: {
-            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-          },
-        },
-      });
+      const days = parseAnalyticsDays(req.query.days);
+      const guildId = typeof req.query.guildId === 'string' && req.query.guildId ? req.query.guildId : null;
+      const pluginId = typeof req.query.pluginId === 'string' && req.query.pluginId ? req.query.pluginId : null;
 
-      // Unique users
-      const totalUsers = await getPrisma().commandExecution.groupBy({
-        by: ['user_id'],
-        where: {
-          user_id: {
-            not: null,
-          },
-        },
-      }).then(result => result.length);
-      const users24h = await getPrisma().commandExecution.groupBy({
-        by: ['user_id'],
-        where: {
-          created_at: {
-            gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
-          },
-          user_id: {
-            not: null,
-          },
-        },
-      }).then(result => result.length);
-      const users7d = await getPrisma().commandExecution.groupBy({
-        by: ['user_id'],
-        where: {
-          created_at: {
-            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-          },
-          user_id: {
-            not: null,
-          },
-        },
-      }).then(result => result.length);
-
-      // Success rate
-      const successCount = await getPrisma().commandExecution.count({
-        where: {
-          success: true,
-        },
-      });
-      const successRate = totalCommands > 0 ? (successCount / totalCommands * 100).toFixed(1) : 0;
-
-      // Average execution time
-      const avgTimeResult = await getPrisma().commandExecution.aggregate({
-        _avg: {
-          execution_time_ms: true,
-        },
-        where: {
-          execution_time_ms: {
-            not: null,
-          },
-        },
-      });
-      const avgTime = avgTimeResult._avg.execution_time_ms || 0;
-
-      // Top 5 plugins by usage
-      const topPlugins = await getPrisma().commandExecution.groupBy({
-        by: ['plugin_id'],
-        _count: {
-          id: true,
-        },
-        orderBy: {
-          _count: {
-            id: 'desc',
-          },
-        },
-        take: 5,
-      });
-
-      // Recent activity (last 50 executions)
-      const recentActivity = await getPrisma().commandExecution.findMany({
-        take: 50,
-        orderBy: {
-          created_at: 'desc',
-        },
-        include: {
-          user: {
-            select: {
-              username: true,
-            },
-          },
-          plugin: {
-            select: {
-              name: true,
-            },
-          },
-        },
-      });
-
-      // Hourly usage for last 24 hours
-      const hourlyUsage = await getPrisma().commandExecution.groupBy({
-        by: ['created_at'],
-        _count: {
-          id: true,
-        },
-        where: {
-          created_at: {
-            gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
-          },
-        },
-      });
+      const [overview, breakdowns] = await Promise.all([
+        AnalyticsService.getOverview(),
+        AnalyticsService.getBreakdowns({ days, guildId, pluginId }),
+      ]);
 
       res.json({
         success: true,
         data: {
-          totalCommands: { all: totalCommands, day: commands24h, week: commands7d },
-          uniqueUsers: { all: totalUsers, day: users24h, week: users7d },
-          successRate: parseFloat(successRate),
-          avgExecutionTime: Math.round(avgTime),
-          topPlugins,
-          recentActivity,
-          hourlyUsage,
+          ...overview,
+          breakdowns,
         },
       });
     } catch (error) {
@@ -305,7 +331,7 @@ export function createAdminRoutes() {
    * GET /api/admin/access-requests
    * Get pending access requests
    */
-  router.get('/access-requests', requireAdmin, async (req, res) => {
+  router.get('/access-requests', requireUserManager, async (req, res) => {
     try {
       const pendingUsers = await getPrisma().user.findMany({
         where: {
@@ -345,7 +371,7 @@ export function createAdminRoutes() {
    * POST /api/admin/access-requests/:userId/approve
    * Approve access request
    */
-  router.post('/access-requests/:userId/approve', requireAdmin, async (req, res) => {
+  router.post('/access-requests/:userId/approve', requireUserManager, async (req, res) => {
     try {
       const { userId } = req.params;
       const { message } = req.body;
@@ -386,7 +412,7 @@ export function createAdminRoutes() {
    * POST /api/admin/access-requests/:userId/deny
    * Deny access request
    */
-  router.post('/access-requests/:userId/deny', requireAdmin, async (req, res) => {
+  router.post('/access-requests/:userId/deny', requireUserManager, async (req, res) => {
     try {
       const { userId } = req.params;
       const { message } = req.body;
@@ -434,7 +460,7 @@ export function createAdminRoutes() {
    * POST /api/admin/users/:userId/revoke-access
    * Revoke access from an approved user
    */
-  router.post('/users/:userId/revoke-access', requireAdmin, async (req, res) => {
+  router.post('/users/:userId/revoke-access', requireUserManager, async (req, res) => {
     try {
       const { userId } = req.params;
       const { reason } = req.body;
@@ -517,7 +543,7 @@ export function createAdminRoutes() {
    * POST /api/admin/users/:userId/grant-access
    * Grant access to a user (approve or re-approve)
    */
-  router.post('/users/:userId/grant-access', requireAdmin, async (req, res) => {
+  router.post('/users/:userId/grant-access', requireUserManager, async (req, res) => {
     try {
       const { userId } = req.params;
       const { message } = req.body;
@@ -571,7 +597,7 @@ export function createAdminRoutes() {
    * GET /api/admin/users
    * Get all users with their access status and detailed information
    */
-  router.get('/users', requireAdmin, async (req, res) => {
+  router.get('/users', requireUserManager, async (req, res) => {
     try {
       const users = await getPrisma().user.findMany({
         select: {
@@ -581,6 +607,7 @@ export function createAdminRoutes() {
           discriminator: true,
           avatar: true,
           is_admin: true,
+          role: true,
           admin_notes: true,
           access_status: true,
           access_message: true,
@@ -706,6 +733,248 @@ export function createAdminRoutes() {
     }
   });
 
+  /**
+   * GET /api/admin/webhooks
+   * List webhooks, without their signing secrets
+   */
+  router.get('/webhooks', requireWebhookManager, async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await listWebhooks(getPrisma()),
+        events: Object.values(WebhookEvents).filter(event => event !== WebhookEvents.PING),
+      });
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhooks',
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks
+   * Register a webhook; the response is the only time its signing secret is shown
+   */
+  router.post('/webhooks', requireWebhookManager, async (req, res) => {
+    try {
+      const validation = validateWebhookRequest(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook',
+          details: validation.error,
+        });
+      }
+
+      if (await getPrisma().webhook.count() >= MAX_WEBHOOKS) {
+        return res.status(400).json({
+          success: false,
+          error: 'Too many webhooks',
+          details: `Delete a webhook first, up to ${MAX_WEBHOOKS} can be registered`,
+        });
+      }
+
+      const webhook = await createWebhook(getPrisma(), req.user.id, req.body);
+      await auditWebhook(req, 'CREATE_WEBHOOK', webhook.id, { name: webhook.name, url: webhook.url, events: webhook.events });
+
+      res.status(201).json({
+        success: true,
+        data: webhook,
+      });
+    } catch (error) {
+      if (error.statusCode === 503) {
+        return res.status(503).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      console.error('Error creating webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook',
+      });
+    }
+  });
+
+  /**
+   * PUT /api/admin/webhooks/:id
+   * Change a webhook's name, URL, events or enabled flag
+   */
+  router.put('/webhooks/:id', requireWebhookManager, async (req, res) => {
+    try {
+      const current = await findWebhook(req, res);
+      if (!current) {return;}
+
+      const { name, url, events, enabled } = req.body;
+      const validation = validateWebhookRequest({ name, url, events, enabled }, current);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid webhook',
+          details: validation.error,
+        });
+      }
+
+      const webhook = await updateWebhook(getPrisma(), current.id, { name, url, events, enabled });
+      await auditWebhook(req, 'UPDATE_WEBHOOK', webhook.id, { name: webhook.name, url: webhook.url, events: webhook.events, enabled: webhook.enabled });
+
+      res.json({
+        success: true,
+        data: webhook,
+      });
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook',
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/webhooks/:id
+   * Delete a webhook with its delivery log
+   */
+  router.delete('/webhooks/:id', requireWebhookManager, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) {return;}
+
+      await getPrisma().webhook.delete({
+        where: { id: webhook.id },
+      });
+      await auditWebhook(req, 'DELETE_WEBHOOK', webhook.id, { name: webhook.name, url: webhook.url });
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted',
+      });
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook',
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks/:id/rotate-secret
+   * Replace a webhook's signing secret; deliveries not yet sent are signed with the new one
+   */
+  router.post('/webhooks/:id/rotate-secret', requireWebhookManager, async (req, res) => {
+    try {
+      const current = await findWebhook(req, res);
+      if (!current) {return;}
+
+      const webhook = await rotateWebhookSecret(getPrisma(), current.id);
+      await auditWebhook(req, 'ROTATE_WEBHOOK_SECRET', webhook.id, { name: webhook.name });
+
+      res.json({
+        success: true,
+        data: webhook,
+      });
+    } catch (error) {
+      if (error.statusCode === 503) {
+        return res.status(503).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate webhook secret',
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks/:id/test
+   * Queue a ping delivery, to check the endpoint receives and verifies payloads
+   */
+  router.post('/webhooks/:id/test', requireWebhookManager, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) {return;}
+
+      if (!webhook.enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Webhook is disabled',
+        });
+      }
+
+      await enqueueWebhookEvent(getPrisma(), WebhookEvents.PING, { webhook_id: webhook.id, sent_by: req.user.id }, { webhookId: webhook.id });
+
+      res.json({
+        success: true,
+        message: 'Ping queued',
+      });
+    } catch (error) {
+      console.error('Error testing webhook:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to test webhook',
+      });
+    }
+  });
+
+  /**
+   * GET /api/admin/webhooks/:id/deliveries
+   * Delivery log of a webhook, newest first
+   */
+  router.get('/webhooks/:id/deliveries', requireWebhookManager, async (req, res) => {
+    try {
+      const webhook = await findWebhook(req, res);
+      if (!webhook) {return;}
+
+      const limit = parseInt(req.query.limit, 10) || 50;
+      res.json({
+        success: true,
+        data: await listWebhookDeliveries(getPrisma(), webhook.id, limit),
+      });
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook deliveries',
+      });
+    }
+  });
+
+  /**
+   * POST /api/admin/webhooks/:id/deliveries/:deliveryId/redeliver
+   * Send a delivered or failed delivery again
+   */
+  router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requireWebhookManager, async (req, res) => {
+    try {
+      const { id, deliveryId } = req.params;
+      if (!(await redeliverWebhookDelivery(getPrisma(), id, deliveryId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found',
+          details: 'Only delivered or failed deliveries can be sent again',
+        });
+      }
+
+      await auditWebhook(req, 'REDELIVER_WEBHOOK', id, { delivery_id: deliveryId });
+
+      res.json({
+        success: true,
+        message: 'Delivery queued',
+      });
+    } catch (error) {
+      console.error('Error redelivering webhook delivery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to redeliver webhook delivery',
+      });
+    }
+  });
+
   return router;
 }
 
@@ -6,8 +6,10 @@
 
 import { Router } from 'express';
 import passport from 'passport';
+import { getUserRole, getUserPermissions, WebhookEvents } from '@dismodular/shared';
 import { getPrismaClient } from '../services/PrismaService.js';
 import DiscordApiCacheService, { generateCacheKey, CACHE_TTL } from '../services/DiscordApiCacheService.js';
+import { enqueueWebhookEvent } from '../services/WebhookService.js';
 
 // Cache for bot guild IDs (5 minute TTL)
 const botGuildCache = {
@@ -410,6 +412,8 @@ export function createAuthRoutes() {
             avatar: freshUser.avatar,
             discord_id: freshUser.discord_id,
             is_admin: Boolean(freshUser.is_admin),
+            role: getUserRole(freshUser),
+            permissions: getUserPermissions(freshUser),
             access_status: freshUser.access_status,
             access_message: freshUser.access_message,
             access_requested_at: freshUser.access_requested_at,
@@ -603,6 +607,12 @@ export function createAuthRoutes() {
         throw error;
       }
 
+      await enqueueWebhookEvent(prisma, WebhookEvents.ACCESS_REQUESTED, {
+        user: { id: req.user.id, username: req.user.username, discord_id: req.user.discord_id },
+        message: message || null,
+        requested_at: updatedUser.access_requested_at,
+      });
+
       console.log(`Access request submitted for user ${req.user.id}:`, {
         userId: req.user.id,
         username: req.user.username,
@@ -7,9 +7,24 @@
 
 import { Router } from 'express';
 import { getPrismaClient } from '../services/PrismaService.js';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import axios from 'axios';
 import { expensiveOperationLimiter } from '../middleware/rateLimiter.js';
+import {
+  PluginTypes,
+  Permissions,
+  hasPermission,
+  canEditPlugin,
+  isPluginAvailableInGuild,
+  validateSchedule,
+  getNextScheduleRun,
+  validateUsageLimits,
+  validateEgressPolicy,
+  WebhookEvents,
+} from '@dismodular/shared';
+import { validateSecret, listSecrets, setSecret, deleteSecret } from '../services/SecretService.js';
+import { verifyGuildAdminPermission } from '../services/GuildPermissionService.js';
+import { enqueueWebhookEvent } from '../services/WebhookService.js';
 
 // Import getUserGuilds from auth routes
 async function getUserGuilds(accessToken) {
@@ -33,6 +48,9 @@ async function getUserGuilds(accessToken) {
 
 const router = Router();
 
+// Routes across every guild the bot is in
+const requireGuildManager = requirePermission(Permissions.GUILDS_MANAGE);
+
 // Helper function to get Prisma client with error handling
 function getPrisma() {
   const prisma = getPrismaClient();
@@ -42,123 +60,11 @@ function getPrisma() {
   return prisma;
 }
 
-/**
- * Helper function to verify guild admin permissions with caching
- */
-async function verifyGuildAdminPermission(userId, guildId, accessToken) {
-  // Check cached guild permissions first
-  const cachedPermission = await getPrisma().userGuildPermission.findFirst({
-    where: {
-      user_id: userId,
-      guild_id: guildId,
-    },
-  });
-
-  let hasAdminPermission = false;
-
-  if (cachedPermission) {
-    // Check if cache is still valid (less than 5 minutes old)
-    const cacheAge = Date.now() - cachedPermission.updated_at.getTime();
-    const fiveMinutes = 5 * 60 * 1000;
-    
-    if (cacheAge < fiveMinutes) {
-      hasAdminPermission = cachedPermission.is_admin;
-    } else {
-      // Cache expired, need to refresh
-      try {
-        const discordResponse = await axios.get('https://discord.com/api/users/@me/guilds', {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-          },
-          timeout: 5000,
-        });
-
-        const userGuilds = discordResponse.data;
-        const targetGuild = userGuilds.find(guild => guild.id === guildId);
-        
-        if (targetGuild) {
-          hasAdminPermission = (targetGuild.permissions & 0x8) === 0x8;
-          
-          // Update cache
-          await getPrisma().userGuildPermission.upsert({
-            where: {
-              user_id_guild_id: {
-                user_id: userId,
-                guild_id: guildId,
-              },
-            },
-            update: {
-              is_admin: hasAdminPermission,
-              permissions: targetGuild.permissions,
-              updated_at: new Date(),
-            },
-            create: {
-              user_id: userId,
-              guild_id: guildId,
-              is_admin: hasAdminPermission,
-              permissions: targetGuild.permissions,
-            },
-          });
-        }
-      } catch (discordError) {
-        // If Discord API fails, use cached permission as fallback
-        if (cachedPermission) {
-          hasAdminPermission = cachedPermission.is_admin;
-          const safeGuildId = String(guildId).replace(/[\r\n]/g, '');
-          console.warn('Discord API failed for guild %s, using cached permission:', safeGuildId, discordError.message);
-        } else {
-          throw new Error('Unable to verify guild permissions. Please try again later.');
-        }
-      }
-    }
-  } else {
-    // No cache, fetch from Discord
-    try {
-      const discordResponse = await axios.get('https://discord.com/api/users/@me/guilds', {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-        },
-        timeout: 5000,
-      });
-
-      const userGuilds = discordResponse.data;
-      const targetGuild = userGuilds.find(guild => guild.id === guildId);
-      
-      if (!targetGuild) {
-        throw new Error('Guild not found or you are not a member');
-      }
-
-      hasAdminPermission = (targetGuild.permissions & 0x8) === 0x8;
-      
-      // Cache the result
-      await getPrisma().userGuildPermission.create({
-        data: {
-          user_id: userId,
-          guild_id: guildId,
-          is_admin: hasAdminPermission,
-          permissions: targetGuild.permissions,
-        },
-      });
-    } catch (discordError) {
-      if (discordError.response?.status === 429) {
-        const error = new Error('Rate limited by Discord. Please wait a moment and try again.');
-        error.statusCode = 429;
-        error.retryAfter = discordError.response.data?.retry_after || 1;
-        throw error;
-      }
-      
-      throw new Error('Unable to verify guild permissions. Please try again later.');
-    }
-  }
-
-  return hasAdminPermission;
-}
-
 /**
  * GET /guilds
  * List all guilds the bot is in
  */
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', requireGuildManager, async (req, res) => {
   try {
     const guilds = await getPrisma().guild.findMany({
       orderBy: { created_at: 'desc' },
@@ -204,7 +110,7 @@ router.get('/', requireAdmin, async (req, res) => {
  * GET /guilds/:guildId/plugins
  * Get plugins enabled for a specific guild
  */
-router.get('/:guildId/plugins', requireAdmin, async (req, res) => {
+router.get('/:guildId/plugins', requireGuildManager, async (req, res) => {
   try {
     const { guildId } = req.params;
 
@@ -254,8 +160,8 @@ router.get('/:guildId/plugins/all', requireAuth, expensiveOperationLimiter, asyn
     const { guildId } = req.params;
     const userId = req.user.id;
 
-    // Global admins have access to all guilds
-    if (!req.user.is_admin) {
+    // Guild managers and admins have access to all guilds
+    if (!hasPermission(req.user, Permissions.GUILDS_MANAGE)) {
       // Verify user has admin access to this guild using cached permissions
       try {
         const hasAdminPermission = await verifyGuildAdminPermission(userId, guildId, req.user.access_token);
@@ -282,9 +188,15 @@ router.get('/:guildId/plugins/all', requireAuth, expensiveOperationLimiter, asyn
       }
     }
 
-    // Get all plugins
+    // Get global plugins and the guild's own
     const allPlugins = await getPrisma().plugin.findMany({
+      where: { OR: [{ guild_id: null }, { guild_id: guildId }] },
       orderBy: { created_at: 'desc' },
+      include: {
+        collaborators: {
+          select: { user_id: true },
+        },
+      },
     });
 
     // Get guild-specific plugin settings
@@ -298,6 +210,9 @@ router.get('/:guildId/plugins/all', requireAuth, expensiveOperationLimiter, asyn
       guildPluginMap.set(gp.plugin_id, gp);
     });
 
+    // Whoever got this far manages the guild, so authors may also change its own plugins
+    const canEditGuildPlugins = hasPermission(req.user, Permissions.PLUGINS_EDIT);
+
     // Combine data
     const pluginsWithGuildStatus = allPlugins.map(plugin => {
       const guildPlugin = guildPluginMap.get(plugin.id);
@@ -313,6 +228,8 @@ router.get('/:guildId/plugins/all', requireAuth, expensiveOperationLimiter, asyn
         guild_settings: guildPlugin ? guildPlugin.settings : {},
         is_template: plugin.is_template,
         template_category: plugin.template_category,
+        guild_id: plugin.guild_id,
+        can_edit: canEditPlugin(req.user, plugin) || (Boolean(plugin.guild_id) && canEditGuildPlugins),
         created_at: plugin.created_at,
         updated_at: plugin.updated_at,
       };
@@ -341,8 +258,8 @@ router.put('/:guildId/plugins/:pluginId', requireAuth, expensiveOperationLimiter
     const { enabled, settings } = req.body;
     const userId = req.user.id;
 
-    // Global admins have access to all guilds
-    if (!req.user.is_admin) {
+    // Guild managers and admins have access to all guilds
+    if (!hasPermission(req.user, Permissions.GUILDS_MANAGE)) {
       // Verify user has admin access to this guild using cached permissions
       try {
         const hasAdminPermission = await verifyGuildAdminPermission(userId, guildId, req.user.access_token);
@@ -381,12 +298,12 @@ router.put('/:guildId/plugins/:pluginId', requireAuth, expensiveOperationLimiter
       });
     }
 
-    // Ensure plugin exists
+    // Ensure plugin exists, another guild's private plugin counts as missing
     const plugin = await getPrisma().plugin.findUnique({
       where: { id: pluginId },
     });
 
-    if (!plugin) {
+    if (!isPluginAvailableInGuild(plugin, guildId)) {
       // Helper to sanitize user input for log output. Removes line breaks, control chars, quotes it.
       function sanitizeForLog(input) {
         if (typeof input !== 'string') {
@@ -428,7 +345,8 @@ router.put('/:guildId/plugins/:pluginId', requireAuth, expensiveOperationLimiter
       },
       update: {
         enabled: enabled !== undefined ? enabled : true,
-        settings: settings || {},
+        // Toggling a plugin keeps its settings, such as usage limit overrides
+        ...(settings !== undefined && { settings: settings || {} }),
       },
       create: {
         guild_id: guildId,
@@ -461,6 +379,13 @@ router.put('/:guildId/plugins/:pluginId', requireAuth, expensiveOperationLimiter
       },
     });
 
+    await enqueueWebhookEvent(getPrisma(), WebhookEvents.PLUGIN_TOGGLED, {
+      plugin: { id: plugin.id, name: plugin.name, version: plugin.version, guild_id: plugin.guild_id || null },
+      user: { id: req.user.id, username: req.user.username },
+      enabled: guildPlugin.enabled,
+      guild: { id: guild.id, name: guild.name },
+    });
+
     res.json({
       success: true,
       message: `Plugin ${enabled ? 'enabled' : 'disabled'} for guild`,
@@ -483,6 +408,598 @@ router.put('/:guildId/plugins/:pluginId', requireAuth, expensiveOperationLimiter
   }
 });
 
+/**
+ * Check that the requesting user may manage a guild, sending an error response if not
+ * @returns {Promise<boolean>} True if the request may continue
+ */
+async function ensureGuildAdmin(req, res, guildId) {
+  // Guild managers and admins have access to all guilds
+  if (hasPermission(req.user, Permissions.GUILDS_MANAGE)) {return true;}
+
+  try {
+    const hasAdminPermission = await verifyGuildAdminPermission(req.user.id, guildId, req.user.access_token);
+    if (!hasAdminPermission) {
+      res.status(403).json({
+        success: false,
+        error: 'Admin privileges required for this guild',
+      });
+      return false;
+    }
+    return true;
+  } catch (error) {
+    if (error.statusCode === 429) {
+      res.status(429).json({
+        success: false,
+        error: error.message,
+        retry_after: error.retryAfter,
+      });
+    } else {
+      res.status(503).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    return false;
+  }
+}
+
+/**
+ * GET /guilds/:guildId/plugins/:pluginId/schedule
+ * Get the schedule of a scheduled plugin in a guild
+ */
+router.get('/:guildId/plugins/:pluginId/schedule', requireAuth, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const schedule = await getPrisma().pluginSchedule.findUnique({
+      where: {
+        guild_id_plugin_id: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Error fetching plugin schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plugin schedule',
+    });
+  }
+});
+
+/**
+ * PUT /guilds/:guildId/plugins/:pluginId/schedule
+ * Create or update the schedule of a scheduled plugin in a guild
+ * Body: { cron?, interval_seconds?, channel_id, enabled? } - cron takes precedence over the interval
+ */
+router.put('/:guildId/plugins/:pluginId/schedule', requireAuth, expensiveOperationLimiter, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    const { cron, interval_seconds, channel_id, enabled } = req.body;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    if (typeof channel_id !== 'string' || !/^\d{17,20}$/.test(channel_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid channel ID is required',
+      });
+    }
+
+    const definition = {
+      cron: typeof cron === 'string' && cron.trim() ? cron.trim() : null,
+      intervalSeconds: interval_seconds ?? null,
+    };
+    const validation = validateSchedule(definition);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+      });
+    }
+
+    const [guild, plugin] = await Promise.all([
+      getPrisma().guild.findUnique({ where: { id: guildId } }),
+      getPrisma().plugin.findUnique({ where: { id: pluginId } }),
+    ]);
+
+    if (!guild || !isPluginAvailableInGuild(plugin, guildId)) {
+      return res.status(404).json({
+        success: false,
+        error: guild ? 'Plugin not found' : 'Guild not found',
+      });
+    }
+
+    if (plugin.type !== PluginTypes.SCHEDULED) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only scheduled plugins can have a schedule',
+      });
+    }
+
+    const key = { guild_id: guildId, plugin_id: pluginId };
+    const data = {
+      cron: definition.cron,
+      interval_seconds: definition.cron ? null : Number(definition.intervalSeconds),
+      channel_id,
+      enabled: enabled !== undefined ? Boolean(enabled) : true,
+      // Timing changes restart the schedule from now
+      next_run_at: getNextScheduleRun(definition),
+      last_error: null,
+    };
+
+    // Schedules belong to the guild's plugin entry, which may not exist yet
+    // A new entry keeps the global enabled state the guild inherited, saving a schedule never turns the plugin on
+    const [, schedule] = await getPrisma().$transaction([
+      getPrisma().guildPlugin.upsert({
+        where: { guild_id_plugin_id: key },
+        update: {},
+        create: { ...key, enabled: plugin.enabled },
+      }),
+      getPrisma().pluginSchedule.upsert({
+        where: { guild_id_plugin_id: key },
+        update: data,
+        create: { ...key, ...data },
+      }),
+    ]);
+
+    await getPrisma().auditLog.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_PLUGIN_SCHEDULE',
+        resource_type: 'PluginSchedule',
+        resource_id: `${guildId}-${pluginId}`,
+        details: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+          plugin_name: plugin.name,
+          cron: schedule.cron,
+          interval_seconds: schedule.interval_seconds,
+          channel_id,
+          enabled: schedule.enabled,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Plugin schedule saved',
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Error saving plugin schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save plugin schedule',
+    });
+  }
+});
+
+/**
+ * DELETE /guilds/:guildId/plugins/:pluginId/schedule
+ * Remove the schedule of a plugin in a guild
+ */
+router.delete('/:guildId/plugins/:pluginId/schedule', requireAuth, expensiveOperationLimiter, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const result = await getPrisma().pluginSchedule.deleteMany({
+      where: { guild_id: guildId, plugin_id: pluginId },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+      });
+    }
+
+    await getPrisma().auditLog.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_PLUGIN_SCHEDULE',
+        resource_type: 'PluginSchedule',
+        resource_id: `${guildId}-${pluginId}`,
+        details: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Plugin schedule removed',
+    });
+  } catch (error) {
+    console.error('Error removing plugin schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove plugin schedule',
+    });
+  }
+});
+
+/**
+ * GET /guilds/:guildId/plugins/:pluginId/limits
+ * Get a plugin's usage limits and this guild's overrides of them
+ */
+router.get('/:guildId/plugins/:pluginId/limits', requireAuth, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const [plugin, guildPlugin] = await Promise.all([
+      getPrisma().plugin.findUnique({ where: { id: pluginId }, select: { limits: true, guild_id: true } }),
+      getPrisma().guildPlugin.findUnique({
+        where: { guild_id_plugin_id: { guild_id: guildId, plugin_id: pluginId } },
+      }),
+    ]);
+
+    if (!isPluginAvailableInGuild(plugin, guildId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plugin not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        limits: plugin.limits || {},
+        overrides: guildPlugin?.settings?.limits || {},
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching plugin limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plugin limits',
+    });
+  }
+});
+
+/**
+ * PUT /guilds/:guildId/plugins/:pluginId/limits
+ * Override a plugin's usage limits in a guild, stored in the guild plugin's settings
+ * Body: { userCooldown?, channelCooldown?, guildCooldown?, userDailyLimit?, guildDailyLimit?, message? }
+ * Left out or empty values fall back to the plugin's own limits.
+ */
+router.put('/:guildId/plugins/:pluginId/limits', requireAuth, expensiveOperationLimiter, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const validation = validateUsageLimits(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+      });
+    }
+
+    const [guild, plugin] = await Promise.all([
+      getPrisma().guild.findUnique({ where: { id: guildId } }),
+      getPrisma().plugin.findUnique({ where: { id: pluginId } }),
+    ]);
+
+    if (!guild || !isPluginAvailableInGuild(plugin, guildId)) {
+      return res.status(404).json({
+        success: false,
+        error: guild ? 'Plugin not found' : 'Guild not found',
+      });
+    }
+
+    const key = { guild_id: guildId, plugin_id: pluginId };
+    const existing = await getPrisma().guildPlugin.findUnique({
+      where: { guild_id_plugin_id: key },
+    });
+    const settings = { ...(existing?.settings || {}), limits: validation.limits };
+
+    const guildPlugin = await getPrisma().guildPlugin.upsert({
+      where: { guild_id_plugin_id: key },
+      update: { settings },
+      create: { ...key, enabled: plugin.enabled, settings },
+    });
+
+    await getPrisma().auditLog.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_PLUGIN_LIMITS',
+        resource_type: 'GuildPlugin',
+        resource_id: `${guildId}-${pluginId}`,
+        details: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+          plugin_name: plugin.name,
+          limits: validation.limits,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Plugin limits saved',
+      data: {
+        limits: plugin.limits || {},
+        overrides: guildPlugin.settings?.limits || {},
+      },
+    });
+  } catch (error) {
+    console.error('Error saving plugin limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save plugin limits',
+    });
+  }
+});
+
+/**
+ * GET /guilds/:guildId/plugins/:pluginId/http
+ * Get the hosts a plugin may reach, this guild's own allowlist and the secret names available to it
+ */
+router.get('/:guildId/plugins/:pluginId/http', requireAuth, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const [plugin, guildPlugin, secrets] = await Promise.all([
+      getPrisma().plugin.findUnique({ where: { id: pluginId }, select: { egress: true, guild_id: true } }),
+      getPrisma().guildPlugin.findUnique({
+        where: { guild_id_plugin_id: { guild_id: guildId, plugin_id: pluginId } },
+      }),
+      listSecrets(getPrisma(), pluginId, guildId),
+    ]);
+
+    if (!isPluginAvailableInGuild(plugin, guildId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plugin not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        egress: plugin.egress || {},
+        overrides: guildPlugin?.settings?.egress || {},
+        secrets,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching plugin HTTP settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plugin HTTP settings',
+    });
+  }
+});
+
+/**
+ * PUT /guilds/:guildId/plugins/:pluginId/egress
+ * Set the guild's own allowlist, stored in the guild plugin's settings
+ * Body: { allowedDomains } - requests must be allowed by both the plugin's and the guild's allowlist
+ */
+router.put('/:guildId/plugins/:pluginId/egress', requireAuth, expensiveOperationLimiter, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const validation = validateEgressPolicy(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+      });
+    }
+
+    const [guild, plugin] = await Promise.all([
+      getPrisma().guild.findUnique({ where: { id: guildId } }),
+      getPrisma().plugin.findUnique({ where: { id: pluginId } }),
+    ]);
+
+    if (!guild || !isPluginAvailableInGuild(plugin, guildId)) {
+      return res.status(404).json({
+        success: false,
+        error: guild ? 'Plugin not found' : 'Guild not found',
+      });
+    }
+
+    const key = { guild_id: guildId, plugin_id: pluginId };
+    const existing = await getPrisma().guildPlugin.findUnique({
+      where: { guild_id_plugin_id: key },
+    });
+    const settings = { ...(existing?.settings || {}), egress: validation.policy };
+
+    await getPrisma().guildPlugin.upsert({
+      where: { guild_id_plugin_id: key },
+      update: { settings },
+      create: { ...key, enabled: plugin.enabled, settings },
+    });
+
+    await getPrisma().auditLog.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_PLUGIN_EGRESS',
+        resource_type: 'GuildPlugin',
+        resource_id: `${guildId}-${pluginId}`,
+        details: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+          plugin_name: plugin.name,
+          allowed_domains: validation.policy.allowedDomains,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Allowed domains saved',
+      data: validation.policy,
+    });
+  } catch (error) {
+    console.error('Error saving plugin egress policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save allowed domains',
+    });
+  }
+});
+
+/**
+ * PUT /guilds/:guildId/plugins/:pluginId/secrets/:name
+ * Store an encrypted secret for the plugin in this guild, taking precedence over a plugin-wide one of the same name
+ * Body: { value }
+ */
+router.put('/:guildId/plugins/:pluginId/secrets/:name', requireAuth, expensiveOperationLimiter, async (req, res) => {
+  try {
+    const { guildId, pluginId, name } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const validation = validateSecret(name, req.body.value);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+      });
+    }
+
+    const plugin = await getPrisma().plugin.findUnique({ where: { id: pluginId } });
+    if (!isPluginAvailableInGuild(plugin, guildId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plugin not found',
+      });
+    }
+
+    try {
+      await setSecret(getPrisma(), pluginId, guildId, name, req.body.value);
+    } catch (keyError) {
+      return res.status(503).json({
+        success: false,
+        error: keyError.message,
+      });
+    }
+
+    await getPrisma().auditLog.create({
+      data: {
+        user_id: req.user.id,
+        action: 'SET_PLUGIN_SECRET',
+        resource_type: 'GuildPlugin',
+        resource_id: `${guildId}-${pluginId}`,
+        details: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+          secret: name,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `Secret ${name} saved`,
+    });
+  } catch (error) {
+    console.error('Error saving plugin secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save plugin secret',
+    });
+  }
+});
+
+/**
+ * DELETE /guilds/:guildId/plugins/:pluginId/secrets/:name
+ * Delete this guild's secret for the plugin
+ */
+router.delete('/:guildId/plugins/:pluginId/secrets/:name', requireAuth, expensiveOperationLimiter, async (req, res) => {
+  try {
+    const { guildId, pluginId, name } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    if (!(await deleteSecret(getPrisma(), pluginId, guildId, name))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Secret not found',
+      });
+    }
+
+    await getPrisma().auditLog.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_PLUGIN_SECRET',
+        resource_type: 'GuildPlugin',
+        resource_id: `${guildId}-${pluginId}`,
+        details: {
+          guild_id: guildId,
+          plugin_id: pluginId,
+          secret: name,
+        },
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `Secret ${name} deleted`,
+    });
+  } catch (error) {
+    console.error('Error deleting plugin secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete plugin secret',
+    });
+  }
+});
+
+/**
+ * GET /guilds/:guildId/plugins/:pluginId/runs
+ * Get the most recent runs of a plugin in a guild, newest first, with their console output
+ * Query: { status?: 'success' | 'error', limit? } - limit defaults to 50
+ */
+router.get('/:guildId/plugins/:pluginId/runs', requireAuth, async (req, res) => {
+  try {
+    const { guildId, pluginId } = req.params;
+    if (!(await ensureGuildAdmin(req, res, guildId))) {return;}
+
+    const { status } = req.query;
+    if (status !== undefined && status !== 'success' && status !== 'error') {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be success or error',
+      });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    const runs = await getPrisma().pluginRun.findMany({
+      where: {
+        plugin_id: pluginId,
+        guild_id: guildId,
+        ...(status ? { success: status === 'success' } : {}),
+      },
+      orderBy: { created_at: 'desc' },
+      take: limit,
+    });
+
+    res.json({
+      success: true,
+      data: runs,
+    });
+  } catch (error) {
+    console.error('Error fetching plugin runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plugin runs',
+    });
+  }
+});
+
 /**
  * POST /api/guilds/:guildId/reregister-commands
  * Force re-register commands for a guild (for debugging)
@@ -615,8 +1132,9 @@ router.get('/:guildId/debug-plugins', requireAuth, async (req, res) => {
       });
     }
 
-    // Get all plugins from database
+    // Get global plugins and the guild's own
     const allPlugins = await getPrisma().plugin.findMany({
+      where: { OR: [{ guild_id: null }, { guild_id: guildId }] },
       select: {
         id: true,
         name: true,
@@ -693,7 +1211,7 @@ router.get('/:guildId/debug-plugins', requireAuth, async (req, res) => {
  * POST /guilds/:guildId/sync
  * Sync guild commands (re-register slash commands)
  */
-router.post('/:guildId/sync', requireAdmin, expensiveOperationLimiter, async (req, res) => {
+router.post('/:guildId/sync', requireGuildManager, expensiveOperationLimiter, async (req, res) => {
   try {
     const { guildId } = req.params;
 
@@ -766,7 +1284,7 @@ router.post('/:guildId/sync', requireAdmin, expensiveOperationLimiter, async (re
  * GET /guilds/:guildId
  * Get specific guild information
  */
-router.get('/:guildId', requireAdmin, async (req, res) => {
+router.get('/:guildId', requireGuildManager, async (req, res) => {
   try {
     const { guildId } = req.params;
 
@@ -835,8 +1353,8 @@ router.put('/:guildId/settings', requireAuth, expensiveOperationLimiter, async (
     const { settings } = req.body;
     const userId = req.user.id;
 
-    // Global admins have access to all guilds
-    if (!req.user.is_admin) {
+    // Guild managers and admins have access to all guilds
+    if (!hasPermission(req.user, Permissions.GUILDS_MANAGE)) {
       // Verify user has admin access to this guild using cached permissions
       try {
         const hasAdminPermission = await verifyGuildAdminPermission(userId, guildId, req.user.access_token);
@@ -934,8 +1452,8 @@ router.get('/:guildId/settings', requireAuth, expensiveOperationLimiter, async (
     const { guildId } = req.params;
     const userId = req.user.id;
 
-    // Global admins have access to all guilds
-    if (!req.user.is_admin) {
+    // Guild managers and admins have access to all guilds
+    if (!hasPermission(req.user, Permissions.GUILDS_MANAGE)) {
       // Verify user has admin access to this guild using cached permissions
       try {
         const hasAdminPermission = await verifyGuildAdminPermission(userId, guildId, req.user.access_token);
@@ -5,7 +5,8 @@
  */
 
 import { Router } from 'express';
-import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { Permissions } from '@dismodular/shared';
+import { requireAuth, requirePermission } from '../middleware/auth.js';
 import { templateLimiter } from '../middleware/rateLimiter.js';
 
 /**
@@ -16,30 +17,62 @@ import { templateLimiter } from '../middleware/rateLimiter.js';
 export function createPluginRoutes(pluginController) {
   const router = Router();
 
+  // Authors may only change plugins they own or that are shared with them, admins any plugin
+  const canCreate = requirePermission(Permissions.PLUGINS_CREATE);
+  const canEdit = [
+    requirePermission(Permissions.PLUGINS_EDIT),
+    (req, res, next) => pluginController.requireEditAccess(req, res, next),
+  ];
+  const isOwner = [
+    requirePermission(Permissions.PLUGINS_EDIT),
+    (req, res, next) => pluginController.requireOwnerAccess(req, res, next),
+  ];
+
   // Get all plugins (read-only, requires auth)
   router.get('/', requireAuth, (req, res) => pluginController.getAll(req, res));
 
   // Get plugin by ID (read-only, requires auth)
   router.get('/:id', requireAuth, (req, res) => pluginController.getById(req, res));
 
-  // Create new plugin (requires admin)
-  router.post('/', requireAdmin, (req, res) => pluginController.create(req, res));
+  // Create new plugin (requires plugin author)
+  router.post('/', canCreate, (req, res) => pluginController.create(req, res));
+
+  // Update plugin (requires edit access)
+  router.put('/:id', canEdit, (req, res) => pluginController.update(req, res));
+
+  // Publish the draft so the bot loads it (requires edit access)
+  router.post('/:id/publish', canEdit, (req, res) => pluginController.publish(req, res));
+
+  // Revision history (read-only routes require auth, restoring requires edit access)
+  router.get('/:id/revisions', requireAuth, (req, res) => pluginController.listRevisions(req, res));
+  router.get('/:id/revisions/:revision/diff', requireAuth, (req, res) => pluginController.diffRevision(req, res));
+  router.post('/:id/revisions/:revision/restore', canEdit, (req, res) => pluginController.restoreRevision(req, res));
+
+  // Encrypted secrets HTTP requests reference as {secret.NAME}; values are write-only (requires edit access)
+  router.get('/:id/secrets', canEdit, (req, res) => pluginController.listSecrets(req, res));
+  router.put('/:id/secrets/:name', canEdit, (req, res) => pluginController.setSecret(req, res));
+  router.delete('/:id/secrets/:name', canEdit, (req, res) => pluginController.deleteSecret(req, res));
+
+  // Sharing with other authors (listing requires edit access, changing it requires the owner)
+  router.get('/:id/collaborators', canEdit, (req, res) => pluginController.listCollaborators(req, res));
+  router.post('/:id/collaborators', isOwner, (req, res) => pluginController.addCollaborator(req, res));
+  router.delete('/:id/collaborators/:userId', isOwner, (req, res) => pluginController.removeCollaborator(req, res));
 
-  // Update plugin (requires admin)
-  router.put('/:id', requireAdmin, (req, res) => pluginController.update(req, res));
+  // Toggle plugin enabled status (requires edit access, no file system writes)
+  router.patch('/:id/toggle', canEdit, (req, res) => pluginController.toggleEnabled(req, res));
 
-  // Toggle plugin enabled status (requires admin, no file system writes)
-  router.patch('/:id/toggle', requireAdmin, (req, res) => pluginController.toggleEnabled(req, res));
+  // Delete plugin (requires edit access)
+  router.delete('/:id', canEdit, (req, res) => pluginController.delete(req, res));
 
-  // Delete plugin (requires admin)
-  router.delete('/:id', requireAdmin, (req, res) => pluginController.delete(req, res));
+  // Compile node graph (requires plugin author)
+  router.post('/compile', canCreate, (req, res) => pluginController.compile(req, res));
 
-  // Compile node graph (requires admin)
-  router.post('/compile', requireAdmin, (req, res) => pluginController.compile(req, res));
+  // Run a node graph against a synthetic interaction without touching Discord (requires plugin author)
+  router.post('/dry-run', canCreate, (req, res) => pluginController.dryRun(req, res));
 
   // Template plugin endpoints (public, no auth required)
   router.get('/templates', templateLimiter, (req, res) => pluginController.getTemplates(req, res));
-  router.post('/clone/:templateId', requireAuth, templateLimiter, (req, res) => pluginController.cloneTemplate(req, res));
+  router.post('/clone/:templateId', canCreate, templateLimiter, (req, res) => pluginController.cloneTemplate(req, res));
 
   return router;
 }
@@ -0,0 +1,32 @@
+/**
+ * Sub-flow Routes
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Router } from 'express';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+
+/**
+ * Create sub-flow routes
+ * @param {Object} subflowController - Sub-flow controller instance
+ * @returns {Router} Express router
+ */
+export function createSubflowRoutes(subflowController) {
+  const router = Router();
+
+  // Read-only routes require auth
+  router.get('/', requireAuth, (req, res) => subflowController.getAll(req, res));
+  router.get('/:id', requireAuth, (req, res) => subflowController.getById(req, res));
+  router.get('/:id/versions/:version', requireAuth, (req, res) => subflowController.getVersion(req, res));
+  router.get('/:id/dependents', requireAuth, (req, res) => subflowController.getDependents(req, res));
+
+  // Create a sub-flow, save a new version of it or delete it (requires admin)
+  router.post('/', requireAdmin, (req, res) => subflowController.create(req, res));
+  router.put('/:id', requireAdmin, (req, res) => subflowController.update(req, res));
+  router.delete('/:id', requireAdmin, (req, res) => subflowController.delete(req, res));
+
+  return router;
+}
+
+export default createSubflowRoutes;
@@ -0,0 +1,145 @@
+/**
+ * API Token Routes
+ * Lets dashboard users create, list and revoke their personal API tokens
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import express from 'express';
+import { requireSession } from '../middleware/auth.js';
+import { getPrismaClient } from '../services/PrismaService.js';
+import {
+  MAX_TOKENS_PER_USER,
+  validateApiTokenRequest,
+  listApiTokens,
+  createApiToken,
+  revokeApiToken,
+} from '../services/ApiTokenService.js';
+
+// Helper function to get Prisma client with error handling
+function getPrisma() {
+  const prisma = getPrismaClient();
+  if (!prisma) {
+    throw new Error('Database not available');
+  }
+  return prisma;
+}
+
+/**
+ * Create API token routes
+ * Tokens are managed from the dashboard session only, so a leaked token cannot mint more
+ */
+export function createTokenRoutes() {
+  const router = express.Router();
+  router.use(requireSession);
+
+  /**
+   * GET /api/tokens
+   * List the user's active tokens, without the tokens themselves
+   */
+  router.get('/', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await listApiTokens(getPrisma(), req.user.id),
+      });
+    } catch (error) {
+      console.error('Error listing API tokens:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list API tokens',
+      });
+    }
+  });
+
+  /**
+   * POST /api/tokens
+   * Create a token; the response is the only time the token is shown
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const validation = validateApiTokenRequest(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid API token',
+          details: validation.error,
+        });
+      }
+
+      const active = await getPrisma().apiToken.count({
+        where: { user_id: req.user.id, revoked_at: null },
+      });
+      if (active >= MAX_TOKENS_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          error: 'Too many API tokens',
+          details: `Revoke a token first, each user can have up to ${MAX_TOKENS_PER_USER}`,
+        });
+      }
+
+      const token = await createApiToken(getPrisma(), req.user.id, req.body);
+
+      await getPrisma().auditLog.create({
+        data: {
+          user_id: req.user.id,
+          action: 'CREATE_API_TOKEN',
+          resource_type: 'api_token',
+          resource_id: token.id,
+          details: { name: token.name, scopes: token.scopes },
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        data: token,
+      });
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API token',
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/tokens/:id
+   * Revoke a token, requests using it fail from then on
+   */
+  router.delete('/:id', async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!(await revokeApiToken(getPrisma(), req.user.id, id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'API token not found',
+        });
+      }
+
+      await getPrisma().auditLog.create({
+        data: {
+          user_id: req.user.id,
+          action: 'REVOKE_API_TOKEN',
+          resource_type: 'api_token',
+          resource_id: id,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: 'API token revoked',
+      });
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API token',
+      });
+    }
+  });
+
+  return router;
+}
+
+export default createTokenRoutes;
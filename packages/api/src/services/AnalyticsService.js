@@ -0,0 +1,383 @@
+/**
+ * Analytics Service
+ * Command execution analytics combining raw executions with daily rollups
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { getPrismaClient } from './PrismaService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default and maximum size of the breakdown window in days
+ */
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 365;
+
+/**
+ * Get Prisma client or fail like the admin routes do
+ * @returns {PrismaClient} Prisma client
+ */
+function getPrisma() {
+  const prisma = getPrismaClient();
+  if (!prisma) {
+    throw new Error('Database not available');
+  }
+  return prisma;
+}
+
+/**
+ * Start of the UTC day of a date
+ * @param {Date} date - Date
+ * @returns {Date} Day boundary
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Parse the `days` query parameter
+ * @param {string|number|undefined} value - Raw value
+ * @returns {number} Window size in days
+ */
+export function parseAnalyticsDays(value) {
+  const days = parseInt(value, 10);
+  if (!Number.isFinite(days) || days < 1) {
+    return DEFAULT_ANALYTICS_DAYS;
+  }
+  return Math.min(days, MAX_ANALYTICS_DAYS);
+}
+
+/**
+ * Turn execution totals into a breakdown row
+ * @param {Object} totals - { executions, successes, totalTime }
+ * @returns {Object} Row with success rate and average execution time
+ */
+function toRow(totals) {
+  return {
+    executions: totals.executions,
+    successes: totals.successes,
+    failures: totals.executions - totals.successes,
+    successRate: totals.executions > 0 ? parseFloat((totals.successes / totals.executions * 100).toFixed(1)) : 0,
+    avgExecutionTime: totals.executions > 0 ? Math.round(totals.totalTime / totals.executions) : 0,
+  };
+}
+
+/**
+ * Merge raw execution groups and daily rollup groups by a key
+ * @param {Array<Object>} rawGroups - Prisma groupBy rows over command executions, grouped by key and success
+ * @param {Array<Object>} dailyGroups - Prisma groupBy rows over daily rollups, grouped by key
+ * @param {string} key - Grouping field (plugin_id or guild_id)
+ * @returns {Array<Object>} Rows sorted by executions, busiest first
+ */
+export function mergeExecutionGroups(rawGroups, dailyGroups, key) {
+  const totals = new Map();
+  const get = (id) => {
+    const normalized = id || null;
+    if (!totals.has(normalized)) {
+      totals.set(normalized, { executions: 0, successes: 0, totalTime: 0 });
+    }
+    return totals.get(normalized);
+  };
+
+  for (const group of rawGroups) {
+    const entry = get(group[key]);
+    entry.executions += group._count._all;
+    entry.successes += group.success ? group._count._all : 0;
+    entry.totalTime += group._sum.execution_time_ms || 0;
+  }
+
+  for (const group of dailyGroups) {
+    const entry = get(group[key]);
+    entry.executions += group._sum.executions || 0;
+    entry.successes += group._sum.successes || 0;
+    entry.totalTime += Number(group._sum.total_execution_time_ms || 0);
+  }
+
+  return Array.from(totals, ([id, entry]) => ({ [key]: id, ...toRow(entry) }))
+    .sort((a, b) => b.executions - a.executions);
+}
+
+/**
+ * Merge raw and rolled-up per-day totals into a continuous series
+ * @param {Array<Object>} rawDays - Rows of { day, executions, successes, total_time }
+ * @param {Array<Object>} dailyGroups - Prisma groupBy rows over daily rollups, grouped by day
+ * @param {Date} since - First day of the series
+ * @param {Date} now - Current date
+ * @returns {Array<Object>} One row per day, oldest first, including days without executions
+ */
+export function mergeDailySeries(rawDays, dailyGroups, since, now) {
+  const totals = new Map();
+  for (let day = startOfDay(since); day <= now; day = new Date(day.getTime() + DAY_MS)) {
+    totals.set(day.toISOString().slice(0, 10), { executions: 0, successes: 0, totalTime: 0 });
+  }
+
+  const add = (day, executions, successes, totalTime) => {
+    const entry = totals.get(new Date(day).toISOString().slice(0, 10));
+    if (!entry) {return;}
+    entry.executions += Number(executions);
+    entry.successes += Number(successes);
+    entry.totalTime += Number(totalTime);
+  };
+
+  for (const row of rawDays) {
+    add(row.day, row.executions, row.successes, row.total_time);
+  }
+  for (const group of dailyGroups) {
+    add(group.day, group._sum.executions || 0, group._sum.successes || 0, group._sum.total_execution_time_ms || 0);
+  }
+
+  return Array.from(totals, ([date, entry]) => ({ date, ...toRow(entry) }));
+}
+
+/**
+ * Analytics Service
+ * Reads command executions for the admin analytics endpoints
+ */
+export class AnalyticsService {
+  /**
+   * Get headline numbers, top plugins and recent activity
+   * @param {Date} now - Current date
+   * @returns {Promise<Object>} Overview data
+   */
+  static async getOverview(now = new Date()) {
+    const prisma = getPrisma();
+    const dayAgo = new Date(now.getTime() - DAY_MS);
+    const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+
+    const countSince = async (since) => {
+      const [raw, rolled] = await Promise.all([
+        prisma.commandExecution.count({ where: since ? { created_at: { gte: since } } : {} }),
+        prisma.commandExecutionDaily.aggregate({
+          _sum: { executions: true },
+          where: since ? { day: { gte: startOfDay(since) } } : {},
+        }),
+      ]);
+      return raw + (rolled._sum.executions || 0);
+    };
+
+    const countUsersSince = (since) => prisma.commandExecution.groupBy({
+      by: ['discord_user_id'],
+      where: {
+        discord_user_id: { not: null },
+        ...(since ? { created_at: { gte: since } } : {}),
+      },
+    }).then(result => result.length);
+
+    const [
+      totalCommands,
+      commands24h,
+      commands7d,
+      totalUsers,
+      users24h,
+      users7d,
+      rawTotals,
+      rolledTotals,
+      topPlugins,
+      recentActivity,
+      hourlyRows,
+    ] = await Promise.all([
+      countSince(null),
+      countSince(dayAgo),
+      countSince(weekAgo),
+      countUsersSince(null),
+      countUsersSince(dayAgo),
+      countUsersSince(weekAgo),
+      prisma.commandExecution.groupBy({
+        by: ['success'],
+        _count: { _all: true },
+        _sum: { execution_time_ms: true },
+      }),
+      prisma.commandExecutionDaily.aggregate({
+        _sum: { executions: true, successes: true, total_execution_time_ms: true },
+      }),
+      AnalyticsService.getPluginBreakdown({ since: new Date(0), limit: 5 }),
+      prisma.commandExecution.findMany({
+        take: 50,
+        orderBy: { created_at: 'desc' },
+        include: {
+          user: { select: { username: true } },
+          plugin: { select: { name: true } },
+        },
+      }),
+      prisma.$queryRaw`
+        SELECT date_trunc('hour', "created_at") AS hour, COUNT(*)::int AS executions
+        FROM "command_executions"
+        WHERE "created_at" >= ${dayAgo}
+        GROUP BY 1
+        ORDER BY 1
+      `,
+    ]);
+
+    const totals = {
+      executions: rolledTotals._sum.executions || 0,
+      successes: rolledTotals._sum.successes || 0,
+      totalTime: Number(rolledTotals._sum.total_execution_time_ms || 0),
+    };
+    for (const group of rawTotals) {
+      totals.executions += group._count._all;
+      totals.successes += group.success ? group._count._all : 0;
+      totals.totalTime += group._sum.execution_time_ms || 0;
+    }
+    const summary = toRow(totals);
+
+    return {
+      totalCommands: { all: totalCommands, day: commands24h, week: commands7d },
+      uniqueUsers: { all: totalUsers, day: users24h, week: users7d },
+      successRate: summary.successRate,
+      avgExecutionTime: summary.avgExecutionTime,
+      topPlugins,
+      recentActivity,
+      hourlyUsage: hourlyRows.map(row => ({ hour: row.hour, executions: Number(row.executions) })),
+    };
+  }
+
+  /**
+   * Get executions per plugin
+   * @param {Object} options - Options
+   * @param {Date} options.since - Start of the window
+   * @param {string|null} options.guildId - Only count executions in this guild
+   * @param {number|null} options.limit - Max rows returned
+   * @returns {Promise<Array<Object>>} Rows with plugin_id, name and totals
+   */
+  static async getPluginBreakdown({ since, guildId = null, limit = null }) {
+    const prisma = getPrisma();
+    const guildFilter = guildId ? { guild_id: guildId } : {};
+
+    const [rawGroups, dailyGroups] = await Promise.all([
+      prisma.commandExecution.groupBy({
+        by: ['plugin_id', 'success'],
+        _count: { _all: true },
+        _sum: { execution_time_ms: true },
+        where: { created_at: { gte: since }, ...guildFilter },
+      }),
+      prisma.commandExecutionDaily.groupBy({
+        by: ['plugin_id'],
+        _sum: { executions: true, successes: true, total_execution_time_ms: true },
+        where: { day: { gte: startOfDay(since) }, ...guildFilter },
+      }),
+    ]);
+
+    const rows = mergeExecutionGroups(rawGroups, dailyGroups, 'plugin_id');
+    const limited = limit ? rows.slice(0, limit) : rows;
+
+    const plugins = await prisma.plugin.findMany({
+      where: { id: { in: limited.map(row => row.plugin_id).filter(Boolean) } },
+      select: { id: true, name: true },
+    });
+    const names = new Map(plugins.map(plugin => [plugin.id, plugin.name]));
+
+    return limited.map(row => ({ ...row, name: names.get(row.plugin_id) || 'Deleted plugin' }));
+  }
+
+  /**
+   * Get executions per guild
+   * @param {Object} options - Options
+   * @param {Date} options.since - Start of the window
+   * @param {string|null} options.pluginId - Only count executions of this plugin
+   * @returns {Promise<Array<Object>>} Rows with guild_id, name and totals
+   */
+  static async getGuildBreakdown({ since, pluginId = null }) {
+    const prisma = getPrisma();
+    const pluginFilter = pluginId ? { plugin_id: pluginId } : {};
+
+    const [rawGroups, dailyGroups] = await Promise.all([
+      prisma.commandExecution.groupBy({
+        by: ['guild_id', 'success'],
+        _count: { _all: true },
+        _sum: { execution_time_ms: true },
+        where: { created_at: { gte: since }, ...pluginFilter },
+      }),
+      prisma.commandExecutionDaily.groupBy({
+        by: ['guild_id'],
+        _sum: { executions: true, successes: true, total_execution_time_ms: true },
+        where: { day: { gte: startOfDay(since) }, ...pluginFilter },
+      }),
+    ]);
+
+    const rows = mergeExecutionGroups(rawGroups, dailyGroups, 'guild_id');
+
+    const guilds = await prisma.guild.findMany({
+      where: { id: { in: rows.map(row => row.guild_id).filter(Boolean) } },
+      select: { id: true, name: true },
+    });
+    const names = new Map(guilds.map(guild => [guild.id, guild.name]));
+
+    return rows.map(row => ({
+      ...row,
+      name: row.guild_id ? names.get(row.guild_id) || row.guild_id : 'Direct messages',
+    }));
+  }
+
+  /**
+   * Get executions per day
+   * @param {Object} options - Options
+   * @param {Date} options.since - Start of the window
+   * @param {Date} options.now - Current date
+   * @param {string|null} options.guildId - Only count executions in this guild
+   * @param {string|null} options.pluginId - Only count executions of this plugin
+   * @returns {Promise<Array<Object>>} One row per day, oldest first
+   */
+  static async getDailyBreakdown({ since, now = new Date(), guildId = null, pluginId = null }) {
+    const prisma = getPrisma();
+
+    const [rawDays, dailyGroups] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT
+          date_trunc('day', "created_at") AS day,
+          COUNT(*)::int AS executions,
+          (COUNT(*) FILTER (WHERE "success"))::int AS successes,
+          COALESCE(SUM("execution_time_ms"), 0)::bigint AS total_time
+        FROM "command_executions"
+        WHERE "created_at" >= ${since}
+          AND (${guildId}::text IS NULL OR "guild_id" = ${guildId})
+          AND (${pluginId}::text IS NULL OR "plugin_id" = ${pluginId})
+        GROUP BY 1
+        ORDER BY 1
+      `,
+      prisma.commandExecutionDaily.groupBy({
+        by: ['day'],
+        _sum: { executions: true, successes: true, total_execution_time_ms: true },
+        where: {
+          day: { gte: startOfDay(since) },
+          ...(guildId ? { guild_id: guildId } : {}),
+          ...(pluginId ? { plugin_id: pluginId } : {}),
+        },
+      }),
+    ]);
+
+    return mergeDailySeries(rawDays, dailyGroups, since, now);
+  }
+
+  /**
+   * Get per-guild, per-plugin and per-day breakdowns for a window
+   * @param {Object} options - Options
+   * @param {number} options.days - Window size in days
+   * @param {string|null} options.guildId - Only count executions in this guild
+   * @param {string|null} options.pluginId - Only count executions of this plugin
+   * @param {Date} options.now - Current date
+   * @returns {Promise<Object>} Breakdowns
+   */
+  static async getBreakdowns({ days = DEFAULT_ANALYTICS_DAYS, guildId = null, pluginId = null, now = new Date() } = {}) {
+    const since = startOfDay(new Date(now.getTime() - (days - 1) * DAY_MS));
+
+    const [byPlugin, byGuild, byDay] = await Promise.all([
+      AnalyticsService.getPluginBreakdown({ since, guildId }),
+      AnalyticsService.getGuildBreakdown({ since, pluginId }),
+      AnalyticsService.getDailyBreakdown({ since, now, guildId, pluginId }),
+    ]);
+
+    return {
+      days,
+      since,
+      byPlugin: pluginId ? byPlugin.filter(row => row.plugin_id === pluginId) : byPlugin,
+      byGuild: guildId ? byGuild.filter(row => row.guild_id === guildId) : byGuild,
+      byDay,
+    };
+  }
+}
+
+export default AnalyticsService;
@@ -0,0 +1,171 @@
+/**
+ * API Token Service
+ * Creates, looks up and revokes personal API tokens; only a hash of each token is stored
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { randomBytes, createHash } from 'crypto';
+import { isValidTokenScope } from '@dismodular/shared';
+
+// Makes tokens easy to recognize, e.g. by secret scanners
+export const API_TOKEN_PREFIX = 'dmp_';
+
+export const MAX_TOKENS_PER_USER = 20;
+export const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+// Last use is written to the token and the audit log at most this often per token
+export const TOKEN_USE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token as sent by the client
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validate a request to create a token
+ * @param {Object} body - Request body with name, scopes and optional expires_in_days
+ * @returns {Object} { valid, error }
+ */
+export function validateApiTokenRequest(body) {
+  const { name, scopes, expires_in_days: expiresInDays } = body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return { valid: false, error: 'Token names must be 1 to 100 characters' };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { valid: false, error: 'Pick at least one scope' };
+  }
+  const unknown = scopes.find(scope => !isValidTokenScope(scope));
+  if (unknown !== undefined) {
+    return { valid: false, error: `Unknown scope: ${unknown}` };
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_LIFETIME_DAYS)) {
+    return { valid: false, error: `Tokens expire after 1 to ${MAX_TOKEN_LIFETIME_DAYS} days, or never` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Shape a stored token for API responses, without its hash
+ * @param {Object} row - api_tokens row
+ * @returns {Object} Token details
+ */
+function toTokenDetails(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: row.scopes,
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * List a user's active tokens
+ * @param {Object} db - Prisma client
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Tokens, newest first
+ */
+export async function listApiTokens(db, userId) {
+  const rows = await db.apiToken.findMany({
+    where: { user_id: userId, revoked_at: null },
+    orderBy: { created_at: 'desc' },
+  });
+  return rows.map(toTokenDetails);
+}
+
+/**
+ * Create a token; the returned token is the only time it can be read
+ * @param {Object} db - Prisma client
+ * @param {string} userId - User the token acts as
+ * @param {Object} options - Validated { name, scopes, expires_in_days }
+ * @returns {Promise<Object>} Token details with the token itself
+ */
+export async function createApiToken(db, userId, { name, scopes, expires_in_days: expiresInDays }) {
+  const token = `${API_TOKEN_PREFIX}${randomBytes(32).toString('base64url')}`;
+  const row = await db.apiToken.create({
+    data: {
+      user_id: userId,
+      name: name.trim(),
+      token_hash: hashApiToken(token),
+      token_prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    },
+  });
+  return { ...toTokenDetails(row), token };
+}
+
+/**
+ * Revoke one of a user's tokens
+ * @param {Object} db - Prisma client
+ * @param {string} userId - Token owner
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<boolean>} True if an active token was revoked
+ */
+export async function revokeApiToken(db, userId, tokenId) {
+  const result = await db.apiToken.updateMany({
+    where: { id: tokenId, user_id: userId, revoked_at: null },
+    data: { revoked_at: new Date() },
+  });
+  return result.count > 0;
+}
+
+/**
+ * Find the active token a client sent, with its user
+ * @param {Object} db - Prisma client
+ * @param {string} token - Token as sent by the client
+ * @returns {Promise<Object|null>} Token with user, or null if it is unknown, revoked or expired
+ */
+export async function findApiToken(db, token) {
+  if (typeof token !== 'string' || !token.startsWith(API_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const row = await db.apiToken.findUnique({
+    where: { token_hash: hashApiToken(token) },
+    include: { user: true },
+  });
+
+  if (!row || row.revoked_at || (row.expires_at && row.expires_at <= new Date())) {
+    return null;
+  }
+  return row;
+}
+
+/**
+ * Record that a token was used, at most once per TOKEN_USE_INTERVAL_MS
+ * @param {Object} db - Prisma client
+ * @param {Object} apiToken - Token row from findApiToken
+ * @param {Object} request - { method, path, ip } of the request
+ * @returns {Promise<boolean>} True if the use was recorded
+ */
+export async function recordApiTokenUse(db, apiToken, request) {
+  const now = new Date();
+  if (apiToken.last_used_at && now - apiToken.last_used_at < TOKEN_USE_INTERVAL_MS) {
+    return false;
+  }
+
+  await db.apiToken.update({
+    where: { id: apiToken.id },
+    data: { last_used_at: now },
+  });
+  await db.auditLog.create({
+    data: {
+      user_id: apiToken.user_id,
+      action: 'API_TOKEN_USE',
+      resource_type: 'api_token',
+      resource_id: apiToken.id,
+      details: { name: apiToken.name, method: request.method, path: request.path, ip: request.ip },
+    },
+  });
+  return true;
+}
@@ -0,0 +1,154 @@
+/**
+ * Guild Permission Service
+ * Checks who may manage plugins in a guild: guild managers everywhere, Discord admins in their own guilds
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import axios from 'axios';
+import { Permissions, hasPermission } from '@dismodular/shared';
+import { getPrismaClient } from './PrismaService.js';
+
+// Helper function to get Prisma client with error handling
+function getPrisma() {
+  const prisma = getPrismaClient();
+  if (!prisma) {
+    throw new Error('Database not available');
+  }
+  return prisma;
+}
+
+/**
+ * Verify a user is an admin of a Discord guild
+ * Discord's answer is cached in user_guild_permissions for five minutes
+ * @param {string} userId - User ID
+ * @param {string} guildId - Discord guild ID
+ * @param {string} accessToken - User's Discord OAuth access token
+ * @returns {Promise<boolean>} Whether the user has the Administrator permission in the guild
+ * @throws {Error} If Discord cannot be reached and nothing is cached; statusCode 429 when rate limited
+ */
+export async function verifyGuildAdminPermission(userId, guildId, accessToken) {
+  // Check cached guild permissions first
+  const cachedPermission = await getPrisma().userGuildPermission.findFirst({
+    where: {
+      user_id: userId,
+      guild_id: guildId,
+    },
+  });
+
+  let hasAdminPermission = false;
+
+  if (cachedPermission) {
+    // Check if cache is still valid (less than 5 minutes old)
+    const cacheAge = Date.now() - cachedPermission.updated_at.getTime();
+    const fiveMinutes = 5 * 60 * 1000;
+    
+    if (cacheAge < fiveMinutes) {
+      hasAdminPermission = cachedPermission.is_admin;
+    } else {
+      // Cache expired, need to refresh
+      try {
+        const discordResponse = await axios.get('https://discord.com/api/users/@me/guilds', {
+          headers: {
+            'Authorization': `Bearer ${accessToken}`,
+          },
+          timeout: 5000,
+        });
+
+        const userGuilds = discordResponse.data;
+        const targetGuild = userGuilds.find(guild => guild.id === guildId);
+        
+        if (targetGuild) {
+          hasAdminPermission = (targetGuild.permissions & 0x8) === 0x8;
+          
+          // Update cache
+          await getPrisma().userGuildPermission.upsert({
+            where: {
+              user_id_guild_id: {
+                user_id: userId,
+                guild_id: guildId,
+              },
+            },
+            update: {
+              is_admin: hasAdminPermission,
+              permissions: targetGuild.permissions,
+              updated_at: new Date(),
+            },
+            create: {
+              user_id: userId,
+              guild_id: guildId,
+              is_admin: hasAdminPermission,
+              permissions: targetGuild.permissions,
+            },
+          });
+        }
+      } catch (discordError) {
+        // If Discord API fails, use cached permission as fallback
+        if (cachedPermission) {
+          hasAdminPermission = cachedPermission.is_admin;
+          const safeGuildId = String(guildId).replace(/[\r\n]/g, '');
+          console.warn('Discord API failed for guild %s, using cached permission:', safeGuildId, discordError.message);
+        } else {
+          throw new Error('Unable to verify guild permissions. Please try again later.');
+        }
+      }
+    }
+  } else {
+    // No cache, fetch from Discord
+    try {
+      const discordResponse = await axios.get('https://discord.com/api/users/@me/guilds', {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+        },
+        timeout: 5000,
+      });
+
+      const userGuilds = discordResponse.data;
+      const targetGuild = userGuilds.find(guild => guild.id === guildId);
+      
+      if (!targetGuild) {
+        throw new Error('Guild not found or you are not a member');
+      }
+
+      hasAdminPermission = (targetGuild.permissions & 0x8) === 0x8;
+      
+      // Cache the result
+      await getPrisma().userGuildPermission.create({
+        data: {
+          user_id: userId,
+          guild_id: guildId,
+          is_admin: hasAdminPermission,
+          permissions: targetGuild.permissions,
+        },
+      });
+    } catch (discordError) {
+      if (discordError.response?.status === 429) {
+        const error = new Error('Rate limited by Discord. Please wait a moment and try again.');
+        error.statusCode = 429;
+        error.retryAfter = discordError.response.data?.retry_after || 1;
+        throw error;
+      }
+      
+      throw new Error('Unable to verify guild permissions. Please try again later.');
+    }
+  }
+
+  return hasAdminPermission;
+}
+
+/**
+ * Check if a user may manage plugins in a guild
+ * @param {Object} user - Session user
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<boolean>} Whether the user is a guild manager or an admin of the guild on Discord
+ * @throws {Error} If the Discord check fails, see verifyGuildAdminPermission
+ */
+export async function canManageGuild(user, guildId) {
+  if (hasPermission(user, Permissions.GUILDS_MANAGE)) {
+    return true;
+  }
+  if (!user?.id || !guildId) {
+    return false;
+  }
+  return verifyGuildAdminPermission(user.id, guildId, user.access_token);
+}
@@ -7,7 +7,14 @@
 
 /* eslint-disable no-case-declarations */
 
-import { Logger } from '@dismodular/shared';
+import {
+  Logger,
+  StateScopes,
+  CommandOptionTypes,
+  checkVariableTypes,
+  REPLY_NODE_TYPES,
+  SUBFLOW_EXCLUDED_NODE_TYPES,
+} from '@dismodular/shared';
 
 const logger = new Logger('NodeCompiler');
 
@@ -18,6 +25,34 @@ export class NodeCompiler {
    */
   static INDENT_CACHE = Array.from({ length: 51 }, (_, i) => '  '.repeat(i));
 
+  /**
+   * Seconds per schedule follow-up delay unit
+   * @type {Object<string, number>}
+   */
+  static FOLLOW_UP_UNITS = { seconds: 1, minutes: 60, hours: 3600, days: 86400 };
+
+  /**
+   * Node types that add message components or modals
+   * @type {Array<string>}
+   */
+  static COMPONENT_NODE_TYPES = ['buttons', 'select_menu', 'modal_input'];
+
+  /**
+   * Discord button styles by name
+   * @type {Object<string, number>}
+   */
+  static BUTTON_STYLES = { primary: 1, secondary: 2, success: 3, danger: 4, link: 5 };
+
+  /**
+   * Key a sub-flow version is looked up by in the `subflows` compile option
+   * @param {string} subflowId - Sub-flow ID
+   * @param {number} version - Sub-flow version
+   * @returns {string} Lookup key
+   */
+  static getSubflowKey(subflowId, version) {
+    return `${subflowId}@${version}`;
+  }
+
   /**
    * Get safe indentation string with bounded depth
    * @param {number} indent - Indentation level
@@ -30,42 +65,172 @@ export class NodeCompiler {
 
   /**
    * Extract command options from variable nodes
+   * With a Subcommands node, each subcommand gets the inputs on its own branch plus the inputs before the node.
    * @param {Array} nodes - React Flow nodes
+   * @param {Array} edges - React Flow edges (default: [])
    * @returns {Array} Discord slash command options
    */
-  extractOptions(nodes) {
-    const options = [];
-    
+  extractOptions(nodes, edges = []) {
     // Find all variable nodes with user_input type
     const inputNodes = nodes.filter(node => 
       node.type === 'variable' && 
-      node.data?.config?.type === 'user_input',
+      node.data?.config?.type === 'user_input' &&
+      node.data.config.name,
     );
-    
-    for (const node of inputNodes) {
-      const config = node.data?.config;
-      if (config?.name) {
-        options.push({
-          type: 3, // STRING type
-          name: config.name,
-          description: config.description || `Enter ${config.name}`,
-          required: config.required !== false, // Default to required
-        });
+
+    const router = nodes.find(node => node.type === 'subcommands');
+    if (!router) {
+      return this.buildOptionList(inputNodes);
+    }
+
+    // Collect the nodes reachable from each handle of the Subcommands node
+    const reachableFrom = (startIds) => {
+      const seen = new Set();
+      const queue = [...startIds];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        if (seen.has(id)) {continue;}
+        seen.add(id);
+        edges.filter(edge => edge.source === id).forEach(edge => queue.push(edge.target));
+      }
+      return seen;
+    };
+    const afterRouter = reachableFrom([router.id]);
+    const shared = inputNodes.filter(node => !afterRouter.has(node.id));
+
+    const options = [];
+    const groups = new Map();
+    for (const subcommand of this.getSubcommands(router)) {
+      const branch = reachableFrom(
+        edges.filter(edge => edge.source === router.id && edge.sourceHandle === subcommand.handle).map(edge => edge.target),
+      );
+      const option = {
+        type: CommandOptionTypes.SUB_COMMAND,
+        name: subcommand.name,
+        description: subcommand.description || `Run ${subcommand.path}`,
+        options: this.buildOptionList([...shared, ...inputNodes.filter(node => branch.has(node.id))]),
+      };
+
+      if (!subcommand.group) {
+        options.push(option);
+      } else if (groups.has(subcommand.group)) {
+        groups.get(subcommand.group).options.push(option);
+      } else {
+        const group = {
+          type: CommandOptionTypes.SUB_COMMAND_GROUP,
+          name: subcommand.group,
+          description: `${subcommand.group} commands`,
+          options: [option],
+        };
+        groups.set(subcommand.group, group);
+        options.push(group);
       }
     }
-    
+
     return options;
   }
 
+  /**
+   * Build the options of a command or subcommand from user input variable nodes
+   * @param {Array} inputNodes - User input variable nodes
+   * @returns {Array} Discord slash command options
+   */
+  buildOptionList(inputNodes) {
+    const options = inputNodes.map(node => this.buildOption(node.data.config));
+
+    // Discord requires required options to be listed before optional ones
+    return [...options.filter(option => option.required), ...options.filter(option => !option.required)];
+  }
+
+  /**
+   * Get the subcommands configured on a Subcommands node
+   * @param {Object} node - Subcommands node
+   * @returns {Array<{name: string, group: string|null, description: string, path: string, handle: string}>} Subcommands
+   */
+  getSubcommands(node) {
+    const validName = (name) => typeof name === 'string' && /^[a-z0-9_-]{1,32}$/.test(name);
+
+    return (node.data?.config?.subcommands || [])
+      .filter(subcommand => validName(subcommand?.name) && (!subcommand.group || validName(subcommand.group)))
+      .map(subcommand => {
+        const group = subcommand.group || null;
+        return {
+          name: subcommand.name,
+          group,
+          description: subcommand.description || '',
+          path: group ? `${group} ${subcommand.name}` : subcommand.name,
+          handle: `sub:${group ? `${group}.` : ''}${subcommand.name}`,
+        };
+      });
+  }
+
+  /**
+   * Build a slash command option from a user input variable node
+   * @param {Object} config - Variable node configuration
+   * @returns {Object} Discord slash command option
+   */
+  buildOption(config) {
+    const type = Number(config.optionType) || CommandOptionTypes.STRING;
+    const option = {
+      type,
+      name: config.name,
+      description: config.description || `Enter ${config.name}`,
+      required: config.required !== false, // Default to required
+    };
+
+    const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    const isNumeric = type === CommandOptionTypes.INTEGER || type === CommandOptionTypes.NUMBER;
+
+    if (isNumeric) {
+      option.min_value = toNumber(config.minValue);
+      option.max_value = toNumber(config.maxValue);
+    }
+    if (type === CommandOptionTypes.STRING) {
+      option.min_length = toNumber(config.minLength);
+      option.max_length = toNumber(config.maxLength);
+    }
+    if (type === CommandOptionTypes.CHANNEL && config.channelTypes?.length) {
+      option.channel_types = config.channelTypes.map(Number);
+    }
+    if ((type === CommandOptionTypes.STRING || isNumeric) && config.choices?.length) {
+      option.choices = config.choices
+        .filter(choice => choice?.name)
+        .map(choice => {
+          const value = choice.value === undefined || choice.value === null || choice.value === '' ? choice.name : choice.value;
+          return { name: choice.name, value: isNumeric ? Number(value) : String(value) };
+        });
+    } else if ((type === CommandOptionTypes.STRING || isNumeric) && config.autocomplete) {
+      option.autocomplete = true;
+      const suggestions = (config.suggestions || []).filter(suggestion => String(suggestion).trim());
+      if (suggestions.length) {
+        option.suggestions = suggestions.map(suggestion => (isNumeric ? Number(suggestion) : String(suggestion).trim()));
+      }
+    }
+
+    for (const key of Object.keys(option)) {
+      if (option[key] === undefined) {
+        delete option[key];
+      }
+    }
+    return option;
+  }
+
   /**
    * Compile node graph to JavaScript code
    * @param {Array} nodes - React Flow nodes
    * @param {Array} edges - React Flow edges
+   * @param {Object} options - Compile options
+   * @param {boolean} options.trace - Report each node entered and branch taken to `__trace` (default: false)
+   * @param {Map} options.subflows - Sub-flow versions called by the graph, keyed by `getSubflowKey` (default: none)
    * @returns {string} Compiled JavaScript code
    */
-  compile(nodes, edges) {
+  compile(nodes, edges, options = {}) {
     try {
       logger.debug(`Compiling ${nodes.length} nodes and ${edges.length} edges`);
+      this.trace = Boolean(options.trace);
+      this.subflows = options.subflows || new Map();
+      this.subflowFunctions = new Map();
+      this.subflowStack = [];
 
       // Find the start node (trigger node)
       const startNode = nodes.find(n => n.type === 'trigger');
@@ -87,6 +252,25 @@ export class NodeCompiler {
     }
   }
 
+  /**
+   * Compile a sub-flow version on its own, to check it before it is saved
+   * @param {Object} definition - Sub-flow version: { id, name, version, inputs, outputs, nodes, edges }
+   * @param {Object} options - Compile options
+   * @param {Map} options.subflows - Sub-flow versions it calls, keyed by `getSubflowKey` (default: none)
+   * @returns {string} Code of the sub-flow function and the sub-flows it calls
+   */
+  compileSubflow(definition, options = {}) {
+    this.trace = false;
+    this.subflows = new Map(options.subflows || []);
+    this.subflows.set(NodeCompiler.getSubflowKey(definition.id, definition.version), definition);
+    this.subflowFunctions = new Map();
+    this.subflowStack = [];
+    this.resumePoints = [];
+
+    this.getSubflowFunction(definition);
+    return [...this.subflowFunctions.values()].flatMap(({ lines }) => lines).join('\n');
+  }
+
   /**
    * Build execution graph from nodes and edges
    * @param {Array} nodes - React Flow nodes
@@ -133,7 +317,7 @@ export class NodeCompiler {
    * @param {Array} edges - All edges
    * @returns {string} Generated code
    */
-  generateCode(startNode, graph, _nodes, _edges) {
+  generateCode(startNode, graph, nodes, _edges) {
     const codeLines = [];
 
     // Add header
@@ -142,8 +326,18 @@ export class NodeCompiler {
     codeLines.push('');
 
     // Initialize variables
+    this.usesComponents = nodes.some(n => NodeCompiler.COMPONENT_NODE_TYPES.includes(n.type));
+    // Reply nodes may also sit in called sub-flows
+    this.usesReplies = [nodes, ...[...this.subflows.values()].map(subflow => subflow.nodes || [])]
+      .some(graphNodes => graphNodes.some(n => REPLY_NODE_TYPES.includes(n.type)));
     codeLines.push('let variables = {};');
     codeLines.push('let __pendingResponse = null;');
+    if (this.usesComponents) {
+      codeLines.push('let __pendingComponents = [];');
+    }
+    if (this.usesReplies) {
+      codeLines.push('let __ephemeral = false;');
+    }
     codeLines.push('');
 
     // Generate main execution function
@@ -151,13 +345,39 @@ export class NodeCompiler {
 
     // Start from trigger node
     const visited = new Set();
-    this.generateNodeCode(startNode.id, graph, codeLines, visited, 1);
+    const flowLines = [];
+    this.resumePoints = [];
+    this.generateNodeCode(startNode.id, graph, flowLines, visited, 1);
+
+    // Called sub-flows are defined before the flow so every call site can reach them
+    for (const { lines } of this.subflowFunctions.values()) {
+      codeLines.push(...lines);
+      codeLines.push('');
+    }
+
+    if (this.resumePoints.length === 0) {
+      codeLines.push(...flowLines);
+    } else {
+      this.generateResumeDispatch(graph, flowLines, codeLines);
+    }
 
     // Resolve with pending response at the end
     codeLines.push('');
     codeLines.push('  // Send final response');
+    if (this.usesComponents) {
+      codeLines.push('  if (__pendingComponents.length > 0) {');
+      codeLines.push('    __pendingResponse = __pendingResponse !== null && typeof __pendingResponse === \'object\'');
+      codeLines.push('      ? { ...__pendingResponse, components: __pendingComponents }');
+      codeLines.push('      : { content: __pendingResponse || undefined, components: __pendingComponents };');
+      codeLines.push('  }');
+    }
     codeLines.push('  if (__pendingResponse !== null) {');
     codeLines.push('    await __resolve(__pendingResponse);');
+    if (this.usesReplies) {
+      // Follow-ups and edits were already sent, so finish even without a final response
+      codeLines.push('  } else {');
+      codeLines.push('    await __resolve(null);');
+    }
     codeLines.push('  }');
 
     codeLines.push('})();');
@@ -183,6 +403,10 @@ export class NodeCompiler {
     const { node } = entry;
     const indentStr = this.getSafeIndent(indent);
 
+    if (this.trace) {
+      codeLines.push(`${indentStr}__trace(${JSON.stringify(node.id)}, 'enter', variables);`);
+    }
+
     // Generate code based on node type
     switch (node.type) {
     case 'trigger':
@@ -229,6 +453,23 @@ export class NodeCompiler {
       this.generateEmbedResponseCode(node, codeLines, indentStr);
       break;
 
+    case 'follow_up':
+      this.generateFollowUpCode(node, codeLines, indentStr);
+      break;
+
+    case 'edit_reply':
+      this.generateEditReplyCode(node, codeLines, indentStr);
+      break;
+
+    case 'delete_reply':
+      this.generateDeleteReplyCode(node, codeLines, indentStr);
+      break;
+
+    case 'ephemeral_toggle':
+      codeLines.push(`${indentStr}// Ephemeral: ${node.data.label || 'Toggle'}`);
+      codeLines.push(`${indentStr}__ephemeral = ${node.data.config?.ephemeral !== false};`);
+      break;
+
     case 'discord_action':
       this.generateDiscordActionCode(node, codeLines, indentStr);
       break;
@@ -241,6 +482,38 @@ export class NodeCompiler {
       this.generateWhileLoopCode(node, entry, graph, codeLines, visited, indent);
       return; // Loop handles its own next nodes
 
+    case 'schedule_followup':
+      this.generateScheduleFollowUpCode(node, entry, graph, codeLines, visited, indent);
+      return; // Follow-up handles its own next nodes
+
+    case 'buttons':
+      this.generateButtonsCode(node, entry, graph, codeLines, visited, indent);
+      return; // Buttons handle their own next nodes
+
+    case 'select_menu':
+      this.generateSelectMenuCode(node, entry, graph, codeLines, visited, indent);
+      return; // Select menu handles its own next nodes
+
+    case 'modal_input':
+      this.generateModalInputCode(node, entry, graph, codeLines, visited, indent);
+      return; // Modal handles its own next nodes
+
+    case 'subcommands':
+      this.generateSubcommandsCode(node, entry, graph, codeLines, visited, indent);
+      return; // Subcommands handle their own next nodes
+
+    case 'try_catch':
+      this.generateTryCatchCode(node, entry, graph, codeLines, visited, indent);
+      return; // Try/catch handles its own next nodes
+
+    case 'subflow_input':
+      codeLines.push(`${indentStr}// Sub-flow inputs`);
+      break;
+
+    case 'call_subflow':
+      this.generateCallSubflowCode(node, codeLines, indentStr);
+      break;
+
     case 'array_operation':
       this.generateArrayOperationCode(node, codeLines, indentStr);
       break;
@@ -272,12 +545,63 @@ export class NodeCompiler {
     }
   }
 
+  /**
+   * Report the branch a node took when tracing
+   * @param {Object} node - Branching node
+   * @param {string} handle - Source handle of the branch
+   * @param {Array} codeLines - Code lines array
+   * @param {string} indent - Indentation of the branch body
+   */
+  generateBranchTrace(node, handle, codeLines, indent) {
+    if (this.trace) {
+      codeLines.push(`${indent}__trace(${JSON.stringify(node.id)}, 'branch', { handle: ${JSON.stringify(handle)} });`);
+    }
+  }
+
   /**
    * Generate trigger node code
    */
   generateTriggerCode(node, codeLines, indent) {
     codeLines.push(`${indent}// Trigger: ${node.data.label || 'Command'}`);
     codeLines.push(`${indent}console.log('Plugin executed');`);
+
+    // Event triggers expose the gateway payload as flat {event_*} variables
+    if (node.data.config?.triggerType === 'event') {
+      codeLines.push(`${indent}if (typeof event !== 'undefined' && event) {`);
+      codeLines.push(`${indent}  (function __flattenEvent(source, prefix) {`);
+      codeLines.push(`${indent}    for (const key of Object.keys(source)) {`);
+      codeLines.push(`${indent}      const value = source[key];`);
+      codeLines.push(`${indent}      if (value && typeof value === 'object' && !Array.isArray(value)) {`);
+      codeLines.push(`${indent}        __flattenEvent(value, prefix + '_' + key);`);
+      codeLines.push(`${indent}      } else {`);
+      codeLines.push(`${indent}        variables[prefix + '_' + key] = value;`);
+      codeLines.push(`${indent}      }`);
+      codeLines.push(`${indent}    }`);
+      codeLines.push(`${indent}  })(event, 'event');`);
+      codeLines.push(`${indent}}`);
+    }
+
+    // Message pattern triggers expose the match and its capture groups
+    if (node.data.config?.triggerType === 'message') {
+      codeLines.push(`${indent}if (typeof match !== 'undefined' && match) {`);
+      codeLines.push(`${indent}  variables['match'] = match.text;`);
+      codeLines.push(`${indent}  match.captures.forEach((capture, i) => { variables['match_' + (i + 1)] = capture; });`);
+      codeLines.push(`${indent}  for (const name of Object.keys(match.groups || {})) {`);
+      codeLines.push(`${indent}    variables[name] = match.groups[name];`);
+      codeLines.push(`${indent}  }`);
+      codeLines.push(`${indent}}`);
+    }
+
+    // Schedule triggers expose when the run was due and where it posts
+    if (node.data.config?.triggerType === 'schedule') {
+      codeLines.push(`${indent}if (typeof schedule !== 'undefined' && schedule) {`);
+      codeLines.push(`${indent}  variables['scheduled_for'] = schedule.scheduledFor;`);
+      codeLines.push(`${indent}  variables['fired_at'] = schedule.firedAt;`);
+      codeLines.push(`${indent}  variables['schedule_channel_id'] = schedule.channelId;`);
+      codeLines.push(`${indent}  variables['schedule_cron'] = schedule.cron || '';`);
+      codeLines.push(`${indent}  variables['schedule_interval'] = schedule.intervalSeconds || 0;`);
+      codeLines.push(`${indent}}`);
+    }
   }
 
   /**
@@ -291,6 +615,37 @@ export class NodeCompiler {
     codeLines.push(`${indent}__pendingResponse = \`${interpolated}\`;`);
   }
 
+  /**
+   * Generate code reading a typed slash command option into a variable
+   * Users, channels, roles and mentionables store their ID and set `<name>_name`, attachments store their URL.
+   */
+  generateUserInputCode(config = {}, varName, codeLines, indent) {
+    const type = Number(config.optionType) || CommandOptionTypes.STRING;
+    const resolved = {
+      [CommandOptionTypes.USER]: ['getUser', 'id', 'username'],
+      [CommandOptionTypes.CHANNEL]: ['getChannel', 'id', 'name'],
+      [CommandOptionTypes.ROLE]: ['getRole', 'id', 'name'],
+      [CommandOptionTypes.MENTIONABLE]: ['getMentionable', 'id', 'username', 'name'],
+      [CommandOptionTypes.ATTACHMENT]: ['getAttachment', 'url', 'name'],
+    };
+    const getters = {
+      [CommandOptionTypes.INTEGER]: 'getInteger',
+      [CommandOptionTypes.NUMBER]: 'getNumber',
+      [CommandOptionTypes.BOOLEAN]: 'getBoolean',
+    };
+
+    if (resolved[type]) {
+      const [getter, valueField, ...nameFields] = resolved[type];
+      const names = nameFields.map(field => `interaction?.options?.${getter}('${varName}')?.${field}`);
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.options?.${getter}('${varName}')?.${valueField} ?? '';`);
+      codeLines.push(`${indent}variables['${varName}_name'] = ${names.join(' ?? ')} ?? '';`);
+    } else if (getters[type]) {
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.options?.${getters[type]}('${varName}') ?? null;`);
+    } else {
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.options?.getString('${varName}') || message?.content || '';`);
+    }
+  }
+
   /**
    * Generate variable node code
    */
@@ -303,19 +658,19 @@ export class NodeCompiler {
     
     switch (varType) {
     case 'user_input':
-      codeLines.push(`${indent}variables['${varName}'] = interaction?.options?.getString('${varName}') || message?.content || '';`);
+      this.generateUserInputCode(node.data.config, varName, codeLines, indent);
       break;
     case 'user_name':
-      codeLines.push(`${indent}variables['${varName}'] = interaction?.user?.username || message?.author?.username || 'Unknown';`);
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.user?.username || message?.author?.username || event?.user?.username || 'Unknown';`);
       break;
     case 'user_id':
-      codeLines.push(`${indent}variables['${varName}'] = interaction?.user?.id || message?.author?.id || '';`);
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.user?.id || message?.author?.id || event?.user?.id || '';`);
       break;
     case 'channel_id':
-      codeLines.push(`${indent}variables['${varName}'] = interaction?.channel?.id || message?.channel?.id || '';`);
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.channel?.id || message?.channel?.id || event?.channel?.id || '';`);
       break;
     case 'guild_id':
-      codeLines.push(`${indent}variables['${varName}'] = interaction?.guild?.id || message?.guild?.id || '';`);
+      codeLines.push(`${indent}variables['${varName}'] = interaction?.guild?.id || message?.guild?.id || event?.guild?.id || '';`);
       break;
     case 'timestamp':
       codeLines.push(`${indent}variables['${varName}'] = new Date().toISOString();`);
@@ -346,6 +701,7 @@ export class NodeCompiler {
 
     codeLines.push(`${indentStr}// Condition: ${node.data.label || 'If'}`);
     codeLines.push(`${indentStr}if (${interpolated}) {`);
+    this.generateBranchTrace(node, 'true', codeLines, this.getSafeIndent(indent + 1));
 
     // Find true branch
     const trueBranch = entry.next.find(n => n.handle?.includes('true'));
@@ -354,6 +710,7 @@ export class NodeCompiler {
     }
 
     codeLines.push(`${indentStr}} else {`);
+    this.generateBranchTrace(node, 'false', codeLines, this.getSafeIndent(indent + 1));
 
     // Find false branch
     const falseBranch = entry.next.find(n => n.handle?.includes('false'));
@@ -364,6 +721,195 @@ export class NodeCompiler {
     codeLines.push(`${indentStr}}`);
   }
 
+  /**
+   * Generate subcommands node code
+   * Runs the branch of the invoked subcommand, or the fallback branch for unknown or missing subcommands
+   */
+  generateSubcommandsCode(node, entry, graph, codeLines, visited, indent) {
+    const indentStr = this.getSafeIndent(indent);
+    const subcommands = this.getSubcommands(node);
+
+    codeLines.push(`${indentStr}// Subcommands: ${node.data.label || 'Subcommands'}`);
+    codeLines.push(`${indentStr}variables['subcommand'] = [interaction?.options?.getSubcommandGroup?.(false), interaction?.options?.getSubcommand?.(false)].filter(Boolean).join(' ');`);
+
+    let first = true;
+    for (const subcommand of subcommands) {
+      const branch = entry.next.filter(n => n.handle === subcommand.handle);
+      codeLines.push(`${indentStr}${first ? '' : '} else '}if (variables['subcommand'] === '${subcommand.path}') {`);
+      this.generateBranchTrace(node, subcommand.handle, codeLines, this.getSafeIndent(indent + 1));
+      for (const next of branch) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent + 1);
+      }
+      first = false;
+    }
+
+    const fallback = entry.next.filter(n => n.handle === 'fallback');
+    if (first) {
+      this.generateBranchTrace(node, 'fallback', codeLines, indentStr);
+      for (const next of fallback) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent);
+      }
+      return;
+    }
+    if (fallback.length > 0) {
+      codeLines.push(`${indentStr}} else {`);
+      this.generateBranchTrace(node, 'fallback', codeLines, this.getSafeIndent(indent + 1));
+      for (const next of fallback) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent + 1);
+      }
+    }
+    codeLines.push(`${indentStr}}`);
+  }
+
+  /**
+   * Generate try/catch node code
+   * The success branch runs inside the try block; if any of its nodes throws, the error branch runs
+   * with the error message and code in variables
+   */
+  generateTryCatchCode(node, entry, graph, codeLines, visited, indent) {
+    const indentStr = this.getSafeIndent(indent);
+    const innerIndent = this.getSafeIndent(indent + 1);
+    const messageVar = node.data.config?.messageVar || 'error_message';
+    const codeVar = node.data.config?.codeVar || 'error_code';
+
+    codeLines.push(`${indentStr}// Try/Catch: ${node.data.label || 'Try'}`);
+    codeLines.push(`${indentStr}try {`);
+    this.generateBranchTrace(node, 'success', codeLines, innerIndent);
+
+    // Connections without a handle predate the node having two outputs, treat them as the success path
+    for (const next of entry.next.filter(n => n.handle !== 'error')) {
+      this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent + 1);
+    }
+
+    codeLines.push(`${indentStr}} catch (__error) {`);
+    codeLines.push(`${innerIndent}variables['${messageVar}'] = String(__error?.message ?? __error);`);
+    codeLines.push(`${innerIndent}variables['${codeVar}'] = String(__error?.code ?? __error?.name ?? 'Error');`);
+    codeLines.push(`${innerIndent}console.warn('Caught error:', variables['${messageVar}']);`);
+    this.generateBranchTrace(node, 'error', codeLines, innerIndent);
+
+    for (const next of entry.next.filter(n => n.handle === 'error')) {
+      this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent + 1);
+    }
+
+    codeLines.push(`${indentStr}}`);
+  }
+
+  /**
+   * Generate call sub-flow node code
+   * The node is pinned to one version of the sub-flow, so saving a new version never changes plugins that call it.
+   * Inputs are templates; a template that is exactly `{name}` passes the variable through as is.
+   */
+  generateCallSubflowCode(node, codeLines, indent) {
+    const config = node.data.config || {};
+    const label = node.data.label || node.id;
+    if (!config.subflowId || !config.version) {
+      throw new Error(`Call Sub-flow node "${label}" has no sub-flow version selected`);
+    }
+
+    const definition = this.subflows.get(NodeCompiler.getSubflowKey(config.subflowId, config.version));
+    if (!definition) {
+      throw new Error(`Sub-flow "${config.subflowName || config.subflowId}" v${config.version} called by "${label}" was not found`);
+    }
+
+    const functionName = this.getSubflowFunction(definition);
+    const args = (definition.inputs || [])
+      .map(input => `${JSON.stringify(input.name)}: ${this.getSubflowArgument(config.inputs?.[input.name])}`);
+
+    codeLines.push(`${indent}// Call Sub-flow: ${definition.name} v${definition.version}`);
+    codeLines.push(`${indent}{`);
+    codeLines.push(`${indent}  const __outputs = await ${functionName}({ ${args.join(', ')} });`);
+    for (const output of definition.outputs || []) {
+      const target = config.outputs?.[output.name] || output.name;
+      codeLines.push(`${indent}  variables[${JSON.stringify(target)}] = __outputs[${JSON.stringify(output.name)}];`);
+    }
+    codeLines.push(`${indent}}`);
+  }
+
+  /**
+   * Get the code for a sub-flow input value
+   * @param {string} template - Input template from the call node
+   * @returns {string} JavaScript expression
+   */
+  getSubflowArgument(template) {
+    if (template === undefined || template === null || template === '') {
+      return 'undefined';
+    }
+
+    const single = /^\{(\w+)\}$/.exec(String(template));
+    if (single) {
+      return `variables['${single[1]}']`;
+    }
+
+    return `\`${this.interpolateVariables(String(template))}\``;
+  }
+
+  /**
+   * Get the function a sub-flow version compiles to, generating it on first use
+   * Each version is generated once per plugin, however many nodes call it.
+   * @param {Object} definition - Sub-flow version
+   * @returns {string} Function name
+   */
+  getSubflowFunction(definition) {
+    const key = NodeCompiler.getSubflowKey(definition.id, definition.version);
+    if (this.subflowStack.includes(key)) {
+      throw new Error(`Sub-flow "${definition.name}" calls itself`);
+    }
+
+    const existing = this.subflowFunctions.get(key);
+    if (existing) {
+      return existing.name;
+    }
+
+    const name = `__subflow_${this.subflowFunctions.size}`;
+    this.subflowStack.push(key);
+    try {
+      const lines = this.generateSubflowFunction(definition, name, 1);
+      this.subflowFunctions.set(key, { name, lines });
+    } finally {
+      this.subflowStack.pop();
+    }
+    return name;
+  }
+
+  /**
+   * Generate a sub-flow as an async function of its inputs that returns its outputs
+   * The function has its own variables; tracing is off inside it, so a replay shows the call as one step.
+   * @param {Object} definition - Sub-flow version
+   * @param {string} name - Function name
+   * @param {number} indent - Indentation level
+   * @returns {Array<string>} Code lines
+   */
+  generateSubflowFunction(definition, name, indent) {
+    const validation = this.validateSubflow(definition.nodes || [], definition.edges || []);
+    if (!validation.valid) {
+      throw new Error(`Sub-flow "${definition.name}" v${definition.version} is invalid: ${validation.errors.join('; ')}`);
+    }
+
+    const indentStr = this.getSafeIndent(indent);
+    const innerIndent = this.getSafeIndent(indent + 1);
+    const startNode = definition.nodes.find(n => n.type === 'subflow_input');
+    const graph = this.buildExecutionGraph(definition.nodes, definition.edges);
+    const lines = [];
+
+    lines.push(`${indentStr}// Sub-flow: ${definition.name} v${definition.version}`);
+    lines.push(`${indentStr}const ${name} = async (__inputs) => {`);
+    lines.push(`${innerIndent}let variables = { ...__inputs };`);
+
+    const trace = this.trace;
+    this.trace = false;
+    try {
+      this.generateNodeCode(startNode.id, graph, lines, new Set(), indent + 1);
+    } finally {
+      this.trace = trace;
+    }
+
+    const outputs = (definition.outputs || [])
+      .map(output => `${JSON.stringify(output.name)}: variables[${JSON.stringify(output.name)}]`);
+    lines.push(`${innerIndent}return { ${outputs.join(', ')} };`);
+    lines.push(`${indentStr}};`);
+    return lines;
+  }
+
   /**
    * Generate permission node code
    */
@@ -397,6 +943,7 @@ export class NodeCompiler {
     }
     
     codeLines.push(`${indentStr}if (${checkCondition}) {`);
+    this.generateBranchTrace(node, 'allowed', codeLines, this.getSafeIndent(indent + 1));
     
     // Process allowed path
     const allowedEdges = graph.edges.filter(e => e.source === node.id && e.sourceHandle === 'allowed');
@@ -410,6 +957,7 @@ export class NodeCompiler {
     }
     
     codeLines.push(`${indentStr}} else {`);
+    this.generateBranchTrace(node, 'denied', codeLines, this.getSafeIndent(indent + 1));
     
     // Process denied path
     const deniedEdges = graph.edges.filter(e => e.source === node.id && e.sourceHandle === 'denied');
@@ -454,9 +1002,9 @@ export class NodeCompiler {
       break;
 
     case 'set_state': {
-      const stateKey = node.data.config?.key || 'key';
-      const stateValue = this.interpolateVariables(node.data.config?.value || '');
-      codeLines.push(`${indent}state['${stateKey}'] = \`${stateValue}\`;`);
+      const stateKey = this.interpolateVariables(node.data.config?.key || 'key');
+      const stateValue = this.generateStateValueCode(node.data.config?.value || '');
+      codeLines.push(`${indent}await state.set(\`${stateKey}\`, ${stateValue}, { scope: '${StateScopes.GUILD}' });`);
       break;
     }
     }
@@ -487,6 +1035,7 @@ export class NodeCompiler {
   /**
    * Interpolate variables in string
    * @param {string} str - String to interpolate
+   * @param {Function} wrap - Turns a variable reference into the expression to insert (default: the reference)
    * @returns {string} Interpolated string
    */
   /**
@@ -501,7 +1050,7 @@ export class NodeCompiler {
       .replace(/\r/g, '\\r');   // Escape carriage returns
   }
 
-  interpolateVariables(str) {
+  interpolateVariables(str, wrap = null) {
     if (typeof str !== 'string') {return str;}
     
     // First escape special characters, then replace {varname} patterns
@@ -520,13 +1069,9 @@ export class NodeCompiler {
         parts.push(this.escapeTemplateString(str.substring(lastIndex, match.index)));
       }
       // Add the variable reference (not escaped)
-      if (match[2]) {
-        // Array access: {varname[index]}
-        parts.push('${variables[\'' + match[1] + '\'][' + match[2] + ']}');
-      } else {
-        // Simple variable: {varname}
-        parts.push('${variables[\'' + match[1] + '\']}');
-      }
+      // Array access: {varname[index]}, or a simple variable: {varname}
+      const reference = 'variables[\'' + match[1] + '\']' + (match[2] ? '[' + match[2] + ']' : '');
+      parts.push('${' + (wrap ? wrap(reference) : reference) + '}');
       lastIndex = regex.lastIndex;
     }
     
@@ -538,15 +1083,34 @@ export class NodeCompiler {
     return parts.join('');
   }
 
+  /**
+   * Interpolate variables in the URL or body of an HTTP request
+   * Secret references in variable values are escaped, so only the ones in the node's own config are filled in.
+   * @param {string} str - URL or body template
+   * @returns {string} Interpolated string
+   */
+  interpolateRequestTemplate(str) {
+    return this.interpolateVariables(str, reference => `String(${reference}).replaceAll('{secret.', '{{secret.')`);
+  }
+
   /**
    * Generate HTTP request code
    */
   generateHTTPRequestCode(node, codeLines, indent) {
     const method = node.data.config?.method || 'GET';
-    const url = this.interpolateVariables(node.data.config?.url || '');
+    const url = this.interpolateRequestTemplate(node.data.config?.url || '');
     const responseVar = node.data.config?.responseVar || node.data.config?.outputVar || 'response';
-    const headers = node.data.config?.headers || {};
-    const body = node.data.config?.body ? this.interpolateVariables(node.data.config.body) : null;
+    const body = node.data.config?.body ? this.interpolateRequestTemplate(node.data.config.body) : null;
+
+    // The editor stores headers as JSON text; {secret.NAME} references in them are filled in by the bot
+    let headers = node.data.config?.headers || {};
+    if (typeof headers === 'string') {
+      try {
+        headers = JSON.parse(headers);
+      } catch {
+        headers = {};
+      }
+    }
 
     codeLines.push(`${indent}// HTTP Request: ${method} ${url}`);
     codeLines.push(`${indent}try {`);
@@ -621,12 +1185,66 @@ export class NodeCompiler {
 
     codeLines.push(`${indent}// Send Embed (store response, don't resolve yet)`);
     codeLines.push(`${indent}__pendingResponse = { embeds: [variables['${embedVar}']], ephemeral: ${ephemeral} };`);
+    if (this.usesComponents) {
+      codeLines.push(`${indent}if (__pendingComponents.length > 0) __pendingResponse.components = __pendingComponents;`);
+    }
     codeLines.push(`${indent}const sentMessage = await interaction.editReply(__pendingResponse);`);
     codeLines.push(`${indent}variables['_sent_message'] = sentMessage;`);
     codeLines.push(`${indent}variables['_message_id'] = sentMessage.id;`);
     codeLines.push(`${indent}variables['_channel_id'] = sentMessage.channel.id;`);
   }
 
+  /**
+   * Build the message options of a reply node: its text, its embed variable, or both
+   */
+  generateReplyPayloadCode(config = {}, extra = []) {
+    const parts = [];
+    if (config.message) {
+      parts.push(`content: \`${this.interpolateVariables(config.message)}\``);
+    }
+    if (config.embedVar) {
+      parts.push(`embeds: [variables['${config.embedVar}']]`);
+    }
+    if (parts.length === 0) {
+      parts.push('content: \'\'');
+    }
+    return `{ ${[...parts, ...extra].join(', ')} }`;
+  }
+
+  /**
+   * Generate follow-up code, sent straight away and awaited so its message ID can be used later
+   */
+  generateFollowUpCode(node, codeLines, indent) {
+    const config = node.data.config || {};
+    const outputVar = config.outputVar || 'followup_message_id';
+
+    codeLines.push(`${indent}// Follow-up: ${node.data.label || 'Follow-up'}`);
+    codeLines.push(`${indent}variables['${outputVar}'] = (await replies.followUp(${this.generateReplyPayloadCode(config, ['ephemeral: __ephemeral'])})).id;`);
+  }
+
+  /**
+   * Generate reply edit code for the original reply, or a follow-up when a message ID is set
+   */
+  generateEditReplyCode(node, codeLines, indent) {
+    const config = node.data.config || {};
+    const outputVar = config.outputVar || 'reply_message_id';
+    const messageId = config.messageId ? `\`${this.interpolateVariables(config.messageId)}\` || null` : 'null';
+
+    codeLines.push(`${indent}// Edit Reply: ${node.data.label || 'Edit Reply'}`);
+    codeLines.push(`${indent}variables['${outputVar}'] = (await replies.editReply(${this.generateReplyPayloadCode(config)}, ${messageId})).id;`);
+  }
+
+  /**
+   * Generate reply delete code for the original reply, or a follow-up when a message ID is set
+   */
+  generateDeleteReplyCode(node, codeLines, indent) {
+    const config = node.data.config || {};
+    const messageId = config.messageId ? `\`${this.interpolateVariables(config.messageId)}\` || null` : 'null';
+
+    codeLines.push(`${indent}// Delete Reply: ${node.data.label || 'Delete Reply'}`);
+    codeLines.push(`${indent}await replies.deleteReply(${messageId});`);
+  }
+
   /**
    * Generate Discord action code
    */
@@ -832,6 +1450,208 @@ export class NodeCompiler {
     }
   }
 
+  /**
+   * Generate schedule follow-up code
+   * Persists a job carrying the current variables; the 'followup' branch runs when it comes due
+   */
+  generateScheduleFollowUpCode(node, entry, graph, codeLines, visited, indent) {
+    const indentStr = this.getSafeIndent(indent);
+    const config = node.data.config || {};
+    const unitSeconds = NodeCompiler.FOLLOW_UP_UNITS[config.unit] || NodeCompiler.FOLLOW_UP_UNITS.minutes;
+    const delay = this.interpolateVariables(String(config.delay ?? 5));
+    const jobVar = config.jobVar || 'job_id';
+
+    codeLines.push(`${indentStr}// Schedule Follow-up: ${node.data.label || 'Follow-up'}`);
+    codeLines.push(`${indentStr}variables['${jobVar}'] = await jobs.schedule('${node.id}', Number(\`${delay}\`) * ${unitSeconds}, variables);`);
+
+    const followUp = entry.next.find(n => n.handle === 'followup');
+    if (followUp) {
+      this.addResumePoint('job', node.id, followUp.nodeId, [`variables['${jobVar}'] = job.id;`]);
+    }
+
+    for (const next of entry.next) {
+      if (next !== followUp) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent);
+      }
+    }
+  }
+
+  /**
+   * Register a branch that runs when the plugin is resumed at a step
+   * @param {string} source - 'job' for follow-up jobs, 'component' for component interactions
+   * @param {string} step - Node ID the plugin resumes at
+   * @param {string} nodeId - First node of the branch
+   * @param {Array<string>} setup - Code run before the branch
+   */
+  addResumePoint(source, step, nodeId, setup) {
+    if (!this.resumePoints.some(point => point.source === source && point.step === step)) {
+      this.resumePoints.push({ source, step, nodeId, setup });
+    }
+  }
+
+  /**
+   * Wrap the main flow so resumed runs jump straight to their branch
+   * @param {Map} graph - Execution graph
+   * @param {Array} flowLines - Main flow code lines, generated at indent 1
+   * @param {Array} codeLines - Code lines array
+   */
+  generateResumeDispatch(graph, flowLines, codeLines) {
+    // Branches may register resume points of their own, which are appended as they are found
+    const cases = { job: [], component: [] };
+    for (let i = 0; i < this.resumePoints.length; i++) {
+      const { source, step, nodeId, setup } = this.resumePoints[i];
+      cases[source].push(`    case '${step}':`);
+      cases[source].push(...setup.map(line => `      ${line}`));
+      this.generateNodeCode(nodeId, graph, cases[source], new Set(), 3);
+      cases[source].push('      break;');
+    }
+
+    let keyword = 'if';
+    if (cases.job.length > 0) {
+      codeLines.push(`  ${keyword} (typeof job !== 'undefined' && job) {`);
+      codeLines.push('    // Resume a scheduled follow-up with the variables it was scheduled with');
+      codeLines.push('    variables = { ...job.payload };');
+      codeLines.push('    switch (job.step) {');
+      codeLines.push(...cases.job);
+      codeLines.push('    }');
+      keyword = '} else if';
+    }
+    if (cases.component.length > 0) {
+      codeLines.push(`  ${keyword} (typeof component !== 'undefined' && component) {`);
+      codeLines.push('    // Resume at the node whose button, select menu or modal was used');
+      codeLines.push('    variables[\'component_value\'] = component.values.length > 0 ? component.values[0] : component.state;');
+      codeLines.push('    variables[\'component_values\'] = component.values;');
+      codeLines.push('    variables[\'component_state\'] = component.state;');
+      codeLines.push('    switch (component.step) {');
+      codeLines.push(...cases.component);
+      codeLines.push('    }');
+    }
+    codeLines.push('  } else {');
+    codeLines.push(...flowLines.map(line => (line ? `  ${line}` : line)));
+    codeLines.push('  }');
+  }
+
+  /**
+   * Build the custom ID expression for a component that resumes at a branch
+   * Components whose branch starts with a modal keep the interaction open for it.
+   * @param {Object} node - Component node
+   * @param {Object|undefined} branch - Branch the component resumes at
+   * @param {Map} graph - Execution graph
+   * @param {string} state - State code, interpolated into a template string
+   * @returns {string} Custom ID expression
+   */
+  generateCustomIdCode(node, branch, graph, state) {
+    const opensModal = branch && graph.get(branch.nodeId)?.node.type === 'modal_input';
+    return `await components.customId('${node.id}', \`${state}\`, '${opensModal ? 'm' : 'd'}')`;
+  }
+
+  /**
+   * Generate buttons code
+   * Adds an action row to the response; the 'click' branch runs when a button is used
+   */
+  generateButtonsCode(node, entry, graph, codeLines, visited, indent) {
+    const indentStr = this.getSafeIndent(indent);
+    const buttons = (node.data.config?.buttons || []).slice(0, 5);
+    const click = entry.next.find(n => n.handle === 'click');
+
+    codeLines.push(`${indentStr}// Buttons: ${node.data.label || 'Buttons'}`);
+    codeLines.push(`${indentStr}__pendingComponents.push({ type: 1, components: [`);
+    for (const button of buttons) {
+      const label = this.interpolateVariables(button.label || 'Button');
+      const emoji = button.emoji ? `, emoji: { name: \`${this.escapeTemplateString(button.emoji)}\` }` : '';
+      if (button.style === 'link') {
+        codeLines.push(`${indentStr}  { type: 2, style: 5, label: \`${label}\`, url: \`${this.interpolateVariables(button.url || '')}\`${emoji} },`);
+      } else {
+        const style = NodeCompiler.BUTTON_STYLES[button.style] || NodeCompiler.BUTTON_STYLES.primary;
+        const customId = this.generateCustomIdCode(node, click, graph, this.interpolateVariables(button.value || ''));
+        codeLines.push(`${indentStr}  { type: 2, style: ${style}, label: \`${label}\`, custom_id: ${customId}${emoji} },`);
+      }
+    }
+    codeLines.push(`${indentStr}] });`);
+
+    if (click) {
+      this.addResumePoint('component', node.id, click.nodeId, []);
+    }
+    for (const next of entry.next) {
+      if (next !== click) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent);
+      }
+    }
+  }
+
+  /**
+   * Generate select menu code
+   * Adds a select menu row to the response; the 'select' branch runs with the chosen values
+   */
+  generateSelectMenuCode(node, entry, graph, codeLines, visited, indent) {
+    const indentStr = this.getSafeIndent(indent);
+    const config = node.data.config || {};
+    const options = (config.options || []).slice(0, 25);
+    const select = entry.next.find(n => n.handle === 'select');
+    const minValues = Math.max(0, Number(config.minValues) || 1);
+    const maxValues = Math.min(options.length || 1, Math.max(minValues, Number(config.maxValues) || 1));
+    const customId = this.generateCustomIdCode(node, select, graph, this.interpolateVariables(config.state || ''));
+
+    codeLines.push(`${indentStr}// Select Menu: ${node.data.label || 'Select Menu'}`);
+    codeLines.push(`${indentStr}__pendingComponents.push({ type: 1, components: [{`);
+    codeLines.push(`${indentStr}  type: 3,`);
+    codeLines.push(`${indentStr}  custom_id: ${customId},`);
+    codeLines.push(`${indentStr}  placeholder: \`${this.interpolateVariables(config.placeholder || 'Choose an option')}\`,`);
+    codeLines.push(`${indentStr}  min_values: ${minValues},`);
+    codeLines.push(`${indentStr}  max_values: ${maxValues},`);
+    codeLines.push(`${indentStr}  options: [`);
+    for (const option of options) {
+      const description = option.description ? `, description: \`${this.interpolateVariables(option.description)}\`` : '';
+      codeLines.push(`${indentStr}    { label: \`${this.interpolateVariables(option.label || option.value || 'Option')}\`, value: \`${this.interpolateVariables(option.value || option.label || 'option')}\`${description} },`);
+    }
+    codeLines.push(`${indentStr}  ]`);
+    codeLines.push(`${indentStr}}] });`);
+
+    if (select) {
+      this.addResumePoint('component', node.id, select.nodeId, []);
+    }
+    for (const next of entry.next) {
+      if (next !== select) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent);
+      }
+    }
+  }
+
+  /**
+   * Generate modal input code
+   * Shows a modal in answer to the component that opened it; the 'submit' branch runs with the field values
+   */
+  generateModalInputCode(node, entry, graph, codeLines, visited, indent) {
+    const indentStr = this.getSafeIndent(indent);
+    const config = node.data.config || {};
+    const fields = (config.fields || []).slice(0, 5);
+    const submit = entry.next.find(n => n.handle === 'submit');
+
+    codeLines.push(`${indentStr}// Modal: ${node.data.label || 'Modal'}`);
+    codeLines.push(`${indentStr}await components.showModal({`);
+    codeLines.push(`${indentStr}  title: \`${this.interpolateVariables(config.title || 'Form')}\`,`);
+    // The component's state is carried over so the submit branch still knows what was clicked
+    codeLines.push(`${indentStr}  custom_id: await components.customId('${node.id}', variables['component_state'] ?? '', 'd'),`);
+    codeLines.push(`${indentStr}  components: [`);
+    fields.forEach((field, i) => {
+      const fieldId = String(field.id || `field_${i + 1}`).replace(/\W/g, '_');
+      const style = field.style === 'paragraph' ? 2 : 1;
+      const placeholder = field.placeholder ? `, placeholder: \`${this.interpolateVariables(field.placeholder)}\`` : '';
+      codeLines.push(`${indentStr}    { type: 1, components: [{ type: 4, custom_id: '${fieldId}', label: \`${this.interpolateVariables(field.label || fieldId)}\`, style: ${style}, required: ${field.required !== false}${placeholder} }] },`);
+    });
+    codeLines.push(`${indentStr}  ]`);
+    codeLines.push(`${indentStr}});`);
+
+    if (submit) {
+      this.addResumePoint('component', node.id, submit.nodeId, ['Object.assign(variables, component.fields);']);
+    }
+    for (const next of entry.next) {
+      if (next !== submit) {
+        this.generateNodeCode(next.nodeId, graph, codeLines, visited, indent);
+      }
+    }
+  }
+
   /**
    * Generate comparison code
    */
@@ -858,6 +1678,7 @@ export class NodeCompiler {
 
     codeLines.push(`${indentStr}// Comparison: ${operator}`);
     codeLines.push(`${indentStr}if (${condition}) {`);
+    this.generateBranchTrace(node, 'true', codeLines, this.getSafeIndent(indent + 1));
 
     const trueBranch = entry.next.find(n => n.handle?.includes('true'));
     if (trueBranch) {
@@ -865,6 +1686,7 @@ export class NodeCompiler {
     }
 
     codeLines.push(`${indentStr}} else {`);
+    this.generateBranchTrace(node, 'false', codeLines, this.getSafeIndent(indent + 1));
 
     const falseBranch = entry.next.find(n => n.handle?.includes('false'));
     if (falseBranch) {
@@ -1093,32 +1915,59 @@ export class NodeCompiler {
 
   /**
    * Generate database operation code
+   * State is stored per guild unless the node asks for user or global scope
    */
   generateDatabaseCode(node, codeLines, indent) {
-    const operation = node.data.config?.operation || 'get';
-    const key = node.data.config?.key || '';
-    const outputVar = node.data.config?.resultVar || node.data.config?.outputVar || 'dbValue';
+    const config = node.data.config || {};
+    const operation = config.operation || 'get';
+    const key = `\`${this.interpolateVariables(config.key || '')}\``;
+    const outputVar = config.resultVar || config.outputVar || 'dbValue';
+    const scope = Object.values(StateScopes).includes(config.scope) ? config.scope : StateScopes.GUILD;
+    const ttl = Number(config.ttl) > 0 ? Number(config.ttl) : null;
+    const options = ttl && ['set', 'increment'].includes(operation)
+      ? `{ scope: '${scope}', ttl: ${ttl} }`
+      : `{ scope: '${scope}' }`;
 
-    codeLines.push(`${indent}// Database: ${operation}`);
+    codeLines.push(`${indent}// Database: ${operation} (${scope})`);
 
     switch (operation) {
     case 'get':
-      codeLines.push(`${indent}variables['${outputVar}'] = await state.get('${key}');`);
+      codeLines.push(`${indent}variables['${outputVar}'] = await state.get(${key}, ${options});`);
       break;
     case 'set':
-      const value = this.interpolateVariables(node.data.config?.value || '');
-      codeLines.push(`${indent}await state.set('${key}', \`${value}\`);`);
+      codeLines.push(`${indent}await state.set(${key}, ${this.generateStateValueCode(config.value)}, ${options});`);
       break;
     case 'delete':
-      codeLines.push(`${indent}await state.delete('${key}');`);
+      codeLines.push(`${indent}await state.delete(${key}, ${options});`);
       break;
-    case 'list':
-      codeLines.push(`${indent}variables['${outputVar}'] = await state.list();`);
+    case 'list': {
+      const prefix = this.interpolateVariables(config.prefix || '');
+      codeLines.push(`${indent}variables['${outputVar}'] = await state.list({ scope: '${scope}', prefix: \`${prefix}\` });`);
       break;
+    }
     case 'exists':
-      codeLines.push(`${indent}variables['${outputVar}'] = await state.exists('${key}');`);
+      codeLines.push(`${indent}variables['${outputVar}'] = await state.exists(${key}, ${options});`);
+      break;
+    case 'increment': {
+      const amount = this.interpolateVariables(String(config.amount ?? 1));
+      codeLines.push(`${indent}variables['${outputVar}'] = await state.increment(${key}, Number(\`${amount}\`), ${options});`);
       break;
     }
+    }
+  }
+
+  /**
+   * Generate the value expression for a state write
+   * A value that is a single {variable} keeps its type, so numbers, arrays and objects are stored as JSON.
+   * @param {string} value - Configured value
+   * @returns {string} JavaScript expression
+   */
+  generateStateValueCode(value = '') {
+    const single = typeof value === 'string' ? value.match(/^\{(\w+)\}$/) : null;
+    if (single) {
+      return `variables['${single[1]}']`;
+    }
+    return `\`${this.interpolateVariables(value)}\``;
   }
 
   /**
@@ -1240,9 +2089,11 @@ export class NodeCompiler {
 
   /**
    * Validate node graph
+   * Variables used as the wrong type, or referenced before any node sets them, are reported as warnings
+   * because a flow that uses them still compiles and runs.
    * @param {Array} nodes - React Flow nodes
    * @param {Array} edges - React Flow edges
-   * @returns {Object} Validation result
+   * @returns {Object} Validation result: { valid, errors, warnings }
    */
   validate(nodes, edges) {
     const errors = [];
@@ -1255,8 +2106,12 @@ export class NodeCompiler {
       errors.push('Plugin can only have one trigger node');
     }
 
-    // Check for response node
-    const responseNodes = nodes.filter(n => n.type === 'response');
+    if (nodes.some(n => n.type === 'subflow_input')) {
+      errors.push('Sub-flow Inputs nodes can only be used in sub-flows');
+    }
+
+    // Check for response node, follow-ups and reply edits answer the command as well
+    const responseNodes = nodes.filter(n => ['response', 'follow_up', 'edit_reply'].includes(n.type));
     if (responseNodes.length === 0) {
       errors.push('Plugin must have at least one response node');
     }
@@ -1279,6 +2134,46 @@ export class NodeCompiler {
       }
     }
 
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings: checkVariableTypes(nodes, edges).map(issue => issue.message),
+    };
+  }
+
+  /**
+   * Validate a sub-flow node graph
+   * A sub-flow starts at one Sub-flow Inputs node and cannot use nodes that need the triggering interaction.
+   * @param {Array} nodes - React Flow nodes
+   * @param {Array} edges - React Flow edges
+   * @returns {Object} Validation result
+   */
+  validateSubflow(nodes, edges) {
+    const errors = [];
+
+    const inputNodes = nodes.filter(n => n.type === 'subflow_input');
+    if (inputNodes.length !== 1) {
+      errors.push('Sub-flow must have exactly one Sub-flow Inputs node');
+    }
+
+    for (const node of nodes) {
+      if (SUBFLOW_EXCLUDED_NODE_TYPES.includes(node.type)) {
+        errors.push(`Node "${node.data?.label || node.id}" (${node.type}) cannot be used in a sub-flow`);
+      }
+    }
+
+    const connectedNodes = new Set(inputNodes.map(n => n.id));
+    for (const edge of edges) {
+      connectedNodes.add(edge.source);
+      connectedNodes.add(edge.target);
+    }
+
+    for (const node of nodes) {
+      if (!connectedNodes.has(node.id)) {
+        errors.push(`Node "${node.data?.label || node.id}" is not connected`);
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
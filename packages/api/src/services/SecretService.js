@@ -0,0 +1,81 @@
+/**
+ * Secret Service
+ * Stores plugin secrets encrypted and lists them by name; values are never read back through the API
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { SECRET_NAME_PATTERN, MAX_SECRET_LENGTH, encryptSecret, getSecretsKey } from '@dismodular/shared';
+
+/**
+ * Validate a secret before it is stored
+ * @param {string} name - Secret name, referenced as {secret.NAME}
+ * @param {string} value - Secret value
+ * @returns {Object} { valid, error }
+ */
+export function validateSecret(name, value) {
+  if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+    return { valid: false, error: 'Secret names start with a letter or underscore and use only letters, digits and underscores (up to 64)' };
+  }
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_SECRET_LENGTH) {
+    return { valid: false, error: `Secret values must be 1 to ${MAX_SECRET_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * List a plugin's secrets without their values
+ * @param {Object} db - Prisma client
+ * @param {string} pluginId - Plugin ID
+ * @param {string|null} guildId - Guild whose own secrets are listed too, or null for only the shared ones
+ * @returns {Promise<Array<{name: string, scope: string, updated_at: Date}>>} Secrets, scope is plugin or guild
+ */
+export async function listSecrets(db, pluginId, guildId = null) {
+  const rows = await db.pluginSecret.findMany({
+    where: { plugin_id: pluginId, guild_id: { in: guildId ? ['', guildId] : [''] } },
+    select: { guild_id: true, name: true, updated_at: true },
+    orderBy: { name: 'asc' },
+  });
+
+  return rows.map(row => ({ name: row.name, scope: row.guild_id ? 'guild' : 'plugin', updated_at: row.updated_at }));
+}
+
+/**
+ * Encrypt and store a secret, replacing one of the same name
+ * @param {Object} db - Prisma client
+ * @param {string} pluginId - Plugin ID
+ * @param {string} guildId - Guild the secret belongs to, empty for every guild
+ * @param {string} name - Secret name
+ * @param {string} value - Secret value
+ * @returns {Promise<void>}
+ * @throws {Error} If PLUGIN_SECRETS_KEY is not configured
+ */
+export async function setSecret(db, pluginId, guildId, name, value) {
+  const key = getSecretsKey();
+  if (!key) {
+    throw new Error('Plugin secrets are not configured: set PLUGIN_SECRETS_KEY');
+  }
+
+  const id = { plugin_id: pluginId, guild_id: guildId || '', name };
+  const encrypted = encryptSecret(value, key);
+  await db.pluginSecret.upsert({
+    where: { plugin_id_guild_id_name: id },
+    update: { value: encrypted },
+    create: { ...id, value: encrypted },
+  });
+}
+
+/**
+ * Delete a secret
+ * @param {Object} db - Prisma client
+ * @param {string} pluginId - Plugin ID
+ * @param {string} guildId - Guild the secret belongs to, empty for every guild
+ * @param {string} name - Secret name
+ * @returns {Promise<boolean>} True if a secret was deleted
+ */
+export async function deleteSecret(db, pluginId, guildId, name) {
+  const result = await db.pluginSecret.deleteMany({
+    where: { plugin_id: pluginId, guild_id: guildId || '', name },
+  });
+  return result.count > 0;
+}
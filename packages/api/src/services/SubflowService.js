@@ -0,0 +1,179 @@
+/**
+ * Sub-flow Service
+ * Looks up the sub-flow versions a node graph calls and the plugins and sub-flows that call a sub-flow
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import NodeCompiler from './NodeCompiler.js';
+
+/**
+ * Deepest chain of sub-flows calling sub-flows that is resolved
+ */
+export const MAX_SUBFLOW_DEPTH = 10;
+
+/**
+ * Input and output names become variable names
+ */
+const SUBFLOW_PORT_NAME = /^[a-zA-Z_][a-zA-Z0-9_]{0,31}$/;
+
+/**
+ * Get the sub-flow versions the Call Sub-flow nodes of a graph are pinned to
+ * @param {Array} nodes - React Flow nodes
+ * @returns {Array<Object>} References: { nodeId, label, subflowId, version }
+ */
+export function getSubflowReferences(nodes) {
+  return (Array.isArray(nodes) ? nodes : [])
+    .filter(node => node?.type === 'call_subflow')
+    .map(node => ({
+      nodeId: node.id,
+      label: node.data?.label || node.id,
+      subflowId: node.data?.config?.subflowId || null,
+      version: parseInt(node.data?.config?.version, 10) || null,
+    }));
+}
+
+/**
+ * Turn a stored version into the definition the compiler inlines
+ * @param {Object} row - Sub-flow version row with its sub-flow's name
+ * @returns {Object} Sub-flow definition
+ */
+export function toSubflowDefinition(row) {
+  return {
+    id: row.subflow_id,
+    name: row.subflow?.name || row.subflow_id,
+    version: row.version,
+    inputs: row.inputs || [],
+    outputs: row.outputs || [],
+    nodes: row.nodes || [],
+    edges: row.edges || [],
+  };
+}
+
+/**
+ * Load every sub-flow version a graph calls, including the ones called by those sub-flows
+ * @param {Object} db - Prisma client
+ * @param {Array} nodes - React Flow nodes
+ * @returns {Promise<Object>} { subflows: Map for the `subflows` compile option, errors }
+ */
+export async function resolveSubflows(db, nodes) {
+  const subflows = new Map();
+  const errors = [];
+  let pending = getSubflowReferences(nodes);
+
+  for (let depth = 0; pending.length > 0; depth++) {
+    if (depth >= MAX_SUBFLOW_DEPTH) {
+      errors.push(`Sub-flows cannot be nested more than ${MAX_SUBFLOW_DEPTH} levels deep`);
+      break;
+    }
+    if (!db) {
+      errors.push('Database not available to load sub-flows');
+      break;
+    }
+
+    const next = [];
+    for (const reference of pending) {
+      if (!reference.subflowId || !reference.version) {
+        errors.push(`Call Sub-flow node "${reference.label}" has no sub-flow version selected`);
+        continue;
+      }
+
+      const key = NodeCompiler.getSubflowKey(reference.subflowId, reference.version);
+      if (subflows.has(key)) {
+        continue;
+      }
+
+      const row = await db.subflowVersion.findUnique({
+        where: { subflow_id_version: { subflow_id: reference.subflowId, version: reference.version } },
+        include: { subflow: { select: { name: true } } },
+      });
+      if (!row) {
+        errors.push(`Call Sub-flow node "${reference.label}" uses v${reference.version} of a sub-flow that does not exist`);
+        continue;
+      }
+
+      const definition = toSubflowDefinition(row);
+      subflows.set(key, definition);
+      next.push(...getSubflowReferences(definition.nodes));
+    }
+    pending = next;
+  }
+
+  return { subflows, errors };
+}
+
+/**
+ * Validate the declared inputs or outputs of a sub-flow
+ * @param {Array} ports - [{ name, description }]
+ * @param {string} kind - 'input' or 'output', used in messages
+ * @returns {Object} { valid, error, ports } with descriptions trimmed
+ */
+export function validateSubflowPorts(ports, kind) {
+  if (!Array.isArray(ports) || ports.length > 20) {
+    return { valid: false, error: `Sub-flow ${kind}s must be a list of at most 20 { name, description }` };
+  }
+
+  const names = new Set();
+  for (const port of ports) {
+    if (!SUBFLOW_PORT_NAME.test(port?.name || '')) {
+      return { valid: false, error: `Sub-flow ${kind} "${port?.name}" must be a variable name (letters, digits and _)` };
+    }
+    if (names.has(port.name)) {
+      return { valid: false, error: `Sub-flow ${kind} "${port.name}" is declared twice` };
+    }
+    names.add(port.name);
+  }
+
+  return {
+    valid: true,
+    ports: ports.map(port => ({ name: port.name, description: String(port.description || '').trim().slice(0, 200) })),
+  };
+}
+
+/**
+ * Find the plugins and other sub-flows that call a sub-flow
+ * Plugins count when their published graph or their draft calls it; sub-flows count when any of their versions does.
+ * @param {Object} db - Prisma client
+ * @param {string} subflowId - Sub-flow ID
+ * @returns {Promise<Object>} { plugins: [{ id, name, versions, draft }], subflows: [{ id, name, versions }] }
+ *   where versions are the versions of this sub-flow they are pinned to
+ */
+export async function findSubflowDependents(db, subflowId) {
+  const pinnedVersions = (references) => [...new Set(references.map(ref => ref.version))].sort((a, b) => a - b);
+
+  const plugins = [];
+  const pluginRows = await db.plugin.findMany({
+    select: { id: true, name: true, nodes: true, draft: true },
+  });
+  for (const plugin of pluginRows) {
+    const published = getSubflowReferences(plugin.nodes).filter(ref => ref.subflowId === subflowId);
+    const drafted = getSubflowReferences(plugin.draft?.nodes).filter(ref => ref.subflowId === subflowId);
+    if (published.length > 0 || drafted.length > 0) {
+      plugins.push({
+        id: plugin.id,
+        name: plugin.name,
+        versions: pinnedVersions([...published, ...drafted]),
+        draft: published.length === 0,
+      });
+    }
+  }
+
+  const callers = new Map();
+  const versionRows = await db.subflowVersion.findMany({
+    where: { subflow_id: { not: subflowId } },
+    select: { subflow_id: true, nodes: true, subflow: { select: { name: true } } },
+  });
+  for (const row of versionRows) {
+    const references = getSubflowReferences(row.nodes).filter(ref => ref.subflowId === subflowId);
+    if (references.length > 0) {
+      const caller = callers.get(row.subflow_id) || { id: row.subflow_id, name: row.subflow?.name, references: [] };
+      caller.references.push(...references);
+      callers.set(row.subflow_id, caller);
+    }
+  }
+
+  return {
+    plugins,
+    subflows: [...callers.values()].map(({ references, ...caller }) => ({ ...caller, versions: pinnedVersions(references) })),
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * Webhook Dispatcher - Sends queued webhook deliveries
+ * Signs each delivery, retries failed ones with exponential backoff and keeps the outcome for the delivery log
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import {
+  Logger,
+  signWebhookPayload,
+  decryptSecret,
+  getSecretsKey,
+  isPrivateHost,
+  createGuardedLookup,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+} from '@dismodular/shared';
+
+const logger = new Logger('WebhookDispatcher');
+
+// Characters of an endpoint's error response kept in the delivery log
+export const RESPONSE_SNIPPET_LENGTH = 200;
+
+export class WebhookDispatcher {
+  /**
+   * Initialize Webhook Dispatcher
+   * @param {Object} db - Prisma client
+   * @param {Object} options - Dispatcher options
+   * @param {number} options.pollInterval - Time between checks for due deliveries in ms (default: 5 seconds)
+   * @param {number} options.batchSize - Deliveries claimed per check (default: 25)
+   * @param {number} options.maxAttempts - Attempts before a delivery is given up (default: 6)
+   * @param {number} options.retryDelay - Delay before the first retry in ms, doubled for each retry (default: 30 seconds)
+   * @param {number} options.timeout - Time an endpoint has to respond in ms (default: 10 seconds)
+   * @param {number} options.recoveryInterval - Time between stale and old delivery sweeps in ms (default: 10 minutes)
+   * @param {number} options.retentionDays - Days finished deliveries are kept in the delivery log (default: 14)
+   * @param {boolean} options.allowPrivateNetworks - Deliver to private addresses (default: only in development)
+   * @param {Function} options.fetch - Fetch implementation (default: node-fetch)
+   * @param {Function} options.lookup - DNS lookup (default: dns.lookup)
+   * @param {Buffer|null} options.secretsKey - Key the signing secrets are encrypted with (default: from PLUGIN_SECRETS_KEY)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.pollInterval = options.pollInterval || 5000;
+    this.batchSize = options.batchSize || 25;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.retryDelay = options.retryDelay || 30 * 1000;
+    this.timeout = options.timeout || 10000;
+    this.recoveryInterval = options.recoveryInterval || 10 * 60 * 1000;
+    this.retentionDays = options.retentionDays || 14;
+    this.allowPrivateNetworks = options.allowPrivateNetworks ?? process.env.NODE_ENV === 'development';
+    this.fetch = options.fetch || null;
+    this.secretsKey = options.secretsKey !== undefined ? options.secretsKey : getSecretsKey();
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.polling = false;
+
+    // Webhook URLs are chosen by admins, so the addresses they resolve to are checked like plugin requests
+    const lookup = createGuardedLookup({ lookup: options.lookup || dns.lookup, allowPrivateNetworks: this.allowPrivateNetworks });
+    this.agents = {
+      'http:': new http.Agent({ lookup }),
+      'https:': new https.Agent({ lookup }),
+    };
+  }
+
+  /**
+   * Claim and send every delivery that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of deliveries that succeeded
+   */
+  async poll(now = new Date()) {
+    if (this.polling) {return 0;}
+    this.polling = true;
+
+    let delivered = 0;
+    try {
+      const deliveries = await this.db.webhookDelivery.findMany({
+        where: {
+          status: 'pending',
+          next_attempt_at: { lte: now },
+        },
+        include: { webhook: true },
+        orderBy: { next_attempt_at: 'asc' },
+        take: this.batchSize,
+      });
+
+      for (const delivery of deliveries) {
+        const claim = await this.db.webhookDelivery.updateMany({
+          where: { id: delivery.id, status: 'pending' },
+          data: {
+            status: 'sending',
+            locked_at: now,
+            attempts: { increment: 1 },
+          },
+        });
+        if (claim.count === 0) {
+          logger.debug(`Webhook delivery ${delivery.id} was claimed elsewhere`);
+          continue;
+        }
+
+        const attempt = delivery.attempts + 1;
+        const outcome = await this.send(delivery, now);
+        if (!outcome.error) {
+          delivered++;
+        } else if (attempt < this.maxAttempts && !outcome.final) {
+          outcome.retryAt = new Date(now.getTime() + this.retryDelay * 2 ** (attempt - 1));
+        } else {
+          logger.warn(`Webhook delivery ${delivery.id} to ${delivery.webhook.name} failed after ${attempt} attempts: ${outcome.error}`);
+        }
+        await this.record(delivery.id, outcome, now);
+      }
+    } catch (error) {
+      logger.error('Failed to send webhook deliveries:', error.message);
+    } finally {
+      this.polling = false;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Post a delivery to its webhook
+   * Redirects are not followed, so a delivery only ever reaches the registered URL, and private addresses never.
+   * @param {Object} delivery - Delivery row with its webhook
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { status, error, duration, final }
+   */
+  async send(delivery, now) {
+    const { webhook } = delivery;
+    if (!webhook.enabled) {
+      return { status: null, error: 'Webhook is disabled', duration: 0, final: true };
+    }
+
+    const target = new URL(webhook.url);
+    if (!this.allowPrivateNetworks && isPrivateHost(target)) {
+      return { status: null, error: `Requests to private address ${target.hostname} are not allowed`, duration: 0, final: true };
+    }
+
+    if (!this.secretsKey) {
+      return { status: null, error: 'Webhook secrets are not configured: set PLUGIN_SECRETS_KEY', duration: 0 };
+    }
+    let secret;
+    try {
+      secret = decryptSecret(webhook.secret, this.secretsKey);
+    } catch (error) {
+      return { status: null, error: `Signing secret cannot be decrypted, rotate it: ${error.message}`, duration: 0, final: true };
+    }
+
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const started = Date.now();
+
+    try {
+      const fetch = this.fetch || (await import('node-fetch')).default;
+      const response = await fetch(target.href, {
+        method: 'POST',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeout),
+        agent: (parsed) => this.agents[parsed.protocol],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'DisModular-Webhooks/1.0',
+          'X-DisModular-Event': delivery.event,
+          'X-DisModular-Delivery': delivery.id,
+          [WEBHOOK_TIMESTAMP_HEADER]: String(timestamp),
+          [WEBHOOK_SIGNATURE_HEADER]: signWebhookPayload(secret, timestamp, body),
+        },
+        body,
+      });
+      const duration = Date.now() - started;
+
+      if (response.status >= 200 && response.status < 300) {
+        return { status: response.status, error: null, duration };
+      }
+      const snippet = await this.readSnippet(response);
+      return { status: response.status, error: `HTTP ${response.status}${snippet ? `: ${snippet}` : ''}`, duration };
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      return { status: null, error: timedOut ? `No response within ${this.timeout}ms` : error.message, duration: Date.now() - started };
+    }
+  }
+
+  /**
+   * Read the start of an error response for the delivery log, leaving the rest unread
+   * @param {Object} response - Fetch response
+   * @returns {Promise<string>} Up to RESPONSE_SNIPPET_LENGTH characters on one line
+   */
+  async readSnippet(response) {
+    if (!response.body) {
+      return '';
+    }
+
+    try {
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        chunks.push(Buffer.from(chunk));
+        size += chunk.length;
+        if (size > RESPONSE_SNIPPET_LENGTH) {
+          break;
+        }
+      }
+
+      const text = Buffer.concat(chunks).toString('utf8').replace(/\s+/g, ' ').trim();
+      return text.length > RESPONSE_SNIPPET_LENGTH ? `${text.slice(0, RESPONSE_SNIPPET_LENGTH)}...` : text;
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Store the outcome of an attempt
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} outcome - { status, error, duration, retryAt }
+   * @param {Date} now - Current time
+   */
+  async record(deliveryId, outcome, now) {
+    const status = !outcome.error ? 'delivered' : (outcome.retryAt ? 'pending' : 'failed');
+    await this.db.webhookDelivery.updateMany({
+      where: { id: deliveryId },
+      data: {
+        status,
+        next_attempt_at: outcome.retryAt || undefined,
+        locked_at: null,
+        response_status: outcome.status,
+        last_error: outcome.error ? String(outcome.error).slice(0, 1000) : null,
+        duration_ms: outcome.duration,
+        delivered_at: outcome.error ? undefined : now,
+      },
+    });
+  }
+
+  /**
+   * Release deliveries left sending by a stopped process and delete old finished deliveries
+   * @param {Date} now - Current time
+   */
+  async recover(now = new Date()) {
+    try {
+      const staleBefore = new Date(now.getTime() - this.recoveryInterval);
+      const finishedBefore = new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+      const [released, purged] = await this.db.$transaction([
+        this.db.webhookDelivery.updateMany({
+          where: { status: 'sending', locked_at: { lt: staleBefore } },
+          data: { status: 'pending', locked_at: null },
+        }),
+        this.db.webhookDelivery.deleteMany({
+          where: { status: { in: ['delivered', 'failed'] }, created_at: { lt: finishedBefore } },
+        }),
+      ]);
+
+      if (released.count > 0 || purged.count > 0) {
+        logger.info(`Released ${released.count} stale webhook deliveries, deleted ${purged.count} old deliveries`);
+      }
+    } catch (error) {
+      logger.warn('Failed to recover webhook deliveries:', error.message);
+    }
+  }
+
+  /**
+   * Start sending due deliveries
+   */
+  start() {
+    if (this.pollTimer) {return;}
+    this.recover().then(() => this.poll());
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.pollTimer.unref?.();
+    this.recoveryTimer = setInterval(() => this.recover(), this.recoveryInterval);
+    this.recoveryTimer.unref?.();
+  }
+
+  /**
+   * Stop sending due deliveries
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      clearInterval(this.recoveryTimer);
+      this.pollTimer = null;
+      this.recoveryTimer = null;
+    }
+  }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,198 @@
+/**
+ * Webhook Service
+ * Registers outgoing webhooks and queues a delivery for each webhook an event matches
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { randomBytes } from 'crypto';
+import { Logger, queueWebhookEvent, validateWebhook, encryptSecret, getSecretsKey } from '@dismodular/shared';
+
+const logger = new Logger('WebhookService');
+
+// Makes signing secrets easy to recognize, e.g. by secret scanners
+export const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+export const MAX_DELIVERIES_LISTED = 100;
+
+/**
+ * Validate a request to create or change a webhook
+ * @param {Object} body - Request body with name, url and events
+ * @param {Object} current - Webhook being changed, if any
+ * @returns {Object} { valid, error }
+ */
+export function validateWebhookRequest(body, current = null) {
+  const changes = Object.fromEntries(Object.entries(body || {}).filter(([, value]) => value !== undefined));
+  const { name, url, events, enabled } = { ...current, ...changes };
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    return { valid: false, error: 'Webhook names must be 1 to 100 characters' };
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return { valid: false, error: 'enabled must be true or false' };
+  }
+  return validateWebhook({ url, events }, { allowLocalhost: process.env.NODE_ENV === 'development' });
+}
+
+/**
+ * Shape a stored webhook for API responses, without its secret
+ * @param {Object} row - webhooks row
+ * @returns {Object} Webhook details
+ */
+function toWebhookDetails(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: row.events,
+    enabled: row.enabled,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Create a signing secret, with the encrypted value to store
+ * Signing secrets are kept encrypted with PLUGIN_SECRETS_KEY, like plugin secrets.
+ * @returns {Object} { secret, encrypted }
+ * @throws {Error} With statusCode 503 if PLUGIN_SECRETS_KEY is not configured
+ */
+function createWebhookSecret() {
+  const key = getSecretsKey();
+  if (!key) {
+    const error = new Error('Webhook secrets are not configured: set PLUGIN_SECRETS_KEY');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const secret = `${WEBHOOK_SECRET_PREFIX}${randomBytes(32).toString('base64url')}`;
+  return { secret, encrypted: encryptSecret(secret, key) };
+}
+
+/**
+ * List every webhook
+ * @param {Object} db - Prisma client
+ * @returns {Promise<Array<Object>>} Webhooks, oldest first
+ */
+export async function listWebhooks(db) {
+  const rows = await db.webhook.findMany({
+    orderBy: { created_at: 'asc' },
+  });
+  return rows.map(toWebhookDetails);
+}
+
+/**
+ * Create a webhook; the returned secret is the only time it can be read
+ * @param {Object} db - Prisma client
+ * @param {string} userId - Admin registering the webhook
+ * @param {Object} options - Validated { name, url, events, enabled }
+ * @returns {Promise<Object>} Webhook details with the secret
+ * @throws {Error} With statusCode 503 if PLUGIN_SECRETS_KEY is not configured
+ */
+export async function createWebhook(db, userId, { name, url, events, enabled = true }) {
+  const { secret, encrypted } = createWebhookSecret();
+  const row = await db.webhook.create({
+    data: {
+      name: name.trim(),
+      url,
+      events: [...new Set(events)],
+      secret: encrypted,
+      enabled,
+      created_by: userId,
+    },
+  });
+  return { ...toWebhookDetails(row), secret };
+}
+
+/**
+ * Change a webhook's name, URL, events or enabled flag
+ * @param {Object} db - Prisma client
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} changes - Validated changes
+ * @returns {Promise<Object>} Webhook details
+ */
+export async function updateWebhook(db, webhookId, { name, url, events, enabled }) {
+  const row = await db.webhook.update({
+    where: { id: webhookId },
+    data: {
+      name: name?.trim(),
+      url,
+      events: events ? [...new Set(events)] : undefined,
+      enabled,
+    },
+  });
+  return toWebhookDetails(row);
+}
+
+/**
+ * Replace a webhook's signing secret
+ * @param {Object} db - Prisma client
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} Webhook details with the new secret
+ * @throws {Error} With statusCode 503 if PLUGIN_SECRETS_KEY is not configured
+ */
+export async function rotateWebhookSecret(db, webhookId) {
+  const { secret, encrypted } = createWebhookSecret();
+  const row = await db.webhook.update({
+    where: { id: webhookId },
+    data: { secret: encrypted },
+  });
+  return { ...toWebhookDetails(row), secret };
+}
+
+/**
+ * List a webhook's most recent deliveries
+ * @param {Object} db - Prisma client
+ * @param {string} webhookId - Webhook ID
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise<Array<Object>>} Deliveries, newest first
+ */
+export async function listWebhookDeliveries(db, webhookId, limit = 50) {
+  return db.webhookDelivery.findMany({
+    where: { webhook_id: webhookId },
+    orderBy: { created_at: 'desc' },
+    take: Math.min(Math.max(1, limit), MAX_DELIVERIES_LISTED),
+  });
+}
+
+/**
+ * Send a finished or failed delivery again, starting its attempts over
+ * @param {Object} db - Prisma client
+ * @param {string} webhookId - Webhook the delivery belongs to
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<boolean>} True if the delivery was queued again
+ */
+export async function redeliverWebhookDelivery(db, webhookId, deliveryId) {
+  const result = await db.webhookDelivery.updateMany({
+    where: { id: deliveryId, webhook_id: webhookId, status: { in: ['delivered', 'failed'] } },
+    data: {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(),
+      locked_at: null,
+    },
+  });
+  return result.count > 0;
+}
+
+/**
+ * Queue an event for every enabled webhook that subscribed to it
+ * Never throws, so an unreachable database or a bad webhook cannot fail the action that raised the event.
+ * @param {Object} db - Prisma client
+ * @param {string} event - WebhookEvents value
+ * @param {Object} data - Event details
+ * @param {Object} options - { webhookId } to queue the event for one webhook only
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function enqueueWebhookEvent(db, event, data = {}, options = {}) {
+  try {
+    if (!db?.webhook) {
+      return 0;
+    }
+    return await queueWebhookEvent(db, event, data, options);
+  } catch (error) {
+    logger.warn(`Failed to queue webhook event ${event}:`, error.message);
+    return 0;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * AnalyticsService Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import {
+  AnalyticsService,
+  mergeExecutionGroups,
+  mergeDailySeries,
+  parseAnalyticsDays,
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+} from '../src/services/AnalyticsService.js';
+
+describe('AnalyticsService', () => {
+  describe('parseAnalyticsDays', () => {
+    it('should default and clamp the window', () => {
+      assert.strictEqual(parseAnalyticsDays(undefined), DEFAULT_ANALYTICS_DAYS);
+      assert.strictEqual(parseAnalyticsDays('0'), DEFAULT_ANALYTICS_DAYS);
+      assert.strictEqual(parseAnalyticsDays('7'), 7);
+      assert.strictEqual(parseAnalyticsDays('9999'), MAX_ANALYTICS_DAYS);
+    });
+  });
+
+  describe('mergeExecutionGroups', () => {
+    it('should combine raw executions with daily rollups', () => {
+      const rows = mergeExecutionGroups(
+        [
+          { plugin_id: 'a', success: true, _count: { _all: 3 }, _sum: { execution_time_ms: 30 } },
+          { plugin_id: 'a', success: false, _count: { _all: 1 }, _sum: { execution_time_ms: 10 } },
+          { plugin_id: 'b', success: true, _count: { _all: 1 }, _sum: { execution_time_ms: null } },
+        ],
+        [
+          { plugin_id: 'b', _sum: { executions: 10, successes: 5, total_execution_time_ms: 100n } },
+          { plugin_id: '', _sum: { executions: 2, successes: 2, total_execution_time_ms: 0n } },
+        ],
+        'plugin_id',
+      );
+
+      assert.deepStrictEqual(rows.map(row => row.plugin_id), ['b', 'a', null]);
+      assert.deepStrictEqual(rows[0], {
+        plugin_id: 'b',
+        executions: 11,
+        successes: 6,
+        failures: 5,
+        successRate: 54.5,
+        avgExecutionTime: 9,
+      });
+      assert.strictEqual(rows[1].successRate, 75);
+      assert.strictEqual(rows[1].avgExecutionTime, 10);
+    });
+  });
+
+  describe('mergeDailySeries', () => {
+    it('should fill every day in the window', () => {
+      const since = new Date('2026-10-01T00:00:00.000Z');
+      const now = new Date('2026-10-03T12:00:00.000Z');
+      const series = mergeDailySeries(
+        [{ day: new Date('2026-10-03T00:00:00.000Z'), executions: 2, successes: 1, total_time: 40n }],
+        [{ day: new Date('2026-10-01T00:00:00.000Z'), _sum: { executions: 4, successes: 4, total_execution_time_ms: 8n } }],
+        since,
+        now,
+      );
+
+      assert.deepStrictEqual(series.map(row => row.date), ['2026-10-01', '2026-10-02', '2026-10-03']);
+      assert.deepStrictEqual(series.map(row => row.executions), [4, 0, 2]);
+      assert.strictEqual(series[2].avgExecutionTime, 20);
+    });
+  });
+
+  describe('getBreakdowns', () => {
+    const calls = [];
+
+    before(() => {
+      global.testPrismaClient = {
+        commandExecution: {
+          groupBy: async (args) => {
+            calls.push(args);
+            const key = args.by[0];
+            return [{ [key]: key === 'plugin_id' ? 'plugin-1' : 'guild-1', success: true, _count: { _all: 2 }, _sum: { execution_time_ms: 20 } }];
+          },
+        },
+        commandExecutionDaily: {
+          groupBy: async () => [],
+        },
+        plugin: {
+          findMany: async () => [{ id: 'plugin-1', name: 'Hello' }],
+        },
+        guild: {
+          findMany: async () => [{ id: 'guild-1', name: 'Test Guild' }],
+        },
+        $queryRaw: async () => [],
+      };
+    });
+
+    after(() => {
+      delete global.testPrismaClient;
+    });
+
+    it('should return named per-plugin, per-guild and per-day rows', async () => {
+      const now = new Date('2026-10-19T12:00:00.000Z');
+      const breakdowns = await AnalyticsService.getBreakdowns({ days: 7, guildId: 'guild-1', now });
+
+      assert.strictEqual(breakdowns.since.toISOString(), '2026-10-13T00:00:00.000Z');
+      assert.strictEqual(breakdowns.byPlugin[0].name, 'Hello');
+      assert.strictEqual(breakdowns.byGuild[0].name, 'Test Guild');
+      assert.strictEqual(breakdowns.byDay.length, 7);
+
+      // The guild filter only narrows the per-plugin breakdown
+      const pluginQuery = calls.find(args => args.by[0] === 'plugin_id');
+      assert.strictEqual(pluginQuery.where.guild_id, 'guild-1');
+    });
+  });
+});
@@ -15,6 +15,7 @@ if (existsSync(envPath)) {
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
+import vm from 'vm';
 import { NodeCompiler } from '../src/services/NodeCompiler.js';
 
 describe('NodeCompiler', () => {
@@ -84,6 +85,27 @@ describe('NodeCompiler', () => {
       assert.strictEqual(result.valid, false);
       assert.ok(result.errors.some(e => e.includes('not connected')));
     });
+
+    it('should warn about mistyped and undefined variables without rejecting the graph', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Trigger' } },
+        { id: '2', type: 'string_operation', data: { label: 'Name', config: { operation: 'uppercase', input: 'ada', resultVar: 'name' } } },
+        { id: '3', type: 'math_operation', data: { label: 'Add', config: { operation: 'add', value1: '{name}', value2: '1' } } },
+        { id: '4', type: 'response', data: { label: 'Reply', config: { message: '{result} {nmae}' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4' },
+      ];
+
+      const result = compiler.validate(nodes, edges);
+      assert.strictEqual(result.valid, true);
+      assert.deepStrictEqual(result.warnings, [
+        '"Add" uses {name} as a number, but it is a string (set by "Name")',
+        '"Reply" uses {nmae}, but no node before it sets that variable',
+      ]);
+    });
   });
 
   describe('compile', () => {
@@ -143,6 +165,65 @@ describe('NodeCompiler', () => {
       assert.ok(code.includes('user?.username'));
     });
 
+    it('should read typed slash options into variables', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'variable', data: { label: 'Amount', config: { name: 'amount', type: 'user_input', optionType: 4 } } },
+        { id: '3', type: 'variable', data: { label: 'Target', config: { name: 'target', type: 'user_input', optionType: 6 } } },
+        { id: '4', type: 'response', data: { label: 'Reply', config: { message: 'Giving {amount} to {target_name}' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const body = code.split('// Variable: amount')[1].split('// Response')[0];
+      const interaction = {
+        options: {
+          getInteger: (name) => (name === 'amount' ? 3 : null),
+          getUser: (name) => (name === 'target' ? { id: 'user-1', username: 'ada' } : null),
+        },
+      };
+      const variables = {};
+      vm.runInNewContext(body, { interaction, variables, message: null });
+
+      assert.deepStrictEqual(variables, { amount: 3, target: 'user-1', target_name: 'ada' });
+    });
+
+    it('should run the branch of the invoked subcommand', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'subcommands', data: { label: 'Route', config: { subcommands: [{ name: 'ping' }, { name: 'ban', group: 'mod' }] } } },
+        { id: '3', type: 'response', data: { label: 'Pong', config: { message: 'Pong' } } },
+        { id: '4', type: 'response', data: { label: 'Banned', config: { message: 'Banned' } } },
+        { id: '5', type: 'response', data: { label: 'Usage', config: { message: 'Usage' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3', sourceHandle: 'sub:ping' },
+        { id: 'e3', source: '2', target: '4', sourceHandle: 'sub:mod.ban' },
+        { id: 'e4', source: '2', target: '5', sourceHandle: 'fallback' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const body = code.split('// Subcommands: Route')[1].split('// Send final response')[0];
+      const run = (group, subcommand) => {
+        const context = {
+          variables: {},
+          __pendingResponse: null,
+          interaction: { options: { getSubcommandGroup: () => group, getSubcommand: () => subcommand } },
+        };
+        vm.runInNewContext(`${body}\n;__result = __pendingResponse;`, context);
+        return context.__result;
+      };
+
+      assert.strictEqual(run(null, 'ping'), 'Pong');
+      assert.strictEqual(run('mod', 'ban'), 'Banned');
+      assert.strictEqual(run(null, null), 'Usage');
+    });
+
     it('should compile condition node with branches', () => {
       const nodes = [
         {
@@ -246,6 +327,484 @@ describe('NodeCompiler', () => {
       assert.ok(code.includes('variables[\'server\']'));
       assert.ok(code.includes('guild?.name'));
     });
+
+    it('should expose event payload fields for event triggers', () => {
+      const nodes = [
+        {
+          id: '1',
+          type: 'trigger',
+          data: { label: 'Member Joined', config: { triggerType: 'event', event: 'guildMemberAdd' } },
+        },
+        {
+          id: '2',
+          type: 'response',
+          data: { label: 'Welcome', config: { message: 'Welcome {event_user_username}!' } },
+        },
+      ];
+      const edges = [{ id: 'e1', source: '1', target: '2' }];
+
+      const code = compiler.compile(nodes, edges);
+
+      // Run the generated flattening against a sample payload
+      const triggerCode = code.split('(async function execute() {')[1].split('// Response')[0];
+      const sandbox = {
+        console: { log: () => {} },
+        variables: {},
+        event: { type: 'guildMemberAdd', user: { id: '1', username: 'newcomer' }, member: { roles: ['Member'] } },
+      };
+      vm.runInNewContext(triggerCode, sandbox);
+      const { variables } = sandbox;
+
+      assert.strictEqual(variables.event_type, 'guildMemberAdd');
+      assert.strictEqual(variables.event_user_username, 'newcomer');
+      assert.deepStrictEqual(variables.event_member_roles, ['Member']);
+      assert.ok(code.includes('${variables[\'event_user_username\']}'));
+    });
+
+    it('should expose regex captures for message pattern triggers', () => {
+      const nodes = [
+        {
+          id: '1',
+          type: 'trigger',
+          data: { label: 'Pattern', config: { triggerType: 'message', pattern: 'weather in (?<city>\\w+)' } },
+        },
+        {
+          id: '2',
+          type: 'response',
+          data: { label: 'Forecast', config: { message: 'Looking up {city}' } },
+        },
+      ];
+      const edges = [{ id: 'e1', source: '1', target: '2' }];
+
+      const code = compiler.compile(nodes, edges);
+
+      const triggerCode = code.split('(async function execute() {')[1].split('// Response')[0];
+      const sandbox = {
+        console: { log: () => {} },
+        variables: {},
+        match: { text: 'weather in Oslo', index: 0, groups: { city: 'Oslo' }, captures: ['Oslo'] },
+      };
+      vm.runInNewContext(triggerCode, sandbox);
+      const { variables } = sandbox;
+
+      assert.strictEqual(variables.match, 'weather in Oslo');
+      assert.strictEqual(variables.match_1, 'Oslo');
+      assert.strictEqual(variables.city, 'Oslo');
+    });
+
+    it('should expose schedule details for schedule triggers', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Daily', config: { triggerType: 'schedule' } } },
+        { id: '2', type: 'response', data: { label: 'Digest', config: { message: 'Digest for {scheduled_for}' } } },
+      ];
+      const edges = [{ id: 'e1', source: '1', target: '2' }];
+
+      const code = compiler.compile(nodes, edges);
+
+      const triggerCode = code.split('(async function execute() {')[1].split('// Send final response')[0];
+      const sandbox = {
+        console: { log: () => {} },
+        variables: {},
+        schedule: {
+          cron: '0 9 * * *',
+          intervalSeconds: null,
+          channelId: 'channel-1',
+          scheduledFor: '2026-10-19T09:00:00.000Z',
+          firedAt: '2026-10-19T09:00:12.000Z',
+        },
+      };
+      vm.runInNewContext(triggerCode, sandbox);
+      const { variables } = sandbox;
+
+      assert.strictEqual(variables.scheduled_for, '2026-10-19T09:00:00.000Z');
+      assert.strictEqual(variables.schedule_channel_id, 'channel-1');
+      assert.strictEqual(variables.schedule_cron, '0 9 * * *');
+      assert.strictEqual(variables.schedule_interval, 0);
+    });
+
+    it('should scope database operations to the guild by default', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'database', data: { label: 'Load', config: { operation: 'get', key: 'count', resultVar: 'count' } } },
+        { id: '3', type: 'database', data: { label: 'Save', config: { operation: 'set', key: 'xp', value: '{count}', scope: 'user' } } },
+        { id: '4', type: 'database', data: { label: 'Bogus', config: { operation: 'delete', key: 'old', scope: 'everyone' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+
+      assert.ok(code.includes('await state.get(`count`, { scope: \'guild\' })'));
+      assert.ok(code.includes('await state.set(`xp`, variables[\'count\'], { scope: \'user\' });'));
+      assert.ok(code.includes('await state.delete(`old`, { scope: \'guild\' })'));
+    });
+
+    it('should compile storage operations that run against the state API', async () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'database', data: { label: 'Bump', config: { operation: 'increment', key: 'score_{user}', amount: '{points}', resultVar: 'score', ttl: 3600 } } },
+        { id: '3', type: 'database', data: { label: 'Remember', config: { operation: 'set', key: 'last', value: 'Scored {score}', scope: 'global' } } },
+        { id: '4', type: 'database', data: { label: 'Board', config: { operation: 'list', prefix: 'score_', resultVar: 'board' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const body = code.split('// Database: increment (guild)')[1].split('// Send final response')[0];
+      const calls = [];
+      const state = {
+        increment: async (key, amount, options) => {
+          calls.push(['increment', key, amount, options]);
+          return 12;
+        },
+        set: async (key, value, options) => {
+          calls.push(['set', key, value, options]);
+        },
+        list: async (options) => {
+          calls.push(['list', options]);
+          return [{ key: 'score_ada', value: 12 }];
+        },
+      };
+      const variables = { user: 'ada', points: '2' };
+      await vm.runInNewContext(`(async () => {\n${body}\n})()`, { state, variables });
+
+      // Options objects are created inside the vm context, compare them as plain data
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(calls)), [
+        ['increment', 'score_ada', 2, { scope: 'guild', ttl: 3600 }],
+        ['set', 'last', 'Scored 12', { scope: 'global' }],
+        ['list', { scope: 'guild', prefix: 'score_' }],
+      ]);
+      assert.deepStrictEqual(variables.board, [{ key: 'score_ada', value: 12 }]);
+    });
+
+    it('should schedule follow-ups and resume them at their branch', async () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'schedule_followup', data: { label: 'Later', config: { delay: '{minutes}', unit: 'minutes', jobVar: 'reminder_job' } } },
+        { id: '3', type: 'response', data: { label: 'Confirm', config: { message: 'Reminder {reminder_job} set' } } },
+        { id: '4', type: 'response', data: { label: 'Remind', config: { message: 'Remember: {text} ({reminder_job})' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3', sourceHandle: 'next' },
+        { id: 'e3', source: '2', target: '4', sourceHandle: 'followup' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const run = (globals) => new Promise((resolve) => {
+        vm.runInNewContext(`variables = { minutes: '5', text: 'stretch' };\n${code.replace('let variables = {};', '')}`, {
+          console: { log: () => {} },
+          __resolve: resolve,
+          variables: {},
+          ...globals,
+        });
+      });
+
+      const scheduled = [];
+      const jobs = {
+        schedule: async (step, delaySeconds, payload) => {
+          scheduled.push([step, delaySeconds, JSON.parse(JSON.stringify(payload))]);
+          return 'job-1';
+        },
+      };
+      assert.strictEqual(await run({ jobs, job: null }), 'Reminder job-1 set');
+      assert.deepStrictEqual(scheduled, [['2', 300, { minutes: '5', text: 'stretch' }]]);
+
+      const job = { id: 'job-1', step: '2', payload: { text: 'stretch' } };
+      assert.strictEqual(await run({ jobs, job }), 'Remember: stretch (job-1)');
+    });
+
+    it('should attach buttons and resume at their branch when clicked', async () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'response', data: { label: 'Ask', config: { message: 'Delete it?' } } },
+        { id: '3', type: 'buttons', data: { label: 'Confirm', config: { buttons: [
+          { label: 'Yes', style: 'danger', value: 'yes', emoji: '🗑️' },
+          { label: 'Docs', style: 'link', url: 'https://example.com' },
+        ] } } },
+        { id: '4', type: 'response', data: { label: 'Done', config: { message: 'You chose {component_value}' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4', sourceHandle: 'click' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const components = {
+        customId: async (step, state, mode) => `dm:${mode}:plugin:${step}:${state}`,
+      };
+      const run = (component) => new Promise((resolve) => {
+        vm.runInNewContext(code, { console: { log: () => {} }, __resolve: resolve, components, component });
+      });
+
+      const initial = JSON.parse(JSON.stringify(await run(null)));
+      assert.deepStrictEqual(initial, {
+        content: 'Delete it?',
+        components: [{ type: 1, components: [
+          { type: 2, style: 4, label: 'Yes', custom_id: 'dm:d:plugin:3:yes', emoji: { name: '🗑️' } },
+          { type: 2, style: 5, label: 'Docs', url: 'https://example.com' },
+        ] }],
+      });
+
+      assert.strictEqual(await run({ type: 'button', step: '3', state: 'yes', values: [], fields: {} }), 'You chose yes');
+    });
+
+    it('should open modals from components and resume with the submitted fields', async () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'select_menu', data: { label: 'Pick', config: { state: 'ticket', options: [{ label: 'Bug', value: 'bug' }, { label: 'Idea', value: 'idea' }] } } },
+        { id: '3', type: 'modal_input', data: { label: 'Details', config: { title: 'Tell us more', fields: [{ id: 'details', label: 'Details', style: 'paragraph' }] } } },
+        { id: '4', type: 'response', data: { label: 'Thanks', config: { message: '{component_state}: {details}' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3', sourceHandle: 'select' },
+        { id: 'e3', source: '3', target: '4', sourceHandle: 'submit' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const modals = [];
+      const components = {
+        customId: async (step, state, mode) => `dm:${mode}:plugin:${step}:${state}`,
+        showModal: async (modal) => {
+          modals.push(JSON.parse(JSON.stringify(modal)));
+        },
+      };
+      const run = (component) => new Promise((resolve) => {
+        vm.runInNewContext(code, { console: { log: () => {} }, __resolve: resolve, components, component });
+        setTimeout(() => resolve(null), 50);
+      });
+
+      const initial = await run(null);
+      assert.strictEqual(initial.components[0].components[0].custom_id, 'dm:m:plugin:2:ticket');
+      assert.strictEqual(initial.components[0].components[0].max_values, 1);
+
+      await run({ type: 'select', step: '2', state: 'ticket', values: ['bug'], fields: {} });
+      assert.deepStrictEqual(modals, [{
+        title: 'Tell us more',
+        custom_id: 'dm:d:plugin:3:ticket',
+        components: [{ type: 1, components: [{ type: 4, custom_id: 'details', label: 'Details', style: 2, required: true }] }],
+      }]);
+
+      assert.strictEqual(await run({ type: 'modal', step: '3', state: 'ticket', values: [], fields: { details: 'It crashes' } }), 'ticket: It crashes');
+    });
+
+    it('should run the error branch with the error details when the success branch throws', async () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'try_catch', data: { label: 'Try', config: { messageVar: 'problem' } } },
+        { id: '3', type: 'database', data: { label: 'Load', config: { operation: 'get', key: 'profile', resultVar: 'profile' } } },
+        { id: '4', type: 'response', data: { label: 'Found', config: { message: 'Profile: {profile}' } } },
+        { id: '5', type: 'response', data: { label: 'Sorry', config: { message: 'Could not load it ({error_code}: {problem})' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3', sourceHandle: 'success' },
+        { id: 'e3', source: '3', target: '4' },
+        { id: 'e4', source: '2', target: '5', sourceHandle: 'error' },
+      ];
+
+      const code = compiler.compile(nodes, edges);
+      const run = (state) => new Promise((resolve) => {
+        vm.runInNewContext(code, { console: { log: () => {}, warn: () => {} }, __resolve: resolve, state });
+      });
+
+      assert.strictEqual(await run({ get: async () => 'ada' }), 'Profile: ada');
+
+      const failing = {
+        get: async () => {
+          throw Object.assign(new Error('state unavailable'), { code: 'E_STATE' });
+        },
+      };
+      assert.strictEqual(await run(failing), 'Could not load it (E_STATE: state unavailable)');
+    });
+
+    it('should await follow-ups and reply edits in order and keep their message IDs', async () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'edit_reply', data: { label: 'Working', config: { message: 'Working...' } } },
+        { id: '3', type: 'ephemeral_toggle', data: { label: 'Private', config: { ephemeral: true } } },
+        { id: '4', type: 'follow_up', data: { label: 'Step', config: { message: 'Step one of {reply_message_id}', outputVar: 'step' } } },
+        { id: '5', type: 'edit_reply', data: { label: 'Done', config: { message: 'Done', messageId: '{step}' } } },
+        { id: '6', type: 'delete_reply', data: { label: 'Clean up', config: {} } },
+      ];
+      const edges = ['2', '3', '4', '5', '6'].map((target, i) => ({ id: `e${i}`, source: String(i + 1), target }));
+
+      const calls = [];
+      const replies = {
+        followUp: async (payload) => {
+          calls.push(['followUp', payload]);
+          return { id: 'm2' };
+        },
+        editReply: async (payload, messageId) => {
+          calls.push(['editReply', payload, messageId]);
+          return { id: messageId || 'm1' };
+        },
+        deleteReply: async (messageId) => {
+          calls.push(['deleteReply', messageId]);
+          return true;
+        },
+      };
+
+      const code = compiler.compile(nodes, edges);
+      const response = await new Promise((resolve) => {
+        vm.runInNewContext(code, { console: { log: () => {} }, __resolve: resolve, replies });
+      });
+
+      // Payloads are built inside the VM, so compare them as plain data
+      assert.strictEqual(response, null);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(calls)), [
+        ['editReply', { content: 'Working...' }, null],
+        ['followUp', { content: 'Step one of m1', ephemeral: true }],
+        ['editReply', { content: 'Done' }, 'm2'],
+        ['deleteReply', null],
+      ]);
+      assert.strictEqual(compiler.validate(nodes, edges).valid, true);
+    });
+
+    it('should call a pinned sub-flow version with its own variables', async () => {
+      const double = {
+        id: 'sf_double',
+        name: 'Double',
+        version: 2,
+        inputs: [{ name: 'amount' }],
+        outputs: [{ name: 'doubled' }],
+        nodes: [
+          { id: 'in', type: 'subflow_input', data: { label: 'Inputs' } },
+          { id: 'm', type: 'math_operation', data: { label: 'Times two', config: { operation: 'multiply', value1: '{amount}', value2: '2', resultVar: 'doubled' } } },
+        ],
+        edges: [{ id: 's1', source: 'in', target: 'm' }],
+      };
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'call_subflow', data: { label: 'Double', config: { subflowId: 'sf_double', version: 2, inputs: { amount: '21' }, outputs: { doubled: 'total' } } } },
+        { id: '3', type: 'call_subflow', data: { label: 'Again', config: { subflowId: 'sf_double', version: 2, inputs: { amount: '{total}' }, outputs: { doubled: 'again' } } } },
+        { id: '4', type: 'response', data: { label: 'Reply', config: { message: '{total} {again} {doubled}' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4' },
+      ];
+
+      const subflows = new Map([[NodeCompiler.getSubflowKey('sf_double', 2), double]]);
+      const code = compiler.compile(nodes, edges, { subflows });
+      assert.strictEqual(code.match(/const __subflow_\d+ = /g).length, 1);
+
+      const reply = await new Promise((resolve) => {
+        vm.runInNewContext(code, { console: { log: () => {} }, __resolve: resolve });
+      });
+      assert.strictEqual(reply, '42 84 undefined');
+
+      assert.throws(() => compiler.compile(nodes, edges), /Sub-flow "sf_double" v2 called by "Double" was not found/);
+    });
+
+    it('should reject sub-flows that need the triggering interaction', () => {
+      const result = compiler.validateSubflow([
+        { id: 'in', type: 'subflow_input', data: { label: 'Inputs' } },
+        { id: 'b', type: 'buttons', data: { label: 'Confirm' } },
+      ], [{ id: 's1', source: 'in', target: 'b' }]);
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.errors.some(error => error.includes('cannot be used in a sub-flow')));
+
+      assert.deepStrictEqual(compiler.validateSubflow([], []).errors, ['Sub-flow must have exactly one Sub-flow Inputs node']);
+    });
+
+    it('should not emit follow-up dispatch without follow-up nodes', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'response', data: { label: 'Reply', config: { message: 'Hi' } } },
+      ];
+      const code = compiler.compile(nodes, [{ id: 'e1', source: '1', target: '2' }]);
+      assert.ok(!code.includes('job.step'));
+    });
+
+    it('should not emit event handling for command triggers', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'response', data: { label: 'Reply', config: { message: 'Hi' } } },
+      ];
+      const code = compiler.compile(nodes, [{ id: 'e1', source: '1', target: '2' }]);
+      assert.ok(!code.includes('__flattenEvent'));
+    });
+
+    it('should only emit trace calls when tracing', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: { label: 'Command' } },
+        { id: '2', type: 'condition', data: { label: 'If', config: { condition: 'true' } } },
+        { id: '3', type: 'response', data: { label: 'Reply', config: { message: 'Hi' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', sourceHandle: 'true', target: '3' },
+      ];
+
+      assert.ok(!compiler.compile(nodes, edges).includes('__trace'));
+
+      const traced = compiler.compile(nodes, edges, { trace: true });
+      assert.ok(traced.includes('__trace("3", \'enter\', variables);'));
+      assert.ok(traced.includes('__trace("2", \'branch\', { handle: "true" });'));
+      assert.ok(traced.includes('__trace("2", \'branch\', { handle: "false" });'));
+    });
+  });
+
+  describe('extractOptions', () => {
+    it('should build typed options with ranges, choices and autocomplete', () => {
+      const options = compiler.extractOptions([
+        { id: '1', type: 'trigger', data: {} },
+        { id: '2', type: 'variable', data: { config: { name: 'note', type: 'user_input', required: false } } },
+        { id: '3', type: 'variable', data: { config: { name: 'amount', type: 'user_input', optionType: 4, minValue: '1', maxValue: '10' } } },
+        { id: '4', type: 'variable', data: { config: { name: 'size', type: 'user_input', choices: [{ name: 'Small', value: 's' }] } } },
+        { id: '5', type: 'variable', data: { config: { name: 'city', type: 'user_input', autocomplete: true, suggestions: ['Oslo'] } } },
+        { id: '6', type: 'variable', data: { config: { name: 'where', type: 'user_input', optionType: 7, channelTypes: ['0'] } } },
+      ]);
+
+      assert.deepStrictEqual(options.map(option => option.name), ['amount', 'size', 'city', 'where', 'note']);
+      assert.deepStrictEqual(options[0], { type: 4, name: 'amount', description: 'Enter amount', required: true, min_value: 1, max_value: 10 });
+      assert.deepStrictEqual(options[1].choices, [{ name: 'Small', value: 's' }]);
+      assert.deepStrictEqual([options[2].autocomplete, options[2].suggestions], [true, ['Oslo']]);
+      assert.deepStrictEqual(options[3].channel_types, [0]);
+      assert.strictEqual(options[4].type, 3);
+    });
+
+    it('should nest the inputs of each subcommand branch under it', () => {
+      const nodes = [
+        { id: '1', type: 'trigger', data: {} },
+        { id: '2', type: 'variable', data: { config: { name: 'reason', type: 'user_input', required: false } } },
+        { id: '3', type: 'subcommands', data: { config: { subcommands: [
+          { name: 'ping', description: 'Ping the bot' },
+          { name: 'ban', group: 'mod', description: 'Ban a member' },
+          { name: 'kick', group: 'mod' },
+          { name: 'bad\'name' },
+        ] } } },
+        { id: '4', type: 'variable', data: { config: { name: 'target', type: 'user_input', optionType: 6 } } },
+        { id: '5', type: 'response', data: { config: { message: 'Done' } } },
+      ];
+      const edges = [
+        { id: 'e1', source: '1', target: '2' },
+        { id: 'e2', source: '2', target: '3' },
+        { id: 'e3', source: '3', target: '4', sourceHandle: 'sub:mod.ban' },
+        { id: 'e4', source: '4', target: '5' },
+        { id: 'e5', source: '3', target: '5', sourceHandle: 'sub:ping' },
+      ];
+
+      const options = compiler.extractOptions(nodes, edges);
+
+      assert.deepStrictEqual(options.map(option => [option.type, option.name]), [[1, 'ping'], [2, 'mod']]);
+      assert.deepStrictEqual(options[0].options.map(option => option.name), ['reason']);
+      assert.deepStrictEqual(options[1].options.map(option => [option.name, option.description]), [
+        ['ban', 'Ban a member'],
+        ['kick', 'Run mod kick'],
+      ]);
+      assert.deepStrictEqual(options[1].options[0].options.map(option => option.name), ['target', 'reason']);
+    });
   });
 
   describe('interpolateVariables', () => {
@@ -264,6 +823,19 @@ describe('NodeCompiler', () => {
       const result = compiler.interpolateVariables('Hello world!');
       assert.strictEqual(result, 'Hello world!');
     });
+
+    it('should leave secret references for the bot to fill in', () => {
+      const result = compiler.interpolateVariables('https://api.example.com/{city}?key={secret.API_KEY}');
+      assert.strictEqual(result, 'https://api.example.com/${variables[\'city\']}?key={secret.API_KEY}');
+    });
+
+    it('should pass headers stored as JSON text to fetch as an object', () => {
+      const codeLines = [];
+      compiler.generateHTTPRequestCode({
+        data: { config: { url: 'https://api.example.com', headers: '{"Authorization": "Bearer {secret.API_KEY}"}' } },
+      }, codeLines, '');
+      assert.ok(codeLines.includes('    headers: {"Authorization":"Bearer {secret.API_KEY}"}'));
+    });
   });
 
   describe('buildExecutionGraph', () => {
@@ -0,0 +1,161 @@
+/**
+ * API Token Tests
+ * Verifies tokens are stored hashed, sign requests in as their user, respect scopes and can be revoked
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import request from 'supertest';
+import { TokenScopes } from '@dismodular/shared';
+import { authenticateApiToken, requireTokenScope, requireSession } from '../src/middleware/auth.js';
+import {
+  validateApiTokenRequest,
+  createApiToken,
+  revokeApiToken,
+  hashApiToken,
+} from '../src/services/ApiTokenService.js';
+import { apiTokenLimiter } from '../src/middleware/rateLimiter.js';
+import { runMiddleware } from './helpers/express.js';
+
+const user = { id: 'author', username: 'author', role: 'author', access_status: 'approved' };
+
+/**
+ * Create an in-memory stand-in for the Prisma models the token code uses
+ * @returns {Object} Mock database with the token rows and audit entries exposed
+ */
+function createMockDb() {
+  const tokens = [];
+  const audit = [];
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+  return {
+    tokens,
+    audit,
+    apiToken: {
+      create: async ({ data }) => {
+        const row = { id: `token-${tokens.length + 1}`, last_used_at: null, revoked_at: null, created_at: new Date(), ...data };
+        tokens.push(row);
+        return row;
+      },
+      findUnique: async ({ where }) => {
+        const row = tokens.find(token => token.token_hash === where.token_hash);
+        return row ? { ...row, user } : null;
+      },
+      update: async ({ where, data }) => Object.assign(tokens.find(token => token.id === where.id), data),
+      updateMany: async ({ where, data }) => {
+        const rows = tokens.filter(token => matches(token, where));
+        rows.forEach(row => Object.assign(row, data));
+        return { count: rows.length };
+      },
+    },
+    auditLog: {
+      create: async ({ data }) => {
+        audit.push(data);
+        return data;
+      },
+    },
+  };
+}
+
+/**
+ * Build a request sending a bearer token
+ * @param {string} token - Token
+ * @param {string} [method='GET'] - HTTP method
+ * @returns {Object} Request
+ */
+function bearerRequest(token, method = 'GET') {
+  return { headers: { authorization: `Bearer ${token}` }, method, originalUrl: '/plugins', ip: '127.0.0.1' };
+}
+
+describe('API Tokens', () => {
+  afterEach(() => {
+    delete global.testPrismaClient;
+  });
+
+  it('should validate names, scopes and lifetimes', () => {
+    assert.strictEqual(validateApiTokenRequest({ name: 'CI', scopes: [TokenScopes.PLUGINS_WRITE] }).valid, true);
+    assert.strictEqual(validateApiTokenRequest({ name: 'CI', scopes: [TokenScopes.GUILDS_READ], expires_in_days: 30 }).valid, true);
+    assert.strictEqual(validateApiTokenRequest({ name: '', scopes: [TokenScopes.PLUGINS_READ] }).valid, false);
+    assert.strictEqual(validateApiTokenRequest({ name: 'CI', scopes: [] }).valid, false);
+    assert.strictEqual(validateApiTokenRequest({ name: 'CI', scopes: ['admin:write'] }).valid, false);
+    assert.strictEqual(validateApiTokenRequest({ name: 'CI', scopes: [TokenScopes.PLUGINS_READ], expires_in_days: 0 }).valid, false);
+  });
+
+  it('should sign requests in as the token user and record the use once', async () => {
+    const db = createMockDb();
+    global.testPrismaClient = db;
+    const created = await createApiToken(db, user.id, { name: 'CI', scopes: [TokenScopes.PLUGINS_WRITE] });
+
+    assert.ok(created.token.startsWith('dmp_'));
+    assert.strictEqual(db.tokens[0].token_hash, hashApiToken(created.token));
+    assert.ok(!JSON.stringify(db.tokens).includes(created.token));
+
+    const req = bearerRequest(created.token);
+    const result = await runMiddleware(authenticateApiToken, req);
+    assert.strictEqual(result.passed, true);
+    assert.strictEqual(req.user.id, user.id);
+    assert.deepStrictEqual(req.apiToken.scopes, [TokenScopes.PLUGINS_WRITE]);
+
+    await runMiddleware(authenticateApiToken, bearerRequest(created.token));
+    assert.strictEqual(db.audit.filter(entry => entry.action === 'API_TOKEN_USE').length, 1);
+    assert.ok(db.tokens[0].last_used_at instanceof Date);
+
+    const unknown = await runMiddleware(authenticateApiToken, bearerRequest('dmp_unknown'));
+    assert.strictEqual(unknown.res.statusCode, 401);
+
+    const session = await runMiddleware(authenticateApiToken, { headers: {} });
+    assert.strictEqual(session.passed, true);
+  });
+
+  it('should enforce token scopes and keep tokens out of session-only routes', async () => {
+    const readOnly = { apiToken: { scopes: [TokenScopes.PLUGINS_READ] } };
+
+    assert.strictEqual((await runMiddleware(requireTokenScope('plugins'), { ...readOnly, method: 'GET' })).passed, true);
+
+    const write = await runMiddleware(requireTokenScope('plugins'), { ...readOnly, method: 'PUT' });
+    assert.strictEqual(write.res.statusCode, 403);
+    assert.strictEqual(write.res.body.details, 'Requires the plugins:write scope');
+
+    assert.strictEqual((await runMiddleware(requireTokenScope('guilds'), { ...readOnly, method: 'GET' })).res.statusCode, 403);
+    assert.strictEqual((await runMiddleware(requireTokenScope('guilds'), { method: 'PUT' })).passed, true);
+
+    assert.strictEqual((await runMiddleware(requireSession, readOnly)).res.statusCode, 403);
+    assert.strictEqual((await runMiddleware(requireSession, {})).passed, true);
+  });
+
+  it('should reject revoked and expired tokens', async () => {
+    const db = createMockDb();
+    global.testPrismaClient = db;
+    const revoked = await createApiToken(db, user.id, { name: 'Old', scopes: [TokenScopes.PLUGINS_READ] });
+    const expiring = await createApiToken(db, user.id, { name: 'Short', scopes: [TokenScopes.PLUGINS_READ], expires_in_days: 1 });
+
+    assert.strictEqual(await revokeApiToken(db, 'someone-else', revoked.id), false);
+    assert.strictEqual(await revokeApiToken(db, user.id, revoked.id), true);
+    db.tokens[1].expires_at = new Date(Date.now() - 1000);
+
+    assert.strictEqual((await runMiddleware(authenticateApiToken, bearerRequest(revoked.token))).res.statusCode, 401);
+    assert.strictEqual((await runMiddleware(authenticateApiToken, bearerRequest(expiring.token))).res.statusCode, 401);
+  });
+
+  it('should rate limit token requests before the token is looked up', async () => {
+    let lookups = 0;
+    const app = express();
+    app.use(apiTokenLimiter, (req, res) => {
+      lookups++;
+      res.json({ success: true });
+    });
+
+    for (let i = 0; i < 100; i++) {
+      await request(app).get('/plugins').set('Authorization', 'Bearer dm_guess');
+    }
+    const limited = await request(app).get('/plugins').set('Authorization', 'Bearer dm_guess');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(lookups, 100);
+
+    // Requests without a token are left to the route limiters
+    assert.strictEqual((await request(app).get('/plugins')).status, 200);
+  });
+});
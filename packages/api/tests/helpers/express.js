@@ -0,0 +1,38 @@
+/**
+ * Express Test Helpers
+ * Stand-ins for the request cycle, shared by the route and middleware tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Create a response object that records the status and JSON body
+ * @returns {Object} Mock Express response
+ */
+export function createMockResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Run a middleware and report whether it called next
+ * @param {Function} middleware - Middleware to run
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} { passed, res }
+ */
+export async function runMiddleware(middleware, req) {
+  const res = createMockResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
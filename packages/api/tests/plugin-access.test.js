@@ -0,0 +1,156 @@
+/**
+ * Plugin Access Tests
+ * Verifies role permissions and that authors only change plugins they own or that are shared with them
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Permissions } from '@dismodular/shared';
+import { PluginController } from '../src/controllers/PluginController.js';
+import { requirePermission } from '../src/middleware/auth.js';
+import { createMockResponse, runMiddleware } from './helpers/express.js';
+
+/**
+ * Create an in-memory stand-in for the Prisma models the access checks use
+ * @param {Array<Object>} users - Stored users
+ * @param {Object} [fields] - Extra fields of the stored plugin
+ * @returns {Object} Mock database with the collaborator rows exposed
+ */
+function createMockDb(users, fields = {}) {
+  const plugin = { id: 'weather', created_by: 'owner', guild_id: null, ...fields };
+  const collaborators = [];
+
+  return {
+    collaborators,
+    plugin: {
+      findUnique: async ({ where }) => (where.id === plugin.id
+        ? { ...plugin, collaborators: collaborators.map(({ user_id }) => ({ user_id })) }
+        : null),
+    },
+    user: {
+      findUnique: async ({ where }) => users.find(user => user.discord_id === where.discord_id) || null,
+    },
+    guild: {
+      findUnique: async ({ where }) => (where.id === guildId ? { id: guildId } : null),
+    },
+    auditLog: {
+      create: async () => ({}),
+    },
+    pluginRevision: {
+      findMany: async () => [{ revision: 1 }],
+      findUnique: async () => ({ revision: 1, nodes: [], edges: [] }),
+      findFirst: async () => null,
+    },
+    pluginCollaborator: {
+      upsert: async ({ create }) => {
+        collaborators.push(create);
+        return create;
+      },
+      deleteMany: async ({ where }) => {
+        const index = collaborators.findIndex(row => row.plugin_id === where.plugin_id && row.user_id === where.user_id);
+        if (index === -1) {return { count: 0 };}
+        collaborators.splice(index, 1);
+        return { count: 1 };
+      },
+    },
+  };
+}
+
+const owner = { id: 'owner', discord_id: '100000000000000001', username: 'owner', role: 'author' };
+const author = { id: 'author', discord_id: '100000000000000002', username: 'author', role: 'author' };
+const viewer = { id: 'viewer', discord_id: '100000000000000003', username: 'viewer', role: 'viewer' };
+const admin = { id: 'admin', discord_id: '100000000000000004', username: 'admin', is_admin: true };
+const guildId = '200000000000000001';
+
+describe('Plugin Access', () => {
+  it('should require the permission for the route', async () => {
+    const middleware = requirePermission(Permissions.PLUGINS_CREATE);
+    const request = (user) => ({ user, method: 'POST', originalUrl: '/plugins', isAuthenticated: () => Boolean(user) });
+
+    assert.strictEqual((await runMiddleware(middleware, request(author))).passed, true);
+
+    const denied = await runMiddleware(middleware, request(viewer));
+    assert.strictEqual(denied.passed, false);
+    assert.strictEqual(denied.res.statusCode, 403);
+
+    assert.strictEqual((await runMiddleware(middleware, request(null))).res.statusCode, 401);
+  });
+
+  it('should only let authors edit plugins they own or that are shared with them', async () => {
+    const db = createMockDb([owner, author, viewer, admin]);
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+    const canEdit = (user) => runMiddleware((req, res, next) => controller.requireEditAccess(req, res, next), { params: { id: 'weather' }, user });
+
+    assert.strictEqual((await canEdit(owner)).passed, true);
+    assert.strictEqual((await canEdit(admin)).passed, true);
+    assert.strictEqual((await canEdit(author)).res.statusCode, 403);
+
+    const shareRes = createMockResponse();
+    await controller.addCollaborator({ params: { id: 'weather' }, body: { discord_id: author.discord_id }, user: owner }, shareRes);
+    assert.strictEqual(shareRes.statusCode, 200);
+    assert.strictEqual((await canEdit(author)).passed, true);
+
+    const missing = await runMiddleware((req, res, next) => controller.requireEditAccess(req, res, next), { params: { id: 'missing' }, user: owner });
+    assert.strictEqual(missing.res.statusCode, 404);
+  });
+
+  it('should only let the owner share, and only with authors', async () => {
+    const db = createMockDb([owner, author, viewer, admin]);
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+    db.collaborators.push({ plugin_id: 'weather', user_id: 'author' });
+
+    const collaboratorShares = await runMiddleware((req, res, next) => controller.requireOwnerAccess(req, res, next), { params: { id: 'weather' }, user: author });
+    assert.strictEqual(collaboratorShares.res.statusCode, 403);
+
+    const viewerRes = createMockResponse();
+    await controller.addCollaborator({ params: { id: 'weather' }, body: { discord_id: viewer.discord_id }, user: owner }, viewerRes);
+    assert.strictEqual(viewerRes.statusCode, 400);
+
+    const removeRes = createMockResponse();
+    await controller.removeCollaborator({ params: { id: 'weather', userId: 'author' }, user: owner }, removeRes);
+    assert.strictEqual(removeRes.statusCode, 200);
+    assert.strictEqual(db.collaborators.length, 0);
+  });
+
+  it('should keep guild-owned plugins to the people who manage their guild', async () => {
+    const db = createMockDb([owner, author, viewer, admin], { guild_id: guildId });
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+    const managers = new Set(['author']);
+    controller.canManageGuild = async (user) => managers.has(user.id);
+
+    const canEdit = (user) => runMiddleware((req, res, next) => controller.requireEditAccess(req, res, next), { params: { id: 'weather' }, user });
+    assert.strictEqual((await canEdit(author)).passed, true);
+    assert.strictEqual((await canEdit(viewer)).res.statusCode, 403);
+
+    const hiddenRes = createMockResponse();
+    await controller.getById({ params: { id: 'weather' }, user: viewer }, hiddenRes);
+    assert.strictEqual(hiddenRes.statusCode, 404);
+
+    const hiddenRevisionsRes = createMockResponse();
+    await controller.listRevisions({ params: { id: 'weather' }, user: viewer }, hiddenRevisionsRes);
+    assert.strictEqual(hiddenRevisionsRes.statusCode, 404);
+    assert.strictEqual(hiddenRevisionsRes.body.error, 'Plugin not found');
+
+    const hiddenDiffRes = createMockResponse();
+    await controller.diffRevision({ params: { id: 'weather', revision: '1' }, query: {}, user: viewer }, hiddenDiffRes);
+    assert.strictEqual(hiddenDiffRes.statusCode, 404);
+
+    const revisionsRes = createMockResponse();
+    await controller.listRevisions({ params: { id: 'weather' }, user: author }, revisionsRes);
+    assert.deepStrictEqual(revisionsRes.body.data, [{ revision: 1 }]);
+
+    const diffRes = createMockResponse();
+    await controller.diffRevision({ params: { id: 'weather', revision: '1' }, query: {}, user: author }, diffRes);
+    assert.strictEqual(diffRes.statusCode, 200);
+
+    const createRes = createMockResponse();
+    await controller.create({ body: { name: 'Private', guild_id: guildId }, user: { ...owner, id: 'outsider' } }, createRes);
+    assert.strictEqual(createRes.statusCode, 403);
+
+    const unknownRes = createMockResponse();
+    await controller.create({ body: { name: 'Private', guild_id: '200000000000000002' }, user: author }, unknownRes);
+    assert.strictEqual(unknownRes.statusCode, 404);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Plugin Dry Run Tests
+ * Verifies node graphs are compiled and run against a synthetic interaction
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { PluginController } from '../src/controllers/PluginController.js';
+import { createMockResponse } from './helpers/express.js';
+
+describe('Plugin Dry Run', () => {
+  const controller = new PluginController(null, '/tmp/dismodular-test-plugins');
+
+  it('should return the reply a graph sends for the given user and options', async () => {
+    const nodes = [
+      { id: '1', type: 'trigger', position: { x: 0, y: 0 }, data: { label: 'Start', config: {} } },
+      { id: '2', type: 'variable', position: { x: 0, y: 100 }, data: { label: 'User', config: { name: 'who', type: 'user_name' } } },
+      { id: '3', type: 'variable', position: { x: 0, y: 200 }, data: { label: 'Topic', config: { name: 'topic', type: 'user_input' } } },
+      { id: '4', type: 'response', position: { x: 0, y: 300 }, data: { label: 'Reply', config: { message: 'Hello {who}, about {topic}!' } } },
+    ];
+    const edges = [
+      { id: 'e1', source: '1', target: '2' },
+      { id: 'e2', source: '2', target: '3' },
+      { id: 'e3', source: '3', target: '4' },
+    ];
+    const input = { user: { username: 'ada' }, options: [{ name: 'topic', type: 3, value: 'engines' }] };
+
+    const res = createMockResponse();
+    await controller.dryRun({ body: { nodes, edges, input } }, res);
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.body.data.success, true, res.body.data.error);
+    assert.strictEqual(res.body.data.reply.content, 'Hello ada, about engines!');
+    assert.deepStrictEqual(res.body.data.state.changes, []);
+
+    const { trace } = res.body.data;
+    assert.deepStrictEqual(trace.map(entry => entry.nodeId), ['1', '2', '3', '4']);
+    assert.deepStrictEqual(trace[3].variables, { who: 'ada', topic: 'engines' });
+  });
+
+  it('should trace the branch a condition takes', async () => {
+    const nodes = [
+      { id: 't', type: 'trigger', position: { x: 0, y: 0 }, data: { label: 'Start', config: {} } },
+      { id: 'c', type: 'condition', position: { x: 0, y: 100 }, data: { label: 'If', config: { condition: '1 > 2' } } },
+      { id: 'yes', type: 'response', position: { x: -100, y: 200 }, data: { label: 'Yes', config: { message: 'yes' } } },
+      { id: 'no', type: 'response', position: { x: 100, y: 200 }, data: { label: 'No', config: { message: 'no' } } },
+    ];
+    const edges = [
+      { id: 'e1', source: 't', target: 'c' },
+      { id: 'e2', source: 'c', sourceHandle: 'true', target: 'yes' },
+      { id: 'e3', source: 'c', sourceHandle: 'false', target: 'no' },
+    ];
+
+    const res = createMockResponse();
+    await controller.dryRun({ body: { nodes, edges } }, res);
+
+    assert.strictEqual(res.body.data.reply.content, 'no');
+    assert.deepStrictEqual(
+      res.body.data.trace.map(entry => [entry.nodeId, entry.kind, entry.handle]),
+      [['t', 'enter', undefined], ['c', 'enter', undefined], ['c', 'branch', 'false'], ['no', 'enter', undefined]],
+    );
+  });
+
+  it('should reject malformed input', async () => {
+    const missingRes = createMockResponse();
+    await controller.dryRun({ body: {} }, missingRes);
+    assert.strictEqual(missingRes.statusCode, 400);
+
+    const optionsRes = createMockResponse();
+    await controller.dryRun({ body: { nodes: [], edges: [], input: { options: { name: 'x' } } } }, optionsRes);
+    assert.strictEqual(optionsRes.statusCode, 400);
+  });
+});
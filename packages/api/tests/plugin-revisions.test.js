@@ -0,0 +1,182 @@
+/**
+ * Plugin Revision History and Publishing Tests
+ * Verifies drafts and revisions are recorded on save, can be diffed and restored, and go live when published
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { PluginController } from '../src/controllers/PluginController.js';
+import { createMockResponse } from './helpers/express.js';
+
+/**
+ * Create an in-memory stand-in for the Prisma models the revision routes use
+ * @param {Object} plugin - Stored plugin row
+ * @returns {Object} Mock database with the revisions array exposed
+ */
+function createMockDb(plugin) {
+  const revisions = [];
+  const sortByRevision = (order) => [...revisions].sort((a, b) => (order === 'desc' ? b.revision - a.revision : a.revision - b.revision));
+  const matches = (row, where) => row.plugin_id === where.plugin_id && (!where.revision?.lt || row.revision < where.revision.lt);
+
+  return {
+    revisions,
+    plugin: {
+      findUnique: async () => plugin,
+      update: async ({ data }) => Object.assign(plugin, data),
+    },
+    user: {
+      findUnique: async ({ where }) => (where.id === 'user-1' ? { id: 'user-1' } : null),
+    },
+    auditLog: {
+      create: async () => ({}),
+    },
+    pluginRevision: {
+      count: async ({ where }) => revisions.filter(row => matches(row, where)).length,
+      findFirst: async ({ where, orderBy }) => sortByRevision(orderBy.revision).find(row => matches(row, where)) || null,
+      findMany: async ({ where }) => sortByRevision('desc').filter(row => matches(row, where)),
+      findUnique: async ({ where }) => revisions.find(row =>
+        row.plugin_id === where.plugin_id_revision.plugin_id && row.revision === where.plugin_id_revision.revision) || null,
+      create: async ({ data }) => {
+        const row = { ...data, created_at: new Date() };
+        revisions.push(row);
+        return row;
+      },
+      deleteMany: async () => ({ count: 0 }),
+    },
+  };
+}
+
+const graph = (message) => ({
+  nodes: [
+    { id: '1', type: 'trigger', position: { x: 0, y: 0 }, data: { label: 'Start', config: {} } },
+    { id: '2', type: 'response', position: { x: 0, y: 100 }, data: { label: 'Reply', config: { message } } },
+  ],
+  edges: [{ id: 'e1', source: '1', target: '2' }],
+});
+
+describe('Plugin Revision History and Publishing', () => {
+  it('should record a baseline and a revision per update, then diff and restore them', async () => {
+    const plugin = {
+      id: 'plugin_1',
+      name: 'Greeter',
+      version: '1.0.0',
+      description: '',
+      author: 'ada',
+      type: 'slash',
+      enabled: true,
+      trigger_type: 'command',
+      trigger_command: 'hello',
+      options: [],
+      ...graph('Hi'),
+      compiled: '',
+    };
+    const db = createMockDb(plugin);
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+    controller.writePluginFile = async () => {};
+    const user = { id: 'user-1', username: 'grace' };
+
+    const updateRes = createMockResponse();
+    await controller.update({ params: { id: 'plugin_1' }, body: graph('Hello there'), user }, updateRes);
+    assert.strictEqual(updateRes.statusCode, 200);
+    assert.deepStrictEqual(db.revisions.map(row => [row.revision, row.author, row.created_by]), [[1, 'ada', null], [2, 'grace', 'user-1']]);
+
+    const diffRes = createMockResponse();
+    await controller.diffRevision({ params: { id: 'plugin_1', revision: '2' }, query: {} }, diffRes);
+    assert.strictEqual(diffRes.body.data.base, 1);
+    assert.deepStrictEqual(diffRes.body.data.diff.nodes.changed, [{ id: '2', type: 'response', label: 'Reply', changes: ['config'] }]);
+
+    const restoreRes = createMockResponse();
+    await controller.restoreRevision({ params: { id: 'plugin_1', revision: '1' }, user }, restoreRes);
+    assert.strictEqual(restoreRes.body.data.revision, 3);
+    assert.strictEqual(plugin.draft.nodes[1].data.config.message, 'Hi');
+    assert.strictEqual(db.revisions[2].message, 'Restored revision 1');
+
+    const listRes = createMockResponse();
+    await controller.listRevisions({ params: { id: 'plugin_1' } }, listRes);
+    assert.deepStrictEqual(listRes.body.data.map(row => row.revision), [3, 2, 1]);
+  });
+
+  it('should keep edits in the draft until they are published with a bumped version', async () => {
+    const plugin = {
+      id: 'plugin_2',
+      name: 'Greeter',
+      version: '1.0.0',
+      description: '',
+      type: 'slash',
+      enabled: true,
+      trigger_type: 'command',
+      trigger_command: 'hello',
+      options: [],
+      ...graph('Hi'),
+      compiled: '',
+      published_at: null,
+    };
+    const db = createMockDb(plugin);
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+    const written = [];
+    controller.writePluginFile = async (id, data) => {
+      written.push(data);
+    };
+    const user = { id: 'user-1', username: 'grace' };
+
+    await controller.update({ params: { id: 'plugin_2' }, body: graph('Hello there'), user }, createMockResponse());
+    assert.strictEqual(plugin.nodes[1].data.config.message, 'Hi', 'saving must not change the live version');
+    assert.strictEqual(written.length, 0);
+
+    const firstRes = createMockResponse();
+    await controller.publish({ params: { id: 'plugin_2' }, body: { bump: 'major' }, user }, firstRes);
+    assert.strictEqual(firstRes.statusCode, 200);
+    assert.strictEqual(plugin.version, '1.0.0', 'the first publish keeps the initial version');
+    assert.ok(plugin.compiled.includes('Hello there'));
+    assert.ok(plugin.published_at instanceof Date);
+    assert.strictEqual(written[0].nodes[1].data.config.message, 'Hello there');
+
+    const unchangedRes = createMockResponse();
+    await controller.publish({ params: { id: 'plugin_2' }, body: {}, user }, unchangedRes);
+    assert.strictEqual(unchangedRes.statusCode, 400);
+
+    await controller.update({ params: { id: 'plugin_2' }, body: { description: 'Says hello' }, user }, createMockResponse());
+    const lowerRes = createMockResponse();
+    await controller.publish({ params: { id: 'plugin_2' }, body: { version: '0.9.0' }, user }, lowerRes);
+    assert.strictEqual(lowerRes.statusCode, 400);
+
+    await controller.publish({ params: { id: 'plugin_2' }, body: { bump: 'minor' }, user }, createMockResponse());
+    assert.strictEqual(plugin.version, '1.1.0');
+    assert.strictEqual(plugin.description, 'Says hello');
+    assert.deepStrictEqual(db.revisions.filter(row => row.version).map(row => row.message), ['Published v1.0.0', 'Published v1.1.0']);
+  });
+
+  it('should apply usage limits to the live plugin without saving a draft', async () => {
+    const plugin = { id: 'plugin_3', name: 'Fetcher', version: '1.0.0', limits: {}, draft: null, ...graph('Hi') };
+    const db = createMockDb(plugin);
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+    const user = { id: 'user-1' };
+
+    const res = createMockResponse();
+    await controller.update({ params: { id: 'plugin_3' }, body: { limits: { userCooldown: '30', guildDailyLimit: '' } }, user }, res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(plugin.limits, { userCooldown: 30 });
+    assert.strictEqual(plugin.draft, undefined);
+    assert.strictEqual(db.revisions.length, 0);
+
+    const invalidRes = createMockResponse();
+    await controller.update({ params: { id: 'plugin_3' }, body: { limits: { userCooldown: -1 } }, user }, invalidRes);
+    assert.strictEqual(invalidRes.statusCode, 400);
+    assert.strictEqual(invalidRes.body.details, 'userCooldown must be a whole number from 0 to 604800');
+  });
+
+  it('should reject invalid and unknown revisions', async () => {
+    const db = createMockDb({ id: 'plugin_1' });
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+
+    const invalidRes = createMockResponse();
+    await controller.diffRevision({ params: { id: 'plugin_1', revision: 'abc' }, query: {} }, invalidRes);
+    assert.strictEqual(invalidRes.statusCode, 400);
+
+    const missingRes = createMockResponse();
+    await controller.restoreRevision({ params: { id: 'plugin_1', revision: '7' } }, missingRes);
+    assert.strictEqual(missingRes.statusCode, 404);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Plugin Secrets and Egress Policy Tests
+ * Verifies secrets are stored encrypted and listed by name only, only the node config can reference them,
+ * and egress policies apply without a draft
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import vm from 'vm';
+import { getSecretsKey, decryptSecret, applySecrets } from '@dismodular/shared';
+import { PluginController } from '../src/controllers/PluginController.js';
+import { NodeCompiler } from '../src/services/NodeCompiler.js';
+import { createMockResponse } from './helpers/express.js';
+
+/**
+ * Create an in-memory stand-in for the Prisma models the secret routes use
+ * @param {Object} plugin - Stored plugin row
+ * @returns {Object} Mock database with the secrets map exposed
+ */
+function createMockDb(plugin) {
+  const secrets = new Map();
+  const secretKey = (where) => `${where.plugin_id}|${where.guild_id}|${where.name}`;
+
+  return {
+    secrets,
+    plugin: {
+      findUnique: async ({ where }) => (where.id === plugin.id ? plugin : null),
+      update: async ({ data }) => Object.assign(plugin, data),
+    },
+    user: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async () => ({}),
+    },
+    pluginSecret: {
+      findMany: async ({ where }) => [...secrets.values()]
+        .filter(row => row.plugin_id === where.plugin_id && where.guild_id.in.includes(row.guild_id)),
+      upsert: async ({ where, create, update }) => {
+        const id = secretKey(where.plugin_id_guild_id_name);
+        const row = { ...(secrets.get(id) || create), ...update, updated_at: new Date() };
+        secrets.set(id, row);
+        return row;
+      },
+      deleteMany: async ({ where }) => ({ count: secrets.delete(secretKey(where)) ? 1 : 0 }),
+    },
+  };
+}
+
+describe('Plugin Secrets and Egress Policy', () => {
+  const originalKey = process.env.PLUGIN_SECRETS_KEY;
+
+  afterEach(() => {
+    if (originalKey === undefined) {
+      delete process.env.PLUGIN_SECRETS_KEY;
+    } else {
+      process.env.PLUGIN_SECRETS_KEY = originalKey;
+    }
+  });
+
+  it('should store secrets encrypted and only list their names', async () => {
+    process.env.PLUGIN_SECRETS_KEY = 'test-key';
+    const db = createMockDb({ id: 'weather' });
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+
+    const setRes = createMockResponse();
+    await controller.setSecret({ params: { id: 'weather', name: 'API_KEY' }, body: { value: 'sk_123' }, user: {} }, setRes);
+    assert.strictEqual(setRes.statusCode, 200);
+
+    const stored = db.secrets.get('weather||API_KEY').value;
+    assert.ok(!stored.includes('sk_123'));
+    assert.strictEqual(decryptSecret(stored, getSecretsKey('test-key')), 'sk_123');
+
+    const listRes = createMockResponse();
+    await controller.listSecrets({ params: { id: 'weather' } }, listRes);
+    assert.deepStrictEqual(listRes.body.data.map(({ name, scope }) => ({ name, scope })), [{ name: 'API_KEY', scope: 'plugin' }]);
+    assert.ok(!JSON.stringify(listRes.body).includes('sk_123'));
+
+    const deleteRes = createMockResponse();
+    await controller.deleteSecret({ params: { id: 'weather', name: 'API_KEY' } }, deleteRes);
+    assert.strictEqual(deleteRes.statusCode, 200);
+    assert.strictEqual(db.secrets.size, 0);
+  });
+
+  it('should reject invalid secrets and refuse to store them without a key', async () => {
+    delete process.env.PLUGIN_SECRETS_KEY;
+    const db = createMockDb({ id: 'weather' });
+    const controller = new PluginController(db, '/tmp/dismodular-test-plugins');
+
+    const invalidRes = createMockResponse();
+    await controller.setSecret({ params: { id: 'weather', name: 'api-key' }, body: { value: 'x' } }, invalidRes);
+    assert.strictEqual(invalidRes.statusCode, 400);
+
+    const noKeyRes = createMockResponse();
+    await controller.setSecret({ params: { id: 'weather', name: 'API_KEY' }, body: { value: 'x' } }, noKeyRes);
+    assert.strictEqual(noKeyRes.statusCode, 503);
+    assert.strictEqual(db.secrets.size, 0);
+  });
+
+  it('should apply the egress policy to the live plugin', async () => {
+    const plugin = { id: 'weather', egress: {}, draft: null };
+    const controller = new PluginController(createMockDb(plugin), '/tmp/dismodular-test-plugins');
+
+    const res = createMockResponse();
+    await controller.update({ params: { id: 'weather' }, body: { egress: { allowedDomains: ['API.openweathermap.org'] } } }, res);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(plugin.egress, { allowedDomains: ['api.openweathermap.org'] });
+    assert.strictEqual(plugin.draft, undefined);
+
+    const invalidRes = createMockResponse();
+    await controller.update({ params: { id: 'weather' }, body: { egress: { allowedDomains: ['10.0.0.0/8'] } } }, invalidRes);
+    assert.strictEqual(invalidRes.statusCode, 400);
+  });
+
+  it('should only fill in secrets referenced by the node config, not by variable values', async () => {
+    const code = [];
+    new NodeCompiler().generateHTTPRequestCode({
+      id: 'http_1',
+      data: {
+        config: {
+          method: 'POST',
+          url: 'https://api.example.com/search?key={secret.API_KEY}&q={query}',
+          body: 'Searching for {query}',
+        },
+      },
+    }, code, '');
+
+    const requests = [];
+    const fetch = async (url, options) => {
+      requests.push({ url, body: options.body });
+      return { status: 200, json: async () => ({}) };
+    };
+    const variables = { query: '{secret.API_KEY}' };
+    await vm.runInNewContext(`(async () => {\n${code.join('\n')}\n})()`, { fetch, variables, console });
+
+    const secrets = { API_KEY: 'k3y' };
+    assert.strictEqual(applySecrets(requests[0].url, secrets), 'https://api.example.com/search?key=k3y&q={secret.API_KEY}');
+    assert.strictEqual(applySecrets(requests[0].body, secrets), JSON.stringify('Searching for {secret.API_KEY}'));
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Sub-flow Tests
+ * Verifies sub-flows are versioned on save, stay pinned in the plugins that call them and compile into those plugins
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { SubflowController } from '../src/controllers/SubflowController.js';
+import { PluginController } from '../src/controllers/PluginController.js';
+import { createMockResponse } from './helpers/express.js';
+
+/**
+ * Create an in-memory stand-in for the Prisma models the sub-flow routes use
+ * @param {Array} plugins - Stored plugin rows
+ * @returns {Object} Mock database with the sub-flow and version arrays exposed
+ */
+function createMockDb(plugins = []) {
+  const subflows = [];
+  const versions = [];
+  const withSubflow = (row) => row && { ...row, subflow: subflows.find(subflow => subflow.id === row.subflow_id) };
+
+  return {
+    subflows,
+    versions,
+    subflow: {
+      findUnique: async ({ where }) => subflows.find(row => (where.id ? row.id === where.id : row.name === where.name)) || null,
+      create: async ({ data }) => {
+        const row = { id: `sf_${subflows.length + 1}`, ...data, created_at: new Date(), updated_at: new Date() };
+        subflows.push(row);
+        return row;
+      },
+      update: async ({ where, data }) => Object.assign(subflows.find(row => row.id === where.id), data),
+      delete: async ({ where }) => subflows.splice(subflows.findIndex(row => row.id === where.id), 1)[0],
+    },
+    subflowVersion: {
+      findUnique: async ({ where }) => withSubflow(versions.find(row =>
+        row.subflow_id === where.subflow_id_version.subflow_id && row.version === where.subflow_id_version.version)) || null,
+      findMany: async ({ where }) => versions.filter(row => row.subflow_id !== where.subflow_id.not).map(withSubflow),
+      create: async ({ data }) => {
+        const row = { id: `sfv_${versions.length + 1}`, ...data, created_at: new Date() };
+        versions.push(row);
+        return row;
+      },
+    },
+    plugin: {
+      findMany: async () => plugins,
+    },
+    user: {
+      findUnique: async () => null,
+    },
+    auditLog: {
+      create: async () => ({}),
+    },
+  };
+}
+
+const greeting = (template) => ({
+  inputs: [{ name: 'who' }],
+  outputs: [{ name: 'greeting' }],
+  nodes: [
+    { id: 'in', type: 'subflow_input', data: { label: 'Inputs' } },
+    { id: 's', type: 'string_operation', data: { label: 'Greet', config: { operation: 'concat', strings: [template], resultVar: 'greeting' } } },
+  ],
+  edges: [{ id: 's1', source: 'in', target: 's' }],
+});
+
+const callingPlugin = (version) => ({
+  nodes: [
+    { id: '1', type: 'trigger', data: { label: 'Command', config: {} } },
+    { id: '2', type: 'call_subflow', data: { label: 'Greet', config: { subflowId: 'sf_1', version, inputs: { who: 'ada' }, outputs: {} } } },
+    { id: '3', type: 'response', data: { label: 'Reply', config: { message: '{greeting}' } } },
+  ],
+  edges: [
+    { id: 'e1', source: '1', target: '2' },
+    { id: 'e2', source: '2', target: '3' },
+  ],
+});
+
+describe('Sub-flows', () => {
+  it('should save each change as a new version and keep callers on the version they pinned', async () => {
+    const plugin = { id: 'plugin_1', name: 'Greeter', ...callingPlugin(1), draft: null };
+    const db = createMockDb([plugin]);
+    const controller = new SubflowController(db);
+    const user = { id: 'user-1', username: 'grace' };
+
+    const createRes = createMockResponse();
+    await controller.create({ body: { name: 'Greeting', ...greeting('Hello {who}') }, user }, createRes);
+    assert.strictEqual(createRes.statusCode, 201, JSON.stringify(createRes.body));
+
+    const updateRes = createMockResponse();
+    await controller.update({ params: { id: 'sf_1' }, body: { ...greeting('Hi {who}'), message: 'Shorter' }, user }, updateRes);
+    assert.strictEqual(updateRes.body.data.latest_version, 2);
+    assert.deepStrictEqual(db.versions.map(row => [row.version, row.author, row.message]), [[1, 'grace', null], [2, 'grace', 'Shorter']]);
+
+    const pluginController = new PluginController(db, '/tmp/dismodular-test-plugins');
+    const runRes = createMockResponse();
+    await pluginController.dryRun({ body: { ...callingPlugin(1), input: {} } }, runRes);
+    assert.strictEqual(runRes.statusCode, 200, JSON.stringify(runRes.body));
+    assert.strictEqual(runRes.body.data.reply.content, 'Hello ada');
+
+    const dependentsRes = createMockResponse();
+    await controller.getDependents({ params: { id: 'sf_1' } }, dependentsRes);
+    assert.deepStrictEqual(dependentsRes.body.data.plugins, [{ id: 'plugin_1', name: 'Greeter', versions: [1], draft: false, outdated: true }]);
+
+    const deleteRes = createMockResponse();
+    await controller.delete({ params: { id: 'sf_1' }, user }, deleteRes);
+    assert.strictEqual(deleteRes.statusCode, 409);
+    assert.strictEqual(db.subflows.length, 1);
+  });
+
+  it('should reject sub-flows that cannot be compiled or call missing versions', async () => {
+    const db = createMockDb();
+    const controller = new SubflowController(db);
+
+    const buttonsRes = createMockResponse();
+    const withButtons = greeting('Hello');
+    withButtons.nodes.push({ id: 'b', type: 'buttons', data: { label: 'Confirm', config: {} } });
+    withButtons.edges.push({ id: 's2', source: 's', target: 'b' });
+    await controller.create({ body: { name: 'Buttons', ...withButtons } }, buttonsRes);
+    assert.strictEqual(buttonsRes.statusCode, 400);
+    assert.strictEqual(buttonsRes.body.error, 'Invalid node graph');
+
+    const missingRes = createMockResponse();
+    const nested = greeting('Hello');
+    nested.nodes.push({ id: 'c', type: 'call_subflow', data: { label: 'Nested', config: { subflowId: 'sf_9', version: 1 } } });
+    nested.edges.push({ id: 's2', source: 's', target: 'c' });
+    await controller.create({ body: { name: 'Nested', ...nested } }, missingRes);
+    assert.strictEqual(missingRes.statusCode, 400);
+    assert.match(missingRes.body.details[0], /does not exist/);
+
+    const portRes = createMockResponse();
+    await controller.create({ body: { name: 'Ports', ...greeting('Hi'), inputs: [{ name: 'not valid' }] } }, portRes);
+    assert.strictEqual(portRes.statusCode, 400);
+    assert.strictEqual(db.subflows.length, 0);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Webhook Tests
+ * Verifies events are queued for subscribed webhooks, and deliveries are signed, retried with backoff and logged
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { WebhookEvents, verifyWebhookSignature, getSecretsKey } from '@dismodular/shared';
+import { WebhookDispatcher, RESPONSE_SNIPPET_LENGTH } from '../src/services/WebhookDispatcher.js';
+import {
+  createWebhook,
+  enqueueWebhookEvent,
+  redeliverWebhookDelivery,
+  validateWebhookRequest,
+} from '../src/services/WebhookService.js';
+
+// Deliveries are queued at the current time, so polls look ahead of it
+const NOW = new Date(Date.now() + 60 * 60 * 1000);
+
+/**
+ * Create an in-memory stand-in for the Prisma models the webhook code uses
+ * @returns {Object} Mock database with the webhook and delivery rows exposed
+ */
+function createMockDb() {
+  const webhooks = [];
+  const deliveries = [];
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    if (value?.in) {return value.in.includes(row[key]);}
+    if (value?.lte) {return row[key] <= value.lte;}
+    if (value?.lt) {return row[key] < value.lt;}
+    return row[key] === value;
+  });
+  const apply = (row, data) => Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) {return;}
+    row[key] = value?.increment ? row[key] + value.increment : value;
+  });
+
+  return {
+    webhooks,
+    deliveries,
+    webhook: {
+      create: async ({ data }) => {
+        const row = { id: `hook-${webhooks.length + 1}`, created_at: NOW, updated_at: NOW, ...data };
+        webhooks.push(row);
+        return row;
+      },
+      findMany: async ({ where }) => webhooks.filter(row => matches(row, where)),
+    },
+    webhookDelivery: {
+      createMany: async ({ data }) => {
+        data.forEach(row => deliveries.push({ id: `delivery-${deliveries.length + 1}`, status: 'pending', attempts: 0, created_at: NOW, ...row }));
+        return { count: data.length };
+      },
+      findMany: async ({ where, take }) => deliveries
+        .filter(row => matches(row, where))
+        .slice(0, take)
+        .map(row => ({ ...row, webhook: webhooks.find(hook => hook.id === row.webhook_id) })),
+      updateMany: async ({ where, data }) => {
+        const rows = deliveries.filter(row => matches(row, where));
+        rows.forEach(row => apply(row, data));
+        return { count: rows.length };
+      },
+    },
+  };
+}
+
+/**
+ * Fetch stand-in answering with the given statuses in turn
+ * @param {Array<number|Error>} responses - Status codes, or errors to throw
+ * @param {string} errorBody - Body of error responses
+ * @returns {Function} Fetch with the requests it received in `requests`
+ */
+function createFetch(responses, errorBody = 'nope') {
+  const fetch = async (url, init) => {
+    fetch.requests.push({ url, ...init });
+    const next = responses.shift();
+    if (next instanceof Error) {throw next;}
+    return {
+      status: next,
+      body: (async function* () {
+        yield Buffer.from(next >= 400 ? errorBody : '');
+      })(),
+    };
+  };
+  fetch.requests = [];
+  return fetch;
+}
+
+describe('Webhooks', () => {
+  const originalKey = process.env.PLUGIN_SECRETS_KEY;
+
+  before(() => {
+    process.env.PLUGIN_SECRETS_KEY = 'test-key';
+  });
+
+  after(() => {
+    if (originalKey === undefined) {
+      delete process.env.PLUGIN_SECRETS_KEY;
+    } else {
+      process.env.PLUGIN_SECRETS_KEY = originalKey;
+    }
+  });
+
+  it('should validate webhook names, URLs and events', () => {
+    assert.strictEqual(validateWebhookRequest({ name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_FAILING] }).valid, true);
+    assert.strictEqual(validateWebhookRequest({ name: '', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_FAILING] }).valid, false);
+    assert.strictEqual(validateWebhookRequest({ url: 'http://ops.example.com/hook' }, { name: 'Ops', events: [WebhookEvents.PLUGIN_FAILING] }).valid, false);
+    assert.strictEqual(validateWebhookRequest({ name: undefined, enabled: false }, { name: 'Ops', url: 'https://ops.example.com', events: [WebhookEvents.PLUGIN_CREATED] }).valid, true);
+    assert.strictEqual(validateWebhookRequest({ enabled: 'yes' }, { name: 'Ops', url: 'https://ops.example.com', events: [WebhookEvents.PLUGIN_CREATED] }).valid, false);
+  });
+
+  it('should queue events only for enabled webhooks that subscribed to them', async () => {
+    const db = createMockDb();
+    const ops = await createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_CREATED] });
+    await createWebhook(db, 'admin', { name: 'Tickets', url: 'https://tickets.example.com/hook', events: [WebhookEvents.ACCESS_REQUESTED] });
+    await createWebhook(db, 'admin', { name: 'Off', url: 'https://off.example.com/hook', events: [WebhookEvents.PLUGIN_CREATED], enabled: false });
+
+    assert.ok(ops.secret.startsWith('whsec_'));
+    assert.strictEqual(await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_CREATED, { plugin: { id: 'p1' } }), 1);
+    assert.strictEqual(db.deliveries[0].webhook_id, ops.id);
+    assert.deepStrictEqual(db.deliveries[0].payload.data, { plugin: { id: 'p1' } });
+
+    assert.strictEqual(await enqueueWebhookEvent({}, WebhookEvents.PLUGIN_CREATED, {}), 0);
+    assert.strictEqual(await enqueueWebhookEvent({ webhook: { findMany: async () => { throw new Error('down'); } } }, WebhookEvents.PLUGIN_CREATED, {}), 0);
+  });
+
+  it('should sign deliveries and record them as delivered', async () => {
+    const db = createMockDb();
+    const ops = await createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_DELETED] });
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_DELETED, { plugin: { id: 'p1' } });
+
+    const fetch = createFetch([204]);
+    const dispatcher = new WebhookDispatcher(db, { fetch });
+    assert.strictEqual(await dispatcher.poll(NOW), 1);
+
+    const [request] = fetch.requests;
+    assert.strictEqual(request.url, 'https://ops.example.com/hook');
+    assert.strictEqual(request.redirect, 'manual');
+    assert.strictEqual(typeof request.agent, 'function');
+    assert.strictEqual(request.headers['X-DisModular-Event'], 'plugin.deleted');
+    const timestamp = request.headers['X-DisModular-Timestamp'];
+    assert.ok(verifyWebhookSignature(ops.secret, timestamp, request.body, request.headers['X-DisModular-Signature']));
+    assert.strictEqual(JSON.parse(request.body).id, db.deliveries[0].id);
+
+    assert.strictEqual(db.deliveries[0].status, 'delivered');
+    assert.strictEqual(db.deliveries[0].attempts, 1);
+    assert.strictEqual(db.deliveries[0].response_status, 204);
+    assert.deepStrictEqual(db.deliveries[0].delivered_at, NOW);
+  });
+
+  it('should retry failed deliveries with backoff and give up after the last attempt', async () => {
+    const db = createMockDb();
+    await createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_FAILING] });
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_FAILING, {});
+    const delivery = db.deliveries[0];
+
+    const fetch = createFetch([500, new Error('connect ECONNREFUSED'), 502]);
+    const dispatcher = new WebhookDispatcher(db, { fetch, maxAttempts: 3, retryDelay: 1000 });
+
+    await dispatcher.poll(NOW);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.last_error, 'HTTP 500: nope');
+    assert.strictEqual(delivery.next_attempt_at.getTime(), NOW.getTime() + 1000);
+
+    assert.strictEqual(await dispatcher.poll(NOW), 0);
+    assert.strictEqual(fetch.requests.length, 1);
+
+    const second = new Date(NOW.getTime() + 1000);
+    await dispatcher.poll(second);
+    assert.strictEqual(delivery.last_error, 'connect ECONNREFUSED');
+    assert.strictEqual(delivery.response_status, null);
+    assert.strictEqual(delivery.next_attempt_at.getTime(), second.getTime() + 2000);
+
+    await dispatcher.poll(new Date(second.getTime() + 2000));
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.attempts, 3);
+    assert.strictEqual(delivery.response_status, 502);
+
+    assert.strictEqual(await redeliverWebhookDelivery(db, 'hook-other', delivery.id), false);
+    assert.strictEqual(await redeliverWebhookDelivery(db, delivery.webhook_id, delivery.id), true);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.attempts, 0);
+  });
+
+  it('should keep only the start of an error response', async () => {
+    const db = createMockDb();
+    await createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_CREATED] });
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_CREATED, {});
+
+    const fetch = createFetch([500], `<html>\n${'x'.repeat(5000)}</html>`);
+    await new WebhookDispatcher(db, { fetch }).poll(NOW);
+
+    assert.strictEqual(db.deliveries[0].response_status, 500);
+    assert.strictEqual(db.deliveries[0].last_error, `HTTP 500: <html> ${'x'.repeat(RESPONSE_SNIPPET_LENGTH - 7)}...`);
+  });
+
+  it('should refuse to deliver to private addresses', async () => {
+    const db = createMockDb();
+    await createWebhook(db, 'admin', { name: 'Metadata', url: 'https://169.254.169.254/latest', events: [WebhookEvents.PLUGIN_CREATED] });
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_CREATED, {});
+
+    const fetch = createFetch([200]);
+    await new WebhookDispatcher(db, { fetch, allowPrivateNetworks: false }).poll(NOW);
+
+    assert.strictEqual(fetch.requests.length, 0);
+    assert.strictEqual(db.deliveries[0].status, 'failed');
+    assert.strictEqual(db.deliveries[0].last_error, 'Requests to private address 169.254.169.254 are not allowed');
+
+    // Hostnames are checked when the connection is made
+    await createWebhook(db, 'admin', { name: 'Internal', url: 'https://hooks.internal.example/', events: [WebhookEvents.PLUGIN_DELETED] });
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_DELETED, {});
+    const lookup = (hostname, options, callback) => (options.all
+      ? callback(null, [{ address: '10.0.0.5', family: 4 }])
+      : callback(null, '10.0.0.5', 4));
+    await new WebhookDispatcher(db, { lookup, allowPrivateNetworks: false, maxAttempts: 1 }).poll(NOW);
+
+    assert.strictEqual(db.deliveries[1].status, 'failed');
+    assert.match(db.deliveries[1].last_error, /Requests to private address 10\.0\.0\.5 are not allowed/);
+  });
+
+  it('should store signing secrets encrypted', async () => {
+    const db = createMockDb();
+    const ops = await createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_CREATED] });
+
+    assert.ok(db.webhooks[0].secret.startsWith('v1:'));
+    assert.ok(!db.webhooks[0].secret.includes(ops.secret));
+
+    delete process.env.PLUGIN_SECRETS_KEY;
+    try {
+      await assert.rejects(
+        createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_CREATED] }),
+        error => error.statusCode === 503,
+      );
+    } finally {
+      process.env.PLUGIN_SECRETS_KEY = 'test-key';
+    }
+
+    // A secret encrypted with another key cannot sign deliveries until it is rotated
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_CREATED, {});
+    const fetch = createFetch([200]);
+    await new WebhookDispatcher(db, { fetch, secretsKey: getSecretsKey('other-key') }).poll(NOW);
+
+    assert.strictEqual(fetch.requests.length, 0);
+    assert.strictEqual(db.deliveries[0].status, 'failed');
+    assert.match(db.deliveries[0].last_error, /^Signing secret cannot be decrypted, rotate it/);
+  });
+
+  it('should give up on deliveries to disabled webhooks without sending them', async () => {
+    const db = createMockDb();
+    await createWebhook(db, 'admin', { name: 'Ops', url: 'https://ops.example.com/hook', events: [WebhookEvents.PLUGIN_CREATED] });
+    await enqueueWebhookEvent(db, WebhookEvents.PLUGIN_CREATED, {});
+    db.webhooks[0].enabled = false;
+
+    const fetch = createFetch([200]);
+    await new WebhookDispatcher(db, { fetch }).poll(NOW);
+
+    assert.strictEqual(fetch.requests.length, 0);
+    assert.strictEqual(db.deliveries[0].status, 'failed');
+    assert.strictEqual(db.deliveries[0].last_error, 'Webhook is disabled');
+  });
+});
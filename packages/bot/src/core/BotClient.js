@@ -5,12 +5,17 @@
  * @date 2025-10-14
  */
 
-import { Client, GatewayIntentBits, REST, Routes } from 'discord.js';
-import { Logger } from '@dismodular/shared';
+import { Client, GatewayIntentBits, Partials, REST, Routes } from 'discord.js';
+import { Logger, toDiscordCommandOption, getAutocompleteChoices, findCommandOption, isEphemeralDeferral, isPluginAvailableInGuild } from '@dismodular/shared';
 import { getPrismaClient } from '../services/PrismaService.js';
 import PluginModel from '../models/PluginModel.js';
 import PluginManager from '../plugins/PluginManager.js';
 import PluginLoader from '../plugins/PluginLoader.js';
+import EventRouter from './EventRouter.js';
+import MessagePatternRouter from './MessagePatternRouter.js';
+import ComponentRouter from './ComponentRouter.js';
+import Scheduler from './Scheduler.js';
+import JobRunner from './JobRunner.js';
 import crypto from 'crypto';
 
 const logger = new Logger('BotClient');
@@ -29,6 +34,8 @@ export class BotClient {
       GatewayIntentBits.Guilds,
       GatewayIntentBits.GuildMessages,
       GatewayIntentBits.GuildMessageReactions,
+      GatewayIntentBits.GuildVoiceStates,
+      GatewayIntentBits.GuildModeration,
     ];
     
     // Add privileged intents if enabled in config
@@ -40,11 +47,24 @@ export class BotClient {
       intents.push(GatewayIntentBits.GuildMembers);
     }
     
-    this.client = new Client({ intents });
+    // Partials let event plugins see reactions and deletions on uncached messages
+    this.client = new Client({
+      intents,
+      partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User],
+    });
 
     // Initialize models and managers
     this.pluginModel = new PluginModel();
-    this.pluginManager = new PluginManager(this.client, this.pluginModel);
+    this.pluginManager = new PluginManager(this.client, this.pluginModel, {
+      executionLog: { retentionDays: config.executionRetentionDays },
+      runLog: { maxRuns: config.recentRunsPerGuild },
+      state: { maxKeys: config.stateMaxKeys, maxValueBytes: config.stateMaxValueBytes },
+      http: {
+        timeout: config.httpTimeout,
+        maxResponseBytes: config.httpMaxResponseBytes,
+        allowPrivateNetworks: config.httpAllowPrivateNetworks,
+      },
+    });
     this.pluginLoader = new PluginLoader(
       config.pluginsDirectory,
       this.pluginManager,
@@ -55,6 +75,21 @@ export class BotClient {
     // Pass bot client reference to plugin loader for cache management
     this.pluginLoader.botClient = this;
 
+    // Routes gateway events to event-triggered plugins
+    this.eventRouter = new EventRouter(this.client, this.pluginManager);
+
+    // Routes guild messages to regex message-pattern plugins
+    this.patternRouter = new MessagePatternRouter(this.client, this.pluginManager);
+
+    // Resumes plugins when their buttons, select menus and modals are used
+    this.componentRouter = new ComponentRouter(this.client, this.pluginManager);
+
+    // Runs scheduled plugins on their cron expression or interval
+    this.scheduler = new Scheduler(this.client, this.pluginManager, this.pluginModel);
+
+    // Resumes plugins when their delayed follow-up jobs come due
+    this.jobRunner = new JobRunner(this.client, this.pluginManager, this.pluginModel);
+
     // Cache for registered commands to avoid unnecessary re-registration
     this.registeredCommands = new Map(); // guildId -> Set of command names
     this.commandHashes = new Map(); // guildId -> hash of command definitions
@@ -87,6 +122,9 @@ export class BotClient {
     // Guild management events
     this.client.on('guildCreate', (guild) => this.onGuildJoin(guild));
     this.client.on('guildDelete', (guild) => this.onGuildLeave(guild));
+
+    // Gateway events for event-triggered plugins
+    this.eventRouter.attach();
   }
 
   /**
@@ -102,15 +140,38 @@ export class BotClient {
     // Register slash commands
     await this.registerSlashCommands();
 
+    // Periodically roll old command executions into daily analytics
+    this.pluginManager.executionLogger.start();
+
+    // Periodically remove plugin state past its ttl
+    this.pluginManager.stateStore.start();
+
+    // Periodically remove expired cooldowns and daily quotas
+    this.pluginManager.usageLimiter.start();
+
+    // Start running scheduled plugins once they are loaded
+    this.scheduler.start();
+    this.jobRunner.start();
+
     logger.success('Bot is ready!');
   }
 
   /**
-   * Handle interaction (slash commands)
+   * Handle interaction (slash commands and plugin message components)
    * @param {Object} interaction - Discord interaction
    */
   async onInteraction(interaction) {
     const startTime = Date.now();
+
+    if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+      await this.componentRouter.dispatch(interaction);
+      return;
+    }
+
+    if (interaction.isAutocomplete()) {
+      await this.onAutocomplete(interaction);
+      return;
+    }
     
     if (!interaction.isChatInputCommand()) {
       return;
@@ -149,8 +210,10 @@ export class BotClient {
     logger.debug(`Processing interaction: ${interaction.id}, command: /${interaction.commandName}, guild: ${interaction.guild?.name || 'DM'}, age: ${interactionAge}ms`);
 
     // Defer reply IMMEDIATELY - no logging or processing before this
+    // The plugin lookup is a map scan, needed because Discord fixes the reply's visibility when it is deferred
     try {
-      await interaction.deferReply();
+      const deferredPlugin = this.pluginManager.getPluginByCommand(interaction.commandName, 'slash', interaction.guildId);
+      await interaction.deferReply({ ephemeral: isEphemeralDeferral(deferredPlugin?.nodes, deferredPlugin?.edges) });
       const deferTime = Date.now() - startTime;
       logger.debug(`Slash command received: /${interaction.commandName} (deferred in ${deferTime}ms, age: ${interactionAge}ms)`);
     } catch (deferError) {
@@ -191,6 +254,7 @@ export class BotClient {
       const plugin = this.pluginManager.getPluginByCommand(
         interaction.commandName,
         'slash',
+        interaction.guildId,
       );
 
       if (!plugin) {
@@ -256,7 +320,26 @@ export class BotClient {
   }
 
   /**
-   * Handle message (text commands)
+   * Answer autocomplete with the suggestions configured on the focused option
+   * @param {Object} interaction - Autocomplete interaction
+   */
+  async onAutocomplete(interaction) {
+    try {
+      const plugin = this.pluginManager.getPluginByCommand(interaction.commandName, 'slash', interaction.guildId);
+      const focused = interaction.options.getFocused(true);
+      const option = findCommandOption(plugin?.options, focused.name, {
+        group: interaction.options.getSubcommandGroup(false),
+        subcommand: interaction.options.getSubcommand(false),
+      });
+
+      await interaction.respond(getAutocompleteChoices(option, focused.value));
+    } catch (error) {
+      logger.error(`Autocomplete for /${interaction.commandName} failed:`, error.message);
+    }
+  }
+
+  /**
+   * Handle message (text commands and message patterns)
    * @param {Object} message - Discord message
    */
   async onMessage(message) {
@@ -267,32 +350,36 @@ export class BotClient {
       const prefix = this.config.prefix || '!';
       
       // Check if message starts with prefix
-      if (!message.content.startsWith(prefix)) {return;}
-
-      // Parse command
-      const args = message.content.slice(prefix.length).trim().split(/ +/);
-      const commandName = args.shift().toLowerCase();
-
-      logger.debug(`Text command received: ${prefix}${commandName}`);
-
-      // Find plugin for this command
-      const plugin = this.pluginManager.getPluginByCommand(commandName, 'text');
-
-      if (!plugin) {return;} // Silently ignore unknown commands
-
-      // Execute plugin
-      const context = {
-        message,
-        args,
-        client: this.client,
-        guild: message.guild,
-        guildId: message.guild?.id,
-        reply: async (content) => {
-          await message.reply(content);
-        },
-      };
+      if (message.content.startsWith(prefix)) {
+        // Parse command
+        const args = message.content.slice(prefix.length).trim().split(/ +/);
+        const commandName = args.shift().toLowerCase();
+
+        // Find plugin for this command
+        const plugin = this.pluginManager.getPluginByCommand(commandName, 'text', message.guild?.id);
+
+        if (plugin) {
+          logger.debug(`Text command received: ${prefix}${commandName}`);
+
+          // Execute plugin
+          const context = {
+            message,
+            args,
+            client: this.client,
+            guild: message.guild,
+            guildId: message.guild?.id,
+            reply: async (content) => {
+              await message.reply(content);
+            },
+          };
+
+          await this.pluginManager.execute(plugin.id, context);
+          return;
+        }
+      }
 
-      await this.pluginManager.execute(plugin.id, context);
+      // Not a known text command, let message-pattern plugins have a look
+      await this.patternRouter.dispatch(message);
     } catch (error) {
       logger.error('Message error:', error);
       await message.reply('An error occurred while executing this command.');
@@ -405,11 +492,17 @@ export class BotClient {
       // Get all slash commands from plugin manager
       // Register ALL slash plugins as commands, regardless of global enabled status
       // Guild-specific enablement is checked during command execution
+      // Plugins owned by another guild are left out, so they only show up in their own guild
       const allPlugins = Array.from(this.pluginManager.plugins.values());
-      const slashPlugins = allPlugins.filter(
-        p => (p.type === 'slash' || p.type === 'both'),
+      const availablePlugins = allPlugins.filter(
+        p => (p.type === 'slash' || p.type === 'both') && isPluginAvailableInGuild(p, guildId),
       );
 
+      // A guild's own plugin takes the command over from a global plugin with the same name
+      const getCommandName = p => (p.trigger_command || p.trigger?.command || '').toLowerCase();
+      const guildCommandNames = new Set(availablePlugins.filter(p => p.guild_id).map(getCommandName));
+      const slashPlugins = availablePlugins.filter(p => p.guild_id || !guildCommandNames.has(getCommandName(p)));
+
       logger.debug(`Found ${slashPlugins.length} slash plugins to register:`, slashPlugins.map(p => ({
         id: p.id,
         name: p.name,
@@ -453,7 +546,7 @@ export class BotClient {
         return {
           name: cleanCommandName,
           description: (plugin.description || `Execute ${plugin.name}`).substring(0, 100), // Discord limit
-          options: plugin.options || [],
+          options: (plugin.options || []).map(toDiscordCommandOption),
         };
       }).filter(Boolean);
 
@@ -608,7 +701,7 @@ export class BotClient {
     try {
       // Get all plugins
       const allPlugins = await this.getPrisma().plugin.findMany({
-        where: { enabled: true }, // Only globally enabled plugins
+        where: { enabled: true, published_at: { not: null } }, // Only globally enabled, published plugins
       });
 
       // Get guild-specific plugin settings
@@ -670,6 +763,13 @@ export class BotClient {
     try {
       logger.info('Stopping bot...');
       this.pluginLoader.stopWatching();
+      this.eventRouter.detach();
+      this.scheduler.stop();
+      this.jobRunner.stop();
+      await this.pluginManager.executionLogger.stop();
+      await this.pluginManager.runLog.stop();
+      this.pluginManager.stateStore.stop();
+      this.pluginManager.usageLimiter.stop();
       await this.pluginModel.close();
       await this.client.destroy();
       logger.success('Bot stopped');
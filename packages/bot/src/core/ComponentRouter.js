@@ -0,0 +1,133 @@
+/**
+ * Component Router - Buttons, select menus and modals
+ * Resumes the plugin that created a message component when someone interacts with it
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger, decodeComponentId, ComponentResponseModes } from '@dismodular/shared';
+
+const logger = new Logger('ComponentRouter');
+
+/**
+ * Describe a component interaction as plain data for the sandbox
+ * @param {Object} interaction - Button, select menu or modal submit interaction
+ * @param {Object} route - Decoded custom ID ({pluginId, step, state, mode})
+ * @returns {Object} Component details ({type, customId, step, state, values, fields, messageId})
+ */
+export function getComponentDetails(interaction, route) {
+  let type = 'button';
+  if (interaction.isModalSubmit?.()) {
+    type = 'modal';
+  } else if (interaction.isAnySelectMenu?.()) {
+    type = 'select';
+  }
+
+  const fields = {};
+  if (type === 'modal') {
+    for (const field of interaction.fields?.fields?.values() || []) {
+      fields[field.customId] = field.value;
+    }
+  }
+
+  return {
+    type,
+    customId: interaction.customId,
+    step: route.step,
+    state: route.state,
+    values: type === 'select' ? [...(interaction.values || [])] : [],
+    fields,
+    messageId: interaction.message?.id || null,
+  };
+}
+
+export class ComponentRouter {
+  /**
+   * Initialize Component Router
+   * @param {Object} client - Discord client instance
+   * @param {Object} pluginManager - Plugin manager instance
+   */
+  constructor(client, pluginManager) {
+    this.client = client;
+    this.pluginManager = pluginManager;
+  }
+
+  /**
+   * Acknowledge a component interaction before the plugin runs
+   * Modal-opening components stay open so the plugin can answer with the modal itself.
+   * @param {Object} interaction - Component interaction
+   * @param {Object} route - Decoded custom ID
+   */
+  async acknowledge(interaction, route) {
+    if (route.mode === ComponentResponseModes.MODAL) {return;}
+
+    // Modals submitted from a slash command have no message to update
+    if (interaction.isModalSubmit?.() && !interaction.isFromMessage?.()) {
+      await interaction.deferReply({ ephemeral: true });
+    } else {
+      await interaction.deferUpdate();
+    }
+  }
+
+  /**
+   * Route a component interaction to the plugin encoded in its custom ID
+   * @param {Object} interaction - Button, select menu or modal submit interaction
+   * @returns {Promise<boolean>} False if the custom ID was not created for a plugin
+   */
+  async dispatch(interaction) {
+    const route = decodeComponentId(interaction.customId);
+    if (!route) {
+      logger.debug(`Ignoring component with foreign custom ID: ${interaction.customId}`);
+      return false;
+    }
+
+    const plugin = this.pluginManager.plugins.get(route.pluginId);
+    if (!plugin || !plugin.enabled) {
+      await interaction.reply({ content: '⚠️ This component is no longer available.', ephemeral: true }).catch(() => {});
+      return true;
+    }
+
+    try {
+      await this.acknowledge(interaction, route);
+
+      const context = {
+        interaction,
+        component: getComponentDetails(interaction, route),
+        client: this.client,
+        guild: interaction.guild,
+        guildId: interaction.guild?.id,
+        reply: async (content) => {
+          if (interaction.deferred || interaction.replied) {
+            await interaction.followUp(content);
+          } else {
+            await interaction.reply(content);
+          }
+        },
+      };
+
+      logger.debug(`Component ${route.step} of plugin ${plugin.name} used by ${interaction.user?.tag}`);
+      await this.pluginManager.execute(plugin.id, context);
+
+      // A modal-opening component whose plugin neither showed a modal nor replied still needs an answer
+      if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferUpdate();
+      }
+    } catch (error) {
+      logger.error(`Component for plugin ${plugin.name} failed:`, error.message);
+      const notice = { content: 'An error occurred while handling this component.', ephemeral: true };
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.followUp(notice);
+        } else {
+          await interaction.reply(notice);
+        }
+      } catch (replyError) {
+        logger.error('Failed to send component error message:', replyError.message);
+      }
+    }
+
+    return true;
+  }
+}
+
+export default ComponentRouter;
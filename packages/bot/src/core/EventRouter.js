@@ -0,0 +1,330 @@
+/**
+ * Event Router - Gateway event dispatch for event-triggered plugins
+ * Subscribes to Discord gateway events and runs plugins whose trigger matches
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger, GatewayEvents } from '@dismodular/shared';
+
+const logger = new Logger('EventRouter');
+
+export class EventRouter {
+  /**
+   * Initialize Event Router
+   * @param {Object} client - Discord client instance
+   * @param {Object} pluginManager - Plugin manager instance
+   */
+  constructor(client, pluginManager) {
+    this.client = client;
+    this.pluginManager = pluginManager;
+    this.listeners = new Map(); // eventName -> listener function
+  }
+
+  /**
+   * Subscribe to every supported gateway event
+   */
+  attach() {
+    for (const eventName of Object.keys(GatewayEvents)) {
+      if (this.listeners.has(eventName)) {continue;}
+
+      const listener = (...args) => {
+        this.dispatch(eventName, args).catch(error => {
+          logger.error(`Failed to dispatch ${eventName}:`, error);
+        });
+      };
+
+      this.client.on(eventName, listener);
+      this.listeners.set(eventName, listener);
+    }
+
+    logger.debug(`Listening for gateway events: ${Array.from(this.listeners.keys()).join(', ')}`);
+  }
+
+  /**
+   * Remove all gateway event listeners
+   */
+  detach() {
+    for (const [eventName, listener] of this.listeners) {
+      this.client.removeListener(eventName, listener);
+    }
+    this.listeners.clear();
+  }
+
+  /**
+   * Dispatch a gateway event to all plugins listening for it
+   * @param {string} eventName - Gateway event name
+   * @param {Array} args - Raw discord.js event arguments
+   * @returns {Promise<number>} Number of plugins executed
+   */
+  async dispatch(eventName, args) {
+    if (this.pluginManager.getPluginsByEvent(eventName).length === 0) {return 0;}
+
+    const payload = await this.buildPayload(eventName, args);
+    if (!payload || !payload.guild?.id) {
+      // Only guild events can be routed, guild plugin settings decide who runs
+      return 0;
+    }
+
+    // Never react to our own actions, otherwise a plugin can trigger itself
+    if (payload.user?.id && payload.user.id === this.client.user?.id) {
+      return 0;
+    }
+
+    // Other guilds' private plugins never see this guild's events
+    const plugins = this.pluginManager.getPluginsByEvent(eventName, payload.guild.id);
+    if (plugins.length === 0) {return 0;}
+
+    const guild = this.client.guilds.cache.get(payload.guild.id) || null;
+    const replyChannel = this.resolveReplyChannel(guild, payload);
+
+    let executed = 0;
+    for (const plugin of plugins) {
+      const context = {
+        event: payload,
+        client: this.client,
+        guild,
+        guildId: payload.guild.id,
+        reply: async (content) => {
+          if (!replyChannel) {
+            logger.debug(`No channel to reply to for ${eventName} in guild ${payload.guild.id}`);
+            return;
+          }
+          await replyChannel.send(content);
+        },
+      };
+
+      try {
+        const result = await this.pluginManager.execute(plugin.id, context);
+        if (result !== null) {
+          executed++;
+        }
+      } catch (error) {
+        logger.error(`Event plugin ${plugin.name} failed on ${eventName}:`, error.message);
+      }
+    }
+
+    return executed;
+  }
+
+  /**
+   * Pick the channel replies should go to for an event
+   * Message and reaction events reply in place, everything else uses the system channel
+   * @param {Object|null} guild - Discord guild
+   * @param {Object} payload - Event payload
+   * @returns {Object|null} Text channel or null
+   */
+  resolveReplyChannel(guild, payload) {
+    if (!guild) {return null;}
+
+    if (payload.channel?.id) {
+      const channel = guild.channels?.cache?.get(payload.channel.id);
+      if (channel && typeof channel.send === 'function') {
+        return channel;
+      }
+    }
+
+    return guild.systemChannel || null;
+  }
+
+  /**
+   * Build a typed, serializable payload from raw discord.js event arguments
+   * @param {string} eventName - Gateway event name
+   * @param {Array} args - Raw discord.js event arguments
+   * @returns {Promise<Object|null>} Event payload or null if the event can't be described
+   */
+  async buildPayload(eventName, args) {
+    try {
+      const base = {
+        type: eventName,
+        timestamp: new Date().toISOString(),
+        guild: null,
+        channel: null,
+        user: null,
+      };
+
+      switch (eventName) {
+      case 'guildMemberAdd':
+      case 'guildMemberRemove': {
+        const [member] = args;
+        return {
+          ...base,
+          guild: this.serializeGuild(member.guild),
+          user: this.serializeUser(member.user),
+          member: {
+            id: member.id,
+            displayName: member.displayName || member.user?.username || null,
+            joinedAt: member.joinedAt ? member.joinedAt.toISOString() : null,
+            roles: member.roles?.cache
+              ? Array.from(member.roles.cache.values())
+                .filter(role => role.id !== member.guild?.id)
+                .map(role => role.name)
+              : [],
+          },
+        };
+      }
+
+      case 'guildBanAdd': {
+        const [ban] = args;
+        return {
+          ...base,
+          guild: this.serializeGuild(ban.guild),
+          user: this.serializeUser(ban.user),
+          ban: {
+            reason: ban.reason || null,
+          },
+        };
+      }
+
+      case 'messageReactionAdd':
+      case 'messageReactionRemove': {
+        let [reaction, user] = args;
+        if (reaction.partial) {
+          reaction = await reaction.fetch();
+        }
+        if (user?.partial) {
+          user = await user.fetch();
+        }
+        const message = reaction.message;
+        return {
+          ...base,
+          guild: this.serializeGuild(message.guild),
+          channel: this.serializeChannel(message.channel),
+          user: this.serializeUser(user),
+          reaction: {
+            emoji: reaction.emoji?.id ? reaction.emoji.name : reaction.emoji?.toString() || null,
+            emojiId: reaction.emoji?.id || null,
+            count: reaction.count ?? null,
+          },
+          message: {
+            id: message.id,
+            authorId: message.author?.id || null,
+            content: message.content ?? null,
+          },
+        };
+      }
+
+      case 'messageDelete': {
+        const [message] = args;
+        return {
+          ...base,
+          guild: this.serializeGuild(message.guild),
+          channel: this.serializeChannel(message.channel),
+          user: this.serializeUser(message.author),
+          message: {
+            id: message.id,
+            // Content is only known when the message was cached before deletion
+            content: message.content ?? null,
+            createdAt: message.createdAt ? message.createdAt.toISOString() : null,
+          },
+        };
+      }
+
+      case 'messageUpdate': {
+        const [oldMessage, newMessage] = args;
+        const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+        // Embed resolution also emits messageUpdate, only route real edits
+        if (!oldMessage.partial && oldMessage.content === message.content) {
+          return null;
+        }
+        if (message.author?.bot) {
+          return null;
+        }
+        return {
+          ...base,
+          guild: this.serializeGuild(message.guild),
+          channel: this.serializeChannel(message.channel),
+          user: this.serializeUser(message.author),
+          message: {
+            id: message.id,
+            content: message.content ?? null,
+            oldContent: oldMessage.partial ? null : oldMessage.content ?? null,
+          },
+        };
+      }
+
+      case 'voiceStateUpdate': {
+        const [oldState, newState] = args;
+        return {
+          ...base,
+          guild: this.serializeGuild(newState.guild),
+          user: this.serializeUser(newState.member?.user),
+          voice: {
+            action: this.getVoiceAction(oldState.channelId, newState.channelId),
+            channelId: newState.channelId || null,
+            channelName: newState.channel?.name || null,
+            oldChannelId: oldState.channelId || null,
+            oldChannelName: oldState.channel?.name || null,
+            selfMute: Boolean(newState.selfMute),
+            selfDeaf: Boolean(newState.selfDeaf),
+          },
+        };
+      }
+
+      default:
+        logger.warn(`No payload builder for event ${eventName}`);
+        return null;
+      }
+    } catch (error) {
+      logger.error(`Failed to build payload for ${eventName}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Describe what a voice state change did
+   * @param {string|null} oldChannelId - Previous voice channel ID
+   * @param {string|null} newChannelId - Current voice channel ID
+   * @returns {'join'|'leave'|'move'|'update'} Voice action
+   */
+  getVoiceAction(oldChannelId, newChannelId) {
+    if (!oldChannelId && newChannelId) {return 'join';}
+    if (oldChannelId && !newChannelId) {return 'leave';}
+    if (oldChannelId !== newChannelId) {return 'move';}
+    return 'update';
+  }
+
+  /**
+   * Serialize a Discord user
+   * @param {Object} user - Discord user
+   * @returns {Object|null} Safe user data
+   */
+  serializeUser(user) {
+    if (!user) {return null;}
+    return {
+      id: user.id || null,
+      username: user.username || null,
+      tag: user.tag || null,
+      bot: Boolean(user.bot),
+    };
+  }
+
+  /**
+   * Serialize a Discord guild
+   * @param {Object} guild - Discord guild
+   * @returns {Object|null} Safe guild data
+   */
+  serializeGuild(guild) {
+    if (!guild) {return null;}
+    return {
+      id: guild.id || null,
+      name: guild.name || null,
+      memberCount: guild.memberCount ?? null,
+    };
+  }
+
+  /**
+   * Serialize a Discord channel
+   * @param {Object} channel - Discord channel
+   * @returns {Object|null} Safe channel data
+   */
+  serializeChannel(channel) {
+    if (!channel) {return null;}
+    return {
+      id: channel.id || null,
+      name: channel.name || null,
+    };
+  }
+}
+
+export default EventRouter;
@@ -0,0 +1,196 @@
+/**
+ * Job Runner - Delayed follow-up jobs
+ * Resumes plugins at their follow-up step when a persisted job comes due
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger } from '@dismodular/shared';
+
+const logger = new Logger('JobRunner');
+
+export class JobRunner {
+  /**
+   * Initialize Job Runner
+   * @param {Object} client - Discord client instance
+   * @param {Object} pluginManager - Plugin manager instance
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Runner options
+   * @param {number} options.pollInterval - Time between checks for due jobs in ms (default: 5 seconds)
+   * @param {number} options.batchSize - Jobs claimed per check (default: 25)
+   * @param {number} options.maxAttempts - Runs before a failing job is given up (default: 3)
+   * @param {number} options.retryDelay - Delay before the first retry in ms, doubled for each retry (default: 1 minute)
+   * @param {number} options.recoveryInterval - Time between stale and failed job sweeps in ms (default: 10 minutes)
+   * @param {number} options.failedRetentionDays - Days failed jobs are kept for inspection (default: 7)
+   */
+  constructor(client, pluginManager, pluginModel, options = {}) {
+    this.client = client;
+    this.pluginManager = pluginManager;
+    this.pluginModel = pluginModel;
+    this.pollInterval = options.pollInterval || 5000;
+    this.batchSize = options.batchSize || 25;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay || 60 * 1000;
+    this.recoveryInterval = options.recoveryInterval || 10 * 60 * 1000;
+    this.failedRetentionDays = options.failedRetentionDays || 7;
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Claim and run every job that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of jobs that ran successfully
+   */
+  async poll(now = new Date()) {
+    if (this.polling) {return 0;}
+    this.polling = true;
+
+    let completed = 0;
+    try {
+      const jobs = await this.pluginModel.getDueJobs(now, this.batchSize);
+
+      for (const job of jobs) {
+        if (!(await this.pluginModel.claimJob(job.id, now))) {
+          logger.debug(`Job ${job.id} was claimed elsewhere`);
+          continue;
+        }
+
+        const attempt = job.attempts + 1;
+        const error = await this.run(job, now);
+        if (!error) {
+          await this.pluginModel.completeJob(job.id);
+          completed++;
+        } else if (attempt < this.maxAttempts) {
+          const retryAt = new Date(now.getTime() + this.retryDelay * 2 ** (attempt - 1));
+          await this.pluginModel.failJob(job.id, error, retryAt);
+        } else {
+          logger.warn(`Job ${job.id} for plugin ${job.plugin_id} failed after ${attempt} attempts: ${error}`);
+          await this.pluginModel.failJob(job.id, error, null);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to run plugin jobs:', error.message);
+    } finally {
+      this.polling = false;
+    }
+
+    return completed;
+  }
+
+  /**
+   * Resume the plugin a claimed job belongs to
+   * @param {Object} job - Job row
+   * @param {Date} now - Current time
+   * @returns {Promise<string|null>} Error message, or null if the plugin ran
+   */
+  async run(job, now) {
+    const plugin = this.pluginManager.plugins.get(job.plugin_id);
+    if (!plugin) {
+      return 'Plugin is not loaded';
+    }
+
+    let guild = null;
+    if (job.guild_id) {
+      guild = this.client.guilds.cache.get(job.guild_id);
+      if (!guild) {
+        return 'Bot is not in this guild';
+      }
+    }
+
+    const channel = await this.resolveChannel(job);
+    const user = !channel && job.user_id ? await this.client.users.fetch(job.user_id).catch(() => null) : null;
+    if (!channel && !user) {
+      return 'Neither the channel nor the user of this job can be reached';
+    }
+
+    const context = {
+      job: {
+        id: job.id,
+        step: job.step,
+        payload: job.payload ?? {},
+        userId: job.user_id,
+        channelId: job.channel_id,
+        scheduledFor: job.run_at.toISOString(),
+        firedAt: now.toISOString(),
+        attempt: job.attempts + 1,
+      },
+      channel,
+      client: this.client,
+      guild,
+      guildId: job.guild_id || null,
+      reply: async (content) => {
+        await (channel || user).send(content);
+      },
+    };
+
+    try {
+      logger.debug(`Resuming plugin ${plugin.name} at ${job.step} for job ${job.id}`);
+      await this.pluginManager.execute(plugin.id, context);
+      return null;
+    } catch (error) {
+      logger.error(`Job ${job.id} for plugin ${plugin.name} failed:`, error.message);
+      return error.message;
+    }
+  }
+
+  /**
+   * Find the text channel a job replies in
+   * @param {Object} job - Job row
+   * @returns {Promise<Object|null>} Discord channel or null
+   */
+  async resolveChannel(job) {
+    if (!job.channel_id) {return null;}
+
+    try {
+      const channel = this.client.channels.cache.get(job.channel_id) || await this.client.channels.fetch(job.channel_id);
+      return channel?.isTextBased?.() ? channel : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Release jobs left running by a stopped process and delete old failed jobs
+   * @param {Date} now - Current time
+   */
+  async recover(now = new Date()) {
+    try {
+      const staleBefore = new Date(now.getTime() - this.recoveryInterval);
+      const failedBefore = new Date(now.getTime() - this.failedRetentionDays * 24 * 60 * 60 * 1000);
+      const { released, purged } = await this.pluginModel.recoverJobs(staleBefore, failedBefore);
+      if (released > 0 || purged > 0) {
+        logger.info(`Released ${released} stale plugin jobs, deleted ${purged} failed jobs`);
+      }
+    } catch (error) {
+      logger.warn('Failed to recover plugin jobs:', error.message);
+    }
+  }
+
+  /**
+   * Start running due jobs
+   */
+  start() {
+    if (this.pollTimer) {return;}
+    this.recover().then(() => this.poll());
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    this.pollTimer.unref?.();
+    this.recoveryTimer = setInterval(() => this.recover(), this.recoveryInterval);
+    this.recoveryTimer.unref?.();
+  }
+
+  /**
+   * Stop running due jobs
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      clearInterval(this.recoveryTimer);
+      this.pollTimer = null;
+      this.recoveryTimer = null;
+    }
+  }
+}
+
+export default JobRunner;
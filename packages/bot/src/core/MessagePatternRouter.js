@@ -0,0 +1,192 @@
+/**
+ * Message Pattern Router - Regex message triggers
+ * Runs pattern plugins when a guild message matches their stored regex
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import vm from 'vm';
+import { Logger, validatePattern } from '@dismodular/shared';
+
+const logger = new Logger('MessagePatternRouter');
+
+/**
+ * Default per-guild cooldown between runs of the same pattern plugin
+ * @type {number}
+ */
+export const DEFAULT_PATTERN_COOLDOWN_SECONDS = 5;
+
+export class MessagePatternRouter {
+  /**
+   * Initialize Message Pattern Router
+   * @param {Object} client - Discord client instance
+   * @param {Object} pluginManager - Plugin manager instance
+   * @param {Object} options - Router options
+   * @param {number} options.matchTimeout - Max time a single regex match may take in ms (default: 50)
+   * @param {number} options.maxContentLength - Longest message content that is matched (default: 4000)
+   */
+  constructor(client, pluginManager, options = {}) {
+    this.client = client;
+    this.pluginManager = pluginManager;
+    this.matchTimeout = options.matchTimeout || 50;
+    this.maxContentLength = options.maxContentLength || 4000;
+
+    this.regexCache = new Map(); // pluginId -> { pattern, regex }
+    this.cooldowns = new Map(); // `${pluginId}:${guildId}` -> timestamp of last run
+
+    // Matches run in a separate context so a runaway regex can be interrupted
+    this.matchContext = vm.createContext({});
+    this.matchScript = new vm.Script('__pattern.exec(__content)');
+  }
+
+  /**
+   * Get the compiled regex for a plugin, validating it on first use
+   * @param {Object} plugin - Plugin data
+   * @returns {RegExp|null} Compiled regex or null if the pattern is unsafe
+   */
+  getRegex(plugin) {
+    const pattern = plugin.trigger?.pattern || plugin.trigger_pattern;
+    const cached = this.regexCache.get(plugin.id);
+    if (cached && cached.pattern === pattern) {
+      return cached.regex;
+    }
+
+    const validation = validatePattern(pattern);
+    const regex = validation.valid ? new RegExp(validation.source, validation.flags) : null;
+    if (!validation.valid) {
+      logger.warn(`Pattern for plugin ${plugin.name} (${plugin.id}) rejected: ${validation.error}`);
+    }
+
+    this.regexCache.set(plugin.id, { pattern, regex });
+    return regex;
+  }
+
+  /**
+   * Match content against a regex with a hard time limit
+   * A regex that runs out of time is cached as rejected, so it is not tried again until its pattern changes.
+   * @param {RegExp} regex - Compiled regex
+   * @param {string} content - Message content
+   * @returns {Object|null} Match details ({text, index, groups, captures}) or null
+   */
+  match(regex, content) {
+    this.matchContext.__pattern = regex;
+    this.matchContext.__content = content.slice(0, this.maxContentLength);
+
+    try {
+      const result = this.matchScript.runInContext(this.matchContext, { timeout: this.matchTimeout });
+      if (!result) {return null;}
+
+      return {
+        text: result[0],
+        index: result.index,
+        groups: result.groups ? { ...result.groups } : {},
+        captures: result.slice(1).map(capture => capture ?? null),
+      };
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        logger.warn(`Pattern ${regex} exceeded ${this.matchTimeout}ms and was disabled`);
+        for (const entry of this.regexCache.values()) {
+          if (entry.regex === regex) {
+            entry.regex = null;
+          }
+        }
+        return null;
+      }
+      throw error;
+    } finally {
+      this.matchContext.__pattern = null;
+      this.matchContext.__content = null;
+    }
+  }
+
+  /**
+   * Get the cooldown configured on a plugin's trigger node
+   * @param {Object} plugin - Plugin data
+   * @returns {number} Cooldown in seconds
+   */
+  getCooldownSeconds(plugin) {
+    const triggerNode = (plugin.nodes || []).find(node => node.type === 'trigger');
+    const configured = Number(triggerNode?.data?.config?.cooldownSeconds);
+    return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_PATTERN_COOLDOWN_SECONDS;
+  }
+
+  /**
+   * Check and claim the per-guild cooldown slot for a plugin
+   * @param {Object} plugin - Plugin data
+   * @param {string} guildId - Discord guild ID
+   * @param {number} now - Current timestamp in ms
+   * @returns {boolean} True if the plugin may run now
+   */
+  claimCooldown(plugin, guildId, now = Date.now()) {
+    const key = `${plugin.id}:${guildId}`;
+    const cooldownMs = this.getCooldownSeconds(plugin) * 1000;
+    const lastRun = this.cooldowns.get(key);
+
+    if (lastRun !== undefined && now - lastRun < cooldownMs) {
+      return false;
+    }
+
+    this.cooldowns.set(key, now);
+
+    // Drop stale entries so the map doesn't grow with every guild forever
+    if (this.cooldowns.size > 1000) {
+      for (const [entryKey, timestamp] of this.cooldowns) {
+        if (now - timestamp > 3600000) {
+          this.cooldowns.delete(entryKey);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Run every pattern plugin whose regex matches a guild message
+   * @param {Object} message - Discord message
+   * @returns {Promise<number>} Number of plugins executed
+   */
+  async dispatch(message) {
+    if (!message.guild || message.author?.bot || !message.content) {return 0;}
+
+    const plugins = this.pluginManager.getPatternPlugins(message.guild.id);
+    if (plugins.length === 0) {return 0;}
+
+    let executed = 0;
+    for (const plugin of plugins) {
+      const regex = this.getRegex(plugin);
+      if (!regex) {continue;}
+
+      const match = this.match(regex, message.content);
+      if (!match) {continue;}
+
+      if (!this.claimCooldown(plugin, message.guild.id)) {
+        logger.debug(`Pattern plugin ${plugin.name} on cooldown in guild ${message.guild.id}`);
+        continue;
+      }
+
+      const context = {
+        message,
+        match,
+        client: this.client,
+        guild: message.guild,
+        guildId: message.guild.id,
+        reply: async (content) => {
+          await message.reply(content);
+        },
+      };
+
+      try {
+        const result = await this.pluginManager.execute(plugin.id, context);
+        if (result !== null) {
+          executed++;
+        }
+      } catch (error) {
+        logger.error(`Pattern plugin ${plugin.name} failed:`, error.message);
+      }
+    }
+
+    return executed;
+  }
+}
+
+export default MessagePatternRouter;
@@ -0,0 +1,170 @@
+/**
+ * Scheduler - Cron and interval triggers
+ * Runs scheduled plugins when their persisted next run time comes due
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger, TriggerTypes, getNextScheduleRun } from '@dismodular/shared';
+
+const logger = new Logger('Scheduler');
+
+/**
+ * Work out when a schedule runs after the run that is being claimed
+ * Runs missed while the bot was offline fire once, then the schedule continues from now.
+ * @param {Object} schedule - Schedule row
+ * @param {Date} now - Current time
+ * @returns {Date|null} Next run time, or null if the schedule never runs again
+ */
+export function getFollowingRun(schedule, now) {
+  const definition = { cron: schedule.cron, intervalSeconds: schedule.interval_seconds };
+
+  try {
+    const next = getNextScheduleRun(definition, schedule.next_run_at);
+    if (next && next > now) {
+      return next;
+    }
+    return getNextScheduleRun(definition, now);
+  } catch (error) {
+    logger.warn(`Schedule for plugin ${schedule.plugin_id} in guild ${schedule.guild_id} is invalid:`, error.message);
+    return null;
+  }
+}
+
+export class Scheduler {
+  /**
+   * Initialize Scheduler
+   * @param {Object} client - Discord client instance
+   * @param {Object} pluginManager - Plugin manager instance
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Scheduler options
+   * @param {number} options.tickInterval - Time between checks for due schedules in ms (default: 30 seconds)
+   * @param {number} options.batchSize - Schedules claimed per check (default: 25)
+   */
+  constructor(client, pluginManager, pluginModel, options = {}) {
+    this.client = client;
+    this.pluginManager = pluginManager;
+    this.pluginModel = pluginModel;
+    this.tickInterval = options.tickInterval || 30000;
+    this.batchSize = options.batchSize || 25;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Claim and run every schedule that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of schedules run
+   */
+  async tick(now = new Date()) {
+    // A slow run must not let the next tick claim the same schedules again
+    if (this.ticking) {return 0;}
+    this.ticking = true;
+
+    let ran = 0;
+    try {
+      const schedules = await this.pluginModel.getDueSchedules(now, this.batchSize);
+
+      for (const schedule of schedules) {
+        const nextRunAt = getFollowingRun(schedule, now);
+        if (!(await this.pluginModel.claimSchedule(schedule, nextRunAt, now))) {
+          logger.debug(`Schedule for plugin ${schedule.plugin_id} in guild ${schedule.guild_id} was claimed elsewhere`);
+          continue;
+        }
+
+        const error = await this.run(schedule, now);
+        await this.pluginModel.recordScheduleRun(schedule.guild_id, schedule.plugin_id, error);
+        if (!error) {
+          ran++;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to check plugin schedules:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+
+    return ran;
+  }
+
+  /**
+   * Run a claimed schedule
+   * @param {Object} schedule - Schedule row
+   * @param {Date} now - Current time
+   * @returns {Promise<string|null>} Error message, or null if the plugin ran
+   */
+  async run(schedule, now) {
+    const plugin = this.pluginManager.plugins.get(schedule.plugin_id);
+    if (!plugin) {
+      return 'Plugin is not loaded';
+    }
+
+    const triggerType = plugin.trigger?.type || plugin.trigger_type;
+    if (triggerType !== TriggerTypes.SCHEDULE) {
+      return 'Plugin is not a scheduled plugin';
+    }
+
+    const guild = this.client.guilds.cache.get(schedule.guild_id);
+    if (!guild) {
+      return 'Bot is not in this guild';
+    }
+
+    let channel;
+    try {
+      channel = guild.channels.cache.get(schedule.channel_id) || await guild.channels.fetch(schedule.channel_id);
+    } catch {
+      channel = null;
+    }
+    if (!channel || !channel.isTextBased?.()) {
+      return `Channel ${schedule.channel_id} is not a text channel in this guild`;
+    }
+
+    const context = {
+      schedule: {
+        cron: schedule.cron || null,
+        intervalSeconds: schedule.interval_seconds || null,
+        channelId: channel.id,
+        scheduledFor: schedule.next_run_at.toISOString(),
+        firedAt: now.toISOString(),
+      },
+      channel,
+      client: this.client,
+      guild,
+      guildId: guild.id,
+      reply: async (content) => {
+        await channel.send(content);
+      },
+    };
+
+    try {
+      logger.debug(`Running scheduled plugin ${plugin.name} in guild ${guild.id}`);
+      await this.pluginManager.execute(plugin.id, context);
+      return null;
+    } catch (error) {
+      logger.error(`Scheduled plugin ${plugin.name} failed:`, error.message);
+      return error.message;
+    }
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) {return;}
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop checking for due schedules
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default Scheduler;
@@ -38,6 +38,17 @@ const config = {
   // Privileged intents (require enabling in Discord Developer Portal)
   enableMessageContent: process.env.ENABLE_MESSAGE_CONTENT === 'true',
   enableGuildMembers: process.env.ENABLE_GUILD_MEMBERS === 'true',
+  // Days raw command executions are kept before being rolled up into daily totals
+  executionRetentionDays: parseInt(process.env.EXECUTION_RETENTION_DAYS, 10) || 30,
+  // Recent runs with console output kept per plugin and guild
+  recentRunsPerGuild: parseInt(process.env.PLUGIN_RECENT_RUNS, 10) || 50,
+  // Plugin state quotas (keys per plugin in each guild, bytes per value)
+  stateMaxKeys: parseInt(process.env.PLUGIN_STATE_MAX_KEYS, 10) || 1000,
+  stateMaxValueBytes: parseInt(process.env.PLUGIN_STATE_MAX_VALUE_BYTES, 10) || 16384,
+  // Plugin HTTP requests (time and response size caps, private network access for local development)
+  httpTimeout: parseInt(process.env.PLUGIN_HTTP_TIMEOUT_MS, 10) || 10000,
+  httpMaxResponseBytes: parseInt(process.env.PLUGIN_HTTP_MAX_RESPONSE_BYTES, 10) || 1048576,
+  httpAllowPrivateNetworks: process.env.PLUGIN_HTTP_ALLOW_PRIVATE_NETWORKS === 'true',
 };
 
 logger.info('Starting Discord Bot Modular Platform...');
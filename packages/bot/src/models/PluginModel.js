@@ -6,10 +6,49 @@
  */
 
 import { getPrismaClient } from '../services/PrismaService.js';
-import { Logger, safeStringify } from '@dismodular/shared';
+import { Logger, safeStringify, queueWebhookEvent } from '@dismodular/shared';
 
 const logger = new Logger('PluginModel');
 
+/**
+ * Build the compound state key for a namespace
+ * Unscoped parts are stored as empty strings so they can be part of the primary key.
+ * @param {string} pluginId - Plugin ID
+ * @param {string} key - State key
+ * @param {Object} scope - State namespace ({guildId, userId})
+ * @returns {Object} Prisma compound key
+ */
+function getStateKey(pluginId, key, scope = {}) {
+  return {
+    plugin_id: pluginId,
+    guild_id: scope.guildId || '',
+    user_id: scope.userId || '',
+    key,
+  };
+}
+
+/**
+ * Check whether a state row has passed its expiry
+ * @param {Object} row - Plugin state row
+ * @returns {boolean} True if expired
+ */
+function isExpired(row) {
+  return Boolean(row.expires_at) && row.expires_at <= new Date();
+}
+
+/**
+ * Prisma filter matching state rows that have not expired
+ * @returns {Object} Prisma where clause
+ */
+function unexpired() {
+  return {
+    OR: [
+      { expires_at: null },
+      { expires_at: { gt: new Date() } },
+    ],
+  };
+}
+
 export class PluginModel {
   /**
    * Initialize Plugin Model with Prisma Client
@@ -33,13 +72,16 @@ export class PluginModel {
   }
 
   /**
-   * Get all plugins
+   * Get all published plugins
+   * Plugins that were never published only exist as drafts in the editor and are not loaded
    * @param {boolean} enabledOnly - Return only enabled plugins
    * @returns {Array} Array of plugin objects
    */
   async getAll(enabledOnly = false) {
     try {
-      const where = enabledOnly ? { enabled: true } : {};
+      const where = enabledOnly
+        ? { enabled: true, published_at: { not: null } }
+        : { published_at: { not: null } };
       
       const plugins = await this.getPrisma().plugin.findMany({
         where,
@@ -67,9 +109,9 @@ export class PluginModel {
   }
 
   /**
-   * Get plugin by ID
+   * Get published plugin by ID
    * @param {string} id - Plugin ID
-   * @returns {Object|null} Plugin object or null
+   * @returns {Object|null} Plugin object or null if missing or never published
    */
   async getById(id) {
     try {
@@ -77,7 +119,7 @@ export class PluginModel {
         where: { id },
       });
       
-      if (!plugin) {return null;}
+      if (!plugin || !plugin.published_at) {return null;}
 
       return {
         ...plugin,
@@ -143,6 +185,7 @@ export class PluginModel {
           edges: pluginData.edges || [],
           compiled: pluginData.compiled || '',
           created_by: null, // System-created plugins don't have a specific creator
+          published_at: new Date(), // Plugin files are only written for published versions
           is_template: pluginData.is_template || false,
           template_category: pluginData.template_category || null,
         },
@@ -179,31 +222,33 @@ export class PluginModel {
    * @param {string} pluginId - Plugin ID
    * @param {string} key - State key
    * @param {any} value - State value
+   * @param {Object} scope - State namespace
+   * @param {string} scope.guildId - Discord guild ID (omit for global state)
+   * @param {string} scope.userId - Discord user ID (omit unless user-scoped)
+   * @param {Object} options - Write options
+   * @param {Date|null} options.expiresAt - When the value expires (default: never)
    */
-  async setState(pluginId, key, value) {
+  async setState(pluginId, key, value, scope = {}, options = {}) {
     try {
+      const serialized = safeStringify(value, {
+        maxDepth: 10,
+        includeCircularRefs: true,
+        circularRefMarker: '[Circular Reference]',
+      });
+      const expiresAt = options.expiresAt || null;
+
       await this.getPrisma().pluginState.upsert({
         where: {
-          plugin_id_key: {
-            plugin_id: pluginId,
-            key: key,
-          },
+          plugin_id_guild_id_user_id_key: getStateKey(pluginId, key, scope),
         },
         update: {
-          value: safeStringify(value, {
-            maxDepth: 10,
-            includeCircularRefs: true,
-            circularRefMarker: '[Circular Reference]',
-          }),
+          value: serialized,
+          expires_at: expiresAt,
         },
         create: {
-          plugin_id: pluginId,
-          key: key,
-          value: safeStringify(value, {
-            maxDepth: 10,
-            includeCircularRefs: true,
-            circularRefMarker: '[Circular Reference]',
-          }),
+          ...getStateKey(pluginId, key, scope),
+          value: serialized,
+          expires_at: expiresAt,
         },
       });
       return true;
@@ -217,40 +262,351 @@ export class PluginModel {
    * Get plugin state value
    * @param {string} pluginId - Plugin ID
    * @param {string} key - State key
+   * @param {Object} scope - State namespace
+   * @param {string} scope.guildId - Discord guild ID (omit for global state)
+   * @param {string} scope.userId - Discord user ID (omit unless user-scoped)
    * @returns {any} State value
    */
-  async getState(pluginId, key) {
+  async getState(pluginId, key, scope = {}) {
     try {
       const result = await this.getPrisma().pluginState.findUnique({
         where: {
-          plugin_id_key: {
-            plugin_id: pluginId,
-            key: key,
-          },
+          plugin_id_guild_id_user_id_key: getStateKey(pluginId, key, scope),
         },
       });
-      
-      return result ? JSON.parse(result.value) : null;
+
+      if (!result || isExpired(result)) {return null;}
+      return result.value ? JSON.parse(result.value) : null;
     } catch (error) {
       logger.error(`Failed to get state for plugin ${pluginId}:`, error);
       return null;
     }
   }
 
+  /**
+   * Delete a plugin state value
+   * @param {string} pluginId - Plugin ID
+   * @param {string} key - State key
+   * @param {Object} scope - State namespace ({guildId, userId})
+   * @returns {Promise<boolean>} True if a value was removed
+   */
+  async deleteState(pluginId, key, scope = {}) {
+    const result = await this.getPrisma().pluginState.deleteMany({
+      where: getStateKey(pluginId, key, scope),
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * List unexpired plugin state values in a namespace
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} scope - State namespace ({guildId, userId})
+   * @param {Object} options - List options
+   * @param {string} options.prefix - Only return keys starting with this prefix
+   * @param {number} options.limit - Maximum number of entries (default: 100)
+   * @returns {Promise<Array<{key: string, value: any}>>} Entries ordered by key
+   */
+  async listState(pluginId, scope = {}, options = {}) {
+    const rows = await this.getPrisma().pluginState.findMany({
+      where: {
+        plugin_id: pluginId,
+        guild_id: scope.guildId || '',
+        user_id: scope.userId || '',
+        ...(options.prefix ? { key: { startsWith: options.prefix } } : {}),
+        ...unexpired(),
+      },
+      orderBy: { key: 'asc' },
+      take: options.limit || 100,
+    });
+
+    return rows.map(row => ({
+      key: row.key,
+      value: row.value ? JSON.parse(row.value) : null,
+    }));
+  }
+
+  /**
+   * Count unexpired state keys a plugin holds in a guild, including user-scoped keys
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID (omit for global state)
+   * @returns {Promise<number>} Number of keys
+   */
+  async countState(pluginId, guildId = '') {
+    return this.getPrisma().pluginState.count({
+      where: {
+        plugin_id: pluginId,
+        guild_id: guildId || '',
+        ...unexpired(),
+      },
+    });
+  }
+
+  /**
+   * Atomically add to a numeric plugin state value
+   * Missing and expired values start from zero.
+   * @param {string} pluginId - Plugin ID
+   * @param {string} key - State key
+   * @param {number} amount - Amount to add
+   * @param {Object} scope - State namespace ({guildId, userId})
+   * @param {Object} options - Write options
+   * @param {Date|null} options.expiresAt - New expiry (default: keep the current one)
+   * @returns {Promise<number>} Value after the increment
+   */
+  async incrementState(pluginId, key, amount, scope = {}, options = {}) {
+    const stateKey = getStateKey(pluginId, key, scope);
+    const expiresAt = options.expiresAt || null;
+
+    const [row] = await this.getPrisma().$queryRaw`
+      INSERT INTO "plugin_state" AS state
+        ("plugin_id", "guild_id", "user_id", "key", "value", "expires_at", "updated_at")
+      VALUES
+        (${stateKey.plugin_id}, ${stateKey.guild_id}, ${stateKey.user_id}, ${stateKey.key}, (${amount}::numeric)::text, ${expiresAt}, NOW())
+      ON CONFLICT ("plugin_id", "guild_id", "user_id", "key") DO UPDATE SET
+        "value" = (
+          CASE WHEN state."value" IS NULL OR state."expires_at" <= NOW() THEN 0
+          ELSE btrim(state."value", '"')::numeric END + ${amount}::numeric
+        )::text,
+        "expires_at" = CASE WHEN state."expires_at" <= NOW() THEN EXCLUDED."expires_at"
+          ELSE COALESCE(EXCLUDED."expires_at", state."expires_at") END,
+        "updated_at" = NOW()
+      RETURNING "value"
+    `;
+
+    return Number(row.value);
+  }
+
+  /**
+   * Delete expired plugin state values
+   * @param {Date} now - Values that expired before this time are removed
+   * @returns {Promise<number>} Number of values removed
+   */
+  async purgeExpiredState(now = new Date()) {
+    const result = await this.getPrisma().pluginState.deleteMany({
+      where: { expires_at: { lte: now } },
+    });
+    return result.count;
+  }
+
+  /**
+   * Get a plugin's cooldowns and daily quotas
+   * PluginUsageLimiter caches them for a minute, so changes apply without publishing or reloading the plugin.
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<Object>} Limit settings, empty if the plugin has none
+   */
+  async getUsageLimits(pluginId) {
+    const plugin = await this.getPrisma().plugin.findUnique({
+      where: { id: pluginId },
+      select: { limits: true },
+    });
+    return plugin?.limits || {};
+  }
+
+  /**
+   * Count a use against a usage bucket, opening a fresh bucket if the current one has expired
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID, empty for direct messages
+   * @param {string} key - Bucket key
+   * @param {Date} expiresAt - Expiry of a freshly opened bucket
+   * @returns {Promise<{count: number, expiresAt: Date}>} Uses in the bucket, this one included, and when it expires
+   */
+  async consumeUsage(pluginId, guildId, key, expiresAt) {
+    // Every bot instance counts against the same row, so the check and the increment are one statement
+    const [row] = await this.getPrisma().$queryRaw`
+      INSERT INTO "plugin_usage" AS entry ("plugin_id", "guild_id", "key", "count", "expires_at")
+      VALUES (${pluginId}, ${guildId || ''}, ${key}, 1, ${expiresAt})
+      ON CONFLICT ("plugin_id", "guild_id", "key") DO UPDATE SET
+        "count" = CASE WHEN entry."expires_at" <= NOW() THEN 1 ELSE entry."count" + 1 END,
+        "expires_at" = CASE WHEN entry."expires_at" <= NOW() THEN EXCLUDED."expires_at" ELSE entry."expires_at" END
+      RETURNING "count", "expires_at"
+    `;
+
+    return { count: Number(row.count), expiresAt: new Date(row.expires_at) };
+  }
+
+  /**
+   * Give back a use counted by consumeUsage
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID, empty for direct messages
+   * @param {string} key - Bucket key
+   */
+  async releaseUsage(pluginId, guildId, key) {
+    await this.getPrisma().pluginUsage.updateMany({
+      where: { plugin_id: pluginId, guild_id: guildId || '', key, count: { gt: 0 } },
+      data: { count: { decrement: 1 } },
+    });
+  }
+
+  /**
+   * Delete expired usage buckets
+   * @param {Date} now - Buckets that expired before this time are removed
+   * @returns {Promise<number>} Number of buckets removed
+   */
+  async purgeExpiredUsage(now = new Date()) {
+    const result = await this.getPrisma().pluginUsage.deleteMany({
+      where: { expires_at: { lte: now } },
+    });
+    return result.count;
+  }
+
+  /**
+   * Get the hosts a plugin may send HTTP requests to
+   * @param {string} pluginId - Plugin ID
+   * @returns {Promise<Object>} Egress policy ({ allowedDomains })
+   */
+  async getEgressPolicy(pluginId) {
+    const plugin = await this.getPrisma().plugin.findUnique({
+      where: { id: pluginId },
+      select: { egress: true },
+    });
+    return plugin?.egress || {};
+  }
+
+  /**
+   * Get a plugin's encrypted secrets for a guild
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID, empty for direct messages
+   * @returns {Promise<Array<{guild_id: string, name: string, value: string}>>} Secrets shared by every guild and the guild's own
+   */
+  async getSecrets(pluginId, guildId) {
+    return await this.getPrisma().pluginSecret.findMany({
+      where: { plugin_id: pluginId, guild_id: { in: ['', guildId || ''] } },
+      select: { guild_id: true, name: true, value: true },
+    });
+  }
+
   /**
    * Log command execution for analytics
    * @param {Object} execution - Execution data
    */
-  async logCommandExecution(_execution) {
+  async logCommandExecution(execution) {
     try {
-      // Note: This would require adding a command_executions table to the schema
-      // For now, we'll skip this functionality or implement it later
-      logger.debug('Command execution logging not implemented with Prisma yet');
+      await this.logCommandExecutions([execution]);
     } catch (error) {
       logger.warn('Failed to log command execution:', error.message);
     }
   }
 
+  /**
+   * Write a batch of command executions
+   * Discord user IDs are linked to dashboard accounts where one exists.
+   * @param {Array<Object>} executions - Execution data
+   * @returns {Promise<number>} Number of rows written
+   * @throws {Error} If the batch could not be written
+   */
+  async logCommandExecutions(executions) {
+    if (executions.length === 0) {return 0;}
+
+    const prisma = this.getPrisma();
+    const discordIds = [...new Set(executions.map(execution => execution.discord_user_id).filter(Boolean))];
+    const users = discordIds.length > 0
+      ? await prisma.user.findMany({
+        where: { discord_id: { in: discordIds } },
+        select: { id: true, discord_id: true },
+      })
+      : [];
+    const userIds = new Map(users.map(user => [user.discord_id, user.id]));
+
+    const result = await prisma.commandExecution.createMany({
+      data: executions.map(execution => ({
+        plugin_id: execution.plugin_id || null,
+        user_id: userIds.get(execution.discord_user_id) || null,
+        discord_user_id: execution.discord_user_id || null,
+        guild_id: execution.guild_id || null,
+        command_name: execution.command_name || null,
+        trigger_type: execution.trigger_type || null,
+        success: Boolean(execution.success),
+        execution_time_ms: Number.isFinite(execution.execution_time_ms) ? Math.round(execution.execution_time_ms) : null,
+        error_message: execution.error_message ? String(execution.error_message).slice(0, 1000) : null,
+        created_at: execution.created_at || new Date(),
+      })),
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Roll command executions older than a cutoff into daily totals and delete them
+   * @param {Date} before - Executions created before this date are rolled up
+   * @returns {Promise<number>} Number of raw executions removed
+   */
+  async rollupCommandExecutions(before) {
+    const prisma = this.getPrisma();
+
+    const [, deleted] = await prisma.$transaction([
+      prisma.$executeRaw`
+        INSERT INTO "command_execution_daily" AS daily
+          ("day", "plugin_id", "guild_id", "executions", "successes", "total_execution_time_ms", "unique_users", "updated_at")
+        SELECT
+          date_trunc('day', "created_at")::date,
+          COALESCE("plugin_id", ''),
+          COALESCE("guild_id", ''),
+          COUNT(*)::int,
+          (COUNT(*) FILTER (WHERE "success"))::int,
+          COALESCE(SUM("execution_time_ms"), 0)::bigint,
+          COUNT(DISTINCT "discord_user_id")::int,
+          NOW()
+        FROM "command_executions"
+        WHERE "created_at" < ${before}
+        GROUP BY 1, 2, 3
+        ON CONFLICT ("day", "plugin_id", "guild_id") DO UPDATE SET
+          "executions" = daily."executions" + EXCLUDED."executions",
+          "successes" = daily."successes" + EXCLUDED."successes",
+          "total_execution_time_ms" = daily."total_execution_time_ms" + EXCLUDED."total_execution_time_ms",
+          "unique_users" = GREATEST(daily."unique_users", EXCLUDED."unique_users"),
+          "updated_at" = NOW()
+      `,
+      prisma.commandExecution.deleteMany({
+        where: { created_at: { lt: before } },
+      }),
+    ]);
+
+    return deleted.count;
+  }
+
+  /**
+   * Write a batch of plugin runs and keep only the most recent per plugin and guild
+   * @param {Array<Object>} runs - Run data
+   * @param {number} keep - Runs kept per plugin and guild
+   * @returns {Promise<number>} Number of runs written
+   * @throws {Error} If the batch could not be written
+   */
+  async recordPluginRuns(runs, keep) {
+    if (runs.length === 0) {return 0;}
+
+    const prisma = this.getPrisma();
+    const result = await prisma.pluginRun.createMany({
+      data: runs.map(run => ({
+        plugin_id: run.plugin_id,
+        guild_id: run.guild_id || '',
+        discord_user_id: run.discord_user_id || null,
+        username: run.username || null,
+        trigger_type: run.trigger_type || null,
+        success: Boolean(run.success),
+        duration_ms: Math.round(run.duration_ms || 0),
+        error_message: run.error_message ? String(run.error_message).slice(0, 1000) : null,
+        logs: run.logs || [],
+        created_at: run.created_at || new Date(),
+      })),
+    });
+
+    // Drop whatever fell out of the ring buffer of each plugin and guild that was written to
+    const namespaces = new Map(runs.map(run => [`${run.plugin_id}:${run.guild_id || ''}`, run]));
+    for (const run of namespaces.values()) {
+      const where = { plugin_id: run.plugin_id, guild_id: run.guild_id || '' };
+      const stale = await prisma.pluginRun.findMany({
+        where,
+        orderBy: { created_at: 'desc' },
+        skip: keep,
+        select: { id: true },
+      });
+      if (stale.length > 0) {
+        await prisma.pluginRun.deleteMany({ where: { id: { in: stale.map(entry => entry.id) } } });
+      }
+    }
+
+    return result.count;
+  }
+
   /**
    * Get guild plugin relationship
    * @param {string} guildId - Discord guild ID
@@ -317,6 +673,219 @@ export class PluginModel {
     }
   }
 
+  /**
+   * Get enabled schedules that are due to run
+   * Schedules of plugins disabled globally or in the guild are skipped.
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of schedules (default: 25)
+   * @returns {Promise<Array<Object>>} Due schedules, oldest first
+   */
+  async getDueSchedules(now = new Date(), limit = 25) {
+    return this.getPrisma().pluginSchedule.findMany({
+      where: {
+        enabled: true,
+        next_run_at: { lte: now },
+        guild_plugin: {
+          enabled: true,
+          plugin: { enabled: true },
+        },
+      },
+      orderBy: { next_run_at: 'asc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Claim a due schedule by moving its next run time forward
+   * The update only applies while next_run_at still holds the value that was read,
+   * so when several bot processes see the same schedule only one of them runs it.
+   * @param {Object} schedule - Schedule row as returned by getDueSchedules
+   * @param {Date|null} nextRunAt - Next run time, or null to disable the schedule
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if this process claimed the run
+   */
+  async claimSchedule(schedule, nextRunAt, now = new Date()) {
+    const result = await this.getPrisma().pluginSchedule.updateMany({
+      where: {
+        guild_id: schedule.guild_id,
+        plugin_id: schedule.plugin_id,
+        enabled: true,
+        next_run_at: schedule.next_run_at,
+      },
+      data: nextRunAt
+        ? { next_run_at: nextRunAt, last_run_at: now }
+        : { enabled: false, last_run_at: now },
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Record the outcome of a scheduled run
+   * @param {string} guildId - Discord guild ID
+   * @param {string} pluginId - Plugin ID
+   * @param {string|null} error - Error message, or null when the run succeeded
+   */
+  async recordScheduleRun(guildId, pluginId, error = null) {
+    try {
+      await this.getPrisma().pluginSchedule.updateMany({
+        where: { guild_id: guildId, plugin_id: pluginId },
+        data: { last_error: error ? String(error).slice(0, 1000) : null },
+      });
+    } catch (updateError) {
+      logger.warn('Failed to record schedule run:', updateError.message);
+    }
+  }
+
+  /**
+   * Create a delayed plugin job
+   * @param {Object} job - Job data ({plugin_id, guild_id, channel_id, user_id, step, payload, run_at})
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(job) {
+    return this.getPrisma().pluginJob.create({
+      data: {
+        plugin_id: job.plugin_id,
+        guild_id: job.guild_id || '',
+        channel_id: job.channel_id || null,
+        user_id: job.user_id || null,
+        step: job.step,
+        payload: job.payload ?? {},
+        run_at: job.run_at,
+      },
+    });
+  }
+
+  /**
+   * Cancel a pending job
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID the job belongs to
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if a job was cancelled
+   */
+  async cancelJob(pluginId, guildId, jobId) {
+    const result = await this.getPrisma().pluginJob.deleteMany({
+      where: {
+        id: jobId,
+        plugin_id: pluginId,
+        guild_id: guildId || '',
+        status: 'pending',
+      },
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Count pending jobs a plugin has queued in a guild
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<number>} Number of pending jobs
+   */
+  async countPendingJobs(pluginId, guildId = '') {
+    return this.getPrisma().pluginJob.count({
+      where: {
+        plugin_id: pluginId,
+        guild_id: guildId || '',
+        status: 'pending',
+      },
+    });
+  }
+
+  /**
+   * Get pending jobs that are due to run
+   * @param {Date} now - Current time
+   * @param {number} limit - Maximum number of jobs (default: 25)
+   * @returns {Promise<Array<Object>>} Due jobs, oldest first
+   */
+  async getDueJobs(now = new Date(), limit = 25) {
+    return this.getPrisma().pluginJob.findMany({
+      where: {
+        status: 'pending',
+        run_at: { lte: now },
+      },
+      orderBy: { run_at: 'asc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Claim a pending job so no other process runs it
+   * @param {string} jobId - Job ID
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} True if this process claimed the job
+   */
+  async claimJob(jobId, now = new Date()) {
+    const result = await this.getPrisma().pluginJob.updateMany({
+      where: { id: jobId, status: 'pending' },
+      data: {
+        status: 'running',
+        locked_at: now,
+        attempts: { increment: 1 },
+      },
+    });
+    return result.count > 0;
+  }
+
+  /**
+   * Remove a job that ran successfully
+   * @param {string} jobId - Job ID
+   */
+  async completeJob(jobId) {
+    await this.getPrisma().pluginJob.deleteMany({
+      where: { id: jobId },
+    });
+  }
+
+  /**
+   * Record a failed job run
+   * @param {string} jobId - Job ID
+   * @param {string} error - Error message
+   * @param {Date|null} retryAt - Time to try again, or null to give up
+   */
+  async failJob(jobId, error, retryAt = null) {
+    await this.getPrisma().pluginJob.updateMany({
+      where: { id: jobId },
+      data: {
+        status: retryAt ? 'pending' : 'failed',
+        run_at: retryAt || undefined,
+        locked_at: null,
+        last_error: String(error).slice(0, 1000),
+      },
+    });
+  }
+
+  /**
+   * Return jobs left running by a process that stopped, and delete old failed jobs
+   * @param {Date} staleBefore - Running jobs locked before this time are released
+   * @param {Date} failedBefore - Failed jobs created before this time are deleted
+   * @returns {Promise<{released: number, purged: number}>} Number of jobs released and deleted
+   */
+  async recoverJobs(staleBefore, failedBefore) {
+    const prisma = this.getPrisma();
+
+    const [released, purged] = await prisma.$transaction([
+      prisma.pluginJob.updateMany({
+        where: { status: 'running', locked_at: { lt: staleBefore } },
+        data: { status: 'pending', locked_at: null },
+      }),
+      prisma.pluginJob.deleteMany({
+        where: { status: 'failed', created_at: { lt: failedBefore } },
+      }),
+    ]);
+
+    return { released: released.count, purged: purged.count };
+  }
+
+  /**
+   * Queue an event for every enabled webhook that subscribed to it
+   * The API sends the deliveries.
+   * @param {string} event - WebhookEvents value
+   * @param {Object} data - Event details
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async enqueueWebhookEvent(event, data) {
+    return await queueWebhookEvent(this.getPrisma(), event, data);
+  }
+
   /**
    * Close database connection
    */
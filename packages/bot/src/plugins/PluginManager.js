@@ -6,18 +6,74 @@
  */
 
 import { Collection } from 'discord.js';
-import { Logger } from '@dismodular/shared';
+import { Logger, isPluginAvailableInGuild } from '@dismodular/shared';
 import SandboxExecutor from '../sandbox/SandboxExecutor.js';
+import ExecutionLogger from '../services/ExecutionLogger.js';
+import PluginRunLog from '../services/PluginRunLog.js';
+import PluginStateStore from '../services/PluginStateStore.js';
+import PluginJobQueue from '../services/PluginJobQueue.js';
+import PluginUsageLimiter from '../services/PluginUsageLimiter.js';
+import PluginHttpClient from '../services/PluginHttpClient.js';
+import PluginFailureMonitor from '../services/PluginFailureMonitor.js';
+import { createComponentHandle } from '../services/PluginComponents.js';
+import { createReplyHandle } from '../services/PluginReplies.js';
 
 const logger = new Logger('PluginManager');
 
+/**
+ * Get the Discord user that triggered an execution
+ * @param {Object} context - Execution context
+ * @returns {string|null} Discord user ID
+ */
+function getTriggeringUserId(context) {
+  return context.interaction?.user?.id || context.message?.author?.id || context.event?.user?.id
+    || context.job?.userId || null;
+}
+
+/**
+ * Get the username of the Discord user that triggered an execution
+ * @param {Object} context - Execution context
+ * @returns {string|null} Discord username
+ */
+function getTriggeringUsername(context) {
+  return context.interaction?.user?.username || context.message?.author?.username
+    || context.event?.user?.username || null;
+}
+
+/**
+ * Get the channel an execution happened in
+ * @param {Object} context - Execution context
+ * @returns {string|null} Discord channel ID
+ */
+function getChannelId(context) {
+  return context.interaction?.channelId || context.message?.channel?.id || context.event?.channel?.id
+    || context.channel?.id || context.job?.channelId || null;
+}
+
+/**
+ * Check whether an execution was started by a user running a command
+ * Components, events, schedules and jobs continue or react to something else, so usage limits skip them.
+ * @param {Object} context - Execution context
+ * @returns {boolean} True for slash, context menu, text command and message pattern runs
+ */
+function isUserInvocation(context) {
+  return (!!context.interaction && !context.component) || !!context.message;
+}
+
 export class PluginManager {
   /**
    * Initialize Plugin Manager
    * @param {Object} client - Discord client instance
    * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Manager options
+   * @param {Object} options.executionLog - Options for the batched execution logger
+   * @param {Object} options.runLog - Options for the recent runs log
+   * @param {Object} options.state - Quota and expiry options for the plugin state store
+   * @param {Object} options.jobs - Limits for delayed follow-up jobs
+   * @param {Object} options.usage - Options for the cooldown and daily quota limiter
+   * @param {Object} options.http - Time and size caps for plugin HTTP requests
    */
-  constructor(client, pluginModel) {
+  constructor(client, pluginModel, options = {}) {
     this.client = client;
     this.pluginModel = pluginModel;
     this.plugins = new Collection();
@@ -25,6 +81,13 @@ export class PluginManager {
       memoryLimit: 128,
       timeout: 5000,
     });
+    this.executionLogger = new ExecutionLogger(pluginModel, options.executionLog);
+    this.runLog = new PluginRunLog(pluginModel, options.runLog);
+    this.stateStore = new PluginStateStore(pluginModel, options.state);
+    this.jobQueue = new PluginJobQueue(pluginModel, options.jobs);
+    this.usageLimiter = new PluginUsageLimiter(pluginModel, options.usage);
+    this.httpClient = new PluginHttpClient(pluginModel, options.http);
+    this.failureMonitor = new PluginFailureMonitor(pluginModel, options.failures);
   }
 
   /**
@@ -50,7 +113,6 @@ export class PluginManager {
       // Store plugin
       this.plugins.set(pluginData.id, {
         ...pluginData,
-        state: {},
       });
 
       logger.success(`Plugin registered: ${pluginData.name} (${pluginData.id})`);
@@ -75,6 +137,8 @@ export class PluginManager {
       }
 
       this.plugins.delete(pluginId);
+      this.failureMonitor.reset(pluginId);
+      this.usageLimiter.forget(pluginId);
       logger.success(`Plugin unregistered: ${plugin.name} (${pluginId})`);
       return true;
     } catch (error) {
@@ -100,29 +164,49 @@ export class PluginManager {
         throw new Error(`Plugin ${plugin.name} is disabled`);
       }
 
+      // Guild-owned plugins never run outside their own guild; the routers already skip them, so this is a backstop
+      if (!isPluginAvailableInGuild(plugin, context.guildId || context.guild?.id || null)) {
+        logger.debug(`Plugin ${plugin.name} (${pluginId}) belongs to guild ${plugin.guild_id}, not running it here`);
+        return null;
+      }
+
       logger.debug(`Executing plugin: ${plugin.name}`);
 
-      // Load plugin state from database
-      const stateKeys = ['variables', 'settings', 'cache'];
-      for (const key of stateKeys) {
-        const value = await this.pluginModel.getState(pluginId, key);
-        if (value) {
-          plugin.state[key] = value;
-        }
-      }
+      // Plugin state is read and written on demand, namespaced to this guild and user
+      const guildId = context.guildId || context.guild?.id;
+      const userId = getTriggeringUserId(context);
+      const state = this.stateStore.createHandle(pluginId, { guildId, userId });
+
+      // Follow-up jobs resume the plugin later in the same guild, channel and for the same user
+      const jobs = this.jobQueue.createHandle(pluginId, {
+        guildId,
+        userId,
+        channelId: getChannelId(context),
+      });
 
-      // Add plugin state to context
+      // Console output is kept with the run so it shows up in the dashboard
+      const capture = this.runLog.createCapture();
+
+      // Add plugin state, jobs, message components and interaction replies to context
       const executionContext = {
         ...context,
-        state: plugin.state,
+        onLog: (level, args) => {
+          capture.onLog(level, args);
+          context.onLog?.(level, args);
+        },
+        state,
+        jobs,
+        components: createComponentHandle(pluginId, context.interaction),
+        replies: createReplyHandle(context.interaction),
         pluginId: plugin.id,
         pluginName: plugin.name,
-        guildId: context.guildId || context.guild?.id,
+        guildId,
       };
 
       // Check if plugin is enabled for this guild (if guildId is provided)
+      let guildPlugin = null;
       if (executionContext.guildId) {
-        const guildPlugin = await this.pluginModel.getGuildPlugin(executionContext.guildId, pluginId);
+        guildPlugin = await this.pluginModel.getGuildPlugin(executionContext.guildId, pluginId);
         logger.debug(`Guild plugin check for ${plugin.name} (${pluginId}) in guild ${executionContext.guildId}:`, {
           guildPlugin,
           enabled: guildPlugin?.enabled,
@@ -138,6 +222,24 @@ export class PluginManager {
         }
       }
 
+      // Cooldowns and daily quotas are checked before the sandbox spends any time on the run
+      if (isUserInvocation(context)) {
+        const limited = await this.usageLimiter.consume(pluginId, {
+          guildId,
+          channelId: getChannelId(context),
+          userId,
+        }, guildPlugin?.settings?.limits);
+
+        if (limited) {
+          logger.debug(`Plugin ${plugin.name} (${pluginId}) hit usage limit ${limited.bucket}`);
+          await this.sendUsageLimitReply(context, limited.message);
+          return null;
+        }
+      }
+
+      // HTTP requests follow the plugin's egress policy, narrowed by the guild's own allowlist
+      executionContext.http = this.httpClient.createHandle(pluginId, { guildId }, guildPlugin?.settings?.egress);
+
       // Execute plugin in sandbox with timing
       const startTime = Date.now();
       // let success = false; // eslint-disable-line no-unused-vars
@@ -146,19 +248,14 @@ export class PluginManager {
       try {
         const result = await this.sandbox.execute(plugin.compiled, executionContext);
         // success = true; // eslint-disable-line no-unused-vars
-        
-        // Save updated state
-        for (const key of stateKeys) {
-          if (plugin.state[key]) {
-            this.pluginModel.setState(pluginId, key, plugin.state[key]);
-          }
-        }
 
         const executionTime = Date.now() - startTime;
         logger.debug(`Plugin execution completed: ${plugin.name} (${executionTime}ms)`);
         
         // Log execution to database for analytics
-        this.logExecution(plugin.id, context, plugin.name, true, executionTime, null);
+        this.logExecution(plugin, executionContext, true, executionTime, null);
+        this.recordRun(plugin, executionContext, true, executionTime, null, capture.logs);
+        this.failureMonitor.record(plugin, true);
         
         return result;
       } catch (error) {
@@ -167,7 +264,9 @@ export class PluginManager {
         const executionTime = Date.now() - startTime;
         
         // Log failed execution
-        this.logExecution(plugin.id, context, plugin.name, false, executionTime, errorMessage);
+        this.logExecution(plugin, executionContext, false, executionTime, errorMessage);
+        this.recordRun(plugin, executionContext, false, executionTime, errorMessage, capture.logs);
+        this.failureMonitor.record(plugin, false, { guildId, error: errorMessage });
         
         throw error;
       }
@@ -178,23 +277,51 @@ export class PluginManager {
   }
 
   /**
-   * Log command execution for analytics
-   * @param {string} pluginId - Plugin ID
+   * Tell the user a run was refused by a usage limit
+   * Slash commands swap their deferred reply for an ephemeral one, message patterns stay quiet
+   * so a busy channel is not flooded with slow down replies.
+   * @param {Object} context - Execution context
+   * @param {string} message - Slow down reply
+   */
+  async sendUsageLimitReply(context, message) {
+    try {
+      const { interaction } = context;
+      if (interaction) {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.deleteReply().catch(() => {});
+          await interaction.followUp({ content: message, ephemeral: true });
+        } else {
+          await interaction.reply({ content: message, ephemeral: true });
+        }
+      } else if (!context.match) {
+        await context.reply?.(message);
+      }
+    } catch (error) {
+      logger.warn('Failed to send usage limit reply:', error.message);
+    }
+  }
+
+  /**
+   * Queue a command execution for analytics
+   * Executions are written in batches by the execution logger.
+   * @param {Object} plugin - Executed plugin
    * @param {Object} context - Execution context
-   * @param {string} commandName - Command name
    * @param {boolean} success - Whether execution succeeded
    * @param {number} executionTime - Execution time in milliseconds
    * @param {string|null} errorMessage - Error message if failed
    */
-  logExecution(pluginId, context, commandName, success, executionTime, errorMessage) {
+  logExecution(plugin, context, success, executionTime, errorMessage) {
     try {
-      const userId = context.interaction?.user?.id || context.message?.author?.id || null;
-      
-      this.pluginModel.logCommandExecution({
-        plugin_id: pluginId,
-        user_id: userId,
-        command_name: commandName,
-        success: success ? 1 : 0,
+      const userId = getTriggeringUserId(context);
+      const triggerType = plugin.trigger?.type || plugin.trigger_type || 'command';
+
+      this.executionLogger.log({
+        plugin_id: plugin.id,
+        discord_user_id: userId,
+        guild_id: context.guildId || context.guild?.id || null,
+        command_name: plugin.trigger?.command || plugin.trigger_command || plugin.name,
+        trigger_type: triggerType,
+        success,
         execution_time_ms: executionTime,
         error_message: errorMessage,
       });
@@ -203,15 +330,47 @@ export class PluginManager {
     }
   }
 
+  /**
+   * Keep a run and its console output in the plugin's recent runs
+   * @param {Object} plugin - Executed plugin
+   * @param {Object} context - Execution context
+   * @param {boolean} success - Whether execution succeeded
+   * @param {number} executionTime - Execution time in milliseconds
+   * @param {string|null} errorMessage - Error message if failed
+   * @param {Array<Object>} logs - Captured console output
+   */
+  recordRun(plugin, context, success, executionTime, errorMessage, logs) {
+    try {
+      this.runLog.record({
+        plugin_id: plugin.id,
+        guild_id: context.guildId || context.guild?.id || null,
+        discord_user_id: getTriggeringUserId(context),
+        username: getTriggeringUsername(context),
+        trigger_type: plugin.trigger?.type || plugin.trigger_type || 'command',
+        success,
+        duration_ms: executionTime,
+        error_message: errorMessage,
+        logs,
+      });
+    } catch (error) {
+      logger.error('Failed to record plugin run:', error);
+    }
+  }
+
   /**
    * Get plugin by command
+   * A guild's own plugin takes the command over from a global plugin with the same name
    * @param {string} command - Command name
    * @param {string} type - Command type ('slash' or 'text')
+   * @param {string|null} [guildId] - Guild the command was used in, null in DMs
    * @returns {Object|null} Plugin object or null
    */
-  getPluginByCommand(command, type = 'slash') {
+  getPluginByCommand(command, type = 'slash', guildId = null) {
+    let globalMatch = null;
+
     for (const [, plugin] of this.plugins) {
       if (!plugin.enabled) {continue;}
+      if (!isPluginAvailableInGuild(plugin, guildId)) {continue;}
       
       const matchesType = 
         plugin.type === 'both' || 
@@ -221,11 +380,52 @@ export class PluginManager {
         plugin.trigger_command?.toLowerCase() === command.toLowerCase();
       
       if (matchesType && matchesCommand) {
-        return plugin;
+        if (plugin.guild_id) {
+          return plugin;
+        }
+        globalMatch = globalMatch || plugin;
       }
     }
     
-    return null;
+    return globalMatch;
+  }
+
+  /**
+   * Get plugins triggered by a gateway event
+   * @param {string} eventName - Gateway event name (e.g. 'guildMemberAdd')
+   * @param {string|null} [guildId] - Only plugins available in this guild, every guild's when omitted
+   * @returns {Array} Array of enabled plugins listening for the event
+   */
+  getPluginsByEvent(eventName, guildId) {
+    const matches = [];
+    for (const [, plugin] of this.plugins) {
+      if (!plugin.enabled) {continue;}
+      if (guildId !== undefined && !isPluginAvailableInGuild(plugin, guildId)) {continue;}
+
+      const triggerType = plugin.trigger?.type || plugin.trigger_type;
+      const triggerEvent = plugin.trigger?.event || plugin.trigger_event;
+
+      if (triggerType === 'event' && triggerEvent === eventName) {
+        matches.push(plugin);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Get plugins triggered by message patterns
+   * @param {string|null} [guildId] - Only plugins available in this guild, every guild's when omitted
+   * @returns {Array} Array of enabled plugins with a message pattern trigger
+   */
+  getPatternPlugins(guildId) {
+    return this.getEnabledPlugins().filter(plugin => {
+      if (guildId !== undefined && !isPluginAvailableInGuild(plugin, guildId)) {return false;}
+
+      const triggerType = plugin.trigger?.type || plugin.trigger_type;
+      const pattern = plugin.trigger?.pattern || plugin.trigger_pattern;
+      return triggerType === 'message' && Boolean(pattern);
+    });
   }
 
   /**
@@ -313,6 +513,9 @@ export class PluginManager {
       byType: {
         slash: all.filter(p => p.type === 'slash' || p.type === 'both').length,
         text: all.filter(p => p.type === 'text' || p.type === 'both').length,
+        listener: all.filter(p => p.type === 'listener').length,
+        pattern: all.filter(p => p.type === 'pattern').length,
+        scheduled: all.filter(p => p.type === 'scheduled').length,
       },
     };
   }
@@ -0,0 +1,342 @@
+/**
+ * Dry Runner - Test plugin code without touching Discord
+ * Executes compiled code in the sandbox against a synthetic interaction and records what it tried to do
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger } from '@dismodular/shared';
+import { SandboxExecutor } from './SandboxExecutor.js';
+import PluginStateStore from '../services/PluginStateStore.js';
+import PluginJobQueue from '../services/PluginJobQueue.js';
+import { createComponentHandle } from '../services/PluginComponents.js';
+import { createReplyHandle } from '../services/PluginReplies.js';
+import { formatLogArgs } from '../services/PluginRunLog.js';
+
+const logger = new Logger('DryRunner');
+
+/**
+ * Plugin ID dry runs execute as
+ */
+export const DRY_RUN_PLUGIN_ID = 'dry-run';
+
+/**
+ * Identity used for anything the dry run input leaves out
+ */
+export const DEFAULT_DRY_RUN_INPUT = {
+  user: { id: '100000000000000001', username: 'tester' },
+  guild: { id: '100000000000000002', name: 'Test Server' },
+  channel: { id: '100000000000000003', name: 'general' },
+};
+
+// Option types resolved to a Discord object, by the property the sandbox reads
+const RESOLVED_OPTION_TYPES = { 6: 'user', 7: 'channel', 8: 'role', 9: 'user' };
+
+/**
+ * Response HTTP requests get in a dry run, which never leaves the API host
+ */
+export const DRY_RUN_HTTP_RESPONSE = { ok: true, status: 200, data: {} };
+
+/**
+ * Get the scope a state namespace belongs to
+ * @param {Object} namespace - State namespace ({guildId, userId})
+ * @returns {string} global, guild or user
+ */
+function getScopeName(namespace) {
+  if (namespace.userId !== undefined) {return 'user';}
+  return namespace.guildId !== undefined ? 'guild' : 'global';
+}
+
+/**
+ * Normalize a message payload the way discord.js accepts it
+ * @param {string|Object} payload - Message content or options
+ * @returns {Object} Message options
+ */
+function toMessagePayload(payload) {
+  if (typeof payload === 'string') {
+    return { content: payload };
+  }
+  return JSON.parse(JSON.stringify(payload ?? {}));
+}
+
+/**
+ * Build slash command option data as Discord sends it
+ * @param {Object} input - Dry run input
+ * @returns {Array} Option data, nested under the subcommand and group if given
+ */
+function buildOptionData(input) {
+  let data = (input.options || []).map(option => {
+    const opt = { name: option.name, type: option.type ?? 3, value: option.value ?? null };
+    const resolved = RESOLVED_OPTION_TYPES[opt.type];
+    if (resolved && opt.value !== null) {
+      opt[resolved] = { id: String(opt.value) };
+    }
+    return opt;
+  });
+
+  if (input.subcommand) {
+    data = [{ name: input.subcommand, type: 1, options: data }];
+    if (input.group) {
+      data = [{ name: input.group, type: 2, options: data }];
+    }
+  }
+  return data;
+}
+
+/**
+ * In-memory stand-in for the plugin model state and job methods
+ * Records every change so the dry run can report it
+ */
+class MemoryPluginModel {
+  /**
+   * @param {Array} changes - Array state changes are appended to
+   * @param {Function} recordAction - Records an attempted action
+   */
+  constructor(changes, recordAction) {
+    this.values = new Map();
+    this.changes = changes;
+    this.recordAction = recordAction;
+    this.jobCount = 0;
+  }
+
+  // Values are stored under their namespace and key, like the plugin_state unique key
+  getKey(key, scope) {
+    return JSON.stringify([scope.guildId ?? null, scope.userId ?? null, key]);
+  }
+
+  async getState(pluginId, key, scope = {}) {
+    return this.values.get(this.getKey(key, scope))?.value ?? null;
+  }
+
+  async setState(pluginId, key, value, scope = {}, options = {}) {
+    this.values.set(this.getKey(key, scope), { key, scope: getScopeName(scope), value });
+    this.changes.push({ operation: 'set', key, scope: getScopeName(scope), value, expiresAt: options.expiresAt || null });
+    return true;
+  }
+
+  async deleteState(pluginId, key, scope = {}) {
+    const deleted = this.values.delete(this.getKey(key, scope));
+    if (deleted) {
+      this.changes.push({ operation: 'delete', key, scope: getScopeName(scope) });
+    }
+    return deleted;
+  }
+
+  async listState(pluginId, scope = {}, options = {}) {
+    const namespace = `${JSON.stringify([scope.guildId ?? null, scope.userId ?? null]).slice(0, -1)},`;
+    return [...this.values.entries()]
+      .filter(([id]) => id.startsWith(namespace))
+      .map(([, entry]) => ({ key: entry.key, value: entry.value }))
+      .filter(entry => entry.key.startsWith(options.prefix || ''))
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .slice(0, options.limit || 100);
+  }
+
+  async countState() {
+    return this.values.size;
+  }
+
+  async incrementState(pluginId, key, amount, scope = {}, options = {}) {
+    const current = await this.getState(pluginId, key, scope);
+    const base = current === null ? 0 : Number(current);
+    if (!Number.isFinite(base)) {
+      throw new Error('Value is not numeric');
+    }
+    const value = base + amount;
+    this.values.set(this.getKey(key, scope), { key, scope: getScopeName(scope), value });
+    this.changes.push({ operation: 'increment', key, scope: getScopeName(scope), amount, value, expiresAt: options.expiresAt || null });
+    return value;
+  }
+
+  async countPendingJobs() {
+    return this.jobCount;
+  }
+
+  async createJob(job) {
+    this.jobCount++;
+    const id = `dry-run-job-${this.jobCount}`;
+    this.recordAction('scheduleJob', { jobId: id, step: job.step, payload: job.payload, runAt: job.run_at });
+    return { id };
+  }
+
+  async cancelJob(pluginId, guildId, jobId) {
+    this.recordAction('cancelJob', { jobId });
+    return false;
+  }
+}
+
+export class DryRunner {
+  /**
+   * Initialize Dry Runner
+   * @param {Object} options - Dry run options
+   * @param {Object} options.sandbox - Sandbox options (memoryLimit, timeout)
+   * @param {Object} options.state - State limits, as for PluginStateStore
+   * @param {Object} options.jobs - Job limits, as for PluginJobQueue
+   */
+  constructor(options = {}) {
+    this.sandbox = new SandboxExecutor(options.sandbox);
+    this.stateOptions = options.state || {};
+    this.jobOptions = options.jobs || {};
+  }
+
+  /**
+   * Execute compiled plugin code against a synthetic slash command interaction
+   * @param {string} code - Compiled plugin code
+   * @param {Object} input - Synthetic context
+   * @param {string} input.commandName - Command name
+   * @param {Object} input.user - Invoking user ({id, username})
+   * @param {Object} input.guild - Guild ({id, name})
+   * @param {Object} input.channel - Channel ({id, name})
+   * @param {Array} input.options - Option values ({name, type, value})
+   * @param {string} input.subcommand - Invoked subcommand, if any
+   * @param {string} input.group - Invoked subcommand group, if any
+   * @param {Object} input.state - Guild-scoped state values to start with, by key
+   * @returns {Promise<Object>} Result with reply, embeds, logs, trace, state changes and actions
+   */
+  async run(code, input = {}) {
+    const user = { ...DEFAULT_DRY_RUN_INPUT.user, ...input.user };
+    const guild = { ...DEFAULT_DRY_RUN_INPUT.guild, ...input.guild };
+    const channelInfo = { ...DEFAULT_DRY_RUN_INPUT.channel, ...input.channel };
+
+    const logs = [];
+    const trace = [];
+    const actions = [];
+    const stateChanges = [];
+    const messages = [];
+    let reply = null;
+
+    const recordAction = (type, details = {}) => {
+      actions.push({ type, ...details });
+    };
+    const recordMessage = (type, payload, details = {}) => {
+      const message = toMessagePayload(payload);
+      messages.push(message);
+      recordAction(type, { ...details, payload: message });
+      return message;
+    };
+
+    const createMessage = (id, content = null) => ({
+      id,
+      channelId: channelInfo.id,
+      channel: { id: channelInfo.id },
+      content,
+      embeds: [],
+      reactions: { cache: new Map() },
+      fetch: async function() {
+        return this;
+      },
+      react: async (emoji) => {
+        recordAction('react', { messageId: id, emoji });
+      },
+      edit: async (payload) => {
+        recordMessage('editMessage', payload, { messageId: id });
+      },
+    });
+
+    const channel = {
+      ...channelInfo,
+      messages: { fetch: async (messageId) => createMessage(messageId) },
+    };
+
+    // Slash commands are deferred before the plugin runs, so replies edit the deferred response
+    const interaction = {
+      id: 'dry-run-interaction',
+      commandName: input.commandName || 'dry-run',
+      createdTimestamp: Date.now(),
+      deferred: true,
+      replied: false,
+      user: { ...user, tag: user.tag || user.username, bot: false },
+      guild,
+      channel,
+      options: { data: buildOptionData(input) },
+      editReply: async (payload) => {
+        // Editing a follow-up names it in `message`, anything else edits the deferred response
+        const { message: messageId, ...options } = toMessagePayload(payload);
+        if (messageId && messageId !== '@original') {
+          recordMessage('editReply', options, { messageId });
+          return createMessage(messageId, options.content ?? null);
+        }
+        reply = recordMessage('editReply', options);
+        return createMessage('dry-run-reply', reply.content ?? null);
+      },
+      followUp: async (payload) => {
+        recordMessage('followUp', payload);
+        return createMessage(`dry-run-followup-${actions.length}`);
+      },
+      deleteReply: async (messageId) => {
+        recordAction('deleteReply', { messageId: messageId || 'dry-run-reply' });
+      },
+      showModal: async (modal) => {
+        recordAction('showModal', { modal });
+      },
+    };
+
+    const model = new MemoryPluginModel(stateChanges, recordAction);
+    for (const [key, value] of Object.entries(input.state || {})) {
+      model.values.set(model.getKey(key, { guildId: guild.id }), { key, scope: 'guild', value });
+    }
+    const identity = { guildId: guild.id, userId: user.id, channelId: channel.id };
+
+    const context = {
+      interaction,
+      guild,
+      guildId: guild.id,
+      pluginId: DRY_RUN_PLUGIN_ID,
+      pluginName: interaction.commandName,
+      state: new PluginStateStore(model, this.stateOptions).createHandle(DRY_RUN_PLUGIN_ID, identity),
+      jobs: new PluginJobQueue(model, this.jobOptions).createHandle(DRY_RUN_PLUGIN_ID, identity),
+      components: createComponentHandle(DRY_RUN_PLUGIN_ID, interaction),
+      replies: createReplyHandle(interaction),
+      // Requests are recorded instead of sent, test runs have no egress policy to hold them to
+      http: {
+        request: async (url, options = {}) => {
+          recordAction('httpRequest', { method: String(options.method || 'GET').toUpperCase(), url: String(url) });
+          return structuredClone(DRY_RUN_HTTP_RESPONSE);
+        },
+      },
+      // Reaction collectors listen on the client, record the subscription instead
+      client: {
+        on: (event) => recordAction('listen', { event }),
+        removeListener: () => {},
+      },
+      reply: async (payload) => {
+        reply = recordMessage('reply', payload);
+      },
+      onLog: (level, args) => {
+        logs.push({ level, message: formatLogArgs(args) });
+      },
+      // Entered nodes carry a snapshot of the variables, branches the handle that was taken
+      onTrace: ({ nodeId, kind, data }) => {
+        trace.push(kind === 'branch'
+          ? { step: trace.length, nodeId, kind, handle: data?.handle ?? null }
+          : { step: trace.length, nodeId, kind, variables: data ?? {} });
+      },
+    };
+
+    const startTime = Date.now();
+    let error = null;
+    try {
+      await this.sandbox.execute(code, context);
+    } catch (executionError) {
+      error = executionError.message;
+      logger.debug('Dry run failed:', executionError.message);
+    }
+
+    return {
+      success: error === null,
+      error,
+      duration: Date.now() - startTime,
+      reply,
+      embeds: messages.flatMap(message => message.embeds || []),
+      logs,
+      trace,
+      state: {
+        changes: stateChanges,
+        values: [...model.values.values()],
+      },
+      actions,
+    };
+  }
+}
+
+export default DryRunner;
@@ -10,6 +10,17 @@ import { Logger, serializeState as sharedSerializeState, validateSerialization }
 
 const logger = new Logger('SandboxExecutor');
 
+// Host APIs the sandbox may call, with the methods each one exposes
+const HOST_APIS = {
+  state: { name: 'Plugin state storage', methods: ['get', 'set', 'delete', 'list', 'exists', 'increment'] },
+  jobs: { name: 'Plugin jobs', methods: ['schedule', 'cancel'] },
+  components: { name: 'Message components', methods: ['customId', 'showModal'] },
+  replies: { name: 'Interaction replies', methods: ['followUp', 'editReply', 'deleteReply'] },
+};
+
+// Trace entries a single execution may report, so looping plugins cannot flood the host
+const MAX_TRACE_STEPS = 500;
+
 export class SandboxExecutor {
   /**
    * Initialize Sandbox Executor
@@ -56,12 +67,15 @@ export class SandboxExecutor {
         
         jail.setSync('__resolveCb', resolveCb);
         
+        // The sandbox passes the error message, so wrap it to keep it in the rejection
         const rejectCb = new ivm.Callback(function(error) {
-          reject(error);
+          reject(new Error(error));
         });
         
         jail.setSync('__rejectCb', rejectCb);
       });
+      // Plugins can reject while the script is still running, before the race below awaits the response
+      responsePromise.catch(() => {});
 
       // Wrap code with async handler and helper functions
       const wrappedCode = `
@@ -152,13 +166,15 @@ export class SandboxExecutor {
    */
   async injectSafeAPI(jail, isolate, vmContext, context, safeContext) {
     // Create simple callback functions using Callback instead of Reference
-    // These can be called directly from the sandbox
+    // These can be called directly from the sandbox, and are also passed to context.onLog if set
     const consoleLog = new ivm.Callback((argsJson) => {
       try {
         const args = JSON.parse(argsJson);
         logger.info('[Plugin]', ...args);
+        context.onLog?.('info', args);
       } catch (e) {
         logger.info('[Plugin]', argsJson);
+        context.onLog?.('info', [argsJson]);
       }
     });
 
@@ -166,8 +182,10 @@ export class SandboxExecutor {
       try {
         const args = JSON.parse(argsJson);
         logger.warn('[Plugin]', ...args);
+        context.onLog?.('warn', args);
       } catch (e) {
         logger.warn('[Plugin]', argsJson);
+        context.onLog?.('warn', [argsJson]);
       }
     });
 
@@ -175,8 +193,10 @@ export class SandboxExecutor {
       try {
         const args = JSON.parse(argsJson);
         logger.error('[Plugin]', ...args);
+        context.onLog?.('error', args);
       } catch (e) {
         logger.error('[Plugin]', argsJson);
+        context.onLog?.('error', [argsJson]);
       }
     });
 
@@ -185,16 +205,36 @@ export class SandboxExecutor {
     await jail.set('__consoleWarnCb', consoleWarn);
     await jail.set('__consoleErrorCb', consoleError);
 
-    // Inject safe Discord context data (using ExternalCopy for plain objects)
-    // Build options object from interaction
-    const options = {};
-    if (context.interaction?.options) {
-      // Get all option values
-      const optionData = context.interaction.options.data || [];
-      optionData.forEach(opt => {
-        options[opt.name] = opt.value;
+    // Plugins compiled with tracing report the nodes they run, passed to context.onTrace if set
+    if (typeof context.onTrace === 'function') {
+      const traceCb = new ivm.Callback((entryJson) => {
+        try {
+          context.onTrace(JSON.parse(entryJson));
+        } catch (e) {
+          logger.warn('[Trace] Failed to record trace entry:', e.message);
+        }
       });
+      await jail.set('__traceCb', traceCb);
     }
+    await vmContext.eval(`
+      let __traceSteps = 0;
+      global.__trace = function(nodeId, kind, data) {
+        if (typeof __traceCb === 'undefined' || __traceSteps >= ${MAX_TRACE_STEPS}) { return; }
+        __traceSteps++;
+        let entryJson;
+        try {
+          entryJson = JSON.stringify({ nodeId: nodeId, kind: kind, data: data });
+        } catch (e) {
+          entryJson = JSON.stringify({ nodeId: nodeId, kind: kind, data: '[Serialization Error]' });
+        }
+        __traceCb(entryJson);
+      };
+    `);
+
+    // Inject safe Discord context data (using ExternalCopy for plain objects)
+    // Build options object from interaction, with resolved users, channels, roles and attachments
+    const options = this.serializeSlashOptions(context.interaction);
+    const commandPath = this.getSubcommandPath(context.interaction);
 
     // Get avatar URL safely
     let avatarURL = null;
@@ -616,17 +656,34 @@ export class SandboxExecutor {
     `);
     
     // Create options accessor functions as references
-    if (options && Object.keys(options).length > 0) {
+    if (options && (Object.keys(options).length > 0 || commandPath.subcommand)) {
       const optionsData = new ivm.ExternalCopy(options).copyInto();
       await jail.set('__slashOptions', optionsData);
+      await jail.set('__slashCommand', new ivm.ExternalCopy(commandPath).copyInto());
       
       // Inject helper code to access options
       const optionsHelperCode = `
         if (typeof global.interaction !== 'undefined' && global.interaction) {
           global.interaction.options = {
-            getString: function(name) { return __slashOptions[name] || null; },
-            getInteger: function(name) { return __slashOptions[name] ? parseInt(__slashOptions[name]) : null; },
-            getBoolean: function(name) { return __slashOptions[name] === true || __slashOptions[name] === 'true'; }
+            get: function(name) { return __slashOptions[name] || null; },
+            getString: function(name) { const value = __slashOptions[name]?.value; return value === undefined || value === null ? null : String(value); },
+            getInteger: function(name) { const value = __slashOptions[name]?.value; return value === undefined || value === null ? null : parseInt(value); },
+            getNumber: function(name) { const value = __slashOptions[name]?.value; return value === undefined || value === null ? null : Number(value); },
+            getBoolean: function(name) { const value = __slashOptions[name]?.value; return value === undefined || value === null ? null : value === true || value === 'true'; },
+            getUser: function(name) { return __slashOptions[name]?.user || null; },
+            getMember: function(name) { return __slashOptions[name]?.member || null; },
+            getChannel: function(name) { return __slashOptions[name]?.channel || null; },
+            getRole: function(name) { return __slashOptions[name]?.role || null; },
+            getMentionable: function(name) { return __slashOptions[name]?.user || __slashOptions[name]?.role || null; },
+            getAttachment: function(name) { return __slashOptions[name]?.attachment || null; },
+            getSubcommand: function(required = true) {
+              if (!__slashCommand.subcommand && required) { throw new Error('A subcommand was not selected'); }
+              return __slashCommand.subcommand;
+            },
+            getSubcommandGroup: function(required = true) {
+              if (!__slashCommand.group && required) { throw new Error('A subcommand group was not selected'); }
+              return __slashCommand.group;
+            }
           };
         }
       `;
@@ -657,14 +714,127 @@ export class SandboxExecutor {
       await jail.set('message', null);
     }
 
-    // Inject plugin state - safely serialize to avoid Promise cloning issues
-    const safeState = safeContext.state || {};
-    await jail.set('state', new ivm.ExternalCopy(safeState).copyInto());
+    // Inject gateway event payload for event-triggered plugins (null otherwise)
+    if (safeContext.event) {
+      await jail.set('event', new ivm.ExternalCopy(safeContext.event).copyInto());
+    } else {
+      await jail.set('event', null);
+    }
+
+    // Inject message pattern match for pattern-triggered plugins (null otherwise)
+    if (safeContext.match) {
+      await jail.set('match', new ivm.ExternalCopy(safeContext.match).copyInto());
+    } else {
+      await jail.set('match', null);
+    }
+
+    // Inject schedule details for scheduled plugins (null otherwise)
+    if (safeContext.schedule) {
+      await jail.set('schedule', new ivm.ExternalCopy(safeContext.schedule).copyInto());
+    } else {
+      await jail.set('schedule', null);
+    }
+
+    // Inject resumed job details for follow-up runs (null otherwise)
+    if (safeContext.job) {
+      await jail.set('job', new ivm.ExternalCopy(safeContext.job).copyInto());
+    } else {
+      await jail.set('job', null);
+    }
+
+    // Inject the component interaction that resumed the plugin (null otherwise)
+    if (safeContext.component) {
+      await jail.set('component', new ivm.ExternalCopy(safeContext.component).copyInto());
+    } else {
+      await jail.set('component', null);
+    }
+
+    // Inject plugin state storage, follow-up jobs, message components and interaction replies, bridged to the host using the same polling as fetch
+    const hostResults = new Map();
+    let hostId = 0;
+
+    const hostStart = new ivm.Callback((apiName, method, argsJson) => {
+      const id = hostId++;
+
+      (async () => {
+        try {
+          const api = HOST_APIS[apiName];
+          if (!api || !api.methods.includes(method) || typeof context[apiName]?.[method] !== 'function') {
+            throw new Error(`${api?.name || apiName} is not available`);
+          }
+          const value = await context[apiName][method](...JSON.parse(argsJson));
+          hostResults.set(id, JSON.stringify({ ok: true, value: value ?? null }));
+        } catch (error) {
+          logger.warn(`[Host ${id}] ${apiName}.${method} failed:`, error.message);
+          hostResults.set(id, JSON.stringify({ ok: false, error: error.message }));
+        }
+      })();
+
+      return id;
+    });
+
+    const hostCheck = new ivm.Callback((id) => {
+      return hostResults.has(id);
+    });
+
+    const hostGet = new ivm.Callback((id) => {
+      const result = hostResults.get(id);
+      if (result) {
+        hostResults.delete(id);
+        return result;
+      }
+      return JSON.stringify({ ok: false, error: 'Host operation not found' });
+    });
+
+    await jail.set('__hostStart', hostStart);
+    await jail.set('__hostCheck', hostCheck);
+    await jail.set('__hostGet', hostGet);
+
+    await vmContext.eval(`
+      const __hostCall = function(api, method, args) {
+        const hostId = __hostStart(api, method, JSON.stringify(args));
+
+        // Host calls are short database round trips, so poll more often than fetch
+        while (!__hostCheck(hostId)) {
+          const start = Date.now();
+          while (Date.now() - start < 5) { /* busy wait 5ms */ }
+        }
+
+        const result = JSON.parse(__hostGet(hostId));
+        if (!result.ok) {
+          throw new Error(result.error);
+        }
+        return result.value;
+      };
+
+      global.state = Object.freeze({
+        get: async (key, options) => __hostCall('state', 'get', [key, options || {}]),
+        set: async (key, value, options) => __hostCall('state', 'set', [key, value === undefined ? null : value, options || {}]),
+        delete: async (key, options) => __hostCall('state', 'delete', [key, options || {}]),
+        list: async (options) => __hostCall('state', 'list', [options || {}]),
+        exists: async (key, options) => __hostCall('state', 'exists', [key, options || {}]),
+        increment: async (key, amount, options) => __hostCall('state', 'increment', [key, amount === undefined ? 1 : amount, options || {}])
+      });
+
+      global.jobs = Object.freeze({
+        schedule: async (step, delaySeconds, payload) => __hostCall('jobs', 'schedule', [step, delaySeconds, payload === undefined ? {} : payload]),
+        cancel: async (jobId) => __hostCall('jobs', 'cancel', [jobId])
+      });
+
+      global.components = Object.freeze({
+        customId: async (step, state, mode) => __hostCall('components', 'customId', [step, state === undefined ? '' : state, mode || 'd']),
+        showModal: async (modal) => __hostCall('components', 'showModal', [modal])
+      });
+
+      global.replies = Object.freeze({
+        followUp: async (payload) => __hostCall('replies', 'followUp', [payload]),
+        editReply: async (payload, messageId) => __hostCall('replies', 'editReply', [payload, messageId || null]),
+        deleteReply: async (messageId) => __hostCall('replies', 'deleteReply', [messageId || null])
+      });
+    `);
 
     // Inject fetch for HTTP requests using a simpler synchronous approach
-    const nodeFetch = (await import('node-fetch')).default;
-    
-    // Store completed fetch results
+    // Requests go through the execution's HTTP handle, which enforces the plugin's egress policy and fills in secrets
     const fetchResults = new Map();
     let fetchId = 0;
     
@@ -678,17 +848,14 @@ export class SandboxExecutor {
       // Start the fetch and store the result when done
       (async () => {
         try {
-          const response = await nodeFetch(url, options);
+          if (typeof context.http?.request !== 'function') {
+            throw new Error('HTTP requests are not available');
+          }
+          const response = await context.http.request(url, options);
           logger.info(`[Fetch ${id}] Response status: ${response.status}`);
-          const data = await response.json();
-          logger.info(`[Fetch ${id}] Data received:`, Object.keys(data));
               
           try {
-            fetchResults.set(id, JSON.stringify({
-              ok: response.ok,
-              status: response.status,
-              data: data,
-            }));
+            fetchResults.set(id, JSON.stringify(response));
           } catch (serializeError) {
             logger.error(`[Fetch ${id}] Failed to serialize response data:`, serializeError.message);
             fetchResults.set(id, JSON.stringify({
@@ -699,17 +866,10 @@ export class SandboxExecutor {
           }
         } catch (error) {
           logger.error(`[Fetch ${id}] Error:`, error.message);
-          try {
-            fetchResults.set(id, JSON.stringify({
-              ok: false,
-              error: error.message,
-            }));
-          } catch (serializeError) {
-            fetchResults.set(id, JSON.stringify({
-              ok: false,
-              error: 'Serialization error',
-            }));
-          }
+          fetchResults.set(id, JSON.stringify({
+            ok: false,
+            error: error.message,
+          }));
         }
       })();
       
@@ -770,7 +930,8 @@ export class SandboxExecutor {
           return {
             ok: result.ok,
             status: result.status,
-            json: async () => result.data
+            json: async () => result.data,
+            text: async () => (typeof result.data === 'string' ? result.data : JSON.stringify(result.data))
           };
         } catch (error) {
           console.error('HTTP Request failed in VM:', error.message || error);
@@ -876,6 +1037,81 @@ export class SandboxExecutor {
     }
   }
 
+  /**
+   * Find the subcommand and subcommand group an interaction invoked
+   * @param {Object} interaction - Chat input command interaction
+   * @returns {{group: string|null, subcommand: string|null}} Invoked subcommand
+   */
+  getSubcommandPath(interaction) {
+    const path = { group: null, subcommand: null };
+    let level = interaction?.options?.data || [];
+    const group = level.find(opt => opt.type === 2);
+    if (group) {
+      path.group = group.name;
+      level = group.options || [];
+    }
+    path.subcommand = level.find(opt => opt.type === 1)?.name || null;
+    return path;
+  }
+
+  /**
+   * Serialize slash command options with their resolved Discord objects
+   * Options passed to a subcommand are flattened to the top level
+   * @param {Object} interaction - Chat input command interaction
+   * @returns {Object} Options by name ({name, type, value, user, member, channel, role, attachment})
+   */
+  serializeSlashOptions(interaction) {
+    const options = {};
+    const leaves = [...(interaction?.options?.data || [])];
+    while (leaves.length > 0) {
+      const opt = leaves.shift();
+
+      // Subcommands and groups wrap the options that were actually passed
+      if (opt.type === 1 || opt.type === 2) {
+        leaves.push(...(opt.options || []));
+        continue;
+      }
+
+      const option = { name: opt.name, type: opt.type, value: opt.value ?? null };
+
+      if (opt.user) {
+        option.user = {
+          id: opt.user.id,
+          username: opt.user.username || null,
+          globalName: opt.user.globalName || null,
+          tag: opt.user.tag || null,
+          bot: opt.user.bot || false,
+        };
+      }
+      if (opt.member) {
+        option.member = {
+          id: opt.member.id || opt.user?.id || null,
+          displayName: opt.member.displayName || null,
+          nickname: opt.member.nickname || null,
+          roles: [...(opt.member.roles?.cache?.keys?.() || opt.member.roles || [])],
+        };
+      }
+      if (opt.channel) {
+        option.channel = { id: opt.channel.id, name: opt.channel.name || null, type: opt.channel.type ?? null };
+      }
+      if (opt.role) {
+        option.role = { id: opt.role.id, name: opt.role.name || null, color: opt.role.color ?? null };
+      }
+      if (opt.attachment) {
+        option.attachment = {
+          id: opt.attachment.id,
+          name: opt.attachment.name || null,
+          url: opt.attachment.url || null,
+          contentType: opt.attachment.contentType || null,
+          size: opt.attachment.size ?? null,
+        };
+      }
+
+      options[opt.name] = option;
+    }
+    return options;
+  }
+
   /**
    * Safely serialize Discord.js context objects to avoid circular references
    * @param {Object} context - Execution context with Discord.js objects
@@ -916,15 +1152,42 @@ export class SandboxExecutor {
         };
       }
 
+      // Gateway event payloads are already plain data, copy them to drop any references
+      if (context.event) {
+        safeContext.event = JSON.parse(JSON.stringify(context.event));
+      }
+
+      // Regex match details are plain strings and arrays
+      if (context.match) {
+        safeContext.match = {
+          text: context.match.text ?? null,
+          index: context.match.index ?? null,
+          groups: { ...context.match.groups },
+          captures: [...(context.match.captures || [])],
+        };
+      }
+
+      // Schedule details built by the scheduler are plain data
+      if (context.schedule) {
+        safeContext.schedule = { ...context.schedule };
+      }
+
+      // Resumed jobs carry the payload saved when they were scheduled
+      if (context.job) {
+        safeContext.job = JSON.parse(JSON.stringify(context.job));
+      }
+
+      // Component details built by the component router are plain data
+      if (context.component) {
+        safeContext.component = JSON.parse(JSON.stringify(context.component));
+      }
+
       // Safe primitive values
       safeContext.guildId = context.guildId || null;
       safeContext.pluginId = context.pluginId || null;
       safeContext.pluginName = context.pluginName || null;
 
-      // Serialize state safely
-      if (context.state) {
-        safeContext.state = this.serializeState(context.state);
-      }
+      // Plugin state, jobs, components, replies and HTTP are not copied, injectSafeAPI bridges calls to the host instead
 
       // Don't serialize functions or complex objects
       // The reply function will be handled separately in injectSafeAPI
@@ -936,7 +1199,6 @@ export class SandboxExecutor {
         guildId: context.guildId || null,
         pluginId: context.pluginId || null,
         pluginName: context.pluginName || null,
-        state: {},
       };
     }
   }
@@ -0,0 +1,206 @@
+/**
+ * Execution Logger - Batched command execution analytics
+ * Buffers plugin executions and writes them in batches, then rolls old rows up into daily totals
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger } from '@dismodular/shared';
+
+const logger = new Logger('ExecutionLogger');
+
+// Prisma request errors that are worth retrying: pool timeouts and write conflicts
+const TRANSIENT_ERROR_CODES = ['P2024', 'P2034'];
+
+/**
+ * Check if a write failed because of the data rather than the database
+ * Such writes fail again however often they are retried, e.g. on a foreign key or length violation.
+ * @param {Error} error - Error thrown by Prisma
+ * @returns {boolean} Whether retrying the same rows is pointless
+ */
+export function isPermanentWriteError(error) {
+  const code = typeof error?.code === 'string' ? error.code : '';
+  return /^P2\d{3}$/.test(code) && !TRANSIENT_ERROR_CODES.includes(code);
+}
+
+/**
+ * Start of the UTC day a number of days before a timestamp
+ * @param {number} now - Current timestamp in ms
+ * @param {number} days - Number of days to go back
+ * @returns {Date} Day boundary
+ */
+export function getRetentionCutoff(now, days) {
+  const cutoff = new Date(now - days * 24 * 60 * 60 * 1000);
+  cutoff.setUTCHours(0, 0, 0, 0);
+  return cutoff;
+}
+
+export class ExecutionLogger {
+  /**
+   * Initialize Execution Logger
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Logger options
+   * @param {number} options.batchSize - Buffered executions that trigger an immediate flush (default: 50)
+   * @param {number} options.flushInterval - Max time an execution stays buffered in ms (default: 5000)
+   * @param {number} options.maxBufferSize - Executions kept while the database is unreachable (default: 5000)
+   * @param {number} options.retentionDays - Days raw executions are kept before rollup (default: 30)
+   * @param {number} options.rollupInterval - Time between retention runs in ms (default: 6 hours)
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.batchSize = options.batchSize || 50;
+    this.flushInterval = options.flushInterval || 5000;
+    this.maxBufferSize = options.maxBufferSize || 5000;
+    this.retentionDays = options.retentionDays || 30;
+    this.rollupInterval = options.rollupInterval || 6 * 60 * 60 * 1000;
+
+    this.buffer = [];
+    this.flushTimer = null;
+    this.rollupTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Queue an execution for the next batch
+   * @param {Object} execution - Execution data
+   */
+  log(execution) {
+    this.buffer.push({ ...execution, created_at: execution.created_at || new Date() });
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Write buffered executions to the database
+   * @returns {Promise<number>} Number of executions written
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Only one write in flight, later calls pick up whatever is left afterwards
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.buffer.length === 0) {return 0;}
+
+    const batch = this.buffer.splice(0, this.buffer.length);
+    this.flushing = this.write(batch)
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    const written = await this.flushing;
+    if (this.buffer.length > 0 && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      this.flushTimer.unref?.();
+    }
+    return written;
+  }
+
+  /**
+   * Write a batch, keeping it for the next attempt if the database is unreachable
+   * @param {Array<Object>} batch - Executions to write
+   * @returns {Promise<number>} Number of executions written
+   */
+  async write(batch) {
+    try {
+      return await this.pluginModel.logCommandExecutions(batch);
+    } catch (error) {
+      if (isPermanentWriteError(error)) {
+        // One bad row fails the whole batch, so find it by writing the rows one at a time
+        return this.writeEach(batch);
+      }
+      logger.warn(`Failed to write ${batch.length} command executions:`, error.message);
+      this.requeue(batch);
+      return 0;
+    }
+  }
+
+  /**
+   * Write executions one at a time, dropping those the database rejects
+   * @param {Array<Object>} batch - Executions to write
+   * @returns {Promise<number>} Number of executions written
+   */
+  async writeEach(batch) {
+    let written = 0;
+    for (let i = 0; i < batch.length; i++) {
+      try {
+        written += await this.pluginModel.logCommandExecutions([batch[i]]);
+      } catch (error) {
+        if (!isPermanentWriteError(error)) {
+          logger.warn(`Failed to write ${batch.length - i} command executions:`, error.message);
+          this.requeue(batch.slice(i));
+          break;
+        }
+        logger.warn(`Dropping command execution of plugin ${batch[i].plugin_id}:`, error.message);
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Put executions back for the next attempt, dropping the oldest if the database stays down
+   * @param {Array<Object>} executions - Executions that were not written
+   */
+  requeue(executions) {
+    this.buffer.unshift(...executions);
+    if (this.buffer.length > this.maxBufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.maxBufferSize);
+    }
+  }
+
+  /**
+   * Roll raw executions older than the retention window into daily totals
+   * @param {number} now - Current timestamp in ms
+   * @returns {Promise<number>} Number of raw executions removed
+   */
+  async runRetention(now = Date.now()) {
+    try {
+      const cutoff = getRetentionCutoff(now, this.retentionDays);
+      const removed = await this.pluginModel.rollupCommandExecutions(cutoff);
+      if (removed > 0) {
+        logger.info(`Rolled up ${removed} command executions older than ${cutoff.toISOString()}`);
+      }
+      return removed;
+    } catch (error) {
+      logger.warn('Failed to roll up command executions:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the periodic retention job
+   */
+  start() {
+    if (this.rollupTimer) {return;}
+    this.runRetention();
+    this.rollupTimer = setInterval(() => this.runRetention(), this.rollupInterval);
+    this.rollupTimer.unref?.();
+  }
+
+  /**
+   * Stop timers and write anything still buffered
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.rollupTimer) {
+      clearInterval(this.rollupTimer);
+      this.rollupTimer = null;
+    }
+    await this.flush();
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+}
+
+export default ExecutionLogger;
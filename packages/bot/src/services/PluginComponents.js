@@ -0,0 +1,32 @@
+/**
+ * Plugin Components - Message component helpers for plugins
+ * Builds custom IDs routed back to the plugin and shows modals on component interactions
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { encodeComponentId, ComponentResponseModes } from '@dismodular/shared';
+
+/**
+ * Create the components API for a single plugin execution
+ * @param {string} pluginId - Plugin ID
+ * @param {Object|null} interaction - Interaction being handled, if any
+ * @returns {Object} Components API with customId and showModal
+ */
+export function createComponentHandle(pluginId, interaction = null) {
+  return {
+    customId: async (step, state = '', mode = ComponentResponseModes.DEFER) => {
+      return encodeComponentId({ pluginId, step, state, mode });
+    },
+    showModal: async (modal) => {
+      // Discord only accepts a modal as the first response to an interaction
+      if (typeof interaction?.showModal !== 'function' || interaction.deferred || interaction.replied) {
+        throw new Error('A modal can only be shown in response to a button or select menu that opens it');
+      }
+      await interaction.showModal(modal);
+      return true;
+    },
+  };
+}
+
+export default createComponentHandle;
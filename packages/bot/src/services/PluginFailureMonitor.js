@@ -0,0 +1,81 @@
+/**
+ * Plugin Failure Monitor - Reports plugins that keep failing
+ * Counts failed runs in a row per plugin and raises a plugin.failing webhook event once a streak reaches the threshold
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger, WebhookEvents } from '@dismodular/shared';
+
+const logger = new Logger('PluginFailureMonitor');
+
+export class PluginFailureMonitor {
+  /**
+   * Initialize Plugin Failure Monitor
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Monitor options
+   * @param {number} options.threshold - Failed runs in a row before the plugin is reported (default: 5)
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.threshold = options.threshold || 5;
+    this.streaks = new Map();
+  }
+
+  /**
+   * Count a finished run
+   * A streak is reported once, when it reaches the threshold; a successful run ends it.
+   * @param {Object} plugin - Plugin that ran
+   * @param {boolean} success - Whether the run succeeded
+   * @param {Object} details - { guildId, error } of the run
+   * @returns {boolean} True if this run made the plugin count as failing
+   */
+  record(plugin, success, details = {}) {
+    if (success) {
+      this.streaks.delete(plugin.id);
+      return false;
+    }
+
+    const streak = (this.streaks.get(plugin.id) || 0) + 1;
+    this.streaks.set(plugin.id, streak);
+    if (streak !== this.threshold) {
+      return false;
+    }
+
+    logger.warn(`Plugin ${plugin.name} (${plugin.id}) failed ${streak} runs in a row`);
+    this.report(plugin, streak, details);
+    return true;
+  }
+
+  /**
+   * Queue the plugin.failing event without holding up the run
+   * @param {Object} plugin - Failing plugin
+   * @param {number} streak - Failed runs in a row
+   * @param {Object} details - { guildId, error } of the last run
+   */
+  report(plugin, streak, details) {
+    Promise.resolve()
+      .then(() => this.pluginModel.enqueueWebhookEvent(WebhookEvents.PLUGIN_FAILING, {
+        plugin: {
+          id: plugin.id,
+          name: plugin.name,
+          version: plugin.version,
+          guild_id: plugin.guild_id || null,
+        },
+        consecutive_failures: streak,
+        last_error: details.error || null,
+        guild_id: details.guildId || null,
+      }))
+      .catch(error => logger.warn(`Failed to report failing plugin ${plugin.id}:`, error.message));
+  }
+
+  /**
+   * Forget the streak of a plugin, e.g. once it is unloaded
+   * @param {string} pluginId - Plugin ID
+   */
+  reset(pluginId) {
+    this.streaks.delete(pluginId);
+  }
+}
+
+export default PluginFailureMonitor;
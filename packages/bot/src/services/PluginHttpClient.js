@@ -0,0 +1,282 @@
+/**
+ * Plugin HTTP Client - Outbound HTTP requests for plugins
+ * Enforces the plugin's and guild's domain allowlists, blocks private network addresses,
+ * caps response time and size, and fills in {secret.NAME} references from the encrypted secrets store
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import {
+  Logger,
+  DEFAULT_HTTP_TIMEOUT_MS,
+  DEFAULT_MAX_RESPONSE_BYTES,
+  MAX_HTTP_REDIRECTS,
+  isDomainAllowed,
+  findSecretReferences,
+  applySecrets,
+  getSecretsKey,
+  decryptSecret,
+  isPrivateHost,
+  createGuardedLookup,
+} from '@dismodular/shared';
+
+const logger = new Logger('PluginHttpClient');
+
+// Redirects after which the request is repeated as a GET without a body
+const SEE_OTHER_STATUSES = [301, 302, 303];
+
+/**
+ * Get the headers of a request, ignoring anything that is not a plain object
+ * @param {Object} options - Request options
+ * @returns {Object} Headers by name
+ */
+function getHeaders(options) {
+  return options.headers && typeof options.headers === 'object' && !Array.isArray(options.headers) ? options.headers : {};
+}
+
+export class PluginHttpClient {
+  /**
+   * Initialize Plugin HTTP Client
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Client options
+   * @param {number} options.timeout - Time a request may take, redirects included, in ms (default: 10 seconds)
+   * @param {number} options.maxResponseBytes - Largest response body in bytes (default: 1 MB)
+   * @param {boolean} options.allowPrivateNetworks - Let plugins reach private addresses, for local development only
+   * @param {Buffer|null} options.secretsKey - Secrets encryption key (default: derived from PLUGIN_SECRETS_KEY)
+   * @param {Function} options.fetch - Fetch implementation (default: node-fetch)
+   * @param {Function} options.lookup - DNS lookup (default: dns.lookup)
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.timeout = options.timeout || DEFAULT_HTTP_TIMEOUT_MS;
+    this.maxResponseBytes = options.maxResponseBytes || DEFAULT_MAX_RESPONSE_BYTES;
+    this.allowPrivateNetworks = options.allowPrivateNetworks === true;
+    this.secretsKey = options.secretsKey !== undefined ? options.secretsKey : getSecretsKey();
+    this.fetch = options.fetch || null;
+
+    // Addresses are checked when the connection is made, so a host cannot resolve to a public address for a
+    // check and a private one for the request
+    const lookup = createGuardedLookup({ lookup: options.lookup || dns.lookup, allowPrivateNetworks: this.allowPrivateNetworks });
+    this.guardedLookup = lookup;
+    this.agents = {
+      'http:': new http.Agent({ lookup }),
+      'https:': new https.Agent({ lookup }),
+    };
+  }
+
+  /**
+   * Create the HTTP handle a plugin execution uses
+   * The egress policy and secrets are loaded on the first request, so runs without requests cost nothing.
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} scope - Where the plugin runs ({guildId})
+   * @param {Object} guildPolicy - Guild's own allowlist, from `GuildPlugin.settings.egress`
+   * @returns {Object} Handle with request(url, options)
+   */
+  createHandle(pluginId, scope = {}, guildPolicy = {}) {
+    let settings = null;
+    const load = async () => {
+      if (!settings) {
+        settings = { policy: await this.pluginModel.getEgressPolicy(pluginId), secrets: null };
+      }
+      return settings;
+    };
+
+    return {
+      request: async (url, options = {}) => {
+        const { policy } = await load();
+        const references = [url, options.body, ...Object.values(getHeaders(options))].flatMap(findSecretReferences);
+        if (references.length > 0 && !settings.secrets) {
+          settings.secrets = await this.loadSecrets(pluginId, scope.guildId);
+        }
+
+        return await this.request(url, options, {
+          allowedDomains: [policy?.allowedDomains || [], guildPolicy?.allowedDomains || []],
+          secrets: settings.secrets || {},
+        });
+      },
+    };
+  }
+
+  /**
+   * Load and decrypt a plugin's secrets, a guild's own secret taking precedence over a shared one
+   * @param {string} pluginId - Plugin ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object<string, string>>} Secret values by name
+   */
+  async loadSecrets(pluginId, guildId) {
+    const rows = await this.pluginModel.getSecrets(pluginId, guildId);
+    if (rows.length > 0 && !this.secretsKey) {
+      throw new Error('Plugin secrets are not configured on this bot');
+    }
+
+    const secrets = {};
+    for (const row of [...rows].sort((a, b) => a.guild_id.length - b.guild_id.length)) {
+      try {
+        secrets[row.name] = decryptSecret(row.value, this.secretsKey);
+      } catch (error) {
+        logger.warn(`Failed to decrypt secret ${row.name} of plugin ${pluginId}:`, error.message);
+      }
+    }
+    return secrets;
+  }
+
+  /**
+   * Send a request on behalf of a plugin
+   * @param {string} url - URL, may reference secrets
+   * @param {Object} options - Request options ({method, headers, body}), may reference secrets
+   * @param {Object} policy - { allowedDomains: allowlists that must all allow the host, secrets }
+   * @returns {Promise<Object>} { ok, status, data } - data is parsed JSON, or text if the body is not JSON
+   */
+  async request(url, options, { allowedDomains = [], secrets = {} }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      let target = this.parseUrl(applySecrets(String(url), secrets));
+      let method = String(options.method || 'GET').toUpperCase();
+      let headers = Object.fromEntries(Object.entries(getHeaders(options))
+        .map(([name, value]) => [name, applySecrets(String(value), secrets)]));
+      let body = options.body !== undefined && options.body !== null ? applySecrets(String(options.body), secrets) : undefined;
+      const bodySecrets = body !== undefined && findSecretReferences(String(options.body)).length > 0;
+
+      for (let redirects = 0; ; redirects++) {
+        this.checkTarget(target, allowedDomains);
+
+        const response = await this.send(target, { method, headers, body, signal: controller.signal });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+          return { ok: response.ok, status: response.status, data: await this.readBody(response, controller) };
+        }
+
+        if (redirects >= MAX_HTTP_REDIRECTS) {
+          throw new Error(`Too many redirects (more than ${MAX_HTTP_REDIRECTS})`);
+        }
+
+        const next = this.parseUrl(new URL(location, target).href);
+        if (response.status === 303 || (SEE_OTHER_STATUSES.includes(response.status) && method === 'POST')) {
+          method = 'GET';
+          body = undefined;
+        }
+        // Headers and the body may carry secrets, so they are only sent on to the same host
+        if (next.host !== target.host) {
+          headers = {};
+          if (bodySecrets && body !== undefined && method !== 'GET' && method !== 'HEAD') {
+            throw new Error(`Redirect to ${next.host} refused, the request body contains secrets`);
+          }
+        }
+        target = next;
+      }
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `Request timed out after ${this.timeout}ms` : error.message;
+      throw new Error(this.redact(message, secrets));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Send one request, without following redirects
+   * @param {URL} target - URL to request
+   * @param {Object} options - { method, headers, body, signal }
+   * @returns {Promise<Object>} Fetch response
+   */
+  async send(target, { method, headers, body, signal }) {
+    const fetch = this.fetch || (await import('node-fetch')).default;
+    return await fetch(target.href, {
+      method,
+      headers,
+      body: method === 'GET' || method === 'HEAD' ? undefined : body,
+      redirect: 'manual',
+      signal,
+      agent: (parsed) => this.agents[parsed.protocol],
+    });
+  }
+
+  /**
+   * Parse a URL a plugin requested
+   * @param {string} url - URL
+   * @returns {URL} Parsed URL
+   * @throws {Error} If the URL is not a valid http or https URL
+   */
+  parseUrl(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      throw new Error('Invalid URL');
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      throw new Error('Only http and https URLs can be requested');
+    }
+    return target;
+  }
+
+  /**
+   * Check that a URL may be requested
+   * Hostnames are checked against the allowlists here, and their addresses when the connection is made.
+   * @param {URL} target - URL to request
+   * @param {Array<Array<string>>} allowedDomains - Allowlists that must all allow the host
+   * @throws {Error} If the host is not allowed
+   */
+  checkTarget(target, allowedDomains) {
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowedDomains.every(domains => isDomainAllowed(hostname, domains))) {
+      throw new Error(`Requests to ${hostname} are not allowed for this plugin`);
+    }
+    if (!this.allowPrivateNetworks && isPrivateHost(target)) {
+      throw new Error(`Requests to private address ${hostname} are not allowed`);
+    }
+  }
+
+  /**
+   * Read a response body, stopping at the size cap
+   * @param {Object} response - Fetch response
+   * @param {AbortController} controller - Aborts the request when the cap is hit
+   * @returns {Promise<any>} Parsed JSON, or the text if the body is not JSON
+   */
+  async readBody(response, controller) {
+    if (!response.body) {
+      return null;
+    }
+
+    const length = Number(response.headers.get('content-length'));
+    if (length > this.maxResponseBytes) {
+      controller.abort();
+      throw new Error(`Response is larger than ${this.maxResponseBytes} bytes`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > this.maxResponseBytes) {
+        controller.abort();
+        throw new Error(`Response is larger than ${this.maxResponseBytes} bytes`);
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Remove secret values from a message before it reaches the plugin or the logs
+   * @param {string} message - Error message
+   * @param {Object<string, string>} secrets - Secret values by name
+   * @returns {string} Message with secret values replaced by their reference
+   */
+  redact(message, secrets) {
+    return Object.entries(secrets).reduce((text, [name, value]) =>
+      (value ? text.split(value).join(`{secret.${name}}`) : text), String(message));
+  }
+}
+
+export default PluginHttpClient;
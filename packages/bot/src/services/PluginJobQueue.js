@@ -0,0 +1,91 @@
+/**
+ * Plugin Job Queue - Delayed follow-up jobs for plugins
+ * Validates and persists jobs that resume a plugin later, enforcing per-plugin limits
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Default job limits
+ */
+export const DEFAULT_JOB_LIMITS = {
+  minDelaySeconds: 1,
+  maxDelaySeconds: 30 * 24 * 60 * 60, // 30 days
+  maxPayloadBytes: 16 * 1024, // Serialized size of a job payload
+  maxPendingJobs: 100, // Pending jobs per plugin in each guild
+  maxJobsPerExecution: 10,
+};
+
+export class PluginJobQueue {
+  /**
+   * Initialize Plugin Job Queue
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Any of DEFAULT_JOB_LIMITS
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.limits = { ...DEFAULT_JOB_LIMITS };
+    for (const name of Object.keys(DEFAULT_JOB_LIMITS)) {
+      if (options[name] > 0) {
+        this.limits[name] = options[name];
+      }
+    }
+  }
+
+  /**
+   * Create the jobs API for a single plugin execution
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} context - Execution identity ({guildId, channelId, userId})
+   * @returns {Object} Jobs API with schedule and cancel
+   */
+  createHandle(pluginId, context = {}) {
+    let scheduled = 0;
+
+    return {
+      schedule: async (step, delaySeconds, payload = {}) => {
+        if (typeof step !== 'string' || step.length === 0 || step.length > 128) {
+          throw new Error('Job step must be a non-empty string of at most 128 characters');
+        }
+
+        const delay = Number(delaySeconds);
+        if (!Number.isFinite(delay) || delay < this.limits.minDelaySeconds || delay > this.limits.maxDelaySeconds) {
+          throw new Error(
+            `Job delay must be between ${this.limits.minDelaySeconds} and ${this.limits.maxDelaySeconds} seconds, got ${delaySeconds}`,
+          );
+        }
+
+        const size = Buffer.byteLength(JSON.stringify(payload ?? {}));
+        if (size > this.limits.maxPayloadBytes) {
+          throw new Error(`Job payload is ${size} bytes, the limit is ${this.limits.maxPayloadBytes}`);
+        }
+
+        scheduled++;
+        if (scheduled > this.limits.maxJobsPerExecution) {
+          throw new Error(`Job limit of ${this.limits.maxJobsPerExecution} per execution reached`);
+        }
+
+        const pending = await this.pluginModel.countPendingJobs(pluginId, context.guildId);
+        if (pending >= this.limits.maxPendingJobs) {
+          throw new Error(`Pending job quota of ${this.limits.maxPendingJobs} reached`);
+        }
+
+        const job = await this.pluginModel.createJob({
+          plugin_id: pluginId,
+          guild_id: context.guildId,
+          channel_id: context.channelId,
+          user_id: context.userId,
+          step,
+          payload: payload ?? {},
+          run_at: new Date(Date.now() + delay * 1000),
+        });
+        return job.id;
+      },
+      cancel: async (jobId) => {
+        if (typeof jobId !== 'string' || jobId.length === 0) {return false;}
+        return this.pluginModel.cancelJob(pluginId, context.guildId, jobId);
+      },
+    };
+  }
+}
+
+export default PluginJobQueue;
@@ -0,0 +1,60 @@
+/**
+ * Plugin Replies - Interaction reply helpers for plugins
+ * Sends follow-ups and edits or deletes replies while the plugin runs, returning the message each one touched
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Normalize a reply payload the way discord.js accepts it
+ * @param {string|Object} payload - Message content or options
+ * @returns {Object} Message options
+ */
+function toReplyOptions(payload) {
+  return typeof payload === 'string' ? { content: payload } : { ...payload };
+}
+
+/**
+ * Reduce a sent message to what the sandbox can keep in a variable
+ * @param {Object|null} message - Message returned by discord.js
+ * @returns {Object} Message ID and channel ID
+ */
+function toMessageRef(message) {
+  return { id: message?.id ?? null, channelId: message?.channelId ?? message?.channel?.id ?? null };
+}
+
+/**
+ * Create the replies API for a single plugin execution
+ * @param {Object|null} interaction - Interaction being handled, if any
+ * @returns {Object} Replies API with followUp, editReply and deleteReply
+ */
+export function createReplyHandle(interaction = null) {
+  const getInteraction = () => {
+    // Follow-ups are tied to the interaction token, events and message triggers have none
+    if (typeof interaction?.followUp !== 'function') {
+      throw new Error('Follow-ups and reply edits are only available in slash command and component plugins');
+    }
+    return interaction;
+  };
+
+  return {
+    followUp: async (payload) => {
+      return toMessageRef(await getInteraction().followUp(toReplyOptions(payload)));
+    },
+    editReply: async (payload, messageId = null) => {
+      const options = toReplyOptions(payload);
+      // Visibility is fixed when a reply is sent, edits cannot change it
+      delete options.ephemeral;
+      if (messageId) {
+        options.message = messageId;
+      }
+      return toMessageRef(await getInteraction().editReply(options));
+    },
+    deleteReply: async (messageId = null) => {
+      await getInteraction().deleteReply(messageId || undefined);
+      return true;
+    },
+  };
+}
+
+export default createReplyHandle;
@@ -0,0 +1,116 @@
+/**
+ * Plugin Run Log - Recent executions with their console output
+ * Keeps a bounded history of runs per plugin and guild so plugin authors can see logs without server access
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger } from '@dismodular/shared';
+
+const logger = new Logger('PluginRunLog');
+
+/**
+ * Turn console arguments into one log line
+ * @param {Array} args - Arguments passed to console.log/warn/error
+ * @returns {string} Log message
+ */
+export function formatLogArgs(args) {
+  return args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+}
+
+export class PluginRunLog {
+  /**
+   * Initialize Plugin Run Log
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Run log options
+   * @param {number} options.maxRuns - Runs kept per plugin and guild (default: 50)
+   * @param {number} options.maxLogLines - Log lines kept per run (default: 100)
+   * @param {number} options.maxLineLength - Characters kept per log line (default: 1000)
+   * @param {number} options.flushInterval - Max time a run stays buffered in ms (default: 2000)
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.maxRuns = options.maxRuns || 50;
+    this.maxLogLines = options.maxLogLines || 100;
+    this.maxLineLength = options.maxLineLength || 1000;
+    this.flushInterval = options.flushInterval || 2000;
+
+    this.buffer = [];
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Start capturing the console output of one run
+   * @returns {Object} Capture with the collected logs and an onLog callback for the sandbox
+   */
+  createCapture() {
+    const startTime = Date.now();
+    const logs = [];
+    let dropped = 0;
+
+    return {
+      logs,
+      onLog: (level, args) => {
+        if (logs.length >= this.maxLogLines) {
+          dropped++;
+          logs[this.maxLogLines - 1] = { level: 'warn', message: `${dropped + 1} more log lines not kept`, time: Date.now() - startTime };
+          return;
+        }
+        logs.push({ level, message: formatLogArgs(args).slice(0, this.maxLineLength), time: Date.now() - startTime });
+      },
+    };
+  }
+
+  /**
+   * Queue a finished run for the next write
+   * @param {Object} run - Run data ({plugin_id, guild_id, discord_user_id, username, trigger_type, success, duration_ms, error_message, logs})
+   */
+  record(run) {
+    this.buffer.push({ ...run, created_at: run.created_at || new Date() });
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Write buffered runs and drop the oldest beyond the limit
+   * Runs are best effort: a failed write is logged and not retried.
+   * @returns {Promise<number>} Number of runs written
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.buffer.length === 0) {return 0;}
+
+    const batch = this.buffer.splice(0, this.buffer.length);
+    this.flushing = this.pluginModel.recordPluginRuns(batch, this.maxRuns)
+      .catch((error) => {
+        logger.warn(`Failed to write ${batch.length} plugin runs:`, error.message);
+        return 0;
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    return this.flushing;
+  }
+
+  /**
+   * Write anything still buffered
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.flush();
+  }
+}
+
+export default PluginRunLog;
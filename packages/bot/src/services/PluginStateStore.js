@@ -0,0 +1,225 @@
+/**
+ * Plugin State Store - Key-value storage for plugins
+ * Resolves state scopes to namespaces, enforces per-plugin quotas and purges expired values
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger, StateScopes } from '@dismodular/shared';
+
+const logger = new Logger('PluginStateStore');
+
+/**
+ * Default storage limits
+ */
+export const DEFAULT_STATE_LIMITS = {
+  maxKeys: 1000, // Keys per plugin in each guild, user-scoped keys included
+  maxValueBytes: 16 * 1024, // Serialized size of a single value
+  maxKeyLength: 128,
+  maxOperations: 100, // State calls per plugin execution
+  maxListSize: 100, // Entries returned by a single list call
+};
+
+/**
+ * Resolve a state scope to the namespace it is stored under
+ * @param {string} scope - State scope (global, guild or user)
+ * @param {Object} context - Execution identity
+ * @param {string} context.guildId - Discord guild ID
+ * @param {string} context.userId - Discord user ID
+ * @returns {Object} State namespace ({guildId, userId})
+ */
+export function resolveStateNamespace(scope, context = {}) {
+  switch (scope || StateScopes.GUILD) {
+  case StateScopes.GLOBAL:
+    return {};
+  case StateScopes.GUILD:
+    return { guildId: context.guildId || '' };
+  case StateScopes.USER:
+    if (!context.userId) {
+      throw new Error('User-scoped state needs a triggering user');
+    }
+    return { guildId: context.guildId || '', userId: context.userId };
+  default:
+    throw new Error(`Unknown state scope: ${scope}`);
+  }
+}
+
+export class PluginStateStore {
+  /**
+   * Initialize Plugin State Store
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Store options, any of DEFAULT_STATE_LIMITS plus:
+   * @param {number} options.purgeInterval - Time between expired value sweeps in ms (default: 10 minutes)
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.limits = { ...DEFAULT_STATE_LIMITS };
+    for (const name of Object.keys(DEFAULT_STATE_LIMITS)) {
+      if (options[name] > 0) {
+        this.limits[name] = options[name];
+      }
+    }
+    this.purgeInterval = options.purgeInterval || 10 * 60 * 1000;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Create the state API for a single plugin execution
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} context - Execution identity ({guildId, userId})
+   * @returns {Object} State API with get, set, delete, list, exists and increment
+   */
+  createHandle(pluginId, context = {}) {
+    let operations = 0;
+    const begin = (key, options = {}) => {
+      operations++;
+      if (operations > this.limits.maxOperations) {
+        throw new Error(`State operation limit of ${this.limits.maxOperations} per execution reached`);
+      }
+      if (key !== undefined) {
+        this.validateKey(key);
+      }
+      return resolveStateNamespace(options?.scope, context);
+    };
+
+    return {
+      get: async (key, options) => {
+        const namespace = begin(key, options);
+        return this.pluginModel.getState(pluginId, key, namespace);
+      },
+      set: async (key, value, options) => {
+        const namespace = begin(key, options);
+        const size = Buffer.byteLength(JSON.stringify(value ?? null));
+        if (size > this.limits.maxValueBytes) {
+          throw new Error(`State value "${key}" is ${size} bytes, the limit is ${this.limits.maxValueBytes}`);
+        }
+        await this.checkKeyQuota(pluginId, key, namespace);
+
+        const saved = await this.pluginModel.setState(pluginId, key, value, namespace, {
+          expiresAt: this.getExpiry(options),
+        });
+        if (!saved) {
+          throw new Error(`Failed to save state "${key}"`);
+        }
+        return true;
+      },
+      delete: async (key, options) => {
+        const namespace = begin(key, options);
+        return this.pluginModel.deleteState(pluginId, key, namespace);
+      },
+      list: async (options = {}) => {
+        const namespace = begin(undefined, options);
+        const limit = Math.min(Number(options?.limit) || this.limits.maxListSize, this.limits.maxListSize);
+        return this.pluginModel.listState(pluginId, namespace, { prefix: options?.prefix || '', limit });
+      },
+      exists: async (key, options) => {
+        const namespace = begin(key, options);
+        return (await this.pluginModel.getState(pluginId, key, namespace)) !== null;
+      },
+      increment: async (key, amount = 1, options) => {
+        const namespace = begin(key, options);
+        const delta = Number(amount);
+        if (!Number.isFinite(delta)) {
+          throw new Error(`Cannot increment "${key}" by ${amount}`);
+        }
+        await this.checkKeyQuota(pluginId, key, namespace);
+
+        try {
+          return await this.pluginModel.incrementState(pluginId, key, delta, namespace, {
+            expiresAt: this.getExpiry(options),
+          });
+        } catch (error) {
+          if (/numeric/i.test(error.message)) {
+            throw new Error(`State value "${key}" is not a number`);
+          }
+          throw error;
+        }
+      },
+    };
+  }
+
+  /**
+   * Validate a state key
+   * @param {string} key - State key
+   */
+  validateKey(key) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error('State key must be a non-empty string');
+    }
+    if (key.length > this.limits.maxKeyLength) {
+      throw new Error(`State key is longer than ${this.limits.maxKeyLength} characters`);
+    }
+  }
+
+  /**
+   * Convert a ttl option in seconds to an expiry date
+   * @param {Object} options - Operation options
+   * @param {number} options.ttl - Time to live in seconds
+   * @returns {Date|null} Expiry date, or null to never expire
+   */
+  getExpiry(options) {
+    if (options?.ttl === undefined || options?.ttl === null || options?.ttl === '') {return null;}
+
+    const ttl = Number(options.ttl);
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      throw new Error(`Invalid state ttl: ${options.ttl}`);
+    }
+    return new Date(Date.now() + ttl * 1000);
+  }
+
+  /**
+   * Reject writes that would add a key beyond the plugin's quota for the guild
+   * @param {string} pluginId - Plugin ID
+   * @param {string} key - State key
+   * @param {Object} namespace - State namespace ({guildId, userId})
+   */
+  async checkKeyQuota(pluginId, key, namespace) {
+    // Overwriting an existing key never grows the plugin's footprint
+    if ((await this.pluginModel.getState(pluginId, key, namespace)) !== null) {return;}
+
+    const count = await this.pluginModel.countState(pluginId, namespace.guildId);
+    if (count >= this.limits.maxKeys) {
+      throw new Error(`State quota of ${this.limits.maxKeys} keys reached`);
+    }
+  }
+
+  /**
+   * Delete expired values
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of values removed
+   */
+  async purgeExpired(now = new Date()) {
+    try {
+      const removed = await this.pluginModel.purgeExpiredState(now);
+      if (removed > 0) {
+        logger.info(`Purged ${removed} expired plugin state values`);
+      }
+      return removed;
+    } catch (error) {
+      logger.warn('Failed to purge expired plugin state:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the periodic expiry sweep
+   */
+  start() {
+    if (this.purgeTimer) {return;}
+    this.purgeExpired();
+    this.purgeTimer = setInterval(() => this.purgeExpired(), this.purgeInterval);
+    this.purgeTimer.unref?.();
+  }
+
+  /**
+   * Stop the periodic expiry sweep
+   */
+  stop() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+export default PluginStateStore;
@@ -0,0 +1,132 @@
+/**
+ * Plugin Usage Limiter - Cooldowns and daily quotas for plugin runs
+ * Counts runs in usage buckets stored in the database, so every bot instance enforces the same limits
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Logger, resolveUsageLimits, getUsageBuckets, formatUsageLimitMessage } from '@dismodular/shared';
+
+const logger = new Logger('PluginUsageLimiter');
+
+export class PluginUsageLimiter {
+  /**
+   * Initialize Plugin Usage Limiter
+   * @param {Object} pluginModel - Plugin model instance
+   * @param {Object} options - Limiter options
+   * @param {number} options.purgeInterval - Time between expired bucket sweeps in ms (default: 10 minutes)
+   * @param {number} options.limitsTtl - Time a plugin's limits are cached in ms (default: 1 minute)
+   */
+  constructor(pluginModel, options = {}) {
+    this.pluginModel = pluginModel;
+    this.purgeInterval = options.purgeInterval || 10 * 60 * 1000;
+    this.limitsTtl = options.limitsTtl ?? 60 * 1000;
+    this.limitsCache = new Map(); // pluginId -> { limits, expiresAt }
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Get a plugin's limit settings
+   * Cached for a short while, so runs do not wait on a query and changes still apply without reloading the plugin.
+   * @param {string} pluginId - Plugin ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Limit settings, empty if the plugin has none
+   */
+  async getLimits(pluginId, now = new Date()) {
+    const cached = this.limitsCache.get(pluginId);
+    if (cached && cached.expiresAt > now.getTime()) {
+      return cached.limits;
+    }
+
+    const limits = await this.pluginModel.getUsageLimits(pluginId);
+    this.limitsCache.set(pluginId, { limits, expiresAt: now.getTime() + this.limitsTtl });
+    return limits;
+  }
+
+  /**
+   * Drop a plugin's cached limits, e.g. when it is unregistered
+   * @param {string} pluginId - Plugin ID
+   */
+  forget(pluginId) {
+    this.limitsCache.delete(pluginId);
+  }
+
+  /**
+   * Count a run against the plugin's limits
+   * Runs are let through if the limits cannot be checked, so a database hiccup never locks users out.
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} identity - Who ran the plugin where ({guildId, channelId, userId})
+   * @param {Object} overrides - Guild overrides, from `GuildPlugin.settings.limits`
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} Null if the run may go ahead, else { bucket, retryAfter, message }
+   */
+  async consume(pluginId, identity, overrides = {}, now = new Date()) {
+    try {
+      const limits = resolveUsageLimits(await this.getLimits(pluginId, now), overrides);
+      const guildId = identity.guildId || '';
+      const counted = [];
+
+      for (const bucket of getUsageBuckets(limits, identity, now)) {
+        const usage = await this.pluginModel.consumeUsage(pluginId, guildId, bucket.key, bucket.expiresAt);
+        counted.push(bucket);
+
+        if (usage.count > bucket.max) {
+          // The run never happens, so none of the uses it was counted for stick
+          await Promise.all(counted.map(entry => this.pluginModel.releaseUsage(pluginId, guildId, entry.key)));
+
+          const retryAfter = Math.max(0, (usage.expiresAt.getTime() - now.getTime()) / 1000);
+          return {
+            bucket: bucket.key,
+            retryAfter: Math.ceil(retryAfter),
+            message: formatUsageLimitMessage(limits.message, retryAfter),
+          };
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.warn(`Failed to check usage limits of plugin ${pluginId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete expired usage buckets
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of buckets removed
+   */
+  async purgeExpired(now = new Date()) {
+    try {
+      const removed = await this.pluginModel.purgeExpiredUsage(now);
+      if (removed > 0) {
+        logger.debug(`Purged ${removed} expired usage buckets`);
+      }
+      return removed;
+    } catch (error) {
+      logger.warn('Failed to purge expired usage buckets:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Start the periodic expiry sweep
+   */
+  start() {
+    if (this.purgeTimer) {return;}
+    this.purgeExpired();
+    this.purgeTimer = setInterval(() => this.purgeExpired(), this.purgeInterval);
+    this.purgeTimer.unref?.();
+  }
+
+  /**
+   * Stop the periodic expiry sweep
+   */
+  stop() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+export default PluginUsageLimiter;
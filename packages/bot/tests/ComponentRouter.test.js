@@ -0,0 +1,170 @@
+/**
+ * ComponentRouter Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ComponentRouter, getComponentDetails } from '../src/core/ComponentRouter.js';
+import { createComponentHandle } from '../src/services/PluginComponents.js';
+
+function createInteraction(customId, overrides = {}) {
+  const calls = [];
+  const interaction = {
+    calls,
+    customId,
+    deferred: false,
+    replied: false,
+    user: { id: 'user-1', tag: 'user#0001' },
+    guild: { id: 'guild-1' },
+    message: { id: 'message-1' },
+    isModalSubmit: () => false,
+    isAnySelectMenu: () => false,
+    isFromMessage: () => true,
+    async deferUpdate() {
+      calls.push(['deferUpdate']);
+      this.deferred = true;
+    },
+    async deferReply(options) {
+      calls.push(['deferReply', options]);
+      this.deferred = true;
+    },
+    async reply(content) {
+      calls.push(['reply', content]);
+      this.replied = true;
+    },
+    async followUp(content) {
+      calls.push(['followUp', content]);
+    },
+    async showModal(modal) {
+      calls.push(['showModal', modal.title]);
+      this.replied = true;
+    },
+    ...overrides,
+  };
+  return interaction;
+}
+
+function createPluginManager(executions, run = async () => true) {
+  return {
+    plugins: new Map([
+      ['poll', { id: 'poll', name: 'Poll', enabled: true }],
+      ['old', { id: 'old', name: 'Old', enabled: false }],
+    ]),
+    async execute(pluginId, context) {
+      executions.push({ pluginId, context });
+      return run(context);
+    },
+  };
+}
+
+describe('ComponentRouter', () => {
+  let executions;
+
+  beforeEach(() => {
+    executions = [];
+  });
+
+  it('should ignore custom IDs that were not created for plugins', async () => {
+    const router = new ComponentRouter({}, createPluginManager(executions));
+    const interaction = createInteraction('legacy-button');
+
+    assert.strictEqual(await router.dispatch(interaction), false);
+    assert.deepStrictEqual(interaction.calls, []);
+  });
+
+  it('should acknowledge buttons and resume the plugin at the encoded step', async () => {
+    const router = new ComponentRouter({}, createPluginManager(executions, async (context) => {
+      await context.reply('Vote counted');
+    }));
+    const interaction = createInteraction('dm:d:poll:node_4:yes');
+
+    assert.strictEqual(await router.dispatch(interaction), true);
+    assert.deepStrictEqual(interaction.calls, [['deferUpdate'], ['followUp', 'Vote counted']]);
+    assert.strictEqual(executions[0].pluginId, 'poll');
+    assert.deepStrictEqual(executions[0].context.component, {
+      type: 'button',
+      customId: 'dm:d:poll:node_4:yes',
+      step: 'node_4',
+      state: 'yes',
+      values: [],
+      fields: {},
+      messageId: 'message-1',
+    });
+    assert.strictEqual(executions[0].context.guildId, 'guild-1');
+  });
+
+  it('should leave modal-opening components open for the plugin to show the modal', async () => {
+    const router = new ComponentRouter({}, createPluginManager(executions, async (context) => {
+      await createComponentHandle('poll', context.interaction).showModal({ title: 'Feedback' });
+    }));
+    const interaction = createInteraction('dm:m:poll:node_5:');
+
+    await router.dispatch(interaction);
+    assert.deepStrictEqual(interaction.calls, [['showModal', 'Feedback']]);
+  });
+
+  it('should acknowledge modal-opening components the plugin did not answer', async () => {
+    const router = new ComponentRouter({}, createPluginManager(executions));
+    const interaction = createInteraction('dm:m:poll:node_5:');
+
+    await router.dispatch(interaction);
+    assert.deepStrictEqual(interaction.calls, [['deferUpdate']]);
+  });
+
+  it('should tell users when the plugin is gone or disabled', async () => {
+    const router = new ComponentRouter({}, createPluginManager(executions));
+
+    for (const customId of ['dm:d:missing:node_1:', 'dm:d:old:node_1:']) {
+      const interaction = createInteraction(customId);
+      await router.dispatch(interaction);
+      assert.strictEqual(interaction.calls[0][0], 'reply');
+      assert.strictEqual(interaction.calls[0][1].ephemeral, true);
+    }
+    assert.strictEqual(executions.length, 0);
+  });
+
+  it('should report plugin errors to the user', async () => {
+    const router = new ComponentRouter({}, createPluginManager(executions, async () => {
+      throw new Error('boom');
+    }));
+    const interaction = createInteraction('dm:d:poll:node_4:yes');
+
+    await router.dispatch(interaction);
+    assert.strictEqual(interaction.calls[1][0], 'followUp');
+    assert.match(interaction.calls[1][1].content, /error occurred/);
+  });
+});
+
+describe('getComponentDetails', () => {
+  it('should collect select menu values and modal fields', () => {
+    const select = createInteraction('dm:d:poll:node_2:', {
+      isAnySelectMenu: () => true,
+      values: ['red', 'blue'],
+    });
+    assert.deepStrictEqual(getComponentDetails(select, { step: 'node_2', state: '' }).values, ['red', 'blue']);
+
+    const modal = createInteraction('dm:d:poll:node_6:yes', {
+      isModalSubmit: () => true,
+      fields: { fields: new Map([['reason', { customId: 'reason', value: 'Because' }]]) },
+    });
+    const details = getComponentDetails(modal, { step: 'node_6', state: 'yes' });
+    assert.strictEqual(details.type, 'modal');
+    assert.deepStrictEqual(details.fields, { reason: 'Because' });
+  });
+});
+
+describe('createComponentHandle', () => {
+  it('should encode custom IDs for the plugin', async () => {
+    const components = createComponentHandle('poll');
+    assert.strictEqual(await components.customId('node_4', 'yes'), 'dm:d:poll:node_4:yes');
+    assert.strictEqual(await components.customId('node_5', '', 'm'), 'dm:m:poll:node_5:');
+  });
+
+  it('should refuse to show modals once the interaction is acknowledged', async () => {
+    const interaction = createInteraction('dm:m:poll:node_5:', { deferred: true });
+    await assert.rejects(createComponentHandle('poll', interaction).showModal({ title: 'Late' }), /can only be shown/);
+    await assert.rejects(createComponentHandle('poll').showModal({ title: 'None' }), /can only be shown/);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * DryRunner Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { DryRunner } from '../src/sandbox/DryRunner.js';
+
+describe('DryRunner', () => {
+  const runner = new DryRunner({ sandbox: { memoryLimit: 64, timeout: 3000 } });
+
+  it('should record the reply, embeds, logs and state changes without a Discord client', async () => {
+    const code = `
+      const name = interaction.options.getString('name');
+      console.log('greeting', name);
+      const visits = await state.increment('visits');
+      await state.set('last', name, { scope: 'user' });
+      __resolve({ content: 'Hello ' + name + ' (' + visits + ')', embeds: [{ title: interaction.guild.name }] });
+    `;
+
+    const result = await runner.run(code, {
+      guild: { name: 'Dry Dock' },
+      options: [{ name: 'name', type: 3, value: 'Ada' }],
+      state: { visits: 4 },
+    });
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.reply, { content: 'Hello Ada (5)', embeds: [{ title: 'Dry Dock' }] });
+    assert.deepStrictEqual(result.embeds, [{ title: 'Dry Dock' }]);
+    assert.ok(result.logs.some(log => log.level === 'info' && log.message === 'greeting Ada'));
+    assert.deepStrictEqual(result.state.changes.map(change => [change.operation, change.key, change.scope, change.value]), [
+      ['increment', 'visits', 'guild', 5],
+      ['set', 'last', 'user', 'Ada'],
+    ]);
+    assert.deepStrictEqual(result.actions.map(action => action.type), ['reply']);
+  });
+
+  it('should record attempted Discord actions and follow-up jobs', async () => {
+    const code = `
+      const message = await interaction.editReply({ content: 'Vote now' });
+      await message.react('👍');
+      await jobs.schedule('close', 60, { poll: message.id });
+      __resolve(null);
+    `;
+
+    const result = await runner.run(code, { subcommand: 'start', group: 'poll' });
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.actions.map(action => action.type), ['editReply', 'react', 'scheduleJob']);
+    assert.strictEqual(result.actions[1].emoji, '👍');
+    assert.deepStrictEqual(result.actions[2].payload, { poll: 'dry-run-reply' });
+  });
+
+  it('should record follow-ups and reply edits through the replies bridge', async () => {
+    const code = `
+      await replies.editReply({ content: 'Working...' }, null);
+      const step = await replies.followUp({ content: 'Step one', ephemeral: true });
+      await replies.editReply({ content: 'Step one done' }, step.id);
+      await replies.deleteReply(null);
+      __resolve(null);
+    `;
+
+    const result = await runner.run(code, {});
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.actions.map(action => action.type), ['editReply', 'followUp', 'editReply', 'deleteReply']);
+    assert.deepStrictEqual(result.actions[1].payload, { content: 'Step one', ephemeral: true });
+    assert.strictEqual(result.actions[2].messageId, 'dry-run-followup-2');
+    assert.deepStrictEqual(result.reply, { content: 'Working...' });
+  });
+
+  it('should collect the execution trace of traced code', async () => {
+    const code = `
+      const variables = { count: 1 };
+      __trace('a', 'enter', variables);
+      variables.count++;
+      __trace('b', 'enter', variables);
+      __trace('b', 'branch', { handle: 'true' });
+      __resolve('ok');
+    `;
+
+    const result = await runner.run(code);
+
+    assert.deepStrictEqual(result.trace, [
+      { step: 0, nodeId: 'a', kind: 'enter', variables: { count: 1 } },
+      { step: 1, nodeId: 'b', kind: 'enter', variables: { count: 2 } },
+      { step: 2, nodeId: 'b', kind: 'branch', handle: 'true' },
+    ]);
+  });
+
+  it('should record HTTP requests instead of sending them', async () => {
+    const code = `
+      const response = await fetch('https://api.example.com/items', { method: 'post', body: '{}' });
+      const data = await response.json();
+      __resolve('status ' + response.status + ' ' + JSON.stringify(data));
+    `;
+
+    const result = await runner.run(code);
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(result.actions[0], { type: 'httpRequest', method: 'POST', url: 'https://api.example.com/items' });
+    assert.deepStrictEqual(result.reply, { content: 'status 200 {}' });
+  });
+
+  it('should report plugin errors instead of throwing', async () => {
+    const result = await runner.run('throw new Error(\'boom\');');
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /boom/);
+    assert.strictEqual(result.reply, null);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * EventRouter Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { EventRouter } from '../src/core/EventRouter.js';
+import { PluginManager } from '../src/plugins/PluginManager.js';
+
+/**
+ * Build a minimal guild member the way discord.js exposes it
+ */
+function createMember(overrides = {}) {
+  const guild = { id: 'guild-1', name: 'Test Guild', memberCount: 42 };
+  return {
+    id: 'user-1',
+    displayName: 'Tester',
+    joinedAt: new Date('2026-01-01T00:00:00.000Z'),
+    guild,
+    user: { id: 'user-1', username: 'tester', tag: 'tester#0001', bot: false },
+    roles: {
+      cache: new Map([
+        ['guild-1', { id: 'guild-1', name: '@everyone' }],
+        ['role-1', { id: 'role-1', name: 'Member' }],
+      ]),
+    },
+    ...overrides,
+  };
+}
+
+describe('EventRouter', () => {
+  let client;
+  let pluginManager;
+  let router;
+  let executions;
+  let sentMessages;
+
+  beforeEach(() => {
+    client = new EventEmitter();
+    client.user = { id: 'bot-1', tag: 'TestBot#0000' };
+    sentMessages = [];
+    client.guilds = {
+      cache: new Map([
+        ['guild-1', {
+          id: 'guild-1',
+          name: 'Test Guild',
+          channels: { cache: new Map() },
+          systemChannel: { send: async (content) => sentMessages.push(content) },
+        }],
+      ]),
+    };
+
+    pluginManager = new PluginManager(client, {});
+    executions = [];
+    pluginManager.execute = async (pluginId, context) => {
+      executions.push({ pluginId, context });
+      await context.reply('welcome');
+      return 'welcome';
+    };
+
+    pluginManager.plugins.set('welcome', {
+      id: 'welcome',
+      name: 'Welcome',
+      type: 'listener',
+      enabled: true,
+      trigger: { type: 'event', event: 'guildMemberAdd' },
+    });
+    pluginManager.plugins.set('goodbye', {
+      id: 'goodbye',
+      name: 'Goodbye',
+      type: 'listener',
+      enabled: false,
+      trigger: { type: 'event', event: 'guildMemberRemove' },
+    });
+    pluginManager.plugins.set('hello', {
+      id: 'hello',
+      name: 'Hello',
+      type: 'slash',
+      enabled: true,
+      trigger_command: 'hello',
+      trigger: { type: 'command', command: 'hello' },
+    });
+
+    router = new EventRouter(client, pluginManager);
+  });
+
+  describe('getPluginsByEvent', () => {
+    it('should only return enabled plugins listening for the event', () => {
+      assert.deepStrictEqual(pluginManager.getPluginsByEvent('guildMemberAdd').map(p => p.id), ['welcome']);
+      assert.strictEqual(pluginManager.getPluginsByEvent('guildMemberRemove').length, 0);
+      assert.strictEqual(pluginManager.getPluginsByEvent('messageDelete').length, 0);
+    });
+
+    it('should skip plugins owned by another guild', () => {
+      pluginManager.plugins.set('private', {
+        id: 'private',
+        name: 'Private',
+        enabled: true,
+        guild_id: 'guild-2',
+        trigger: { type: 'event', event: 'guildMemberAdd' },
+      });
+
+      assert.deepStrictEqual(pluginManager.getPluginsByEvent('guildMemberAdd', 'guild-1').map(p => p.id), ['welcome']);
+      assert.deepStrictEqual(pluginManager.getPluginsByEvent('guildMemberAdd', 'guild-2').map(p => p.id), ['welcome', 'private']);
+      assert.deepStrictEqual(pluginManager.getPluginsByEvent('guildMemberAdd').map(p => p.id), ['welcome', 'private']);
+    });
+  });
+
+  describe('buildPayload', () => {
+    it('should describe member events', async () => {
+      const payload = await router.buildPayload('guildMemberAdd', [createMember()]);
+
+      assert.strictEqual(payload.type, 'guildMemberAdd');
+      assert.strictEqual(payload.guild.id, 'guild-1');
+      assert.strictEqual(payload.user.username, 'tester');
+      assert.strictEqual(payload.member.joinedAt, '2026-01-01T00:00:00.000Z');
+      assert.deepStrictEqual(payload.member.roles, ['Member']);
+    });
+
+    it('should describe voice channel moves', async () => {
+      const member = createMember();
+      const payload = await router.buildPayload('voiceStateUpdate', [
+        { channelId: 'voice-1', channel: { name: 'Lobby' } },
+        { channelId: 'voice-2', channel: { name: 'Gaming' }, guild: member.guild, member, selfMute: true },
+      ]);
+
+      assert.strictEqual(payload.voice.action, 'move');
+      assert.strictEqual(payload.voice.channelName, 'Gaming');
+      assert.strictEqual(payload.voice.oldChannelName, 'Lobby');
+      assert.strictEqual(payload.voice.selfMute, true);
+    });
+
+    it('should fetch partial reactions before describing them', async () => {
+      let fetched = false;
+      const message = {
+        id: 'message-1',
+        content: 'vote here',
+        author: { id: 'user-2' },
+        guild: { id: 'guild-1', name: 'Test Guild' },
+        channel: { id: 'channel-1', name: 'general' },
+      };
+      const reaction = {
+        partial: true,
+        fetch: async () => {
+          fetched = true;
+          return { partial: false, emoji: { id: null, name: '👍', toString: () => '👍' }, count: 3, message };
+        },
+      };
+
+      const payload = await router.buildPayload('messageReactionAdd', [reaction, createMember().user]);
+
+      assert.ok(fetched);
+      assert.strictEqual(payload.reaction.emoji, '👍');
+      assert.strictEqual(payload.reaction.count, 3);
+      assert.strictEqual(payload.message.authorId, 'user-2');
+      assert.strictEqual(payload.channel.name, 'general');
+    });
+
+    it('should ignore message updates that do not change content', async () => {
+      const message = { id: 'message-1', content: 'same', partial: false, author: { id: 'user-1' } };
+      const payload = await router.buildPayload('messageUpdate', [message, { ...message }]);
+      assert.strictEqual(payload, null);
+    });
+
+    it('should classify voice actions', () => {
+      assert.strictEqual(router.getVoiceAction(null, 'a'), 'join');
+      assert.strictEqual(router.getVoiceAction('a', null), 'leave');
+      assert.strictEqual(router.getVoiceAction('a', 'b'), 'move');
+      assert.strictEqual(router.getVoiceAction('a', 'a'), 'update');
+    });
+  });
+
+  describe('dispatch', () => {
+    it('should run matching plugins with the event payload and reply in the system channel', async () => {
+      const executed = await router.dispatch('guildMemberAdd', [createMember()]);
+
+      assert.strictEqual(executed, 1);
+      assert.strictEqual(executions[0].pluginId, 'welcome');
+      assert.strictEqual(executions[0].context.guildId, 'guild-1');
+      assert.strictEqual(executions[0].context.event.user.id, 'user-1');
+      assert.deepStrictEqual(sentMessages, ['welcome']);
+    });
+
+    it('should not run plugins owned by another guild', async () => {
+      pluginManager.plugins.get('welcome').guild_id = 'guild-2';
+      const executed = await router.dispatch('guildMemberAdd', [createMember()]);
+
+      assert.strictEqual(executed, 0);
+      assert.strictEqual(executions.length, 0);
+    });
+
+    it('should skip events caused by the bot itself', async () => {
+      const member = createMember({ id: 'bot-1', user: { id: 'bot-1', username: 'bot', tag: 'bot#0000', bot: true } });
+      const executed = await router.dispatch('guildMemberAdd', [member]);
+
+      assert.strictEqual(executed, 0);
+      assert.strictEqual(executions.length, 0);
+    });
+
+    it('should not build payloads when no plugin listens for the event', async () => {
+      const executed = await router.dispatch('messageDelete', [null]);
+      assert.strictEqual(executed, 0);
+    });
+  });
+
+  describe('attach', () => {
+    it('should subscribe once per event and detach cleanly', () => {
+      router.attach();
+      router.attach();
+      assert.strictEqual(client.listenerCount('guildMemberAdd'), 1);
+
+      router.detach();
+      assert.strictEqual(client.listenerCount('guildMemberAdd'), 0);
+    });
+  });
+});
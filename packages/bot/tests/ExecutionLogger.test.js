@@ -0,0 +1,139 @@
+/**
+ * ExecutionLogger Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { ExecutionLogger, getRetentionCutoff, isPermanentWriteError } from '../src/services/ExecutionLogger.js';
+import { PluginManager } from '../src/plugins/PluginManager.js';
+
+/**
+ * Minimal model that records written batches, with no usage limits or egress policy for the plugin manager
+ */
+function createModel() {
+  return {
+    batches: [],
+    failNext: false,
+    rollups: [],
+    async logCommandExecutions(executions) {
+      if (this.failNext) {
+        this.failNext = false;
+        throw new Error('database unavailable');
+      }
+      if (executions.some(execution => execution.plugin_id === 'deleted')) {
+        throw Object.assign(new Error('Foreign key constraint failed'), { code: 'P2003' });
+      }
+      this.batches.push(executions);
+      return executions.length;
+    },
+    async rollupCommandExecutions(before) {
+      this.rollups.push(before);
+      return 0;
+    },
+    async getUsageLimits() {
+      return {};
+    },
+    async getEgressPolicy() {
+      return {};
+    },
+  };
+}
+
+describe('ExecutionLogger', () => {
+  let model;
+
+  beforeEach(() => {
+    model = createModel();
+  });
+
+  it('should write a batch once the batch size is reached', async () => {
+    const executionLogger = new ExecutionLogger(model, { batchSize: 2, flushInterval: 60000 });
+
+    executionLogger.log({ plugin_id: 'a', success: true });
+    assert.strictEqual(model.batches.length, 0);
+
+    executionLogger.log({ plugin_id: 'b', success: false });
+    await executionLogger.flush();
+
+    assert.strictEqual(model.batches.length, 1);
+    assert.deepStrictEqual(model.batches[0].map(execution => execution.plugin_id), ['a', 'b']);
+    assert.ok(model.batches[0][0].created_at instanceof Date);
+    await executionLogger.stop();
+  });
+
+  it('should flush partial batches after the interval', async () => {
+    const executionLogger = new ExecutionLogger(model, { batchSize: 50, flushInterval: 10 });
+
+    executionLogger.log({ plugin_id: 'a', success: true });
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.strictEqual(model.batches.length, 1);
+    await executionLogger.stop();
+  });
+
+  it('should keep executions when a write fails', async () => {
+    const executionLogger = new ExecutionLogger(model, { batchSize: 50, flushInterval: 60000, maxBufferSize: 2 });
+    model.failNext = true;
+
+    executionLogger.log({ plugin_id: 'a', success: true });
+    executionLogger.log({ plugin_id: 'b', success: true });
+    assert.strictEqual(await executionLogger.flush(), 0);
+    assert.strictEqual(executionLogger.buffer.length, 2);
+
+    // Oldest executions are dropped once the buffer is full
+    executionLogger.log({ plugin_id: 'c', success: true });
+    model.failNext = true;
+    await executionLogger.flush();
+    assert.deepStrictEqual(executionLogger.buffer.map(execution => execution.plugin_id), ['b', 'c']);
+
+    assert.strictEqual(await executionLogger.flush(), 2);
+    await executionLogger.stop();
+  });
+
+  it('should drop rows the database rejects and write the rest', async () => {
+    const executionLogger = new ExecutionLogger(model, { batchSize: 50, flushInterval: 60000 });
+
+    executionLogger.log({ plugin_id: 'a', success: true });
+    executionLogger.log({ plugin_id: 'deleted', success: true });
+    executionLogger.log({ plugin_id: 'b', success: true });
+    assert.strictEqual(await executionLogger.flush(), 2);
+    assert.strictEqual(executionLogger.buffer.length, 0);
+    assert.deepStrictEqual(model.batches.map(batch => batch[0].plugin_id), ['a', 'b']);
+
+    // Later executions are not held up by the bad row
+    executionLogger.log({ plugin_id: 'c', success: true });
+    assert.strictEqual(await executionLogger.flush(), 1);
+
+    assert.strictEqual(isPermanentWriteError({ code: 'P2003' }), true);
+    assert.strictEqual(isPermanentWriteError({ code: 'P2024' }), false);
+    assert.strictEqual(isPermanentWriteError({ code: 'P1001' }), false);
+    assert.strictEqual(isPermanentWriteError(new Error('database unavailable')), false);
+    await executionLogger.stop();
+  });
+
+  it('should roll up executions older than the retention window', async () => {
+    const executionLogger = new ExecutionLogger(model, { retentionDays: 30 });
+    await executionLogger.runRetention(Date.parse('2026-10-19T15:30:00.000Z'));
+
+    assert.strictEqual(model.rollups[0].toISOString(), '2026-09-19T00:00:00.000Z');
+    assert.strictEqual(getRetentionCutoff(Date.parse('2026-10-19T00:00:00.000Z'), 1).toISOString(), '2026-10-18T00:00:00.000Z');
+  });
+
+  it('should receive executions from the plugin manager', async () => {
+    const pluginManager = new PluginManager({}, model);
+    const plugin = { id: 'roll', name: 'Roll', trigger: { type: 'message', pattern: 'roll' } };
+
+    pluginManager.logExecution(plugin, { guildId: 'guild-1', message: { author: { id: 'user-1' } } }, false, 12, 'boom');
+    await pluginManager.executionLogger.stop();
+
+    const [execution] = model.batches[0];
+    assert.strictEqual(execution.plugin_id, 'roll');
+    assert.strictEqual(execution.discord_user_id, 'user-1');
+    assert.strictEqual(execution.guild_id, 'guild-1');
+    assert.strictEqual(execution.trigger_type, 'message');
+    assert.strictEqual(execution.success, false);
+    assert.strictEqual(execution.error_message, 'boom');
+  });
+});
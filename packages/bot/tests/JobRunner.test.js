@@ -0,0 +1,209 @@
+/**
+ * JobRunner Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { JobRunner } from '../src/core/JobRunner.js';
+import { PluginJobQueue } from '../src/services/PluginJobQueue.js';
+
+const NOW = new Date('2026-10-19T09:00:30.000Z');
+
+/**
+ * In-memory model implementing the job methods the runner and queue use
+ */
+function createModel(jobs = []) {
+  return {
+    jobs,
+    async createJob(job) {
+      const row = { id: `job-${this.jobs.length + 1}`, status: 'pending', attempts: 0, ...job };
+      this.jobs.push(row);
+      return row;
+    },
+    async countPendingJobs(pluginId, guildId) {
+      return this.jobs.filter(job => job.plugin_id === pluginId && job.guild_id === guildId && job.status === 'pending').length;
+    },
+    async getDueJobs(now, limit) {
+      return this.jobs
+        .filter(job => job.status === 'pending' && job.run_at <= now)
+        .slice(0, limit)
+        .map(job => ({ ...job }));
+    },
+    async claimJob(jobId) {
+      const job = this.jobs.find(row => row.id === jobId);
+      if (!job || job.status !== 'pending') {return false;}
+      job.status = 'running';
+      job.attempts++;
+      return true;
+    },
+    async completeJob(jobId) {
+      this.jobs = this.jobs.filter(job => job.id !== jobId);
+    },
+    async failJob(jobId, error, retryAt) {
+      const job = this.jobs.find(row => row.id === jobId);
+      Object.assign(job, retryAt ? { status: 'pending', run_at: retryAt } : { status: 'failed' }, { last_error: error });
+    },
+  };
+}
+
+function createClient(sent) {
+  const channel = {
+    id: 'channel-1',
+    isTextBased: () => true,
+    send: async (content) => {
+      sent.push(['channel', content]);
+    },
+  };
+  const user = {
+    id: 'user-1',
+    send: async (content) => {
+      sent.push(['dm', content]);
+    },
+  };
+  return {
+    guilds: { cache: new Map([['guild-1', { id: 'guild-1' }]]) },
+    channels: {
+      cache: new Map([['channel-1', channel]]),
+      fetch: async () => {
+        throw new Error('Unknown Channel');
+      },
+    },
+    users: {
+      fetch: async (id) => {
+        if (id !== 'user-1') {throw new Error('Unknown User');}
+        return user;
+      },
+    },
+  };
+}
+
+function createPluginManager(executions, fail = false) {
+  return {
+    plugins: new Map([['reminder', { id: 'reminder', name: 'Reminder' }]]),
+    async execute(pluginId, context) {
+      executions.push({ pluginId, context });
+      if (fail) {
+        throw new Error('Plugin exploded');
+      }
+      await context.reply(`remember: ${context.job.payload.text}`);
+      return true;
+    },
+  };
+}
+
+function createJob(overrides = {}) {
+  return {
+    id: 'job-1',
+    plugin_id: 'reminder',
+    guild_id: 'guild-1',
+    channel_id: 'channel-1',
+    user_id: 'user-1',
+    step: 'node_2',
+    payload: { text: 'stretch' },
+    run_at: new Date('2026-10-19T09:00:00.000Z'),
+    status: 'pending',
+    attempts: 0,
+    ...overrides,
+  };
+}
+
+describe('JobRunner', () => {
+  let sent;
+  let executions;
+
+  beforeEach(() => {
+    sent = [];
+    executions = [];
+  });
+
+  it('should resume the plugin with the job payload and remove the job', async () => {
+    const model = createModel([createJob(), createJob({ id: 'job-2', run_at: new Date('2026-10-19T10:00:00.000Z') })]);
+    const runner = new JobRunner(createClient(sent), createPluginManager(executions), model);
+
+    assert.strictEqual(await runner.poll(NOW), 1);
+    assert.deepStrictEqual(sent, [['channel', 'remember: stretch']]);
+    assert.strictEqual(executions[0].context.job.step, 'node_2');
+    assert.strictEqual(executions[0].context.job.scheduledFor, '2026-10-19T09:00:00.000Z');
+    assert.strictEqual(executions[0].context.guildId, 'guild-1');
+    assert.deepStrictEqual(model.jobs.map(job => job.id), ['job-2']);
+  });
+
+  it('should fall back to messaging the user when the channel is gone', async () => {
+    const model = createModel([createJob({ channel_id: 'deleted-channel' })]);
+    const runner = new JobRunner(createClient(sent), createPluginManager(executions), model);
+
+    await runner.poll(NOW);
+    assert.deepStrictEqual(sent, [['dm', 'remember: stretch']]);
+    assert.strictEqual(model.jobs.length, 0);
+  });
+
+  it('should retry failing jobs with backoff and give up after the last attempt', async () => {
+    const model = createModel([createJob()]);
+    const runner = new JobRunner(createClient(sent), createPluginManager(executions, true), model, { maxAttempts: 2 });
+
+    await runner.poll(NOW);
+    assert.strictEqual(model.jobs[0].status, 'pending');
+    assert.strictEqual(model.jobs[0].run_at.toISOString(), '2026-10-19T09:01:30.000Z');
+    assert.strictEqual(model.jobs[0].last_error, 'Plugin exploded');
+
+    await runner.poll(new Date('2026-10-19T09:01:30.000Z'));
+    assert.strictEqual(model.jobs[0].status, 'failed');
+    assert.strictEqual(executions.length, 2);
+  });
+
+  it('should fail jobs whose plugin or guild is unavailable', async () => {
+    const model = createModel([
+      createJob({ plugin_id: 'missing' }),
+      createJob({ id: 'job-2', guild_id: 'guild-2' }),
+    ]);
+    const runner = new JobRunner(createClient(sent), createPluginManager(executions), model, { maxAttempts: 1 });
+
+    await runner.poll(NOW);
+    assert.deepStrictEqual(model.jobs.map(job => [job.status, job.last_error]), [
+      ['failed', 'Plugin is not loaded'],
+      ['failed', 'Bot is not in this guild'],
+    ]);
+    assert.strictEqual(executions.length, 0);
+  });
+
+  it('should skip jobs claimed by another runner', async () => {
+    const model = createModel([createJob()]);
+    model.claimJob = async () => false;
+    const runner = new JobRunner(createClient(sent), createPluginManager(executions), model);
+
+    assert.strictEqual(await runner.poll(NOW), 0);
+    assert.strictEqual(executions.length, 0);
+  });
+});
+
+describe('PluginJobQueue', () => {
+  it('should persist jobs for the execution identity', async () => {
+    const model = createModel();
+    const queue = new PluginJobQueue(model);
+    const jobs = queue.createHandle('reminder', { guildId: 'guild-1', channelId: 'channel-1', userId: 'user-1' });
+
+    const before = Date.now();
+    const id = await jobs.schedule('node_2', 60, { text: 'stretch' });
+
+    assert.strictEqual(id, 'job-1');
+    assert.strictEqual(model.jobs[0].guild_id, 'guild-1');
+    assert.strictEqual(model.jobs[0].user_id, 'user-1');
+    assert.deepStrictEqual(model.jobs[0].payload, { text: 'stretch' });
+    assert.ok(model.jobs[0].run_at.getTime() >= before + 60 * 1000);
+  });
+
+  it('should enforce delay, payload and quota limits', async () => {
+    const model = createModel();
+    const queue = new PluginJobQueue(model, { maxPayloadBytes: 32, maxPendingJobs: 1 });
+    const jobs = queue.createHandle('reminder', { guildId: 'guild-1' });
+
+    await assert.rejects(jobs.schedule('', 60), /non-empty string/);
+    await assert.rejects(jobs.schedule('node_2', 0), /between 1 and 2592000 seconds/);
+    await assert.rejects(jobs.schedule('node_2', 60, { text: 'x'.repeat(64) }), /limit is 32/);
+
+    await jobs.schedule('node_2', 60);
+    await assert.rejects(jobs.schedule('node_2', 60), /Pending job quota of 1 reached/);
+  });
+});
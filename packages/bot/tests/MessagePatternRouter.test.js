@@ -0,0 +1,174 @@
+/**
+ * MessagePatternRouter Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+import { MessagePatternRouter, DEFAULT_PATTERN_COOLDOWN_SECONDS } from '../src/core/MessagePatternRouter.js';
+import { PluginManager } from '../src/plugins/PluginManager.js';
+
+/**
+ * Build a minimal guild message the way discord.js exposes it
+ */
+function createMessage(content, overrides = {}) {
+  const replies = [];
+  return {
+    content,
+    author: { id: 'user-1', username: 'tester', bot: false },
+    guild: { id: 'guild-1', name: 'Test Guild' },
+    channel: { id: 'channel-1' },
+    replies,
+    reply: async (reply) => replies.push(reply),
+    ...overrides,
+  };
+}
+
+describe('MessagePatternRouter', () => {
+  let pluginManager;
+  let router;
+  let executions;
+
+  beforeEach(() => {
+    const client = new EventEmitter();
+    pluginManager = new PluginManager(client, {});
+    executions = [];
+    pluginManager.execute = async (pluginId, context) => {
+      executions.push({ pluginId, context });
+      await context.reply(`matched ${context.match.text}`);
+      return 'ok';
+    };
+
+    pluginManager.plugins.set('roll', {
+      id: 'roll',
+      name: 'Roll',
+      type: 'pattern',
+      enabled: true,
+      trigger: { type: 'message', pattern: '/^roll d(?<sides>\\d{1,3})$/i' },
+      nodes: [{ id: 'trigger-1', type: 'trigger', data: { config: { cooldownSeconds: 10 } } }],
+    });
+    pluginManager.plugins.set('disabled', {
+      id: 'disabled',
+      name: 'Disabled',
+      type: 'pattern',
+      enabled: false,
+      trigger: { type: 'message', pattern: 'roll' },
+    });
+    pluginManager.plugins.set('hello', {
+      id: 'hello',
+      name: 'Hello',
+      type: 'slash',
+      enabled: true,
+      trigger: { type: 'command', command: 'hello' },
+    });
+
+    router = new MessagePatternRouter(client, pluginManager, { matchTimeout: 20 });
+  });
+
+  describe('getPatternPlugins', () => {
+    it('should only return enabled plugins with a message pattern', () => {
+      assert.deepStrictEqual(pluginManager.getPatternPlugins().map(p => p.id), ['roll']);
+    });
+
+    it('should skip plugins owned by another guild', () => {
+      pluginManager.plugins.get('roll').guild_id = 'guild-2';
+
+      assert.strictEqual(pluginManager.getPatternPlugins('guild-1').length, 0);
+      assert.deepStrictEqual(pluginManager.getPatternPlugins('guild-2').map(p => p.id), ['roll']);
+    });
+  });
+
+  describe('getRegex', () => {
+    it('should compile and cache valid patterns', () => {
+      const plugin = pluginManager.plugins.get('roll');
+      const regex = router.getRegex(plugin);
+
+      assert.ok(regex instanceof RegExp);
+      assert.strictEqual(regex.flags, 'i');
+      assert.strictEqual(router.getRegex(plugin), regex);
+    });
+
+    it('should reject unsafe patterns', () => {
+      const regex = router.getRegex({ id: 'evil', name: 'Evil', trigger: { type: 'message', pattern: '^(a+)+$' } });
+      assert.strictEqual(regex, null);
+    });
+  });
+
+  describe('match', () => {
+    it('should return named and positional captures', () => {
+      const result = router.match(/(?<user>\w+) gave (\d+)/, 'alice gave 5 coins');
+
+      assert.strictEqual(result.text, 'alice gave 5');
+      assert.strictEqual(result.index, 0);
+      assert.deepStrictEqual(result.groups, { user: 'alice' });
+      assert.deepStrictEqual(result.captures, ['alice', '5']);
+    });
+
+    it('should give up on runaway regexes instead of stalling', () => {
+      const result = router.match(/^(a+)+$/, `${'a'.repeat(40)}!`);
+      assert.strictEqual(result, null);
+    });
+
+    it('should not try a regex again once it ran out of time', () => {
+      // Written directly into the cache, the validator would reject it
+      const plugin = { id: 'slow', name: 'Slow', trigger: { type: 'message', pattern: '^(a+)+$' } };
+      router.regexCache.set(plugin.id, { pattern: plugin.trigger.pattern, regex: /^(a+)+$/ });
+
+      assert.strictEqual(router.match(router.getRegex(plugin), `${'a'.repeat(40)}!`), null);
+      assert.strictEqual(router.getRegex(plugin), null);
+    });
+  });
+
+  describe('claimCooldown', () => {
+    it('should throttle per plugin and guild', () => {
+      const plugin = pluginManager.plugins.get('roll');
+
+      assert.strictEqual(router.claimCooldown(plugin, 'guild-1', 0), true);
+      assert.strictEqual(router.claimCooldown(plugin, 'guild-1', 5000), false);
+      assert.strictEqual(router.claimCooldown(plugin, 'guild-2', 5000), true);
+      assert.strictEqual(router.claimCooldown(plugin, 'guild-1', 10000), true);
+    });
+
+    it('should fall back to the default cooldown', () => {
+      assert.strictEqual(router.getCooldownSeconds({ nodes: [] }), DEFAULT_PATTERN_COOLDOWN_SECONDS);
+      assert.strictEqual(router.getCooldownSeconds(pluginManager.plugins.get('roll')), 10);
+    });
+  });
+
+  describe('dispatch', () => {
+    it('should run matching plugins with the match in context', async () => {
+      const message = createMessage('Roll d20');
+      const executed = await router.dispatch(message);
+
+      assert.strictEqual(executed, 1);
+      assert.strictEqual(executions[0].pluginId, 'roll');
+      assert.strictEqual(executions[0].context.guildId, 'guild-1');
+      assert.deepStrictEqual(executions[0].context.match.groups, { sides: '20' });
+      assert.deepStrictEqual(message.replies, ['matched Roll d20']);
+    });
+
+    it('should not run plugins owned by another guild', async () => {
+      pluginManager.plugins.get('roll').guild_id = 'guild-2';
+
+      assert.strictEqual(await router.dispatch(createMessage('roll d6')), 0);
+      assert.strictEqual(executions.length, 0);
+    });
+
+    it('should respect the cooldown between matches', async () => {
+      await router.dispatch(createMessage('roll d6'));
+      const executed = await router.dispatch(createMessage('roll d6'));
+
+      assert.strictEqual(executed, 0);
+      assert.strictEqual(executions.length, 1);
+    });
+
+    it('should ignore bots, direct messages and non-matching content', async () => {
+      assert.strictEqual(await router.dispatch(createMessage('roll d6', { author: { id: 'bot-2', bot: true } })), 0);
+      assert.strictEqual(await router.dispatch(createMessage('roll d6', { guild: null })), 0);
+      assert.strictEqual(await router.dispatch(createMessage('hello there')), 0);
+      assert.strictEqual(executions.length, 0);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * PluginFailureMonitor Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PluginFailureMonitor } from '../src/services/PluginFailureMonitor.js';
+
+const plugin = { id: 'flaky', name: 'Flaky', version: '1.0.0', guild_id: null };
+
+/**
+ * Model recording the webhook events the monitor queues
+ */
+function createModel() {
+  return {
+    events: [],
+    async enqueueWebhookEvent(event, data) {
+      this.events.push({ event, data });
+      return 1;
+    },
+  };
+}
+
+describe('PluginFailureMonitor', () => {
+  let model;
+  let monitor;
+
+  beforeEach(() => {
+    model = createModel();
+    monitor = new PluginFailureMonitor(model, { threshold: 3 });
+  });
+
+  it('should report a plugin once when its failure streak reaches the threshold', async () => {
+    assert.strictEqual(monitor.record(plugin, false, { guildId: 'g1', error: 'boom' }), false);
+    assert.strictEqual(monitor.record(plugin, false, { guildId: 'g1', error: 'boom' }), false);
+    assert.strictEqual(monitor.record(plugin, false, { guildId: 'g1', error: 'still broken' }), true);
+    assert.strictEqual(monitor.record(plugin, false, { guildId: 'g1', error: 'still broken' }), false);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(model.events.length, 1);
+    assert.strictEqual(model.events[0].event, 'plugin.failing');
+    assert.deepStrictEqual(model.events[0].data, {
+      plugin: { id: 'flaky', name: 'Flaky', version: '1.0.0', guild_id: null },
+      consecutive_failures: 3,
+      last_error: 'still broken',
+      guild_id: 'g1',
+    });
+  });
+
+  it('should start over after a successful run', () => {
+    monitor.record(plugin, false);
+    monitor.record(plugin, false);
+    monitor.record(plugin, true);
+    monitor.record(plugin, false);
+
+    assert.strictEqual(monitor.streaks.get(plugin.id), 1);
+    assert.strictEqual(monitor.record(plugin, false), false);
+    assert.strictEqual(monitor.record(plugin, false), true);
+  });
+
+  it('should not fail the run when the event cannot be queued', async () => {
+    model.enqueueWebhookEvent = async () => {
+      throw new Error('Database not available');
+    };
+
+    monitor.record(plugin, false);
+    monitor.record(plugin, false);
+    assert.strictEqual(monitor.record(plugin, false), true);
+    await new Promise(resolve => setImmediate(resolve));
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * PluginHttpClient Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getSecretsKey, encryptSecret } from '@dismodular/shared';
+import { PluginHttpClient } from '../src/services/PluginHttpClient.js';
+
+const key = getSecretsKey('test-key');
+
+/**
+ * Model with an egress policy and secrets for plugin p1
+ */
+function createModel(policy = {}) {
+  return {
+    async getEgressPolicy() {
+      return policy;
+    },
+    async getSecrets(pluginId, guildId) {
+      return [
+        { guild_id: '', name: 'API_KEY', value: encryptSecret('shared-key', key) },
+        { guild_id: guildId, name: 'API_KEY', value: encryptSecret('guild-key', key) },
+      ];
+    },
+  };
+}
+
+/**
+ * Fetch stand-in answering from a list of responses and recording the requests
+ */
+function createFetch(responses) {
+  const requests = [];
+  const fetch = async (url, options) => {
+    requests.push({ url, ...options });
+    const { status = 200, headers = {}, body = '{}' } = responses.shift() || {};
+    return {
+      status,
+      ok: status >= 200 && status < 300,
+      headers: { get: (name) => headers[name] ?? null },
+      body: (async function* () {
+        yield Buffer.from(body);
+      })(),
+    };
+  };
+  return { fetch, requests };
+}
+
+describe('PluginHttpClient', () => {
+  it('should fill in secrets on the host and keep them out of errors', async () => {
+    const { fetch, requests } = createFetch([{ body: '{"ok":true}' }]);
+    const client = new PluginHttpClient(createModel(), { fetch, secretsKey: key });
+    const http = client.createHandle('p1', { guildId: 'g1' });
+
+    const response = await http.request('https://api.example.com/v1?key={secret.API_KEY}', {
+      headers: { Authorization: 'Bearer {secret.API_KEY}' },
+    });
+    assert.deepStrictEqual(response, { ok: true, status: 200, data: { ok: true } });
+    assert.strictEqual(requests[0].url, 'https://api.example.com/v1?key=guild-key');
+    assert.strictEqual(requests[0].headers.Authorization, 'Bearer guild-key');
+
+    await assert.rejects(http.request('ftp://example.com/'), { message: 'Only http and https URLs can be requested' });
+
+    const failing = new PluginHttpClient(createModel(), {
+      secretsKey: key,
+      fetch: async (url) => {
+        throw new Error(`request to ${url} failed`);
+      },
+    });
+    await assert.rejects(
+      failing.createHandle('p1', { guildId: 'g1' }).request('https://api.example.com/?key={secret.API_KEY}'),
+      { message: 'request to https://api.example.com/?key={secret.API_KEY} failed' },
+    );
+    await assert.rejects(http.request('https://api.example.com/{secret.OTHER}'), { message: 'Secret OTHER is not set' });
+  });
+
+  it('should only allow hosts on both the plugin and guild allowlists', async () => {
+    const { fetch, requests } = createFetch([]);
+    const client = new PluginHttpClient(createModel({ allowedDomains: ['*.example.com'] }), { fetch });
+    const http = client.createHandle('p1', { guildId: 'g1' }, { allowedDomains: ['api.example.com'] });
+
+    await http.request('https://api.example.com/');
+    await assert.rejects(http.request('https://cdn.example.com/'), { message: 'Requests to cdn.example.com are not allowed for this plugin' });
+    await assert.rejects(http.request('https://example.org/'), { message: 'Requests to example.org are not allowed for this plugin' });
+    assert.strictEqual(requests.length, 1);
+  });
+
+  it('should block private addresses, by IP and by what a hostname resolves to', async () => {
+    const { fetch } = createFetch([]);
+    const client = new PluginHttpClient(createModel(), {
+      fetch,
+      lookup: (hostname, options, callback) => callback(null, [{ address: '169.254.169.254', family: 4 }], 4),
+    });
+    const http = client.createHandle('p1');
+
+    await assert.rejects(http.request('http://127.0.0.1:5432/'), { message: 'Requests to private address 127.0.0.1 are not allowed' });
+    await assert.rejects(http.request('http://[::ffff:10.0.0.1]/'), { message: 'Requests to private address ::ffff:a00:1 are not allowed' });
+
+    const error = await new Promise(resolve => client.guardedLookup('metadata.internal', { all: true }, resolve));
+    assert.strictEqual(error.message, 'Requests to private address 169.254.169.254 are not allowed');
+  });
+
+  it('should drop headers on redirects to another host and re-check the target', async () => {
+    const { fetch, requests } = createFetch([
+      { status: 302, headers: { location: 'https://cdn.example.net/file' } },
+      { body: 'plain text' },
+      { status: 301, headers: { location: 'http://localhost/' } },
+    ]);
+    const client = new PluginHttpClient(createModel(), { fetch, secretsKey: key, lookup: () => {} });
+    const http = client.createHandle('p1', { guildId: 'g1' });
+
+    const response = await http.request('https://api.example.com/file', { headers: { 'X-Key': '{secret.API_KEY}' } });
+    assert.strictEqual(response.data, 'plain text');
+    assert.deepStrictEqual(requests.map(request => [request.url, request.headers]), [
+      ['https://api.example.com/file', { 'X-Key': 'guild-key' }],
+      ['https://cdn.example.net/file', {}],
+    ]);
+
+    const limited = new PluginHttpClient(createModel({ allowedDomains: ['api.example.com'] }), { fetch });
+    await assert.rejects(limited.createHandle('p1').request('https://api.example.com/'), { message: 'Requests to localhost are not allowed for this plugin' });
+  });
+
+  it('should refuse to send a body with secrets on to another host', async () => {
+    const { fetch, requests } = createFetch([
+      { status: 307, headers: { location: 'https://api.example.com/v2' } },
+      { status: 308, headers: { location: 'https://evil.example.net/collect' } },
+      { status: 303, headers: { location: 'https://cdn.example.net/done' } },
+      {},
+    ]);
+    const client = new PluginHttpClient(createModel(), { fetch, secretsKey: key, lookup: () => {} });
+    const http = client.createHandle('p1', { guildId: 'g1' });
+
+    await assert.rejects(
+      http.request('https://api.example.com/v1', { method: 'POST', body: '{"key": "{secret.API_KEY}"}' }),
+      { message: 'Redirect to evil.example.net refused, the request body contains secrets' },
+    );
+    assert.deepStrictEqual(requests.map(request => [request.url, request.body]), [
+      ['https://api.example.com/v1', '{"key": "guild-key"}'],
+      ['https://api.example.com/v2', '{"key": "guild-key"}'],
+    ]);
+
+    // A See Other redirect drops the body, so it may lead anywhere
+    const response = await http.request('https://api.example.com/v1', { method: 'POST', body: '{secret.API_KEY}' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(requests.slice(2).map(request => [request.url, request.method, request.body]), [
+      ['https://api.example.com/v1', 'POST', 'guild-key'],
+      ['https://cdn.example.net/done', 'GET', undefined],
+    ]);
+  });
+
+  it('should cap response size and time', async () => {
+    const { fetch } = createFetch([{ body: 'x'.repeat(64) }]);
+    const client = new PluginHttpClient(createModel(), { fetch, maxResponseBytes: 32 });
+    await assert.rejects(client.createHandle('p1').request('https://api.example.com/'), { message: 'Response is larger than 32 bytes' });
+
+    const hanging = (url, options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    });
+    const slow = new PluginHttpClient(createModel(), { fetch: hanging, timeout: 20 });
+    await assert.rejects(slow.createHandle('p1').request('https://api.example.com/'), { message: 'Request timed out after 20ms' });
+  });
+});
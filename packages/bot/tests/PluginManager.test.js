@@ -195,6 +195,23 @@ describe('PluginManager', () => {
       assert.notStrictEqual(plugin, null);
       assert.strictEqual(plugin.id, 'slash-plugin');
     });
+
+    it('should only find guild-owned plugins in their own guild, ahead of global ones', () => {
+      pluginManager.register({
+        id: 'guild-slash-plugin',
+        name: 'Guild Slash Plugin',
+        version: '1.0.0',
+        type: 'slash',
+        enabled: true,
+        trigger_command: 'slashcmd',
+        guild_id: 'guild-1',
+        compiled: 'console.log("guild");',
+      });
+
+      assert.strictEqual(pluginManager.getPluginByCommand('slashcmd', 'slash', 'guild-1').id, 'guild-slash-plugin');
+      assert.strictEqual(pluginManager.getPluginByCommand('slashcmd', 'slash', 'guild-2').id, 'slash-plugin');
+      assert.strictEqual(pluginManager.getPluginByCommand('slashcmd', 'slash').id, 'slash-plugin');
+    });
   });
 
   describe('enablePlugin and disablePlugin', () => {
@@ -283,5 +300,60 @@ describe('PluginManager', () => {
       assert.strictEqual(stats.disabled, 0);
     });
   });
+
+  describe('execute state scoping', () => {
+    it('should give each execution state namespaced to its guild and user', async () => {
+      const stored = new Map([
+        ['guild-1::count', 1],
+        ['guild-2::count', 7],
+      ]);
+      const model = {
+        getState: async (pluginId, key, scope) => stored.get(`${scope.guildId}:${scope.userId || ''}:${key}`) ?? null,
+        getGuildPlugin: async () => ({ enabled: true }),
+        getUsageLimits: async () => ({}),
+        getEgressPolicy: async () => ({}),
+        logCommandExecutions: async () => 0,
+      };
+      const manager = new PluginManager(mockClient, model);
+      const seen = [];
+      manager.sandbox.execute = async (code, context) => {
+        seen.push(await context.state.get('count'));
+        seen.push(await context.state.get('count', { scope: 'user' }));
+        return null;
+      };
+      manager.plugins.set('counter', { id: 'counter', name: 'Counter', enabled: true, compiled: '' });
+      stored.set('guild-1:user-1:count', 3);
+
+      await manager.execute('counter', { guildId: 'guild-1', interaction: { user: { id: 'user-1' } } });
+      await manager.execute('counter', { guildId: 'guild-2', interaction: { user: { id: 'user-1' } } });
+      await manager.execute('counter', { guildId: 'guild-3', interaction: { user: { id: 'user-1' } } });
+      await manager.executionLogger.stop();
+
+      assert.deepStrictEqual(seen, [1, 3, 7, null, null, null]);
+    });
+
+    it('should not run a guild-owned plugin outside its guild', async () => {
+      const model = {
+        getGuildPlugin: async () => ({ enabled: true }),
+        getUsageLimits: async () => ({}),
+        getEgressPolicy: async () => ({}),
+        logCommandExecutions: async () => 0,
+      };
+      const manager = new PluginManager(mockClient, model);
+      let runs = 0;
+      manager.sandbox.execute = async () => {
+        runs++;
+        return 'ran';
+      };
+      manager.plugins.set('private', { id: 'private', name: 'Private', enabled: true, compiled: '', guild_id: 'guild-1' });
+
+      assert.strictEqual(await manager.execute('private', { guildId: 'guild-2' }), null);
+      assert.strictEqual(await manager.execute('private', {}), null);
+      assert.strictEqual(await manager.execute('private', { guildId: 'guild-1' }), 'ran');
+      await manager.executionLogger.stop();
+
+      assert.strictEqual(runs, 1);
+    });
+  });
 });
 
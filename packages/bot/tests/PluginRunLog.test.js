@@ -0,0 +1,112 @@
+/**
+ * PluginRunLog Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PluginRunLog } from '../src/services/PluginRunLog.js';
+import { PluginManager } from '../src/plugins/PluginManager.js';
+
+/**
+ * Minimal model that records written runs, with no usage limits or egress policy for the plugin manager
+ */
+function createModel() {
+  return {
+    batches: [],
+    keep: null,
+    failNext: false,
+    async recordPluginRuns(runs, keep) {
+      if (this.failNext) {
+        this.failNext = false;
+        throw new Error('database unavailable');
+      }
+      this.batches.push(runs);
+      this.keep = keep;
+      return runs.length;
+    },
+    async getUsageLimits() {
+      return {};
+    },
+    async getEgressPolicy() {
+      return {};
+    },
+  };
+}
+
+describe('PluginRunLog', () => {
+  let model;
+
+  beforeEach(() => {
+    model = createModel();
+  });
+
+  it('should capture console output with a line limit', () => {
+    const runLog = new PluginRunLog(model, { maxLogLines: 3, maxLineLength: 10 });
+    const capture = runLog.createCapture();
+
+    capture.onLog('info', ['hello', { n: 1 }]);
+    capture.onLog('error', ['a very long log line']);
+    capture.onLog('info', ['third']);
+    capture.onLog('info', ['fourth']);
+    capture.onLog('info', ['fifth']);
+
+    assert.deepStrictEqual(capture.logs.map(log => [log.level, log.message]), [
+      ['info', 'hello {"n"'],
+      ['error', 'a very lon'],
+      ['warn', '3 more log lines not kept'],
+    ]);
+    assert.ok(capture.logs.every(log => Number.isInteger(log.time)));
+  });
+
+  it('should write buffered runs with the ring buffer size', async () => {
+    const runLog = new PluginRunLog(model, { maxRuns: 20, flushInterval: 60000 });
+
+    runLog.record({ plugin_id: 'a', guild_id: 'g', success: true });
+    runLog.record({ plugin_id: 'a', guild_id: 'g', success: false });
+    assert.strictEqual(model.batches.length, 0);
+
+    assert.strictEqual(await runLog.flush(), 2);
+    assert.strictEqual(model.keep, 20);
+    assert.ok(model.batches[0][0].created_at instanceof Date);
+    assert.strictEqual(runLog.buffer.length, 0);
+  });
+
+  it('should drop runs when a write fails', async () => {
+    const runLog = new PluginRunLog(model, { flushInterval: 60000 });
+    model.failNext = true;
+
+    runLog.record({ plugin_id: 'a', success: true });
+    assert.strictEqual(await runLog.flush(), 0);
+    assert.strictEqual(runLog.buffer.length, 0);
+    await runLog.stop();
+  });
+
+  it('should record runs executed by the plugin manager with their logs', async () => {
+    model.logCommandExecutions = async (executions) => executions.length;
+    const pluginManager = new PluginManager({}, model);
+    pluginManager.sandbox = {
+      execute: async (code, context) => {
+        context.onLog('info', ['rolled', 4]);
+        throw new Error('boom');
+      },
+    };
+    pluginManager.plugins.set('roll', { id: 'roll', name: 'Roll', enabled: true, compiled: '', trigger: { type: 'message' } });
+
+    const forwarded = [];
+    const context = { message: { author: { id: 'user-1', username: 'ada' } }, onLog: (level) => forwarded.push(level) };
+    await assert.rejects(pluginManager.execute('roll', context), /boom/);
+    await pluginManager.runLog.stop();
+    await pluginManager.executionLogger.stop();
+
+    const [run] = model.batches[0];
+    assert.strictEqual(run.plugin_id, 'roll');
+    assert.strictEqual(run.username, 'ada');
+    assert.strictEqual(run.trigger_type, 'message');
+    assert.strictEqual(run.success, false);
+    assert.strictEqual(run.error_message, 'boom');
+    assert.deepStrictEqual(run.logs.map(log => log.message), ['rolled 4']);
+    assert.deepStrictEqual(forwarded, ['info']);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * PluginStateStore Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PluginStateStore, resolveStateNamespace } from '../src/services/PluginStateStore.js';
+
+/**
+ * In-memory model implementing the state methods the store uses
+ */
+function createModel() {
+  const rows = new Map();
+  const rowKey = (pluginId, key, scope) => `${pluginId}|${scope.guildId || ''}|${scope.userId || ''}|${key}`;
+  const live = (row) => row && (!row.expiresAt || row.expiresAt > new Date());
+
+  return {
+    rows,
+    async getState(pluginId, key, scope = {}) {
+      const row = rows.get(rowKey(pluginId, key, scope));
+      return live(row) ? row.value : null;
+    },
+    async setState(pluginId, key, value, scope = {}, options = {}) {
+      rows.set(rowKey(pluginId, key, scope), { value, expiresAt: options.expiresAt || null });
+      return true;
+    },
+    async deleteState(pluginId, key, scope = {}) {
+      return rows.delete(rowKey(pluginId, key, scope));
+    },
+    async listState(pluginId, scope = {}, options = {}) {
+      const prefix = `${pluginId}|${scope.guildId || ''}|${scope.userId || ''}|${options.prefix || ''}`;
+      return [...rows.entries()]
+        .filter(([id, row]) => id.startsWith(prefix) && live(row))
+        .slice(0, options.limit)
+        .map(([id, row]) => ({ key: id.split('|')[3], value: row.value }));
+    },
+    async countState(pluginId, guildId = '') {
+      return [...rows.entries()].filter(([id, row]) => id.startsWith(`${pluginId}|${guildId}|`) && live(row)).length;
+    },
+    async incrementState(pluginId, key, amount, scope = {}) {
+      const id = rowKey(pluginId, key, scope);
+      const current = live(rows.get(id)) ? rows.get(id).value : 0;
+      if (typeof current !== 'number') {
+        throw new Error('invalid input syntax for type numeric');
+      }
+      rows.set(id, { value: current + amount, expiresAt: null });
+      return current + amount;
+    },
+  };
+}
+
+describe('PluginStateStore', () => {
+  let model;
+
+  beforeEach(() => {
+    model = createModel();
+  });
+
+  describe('resolveStateNamespace', () => {
+    it('should map scopes to guild and user namespaces', () => {
+      const context = { guildId: 'guild-1', userId: 'user-1' };
+
+      assert.deepStrictEqual(resolveStateNamespace('global', context), {});
+      assert.deepStrictEqual(resolveStateNamespace(undefined, context), { guildId: 'guild-1' });
+      assert.deepStrictEqual(resolveStateNamespace('user', context), { guildId: 'guild-1', userId: 'user-1' });
+      assert.throws(() => resolveStateNamespace('user', { guildId: 'guild-1' }), /triggering user/);
+      assert.throws(() => resolveStateNamespace('everyone', context), /Unknown state scope/);
+    });
+  });
+
+  describe('createHandle', () => {
+    it('should store JSON values per namespace', async () => {
+      const store = new PluginStateStore(model);
+      const guildOne = store.createHandle('poll', { guildId: 'guild-1', userId: 'user-1' });
+      const guildTwo = store.createHandle('poll', { guildId: 'guild-2', userId: 'user-1' });
+
+      await guildOne.set('votes', { yes: 2, no: [1] });
+      await guildOne.set('vote', 'yes', { scope: 'user' });
+
+      assert.deepStrictEqual(await guildOne.get('votes'), { yes: 2, no: [1] });
+      assert.strictEqual(await guildTwo.get('votes'), null);
+      assert.strictEqual(await guildOne.exists('vote', { scope: 'user' }), true);
+      assert.strictEqual(await guildOne.exists('vote'), false);
+      assert.deepStrictEqual(await guildOne.list(), [{ key: 'votes', value: { yes: 2, no: [1] } }]);
+
+      assert.strictEqual(await guildOne.delete('votes'), true);
+      assert.strictEqual(await guildOne.get('votes'), null);
+    });
+
+    it('should increment counters and reject non-numeric values', async () => {
+      const handle = new PluginStateStore(model).createHandle('counter', { guildId: 'guild-1' });
+
+      assert.strictEqual(await handle.increment('count'), 1);
+      assert.strictEqual(await handle.increment('count', 4), 5);
+
+      await handle.set('name', 'counter');
+      await assert.rejects(handle.increment('name'), /"name" is not a number/);
+      await assert.rejects(handle.increment('count', 'lots'), /Cannot increment/);
+    });
+
+    it('should expire values after their ttl', async () => {
+      const handle = new PluginStateStore(model).createHandle('cache', { guildId: 'guild-1' });
+
+      await handle.set('weather', 'sunny', { ttl: 60 });
+      const { expiresAt } = model.rows.get('cache|guild-1||weather');
+      assert.ok(expiresAt > new Date(Date.now() + 59 * 1000));
+
+      model.rows.get('cache|guild-1||weather').expiresAt = new Date(Date.now() - 1);
+      assert.strictEqual(await handle.get('weather'), null);
+      await assert.rejects(handle.set('weather', 'rain', { ttl: -5 }), /Invalid state ttl/);
+    });
+
+    it('should enforce quotas', async () => {
+      const store = new PluginStateStore(model, { maxKeys: 2, maxValueBytes: 32, maxOperations: 6 });
+      const handle = store.createHandle('leaderboard', { guildId: 'guild-1', userId: 'user-1' });
+
+      await handle.set('a', 1);
+      await handle.set('b', 1, { scope: 'user' });
+      await assert.rejects(handle.set('c', 1), /quota of 2 keys/);
+
+      // Existing keys can still be overwritten, other guilds have their own quota
+      await handle.set('a', 2);
+      await store.createHandle('leaderboard', { guildId: 'guild-2' }).set('c', 1);
+
+      await assert.rejects(handle.set('a', 'x'.repeat(64)), /limit is 32/);
+      await assert.rejects(handle.get(''), /non-empty string/);
+      await assert.rejects(handle.get('a'), /operation limit of 6/);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * PluginUsageLimiter Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { PluginUsageLimiter } from '../src/services/PluginUsageLimiter.js';
+
+/**
+ * In-memory model implementing the usage methods the limiter uses
+ * Mirrors the upsert in PluginModel.consumeUsage, which starts a bucket over once it expires.
+ */
+function createModel(limits = {}) {
+  const rows = new Map();
+  const rowKey = (pluginId, guildId, key) => `${pluginId}|${guildId}|${key}`;
+
+  return {
+    rows,
+    now: new Date('2026-10-19T12:00:00Z'),
+    async getUsageLimits() {
+      return limits;
+    },
+    async consumeUsage(pluginId, guildId, key, expiresAt) {
+      const id = rowKey(pluginId, guildId, key);
+      const row = rows.get(id);
+      const next = row && row.expiresAt > this.now ? { count: row.count + 1, expiresAt: row.expiresAt } : { count: 1, expiresAt };
+      rows.set(id, next);
+      return next;
+    },
+    async releaseUsage(pluginId, guildId, key) {
+      const row = rows.get(rowKey(pluginId, guildId, key));
+      if (row && row.count > 0) {
+        row.count--;
+      }
+    },
+    async purgeExpiredUsage(now) {
+      let removed = 0;
+      for (const [id, row] of rows) {
+        if (row.expiresAt <= now) {
+          rows.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+const identity = { guildId: 'g1', channelId: 'c1', userId: 'u1' };
+
+describe('PluginUsageLimiter', () => {
+  let model;
+  let limiter;
+
+  beforeEach(() => {
+    model = createModel({ userCooldown: 30, guildDailyLimit: 2 });
+    limiter = new PluginUsageLimiter(model);
+  });
+
+  it('should refuse a second run inside the cooldown', async () => {
+    assert.strictEqual(await limiter.consume('p1', identity, {}, model.now), null);
+
+    const limited = await limiter.consume('p1', identity, {}, model.now);
+    assert.strictEqual(limited.bucket, 'cooldown:user:u1');
+    assert.strictEqual(limited.retryAfter, 30);
+    assert.strictEqual(limited.message, '⏳ Slow down! You can use this again in 30 seconds.');
+
+    // Other users are not held up by u1's cooldown
+    assert.strictEqual(await limiter.consume('p1', { ...identity, userId: 'u2' }, {}, model.now), null);
+  });
+
+  it('should not count refused runs against the daily quota', async () => {
+    await limiter.consume('p1', identity, {}, model.now);
+    await limiter.consume('p1', identity, {}, model.now);
+    assert.strictEqual(model.rows.get('p1|g1|daily:guild:g1').count, 1);
+
+    const limited = await limiter.consume('p1', { ...identity, userId: 'u2' }, {}, model.now);
+    assert.strictEqual(limited, null);
+
+    const quota = await limiter.consume('p1', { ...identity, userId: 'u3' }, {}, model.now);
+    assert.strictEqual(quota.bucket, 'daily:guild:g1');
+    assert.strictEqual(quota.retryAfter, 12 * 60 * 60);
+    assert.strictEqual(model.rows.get('p1|g1|cooldown:user:u3').count, 0);
+  });
+
+  it('should apply guild overrides and a custom message', async () => {
+    const overrides = { userCooldown: 0, guildDailyLimit: '', message: 'Wait {retry_after}' };
+
+    assert.strictEqual(await limiter.consume('p1', identity, overrides, model.now), null);
+    assert.strictEqual(await limiter.consume('p1', identity, overrides, model.now), null);
+
+    const limited = await limiter.consume('p1', identity, overrides, model.now);
+    assert.strictEqual(limited.message, 'Wait 12 hours');
+  });
+
+  it('should read the limits of a plugin once per cache period', async () => {
+    let reads = 0;
+    const getUsageLimits = model.getUsageLimits;
+    model.getUsageLimits = async (pluginId) => {
+      reads++;
+      return getUsageLimits(pluginId);
+    };
+
+    await limiter.consume('p1', identity, {}, model.now);
+    await limiter.consume('p1', { ...identity, userId: 'u2' }, {}, model.now);
+    assert.strictEqual(reads, 1);
+
+    await limiter.consume('p1', { ...identity, userId: 'u3' }, {}, new Date(model.now.getTime() + 60 * 1000));
+    assert.strictEqual(reads, 2);
+
+    limiter.forget('p1');
+    await limiter.consume('p1', { ...identity, userId: 'u4' }, {}, new Date(model.now.getTime() + 60 * 1000));
+    assert.strictEqual(reads, 3);
+  });
+
+  it('should let runs through when the limits cannot be checked', async () => {
+    model.consumeUsage = async () => {
+      throw new Error('connection refused');
+    };
+
+    assert.strictEqual(await limiter.consume('p1', identity, {}, model.now), null);
+  });
+
+  it('should purge expired buckets', async () => {
+    await limiter.consume('p1', identity, {}, model.now);
+
+    assert.strictEqual(await limiter.purgeExpired(new Date('2026-10-19T12:01:00Z')), 1);
+    assert.deepStrictEqual([...model.rows.keys()], ['p1|g1|daily:guild:g1']);
+  });
+});
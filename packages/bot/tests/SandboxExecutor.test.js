@@ -110,6 +110,183 @@ describe('SandboxExecutor', () => {
       assert.strictEqual(result, 'TestUser');
     });
 
+    it('should expose typed slash options with resolved objects', async () => {
+      const code = `
+        const target = interaction.options.getUser('target');
+        const file = interaction.options.getAttachment('file');
+        __resolve([
+          interaction.options.getInteger('amount'),
+          interaction.options.getBoolean('silent'),
+          target.username,
+          interaction.options.getMentionable('target').id,
+          file.url,
+          interaction.options.getChannel('missing'),
+        ]);
+      `;
+      const context = {
+        interaction: {
+          user: { username: 'TestUser' },
+          options: {
+            data: [
+              { name: 'amount', type: 4, value: 3 },
+              { name: 'silent', type: 5, value: false },
+              { name: 'target', type: 6, value: 'user-1', user: { id: 'user-1', username: 'ada' } },
+              { name: 'file', type: 11, value: 'att-1', attachment: { id: 'att-1', name: 'a.png', url: 'https://cdn.example/a.png' } },
+            ],
+          },
+        },
+      };
+
+      assert.deepStrictEqual(await sandbox.execute(code, context), [3, false, 'ada', 'user-1', 'https://cdn.example/a.png', null]);
+    });
+
+    it('should expose the invoked subcommand and its options', async () => {
+      const code = `
+        __resolve([
+          interaction.options.getSubcommandGroup(false),
+          interaction.options.getSubcommand(),
+          interaction.options.getUser('target').id,
+        ].join(':'));
+      `;
+      const context = {
+        interaction: {
+          options: {
+            data: [{
+              name: 'mod',
+              type: 2,
+              options: [{ name: 'ban', type: 1, options: [{ name: 'target', type: 6, value: 'user-1', user: { id: 'user-1' } }] }],
+            }],
+          },
+        },
+      };
+
+      assert.strictEqual(await sandbox.execute(code, context), 'mod:ban:user-1');
+    });
+
+    it('should expose gateway event payloads', async () => {
+      const code = '__resolve(event ? event.type + ":" + event.user.username : "none");';
+      const context = {
+        event: {
+          type: 'guildMemberAdd',
+          guild: { id: 'guild-1', name: 'Test Guild' },
+          user: { id: 'user-1', username: 'Newcomer' },
+        },
+      };
+
+      assert.strictEqual(await sandbox.execute(code, context), 'guildMemberAdd:Newcomer');
+      assert.strictEqual(await sandbox.execute(code, {}), 'none');
+    });
+
+    it('should expose message pattern matches', async () => {
+      const code = '__resolve(match ? match.groups.city + ":" + match.captures[0] : "none");';
+      const context = {
+        match: { text: 'weather in Oslo', index: 0, groups: { city: 'Oslo' }, captures: ['Oslo'] },
+      };
+
+      assert.strictEqual(await sandbox.execute(code, context), 'Oslo:Oslo');
+      assert.strictEqual(await sandbox.execute(code, {}), 'none');
+    });
+
+    it('should expose schedule details', async () => {
+      const code = '__resolve(schedule ? schedule.cron + "@" + schedule.scheduledFor : "none");';
+      const context = {
+        schedule: { cron: '0 9 * * *', intervalSeconds: null, scheduledFor: '2026-10-19T09:00:00.000Z' },
+      };
+
+      assert.strictEqual(await sandbox.execute(code, context), '0 9 * * *@2026-10-19T09:00:00.000Z');
+      assert.strictEqual(await sandbox.execute(code, {}), 'none');
+    });
+
+    it('should bridge state calls to the host state store', async () => {
+      const calls = [];
+      const store = new Map([['count', 2]]);
+      const state = {
+        get: async (key, options) => {
+          calls.push(['get', key, options.scope]);
+          return store.has(key) ? store.get(key) : null;
+        },
+        set: async (key, value) => {
+          store.set(key, value);
+          return true;
+        },
+        increment: async (key, amount) => {
+          store.set(key, (store.get(key) || 0) + amount);
+          return store.get(key);
+        },
+      };
+      const code = `
+        const count = await state.increment('count', 3, { scope: 'guild' });
+        await state.set('board', { top: [count] });
+        const board = await state.get('board', { scope: 'user' });
+        __resolve(board.top[0]);
+      `;
+
+      assert.strictEqual(await sandbox.execute(code, { state }), 5);
+      assert.deepStrictEqual(store.get('board'), { top: [5] });
+      assert.deepStrictEqual(calls, [['get', 'board', 'user']]);
+    });
+
+    it('should surface state errors inside the plugin', async () => {
+      const state = {
+        set: async () => {
+          throw new Error('State quota of 1 keys reached');
+        },
+      };
+      const code = `
+        try {
+          await state.set('a', 1);
+          __resolve('saved');
+        } catch (error) {
+          __resolve(error.message);
+        }
+      `;
+
+      assert.strictEqual(await sandbox.execute(code, { state }), 'State quota of 1 keys reached');
+      assert.strictEqual(await sandbox.execute('state.list().catch(e => __resolve(e.message));', {}), 'Plugin state storage is not available');
+    });
+
+    it('should bridge follow-up jobs and expose resumed job payloads', async () => {
+      const scheduled = [];
+      const jobs = {
+        schedule: async (step, delaySeconds, payload) => {
+          scheduled.push({ step, delaySeconds, payload });
+          return 'job-1';
+        },
+      };
+
+      const code = 'jobs.schedule("remind", 300, { text: "stretch" }).then(id => __resolve(id));';
+      assert.strictEqual(await sandbox.execute(code, { jobs }), 'job-1');
+      assert.deepStrictEqual(scheduled, [{ step: 'remind', delaySeconds: 300, payload: { text: 'stretch' } }]);
+
+      const resumed = '__resolve(job ? job.step + ":" + job.payload.text : "none");';
+      assert.strictEqual(await sandbox.execute(resumed, { job: { id: 'job-1', step: 'remind', payload: { text: 'stretch' } } }), 'remind:stretch');
+      assert.strictEqual(await sandbox.execute(resumed, {}), 'none');
+    });
+
+    it('should bridge component helpers and expose component interactions', async () => {
+      const modals = [];
+      const components = {
+        customId: async (step, state, mode) => `dm:${mode}:poll:${step}:${state}`,
+        showModal: async (modal) => {
+          modals.push(modal);
+          return true;
+        },
+      };
+
+      const code = `
+        const customId = await components.customId('node_2', 'yes');
+        await components.showModal({ title: 'Why?', custom_id: customId });
+        __resolve(customId);
+      `;
+      assert.strictEqual(await sandbox.execute(code, { components }), 'dm:d:poll:node_2:yes');
+      assert.deepStrictEqual(modals, [{ title: 'Why?', custom_id: 'dm:d:poll:node_2:yes' }]);
+
+      const resumed = '__resolve(component ? component.type + ":" + component.values.join(",") : "none");';
+      const component = { type: 'select', step: 'node_2', state: '', values: ['red', 'blue'], fields: {} };
+      assert.strictEqual(await sandbox.execute(resumed, { component }), 'select:red,blue');
+      assert.strictEqual(await sandbox.execute(resumed, {}), 'none');
+    });
+
     it('should handle timeout for long-running code', async () => {
       const code = 'while(true) {}';
       const context = {};
@@ -120,6 +297,11 @@ describe('SandboxExecutor', () => {
       );
     });
 
+    it('should ignore trace calls when no trace listener is set', async () => {
+      const code = '__trace(\'1\', \'enter\', {}); __resolve(\'traced\');';
+      assert.strictEqual(await sandbox.execute(code, {}), 'traced');
+    });
+
     it('should isolate state between executions', async () => {
       const code1 = 'let x = 42; __resolve(x);';
       const code2 = 'typeof x === "undefined" ? __resolve("isolated") : __resolve("leaked");';
@@ -0,0 +1,164 @@
+/**
+ * Scheduler Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { Scheduler, getFollowingRun } from '../src/core/Scheduler.js';
+
+const NOW = new Date('2026-10-19T09:00:30.000Z');
+
+/**
+ * In-memory model implementing the schedule methods the scheduler uses
+ */
+function createModel(schedules) {
+  return {
+    schedules,
+    runs: [],
+    async getDueSchedules(now, limit) {
+      return this.schedules
+        .filter(schedule => schedule.enabled && schedule.next_run_at <= now)
+        .slice(0, limit)
+        .map(schedule => ({ ...schedule }));
+    },
+    async claimSchedule(observed, nextRunAt, now) {
+      const schedule = this.schedules.find(row => row.guild_id === observed.guild_id && row.plugin_id === observed.plugin_id);
+      if (!schedule.enabled || schedule.next_run_at.getTime() !== observed.next_run_at.getTime()) {
+        return false;
+      }
+      Object.assign(schedule, nextRunAt ? { next_run_at: nextRunAt } : { enabled: false }, { last_run_at: now });
+      return true;
+    },
+    async recordScheduleRun(guildId, pluginId, error) {
+      this.runs.push({ guildId, pluginId, error });
+    },
+  };
+}
+
+function createClient(sent) {
+  const channel = {
+    id: 'channel-1',
+    isTextBased: () => true,
+    send: async (content) => {
+      sent.push(content);
+    },
+  };
+  const guild = {
+    id: 'guild-1',
+    channels: {
+      cache: new Map([['channel-1', channel]]),
+      fetch: async () => null,
+    },
+  };
+  return { guilds: { cache: new Map([['guild-1', guild]]) } };
+}
+
+function createPluginManager(executions) {
+  return {
+    plugins: new Map([
+      ['digest', { id: 'digest', name: 'Digest', trigger: { type: 'schedule' } }],
+      ['ping', { id: 'ping', name: 'Ping', trigger: { type: 'command', command: 'ping' } }],
+    ]),
+    async execute(pluginId, context) {
+      executions.push({ pluginId, context });
+      await context.reply(`ran ${context.schedule.scheduledFor}`);
+      return true;
+    },
+  };
+}
+
+function createSchedule(overrides = {}) {
+  return {
+    guild_id: 'guild-1',
+    plugin_id: 'digest',
+    cron: null,
+    interval_seconds: 3600,
+    channel_id: 'channel-1',
+    enabled: true,
+    next_run_at: new Date('2026-10-19T09:00:00.000Z'),
+    ...overrides,
+  };
+}
+
+describe('Scheduler', () => {
+  let sent;
+  let executions;
+
+  beforeEach(() => {
+    sent = [];
+    executions = [];
+  });
+
+  describe('getFollowingRun', () => {
+    it('should keep the cadence of on-time runs', () => {
+      assert.strictEqual(getFollowingRun(createSchedule(), NOW).toISOString(), '2026-10-19T10:00:00.000Z');
+      assert.strictEqual(
+        getFollowingRun(createSchedule({ cron: '*/15 * * * *' }), NOW).toISOString(),
+        '2026-10-19T09:15:00.000Z',
+      );
+    });
+
+    it('should continue from now after missed runs', () => {
+      const schedule = createSchedule({ next_run_at: new Date('2026-10-17T02:00:00.000Z') });
+      assert.strictEqual(getFollowingRun(schedule, NOW).toISOString(), '2026-10-19T10:00:30.000Z');
+    });
+
+    it('should return null for invalid schedules', () => {
+      assert.strictEqual(getFollowingRun(createSchedule({ cron: 'every day' }), NOW), null);
+    });
+  });
+
+  describe('tick', () => {
+    it('should run due schedules and post to the configured channel', async () => {
+      const model = createModel([
+        createSchedule(),
+        createSchedule({ plugin_id: 'later', next_run_at: new Date('2026-10-19T12:00:00.000Z') }),
+      ]);
+      const scheduler = new Scheduler(createClient(sent), createPluginManager(executions), model);
+
+      assert.strictEqual(await scheduler.tick(NOW), 1);
+      assert.strictEqual(executions.length, 1);
+      assert.strictEqual(executions[0].context.guildId, 'guild-1');
+      assert.strictEqual(executions[0].context.schedule.intervalSeconds, 3600);
+      assert.deepStrictEqual(sent, ['ran 2026-10-19T09:00:00.000Z']);
+      assert.deepStrictEqual(model.runs, [{ guildId: 'guild-1', pluginId: 'digest', error: null }]);
+
+      // The claimed run is persisted, so the next tick has nothing to do
+      assert.strictEqual(model.schedules[0].next_run_at.toISOString(), '2026-10-19T10:00:00.000Z');
+      assert.strictEqual(await scheduler.tick(NOW), 0);
+    });
+
+    it('should not fire a schedule twice across schedulers', async () => {
+      const model = createModel([createSchedule()]);
+      const first = new Scheduler(createClient(sent), createPluginManager(executions), model);
+      const second = new Scheduler(createClient(sent), createPluginManager(executions), model);
+
+      // Both read the schedule before either claims it
+      const getDueSchedules = model.getDueSchedules.bind(model);
+      const due = await getDueSchedules(NOW, 25);
+      model.getDueSchedules = async () => due.map(schedule => ({ ...schedule }));
+
+      await Promise.all([first.tick(NOW), second.tick(NOW)]);
+      assert.strictEqual(executions.length, 1);
+    });
+
+    it('should record why a schedule could not run', async () => {
+      const model = createModel([
+        createSchedule({ plugin_id: 'ping' }),
+        createSchedule({ plugin_id: 'digest', channel_id: 'missing' }),
+        createSchedule({ plugin_id: 'unknown' }),
+      ]);
+      const scheduler = new Scheduler(createClient(sent), createPluginManager(executions), model);
+
+      assert.strictEqual(await scheduler.tick(NOW), 0);
+      assert.strictEqual(executions.length, 0);
+      assert.deepStrictEqual(model.runs.map(run => run.error), [
+        'Plugin is not a scheduled plugin',
+        'Channel missing is not a text channel in this guild',
+        'Plugin is not loaded',
+      ]);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * Admin Panel Component
- * Provides access to admin functionality including user management and access requests
+ * Provides access to admin functionality including user management, access requests, analytics and webhooks
  * @param {Object} props - Component props
  * @param {boolean} props.isOpen - Whether the panel is open
  * @param {Function} props.onClose - Function to close the panel
@@ -10,6 +10,8 @@
 import { useState } from 'react';
 import AccessRequestsPanel from './AccessRequestsPanel';
 import UserManagementPanel from './UserManagementPanel';
+import AnalyticsPanel from './AnalyticsPanel';
+import WebhooksPanel from './WebhooksPanel';
 
 export function AdminPanel({ isOpen, onClose }) {
   const [activeTab, setActiveTab] = useState('users');
@@ -60,6 +62,28 @@ export function AdminPanel({ isOpen, onClose }) {
                 <span className="mr-2">📋</span>
                 Access Requests
               </button>
+              <button
+                onClick={() => setActiveTab('analytics')}
+                className={`px-4 py-2 rounded-xl font-medium transition-all duration-200 ${
+                  activeTab === 'analytics'
+                    ? 'glass-strong border border-hologram-500/30 text-white'
+                    : 'glass text-gray-400 hover:text-white hover:glass-strong'
+                }`}
+              >
+                <span className="mr-2">📊</span>
+                Analytics
+              </button>
+              <button
+                onClick={() => setActiveTab('webhooks')}
+                className={`px-4 py-2 rounded-xl font-medium transition-all duration-200 ${
+                  activeTab === 'webhooks'
+                    ? 'glass-strong border border-hologram-500/30 text-white'
+                    : 'glass text-gray-400 hover:text-white hover:glass-strong'
+                }`}
+              >
+                <span className="mr-2">🪝</span>
+                Webhooks
+              </button>
             </div>
           </div>
 
@@ -69,10 +93,18 @@ export function AdminPanel({ isOpen, onClose }) {
               <div className="p-6">
                 <UserManagementPanel />
               </div>
-            ) : (
+            ) : activeTab === 'requests' ? (
               <div className="p-6">
                 <AccessRequestsPanel />
               </div>
+            ) : activeTab === 'analytics' ? (
+              <div className="p-6">
+                <AnalyticsPanel />
+              </div>
+            ) : (
+              <div className="p-6">
+                <WebhooksPanel />
+              </div>
             )}
           </div>
 
@@ -0,0 +1,188 @@
+/* eslint-env browser, node */
+/**
+ * Analytics Panel
+ * Admin component showing command execution analytics
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const WINDOW_OPTIONS = [7, 30, 90];
+
+export function AnalyticsPanel() {
+  const [analytics, setAnalytics] = useState(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.admin.getAnalytics({ days });
+      setAnalytics(response?.data || null);
+    } catch (error) {
+      console.error('Failed to fetch analytics:', error);
+      setError(error?.error || 'Failed to fetch analytics data');
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (error || !analytics) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-lg font-semibold text-white mb-2">Analytics Unavailable</h3>
+        <p className="text-gray-400 mb-4">{error || 'No analytics data returned.'}</p>
+        <button
+          onClick={fetchAnalytics}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const { breakdowns } = analytics;
+  const busiestDay = Math.max(1, ...breakdowns.byDay.map(row => row.executions));
+
+  const summaryCards = [
+    { label: 'Commands (24h)', value: analytics.totalCommands.day, detail: `${analytics.totalCommands.all} all time` },
+    { label: 'Commands (7d)', value: analytics.totalCommands.week, detail: `${analytics.uniqueUsers.week} users this week` },
+    { label: 'Success Rate', value: `${analytics.successRate}%`, detail: 'All executions' },
+    { label: 'Avg. Execution', value: `${analytics.avgExecutionTime}ms`, detail: 'All executions' }
+  ];
+
+  const renderBreakdown = (title, rows) => (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+      <h3 className="text-lg font-semibold text-white mb-4">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-gray-400 text-sm">No executions in this window.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="pb-2 font-medium">Name</th>
+              <th className="pb-2 font-medium text-right">Runs</th>
+              <th className="pb-2 font-medium text-right">Success</th>
+              <th className="pb-2 font-medium text-right">Avg.</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, 10).map((row, index) => (
+              <tr key={`${row.name}-${index}`} className="border-t border-gray-700 text-gray-300">
+                <td className="py-2 truncate max-w-[12rem]">{row.name}</td>
+                <td className="py-2 text-right">{row.executions}</td>
+                <td className="py-2 text-right">{row.successRate}%</td>
+                <td className="py-2 text-right">{row.avgExecutionTime}ms</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-white">Command Analytics</h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="bg-gray-700 text-white px-3 py-2 rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+          >
+            {WINDOW_OPTIONS.map(option => (
+              <option key={option} value={option}>Last {option} days</option>
+            ))}
+          </select>
+          <button
+            onClick={fetchAnalytics}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {summaryCards.map(card => (
+          <div key={card.label} className="bg-gray-800 rounded-lg p-4 border border-gray-700">
+            <p className="text-sm text-gray-400">{card.label}</p>
+            <p className="text-2xl font-bold text-white mt-1">{card.value}</p>
+            <p className="text-xs text-gray-500 mt-1">{card.detail}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <h3 className="text-lg font-semibold text-white mb-4">Executions per Day</h3>
+        <div className="flex items-end h-32 space-x-1">
+          {breakdowns.byDay.map(row => (
+            <div
+              key={row.date}
+              title={`${row.date}: ${row.executions} runs, ${row.failures} failed`}
+              className="flex-1 bg-blue-500/70 hover:bg-blue-400 rounded-t"
+              style={{ height: `${Math.max(2, (row.executions / busiestDay) * 100)}%` }}
+            />
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 mt-2">
+          <span>{breakdowns.byDay[0]?.date}</span>
+          <span>{breakdowns.byDay[breakdowns.byDay.length - 1]?.date}</span>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-4">
+        {renderBreakdown('By Plugin', breakdowns.byPlugin)}
+        {renderBreakdown('By Server', breakdowns.byGuild)}
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+        <h3 className="text-lg font-semibold text-white mb-4">Recent Activity</h3>
+        {analytics.recentActivity.length === 0 ? (
+          <p className="text-gray-400 text-sm">No commands have been run yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {analytics.recentActivity.slice(0, 15).map(execution => (
+              <div key={execution.id} className="flex items-center justify-between text-sm">
+                <div className="flex items-center space-x-2 text-gray-300">
+                  <span className={execution.success ? 'text-green-400' : 'text-red-400'}>
+                    {execution.success ? '●' : '✕'}
+                  </span>
+                  <span className="font-medium">{execution.plugin?.name || execution.command_name || 'Deleted plugin'}</span>
+                  <span className="text-gray-500">
+                    by {execution.user?.username || execution.discord_user_id || 'unknown'}
+                  </span>
+                </div>
+                <span className="text-gray-500">{formatDateTime(execution.created_at)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsPanel;
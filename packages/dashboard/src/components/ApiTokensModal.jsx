@@ -0,0 +1,231 @@
+/* eslint-env browser, node */
+/**
+ * API Tokens Modal
+ * Lists the user's personal API tokens and creates or revokes them; a new token is shown only once
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const SCOPES = [
+  { value: 'plugins:read', label: 'Read plugins' },
+  { value: 'plugins:write', label: 'Create, edit and publish plugins' },
+  { value: 'guilds:read', label: 'Read server plugin settings' },
+  { value: 'guilds:write', label: 'Change server plugin settings' }
+];
+
+const EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'Never' }
+];
+
+/**
+ * Format a date for the token list
+ * @param {string|null} value - ISO date
+ * @param {string} fallback - Text when there is no date
+ * @returns {string} Local date
+ */
+function formatDate(value, fallback) {
+  return value ? new Date(value).toLocaleDateString() : fallback;
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onClose - Called when the modal closes
+ */
+export function ApiTokensModal({ onClose }) {
+  const [tokens, setTokens] = useState([]);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['plugins:read']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await api.tokens.getAll();
+      setTokens(response?.data || []);
+    } catch (error) {
+      console.error('Failed to fetch API tokens:', error);
+      setError(error?.error || 'Failed to load API tokens');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTokens();
+  }, [fetchTokens]);
+
+  const run = async (action, failure) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await fetchTokens();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error?.details || error?.error || failure);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = () => run(async () => {
+    const response = await api.tokens.create({
+      name: name.trim(),
+      scopes,
+      expires_in_days: expiresInDays === '' ? null : Number(expiresInDays)
+    });
+    setCreatedToken(response?.data?.token || null);
+    setCopied(false);
+    setName('');
+  }, 'Failed to create API token');
+
+  const handleRevoke = (id) => run(() => api.tokens.revoke(id), 'Failed to revoke API token');
+
+  const handleCopy = async () => {
+    try {
+      // eslint-disable-next-line no-undef
+      await navigator.clipboard.writeText(createdToken);
+      setCopied(true);
+    } catch (error) {
+      console.error('Failed to copy:', error);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-lg rounded-xl border border-hologram-500/30 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">🔑</span>API Tokens
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <p className="text-gray-400 text-xs">
+              Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to use the API without signing in.
+              Tokens act as you, limited to their scopes, and cannot manage other tokens or admin settings.
+            </p>
+
+            {createdToken && (
+              <div className="space-y-2 p-3 rounded-lg border border-energy-green/40 bg-energy-green/10">
+                <p className="text-energy-green text-sm">Copy your new token now, it will not be shown again.</p>
+                <div className="flex space-x-2">
+                  <input type="text" readOnly value={createdToken} className={`${inputClass} font-mono text-xs`} />
+                  <button
+                    onClick={handleCopy}
+                    className="macos-button px-3 py-2 text-white text-sm"
+                  >
+                    {copied ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <label className="text-gray-300 text-sm">Your tokens</label>
+              {tokens.length === 0 ? (
+                <p className="text-gray-500 text-sm">No tokens yet</p>
+              ) : (
+                <ul className="space-y-1">
+                  {tokens.map(token => (
+                    <li key={token.id} className="flex items-center justify-between bg-gray-800/60 px-3 py-2 rounded-lg">
+                      <div>
+                        <p className="text-sm text-white">
+                          {token.name}
+                          <span className="ml-2 text-xs text-gray-400 font-mono">{token.prefix}…</span>
+                        </p>
+                        <p className="text-xs text-gray-400">
+                          {(token.scopes || []).join(', ')} · expires {formatDate(token.expires_at, 'never')} · last used {formatDate(token.last_used_at, 'never')}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleRevoke(token.id)}
+                        disabled={saving}
+                        className="text-red-400 hover:text-red-300 text-sm disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-gray-300 text-sm">New token</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. GitHub Actions"
+                className={inputClass}
+              />
+              <div className="grid grid-cols-2 gap-2">
+                {SCOPES.map(scope => (
+                  <label key={scope.value} className="flex items-center gap-2 text-sm text-gray-300" title={scope.label}>
+                    <input
+                      type="checkbox"
+                      checked={scopes.includes(scope.value)}
+                      onChange={() => toggleScope(scope.value)}
+                      className="rounded"
+                    />
+                    <span className="font-mono text-xs">{scope.value}</span>
+                  </label>
+                ))}
+              </div>
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(e.target.value)}
+                className={inputClass}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.value}>Expires: {option.label}</option>
+                ))}
+              </select>
+              <div className="flex justify-end">
+                <button
+                  onClick={handleCreate}
+                  disabled={saving || !name.trim() || scopes.length === 0}
+                  className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  Create Token
+                </button>
+              </div>
+            </div>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ApiTokensModal;
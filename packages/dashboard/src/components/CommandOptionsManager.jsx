@@ -5,14 +5,19 @@
  * @date 2025-10-15
  */
 
-const OPTION_TYPES = [
-  { value: 3, label: 'String (Text)' },
-  { value: 4, label: 'Integer (Number)' },
-  { value: 5, label: 'Boolean (True/False)' },
-  { value: 6, label: 'User (@mention)' },
-  { value: 7, label: 'Channel (#channel)' },
-  { value: 8, label: 'Role (@role)' }
-];
+import { useState } from 'react';
+import { OPTION_TYPES, CHANNEL_TYPES, getOptionSupport, userInputToOption } from '../utils/commandOptions.js';
+
+// Settings that only apply to some option types, by the support flag that allows them
+const TYPE_SETTINGS = {
+  choices: ['choices'],
+  range: ['min_value', 'max_value'],
+  length: ['min_length', 'max_length'],
+  channelTypes: ['channel_types'],
+  autocomplete: ['autocomplete', 'suggestions']
+};
+
+const inputClass = 'w-full px-2 py-1 bg-gray-800 text-white text-sm rounded border border-gray-600 focus:border-blue-500 focus:outline-none';
 
 /**
  * CommandOptionsManager Component
@@ -21,9 +26,11 @@ const OPTION_TYPES = [
  * @param {Array} nodes - All nodes in the workflow
  */
 export function CommandOptionsManager({ options = [], onChange, nodes = [] }) {
+  const [expanded, setExpanded] = useState(null);
+
   // Safety check to ensure options is always an array
   const safeOptions = Array.isArray(options) ? options : [];
-  
+
   const addOption = () => {
     onChange([...safeOptions, {
       name: '',
@@ -36,6 +43,23 @@ export function CommandOptionsManager({ options = [], onChange, nodes = [] }) {
   const updateOption = (index, field, value) => {
     const updated = [...safeOptions];
     updated[index] = { ...updated[index], [field]: value };
+    if (value === undefined) {
+      delete updated[index][field];
+    }
+    onChange(updated);
+  };
+
+  // Drop settings the new type does not support so Discord accepts the option
+  const changeType = (index, type) => {
+    const support = getOptionSupport(type);
+    const updated = [...safeOptions];
+    const option = { ...updated[index], type };
+    for (const [flag, fields] of Object.entries(TYPE_SETTINGS)) {
+      if (!support[flag]) {
+        fields.forEach(field => delete option[field]);
+      }
+    }
+    updated[index] = option;
     onChange(updated);
   };
 
@@ -44,20 +68,174 @@ export function CommandOptionsManager({ options = [], onChange, nodes = [] }) {
   };
 
   const detectUserInputs = () => {
-    const userInputs = (nodes || [])
-      .filter(n => n.type === 'variable' && n.data?.config?.type === 'user_input')
-      .map(n => n.data.config.name);
-    
-    const newOptions = userInputs.map(name => ({
-      name,
-      description: `The ${name} parameter`,
-      type: 3,
-      required: true
-    }));
-    
+    const existing = new Set(safeOptions.map(option => option.name));
+    const newOptions = (nodes || [])
+      .filter(n => n.type === 'variable' && n.data?.config?.type === 'user_input' && n.data.config.name)
+      .filter(n => !existing.has(n.data.config.name))
+      .map(n => userInputToOption(n.data.config));
+
     onChange([...safeOptions, ...newOptions]);
   };
 
+  if ((nodes || []).some(n => n.type === 'subcommands')) {
+    return (
+      <div className="space-y-2">
+        <h3 className="text-white font-medium">Command Options</h3>
+        <div className="text-gray-400 text-sm py-4 px-3 border border-dashed border-gray-600 rounded-lg">
+          This command uses a Subcommands node. Each subcommand gets the User Input variables on its own branch as
+          options, and User Input variables before the Subcommands node are shared by every subcommand.
+        </div>
+      </div>
+    );
+  }
+
+  const toNumber = (value) => (value === '' ? undefined : Number(value));
+
+  const firstOptional = safeOptions.findIndex(option => !option.required);
+  const requiredAfterOptional = firstOptional !== -1 && safeOptions.slice(firstOptional).some(option => option.required);
+
+  const renderSettings = (option, index) => {
+    const support = getOptionSupport(option.type);
+    const choices = option.choices || [];
+
+    return (
+      <div className="space-y-2 pt-2 border-t border-gray-600">
+        {support.range && (
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              placeholder="Min value"
+              value={option.min_value ?? ''}
+              onChange={(e) => updateOption(index, 'min_value', toNumber(e.target.value))}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              placeholder="Max value"
+              value={option.max_value ?? ''}
+              onChange={(e) => updateOption(index, 'max_value', toNumber(e.target.value))}
+              className={inputClass}
+            />
+          </div>
+        )}
+        {support.length && (
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="number"
+              min="0"
+              max="6000"
+              placeholder="Min length"
+              value={option.min_length ?? ''}
+              onChange={(e) => updateOption(index, 'min_length', toNumber(e.target.value))}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="1"
+              max="6000"
+              placeholder="Max length"
+              value={option.max_length ?? ''}
+              onChange={(e) => updateOption(index, 'max_length', toNumber(e.target.value))}
+              className={inputClass}
+            />
+          </div>
+        )}
+        {support.channelTypes && (
+          <div className="flex flex-wrap gap-3">
+            {CHANNEL_TYPES.map(channelType => (
+              <label key={channelType.value} className="flex items-center gap-1 text-xs text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={(option.channel_types || []).includes(channelType.value)}
+                  onChange={(e) => {
+                    const current = option.channel_types || [];
+                    const next = e.target.checked
+                      ? [...current, channelType.value]
+                      : current.filter(value => value !== channelType.value);
+                    updateOption(index, 'channel_types', next.length ? next : undefined);
+                  }}
+                  className="rounded"
+                />
+                {channelType.label}
+              </label>
+            ))}
+          </div>
+        )}
+        {support.choices && !option.autocomplete && (
+          <div className="space-y-1">
+            {choices.map((choice, choiceIndex) => (
+              <div key={choiceIndex} className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Choice name"
+                  value={choice.name || ''}
+                  onChange={(e) => updateOption(index, 'choices', choices.map((c, i) => (i === choiceIndex ? { ...c, name: e.target.value } : c)))}
+                  className={inputClass}
+                />
+                <input
+                  type={support.range ? 'number' : 'text'}
+                  placeholder="Value"
+                  value={choice.value ?? ''}
+                  onChange={(e) => {
+                    const value = support.range && e.target.value !== '' ? Number(e.target.value) : e.target.value;
+                    updateOption(index, 'choices', choices.map((c, i) => (i === choiceIndex ? { ...c, value } : c)));
+                  }}
+                  className={inputClass}
+                />
+                <button
+                  onClick={() => {
+                    const next = choices.filter((_, i) => i !== choiceIndex);
+                    updateOption(index, 'choices', next.length ? next : undefined);
+                  }}
+                  className="px-2 text-red-400 hover:text-red-300 text-sm"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            {choices.length < 25 && (
+              <button
+                onClick={() => updateOption(index, 'choices', [...choices, { name: '', value: '' }])}
+                className="text-xs text-blue-400 hover:text-blue-300"
+              >
+                + Add choice
+              </button>
+            )}
+          </div>
+        )}
+        {support.autocomplete && choices.length === 0 && (
+          <div className="space-y-1">
+            <label className="flex items-center gap-2 text-xs text-gray-300">
+              <input
+                type="checkbox"
+                checked={option.autocomplete || false}
+                onChange={(e) => updateOption(index, 'autocomplete', e.target.checked || undefined)}
+                className="rounded"
+              />
+              Autocomplete from suggestions
+            </label>
+            {option.autocomplete && (
+              <textarea
+                placeholder="One suggestion per line (up to 100)"
+                value={(option.suggestions || []).join('\n')}
+                onChange={(e) => updateOption(index, 'suggestions', e.target.value.split('\n'))}
+                onBlur={(e) => {
+                  const suggestions = e.target.value.split('\n').filter(v => v.trim());
+                  updateOption(index, 'suggestions', support.range ? suggestions.map(Number) : suggestions);
+                }}
+                rows={3}
+                className={inputClass}
+              />
+            )}
+          </div>
+        )}
+        {!Object.values(support).some(Boolean) && (
+          <p className="text-xs text-gray-400">This option type has no extra settings.</p>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-4">
       <div className="flex items-center justify-between">
@@ -99,11 +277,11 @@ export function CommandOptionsManager({ options = [], onChange, nodes = [] }) {
                   placeholder="Description"
                   value={option.description || ''}
                   onChange={(e) => updateOption(index, 'description', e.target.value)}
-                  className="col-span-5 px-2 py-1 bg-gray-800 text-white text-sm rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                  className="col-span-4 px-2 py-1 bg-gray-800 text-white text-sm rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
                 />
                 <select
                   value={option.type || 3}
-                  onChange={(e) => updateOption(index, 'type', parseInt(e.target.value))}
+                  onChange={(e) => changeType(index, parseInt(e.target.value))}
                   className="col-span-2 px-2 py-1 bg-gray-800 text-white text-sm rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
                 >
                   {OPTION_TYPES.map(t => (
@@ -119,6 +297,13 @@ export function CommandOptionsManager({ options = [], onChange, nodes = [] }) {
                   />
                   Req'd
                 </label>
+                <button
+                  onClick={() => setExpanded(expanded === index ? null : index)}
+                  className="col-span-1 px-2 py-1 bg-gray-600/40 hover:bg-gray-600 text-gray-300 text-sm rounded transition-colors"
+                  title="Option settings"
+                >
+                  ⚙
+                </button>
                 <button
                   onClick={() => removeOption(index)}
                   className="col-span-1 px-2 py-1 bg-red-600/20 hover:bg-red-600 text-red-400 hover:text-white text-sm rounded transition-colors"
@@ -126,10 +311,16 @@ export function CommandOptionsManager({ options = [], onChange, nodes = [] }) {
                   ✕
                 </button>
               </div>
+              {expanded === index && renderSettings(option, index)}
             </div>
           ))}
         </div>
       )}
+      {requiredAfterOptional && (
+        <p className="text-xs text-yellow-400">
+          ⚠️ Discord requires required options to come before optional ones.
+        </p>
+      )}
     </div>
   );
 }
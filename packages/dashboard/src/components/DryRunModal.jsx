@@ -0,0 +1,265 @@
+/**
+ * Dry Run Modal
+ * Runs the current node graph against a synthetic interaction and shows what it would do, without touching Discord
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useMemo } from 'react';
+import api from '../services/api';
+import { userInputToOption } from '../utils/commandOptions';
+
+/**
+ * Convert a typed-in option value to the type Discord would send
+ * @param {number} type - Option type
+ * @param {string|boolean} raw - Value from the form
+ * @returns {string|number|boolean|null} Option value, or null if left empty
+ */
+function toOptionValue(type, raw) {
+  if (raw === '' || raw === undefined) {
+    return null;
+  }
+  if (type === 4) {
+    return parseInt(raw, 10);
+  }
+  if (type === 10) {
+    return Number(raw);
+  }
+  if (type === 5) {
+    return raw === true || raw === 'true';
+  }
+  return String(raw);
+}
+
+/**
+ * Result section with a heading, hidden when empty
+ * @param {Object} props - Component props
+ */
+function ResultSection({ title, children, empty }) {
+  if (empty) {
+    return null;
+  }
+  return (
+    <div>
+      <h4 className="text-gray-300 text-sm font-medium mb-1">{title}</h4>
+      {children}
+    </div>
+  );
+}
+
+export function DryRunModal({ nodes, edges, commandName, commandOptions, onReplay, onClose }) {
+  const subcommandsNode = nodes.find(node => node.type === 'subcommands');
+  const branches = subcommandsNode?.data?.config?.subcommands || [];
+
+  // Options come from the options manager, or from User Input nodes when they define them
+  const options = useMemo(() => {
+    const byName = new Map((commandOptions || []).map(option => [option.name, option]));
+    for (const node of nodes) {
+      const config = node.data?.config;
+      if (node.type === 'variable' && config?.type === 'user_input' && config.name && !byName.has(config.name)) {
+        byName.set(config.name, userInputToOption(config));
+      }
+    }
+    return [...byName.values()];
+  }, [nodes, commandOptions]);
+
+  const [identity, setIdentity] = useState({ username: 'tester', guild: 'Test Server', channel: 'general' });
+  const [values, setValues] = useState({});
+  const [branch, setBranch] = useState(0);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleRun = async () => {
+    const selected = branches[branch];
+    try {
+      setRunning(true);
+      setError(null);
+      const response = await api.plugins.dryRun({
+        nodes,
+        edges,
+        input: {
+          commandName,
+          user: { username: identity.username },
+          guild: { name: identity.guild },
+          channel: { name: identity.channel },
+          subcommand: selected?.name || undefined,
+          group: selected?.group || undefined,
+          options: options
+            .map(option => ({ name: option.name, type: option.type, value: toOptionValue(option.type, values[option.name]) }))
+            .filter(option => option.value !== null)
+        }
+      });
+      setResult(response?.data || null);
+    } catch (error) {
+      console.error('Dry run failed:', error);
+      setError(error?.details?.join?.(', ') || error?.error || 'Failed to run plugin');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderOptionInput = (option) => {
+    const value = values[option.name] ?? '';
+    const setValue = (next) => setValues(prev => ({ ...prev, [option.name]: next }));
+    const className = 'w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm';
+
+    if (option.type === 5) {
+      return (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className={className}>
+          <option value="">(not set)</option>
+          <option value="true">True</option>
+          <option value="false">False</option>
+        </select>
+      );
+    }
+    if (option.choices?.length) {
+      return (
+        <select value={value} onChange={(e) => setValue(e.target.value)} className={className}>
+          <option value="">(not set)</option>
+          {option.choices.map(choice => (
+            <option key={choice.name} value={choice.value}>{choice.name}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        type={option.type === 4 || option.type === 10 ? 'number' : 'text'}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={[6, 7, 8, 9].includes(option.type) ? 'ID' : option.description}
+        className={className}
+      />
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-4xl rounded-xl border border-hologram-500/30">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">▶️</span>Test Run
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-6">
+          <div className="space-y-3 max-h-[28rem] overflow-y-auto">
+            <p className="text-gray-400 text-xs">
+              Runs the current graph in the sandbox. Nothing is sent to Discord and state is not saved.
+            </p>
+            {[['username', 'User'], ['guild', 'Server'], ['channel', 'Channel']].map(([key, label]) => (
+              <label key={key} className="block">
+                <span className="text-gray-300 text-sm">{label}</span>
+                <input
+                  type="text"
+                  value={identity[key]}
+                  onChange={(e) => setIdentity(prev => ({ ...prev, [key]: e.target.value }))}
+                  className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm"
+                />
+              </label>
+            ))}
+            {branches.length > 0 && (
+              <label className="block">
+                <span className="text-gray-300 text-sm">Subcommand</span>
+                <select
+                  value={branch}
+                  onChange={(e) => setBranch(Number(e.target.value))}
+                  className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm"
+                >
+                  {branches.map((sub, index) => (
+                    <option key={index} value={index}>{sub.group ? `${sub.group} ${sub.name}` : sub.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {options.map(option => (
+              <label key={option.name} className="block">
+                <span className="text-gray-300 text-sm">{option.name}{option.required ? ' *' : ''}</span>
+                {renderOptionInput(option)}
+              </label>
+            ))}
+            <button
+              onClick={handleRun}
+              disabled={running}
+              className="macos-button w-full px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {running ? 'Running...' : 'Run'}
+            </button>
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+          </div>
+
+          <div className="space-y-4 max-h-[28rem] overflow-y-auto">
+            {!result ? (
+              <p className="text-gray-400 text-sm text-center py-8">Fill in the interaction and click Run.</p>
+            ) : (
+              <>
+                <div className="flex items-center justify-between">
+                  <p className={`text-sm ${result.success ? 'text-green-400' : 'text-red-400'}`}>
+                    {result.success ? `✅ Finished in ${result.duration}ms` : `❌ ${result.error}`}
+                  </p>
+                  {result.trace?.length > 0 && (
+                    <button
+                      onClick={() => onReplay(result.trace)}
+                      className="macos-button px-3 py-1 text-sm text-yellow-300"
+                      title="Step through the run on the canvas"
+                    >
+                      🐞 Replay {result.trace.length} steps
+                    </button>
+                  )}
+                </div>
+                <ResultSection title="Reply" empty={!result.reply}>
+                  <pre className="bg-gray-900 text-gray-200 p-2 rounded text-xs whitespace-pre-wrap">
+                    {result.reply?.content || '(no content)'}
+                  </pre>
+                </ResultSection>
+                <ResultSection title="Embeds" empty={result.embeds.length === 0}>
+                  {result.embeds.map((embed, index) => (
+                    <div key={index} className="border-l-4 border-blue-500 bg-gray-900 p-2 rounded text-xs mb-2">
+                      {embed.title && <div className="text-white font-medium">{embed.title}</div>}
+                      {embed.description && <div className="text-gray-300 whitespace-pre-wrap">{embed.description}</div>}
+                      {(embed.fields || []).map((field, i) => (
+                        <div key={i} className="text-gray-400"><b>{field.name}</b>: {field.value}</div>
+                      ))}
+                    </div>
+                  ))}
+                </ResultSection>
+                <ResultSection title="Discord actions" empty={result.actions.length === 0}>
+                  <ul className="space-y-1">
+                    {result.actions.map((action, index) => (
+                      <li key={index} className="text-xs px-2 py-1 rounded bg-yellow-500/10 text-yellow-300">
+                        {action.type}{action.emoji ? ` ${action.emoji}` : ''}{action.step ? ` "${action.step}"` : ''}{action.event ? ` ${action.event}` : ''}
+                      </li>
+                    ))}
+                  </ul>
+                </ResultSection>
+                <ResultSection title="State changes" empty={result.state.changes.length === 0}>
+                  <ul className="space-y-1">
+                    {result.state.changes.map((change, index) => (
+                      <li key={index} className="text-xs px-2 py-1 rounded bg-green-500/10 text-green-300">
+                        {change.operation} {change.scope}:{change.key}{change.operation === 'delete' ? '' : ` = ${JSON.stringify(change.value)}`}
+                      </li>
+                    ))}
+                  </ul>
+                </ResultSection>
+                <ResultSection title="Logs" empty={result.logs.length === 0}>
+                  <pre className="bg-gray-900 text-gray-300 p-2 rounded text-xs whitespace-pre-wrap">
+                    {result.logs.map(log => `[${log.level}] ${log.message}`).join('\n')}
+                  </pre>
+                </ResultSection>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DryRunModal;
@@ -0,0 +1,229 @@
+/* eslint-env browser, node */
+/**
+ * HTTP Access Modal
+ * Sets the domains a plugin's HTTP requests may reach and the secrets they reference as {secret.NAME},
+ * for the plugin itself or, with a guild, the guild's own allowlist and secrets
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+/**
+ * Turn allowlist text, one domain per line, into a list
+ * @param {string} text - Allowlist text
+ * @returns {Array<string>} Domains
+ */
+function parseDomains(text) {
+  return text.split(/[\n,]/).map(domain => domain.trim()).filter(Boolean);
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.pluginId - Plugin to configure
+ * @param {string} props.pluginName - Name shown in the title
+ * @param {string} [props.guildId] - Guild whose allowlist and secrets are edited; without it the plugin's own are
+ * @param {Function} props.onClose - Called when the modal closes
+ */
+export function HttpAccessModal({ pluginId, pluginName, guildId, onClose }) {
+  const [domains, setDomains] = useState('');
+  const [pluginDomains, setPluginDomains] = useState([]);
+  const [secrets, setSecrets] = useState([]);
+  const [secretName, setSecretName] = useState('');
+  const [secretValue, setSecretValue] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      if (guildId) {
+        const response = await api.guilds.getHttpSettings(guildId, pluginId);
+        setPluginDomains(response?.data?.egress?.allowedDomains || []);
+        setDomains((response?.data?.overrides?.allowedDomains || []).join('\n'));
+        setSecrets(response?.data?.secrets || []);
+      } else {
+        const [plugin, pluginSecrets] = await Promise.all([
+          api.plugins.getById(pluginId),
+          api.plugins.getSecrets(pluginId)
+        ]);
+        setDomains((plugin?.data?.egress?.allowedDomains || []).join('\n'));
+        setSecrets(pluginSecrets?.data || []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch HTTP settings:', error);
+      setError(error?.error || 'Failed to load HTTP settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [guildId, pluginId]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const run = async (action, failure) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error?.details || error?.error || failure);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDomains = () => run(async () => {
+    const policy = { allowedDomains: parseDomains(domains) };
+    if (guildId) {
+      await api.guilds.updateEgress(guildId, pluginId, policy);
+    } else {
+      await api.plugins.update(pluginId, { egress: policy });
+    }
+  }, 'Failed to save allowed domains');
+
+  const handleSetSecret = () => run(async () => {
+    const name = secretName.trim();
+    if (guildId) {
+      await api.guilds.setSecret(guildId, pluginId, name, secretValue);
+    } else {
+      await api.plugins.setSecret(pluginId, name, secretValue);
+    }
+    setSecretName('');
+    setSecretValue('');
+    await fetchSettings();
+  }, 'Failed to save secret');
+
+  const handleDeleteSecret = (name) => run(async () => {
+    if (guildId) {
+      await api.guilds.deleteSecret(guildId, pluginId, name);
+    } else {
+      await api.plugins.deleteSecret(pluginId, name);
+    }
+    await fetchSettings();
+  }, 'Failed to delete secret');
+
+  // Plugin-wide secrets can only be removed from the editor, guilds manage their own
+  const canDelete = (secret) => (guildId ? secret.scope === 'guild' : true);
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-lg rounded-xl border border-hologram-500/30 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">🌐</span>HTTP Access: {pluginName}
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="space-y-2">
+              <label className="text-gray-300 text-sm">Allowed domains</label>
+              {guildId && (
+                <p className="text-gray-400 text-xs">
+                  Plugin allows: {pluginDomains.length > 0 ? pluginDomains.join(', ') : 'any public host'}.
+                  Domains listed here limit it further in this server.
+                </p>
+              )}
+              <textarea
+                value={domains}
+                onChange={(e) => setDomains(e.target.value)}
+                rows={4}
+                placeholder={'api.example.com\n*.githubusercontent.com'}
+                className={`${inputClass} font-mono text-sm`}
+              />
+              <p className="text-gray-400 text-xs">
+                One per line, <code>*.</code> allows subdomains. Leave empty to allow any public host. Private and internal addresses are always blocked.
+              </p>
+              <div className="flex justify-end">
+                <button
+                  onClick={handleSaveDomains}
+                  disabled={saving}
+                  className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  Save Domains
+                </button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-gray-300 text-sm">Secrets</label>
+              <p className="text-gray-400 text-xs">
+                Reference a secret as <code>{'{secret.NAME}'}</code> in an HTTP Request node. Values are encrypted and cannot be read back.
+                {guildId && ' Secrets set here replace plugin secrets of the same name in this server.'}
+              </p>
+              {secrets.length === 0 ? (
+                <p className="text-gray-500 text-sm">No secrets yet</p>
+              ) : (
+                <ul className="space-y-1">
+                  {secrets.map(secret => (
+                    <li key={`${secret.scope}-${secret.name}`} className="flex items-center justify-between bg-gray-800/60 px-3 py-2 rounded-lg">
+                      <span className="font-mono text-sm text-white">
+                        {secret.name}
+                        {guildId && <span className="ml-2 text-xs text-gray-400">{secret.scope === 'guild' ? 'this server' : 'plugin'}</span>}
+                      </span>
+                      {canDelete(secret) && (
+                        <button
+                          onClick={() => handleDeleteSecret(secret.name)}
+                          disabled={saving}
+                          className="text-red-400 hover:text-red-300 text-sm disabled:opacity-50"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={secretName}
+                  onChange={(e) => setSecretName(e.target.value)}
+                  placeholder="API_KEY"
+                  className={`${inputClass} font-mono`}
+                />
+                <input
+                  type="password"
+                  value={secretValue}
+                  onChange={(e) => setSecretValue(e.target.value)}
+                  placeholder="Value"
+                  autoComplete="new-password"
+                  className={inputClass}
+                />
+              </div>
+              <div className="flex justify-end">
+                <button
+                  onClick={handleSetSecret}
+                  disabled={saving || !secretName.trim() || !secretValue}
+                  className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  Save Secret
+                </button>
+              </div>
+            </div>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default HttpAccessModal;
@@ -6,6 +6,10 @@
  */
 
 import { getAvailableVariables, formatVariableDisplay } from '../utils/nodeAnalyzer.js';
+import { inferVariableTypes, checkVariableTypes } from '@dismodular/shared/utils/typeInference.js';
+import { GatewayEvents } from '@dismodular/shared/types/events.js';
+import { OPTION_TYPES, CHANNEL_TYPES, getOptionSupport, isResolvedOptionType } from '../utils/commandOptions.js';
+import { SubflowCallConfig } from './SubflowCallConfig';
 import { _useEffect } from 'react';
 
 /**
@@ -92,6 +96,19 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
   if (!selectedNode) return null;
 
   const updateNodeConfig = (updates) => updateConfig(setNodes, selectedNode.id, updates);
+
+  // Edit list settings such as buttons, select options and modal fields
+  const updateListItem = (key, index, updates) => {
+    const items = [...(selectedNode.data.config?.[key] || [])];
+    items[index] = { ...items[index], ...updates };
+    updateNodeConfig({ [key]: items });
+  };
+  const removeListItem = (key, index) => {
+    updateNodeConfig({ [key]: (selectedNode.data.config?.[key] || []).filter((_, i) => i !== index) });
+  };
+  const addListItem = (key, item) => {
+    updateNodeConfig({ [key]: [...(selectedNode.data.config?.[key] || []), item] });
+  };
   
   // Get condition type with default fallback
   const getConditionType = () => {
@@ -100,6 +117,11 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
   
   // Get available variables for this node
   const availableVariables = getAvailableVariables(selectedNode.id, allNodes, allEdges);
+  const inferredTypes = inferVariableTypes(allNodes, allEdges).get(selectedNode.id);
+  const variableIssues = checkVariableTypes(allNodes, allEdges).filter(issue => issue.nodeId === selectedNode.id);
+
+  // Trigger settings are applied by the editor, so read them from the analysed nodes
+  const triggerConfig = allNodes.find(n => n.id === selectedNode.id)?.data?.config || {};
 
   return (
     <div className="w-80 bg-gray-800 border-l border-gray-700 p-4 overflow-y-auto">
@@ -117,7 +139,7 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
               <span
                 key={v.name}
                 className="px-2 py-1 bg-purple-700 bg-opacity-50 text-purple-200 text-xs rounded border border-purple-600 hover:bg-purple-600 cursor-help"
-                title={`${v.type} from ${v.source}`}
+                title={`${inferredTypes?.get(v.name)?.type || v.type} from ${v.source}`}
               >
                 {'{' + v.name + '}'}
               </span>
@@ -133,6 +155,19 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
           </p>
         </div>
       )}
+
+      {/* Variable Type Warnings Section */}
+      {variableIssues.length > 0 && (
+        <div className="mb-4 p-3 bg-yellow-500/10 border border-yellow-500/30 rounded-lg">
+          <h3 className="text-yellow-300 text-sm font-semibold mb-2 flex items-center gap-2">
+            <span>⚠️</span>
+            Variable Warnings
+          </h3>
+          {variableIssues.map(issue => (
+            <p key={issue.variable} className="text-yellow-200 text-xs">{issue.message}</p>
+          ))}
+        </div>
+      )}
       
       <div className="space-y-4">
         {/* Node Type Display */}
@@ -167,10 +202,52 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
               <span>▶️</span>
               Starting Point
             </p>
-            <p className="text-xs mb-2">This node triggers when your command is executed. Every plugin needs exactly ONE trigger node.</p>
-            <div className="text-xs text-green-300 bg-green-900 bg-opacity-30 p-2 rounded mt-2">
-              💡 <strong>Tip:</strong> Connect this to Variable nodes first to get user input, then build your logic!
-            </div>
+            {triggerConfig.triggerType === 'event' ? (
+              <>
+                <p className="text-xs mb-2">
+                  This node triggers when the <strong>{GatewayEvents[triggerConfig.event]?.label || triggerConfig.event}</strong> event happens in a server where the plugin is enabled. Every plugin needs exactly ONE trigger node.
+                </p>
+                <div className="text-xs text-green-300 bg-green-900 bg-opacity-30 p-2 rounded mt-2">
+                  💡 <strong>Tip:</strong> Event details are available as {'{event_...}'} variables, e.g. {'{event_user_username}'}. Replies are posted in the event&apos;s channel or the server&apos;s system channel.
+                </div>
+              </>
+            ) : triggerConfig.triggerType === 'message' ? (
+              <>
+                <p className="text-xs mb-2">
+                  This node triggers when a server message matches <code className="text-green-200">{triggerConfig.pattern || '(no pattern)'}</code>. Every plugin needs exactly ONE trigger node.
+                </p>
+                <div>
+                  <label className="text-gray-300 text-xs">Cooldown per server (seconds)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={selectedNode.data.config?.cooldownSeconds ?? 5}
+                    onChange={(e) => updateNodeConfig({ cooldownSeconds: e.target.value === '' ? undefined : Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                    className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  />
+                  <p className="text-gray-400 text-xs mt-1">Matches inside the cooldown window are ignored</p>
+                </div>
+                <div className="text-xs text-green-300 bg-green-900 bg-opacity-30 p-2 rounded mt-2">
+                  💡 <strong>Tip:</strong> The matched text is {'{match}'}, numbered groups are {'{match_1}'}, {'{match_2}'}… and named groups like {'(?<city>\\w+)'} become {'{city}'}.
+                </div>
+              </>
+            ) : triggerConfig.triggerType === 'schedule' ? (
+              <>
+                <p className="text-xs mb-2">
+                  This node triggers on the schedule each server sets for the plugin, and replies are posted to that schedule&apos;s channel. Every plugin needs exactly ONE trigger node.
+                </p>
+                <div className="text-xs text-green-300 bg-green-900 bg-opacity-30 p-2 rounded mt-2">
+                  💡 <strong>Tip:</strong> {'{scheduled_for}'} is when the run was due and {'{fired_at}'} when it actually started. There is no triggering user, so keep state in the server scope.
+                </div>
+              </>
+            ) : (
+              <>
+                <p className="text-xs mb-2">This node triggers when your command is executed. Every plugin needs exactly ONE trigger node.</p>
+                <div className="text-xs text-green-300 bg-green-900 bg-opacity-30 p-2 rounded mt-2">
+                  💡 <strong>Tip:</strong> Connect this to Variable nodes first to get user input, then build your logic!
+                </div>
+              </>
+            )}
           </div>
         )}
 
@@ -234,6 +311,184 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
                 <option value="timestamp">Current Timestamp</option>
               </select>
             </div>
+            {selectedNode.data.config?.type === 'user_input' && (
+              <>
+                <div>
+                  <label className="text-gray-400 text-sm">Option Type</label>
+                  <select
+                    value={selectedNode.data.config?.optionType || 3}
+                    onChange={(e) => updateNodeConfig({ optionType: parseInt(e.target.value) })}
+                    className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  >
+                    {OPTION_TYPES.map(t => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                  {isResolvedOptionType(selectedNode.data.config?.optionType) && (
+                    <p className="text-gray-500 text-xs mt-1">
+                      Stores the ID (or file URL), with the display name in {`{${selectedNode.data.config?.name || 'myVariable'}_name}`}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="text-gray-400 text-sm">Description</label>
+                  <input
+                    type="text"
+                    value={selectedNode.data.config?.description || ''}
+                    onChange={(e) => updateNodeConfig({ description: e.target.value })}
+                    className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                    placeholder={`Enter ${selectedNode.data.config?.name || 'value'}`}
+                    maxLength={100}
+                  />
+                </div>
+                <label className="flex items-center gap-2 text-gray-400 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={selectedNode.data.config?.required !== false}
+                    onChange={(e) => updateNodeConfig({ required: e.target.checked })}
+                    className="rounded"
+                  />
+                  Required
+                </label>
+                {getOptionSupport(selectedNode.data.config?.optionType).range && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="text-gray-400 text-sm">Min Value</label>
+                      <input
+                        type="number"
+                        value={selectedNode.data.config?.minValue ?? ''}
+                        onChange={(e) => updateNodeConfig({ minValue: e.target.value })}
+                        className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-gray-400 text-sm">Max Value</label>
+                      <input
+                        type="number"
+                        value={selectedNode.data.config?.maxValue ?? ''}
+                        onChange={(e) => updateNodeConfig({ maxValue: e.target.value })}
+                        className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                      />
+                    </div>
+                  </div>
+                )}
+                {getOptionSupport(selectedNode.data.config?.optionType).length && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="text-gray-400 text-sm">Min Length</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="6000"
+                        value={selectedNode.data.config?.minLength ?? ''}
+                        onChange={(e) => updateNodeConfig({ minLength: e.target.value })}
+                        className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-gray-400 text-sm">Max Length</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="6000"
+                        value={selectedNode.data.config?.maxLength ?? ''}
+                        onChange={(e) => updateNodeConfig({ maxLength: e.target.value })}
+                        className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                      />
+                    </div>
+                  </div>
+                )}
+                {getOptionSupport(selectedNode.data.config?.optionType).channelTypes && (
+                  <div>
+                    <label className="text-gray-400 text-sm">Allowed Channel Types</label>
+                    <div className="grid grid-cols-2 gap-1 mt-1">
+                      {CHANNEL_TYPES.map(channelType => (
+                        <label key={channelType.value} className="flex items-center gap-2 text-gray-400 text-xs">
+                          <input
+                            type="checkbox"
+                            checked={(selectedNode.data.config?.channelTypes || []).includes(channelType.value)}
+                            onChange={(e) => {
+                              const current = selectedNode.data.config?.channelTypes || [];
+                              updateNodeConfig({
+                                channelTypes: e.target.checked
+                                  ? [...current, channelType.value]
+                                  : current.filter(value => value !== channelType.value)
+                              });
+                            }}
+                            className="rounded"
+                          />
+                          {channelType.label}
+                        </label>
+                      ))}
+                    </div>
+                    <p className="text-gray-500 text-xs mt-1">Leave all unchecked to allow any channel</p>
+                  </div>
+                )}
+                {getOptionSupport(selectedNode.data.config?.optionType).choices && (
+                  <div className="space-y-2">
+                    <label className="text-gray-400 text-sm">Choices</label>
+                    {(selectedNode.data.config?.choices || []).map((choice, index) => (
+                      <div key={index} className="flex gap-2">
+                        <input
+                          type="text"
+                          value={choice.name || ''}
+                          onChange={(e) => updateListItem('choices', index, { name: e.target.value })}
+                          className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                          placeholder="Shown as"
+                        />
+                        <input
+                          type="text"
+                          value={choice.value ?? ''}
+                          onChange={(e) => updateListItem('choices', index, { value: e.target.value })}
+                          className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                          placeholder="Value"
+                        />
+                        <button
+                          onClick={() => removeListItem('choices', index)}
+                          className="text-red-400 hover:text-red-300 text-xs"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    {(selectedNode.data.config?.choices || []).length < 25 && !selectedNode.data.config?.autocomplete && (
+                      <button
+                        onClick={() => addListItem('choices', { name: '', value: '' })}
+                        className="w-full py-2 px-3 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg border border-gray-600 text-sm transition-colors"
+                      >
+                        + Add Choice
+                      </button>
+                    )}
+                  </div>
+                )}
+                {getOptionSupport(selectedNode.data.config?.optionType).autocomplete && !(selectedNode.data.config?.choices || []).length && (
+                  <div>
+                    <label className="flex items-center gap-2 text-gray-400 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={selectedNode.data.config?.autocomplete || false}
+                        onChange={(e) => updateNodeConfig({ autocomplete: e.target.checked })}
+                        className="rounded"
+                      />
+                      Autocomplete
+                    </label>
+                    {selectedNode.data.config?.autocomplete && (
+                      <>
+                        <textarea
+                          value={(selectedNode.data.config?.suggestions || []).join('\n')}
+                          onChange={(e) => updateNodeConfig({ suggestions: e.target.value.split('\n') })}
+                          onBlur={(e) => updateNodeConfig({ suggestions: e.target.value.split('\n').filter(v => v.trim()) })}
+                          className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                          rows={4}
+                          placeholder={'One suggestion per line'}
+                        />
+                        <p className="text-gray-500 text-xs mt-1">Up to 100 suggestions, filtered as the user types</p>
+                      </>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
             {selectedNode.data.config?.type === 'string' && (
               <>
                 <div>
@@ -637,6 +892,9 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
                 className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
                 placeholder="https://api.example.com/data"
               />
+              <p className="text-gray-500 text-xs mt-1">
+                Use {'{secret.NAME}'} in the URL, headers or body for API keys. Secrets are set under HTTP Access and filled in by the bot, so they never appear in the plugin.
+              </p>
             </div>
             <div>
               <label className="text-gray-400 text-sm">Headers (JSON)</label>
@@ -645,7 +903,7 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
                 onChange={(e) => updateNodeConfig({ headers: e.target.value })}
                 rows={3}
                 className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500 font-mono text-xs"
-                placeholder='{"Authorization": "Bearer token"}'
+                placeholder='{"Authorization": "Bearer {secret.API_KEY}"}'
               />
             </div>
             <div>
@@ -1115,19 +1373,54 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
               >
                 <option value="get">Get</option>
                 <option value="set">Set</option>
+                <option value="increment">Increment</option>
                 <option value="delete">Delete</option>
+                <option value="exists">Exists</option>
+                <option value="list">List</option>
               </select>
             </div>
             <div>
-              <label className="text-gray-400 text-sm">Key</label>
-              <input
-                type="text"
-                value={selectedNode.data.config?.key || ''}
-                onChange={(e) => updateNodeConfig({ key: e.target.value })}
+              <label className="text-gray-400 text-sm">Scope</label>
+              <select
+                value={selectedNode.data.config?.scope || 'guild'}
+                onChange={(e) => updateNodeConfig({ scope: e.target.value })}
                 className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
-                placeholder="user_score"
-              />
+              >
+                <option value="guild">Per server</option>
+                <option value="user">Per user (in each server)</option>
+                <option value="global">Shared by all servers</option>
+              </select>
+              <p className="text-gray-400 text-xs mt-1">
+                {selectedNode.data.config?.scope === 'global'
+                  ? 'Every server reads and writes the same value'
+                  : 'Each server keeps its own data'}
+              </p>
             </div>
+            {selectedNode.data.config?.operation === 'list' ? (
+              <div>
+                <label className="text-gray-400 text-sm">Key Prefix</label>
+                <input
+                  type="text"
+                  value={selectedNode.data.config?.prefix || ''}
+                  onChange={(e) => updateNodeConfig({ prefix: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  placeholder="score_"
+                />
+                <p className="text-gray-400 text-xs mt-1">Returns up to 100 {'{ key, value }'} entries</p>
+              </div>
+            ) : (
+              <div>
+                <label className="text-gray-400 text-sm">Key</label>
+                <input
+                  type="text"
+                  value={selectedNode.data.config?.key || ''}
+                  onChange={(e) => updateNodeConfig({ key: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  placeholder="user_score"
+                />
+                <p className="text-gray-400 text-xs mt-1">Use {'{variable}'} to build keys, e.g. score_{'{user_id}'}</p>
+              </div>
+            )}
             {selectedNode.data.config?.operation === 'set' && (
               <div>
                 <label className="text-gray-400 text-sm">Value</label>
@@ -1137,9 +1430,35 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
                   onChange={(e) => updateNodeConfig({ value: e.target.value })}
                   className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
                 />
+                <p className="text-gray-400 text-xs mt-1">A single {'{variable}'} keeps its type, so numbers, lists and objects are stored as JSON</p>
+              </div>
+            )}
+            {selectedNode.data.config?.operation === 'increment' && (
+              <div>
+                <label className="text-gray-400 text-sm">Amount</label>
+                <input
+                  type="text"
+                  value={selectedNode.data.config?.amount ?? '1'}
+                  onChange={(e) => updateNodeConfig({ amount: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  placeholder="1"
+                />
               </div>
             )}
-            {selectedNode.data.config?.operation === 'get' && (
+            {['set', 'increment'].includes(selectedNode.data.config?.operation) && (
+              <div>
+                <label className="text-gray-400 text-sm">Expires After (seconds)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={selectedNode.data.config?.ttl || ''}
+                  onChange={(e) => updateNodeConfig({ ttl: e.target.value ? parseInt(e.target.value, 10) : null })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  placeholder="Never"
+                />
+              </div>
+            )}
+            {['get', 'list', 'exists', 'increment'].includes(selectedNode.data.config?.operation || 'get') && (
               <div>
                 <label className="text-gray-400 text-sm">Store Result In</label>
                 <input
@@ -1645,6 +1964,399 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
           </>
         )}
 
+        {/* Schedule Follow-up Node */}
+        {selectedNode.type === 'schedule_followup' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>⏰ Schedule Follow-up:</strong> The left path continues now, the right path runs after the delay. The job is stored, so it survives bot restarts.
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Delay</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.delay ?? '5'}
+                onChange={(e) => updateNodeConfig({ delay: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="e.g., 5 or {minutes}"
+              />
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Unit</label>
+              <select
+                value={selectedNode.data.config?.unit || 'minutes'}
+                onChange={(e) => updateNodeConfig({ unit: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              >
+                <option value="seconds">Seconds</option>
+                <option value="minutes">Minutes</option>
+                <option value="hours">Hours</option>
+                <option value="days">Days</option>
+              </select>
+              <p className="text-gray-500 text-xs mt-1">Delays can be up to 30 days</p>
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Job ID Variable</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.jobVar || 'job_id'}
+                onChange={(e) => updateNodeConfig({ jobVar: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            </div>
+            <div className="text-xs text-gray-400 bg-gray-750 p-2 rounded">
+              💡 <strong>Tip:</strong> Variables set before this node are saved with the job and are available again on the follow-up path
+            </div>
+          </>
+        )}
+
+        {/* Try/Catch Node */}
+        {selectedNode.type === 'try_catch' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>🛟 Try/Catch:</strong> The left path runs as usual. If any step on it fails, the plugin jumps to the right path instead of replying with a generic error.
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Error Message Variable</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.messageVar || 'error_message'}
+                onChange={(e) => updateNodeConfig({ messageVar: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Error Code Variable</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.codeVar || 'error_code'}
+                onChange={(e) => updateNodeConfig({ codeVar: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+              <p className="text-gray-500 text-xs mt-1">The error's code, e.g. a Discord API error code, or its name such as TypeError</p>
+            </div>
+            <div className="text-xs text-gray-400 bg-gray-750 p-2 rounded">
+              💡 <strong>Tip:</strong> Use {'{error_message}'} in a Send Message node on the error path to tell users what went wrong
+            </div>
+          </>
+        )}
+
+        {/* Call Sub-flow Node */}
+        {selectedNode.type === 'call_subflow' && (
+          <SubflowCallConfig
+            config={selectedNode.data.config || {}}
+            onChange={updateNodeConfig}
+          />
+        )}
+
+        {/* Buttons Node */}
+        {selectedNode.type === 'buttons' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>🔘 Buttons:</strong> Adds up to 5 buttons to the response. The right path runs when one is clicked, with its value in {'{component_value}'}.
+            </div>
+            <div className="space-y-2">
+              {(selectedNode.data.config?.buttons || []).map((button, index) => (
+                <div key={index} className="bg-gray-800 p-3 rounded-lg border border-gray-600 space-y-2">
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      value={button.label || ''}
+                      onChange={(e) => updateListItem('buttons', index, { label: e.target.value })}
+                      className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                      placeholder="Label"
+                    />
+                    <select
+                      value={button.style || 'primary'}
+                      onChange={(e) => updateListItem('buttons', index, { style: e.target.value })}
+                      className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                    >
+                      <option value="primary">Primary</option>
+                      <option value="secondary">Secondary</option>
+                      <option value="success">Success</option>
+                      <option value="danger">Danger</option>
+                      <option value="link">Link</option>
+                    </select>
+                  </div>
+                  <input
+                    type="text"
+                    value={(button.style === 'link' ? button.url : button.value) || ''}
+                    onChange={(e) => updateListItem('buttons', index, button.style === 'link' ? { url: e.target.value } : { value: e.target.value })}
+                    className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                    placeholder={button.style === 'link' ? 'https://...' : 'Value, e.g. yes or vote_{option}'}
+                  />
+                  <div className="flex items-center justify-between">
+                    <input
+                      type="text"
+                      value={button.emoji || ''}
+                      onChange={(e) => updateListItem('buttons', index, { emoji: e.target.value })}
+                      className="w-24 px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                      placeholder="Emoji"
+                    />
+                    <button
+                      onClick={() => removeListItem('buttons', index)}
+                      className="text-red-400 hover:text-red-300 text-xs"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+              {(selectedNode.data.config?.buttons || []).length < 5 && (
+                <button
+                  onClick={() => addListItem('buttons', { label: '', style: 'primary', value: '' })}
+                  className="w-full py-2 px-3 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg border border-gray-600 text-sm transition-colors"
+                >
+                  + Add Button
+                </button>
+              )}
+            </div>
+            <p className="text-gray-500 text-xs">Values travel inside the button's ID, so keep them short (about 50 characters)</p>
+          </>
+        )}
+
+        {/* Select Menu Node */}
+        {selectedNode.type === 'select_menu' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>📋 Select Menu:</strong> Adds a dropdown to the response. The right path runs with the choice in {'{component_value}'} and all choices in {'{component_values}'}.
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Placeholder</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.placeholder || ''}
+                onChange={(e) => updateNodeConfig({ placeholder: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="Choose an option"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="text-gray-400 text-sm">Min Choices</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={selectedNode.data.config?.minValues ?? 1}
+                  onChange={(e) => updateNodeConfig({ minValues: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="text-gray-400 text-sm">Max Choices</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={selectedNode.data.config?.maxValues ?? 1}
+                  onChange={(e) => updateNodeConfig({ maxValues: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Options</label>
+              <div className="mt-2 space-y-2">
+                {(selectedNode.data.config?.options || []).map((option, index) => (
+                  <div key={index} className="bg-gray-800 p-3 rounded-lg border border-gray-600 space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={option.label || ''}
+                        onChange={(e) => updateListItem('options', index, { label: e.target.value })}
+                        className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                        placeholder="Label"
+                      />
+                      <input
+                        type="text"
+                        value={option.value || ''}
+                        onChange={(e) => updateListItem('options', index, { value: e.target.value })}
+                        className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                        placeholder="Value"
+                      />
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={option.description || ''}
+                        onChange={(e) => updateListItem('options', index, { description: e.target.value })}
+                        className="flex-1 px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                        placeholder="Description (optional)"
+                      />
+                      <button
+                        onClick={() => removeListItem('options', index)}
+                        className="text-red-400 hover:text-red-300 text-xs"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                <button
+                  onClick={() => addListItem('options', { label: '', value: '' })}
+                  className="w-full py-2 px-3 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg border border-gray-600 text-sm transition-colors"
+                >
+                  + Add Option
+                </button>
+              </div>
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">State</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.state || ''}
+                onChange={(e) => updateNodeConfig({ state: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="e.g., {poll_id}"
+              />
+              <p className="text-gray-500 text-xs mt-1">Short text passed back as {'{component_state}'}</p>
+            </div>
+          </>
+        )}
+
+        {/* Modal Input Node */}
+        {selectedNode.type === 'modal_input' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>📝 Modal Input:</strong> Opens a form. Place it first on a button or select menu path; the right path runs on submit with each field as a variable.
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Title</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.title || ''}
+                onChange={(e) => updateNodeConfig({ title: e.target.value })}
+                maxLength={45}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="Form"
+              />
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Fields</label>
+              <div className="mt-2 space-y-2">
+                {(selectedNode.data.config?.fields || []).map((field, index) => (
+                  <div key={index} className="bg-gray-800 p-3 rounded-lg border border-gray-600 space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={field.id || ''}
+                        onChange={(e) => updateListItem('fields', index, { id: e.target.value })}
+                        className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm font-mono"
+                        placeholder="variable_name"
+                      />
+                      <input
+                        type="text"
+                        value={field.label || ''}
+                        onChange={(e) => updateListItem('fields', index, { label: e.target.value })}
+                        className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                        placeholder="Label"
+                      />
+                    </div>
+                    <input
+                      type="text"
+                      value={field.placeholder || ''}
+                      onChange={(e) => updateListItem('fields', index, { placeholder: e.target.value })}
+                      className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                      placeholder="Placeholder (optional)"
+                    />
+                    <div className="flex items-center justify-between">
+                      <select
+                        value={field.style || 'short'}
+                        onChange={(e) => updateListItem('fields', index, { style: e.target.value })}
+                        className="px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                      >
+                        <option value="short">Single line</option>
+                        <option value="paragraph">Paragraph</option>
+                      </select>
+                      <label className="flex items-center gap-2 text-gray-500 text-xs">
+                        <input
+                          type="checkbox"
+                          checked={field.required !== false}
+                          onChange={(e) => updateListItem('fields', index, { required: e.target.checked })}
+                          className="rounded"
+                        />
+                        Required
+                      </label>
+                      <button
+                        onClick={() => removeListItem('fields', index)}
+                        className="text-red-400 hover:text-red-300 text-xs"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {(selectedNode.data.config?.fields || []).length < 5 && (
+                  <button
+                    onClick={() => addListItem('fields', { id: '', label: '', style: 'short', required: true })}
+                    className="w-full py-2 px-3 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg border border-gray-600 text-sm transition-colors"
+                  >
+                    + Add Field
+                  </button>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+
+        {/* Subcommands Node */}
+        {selectedNode.type === 'subcommands' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>🗂️ Subcommands:</strong> Each subcommand gets its own output handle. User Input variables on a branch become that subcommand's options; give a group to nest it as <code>/command group name</code>.
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Subcommands</label>
+              <div className="mt-2 space-y-2">
+                {(selectedNode.data.config?.subcommands || []).map((subcommand, index) => (
+                  <div key={index} className="bg-gray-800 p-3 rounded-lg border border-gray-600 space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={subcommand.name || ''}
+                        onChange={(e) => updateListItem('subcommands', index, { name: e.target.value.toLowerCase().replace(/[^a-z0-9_-]/g, '') })}
+                        maxLength={32}
+                        className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm font-mono"
+                        placeholder="name"
+                      />
+                      <input
+                        type="text"
+                        value={subcommand.group || ''}
+                        onChange={(e) => updateListItem('subcommands', index, { group: e.target.value.toLowerCase().replace(/[^a-z0-9_-]/g, '') })}
+                        maxLength={32}
+                        className="w-full px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm font-mono"
+                        placeholder="group (optional)"
+                      />
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={subcommand.description || ''}
+                        onChange={(e) => updateListItem('subcommands', index, { description: e.target.value })}
+                        maxLength={100}
+                        className="flex-1 px-2 py-1 bg-gray-700 text-white rounded border border-gray-600 focus:outline-none focus:border-blue-500 text-sm"
+                        placeholder="Description"
+                      />
+                      <button
+                        onClick={() => removeListItem('subcommands', index)}
+                        className="text-red-400 hover:text-red-300 text-xs"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {(selectedNode.data.config?.subcommands || []).length < 25 && (
+                  <button
+                    onClick={() => addListItem('subcommands', { name: '', group: '', description: '' })}
+                    className="w-full py-2 px-3 bg-gray-700 hover:bg-gray-600 text-gray-300 rounded-lg border border-gray-600 text-sm transition-colors"
+                  >
+                    + Add Subcommand
+                  </button>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+
         {/* Embed Response Node */}
         {selectedNode.type === 'embed_response' && (
           <>
@@ -1680,6 +2392,103 @@ export function NodeConfigPanel({ selectedNode, setNodes, onDelete, allNodes = [
           </>
         )}
 
+        {/* Follow-up and Edit Reply Nodes */}
+        {(selectedNode.type === 'follow_up' || selectedNode.type === 'edit_reply') && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              {selectedNode.type === 'follow_up'
+                ? <><strong>📨 Follow-up:</strong> Sends another message straight away, then the flow carries on. Use it for progress updates or extra results.</>
+                : <><strong>✏️ Edit Reply:</strong> Changes the command's reply straight away, then the flow carries on. Send "Working..." first and edit it once the work is done.</>}
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Message</label>
+              <textarea
+                value={selectedNode.data.config?.message || ''}
+                onChange={(e) => updateNodeConfig({ message: e.target.value })}
+                rows={3}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="Use {variableName} for variables"
+              />
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Embed Variable (optional)</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.embedVar || ''}
+                onChange={(e) => updateNodeConfig({ embedVar: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="myEmbed"
+              />
+            </div>
+            {selectedNode.type === 'edit_reply' && (
+              <div>
+                <label className="text-gray-400 text-sm">Message ID (optional)</label>
+                <input
+                  type="text"
+                  value={selectedNode.data.config?.messageId || ''}
+                  onChange={(e) => updateNodeConfig({ messageId: e.target.value })}
+                  className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                  placeholder="{followup_message_id}"
+                />
+                <p className="text-gray-500 text-xs mt-1">Leave empty to edit the original reply, or use a Follow-up's message ID variable to edit that follow-up</p>
+              </div>
+            )}
+            <div>
+              <label className="text-gray-400 text-sm">Message ID Variable</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.outputVar || (selectedNode.type === 'follow_up' ? 'followup_message_id' : 'reply_message_id')}
+                onChange={(e) => updateNodeConfig({ outputVar: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+              <p className="text-gray-500 text-xs mt-1">Stores the ID of the message, to edit or delete it later</p>
+            </div>
+          </>
+        )}
+
+        {/* Delete Reply Node */}
+        {selectedNode.type === 'delete_reply' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>🗑️ Delete Reply:</strong> Deletes the command's reply or one of its follow-ups straight away
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm">Message ID (optional)</label>
+              <input
+                type="text"
+                value={selectedNode.data.config?.messageId || ''}
+                onChange={(e) => updateNodeConfig({ messageId: e.target.value })}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                placeholder="{followup_message_id}"
+              />
+              <p className="text-gray-500 text-xs mt-1">Leave empty to delete the original reply</p>
+            </div>
+          </>
+        )}
+
+        {/* Ephemeral Toggle Node */}
+        {selectedNode.type === 'ephemeral_toggle' && (
+          <>
+            <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+              <strong>🙈 Ephemeral Toggle:</strong> Sets who can see the follow-ups after this node
+            </div>
+            <div>
+              <label className="text-gray-400 text-sm flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={selectedNode.data.config?.ephemeral !== false}
+                  onChange={(e) => updateNodeConfig({ ephemeral: e.target.checked })}
+                  className="rounded"
+                />
+                <span>Ephemeral (Only visible to command user)</span>
+              </label>
+            </div>
+            <div className="text-xs text-gray-400 bg-gray-750 p-2 rounded">
+              💡 <strong>Tip:</strong> Connect it straight to the trigger to make the command's own reply ephemeral too. Discord fixes a reply's visibility when it is first sent, so later toggles only change follow-ups.
+            </div>
+          </>
+        )}
+
         {/* Delete Button */}
         <button
           onClick={onDelete}
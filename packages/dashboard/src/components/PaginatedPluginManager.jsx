@@ -1,5 +1,10 @@
 import React, { useState, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
+import ScheduleModal from './ScheduleModal';
+import RecentRunsModal from './RecentRunsModal';
+import UsageLimitsModal from './UsageLimitsModal';
+import HttpAccessModal from './HttpAccessModal';
+import { PUBLICATION_BADGES } from '../utils/pluginStatus';
 
 /**
  * PaginatedPluginManager Component
@@ -38,6 +43,10 @@ const PaginatedPluginManager = ({
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('all'); // 'all', 'active', 'inactive'
   const [typeFilter, setTypeFilter] = useState('all'); // 'all', 'command', 'event', 'utility', etc.
+  const [schedulingPlugin, setSchedulingPlugin] = useState(null);
+  const [runsPlugin, setRunsPlugin] = useState(null);
+  const [limitsPlugin, setLimitsPlugin] = useState(null);
+  const [httpPlugin, setHttpPlugin] = useState(null);
   
   const pluginsPerPage = 4;
   
@@ -357,7 +366,22 @@ const PaginatedPluginManager = ({
               </div>
               <div>
                 <h3 className="text-white font-semibold text-lg">{plugin.name}</h3>
-                <p className="text-gray-400 text-sm">v{plugin.version}</p>
+                <p className="text-gray-400 text-sm">
+                  v{plugin.version}
+                  {plugin.status && plugin.status !== 'published' && (
+                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${PUBLICATION_BADGES[plugin.status]?.className || ''}`}>
+                      {PUBLICATION_BADGES[plugin.status]?.label || plugin.status}
+                    </span>
+                  )}
+                  {plugin.guild_id && (
+                    <span
+                      className="ml-2 px-2 py-0.5 text-xs rounded-full bg-purple-500/20 text-purple-300"
+                      title="Only registered and listed in the server that owns it"
+                    >
+                      🔒 Server only
+                    </span>
+                  )}
+                </p>
               </div>
             </div>
             
@@ -432,35 +456,91 @@ const PaginatedPluginManager = ({
                 title={
                   arePluginButtonsDisabled() 
                     ? 'Please wait for data to load...' 
-                    : 'Edit plugin configuration'
+                    : plugin.can_edit
+                      ? 'Edit plugin configuration'
+                      : 'View plugin configuration, you can only edit plugins you own or that are shared with you'
                 }
               >
-                ✏️ Edit
+                {plugin.can_edit ? '✏️ Edit' : '👁️ View'}
               </button>
-            </div>
 
-            <button
-              onClick={() => handleDeletePlugin(plugin)}
-              disabled={deletingPlugins.has(plugin.id) || arePluginButtonsDisabled()}
-              className={`macos-button text-xs font-medium ${
-                (deletingPlugins.has(plugin.id) || arePluginButtonsDisabled())
-                  ? 'opacity-50 cursor-not-allowed bg-gray-500/20 text-gray-400 border-gray-500/30' 
-                  : 'bg-red-500/20 hover:bg-red-500/30 text-red-300 border-red-500/30 hover:border-red-500/50'
-              }`}
-              title={
-                arePluginButtonsDisabled() 
-                  ? 'Please wait for data to load...' 
-                  : deletingPlugins.has(plugin.id) 
-                    ? 'Deleting plugin...' 
-                    : 'Delete this plugin permanently'
-              }
-            >
-              {deletingPlugins.has(plugin.id) ? (
-                <div className="w-3 h-3 border border-current border-t-transparent rounded-full animate-spin"></div>
-              ) : (
-                '🗑️ Delete'
+              {selectedGuild && plugin.type === 'scheduled' && (
+                <button
+                  onClick={() => setSchedulingPlugin(plugin)}
+                  disabled={arePluginButtonsDisabled()}
+                  className={`macos-button text-xs font-medium bg-hologram-500/20 hover:bg-hologram-500/30 text-hologram-cyan border-hologram-500/30 hover:border-hologram-500/50 ${
+                    arePluginButtonsDisabled() ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                  title="Set when this plugin runs in this guild"
+                >
+                  ⏰ Schedule
+                </button>
               )}
-            </button>
+
+              {selectedGuild && (
+                <button
+                  onClick={() => setRunsPlugin(plugin)}
+                  disabled={arePluginButtonsDisabled()}
+                  className={`macos-button text-xs font-medium bg-hologram-500/20 hover:bg-hologram-500/30 text-hologram-cyan border-hologram-500/30 hover:border-hologram-500/50 ${
+                    arePluginButtonsDisabled() ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                  title="Recent runs of this plugin in this guild, with their logs"
+                >
+                  📜 Runs
+                </button>
+              )}
+
+              {selectedGuild && (
+                <button
+                  onClick={() => setLimitsPlugin(plugin)}
+                  disabled={arePluginButtonsDisabled()}
+                  className={`macos-button text-xs font-medium bg-hologram-500/20 hover:bg-hologram-500/30 text-hologram-cyan border-hologram-500/30 hover:border-hologram-500/50 ${
+                    arePluginButtonsDisabled() ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                  title="Override this plugin's cooldowns and daily quotas in this guild"
+                >
+                  ⏳ Limits
+                </button>
+              )}
+
+              {selectedGuild && (
+                <button
+                  onClick={() => setHttpPlugin(plugin)}
+                  disabled={arePluginButtonsDisabled()}
+                  className={`macos-button text-xs font-medium bg-hologram-500/20 hover:bg-hologram-500/30 text-hologram-cyan border-hologram-500/30 hover:border-hologram-500/50 ${
+                    arePluginButtonsDisabled() ? 'opacity-50 cursor-not-allowed' : ''
+                  }`}
+                  title="Domains this plugin may reach and secrets it uses in this guild"
+                >
+                  🌐 HTTP
+                </button>
+              )}
+            </div>
+
+            {plugin.can_edit && (
+              <button
+                onClick={() => handleDeletePlugin(plugin)}
+                disabled={deletingPlugins.has(plugin.id) || arePluginButtonsDisabled()}
+                className={`macos-button text-xs font-medium ${
+                  (deletingPlugins.has(plugin.id) || arePluginButtonsDisabled())
+                    ? 'opacity-50 cursor-not-allowed bg-gray-500/20 text-gray-400 border-gray-500/30' 
+                    : 'bg-red-500/20 hover:bg-red-500/30 text-red-300 border-red-500/30 hover:border-red-500/50'
+                }`}
+                title={
+                  arePluginButtonsDisabled() 
+                    ? 'Please wait for data to load...' 
+                    : deletingPlugins.has(plugin.id) 
+                      ? 'Deleting plugin...' 
+                      : 'Delete this plugin permanently'
+                }
+              >
+                {deletingPlugins.has(plugin.id) ? (
+                  <div className="w-3 h-3 border border-current border-t-transparent rounded-full animate-spin"></div>
+                ) : (
+                  '🗑️ Delete'
+                )}
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -485,6 +565,40 @@ const PaginatedPluginManager = ({
       
       {/* Pagination Controls */}
       {renderPagination()}
+
+      {schedulingPlugin && selectedGuild && (
+        <ScheduleModal
+          guildId={selectedGuild.id}
+          plugin={schedulingPlugin}
+          onClose={() => setSchedulingPlugin(null)}
+        />
+      )}
+
+      {runsPlugin && selectedGuild && (
+        <RecentRunsModal
+          guildId={selectedGuild.id}
+          plugin={runsPlugin}
+          onClose={() => setRunsPlugin(null)}
+        />
+      )}
+
+      {limitsPlugin && selectedGuild && (
+        <UsageLimitsModal
+          pluginId={limitsPlugin.id}
+          pluginName={limitsPlugin.name}
+          guildId={selectedGuild.id}
+          onClose={() => setLimitsPlugin(null)}
+        />
+      )}
+
+      {httpPlugin && selectedGuild && (
+        <HttpAccessModal
+          pluginId={httpPlugin.id}
+          pluginName={httpPlugin.name}
+          guildId={selectedGuild.id}
+          onClose={() => setHttpPlugin(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,236 @@
+/**
+ * Plugin History Modal
+ * Lists saved revisions of a plugin, shows node/edge-level changes and restores a revision into the draft
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  type: 'Plugin type',
+  trigger: 'Trigger',
+  options: 'Command options'
+};
+
+/**
+ * Describe an edge in a diff
+ * @param {Object} edge - Edge summary ({source, target, sourceHandle})
+ * @param {Object} labels - Node labels by ID
+ * @returns {string} Edge description
+ */
+function describeEdge(edge, labels) {
+  const handle = edge.sourceHandle ? ` (${edge.sourceHandle})` : '';
+  return `${labels[edge.source] || edge.source}${handle} → ${labels[edge.target] || edge.target}`;
+}
+
+/**
+ * List of diff entries in one color
+ * @param {Object} props - Component props
+ */
+function DiffSection({ title, items, className }) {
+  if (items.length === 0) {
+    return null;
+  }
+  return (
+    <div>
+      <h4 className="text-gray-300 text-sm font-medium mb-1">{title}</h4>
+      <ul className="space-y-1">
+        {items.map((item, index) => (
+          <li key={index} className={`text-sm px-2 py-1 rounded ${className}`}>{item}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export function PluginHistoryModal({ pluginId, onRestored, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [base, setBase] = useState('previous');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        const response = await api.plugins.getRevisions(pluginId);
+        const list = response?.data || [];
+        setRevisions(list);
+        setSelected(list[0]?.revision ?? null);
+      } catch (error) {
+        console.error('Failed to fetch revisions:', error);
+        setError(error?.error || 'Failed to load revisions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [pluginId]);
+
+  useEffect(() => {
+    if (selected === null) {
+      return;
+    }
+    const fetchDiff = async () => {
+      try {
+        setDiff(null);
+        setConfirming(false);
+        const response = await api.plugins.diffRevision(pluginId, selected, base === 'current' ? 'current' : null);
+        setDiff(response?.data || null);
+      } catch (error) {
+        console.error('Failed to diff revision:', error);
+        setError(error?.error || 'Failed to compare revisions');
+      }
+    };
+
+    fetchDiff();
+  }, [pluginId, selected, base]);
+
+  const handleRestore = async () => {
+    // Ask for a second click, since the draft and unsaved changes in the editor are replaced
+    if (!confirming) {
+      setConfirming(true);
+      return;
+    }
+    try {
+      setRestoring(true);
+      setError(null);
+      await api.plugins.restoreRevision(pluginId, selected);
+      onRestored(selected);
+    } catch (error) {
+      console.error('Failed to restore revision:', error);
+      setError(error?.error || 'Failed to restore revision');
+      setRestoring(false);
+    }
+  };
+
+  const renderDiff = () => {
+    if (!diff) {
+      return (
+        <div className="flex items-center justify-center h-32">
+          <div className="w-6 h-6 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      );
+    }
+
+    const { nodes, edges, fields, unchanged } = diff.diff;
+    const labels = Object.fromEntries([...nodes.added, ...nodes.removed, ...nodes.changed].map(node => [node.id, node.label]));
+    // Going from the base to this revision, so for "current" read the changes as what a restore would do
+    const heading = diff.base === 'current'
+      ? `Restoring revision ${diff.revision} would change the current plugin:`
+      : diff.base
+        ? `Changes from revision ${diff.base} to ${diff.revision}:`
+        : `Revision ${diff.revision} is the first saved version:`;
+
+    return (
+      <div className="space-y-3">
+        <p className="text-gray-400 text-sm">{heading}</p>
+        {unchanged ? (
+          <p className="text-gray-400 text-sm">No changes.</p>
+        ) : (
+          <>
+            <DiffSection title="Settings" items={fields.map(field => FIELD_LABELS[field] || field)} className="bg-yellow-500/10 text-yellow-300" />
+            <DiffSection title="Added nodes" items={nodes.added.map(node => `${node.label} (${node.type})`)} className="bg-green-500/10 text-green-300" />
+            <DiffSection title="Removed nodes" items={nodes.removed.map(node => `${node.label} (${node.type})`)} className="bg-red-500/10 text-red-300" />
+            <DiffSection
+              title="Changed nodes"
+              items={nodes.changed.map(node => `${node.label} (${node.type}): ${node.changes.join(', ')}`)}
+              className="bg-yellow-500/10 text-yellow-300"
+            />
+            <DiffSection title="Added connections" items={edges.added.map(edge => describeEdge(edge, labels))} className="bg-green-500/10 text-green-300" />
+            <DiffSection title="Removed connections" items={edges.removed.map(edge => describeEdge(edge, labels))} className="bg-red-500/10 text-red-300" />
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-3xl rounded-xl border border-hologram-500/30">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">🕘</span>Version History
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-gray-400 text-sm text-center py-8">No revisions yet. A revision is recorded each time the plugin is saved or published.</p>
+        ) : (
+          <div className="grid grid-cols-3 gap-4">
+            <ul className="space-y-1 max-h-96 overflow-y-auto">
+              {revisions.map(revision => (
+                <li key={revision.revision}>
+                  <button
+                    onClick={() => setSelected(revision.revision)}
+                    className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                      selected === revision.revision ? 'bg-blue-600/30 text-white' : 'text-gray-300 hover:bg-gray-700/50'
+                    }`}
+                  >
+                    <div className="font-medium">
+                      Revision {revision.revision}
+                      {revision.version && <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-green-500/20 text-green-300">v{revision.version}</span>}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      {new Date(revision.created_at).toLocaleString()}{revision.author ? ` · ${revision.author}` : ''}
+                    </div>
+                    {revision.message && <div className="text-xs text-gray-500 italic">{revision.message}</div>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="col-span-2 space-y-4">
+              <div className="flex space-x-2">
+                {['previous', 'current'].map(option => (
+                  <button
+                    key={option}
+                    onClick={() => setBase(option)}
+                    className={`macos-button flex-1 px-3 py-2 text-sm ${base === option ? 'text-white border-blue-500' : 'text-gray-400'}`}
+                  >
+                    {option === 'previous' ? 'Compare with previous' : 'Compare with current'}
+                  </button>
+                ))}
+              </div>
+
+              <div className="max-h-72 overflow-y-auto">{renderDiff()}</div>
+
+              {error && <p className="text-red-400 text-sm">{error}</p>}
+
+              <div className="flex items-center justify-end space-x-3">
+                {confirming && <span className="text-yellow-400 text-xs">The revision replaces the current draft and goes live when published.</span>}
+                <button
+                  onClick={handleRestore}
+                  disabled={restoring || selected === null || selected === revisions[0]?.revision}
+                  className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+                >
+                  {restoring ? 'Restoring...' : confirming ? 'Click again to restore' : `Restore revision ${selected}`}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PluginHistoryModal;
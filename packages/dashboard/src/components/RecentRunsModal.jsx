@@ -0,0 +1,162 @@
+/**
+ * Recent Runs Modal
+ * Lists the latest executions of a plugin in a guild with their duration, error, invoking user and console output
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const STATUS_TABS = [
+  { value: 'all', label: 'All runs' },
+  { value: 'error', label: 'Failed' }
+];
+
+const LOG_LEVEL_CLASSES = {
+  info: 'text-gray-300',
+  warn: 'text-yellow-300',
+  error: 'text-red-400'
+};
+
+export function RecentRunsModal({ guildId, plugin, onClose }) {
+  const [status, setStatus] = useState('all');
+  const [runs, setRuns] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchRuns = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await api.guilds.getRuns(guildId, plugin.id, status === 'all' ? {} : { status });
+        const list = response?.data || [];
+        setRuns(list);
+        setSelected(list[0]?.id ?? null);
+      } catch (error) {
+        console.error('Failed to fetch runs:', error);
+        setError(error?.error || 'Failed to load runs');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRuns();
+  }, [guildId, plugin.id, status, reloadKey]);
+
+  const run = runs.find(entry => entry.id === selected);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-4xl rounded-xl border border-hologram-500/30">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">📜</span>Recent Runs: {plugin.name}
+          </h3>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setReloadKey(key => key + 1)}
+              disabled={loading}
+              className="macos-button p-2 text-gray-400 hover:text-white disabled:opacity-50 transition-all duration-200"
+              title="Reload runs"
+            >
+              <span className="text-lg">🔄</span>
+            </button>
+            <button
+              onClick={onClose}
+              className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+            >
+              <span className="text-lg">✕</span>
+            </button>
+          </div>
+        </div>
+
+        <div className="flex space-x-2 mb-4">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => setStatus(tab.value)}
+              className={`macos-button px-3 py-1 text-sm ${status === tab.value ? 'text-white border-blue-500' : 'text-gray-400'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : runs.length === 0 ? (
+          <p className="text-gray-400 text-sm text-center py-8">
+            {status === 'error' ? 'No failed runs.' : 'No runs yet. Runs show up here a few seconds after the plugin is used.'}
+          </p>
+        ) : (
+          <div className="grid grid-cols-3 gap-4">
+            <ul className="space-y-1 max-h-96 overflow-y-auto">
+              {runs.map(entry => (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => setSelected(entry.id)}
+                    className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                      selected === entry.id ? 'bg-blue-600/30 text-white' : 'text-gray-300 hover:bg-gray-700/50'
+                    }`}
+                  >
+                    <div className="font-medium">
+                      {entry.success ? '✅' : '❌'} {new Date(entry.created_at).toLocaleString()}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      {entry.duration_ms}ms{entry.username ? ` · ${entry.username}` : ''}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="col-span-2 space-y-3 max-h-96 overflow-y-auto">
+              {run && (
+                <>
+                  <div className="text-sm text-gray-300 space-y-1">
+                    <p>
+                      {run.success ? 'Succeeded' : 'Failed'} in {run.duration_ms}ms
+                      {run.trigger_type ? ` · ${run.trigger_type}` : ''}
+                    </p>
+                    {(run.username || run.discord_user_id) && (
+                      <p className="text-gray-400">
+                        Invoked by {run.username || 'unknown'}{run.discord_user_id ? ` (${run.discord_user_id})` : ''}
+                      </p>
+                    )}
+                  </div>
+                  {run.error_message && (
+                    <pre className="bg-red-500/10 text-red-300 p-2 rounded text-xs whitespace-pre-wrap">{run.error_message}</pre>
+                  )}
+                  <div>
+                    <h4 className="text-gray-300 text-sm font-medium mb-1">Logs</h4>
+                    {run.logs.length === 0 ? (
+                      <p className="text-gray-500 text-xs">The plugin did not log anything in this run.</p>
+                    ) : (
+                      <pre className="bg-gray-900 p-2 rounded text-xs whitespace-pre-wrap">
+                        {run.logs.map((log, index) => (
+                          <div key={index} className={LOG_LEVEL_CLASSES[log.level] || 'text-gray-300'}>
+                            <span className="text-gray-500">+{log.time}ms</span> [{log.level}] {log.message}
+                          </div>
+                        ))}
+                      </pre>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecentRunsModal;
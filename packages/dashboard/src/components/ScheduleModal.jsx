@@ -0,0 +1,213 @@
+/* eslint-env browser, node */
+/**
+ * Schedule Modal
+ * Sets the cron expression or interval and channel a scheduled plugin runs with in a guild
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const INTERVAL_UNITS = [
+  { label: 'Minutes', seconds: 60 },
+  { label: 'Hours', seconds: 3600 },
+  { label: 'Days', seconds: 86400 }
+];
+
+/**
+ * Split an interval into the largest whole unit
+ * @param {number} seconds - Interval in seconds
+ * @returns {{amount: number, unit: number}} Amount and unit size in seconds
+ */
+function splitInterval(seconds) {
+  const unit = [...INTERVAL_UNITS].reverse().find(option => seconds % option.seconds === 0) || INTERVAL_UNITS[0];
+  return { amount: seconds / unit.seconds, unit: unit.seconds };
+}
+
+export function ScheduleModal({ guildId, plugin, onClose }) {
+  const [mode, setMode] = useState('interval');
+  const [cron, setCron] = useState('0 9 * * *');
+  const [amount, setAmount] = useState(1);
+  const [unit, setUnit] = useState(3600);
+  const [channelId, setChannelId] = useState('');
+  const [enabled, setEnabled] = useState(true);
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const response = await api.guilds.getSchedule(guildId, plugin.id);
+        const existing = response?.data;
+        if (existing) {
+          setSchedule(existing);
+          setChannelId(existing.channel_id);
+          setEnabled(existing.enabled);
+          if (existing.cron) {
+            setMode('cron');
+            setCron(existing.cron);
+          } else if (existing.interval_seconds) {
+            const interval = splitInterval(existing.interval_seconds);
+            setAmount(interval.amount);
+            setUnit(interval.unit);
+          }
+        }
+      } catch (error) {
+        console.error('Failed to fetch schedule:', error);
+        setError(error?.error || 'Failed to load schedule');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedule();
+  }, [guildId, plugin.id]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await api.guilds.updateSchedule(guildId, plugin.id, {
+        cron: mode === 'cron' ? cron : null,
+        interval_seconds: mode === 'interval' ? Number(amount) * unit : null,
+        channel_id: channelId.trim(),
+        enabled
+      });
+      setSchedule(response?.data || null);
+    } catch (error) {
+      console.error('Failed to save schedule:', error);
+      setError(error?.error || 'Failed to save schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await api.guilds.deleteSchedule(guildId, plugin.id);
+      onClose();
+    } catch (error) {
+      console.error('Failed to remove schedule:', error);
+      setError(error?.error || 'Failed to remove schedule');
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-md rounded-xl border border-hologram-500/30">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">⏰</span>Schedule: {plugin.name}
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex space-x-2">
+              {['interval', 'cron'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => setMode(option)}
+                  className={`macos-button flex-1 px-3 py-2 text-sm ${mode === option ? 'text-white border-blue-500' : 'text-gray-400'}`}
+                >
+                  {option === 'interval' ? 'Every…' : 'Cron expression'}
+                </button>
+              ))}
+            </div>
+
+            {mode === 'interval' ? (
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  min="1"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className={inputClass}
+                />
+                <select value={unit} onChange={(e) => setUnit(Number(e.target.value))} className={inputClass}>
+                  {INTERVAL_UNITS.map(option => (
+                    <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div>
+                <input
+                  type="text"
+                  value={cron}
+                  onChange={(e) => setCron(e.target.value)}
+                  placeholder="minute hour day month weekday"
+                  className={`${inputClass} font-mono`}
+                />
+                <p className="text-gray-400 text-xs mt-1">Times are in UTC, e.g. <code>0 9 * * 1-5</code> runs at 09:00 on weekdays</p>
+              </div>
+            )}
+
+            <div>
+              <label className="text-gray-300 text-sm">Channel ID</label>
+              <input
+                type="text"
+                value={channelId}
+                onChange={(e) => setChannelId(e.target.value)}
+                placeholder="Channel the plugin posts to"
+                className={`${inputClass} mt-1 font-mono`}
+              />
+            </div>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-300">
+              <input type="checkbox" checked={enabled} onChange={(e) => setEnabled(e.target.checked)} />
+              <span>Schedule enabled</span>
+            </label>
+
+            {schedule && (
+              <div className="text-xs text-gray-400 space-y-1">
+                <p>Next run: {schedule.enabled ? new Date(schedule.next_run_at).toLocaleString() : 'paused'}</p>
+                {schedule.last_run_at && <p>Last run: {new Date(schedule.last_run_at).toLocaleString()}</p>}
+                {schedule.last_error && <p className="text-red-400">Last error: {schedule.last_error}</p>}
+              </div>
+            )}
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+
+            <div className="flex justify-between">
+              <button
+                onClick={handleRemove}
+                disabled={saving || !schedule}
+                className="macos-button px-4 py-2 text-red-400 hover:text-red-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                Remove
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving || !channelId.trim()}
+                className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {saving ? 'Saving...' : 'Save Schedule'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ScheduleModal;
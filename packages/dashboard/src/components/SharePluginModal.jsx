@@ -0,0 +1,135 @@
+/* eslint-env browser, node */
+/**
+ * Share Plugin Modal
+ * Lists the authors a plugin is shared with and lets its owner share it with others by Discord ID
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+/**
+ * @param {Object} props
+ * @param {string} props.pluginId - Plugin to share
+ * @param {string} props.pluginName - Name shown in the title
+ * @param {Function} props.onClose - Called when the modal closes
+ */
+export function SharePluginModal({ pluginId, pluginName, onClose }) {
+  const [collaborators, setCollaborators] = useState([]);
+  const [discordId, setDiscordId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchCollaborators = useCallback(async () => {
+    try {
+      const response = await api.plugins.getCollaborators(pluginId);
+      setCollaborators(response?.data || []);
+    } catch (error) {
+      console.error('Failed to fetch collaborators:', error);
+      setError(error?.error || 'Failed to load who this plugin is shared with');
+    } finally {
+      setLoading(false);
+    }
+  }, [pluginId]);
+
+  useEffect(() => {
+    fetchCollaborators();
+  }, [fetchCollaborators]);
+
+  const run = async (action, failure) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await fetchCollaborators();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error?.details || error?.error || failure);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleShare = () => run(async () => {
+    await api.plugins.addCollaborator(pluginId, discordId.trim());
+    setDiscordId('');
+  }, 'Failed to share plugin');
+
+  const handleRemove = (userId) => run(
+    () => api.plugins.removeCollaborator(pluginId, userId),
+    'Failed to stop sharing plugin'
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-lg rounded-xl border border-hologram-500/30 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">🤝</span>Share: {pluginName}
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-gray-400 text-xs">
+              Authors this plugin is shared with can edit and publish it, but cannot share it further.
+            </p>
+            {collaborators.length === 0 ? (
+              <p className="text-gray-500 text-sm">Not shared with anyone yet</p>
+            ) : (
+              <ul className="space-y-1">
+                {collaborators.map(collaborator => (
+                  <li key={collaborator.id} className="flex items-center justify-between bg-gray-800/60 px-3 py-2 rounded-lg">
+                    <span className="text-sm text-white">
+                      {collaborator.username}
+                      <span className="ml-2 text-xs text-gray-400 font-mono">{collaborator.discord_id}</span>
+                    </span>
+                    <button
+                      onClick={() => handleRemove(collaborator.id)}
+                      disabled={saving}
+                      className="text-red-400 hover:text-red-300 text-sm disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={discordId}
+                onChange={(e) => setDiscordId(e.target.value)}
+                placeholder="Discord user ID"
+                className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500 font-mono"
+              />
+              <button
+                onClick={handleShare}
+                disabled={saving || !discordId.trim()}
+                className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                Share
+              </button>
+            </div>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SharePluginModal;
@@ -0,0 +1,120 @@
+/**
+ * Sub-flow Call Configuration
+ * Picks the sub-flow and version a Call Sub-flow node runs and maps its inputs and outputs
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import { getCallConfig, getSignatureChanges } from '../utils/subflows';
+
+export function SubflowCallConfig({ config, onChange }) {
+  const [subflows, setSubflows] = useState([]);
+  const [pinned, setPinned] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    api.subflows.getAll()
+      .then(response => setSubflows(response?.data || []))
+      .catch(error => setError(error?.error || 'Failed to load sub-flows'));
+  }, []);
+
+  // The pinned version's inputs and outputs, which may differ from the latest version's
+  useEffect(() => {
+    if (!config.subflowId || !config.version) {
+      setPinned(null);
+      return;
+    }
+    api.subflows.getVersion(config.subflowId, config.version)
+      .then(response => setPinned(response?.data || null))
+      .catch(error => setError(error?.error || 'Failed to load the pinned sub-flow version'));
+  }, [config.subflowId, config.version]);
+
+  const subflow = subflows.find(entry => entry.id === config.subflowId);
+  const latest = subflow && { version: subflow.latest_version, inputs: subflow.inputs, outputs: subflow.outputs };
+  const updateAvailable = pinned && latest && latest.version > pinned.version;
+
+  const selectSubflow = (subflowId) => {
+    const entry = subflows.find(candidate => candidate.id === subflowId);
+    if (entry) {
+      onChange(getCallConfig(entry, { version: entry.latest_version, inputs: entry.inputs, outputs: entry.outputs }));
+    }
+  };
+
+  return (
+    <>
+      <div className="text-xs text-gray-400 bg-gray-700 p-2 rounded mb-3">
+        <strong>🧩 Call Sub-flow:</strong> Runs a shared sub-flow with the inputs below and stores its outputs in variables. The node stays on the version picked here until you update it.
+      </div>
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      <div>
+        <label className="text-gray-400 text-sm">Sub-flow</label>
+        <select
+          value={config.subflowId || ''}
+          onChange={(e) => selectSubflow(e.target.value)}
+          className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+        >
+          <option value="" disabled>Choose a sub-flow</option>
+          {subflows.map(entry => (
+            <option key={entry.id} value={entry.id}>{entry.name} (v{entry.latest_version})</option>
+          ))}
+        </select>
+        {config.subflowId && (
+          <p className="text-gray-500 text-xs mt-1">Pinned to v{config.version}</p>
+        )}
+      </div>
+
+      {updateAvailable && (
+        <div className="text-xs bg-yellow-500/10 border border-yellow-500/30 text-yellow-200 p-2 rounded space-y-1">
+          <p>v{latest.version} is available.</p>
+          {getSignatureChanges(pinned, latest).map(change => <p key={change}>• {change}</p>)}
+          <button
+            onClick={() => onChange(getCallConfig(subflow, latest, config))}
+            className="macos-button px-2 py-1 text-yellow-100"
+          >
+            Update to v{latest.version}
+          </button>
+        </div>
+      )}
+
+      {(pinned?.inputs || []).length > 0 && (
+        <div className="space-y-2">
+          <label className="text-gray-400 text-sm">Inputs</label>
+          {pinned.inputs.map(input => (
+            <div key={input.name}>
+              <span className="text-gray-300 text-xs font-mono">{input.name}</span>
+              <input
+                type="text"
+                value={config.inputs?.[input.name] ?? ''}
+                onChange={(e) => onChange({ inputs: { ...config.inputs, [input.name]: e.target.value } })}
+                placeholder={input.description || `e.g. {${input.name}}`}
+                className="w-full mt-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            </div>
+          ))}
+          <p className="text-gray-500 text-xs">A value that is just {'{variable}'} passes the variable as is, anything else is passed as text</p>
+        </div>
+      )}
+
+      {(pinned?.outputs || []).length > 0 && (
+        <div className="space-y-2">
+          <label className="text-gray-400 text-sm">Store Outputs In</label>
+          {pinned.outputs.map(output => (
+            <div key={output.name} className="flex items-center gap-2">
+              <span className="text-gray-300 text-xs font-mono w-24 truncate" title={output.description}>{output.name}</span>
+              <input
+                type="text"
+                value={config.outputs?.[output.name] ?? output.name}
+                onChange={(e) => onChange({ outputs: { ...config.outputs, [output.name]: e.target.value } })}
+                className="flex-1 px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default SubflowCallConfig;
@@ -0,0 +1,270 @@
+/**
+ * Sub-flows Modal
+ * Saves the selected nodes as a reusable sub-flow or a new version of one, and lists the sub-flows plugins can call
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import { buildSubflowFromSelection, parsePortList } from '../utils/subflows';
+
+const NEW_SUBFLOW = '';
+
+export function SubflowsModal({ nodes, edges, onInsertCall, onCopyNodes, onSaved, onClose }) {
+  const [subflows, setSubflows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [dependents, setDependents] = useState({});
+
+  // Save form
+  const [target, setTarget] = useState(NEW_SUBFLOW);
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [inputs, setInputs] = useState('');
+  const [outputs, setOutputs] = useState('');
+  const [message, setMessage] = useState('');
+  const [replace, setReplace] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const selectedCount = nodes.filter(node => node.selected).length;
+
+  useEffect(() => {
+    const fetchSubflows = async () => {
+      try {
+        setLoading(true);
+        const response = await api.subflows.getAll();
+        setSubflows(response?.data || []);
+      } catch (error) {
+        console.error('Failed to fetch sub-flows:', error);
+        setError(error?.error || 'Failed to load sub-flows');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSubflows();
+  }, [reloadKey]);
+
+  // Saving over an existing sub-flow starts from its current inputs and outputs
+  const selectTarget = (subflowId) => {
+    setTarget(subflowId);
+    const existing = subflows.find(entry => entry.id === subflowId);
+    if (existing) {
+      setDescription(existing.description || '');
+      setInputs(existing.inputs.map(port => port.name).join(', '));
+      setOutputs(existing.outputs.map(port => port.name).join(', '));
+    }
+  };
+
+  const handleSave = async () => {
+    const graph = buildSubflowFromSelection(nodes, edges);
+    const parsedInputs = parsePortList(inputs);
+    const parsedOutputs = parsePortList(outputs);
+    const problem = graph.error
+      || (parsedInputs.error && `Inputs: ${parsedInputs.error}`)
+      || (parsedOutputs.error && `Outputs: ${parsedOutputs.error}`)
+      || (target === NEW_SUBFLOW && !name.trim() && 'Give the sub-flow a name');
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    const data = {
+      description,
+      inputs: parsedInputs.ports,
+      outputs: parsedOutputs.ports,
+      nodes: graph.nodes,
+      edges: graph.edges
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = target === NEW_SUBFLOW
+        ? await api.subflows.create({ ...data, name: name.trim() })
+        : await api.subflows.update(target, { ...data, message });
+      onSaved(response.data, replace);
+    } catch (error) {
+      const details = Array.isArray(error?.details) ? error.details.join('; ') : error?.details;
+      setError([error?.error || 'Failed to save sub-flow', details].filter(Boolean).join(': '));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopy = async (subflow) => {
+    try {
+      const response = await api.subflows.getById(subflow.id);
+      onCopyNodes(response.data);
+    } catch (error) {
+      setError(error?.error || 'Failed to load sub-flow');
+    }
+  };
+
+  const toggleDependents = async (subflow) => {
+    if (dependents[subflow.id]) {
+      setDependents(({ [subflow.id]: _removed, ...rest }) => rest);
+      return;
+    }
+    try {
+      const response = await api.subflows.getDependents(subflow.id);
+      setDependents(current => ({ ...current, [subflow.id]: response.data }));
+    } catch (error) {
+      setError(error?.error || 'Failed to load where the sub-flow is used');
+    }
+  };
+
+  const handleDelete = async (subflow) => {
+    // eslint-disable-next-line no-undef
+    if (!confirm(`Delete the sub-flow "${subflow.name}" and all its versions?`)) {
+      return;
+    }
+    try {
+      await api.subflows.delete(subflow.id);
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      const users = [...(error?.details?.plugins || []), ...(error?.details?.subflows || [])].map(entry => entry.name);
+      setError(users.length > 0 ? `Still used by ${users.join(', ')}` : (error?.error || 'Failed to delete sub-flow'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-4xl rounded-xl border border-hologram-500/30">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">🧩</span>Sub-flows
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+        <div className="grid grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <h4 className="text-gray-300 font-medium">Save Selection</h4>
+            <p className="text-gray-400 text-xs">
+              {selectedCount > 0
+                ? `${selectedCount} selected node(s) become the sub-flow. Nodes without an incoming connection in the selection receive the inputs.`
+                : 'Select nodes on the canvas (Shift + drag) to save them as a sub-flow.'}
+            </p>
+            <select
+              value={target}
+              onChange={(e) => selectTarget(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+            >
+              <option value={NEW_SUBFLOW}>New sub-flow</option>
+              {subflows.map(entry => (
+                <option key={entry.id} value={entry.id}>New version of {entry.name} (v{entry.latest_version + 1})</option>
+              ))}
+            </select>
+            {target === NEW_SUBFLOW ? (
+              <input
+                type="text"
+                placeholder="Name, e.g. Balance Embed"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            ) : (
+              <input
+                type="text"
+                placeholder="What changed in this version"
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            )}
+            <input
+              type="text"
+              placeholder="Description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+            />
+            <input
+              type="text"
+              placeholder="Inputs, e.g. user_id, currency"
+              value={inputs}
+              onChange={(e) => setInputs(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500 font-mono"
+            />
+            <input
+              type="text"
+              placeholder="Outputs, e.g. balance_embed"
+              value={outputs}
+              onChange={(e) => setOutputs(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500 font-mono"
+            />
+            <label className="flex items-center gap-2 text-gray-300 text-sm">
+              <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+              Replace the selection with a call to it
+            </label>
+            <button
+              onClick={handleSave}
+              disabled={saving || selectedCount === 0}
+              className="px-4 py-2 bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white rounded-lg transition-all disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : '💾 Save Sub-flow'}
+            </button>
+            <p className="text-gray-500 text-xs">
+              Saving never changes plugins that already call the sub-flow; they keep their version until you update their Call Sub-flow node.
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <h4 className="text-gray-300 font-medium">Library</h4>
+            {loading ? (
+              <div className="flex items-center justify-center h-32">
+                <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            ) : subflows.length === 0 ? (
+              <p className="text-gray-400 text-sm">No sub-flows yet.</p>
+            ) : (
+              <ul className="space-y-2 max-h-96 overflow-y-auto">
+                {subflows.map(subflow => (
+                  <li key={subflow.id} className="bg-gray-800 p-3 rounded-lg border border-gray-600 text-sm">
+                    <div className="flex items-center justify-between">
+                      <span className="text-white font-medium">{subflow.name} <span className="text-gray-400">v{subflow.latest_version}</span></span>
+                      <div className="flex gap-1">
+                        <button onClick={() => onInsertCall(subflow)} className="macos-button px-2 py-1 text-xs text-gray-200" title="Add a node that calls the latest version">➕ Call</button>
+                        <button onClick={() => handleCopy(subflow)} className="macos-button px-2 py-1 text-xs text-gray-200" title="Copy the nodes onto the canvas to change them">✏️ Edit</button>
+                        <button onClick={() => toggleDependents(subflow)} className="macos-button px-2 py-1 text-xs text-gray-200">Used by</button>
+                        <button onClick={() => handleDelete(subflow)} className="macos-button px-2 py-1 text-xs text-red-300">🗑️</button>
+                      </div>
+                    </div>
+                    {subflow.description && <p className="text-gray-400 text-xs mt-1">{subflow.description}</p>}
+                    <p className="text-gray-400 text-xs mt-1 font-mono">
+                      ({subflow.inputs.map(port => port.name).join(', ')}) → ({subflow.outputs.map(port => port.name).join(', ')})
+                    </p>
+                    {dependents[subflow.id] && (
+                      <ul className="text-xs mt-2 space-y-1">
+                        {[...dependents[subflow.id].plugins, ...dependents[subflow.id].subflows].length === 0 && (
+                          <li className="text-gray-500">Not used anywhere</li>
+                        )}
+                        {[...dependents[subflow.id].plugins, ...dependents[subflow.id].subflows].map(entry => (
+                          <li key={entry.id} className={entry.outdated ? 'text-yellow-300' : 'text-gray-300'}>
+                            {entry.name}: v{entry.versions.join(', v')}{entry.draft ? ' (draft)' : ''}{entry.outdated ? ' · update available' : ''}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SubflowsModal;
@@ -0,0 +1,108 @@
+/**
+ * Trace Panel
+ * Steps through the execution trace of a test run while the editor highlights the current node
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import { describeTraceEntry, getTraceVariables } from '../utils/executionTrace';
+
+// Time each step is shown while playing
+const PLAY_INTERVAL_MS = 800;
+
+export function TracePanel({ trace, nodes, step, onStep, onClose }) {
+  const [playing, setPlaying] = useState(false);
+  const last = trace.length - 1;
+
+  useEffect(() => {
+    if (!playing) {
+      return undefined;
+    }
+    if (step >= last) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => onStep(step + 1), PLAY_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [playing, step, last, onStep]);
+
+  const variables = Object.entries(getTraceVariables(trace, step));
+
+  return (
+    <div className="fixed bottom-4 right-4 z-40 w-96 glass p-4 rounded-xl border border-hologram-500/30 shadow-lg">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-white font-bold flex items-center">
+          <span className="mr-2">🐞</span>Execution Trace
+        </h3>
+        <button
+          onClick={onClose}
+          className="macos-button p-1 text-gray-400 hover:text-white transition-all duration-200"
+        >
+          <span className="text-sm">✕</span>
+        </button>
+      </div>
+
+      {trace.length === 0 ? (
+        <p className="text-gray-400 text-sm">The run did not reach any nodes.</p>
+      ) : (
+        <>
+          <p className="text-gray-300 text-sm mb-2">
+            Step {step + 1} of {trace.length}: <span className="text-white">{describeTraceEntry(trace[step], nodes)}</span>
+          </p>
+
+          <div className="flex items-center space-x-2 mb-3">
+            <button
+              onClick={() => onStep(Math.max(step - 1, 0))}
+              disabled={step === 0}
+              className="macos-button px-2 py-1 text-sm text-gray-300 disabled:opacity-50"
+            >
+              ⏮
+            </button>
+            <button
+              onClick={() => (step >= last ? onStep(0) : setPlaying(!playing))}
+              className="macos-button px-2 py-1 text-sm text-energy-green"
+            >
+              {playing ? '⏸' : step >= last ? '↺' : '▶'}
+            </button>
+            <button
+              onClick={() => onStep(Math.min(step + 1, last))}
+              disabled={step >= last}
+              className="macos-button px-2 py-1 text-sm text-gray-300 disabled:opacity-50"
+            >
+              ⏭
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={last}
+              value={step}
+              onChange={(e) => onStep(Number(e.target.value))}
+              className="flex-1"
+            />
+          </div>
+
+          <h4 className="text-gray-300 text-xs font-medium mb-1">Variables</h4>
+          {variables.length === 0 ? (
+            <p className="text-gray-500 text-xs">No variables set yet.</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto">
+              <table className="w-full text-xs">
+                <tbody>
+                  {variables.map(([name, value]) => (
+                    <tr key={name} className="border-t border-gray-700">
+                      <td className="py-1 pr-2 text-blue-300 font-mono align-top">{name}</td>
+                      <td className="py-1 text-gray-200 font-mono break-all">{JSON.stringify(value)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TracePanel;
@@ -0,0 +1,170 @@
+/* eslint-env browser, node */
+/**
+ * Usage Limits Modal
+ * Sets a plugin's cooldowns, daily quotas and slow down reply, or a guild's overrides of them
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+
+const LIMIT_FIELDS = [
+  { name: 'userCooldown', label: 'Per-user cooldown', unit: 'seconds' },
+  { name: 'channelCooldown', label: 'Per-channel cooldown', unit: 'seconds' },
+  { name: 'guildCooldown', label: 'Per-server cooldown', unit: 'seconds' },
+  { name: 'userDailyLimit', label: 'Daily uses per user', unit: 'uses' },
+  { name: 'guildDailyLimit', label: 'Daily uses per server', unit: 'uses' }
+];
+
+const DEFAULT_MESSAGE = '⏳ Slow down! You can use this again in {retry_after}.';
+
+/**
+ * Turn stored limits into form values, with blanks for unset limits
+ * @param {Object} limits - Stored limits
+ * @returns {Object} Form values
+ */
+function toForm(limits = {}) {
+  const form = { message: limits.message || '' };
+  LIMIT_FIELDS.forEach(field => {
+    form[field.name] = limits[field.name] !== undefined ? String(limits[field.name]) : '';
+  });
+  return form;
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.pluginId - Plugin to set limits for
+ * @param {string} props.pluginName - Name shown in the title
+ * @param {string} [props.guildId] - Guild whose overrides are edited; without it the plugin's own limits are
+ * @param {Function} props.onClose - Called when the modal closes
+ * @param {Function} [props.onSaved] - Called after saving
+ */
+export function UsageLimitsModal({ pluginId, pluginName, guildId, onClose, onSaved }) {
+  const [form, setForm] = useState(toForm());
+  const [defaults, setDefaults] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchLimits = async () => {
+      try {
+        if (guildId) {
+          const response = await api.guilds.getLimits(guildId, pluginId);
+          setDefaults(response?.data?.limits || {});
+          setForm(toForm(response?.data?.overrides));
+        } else {
+          const response = await api.plugins.getById(pluginId);
+          setForm(toForm(response?.data?.limits));
+        }
+      } catch (error) {
+        console.error('Failed to fetch usage limits:', error);
+        setError(error?.error || 'Failed to load usage limits');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLimits();
+  }, [guildId, pluginId]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      if (guildId) {
+        await api.guilds.updateLimits(guildId, pluginId, form);
+      } else {
+        await api.plugins.update(pluginId, { limits: form });
+      }
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      console.error('Failed to save usage limits:', error);
+      setError(error?.details || error?.error || 'Failed to save usage limits');
+      setSaving(false);
+    }
+  };
+
+  // Guild overrides show the plugin's own value, which applies while the field is blank
+  const placeholderFor = (name) => {
+    if (!guildId) {return 'Off';}
+    return defaults[name] ? `Plugin default: ${defaults[name]}` : 'Plugin default: off';
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="glass p-6 w-full max-w-md rounded-xl border border-hologram-500/30">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-white flex items-center">
+            <span className="mr-3 text-xl">⏳</span>{guildId ? 'Server limits' : 'Usage limits'}: {pluginName}
+          </h3>
+          <button
+            onClick={onClose}
+            className="macos-button p-2 text-gray-400 hover:text-white transition-all duration-200"
+          >
+            <span className="text-lg">✕</span>
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <p className="text-gray-400 text-xs">
+              {guildId
+                ? 'Override this plugin\'s limits in this server. Leave a field blank to keep the plugin\'s value, or enter 0 to turn the limit off.'
+                : 'Limit how often users can run this plugin. Leave a field blank or enter 0 for no limit. Daily quotas reset at midnight UTC.'}
+            </p>
+
+            {LIMIT_FIELDS.map(field => (
+              <div key={field.name}>
+                <label className="text-gray-300 text-sm">{field.label} ({field.unit})</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  placeholder={placeholderFor(field.name)}
+                  className={`${inputClass} mt-1`}
+                />
+              </div>
+            ))}
+
+            <div>
+              <label className="text-gray-300 text-sm">Slow down reply</label>
+              <input
+                type="text"
+                maxLength={200}
+                value={form.message}
+                onChange={(e) => setForm({ ...form, message: e.target.value })}
+                placeholder={guildId && defaults.message ? defaults.message : DEFAULT_MESSAGE}
+                className={`${inputClass} mt-1`}
+              />
+              <p className="text-gray-400 text-xs mt-1"><code>{'{retry_after}'}</code> is replaced with the time left</p>
+            </div>
+
+            {error && <p className="text-red-400 text-sm">{error}</p>}
+
+            <div className="flex justify-end">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {saving ? 'Saving...' : 'Save Limits'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default UsageLimitsModal;
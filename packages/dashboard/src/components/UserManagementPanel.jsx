@@ -1,6 +1,27 @@
 import _React, { useState, useEffect } from 'react';
 import { api } from '../services/api';
 import { useToast } from '../hooks/useToast';
+import { useAppStore } from '../viewmodels/AppViewModel';
+
+/**
+ * Dashboard roles, lowest first; each has everything the ones above it in the list can do
+ */
+const ROLES = [
+  { value: 'viewer', label: '👁️ Viewer', description: 'Can view plugins' },
+  { value: 'author', label: '✏️ Author', description: 'Can create plugins and edit ones they own or that are shared with them' },
+  { value: 'guild_manager', label: '🛡️ Guild Manager', description: 'Can also manage plugins in every server the bot is in' },
+  { value: 'admin', label: '👑 Admin', description: 'Can do everything, including managing users and editing any plugin' }
+];
+
+/**
+ * Get a user's role, treating admins from before roles existed as admin
+ * @param {Object} user - User from the admin API
+ * @returns {Object} Role entry from ROLES
+ */
+function getRole(user) {
+  const role = user.is_admin ? 'admin' : user.role;
+  return ROLES.find(entry => entry.value === role) || ROLES[0];
+}
 
 /**
  * User Management Panel Component
@@ -12,6 +33,7 @@ export function UserManagementPanel() {
   // UserManagementPanel component rendered
   
   const { success, error } = useToast();
+  const currentUserId = useAppStore(state => state.user?.data?.id);
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -121,6 +143,33 @@ export function UserManagementPanel() {
     }
   };
 
+  /**
+   * Handle role change for the selected user
+   */
+  const handleRoleChange = async (role) => {
+    if (!selectedUser) {
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const response = await api.admin.updateRole(selectedUser.id, role);
+
+      if (response.success) {
+        success(response.message || 'Role updated successfully');
+        setSelectedUser({ ...selectedUser, role: response.data.role, is_admin: response.data.is_admin });
+        loadUsers(); // Refresh the user list
+      } else {
+        error(response.error || 'Failed to update role');
+      }
+    } catch (err) {
+      console.error('Error updating role:', err);
+      error(err?.details || err?.error || 'Failed to update role');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   /**
    * Get status badge styling
    */
@@ -333,9 +382,9 @@ export function UserManagementPanel() {
                   <p className="text-gray-400 text-sm">{user.discord_id}</p>
                 </div>
               </div>
-              {user.is_admin && (
+              {getRole(user).value !== 'viewer' && (
                 <div className="px-3 py-1 glass border border-hologram-500/30 rounded-full">
-                  <span className="text-hologram-cyan text-xs font-medium">👑 Admin</span>
+                  <span className="text-hologram-cyan text-xs font-medium">{getRole(user).label}</span>
                 </div>
               )}
             </div>
@@ -489,9 +538,19 @@ export function UserManagementPanel() {
                         {selectedUser.access_status}
                       </span>
                     </div>
-                    <div className="flex justify-between">
-                      <span className="text-gray-400">Admin:</span>
-                      <span className="text-white">{selectedUser.is_admin ? '👑 Yes' : '❌ No'}</span>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-400">Role:</span>
+                      <select
+                        value={getRole(selectedUser).value}
+                        onChange={(e) => handleRoleChange(e.target.value)}
+                        disabled={actionLoading || selectedUser.id === currentUserId}
+                        title={selectedUser.id === currentUserId ? 'You cannot change your own role' : getRole(selectedUser).description}
+                        className="px-2 py-1 glass border border-hologram-500/30 rounded-lg text-white bg-transparent text-sm disabled:opacity-50"
+                      >
+                        {ROLES.map(role => (
+                          <option key={role.value} value={role.value} className="bg-gray-800">{role.label}</option>
+                        ))}
+                      </select>
                     </div>
                     <div className="flex justify-between">
                       <span className="text-gray-400">Joined:</span>
@@ -0,0 +1,312 @@
+/* eslint-env browser, node */
+/**
+ * Webhooks Panel
+ * Admin component for registering outgoing webhooks and reading their delivery log
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const EVENT_LABELS = {
+  'plugin.created': 'Plugin created',
+  'plugin.toggled': 'Plugin enabled or disabled',
+  'plugin.deleted': 'Plugin deleted',
+  'plugin.failing': 'Plugin failing repeatedly',
+  'access.requested': 'Access requested'
+};
+
+const STATUS_STYLES = {
+  delivered: 'text-energy-green',
+  pending: 'text-yellow-400',
+  sending: 'text-blue-400',
+  failed: 'text-red-400'
+};
+
+export function WebhooksPanel() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [selectedEvents, setSelectedEvents] = useState([]);
+  const [secret, setSecret] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [openWebhookId, setOpenWebhookId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const response = await api.admin.webhooks.getAll();
+      setWebhooks(response?.data || []);
+      if (Array.isArray(response?.events)) {
+        setEvents(response.events);
+      }
+    } catch (error) {
+      console.error('Failed to fetch webhooks:', error);
+      setError(error?.error || 'Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async (webhookId) => {
+    try {
+      const response = await api.admin.webhooks.getDeliveries(webhookId);
+      setDeliveries(response?.data || []);
+    } catch (error) {
+      console.error('Failed to fetch webhook deliveries:', error);
+      setError(error?.error || 'Failed to load deliveries');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const run = async (action, failure) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await action();
+      await fetchWebhooks();
+      if (openWebhookId) {
+        await fetchDeliveries(openWebhookId);
+      }
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error?.details || error?.error || failure);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const showSecret = (value) => {
+    setSecret(value || null);
+    setCopied(false);
+  };
+
+  const toggleEvent = (event) => {
+    setSelectedEvents(prev => (prev.includes(event) ? prev.filter(e => e !== event) : [...prev, event]));
+  };
+
+  const handleCreate = () => run(async () => {
+    const response = await api.admin.webhooks.create({ name: name.trim(), url: url.trim(), events: selectedEvents });
+    showSecret(response?.data?.secret);
+    setName('');
+    setUrl('');
+    setSelectedEvents([]);
+  }, 'Failed to create webhook');
+
+  const handleToggle = (webhook) => run(
+    () => api.admin.webhooks.update(webhook.id, { enabled: !webhook.enabled }),
+    'Failed to update webhook'
+  );
+
+  const handleTest = (webhook) => run(() => api.admin.webhooks.test(webhook.id), 'Failed to send test ping');
+
+  const handleRotate = (webhook) => run(async () => {
+    const response = await api.admin.webhooks.rotateSecret(webhook.id);
+    showSecret(response?.data?.secret);
+  }, 'Failed to rotate webhook secret');
+
+  const handleDelete = (webhook) => {
+    // eslint-disable-next-line no-undef
+    if (!confirm(`Delete webhook "${webhook.name}" and its delivery log?`)) return;
+    if (openWebhookId === webhook.id) {
+      setOpenWebhookId(null);
+    }
+    run(() => api.admin.webhooks.delete(webhook.id), 'Failed to delete webhook');
+  };
+
+  const handleRedeliver = (delivery) => run(
+    () => api.admin.webhooks.redeliver(delivery.webhook_id, delivery.id),
+    'Failed to redeliver'
+  );
+
+  const toggleDeliveries = (webhookId) => {
+    if (openWebhookId === webhookId) {
+      setOpenWebhookId(null);
+      return;
+    }
+    setOpenWebhookId(webhookId);
+    setDeliveries([]);
+    fetchDeliveries(webhookId);
+  };
+
+  const handleCopy = async () => {
+    try {
+      // eslint-disable-next-line no-undef
+      await navigator.clipboard.writeText(secret);
+      setCopied(true);
+    } catch (error) {
+      console.error('Failed to copy:', error);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500';
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-white">Webhooks</h2>
+        <button
+          onClick={fetchWebhooks}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors"
+        >
+          Refresh
+        </button>
+      </div>
+
+      <p className="text-gray-400 text-sm">
+        Events are POSTed as JSON and signed with HMAC-SHA256: check <code>X-DisModular-Signature</code> against
+        {' '}<code>sha256=HMAC(secret, timestamp + &quot;.&quot; + body)</code>, using the <code>X-DisModular-Timestamp</code> header.
+        Failed deliveries are retried with growing delays.
+      </p>
+
+      {secret && (
+        <div className="space-y-2 p-3 rounded-lg border border-energy-green/40 bg-energy-green/10">
+          <p className="text-energy-green text-sm">Copy the signing secret now, it will not be shown again.</p>
+          <div className="flex space-x-2">
+            <input type="text" readOnly value={secret} className={`${inputClass} font-mono text-xs`} />
+            <button
+              onClick={handleCopy}
+              className="macos-button px-3 py-2 text-white text-sm"
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {webhooks.length === 0 ? (
+          <p className="text-gray-500 text-sm">No webhooks yet</p>
+        ) : (
+          webhooks.map(webhook => (
+            <div key={webhook.id} className="glass rounded-xl border border-hologram-500/20 p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <p className="text-white font-medium">
+                    {webhook.name}
+                    {!webhook.enabled && <span className="ml-2 text-xs text-gray-400">(disabled)</span>}
+                  </p>
+                  <p className="text-xs text-gray-400 font-mono break-all">{webhook.url}</p>
+                  <p className="text-xs text-gray-400 mt-1">{(webhook.events || []).join(', ')}</p>
+                </div>
+                <div className="flex flex-wrap justify-end gap-2 text-sm">
+                  <button onClick={() => toggleDeliveries(webhook.id)} className="text-blue-400 hover:text-blue-300">
+                    {openWebhookId === webhook.id ? 'Hide log' : 'Deliveries'}
+                  </button>
+                  <button onClick={() => handleTest(webhook)} disabled={saving || !webhook.enabled} className="text-gray-300 hover:text-white disabled:opacity-50">
+                    Ping
+                  </button>
+                  <button onClick={() => handleToggle(webhook)} disabled={saving} className="text-gray-300 hover:text-white disabled:opacity-50">
+                    {webhook.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => handleRotate(webhook)} disabled={saving} className="text-yellow-400 hover:text-yellow-300 disabled:opacity-50">
+                    Rotate secret
+                  </button>
+                  <button onClick={() => handleDelete(webhook)} disabled={saving} className="text-red-400 hover:text-red-300 disabled:opacity-50">
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              {openWebhookId === webhook.id && (
+                <div className="mt-4 space-y-1">
+                  {deliveries.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No deliveries yet</p>
+                  ) : (
+                    deliveries.map(delivery => (
+                      <div key={delivery.id} className="flex items-center justify-between bg-gray-800/60 px-3 py-2 rounded-lg text-xs">
+                        <div className="min-w-0">
+                          <p className="text-white">
+                            <span className={`mr-2 font-medium ${STATUS_STYLES[delivery.status] || 'text-gray-300'}`}>{delivery.status}</span>
+                            {delivery.event}
+                            <span className="ml-2 text-gray-400">{new Date(delivery.created_at).toLocaleString()}</span>
+                          </p>
+                          <p className="text-gray-400 truncate">
+                            {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                            {delivery.response_status ? ` · HTTP ${delivery.response_status}` : ''}
+                            {delivery.duration_ms !== null && delivery.duration_ms !== undefined ? ` · ${delivery.duration_ms}ms` : ''}
+                            {delivery.status === 'pending' && delivery.attempts > 0 ? ` · next try ${new Date(delivery.next_attempt_at).toLocaleTimeString()}` : ''}
+                            {delivery.last_error ? ` · ${delivery.last_error}` : ''}
+                          </p>
+                        </div>
+                        {(delivery.status === 'delivered' || delivery.status === 'failed') && (
+                          <button
+                            onClick={() => handleRedeliver(delivery)}
+                            disabled={saving}
+                            className="ml-3 text-blue-400 hover:text-blue-300 disabled:opacity-50"
+                          >
+                            Redeliver
+                          </button>
+                        )}
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label className="text-gray-300 text-sm">New webhook</label>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Ops channel"
+          className={inputClass}
+        />
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          placeholder="https://hooks.example.com/dismodular"
+          className={inputClass}
+        />
+        <div className="grid grid-cols-2 gap-2">
+          {events.map(event => (
+            <label key={event} className="flex items-center gap-2 text-sm text-gray-300" title={EVENT_LABELS[event] || event}>
+              <input
+                type="checkbox"
+                checked={selectedEvents.includes(event)}
+                onChange={() => toggleEvent(event)}
+                className="rounded"
+              />
+              <span>{EVENT_LABELS[event] || event}</span>
+            </label>
+          ))}
+        </div>
+        <div className="flex justify-end">
+          <button
+            onClick={handleCreate}
+            disabled={saving || !name.trim() || !url.trim() || selectedEvents.length === 0}
+            className="macos-button px-4 py-2 text-energy-green disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            Add Webhook
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+    </div>
+  );
+}
+
+export default WebhooksPanel;
@@ -14,6 +14,7 @@ import { ToastContainer } from '../components/Toast';
 import { useToast } from '../hooks/useToast';
 import { useTheme } from '../hooks/useTheme';
 import AdminPanel from '../components/AdminPanel';
+import ApiTokensModal from '../components/ApiTokensModal';
 import CryptoSupport from '../components/CryptoSupport';
 import GuildSelector from '../components/GuildSelector';
 import FloatingGuildSelector from '../components/FloatingGuildSelector';
@@ -26,7 +27,8 @@ import HeartbeatIcon from '../components/HeartbeatIcon';
 export function Dashboard() {
   const navigate = useNavigate();
   const { plugins, fetchPlugins, fetchGuildPlugins, deletePlugin, updatePlugin, togglePluginEnabled, toggleGuildPlugin, fetchGuildSettings, updateGuildSettings } = usePluginStore();
-  const { apiStatus, botStatus, guildCount, fetchBotStatus, fetchGuildCount, user, logout, selectedGuildId, setSelectedGuildId, initializeGuildSelection } = useAppStore();
+  const { apiStatus, botStatus, guildCount, fetchBotStatus, fetchGuildCount, user, logout, selectedGuildId, setSelectedGuildId, initializeGuildSelection, hasPermission } = useAppStore();
+  const canCreatePlugins = hasPermission('plugins:create');
   const { theme } = useTheme();
   const [loading, setLoading] = useState(true);
   const [loadingGuildPlugins, setLoadingGuildPlugins] = useState(false);
@@ -35,6 +37,7 @@ export function Dashboard() {
   const [deletingPlugins, setDeletingPlugins] = useState(new Set());
   const [showAdminTools, setShowAdminTools] = useState(false);
   const [showAdminModal, setShowAdminModal] = useState(false);
+  const [showApiTokens, setShowApiTokens] = useState(false);
   const [showCryptoSupport, setShowCryptoSupport] = useState(false);
   const [selectedGuild, setSelectedGuild] = useState(null);
   const [guildSettings, setGuildSettings] = useState({});
@@ -277,6 +280,9 @@ export function Dashboard() {
       case 'slash': return '⚡';
       case 'message': return '💬';
       case 'both': return '🔄';
+      case 'listener': return '📡';
+      case 'pattern': return '🔎';
+      case 'scheduled': return '⏰';
       default: return '🔌';
     }
   };
@@ -387,6 +393,15 @@ export function Dashboard() {
                   </button>
                 )}
 
+                <button
+                  onClick={() => setShowApiTokens(true)}
+                  className="macos-button flex items-center space-x-1 md:space-x-2 px-2 md:px-3 py-1.5"
+                  title="Personal API tokens for scripts and CI"
+                >
+                  <span className="text-yellow-300 text-sm md:text-base">🔑</span>
+                  <span className="text-yellow-300 text-xs md:text-sm font-medium hidden sm:inline">Tokens</span>
+                </button>
+
                 <button
                   onClick={() => setShowCryptoSupport(true)}
                   className="macos-button flex items-center space-x-1 md:space-x-2 bg-gradient-to-r from-energy-green/20 to-hologram-500/20 hover:from-energy-green/30 hover:to-hologram-500/30 px-2 md:px-3 py-1.5"
@@ -604,34 +619,36 @@ export function Dashboard() {
 
                   </>
                 )}
-                <button
-                  onClick={() => navigate('/plugins/new')}
-                  disabled={selectedGuild && !selectedGuild.bot_present || arePluginButtonsDisabled()}
-                  className={`macos-button px-6 py-3 font-medium flex items-center gap-2 transition-all duration-200 ${
-                    (selectedGuild && !selectedGuild.bot_present) || arePluginButtonsDisabled()
-                      ? 'text-gray-500 cursor-not-allowed opacity-50'
-                      : 'text-white hover:scale-105'
-                  }`}
-                  title={
-                    arePluginButtonsDisabled() 
-                      ? 'Please wait for data to load...' 
-                      : selectedGuild && !selectedGuild.bot_present 
-                        ? 'Bot must be present in server to create plugins' 
-                        : 'Create a new plugin'
-                  }
-                >
-                  {arePluginButtonsDisabled() ? (
-                    <div className="flex items-center gap-2">
-                      <div className="w-4 h-4 border border-current border-t-transparent rounded-full animate-spin"></div>
-                      <span>Loading...</span>
-                    </div>
-                  ) : (
-                    <>
-                      <span className="text-lg">➕</span>
-                      <span>Create Plugin</span>
-                    </>
-                  )}
-                </button>
+                {canCreatePlugins && (
+                  <button
+                    onClick={() => navigate('/plugins/new')}
+                    disabled={selectedGuild && !selectedGuild.bot_present || arePluginButtonsDisabled()}
+                    className={`macos-button px-6 py-3 font-medium flex items-center gap-2 transition-all duration-200 ${
+                      (selectedGuild && !selectedGuild.bot_present) || arePluginButtonsDisabled()
+                        ? 'text-gray-500 cursor-not-allowed opacity-50'
+                        : 'text-white hover:scale-105'
+                    }`}
+                    title={
+                      arePluginButtonsDisabled() 
+                        ? 'Please wait for data to load...' 
+                        : selectedGuild && !selectedGuild.bot_present 
+                          ? 'Bot must be present in server to create plugins' 
+                          : 'Create a new plugin'
+                    }
+                  >
+                    {arePluginButtonsDisabled() ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-4 h-4 border border-current border-t-transparent rounded-full animate-spin"></div>
+                        <span>Loading...</span>
+                      </div>
+                    ) : (
+                      <>
+                        <span className="text-lg">➕</span>
+                        <span>Create Plugin</span>
+                      </>
+                    )}
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -682,34 +699,36 @@ export function Dashboard() {
                     : 'Create your first plugin to get started'
                   }
                 </p>
-                <button
-                  onClick={() => navigate('/plugins/new')}
-                  disabled={(selectedGuild && !selectedGuild.bot_present) || arePluginButtonsDisabled()}
-                  className={`macos-button px-4 md:px-6 py-2 md:py-3 font-medium flex items-center gap-2 transition-all duration-200 mx-auto text-sm md:text-base ${
-                    (selectedGuild && !selectedGuild.bot_present) || arePluginButtonsDisabled()
-                      ? 'text-gray-500 cursor-not-allowed opacity-50'
-                      : 'text-white hover:scale-105'
-                  }`}
-                  title={
-                    arePluginButtonsDisabled() 
-                      ? 'Please wait for data to load...' 
-                      : selectedGuild && !selectedGuild.bot_present 
-                        ? 'Bot must be present in server to create plugins' 
-                        : 'Create your first plugin'
-                  }
-                >
-                  {arePluginButtonsDisabled() ? (
-                    <div className="flex items-center gap-2">
-                      <div className="w-4 h-4 border border-current border-t-transparent rounded-full animate-spin"></div>
-                      <span className="text-sm md:text-base">Loading...</span>
-                    </div>
-                  ) : (
-                    <>
-                      <span className="text-base md:text-lg">🚀</span>
-                      <span className="text-sm md:text-base">Create First Plugin</span>
-                    </>
-                  )}
-                </button>
+                {canCreatePlugins && (
+                  <button
+                    onClick={() => navigate('/plugins/new')}
+                    disabled={(selectedGuild && !selectedGuild.bot_present) || arePluginButtonsDisabled()}
+                    className={`macos-button px-4 md:px-6 py-2 md:py-3 font-medium flex items-center gap-2 transition-all duration-200 mx-auto text-sm md:text-base ${
+                      (selectedGuild && !selectedGuild.bot_present) || arePluginButtonsDisabled()
+                        ? 'text-gray-500 cursor-not-allowed opacity-50'
+                        : 'text-white hover:scale-105'
+                    }`}
+                    title={
+                      arePluginButtonsDisabled() 
+                        ? 'Please wait for data to load...' 
+                        : selectedGuild && !selectedGuild.bot_present 
+                          ? 'Bot must be present in server to create plugins' 
+                          : 'Create your first plugin'
+                    }
+                  >
+                    {arePluginButtonsDisabled() ? (
+                      <div className="flex items-center gap-2">
+                        <div className="w-4 h-4 border border-current border-t-transparent rounded-full animate-spin"></div>
+                        <span className="text-sm md:text-base">Loading...</span>
+                      </div>
+                    ) : (
+                      <>
+                        <span className="text-base md:text-lg">🚀</span>
+                        <span className="text-sm md:text-base">Create First Plugin</span>
+                      </>
+                    )}
+                  </button>
+                )}
               </div>
             ) : (
               <PaginatedPluginManager
@@ -799,6 +818,11 @@ export function Dashboard() {
         onClose={() => setShowAdminModal(false)} 
       />
       
+      {/* API Tokens Modal */}
+      {showApiTokens && (
+        <ApiTokensModal onClose={() => setShowApiTokens(false)} />
+      )}
+
       {/* Crypto Support Modal */}
       <CryptoSupport 
         isOpen={showCryptoSupport} 
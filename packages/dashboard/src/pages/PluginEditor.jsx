@@ -6,7 +6,7 @@
  * @date 2025-10-14
  */
 
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import ReactFlow, {
   addEdge,
   Background,
@@ -17,16 +17,30 @@ import ReactFlow, {
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import { useNavigate, useParams } from 'react-router-dom';
+import { checkVariableTypes } from '@dismodular/shared/utils/typeInference.js';
+import { GatewayEvents } from '@dismodular/shared/types/events.js';
 import { usePluginStore } from '../viewmodels/PluginViewModel';
+import { useAppStore } from '../viewmodels/AppViewModel';
 import { useTheme } from '../hooks/useTheme';
 import { ToastContainer } from '../components/Toast';
 import { ContextMenu } from '../components/ContextMenu';
 import { NodeConfigPanel } from '../components/NodeConfigPanel';
 import { CommandOptionsManager } from '../components/CommandOptionsManager';
+import { PluginHistoryModal } from '../components/PluginHistoryModal';
+import { DryRunModal } from '../components/DryRunModal';
+import { TracePanel } from '../components/TracePanel';
+import { SubflowsModal } from '../components/SubflowsModal';
+import { UsageLimitsModal } from '../components/UsageLimitsModal';
+import { HttpAccessModal } from '../components/HttpAccessModal';
+import { SharePluginModal } from '../components/SharePluginModal';
 import { CustomEdge } from '../components/CustomEdge';
 import { useToast } from '../hooks/useToast';
 import { getAutoLayout } from '../utils/layoutUtils';
 import { validateConnection, validateGraph } from '../utils/connectionValidation';
+import { applyTriggerConfig, getPatternError } from '../utils/eventTriggers';
+import { PUBLICATION_BADGES } from '../utils/pluginStatus';
+import { getTraceNodeClass } from '../utils/executionTrace';
+import { copySubflowNodes, getCallConfig, replaceSelectionWithCall } from '../utils/subflows';
 import { toPng } from 'html-to-image';
 import {
   TriggerNode,
@@ -40,9 +54,20 @@ import {
   EmbedBuilderNode,
   EmbedResponseNode,
   DiscordActionNode,
+  ButtonsNode,
+  SelectMenuNode,
+  ModalInputNode,
+  SubcommandsNode,
+  FollowUpNode,
+  EditReplyNode,
+  DeleteReplyNode,
+  EphemeralToggleNode,
   ForLoopNode,
   WhileLoopNode,
   ComparisonNode,
+  ScheduleFollowUpNode,
+  TryCatchNode,
+  CallSubflowNode,
   ArrayOperationNode,
   StringOperationNode,
   ObjectOperationNode,
@@ -63,9 +88,20 @@ const nodeTypes = {
   embed_builder: EmbedBuilderNode,
   embed_response: EmbedResponseNode,
   discord_action: DiscordActionNode,
+  buttons: ButtonsNode,
+  select_menu: SelectMenuNode,
+  modal_input: ModalInputNode,
+  subcommands: SubcommandsNode,
+  follow_up: FollowUpNode,
+  edit_reply: EditReplyNode,
+  delete_reply: DeleteReplyNode,
+  ephemeral_toggle: EphemeralToggleNode,
   for_loop: ForLoopNode,
   while_loop: WhileLoopNode,
   comparison: ComparisonNode,
+  schedule_followup: ScheduleFollowUpNode,
+  try_catch: TryCatchNode,
+  call_subflow: CallSubflowNode,
   array_operation: ArrayOperationNode,
   string_operation: StringOperationNode,
   object_operation: ObjectOperationNode,
@@ -94,6 +130,8 @@ export function PluginEditor() {
   const [pluginDescription, setPluginDescription] = useState('');
   const [pluginType, setPluginType] = useState('slash');
   const [commandName, setCommandName] = useState('');
+  const [triggerEvent, setTriggerEvent] = useState('guildMemberAdd');
+  const [triggerPattern, setTriggerPattern] = useState('');
   const [commandOptions, setCommandOptions] = useState([]);
   const [_showNodeMenu, _setShowNodeMenu] = useState(false);
   const [selectedNodeId, setSelectedNodeId] = useState(null);
@@ -104,10 +142,38 @@ export function PluginEditor() {
   const [saving, setSaving] = useState(false);
   const [contextMenu, setContextMenu] = useState(null);
   const [copiedNodes, setCopiedNodes] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showDryRun, setShowDryRun] = useState(false);
+  const [showSubflows, setShowSubflows] = useState(false);
+  const [showLimits, setShowLimits] = useState(false);
+  const [showHttpAccess, setShowHttpAccess] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  // Whether the user may change the loaded plugin and share it; new plugins are always theirs
+  const [access, setAccess] = useState({ canEdit: true, canShare: false });
+  // New plugins can be kept to the selected server; saved ones show the server that owns them
+  const [guildOnly, setGuildOnly] = useState(false);
+  const [ownerGuildId, setOwnerGuildId] = useState(null);
+  // Execution trace of a test run being replayed on the canvas
+  const [trace, setTrace] = useState(null);
+  const [traceStep, setTraceStep] = useState(0);
+  // Publication status and live version of a saved plugin
+  const [publication, setPublication] = useState(null);
+  const [versionBump, setVersionBump] = useState('patch');
+  const [publishing, setPublishing] = useState(false);
   const toast = useToast();
   const { theme, toggleTheme } = useTheme();
 
-  const { createPlugin, updatePlugin, compilePlugin, getPluginById } = usePluginStore();
+  const { createPlugin, updatePlugin, publishPlugin, compilePlugin, getPluginById } = usePluginStore();
+  const { user, hasPermission, selectedGuildId } = useAppStore();
+
+  // While replaying a trace, highlight the current node and dim the ones the run has not reached
+  const displayNodes = useMemo(() => {
+    if (!trace) {
+      return nodes;
+    }
+    const getClass = getTraceNodeClass(trace, traceStep);
+    return nodes.map(node => ({ ...node, className: [node.className, getClass(node.id)].filter(Boolean).join(' ') }));
+  }, [nodes, trace, traceStep]);
 
   // Load plugin data when editing
   useEffect(() => {
@@ -203,11 +269,21 @@ export function PluginEditor() {
   const loadPlugin = async () => {
     setLoading(true);
     try {
-      const plugin = await getPluginById(id);
+      const loaded = await getPluginById(id);
+      // Unpublished edits take precedence over the live version
+      const plugin = loaded.draft ? { ...loaded, ...loaded.draft } : loaded;
+      setPublication({ status: loaded.status, version: loaded.version });
+      setAccess({
+        canEdit: loaded.can_edit !== false,
+        canShare: loaded.can_edit !== false && (loaded.created_by === user?.data?.id || hasPermission('plugins:edit_any'))
+      });
+      setOwnerGuildId(loaded.guild_id || null);
       setPluginName(plugin.name || '');
       setPluginDescription(plugin.description || '');
       setPluginType(plugin.type || 'slash');
       setCommandName(plugin.trigger_command || '');
+      setTriggerEvent(plugin.trigger_event || plugin.trigger?.event || 'guildMemberAdd');
+      setTriggerPattern(plugin.trigger_pattern || plugin.trigger?.pattern || '');
       setCommandOptions(plugin.options || []);
       setNodes(plugin.nodes || []);
       
@@ -362,6 +438,50 @@ export function PluginEditor() {
         actionType: 'send_message',
         message: 'Hello!'
       },
+      buttons: {
+        buttons: [{ label: 'Confirm', style: 'success', value: 'confirm' }]
+      },
+      select_menu: {
+        placeholder: 'Choose an option',
+        options: [],
+        minValues: 1,
+        maxValues: 1
+      },
+      modal_input: {
+        title: 'Form',
+        fields: [{ id: 'answer', label: 'Answer', style: 'short', required: true }]
+      },
+      subcommands: {
+        subcommands: [{ name: 'info', group: '', description: '' }]
+      },
+      follow_up: {
+        message: 'Still working on it...',
+        outputVar: 'followup_message_id'
+      },
+      edit_reply: {
+        message: 'Done!',
+        messageId: '',
+        outputVar: 'reply_message_id'
+      },
+      delete_reply: {
+        messageId: ''
+      },
+      ephemeral_toggle: {
+        ephemeral: true
+      },
+      schedule_followup: {
+        delay: '5',
+        unit: 'minutes',
+        jobVar: 'job_id'
+      },
+      try_catch: {
+        messageVar: 'error_message',
+        codeVar: 'error_code'
+      },
+      call_subflow: {
+        inputs: {},
+        outputs: {}
+      },
       http_request: {
         method: 'GET',
         url: 'https://api.example.com',
@@ -633,6 +753,50 @@ export function PluginEditor() {
     return [];
   }, [contextMenu, copiedNodes, copyNode, duplicateNode, deleteNode, deleteEdge, pasteNodes, setNodes, toast, handleExportPNG]);
 
+  /**
+   * Create a node that calls the latest version of a sub-flow
+   */
+  const createCallNode = (subflow, position) => ({
+    id: `call_subflow_${Date.now()}`,
+    type: 'call_subflow',
+    position,
+    data: {
+      label: subflow.name,
+      config: getCallConfig(subflow, { version: subflow.latest_version, inputs: subflow.inputs, outputs: subflow.outputs })
+    }
+  });
+
+  const handleInsertSubflowCall = (subflow) => {
+    setNodes((nds) => nds.concat(createCallNode(subflow, { x: 100 + Math.random() * 100, y: 100 + Math.random() * 100 })));
+    setShowSubflows(false);
+    toast.success(`Added a call to ${subflow.name} v${subflow.latest_version}`);
+  };
+
+  // Sub-flows are edited by copying their nodes onto the canvas and saving the selection as a new version
+  const handleCopySubflowNodes = (subflow) => {
+    const makeId = (type) => `${type}_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+    const copy = copySubflowNodes(subflow, { x: 200, y: 200 }, makeId);
+    setNodes((nds) => [...nds.map(n => ({ ...n, selected: false })), ...copy.nodes]);
+    setEdges((eds) => [...eds, ...copy.edges]);
+    setShowSubflows(false);
+    toast.info(`Copied ${subflow.name} v${subflow.latest_version} onto the canvas. Change it, keep it selected and save it as a new version.`);
+  };
+
+  const handleSubflowSaved = (subflow, replace) => {
+    if (replace) {
+      const selected = nodes.filter(n => n.selected);
+      const position = {
+        x: selected.reduce((sum, n) => sum + n.position.x, 0) / selected.length,
+        y: selected.reduce((sum, n) => sum + n.position.y, 0) / selected.length
+      };
+      const replaced = replaceSelectionWithCall(nodes, edges, createCallNode(subflow, position));
+      setNodes(replaced.nodes);
+      setEdges(replaced.edges);
+    }
+    setShowSubflows(false);
+    toast.success(`Saved ${subflow.name} v${subflow.latest_version}`);
+  };
+
   /**
    * Auto-arrange nodes using layout algorithm
    */
@@ -665,7 +829,8 @@ export function PluginEditor() {
    * Validate entire graph
    */
   const handleValidateGraph = useCallback(() => {
-    const issues = validateGraph(nodes, edges);
+    // Trigger settings decide which trigger variables the type checks can see
+    const issues = validateGraph(applyTriggerConfig(nodes, pluginType, { event: triggerEvent, pattern: triggerPattern }), edges);
     
     if (issues.length === 0) {
       toast.success('Graph validation passed!');
@@ -687,27 +852,77 @@ export function PluginEditor() {
       console[issue.severity === 'error' ? 'error' : 'warn'](issue.message, issue);
     });
     console.groupEnd();
-  }, [nodes, edges, toast]);
+  }, [nodes, edges, pluginType, triggerEvent, triggerPattern, toast]);
+
+  const isCommandPlugin = pluginType !== 'listener' && pluginType !== 'pattern' && pluginType !== 'scheduled';
+  const triggerSettings = { event: triggerEvent, pattern: triggerPattern };
+
+  /**
+   * Build the plugin trigger from the header fields
+   * @returns {Object} Trigger definition for the selected plugin type
+   */
+  const buildTrigger = () => {
+    if (pluginType === 'listener') return { type: 'event', event: triggerEvent };
+    if (pluginType === 'pattern') return { type: 'message', pattern: triggerPattern };
+    if (pluginType === 'scheduled') return { type: 'schedule' };
+    return { type: 'command', command: commandName };
+  };
 
   /**
    * Save plugin with automatic compilation
    */
+  const handlePublish = async () => {
+    if (publishing) return;
+
+    try {
+      setPublishing(true);
+      const published = await publishPlugin(id, { bump: versionBump });
+      setPublication({ status: published.status, version: published.version });
+      toast.success(`🚀 Published v${published.version}`);
+    } catch (error) {
+      toast.error(`❌ Failed to publish plugin: ${error.error || error.message}`);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
   const handleSave = async () => {
-    if (saving) return; // Prevent double submission
+    if (saving || !access.canEdit) return; // Prevent double submission and saving read-only plugins
     
     try {
-      if (!pluginName || !commandName) {
+      if (!pluginName || (isCommandPlugin && !commandName)) {
         toast.warning('Please fill in plugin name and command name');
         return;
       }
+      if (pluginType === 'listener' && !GatewayEvents[triggerEvent]) {
+        toast.warning('Please select the event this plugin listens for');
+        return;
+      }
+      if (pluginType === 'pattern') {
+        const patternError = getPatternError(triggerPattern);
+        if (patternError) {
+          toast.warning(`Invalid message pattern: ${patternError}`);
+          return;
+        }
+      }
 
       setSaving(true);
 
+      // Trigger nodes carry the event or pattern so the compiler can expose its variables
+      const flowNodes = applyTriggerConfig(nodes, pluginType, triggerSettings);
+
+      // Variable warnings don't block saving, the flow still compiles and runs
+      const variableIssues = checkVariableTypes(flowNodes, edges);
+      if (variableIssues.length > 0) {
+        const more = variableIssues.length > 1 ? ` (and ${variableIssues.length - 1} more, see Validate)` : '';
+        toast.warning(`⚠️ ${variableIssues[0].message}${more}`);
+      }
+
       // Step 1: Compile the plugin
       toast.info('🔄 Compiling plugin...');
       let compiledResult;
       try {
-        compiledResult = await compilePlugin(nodes, edges);
+        compiledResult = await compilePlugin(flowNodes, edges);
       } catch (compileError) {
         setSaving(false);
         toast.error(`❌ Compilation failed: ${compileError.error || compileError.message}`);
@@ -732,24 +947,23 @@ export function PluginEditor() {
         name: pluginName,
         description: pluginDescription,
         type: pluginType,
-        trigger: {
-          type: 'command',
-          command: commandName
-        },
-        trigger_command: commandName,
-        options: commandOptions,
-        nodes,
+        trigger: buildTrigger(),
+        trigger_command: isCommandPlugin ? commandName : null,
+        // Subcommand options are nested per branch, so let the server extract them from the graph
+        options: !isCommandPlugin ? [] : (flowNodes.some(n => n.type === 'subcommands') ? undefined : commandOptions),
+        nodes: flowNodes,
         edges,
         compiled: compiledResult.compiled
       };
 
       if (id) {
-        await updatePlugin(id, pluginData);
-        toast.success('✅ Plugin compiled and saved successfully!');
+        const updated = await updatePlugin(id, pluginData);
+        setPublication({ status: updated.status, version: updated.version });
+        toast.success('✅ Draft saved. Publish it to make the changes live.');
       } else {
-        await createPlugin(pluginData);
-        toast.success('✅ Plugin compiled and created successfully!');
-        setTimeout(() => navigate('/dashboard'), 1500);
+        const response = await createPlugin({ ...pluginData, guild_id: guildOnly && selectedGuildId ? selectedGuildId : null });
+        toast.success('✅ Plugin created as a draft. Publish it to make it live.');
+        setTimeout(() => navigate(`/plugins/${response.data.id}/edit`), 1500);
       }
     } catch (error) {
       toast.error(`❌ Failed to save plugin: ${error.error || error.message}`);
@@ -763,7 +977,7 @@ export function PluginEditor() {
    */
   const handleTestCompile = async () => {
     try {
-      const result = await compilePlugin(nodes, edges);
+      const result = await compilePlugin(applyTriggerConfig(nodes, pluginType, triggerSettings), edges);
       
       // Show compilation result in a popup/modal
       const lineCount = result.compiled.split('\n').length;
@@ -877,11 +1091,8 @@ export function PluginEditor() {
       description: pluginDescription,
       author: '',
       type: pluginType,
-      trigger: {
-        type: 'command',
-        command: commandName
-      },
-      nodes,
+      trigger: buildTrigger(),
+      nodes: applyTriggerConfig(nodes, pluginType, triggerSettings),
       edges,
       exportedAt: new Date().toISOString(),
       exportedBy: 'DisModular.js'
@@ -928,6 +1139,8 @@ export function PluginEditor() {
         setPluginDescription(importedData.description || '');
         setPluginType(importedData.type || 'slash');
         setCommandName(importedData.trigger?.command || 'imported');
+        setTriggerEvent(importedData.trigger?.event || 'guildMemberAdd');
+        setTriggerPattern(importedData.trigger?.pattern || '');
         setNodes(importedData.nodes);
         setEdges(importedData.edges);
         
@@ -961,7 +1174,15 @@ export function PluginEditor() {
       nodes: [
         { type: 'embed_builder', label: 'Build Embed', color: 'bg-purple-600', icon: '📋' },
         { type: 'embed_response', label: 'Send Embed', color: 'bg-indigo-600', icon: '📤' },
-        { type: 'discord_action', label: 'Discord Action', color: 'bg-indigo-500', icon: '🎮' }
+        { type: 'discord_action', label: 'Discord Action', color: 'bg-indigo-500', icon: '🎮' },
+        { type: 'buttons', label: 'Buttons', color: 'bg-sky-600', icon: '🔘' },
+        { type: 'select_menu', label: 'Select Menu', color: 'bg-sky-600', icon: '🔽' },
+        { type: 'modal_input', label: 'Modal Input', color: 'bg-violet-600', icon: '📝' },
+        { type: 'subcommands', label: 'Subcommands', color: 'bg-indigo-600', icon: '🗂️' },
+        { type: 'follow_up', label: 'Follow-up', color: 'bg-teal-600', icon: '📨' },
+        { type: 'edit_reply', label: 'Edit Reply', color: 'bg-teal-700', icon: '✏️' },
+        { type: 'delete_reply', label: 'Delete Reply', color: 'bg-teal-800', icon: '🗑️' },
+        { type: 'ephemeral_toggle', label: 'Ephemeral Toggle', color: 'bg-slate-600', icon: '🙈' }
       ]
     },
     {
@@ -971,7 +1192,10 @@ export function PluginEditor() {
         { type: 'comparison', label: 'Compare Values', color: 'bg-yellow-600', icon: '⚖️' },
         { type: 'permission', label: 'Check Permission', color: 'bg-red-500', icon: '🔒' },
         { type: 'for_loop', label: 'For Loop', color: 'bg-pink-600', icon: '🔄' },
-        { type: 'while_loop', label: 'While Loop', color: 'bg-pink-500', icon: '♾️' }
+        { type: 'while_loop', label: 'While Loop', color: 'bg-pink-500', icon: '♾️' },
+        { type: 'schedule_followup', label: 'Schedule Follow-up', color: 'bg-amber-600', icon: '⏰' },
+        { type: 'try_catch', label: 'Try/Catch', color: 'bg-rose-600', icon: '🛟' },
+        { type: 'call_subflow', label: 'Call Sub-flow', color: 'bg-fuchsia-600', icon: '🧩' }
       ]
     },
     {
@@ -1227,6 +1451,16 @@ export function PluginEditor() {
                 <span>🧪</span>
                 Test Compile
               </button>
+              {isCommandPlugin && (
+                <button
+                  onClick={() => setShowDryRun(true)}
+                  className="px-4 py-2 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
+                  title="Run the plugin against a test interaction without sending anything to Discord"
+                >
+                  <span>▶️</span>
+                  Test Run
+                </button>
+              )}
               <button
                 onClick={handleAutoArrange}
                 className="px-4 py-2 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
@@ -1242,15 +1476,104 @@ export function PluginEditor() {
                 Validate
               </button>
               <button
-                onClick={handleSave}
-                disabled={saving || loading}
-                className={`px-4 py-2 bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white rounded-lg transition-all transform hover:scale-105 flex items-center gap-2 shadow-lg ${(saving || loading) ? 'opacity-50 cursor-not-allowed transform-none' : ''}`}
+                onClick={() => setShowSubflows(true)}
+                className="px-4 py-2 bg-gradient-to-r from-fuchsia-600 to-fuchsia-700 hover:from-fuchsia-700 hover:to-fuchsia-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
+                title="Save selected nodes as a reusable sub-flow or call one"
               >
-                {saving && (
-                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                )}
-                {saving ? 'Saving...' : (id ? '💾 Update Plugin' : '💾 Save Plugin')}
+                <span>🧩</span>
+                Sub-flows
               </button>
+              {id && access.canEdit && (
+                <button
+                  onClick={() => setShowLimits(true)}
+                  className="px-4 py-2 bg-gradient-to-r from-orange-600 to-orange-700 hover:from-orange-700 hover:to-orange-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
+                  title="Cooldowns and daily quotas, applied to the live plugin right away"
+                >
+                  <span>⏳</span>
+                  Limits
+                </button>
+              )}
+              {id && access.canEdit && (
+                <button
+                  onClick={() => setShowHttpAccess(true)}
+                  className="px-4 py-2 bg-gradient-to-r from-sky-600 to-sky-700 hover:from-sky-700 hover:to-sky-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
+                  title="Domains HTTP requests may reach and secrets they reference"
+                >
+                  <span>🌐</span>
+                  HTTP Access
+                </button>
+              )}
+              {id && access.canShare && (
+                <button
+                  onClick={() => setShowShare(true)}
+                  className="px-4 py-2 bg-gradient-to-r from-teal-600 to-teal-700 hover:from-teal-700 hover:to-teal-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
+                  title="Let other authors edit this plugin"
+                >
+                  <span>🤝</span>
+                  Share
+                </button>
+              )}
+              {id && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="px-4 py-2 bg-gradient-to-r from-gray-600 to-gray-700 hover:from-gray-700 hover:to-gray-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
+                  title="Compare and restore saved versions"
+                >
+                  <span>🕘</span>
+                  History
+                </button>
+              )}
+              {access.canEdit ? (
+                <>
+                  <button
+                    onClick={handleSave}
+                    disabled={saving || loading}
+                    className={`px-4 py-2 bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 text-white rounded-lg transition-all transform hover:scale-105 flex items-center gap-2 shadow-lg ${(saving || loading) ? 'opacity-50 cursor-not-allowed transform-none' : ''}`}
+                  >
+                    {saving && (
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                    )}
+                    {saving ? 'Saving...' : '💾 Save Draft'}
+                  </button>
+                  {id && publication && (
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${PUBLICATION_BADGES[publication.status]?.className || ''}`}
+                        title={publication.status === 'draft' ? 'Not loaded by the bot until published' : `Live version ${publication.version}`}
+                      >
+                        {PUBLICATION_BADGES[publication.status]?.label || publication.status}
+                        {publication.status !== 'draft' && ` · v${publication.version}`}
+                      </span>
+                      <select
+                        value={versionBump}
+                        onChange={(e) => setVersionBump(e.target.value)}
+                        disabled={publication.status === 'draft'}
+                        className="px-2 py-2 bg-gray-700 text-white rounded-lg text-sm disabled:opacity-50"
+                        title={publication.status === 'draft' ? `The first publish uses v${publication.version}` : 'Part of the version to bump'}
+                      >
+                        <option value="patch">Patch</option>
+                        <option value="minor">Minor</option>
+                        <option value="major">Major</option>
+                      </select>
+                      <button
+                        onClick={handlePublish}
+                        disabled={publishing || saving || publication.status === 'published'}
+                        className={`px-4 py-2 bg-gradient-to-r from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg ${(publishing || saving || publication.status === 'published') ? 'opacity-50 cursor-not-allowed transform-none' : ''}`}
+                        title="Compile, validate and make the saved draft live"
+                      >
+                        {publishing ? 'Publishing...' : '🚀 Publish'}
+                      </button>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <span
+                  className="px-3 py-2 text-sm rounded-lg bg-gray-700 text-gray-300"
+                  title="You can only change plugins you own or that are shared with you"
+                >
+                  👁️ Read only
+                </span>
+              )}
               <button
                 onClick={() => navigate('/dashboard')}
                 className="px-4 py-2 bg-gradient-to-r from-gray-600 to-gray-700 hover:from-gray-700 hover:to-gray-800 text-white rounded-lg transition-all transform hover:scale-105 shadow-lg"
@@ -1269,13 +1592,46 @@ export function PluginEditor() {
               onChange={(e) => setPluginName(e.target.value)}
               className="px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
             />
-            <input
-              type="text"
-              placeholder="Command Name (e.g., hello)"
-              value={commandName}
-              onChange={(e) => setCommandName(e.target.value)}
-              className="px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
-            />
+            {pluginType === 'listener' ? (
+              <select
+                value={triggerEvent}
+                onChange={(e) => setTriggerEvent(e.target.value)}
+                className="px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+                title={GatewayEvents[triggerEvent]?.description}
+              >
+                {Object.entries(GatewayEvents).map(([eventName, definition]) => (
+                  <option key={eventName} value={eventName}>
+                    {definition.label}{definition.privileged ? ' (requires Server Members intent)' : ''}
+                  </option>
+                ))}
+              </select>
+            ) : pluginType === 'pattern' ? (
+              <input
+                type="text"
+                placeholder="Message Pattern (e.g., /^good (?<time>morning|night)/i)"
+                value={triggerPattern}
+                onChange={(e) => setTriggerPattern(e.target.value)}
+                className={`px-3 py-2 bg-gray-700 text-white rounded-lg border focus:outline-none focus:border-blue-500 font-mono ${
+                  triggerPattern && getPatternError(triggerPattern) ? 'border-red-500' : 'border-gray-600'
+                }`}
+                title={triggerPattern ? (getPatternError(triggerPattern) || 'Named groups like (?<name>...) become {name} variables') : 'Regular expression matched against every message'}
+              />
+            ) : pluginType === 'scheduled' ? (
+              <div
+                className="px-3 py-2 bg-gray-800 text-gray-400 text-sm rounded-lg border border-gray-600 flex items-center"
+                title="Each server picks a cron expression or interval and a channel from its plugin list"
+              >
+                ⏰ Schedule is set per server
+              </div>
+            ) : (
+              <input
+                type="text"
+                placeholder="Command Name (e.g., hello)"
+                value={commandName}
+                onChange={(e) => setCommandName(e.target.value)}
+                className="px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
+              />
+            )}
             <select
               value={pluginType}
               onChange={(e) => setPluginType(e.target.value)}
@@ -1284,6 +1640,9 @@ export function PluginEditor() {
               <option value="slash">Slash Command</option>
               <option value="text">Text Command</option>
               <option value="both">Both</option>
+              <option value="listener">Event Listener</option>
+              <option value="pattern">Message Pattern</option>
+              <option value="scheduled">Scheduled</option>
             </select>
             <input
               type="text"
@@ -1293,6 +1652,25 @@ export function PluginEditor() {
               className="px-3 py-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:outline-none focus:border-blue-500"
             />
           </div>
+          {!id && selectedGuildId && (
+            <label
+              className="mt-3 flex items-center gap-2 text-sm text-gray-300"
+              title="The plugin is only registered and listed in this server, other servers never see it"
+            >
+              <input
+                type="checkbox"
+                checked={guildOnly}
+                onChange={(e) => setGuildOnly(e.target.checked)}
+                className="rounded"
+              />
+              🔒 Only in the selected server
+            </label>
+          )}
+          {id && ownerGuildId && (
+            <p className="mt-3 text-sm text-gray-400" title={`Server ${ownerGuildId}`}>
+              🔒 Private to one server, its managers can edit it
+            </p>
+          )}
               </div>
             </div>
 
@@ -1310,7 +1688,7 @@ export function PluginEditor() {
         {/* React Flow Canvas */}
         <div ref={reactFlowWrapper} className="flex-1">
           <ReactFlow
-            nodes={nodes}
+            nodes={displayNodes}
             edges={edges}
             onNodesChange={onNodesChange}
             onEdgesChange={onEdgesChange}
@@ -1358,7 +1736,7 @@ export function PluginEditor() {
       <NodeConfigPanel
         selectedNode={selectedNode}
         setNodes={setNodes}
-        allNodes={nodes}
+        allNodes={applyTriggerConfig(nodes, pluginType, triggerSettings)}
         allEdges={edges}
         onDelete={() => {
           setNodes((nds) => nds.filter((n) => n.id !== selectedNode.id));
@@ -1376,6 +1754,86 @@ export function PluginEditor() {
         />
       )}
 
+      {/* Dry Run */}
+      {showDryRun && (
+        <DryRunModal
+          nodes={applyTriggerConfig(nodes, pluginType, triggerSettings)}
+          edges={edges}
+          commandName={commandName}
+          commandOptions={commandOptions}
+          onReplay={(runTrace) => {
+            setShowDryRun(false);
+            setTrace(runTrace);
+            setTraceStep(0);
+          }}
+          onClose={() => setShowDryRun(false)}
+        />
+      )}
+
+      {/* Execution Trace */}
+      {trace && (
+        <TracePanel
+          trace={trace}
+          nodes={nodes}
+          step={traceStep}
+          onStep={setTraceStep}
+          onClose={() => setTrace(null)}
+        />
+      )}
+
+      {/* Sub-flows */}
+      {showSubflows && (
+        <SubflowsModal
+          nodes={nodes}
+          edges={edges}
+          onInsertCall={handleInsertSubflowCall}
+          onCopyNodes={handleCopySubflowNodes}
+          onSaved={handleSubflowSaved}
+          onClose={() => setShowSubflows(false)}
+        />
+      )}
+
+      {/* Usage Limits */}
+      {showLimits && (
+        <UsageLimitsModal
+          pluginId={id}
+          pluginName={pluginName}
+          onSaved={() => toast.success('Usage limits saved')}
+          onClose={() => setShowLimits(false)}
+        />
+      )}
+
+      {/* HTTP Access */}
+      {showHttpAccess && (
+        <HttpAccessModal
+          pluginId={id}
+          pluginName={pluginName}
+          onClose={() => setShowHttpAccess(false)}
+        />
+      )}
+
+      {/* Sharing */}
+      {showShare && (
+        <SharePluginModal
+          pluginId={id}
+          pluginName={pluginName}
+          onClose={() => setShowShare(false)}
+        />
+      )}
+
+      {/* Version History */}
+      {showHistory && (
+        <PluginHistoryModal
+          pluginId={id}
+          onRestored={(revision) => {
+            setShowHistory(false);
+            toast.success(`Restored revision ${revision} as a draft. Publish it to make it live.`);
+            loadPlugin();
+          }}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
       {/* Toast Notifications */}
       <ToastContainer toasts={toast.toasts} removeToast={toast.removeToast} />
     </div>
@@ -124,7 +124,29 @@ export const api = {
     update: (id, data) => apiClient.put(`/plugins/${id}`, data),
     toggleEnabled: (id, enabled) => apiClient.patch(`/plugins/${id}/toggle`, { enabled }),
     delete: (id) => apiClient.delete(`/plugins/${id}`),
-    compile: (nodes, edges) => apiClient.post('/plugins/compile', { nodes, edges })
+    compile: (nodes, edges) => apiClient.post('/plugins/compile', { nodes, edges }),
+    getRevisions: (id) => apiClient.get(`/plugins/${id}/revisions`),
+    diffRevision: (id, revision, base) => apiClient.get(`/plugins/${id}/revisions/${revision}/diff`, { params: base ? { base } : {} }),
+    restoreRevision: (id, revision) => apiClient.post(`/plugins/${id}/revisions/${revision}/restore`),
+    publish: (id, data) => apiClient.post(`/plugins/${id}/publish`, data),
+    getSecrets: (id) => apiClient.get(`/plugins/${id}/secrets`),
+    setSecret: (id, name, value) => apiClient.put(`/plugins/${id}/secrets/${name}`, { value }),
+    deleteSecret: (id, name) => apiClient.delete(`/plugins/${id}/secrets/${name}`),
+    getCollaborators: (id) => apiClient.get(`/plugins/${id}/collaborators`),
+    addCollaborator: (id, discordId) => apiClient.post(`/plugins/${id}/collaborators`, { discord_id: discordId }),
+    removeCollaborator: (id, userId) => apiClient.delete(`/plugins/${id}/collaborators/${userId}`),
+    dryRun: (data) => apiClient.post('/plugins/dry-run', data)
+  },
+
+  // Sub-flow endpoints
+  subflows: {
+    getAll: () => apiClient.get('/subflows'),
+    getById: (id) => apiClient.get(`/subflows/${id}`),
+    getVersion: (id, version) => apiClient.get(`/subflows/${id}/versions/${version}`),
+    getDependents: (id) => apiClient.get(`/subflows/${id}/dependents`),
+    create: (data) => apiClient.post('/subflows', data),
+    update: (id, data) => apiClient.put(`/subflows/${id}`, data),
+    delete: (id) => apiClient.delete(`/subflows/${id}`)
   },
 
   // Bot endpoints
@@ -145,20 +167,49 @@ export const api = {
     togglePlugin: (guildId, pluginId, enabled) => apiClient.put(`/guilds/${guildId}/plugins/${pluginId}`, { enabled }),
     syncCommands: (guildId) => apiClient.post(`/guilds/${guildId}/sync`),
     getSettings: (guildId) => apiClient.get(`/guilds/${guildId}/settings`),
-    updateSettings: (guildId, settings) => apiClient.put(`/guilds/${guildId}/settings`, { settings })
+    updateSettings: (guildId, settings) => apiClient.put(`/guilds/${guildId}/settings`, { settings }),
+    getSchedule: (guildId, pluginId) => apiClient.get(`/guilds/${guildId}/plugins/${pluginId}/schedule`),
+    updateSchedule: (guildId, pluginId, schedule) => apiClient.put(`/guilds/${guildId}/plugins/${pluginId}/schedule`, schedule),
+    deleteSchedule: (guildId, pluginId) => apiClient.delete(`/guilds/${guildId}/plugins/${pluginId}/schedule`),
+    getLimits: (guildId, pluginId) => apiClient.get(`/guilds/${guildId}/plugins/${pluginId}/limits`),
+    updateLimits: (guildId, pluginId, limits) => apiClient.put(`/guilds/${guildId}/plugins/${pluginId}/limits`, limits),
+    getHttpSettings: (guildId, pluginId) => apiClient.get(`/guilds/${guildId}/plugins/${pluginId}/http`),
+    updateEgress: (guildId, pluginId, policy) => apiClient.put(`/guilds/${guildId}/plugins/${pluginId}/egress`, policy),
+    setSecret: (guildId, pluginId, name, value) => apiClient.put(`/guilds/${guildId}/plugins/${pluginId}/secrets/${name}`, { value }),
+    deleteSecret: (guildId, pluginId, name) => apiClient.delete(`/guilds/${guildId}/plugins/${pluginId}/secrets/${name}`),
+    getRuns: (guildId, pluginId, params = {}) => apiClient.get(`/guilds/${guildId}/plugins/${pluginId}/runs`, { params })
+  },
+
+  // Personal API token endpoints
+  tokens: {
+    getAll: () => apiClient.get('/tokens'),
+    create: (data) => apiClient.post('/tokens', data),
+    revoke: (id) => apiClient.delete(`/tokens/${id}`)
   },
 
   // Admin endpoints
     admin: {
       getUsers: () => apiClient.get('/admin/users'),
       toggleAdmin: (userId, isAdmin, adminNotes) => apiClient.put(`/admin/users/${userId}/toggle-admin`, { is_admin: isAdmin, admin_notes: adminNotes }),
+      updateRole: (userId, role) => apiClient.put(`/admin/users/${userId}/role`, { role }),
       addAdmin: (discordId, adminNotes) => apiClient.post('/admin/users/add-admin', { discord_id: discordId, admin_notes: adminNotes }),
       getStats: () => apiClient.get('/admin/stats'),
+      getAnalytics: (params = {}) => apiClient.get('/admin/analytics', { params }),
       getAccessRequests: () => apiClient.get('/admin/access-requests'),
       approveAccess: (userId, message) => apiClient.post(`/admin/access-requests/${userId}/approve`, { message }),
       denyAccess: (userId, message) => apiClient.post(`/admin/access-requests/${userId}/deny`, { message }),
       revokeAccess: (userId, reason) => apiClient.post(`/admin/users/${userId}/revoke-access`, { reason }),
-      grantAccess: (userId, message) => apiClient.post(`/admin/users/${userId}/grant-access`, { message })
+      grantAccess: (userId, message) => apiClient.post(`/admin/users/${userId}/grant-access`, { message }),
+      webhooks: {
+        getAll: () => apiClient.get('/admin/webhooks'),
+        create: (data) => apiClient.post('/admin/webhooks', data),
+        update: (id, data) => apiClient.put(`/admin/webhooks/${id}`, data),
+        delete: (id) => apiClient.delete(`/admin/webhooks/${id}`),
+        rotateSecret: (id) => apiClient.post(`/admin/webhooks/${id}/rotate-secret`),
+        test: (id) => apiClient.post(`/admin/webhooks/${id}/test`),
+        getDeliveries: (id, limit = 50) => apiClient.get(`/admin/webhooks/${id}/deliveries`, { params: { limit } }),
+        redeliver: (id, deliveryId) => apiClient.post(`/admin/webhooks/${id}/deliveries/${deliveryId}/redeliver`)
+      }
     }
 };
 
@@ -0,0 +1,133 @@
+/**
+ * Command Option Utility
+ * Labels for the slash command option types in @dismodular/shared and the settings each one supports
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { CommandOptionTypes, OptionChannelTypes } from '@dismodular/shared/utils/commandOptions.js';
+
+/**
+ * Option types with the variable type a User Input node produces for them
+ */
+export const OPTION_TYPES = [
+  { value: CommandOptionTypes.STRING, label: 'String (Text)', variableType: 'user_input' },
+  { value: CommandOptionTypes.INTEGER, label: 'Integer (Whole number)', variableType: 'number' },
+  { value: CommandOptionTypes.NUMBER, label: 'Number (Decimal)', variableType: 'number' },
+  { value: CommandOptionTypes.BOOLEAN, label: 'Boolean (True/False)', variableType: 'boolean' },
+  { value: CommandOptionTypes.USER, label: 'User (@mention)', variableType: 'user_id' },
+  { value: CommandOptionTypes.CHANNEL, label: 'Channel (#channel)', variableType: 'channel_id' },
+  { value: CommandOptionTypes.ROLE, label: 'Role (@role)', variableType: 'role_id' },
+  { value: CommandOptionTypes.MENTIONABLE, label: 'Mentionable (User or Role)', variableType: 'mentionable_id' },
+  { value: CommandOptionTypes.ATTACHMENT, label: 'Attachment (File)', variableType: 'url' }
+];
+
+/**
+ * Channel types a channel option can be limited to
+ */
+export const CHANNEL_TYPES = [
+  { value: OptionChannelTypes.GUILD_TEXT, label: 'Text' },
+  { value: OptionChannelTypes.GUILD_VOICE, label: 'Voice' },
+  { value: OptionChannelTypes.GUILD_CATEGORY, label: 'Category' },
+  { value: OptionChannelTypes.GUILD_ANNOUNCEMENT, label: 'Announcement' },
+  { value: OptionChannelTypes.PUBLIC_THREAD, label: 'Public Thread' },
+  { value: OptionChannelTypes.PRIVATE_THREAD, label: 'Private Thread' },
+  { value: OptionChannelTypes.GUILD_STAGE_VOICE, label: 'Stage' },
+  { value: OptionChannelTypes.GUILD_FORUM, label: 'Forum' }
+];
+
+/**
+ * Types whose User Input variable holds an ID or URL, with the display name in {<name>_name}
+ */
+const RESOLVED_TYPES = [
+  CommandOptionTypes.USER,
+  CommandOptionTypes.CHANNEL,
+  CommandOptionTypes.ROLE,
+  CommandOptionTypes.MENTIONABLE,
+  CommandOptionTypes.ATTACHMENT
+];
+
+/**
+ * Get the settings an option type supports
+ * @param {number} type - Option type
+ * @returns {{choices: boolean, range: boolean, length: boolean, channelTypes: boolean, autocomplete: boolean}} Supported settings
+ */
+export function getOptionSupport(type) {
+  const optionType = Number(type) || CommandOptionTypes.STRING;
+  const text = optionType === CommandOptionTypes.STRING;
+  const numeric = optionType === CommandOptionTypes.INTEGER || optionType === CommandOptionTypes.NUMBER;
+  return {
+    choices: text || numeric,
+    range: numeric,
+    length: text,
+    channelTypes: optionType === CommandOptionTypes.CHANNEL,
+    autocomplete: text || numeric
+  };
+}
+
+/**
+ * Check whether an option resolves to a Discord object instead of a plain value
+ * @param {number} type - Option type
+ * @returns {boolean} Whether the option is a user, channel, role, mentionable or attachment
+ */
+export function isResolvedOptionType(type) {
+  return RESOLVED_TYPES.includes(Number(type));
+}
+
+/**
+ * Get the variables a User Input node sets
+ * @param {Object} config - Variable node configuration
+ * @returns {Array<{name: string, type: string}>} Variables
+ */
+export function getUserInputVariables(config) {
+  const type = Number(config.optionType) || CommandOptionTypes.STRING;
+  const variableType = OPTION_TYPES.find(t => t.value === type)?.variableType || 'user_input';
+  const variables = [{ name: config.name, type: variableType }];
+  if (isResolvedOptionType(type)) {
+    variables.push({ name: `${config.name}_name`, type: 'string' });
+  }
+  return variables;
+}
+
+/**
+ * Build a command option from a User Input node, mirroring NodeCompiler.buildOption
+ * @param {Object} config - Variable node configuration
+ * @returns {Object} Command option
+ */
+export function userInputToOption(config) {
+  const type = Number(config.optionType) || CommandOptionTypes.STRING;
+  const support = getOptionSupport(type);
+  const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+  const option = {
+    name: config.name,
+    description: config.description || `Enter ${config.name}`,
+    type,
+    required: config.required !== false,
+    min_value: support.range ? toNumber(config.minValue) : undefined,
+    max_value: support.range ? toNumber(config.maxValue) : undefined,
+    min_length: support.length ? toNumber(config.minLength) : undefined,
+    max_length: support.length ? toNumber(config.maxLength) : undefined,
+    channel_types: support.channelTypes && config.channelTypes?.length ? config.channelTypes : undefined
+  };
+
+  if (support.choices && config.choices?.length) {
+    option.choices = config.choices.filter(choice => choice?.name).map(choice => ({
+      name: choice.name,
+      value: support.range ? Number(choice.value || choice.name) : String(choice.value || choice.name)
+    }));
+  } else if (support.autocomplete && config.autocomplete) {
+    option.autocomplete = true;
+    option.suggestions = (config.suggestions || []).filter(suggestion => String(suggestion).trim());
+  }
+
+  return Object.fromEntries(Object.entries(option).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Get the output handle of a subcommand on a Subcommands node, mirroring NodeCompiler.getSubcommands
+ * @param {Object} subcommand - Subcommand ({name, group})
+ * @returns {string} Handle ID
+ */
+export function getSubcommandHandle(subcommand) {
+  return `sub:${subcommand.group ? `${subcommand.group}.` : ''}${subcommand.name}`;
+}
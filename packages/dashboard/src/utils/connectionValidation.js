@@ -5,24 +5,26 @@
  * @date 2025-10-15
  */
 
+import { checkVariableTypes } from '@dismodular/shared/utils/typeInference.js';
+
 /**
  * Valid connection rules between node types
  */
 const CONNECTION_RULES = {
   trigger: {
-    canConnectTo: ['variable', 'condition', 'action', 'response'],
+    canConnectTo: ['variable', 'condition', 'action', 'response', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
     description: 'Entry point - can connect to processing nodes'
   },
   variable: {
-    canConnectTo: ['variable', 'condition', 'action', 'response', 'math_operation', 'string_operation', 'array_operation'],
+    canConnectTo: ['variable', 'condition', 'action', 'response', 'math_operation', 'string_operation', 'array_operation', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
     description: 'Data storage - can connect to processing and output nodes'
   },
   condition: {
-    canConnectTo: ['action', 'response', 'variable', 'condition'],
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
     description: 'Logic branching - can connect to different paths'
   },
   action: {
-    canConnectTo: ['action', 'response', 'variable'],
+    canConnectTo: ['action', 'response', 'variable', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
     description: 'Processing step - can connect to next actions or outputs'
   },
   response: {
@@ -46,19 +48,19 @@ const CONNECTION_RULES = {
     description: 'Object processing - can connect to outputs'
   },
   http_request: {
-    canConnectTo: ['variable', 'condition', 'action', 'response'],
+    canConnectTo: ['variable', 'condition', 'action', 'response', 'follow_up', 'edit_reply'],
     description: 'HTTP request - can connect to outputs'
   },
   embed_builder: {
-    canConnectTo: ['embed_response', 'discord_action'],
+    canConnectTo: ['embed_response', 'discord_action', 'buttons', 'select_menu', 'follow_up', 'edit_reply'],
     description: 'Embed creation - can connect to embed outputs'
   },
   embed_response: {
-    canConnectTo: ['discord_action', 'action', 'response'],
+    canConnectTo: ['discord_action', 'action', 'response', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
     description: 'Embed output - can connect to Discord actions and responses'
   },
   discord_action: {
-    canConnectTo: ['action', 'response'],
+    canConnectTo: ['action', 'response', 'buttons', 'select_menu'],
     description: 'Discord action - can connect to next actions or outputs'
   },
   permission: {
@@ -66,7 +68,7 @@ const CONNECTION_RULES = {
     description: 'Permission check - can connect to allowed/denied paths'
   },
   database: {
-    canConnectTo: ['variable', 'condition', 'action', 'response'],
+    canConnectTo: ['variable', 'condition', 'action', 'response', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
     description: 'Database operation - can connect to outputs'
   },
   json: {
@@ -84,6 +86,50 @@ const CONNECTION_RULES = {
   comparison: {
     canConnectTo: ['condition', 'action', 'response'],
     description: 'Comparison result - can connect to logic nodes'
+  },
+  buttons: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'embed_builder', 'embed_response', 'database', 'buttons', 'select_menu', 'modal_input'],
+    description: 'Buttons - can connect to the immediate path and the on-click path'
+  },
+  select_menu: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'embed_builder', 'embed_response', 'database', 'buttons', 'select_menu', 'modal_input'],
+    description: 'Select menu - can connect to the immediate path and the on-select path'
+  },
+  modal_input: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'embed_builder', 'database'],
+    description: 'Modal form - can connect to the on-submit path'
+  },
+  subcommands: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'permission', 'discord_action', 'embed_builder', 'embed_response', 'database', 'http_request', 'buttons', 'select_menu', 'modal_input', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
+    description: 'Subcommand router - each subcommand handle starts its own branch'
+  },
+  schedule_followup: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'embed_builder', 'database'],
+    description: 'Follow-up scheduling - can connect to the immediate path and the delayed follow-up path'
+  },
+  try_catch: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'permission', 'discord_action', 'embed_builder', 'embed_response', 'database', 'http_request', 'json', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
+    description: 'Error handling - the error path runs if anything on the success path fails'
+  },
+  call_subflow: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'permission', 'discord_action', 'embed_builder', 'embed_response', 'database', 'http_request', 'json', 'math_operation', 'string_operation', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
+    description: 'Sub-flow call - its outputs are available to the nodes after it'
+  },
+  follow_up: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'embed_builder', 'database', 'http_request', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
+    description: 'Follow-up message - sent straight away, the flow continues after it'
+  },
+  edit_reply: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'embed_builder', 'database', 'http_request', 'schedule_followup', 'buttons', 'select_menu', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'],
+    description: 'Reply edit - changes the reply straight away, the flow continues after it'
+  },
+  delete_reply: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'discord_action', 'database', 'follow_up', 'edit_reply', 'ephemeral_toggle'],
+    description: 'Reply delete - removes the reply or a follow-up, the flow continues after it'
+  },
+  ephemeral_toggle: {
+    canConnectTo: ['action', 'response', 'variable', 'condition', 'permission', 'discord_action', 'embed_builder', 'embed_response', 'database', 'http_request', 'subcommands', 'try_catch', 'call_subflow', 'follow_up', 'edit_reply'],
+    description: 'Reply visibility - applies to the replies after it'
   }
 };
 
@@ -279,6 +325,9 @@ export const validateGraph = (nodes, edges) => {
     }
   });
 
+  // Check variables are set before they are used and used as the type they hold
+  issues.push(...checkVariableTypes(nodes, edges));
+
   return issues;
 };
 
@@ -307,7 +356,18 @@ export const getNodeTypeDisplayName = (nodeType) => {
     json: 'JSON',
     for_loop: 'For Loop',
     while_loop: 'While Loop',
-    comparison: 'Comparison'
+    comparison: 'Comparison',
+    schedule_followup: 'Schedule Follow-up',
+    buttons: 'Buttons',
+    select_menu: 'Select Menu',
+    modal_input: 'Modal Input',
+    subcommands: 'Subcommands',
+    try_catch: 'Try/Catch',
+    call_subflow: 'Call Sub-flow',
+    follow_up: 'Follow-up',
+    edit_reply: 'Edit Reply',
+    delete_reply: 'Delete Reply',
+    ephemeral_toggle: 'Ephemeral Toggle'
   };
   
   return displayNames[nodeType] || nodeType;
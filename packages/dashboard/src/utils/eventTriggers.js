@@ -0,0 +1,97 @@
+/**
+ * Event Trigger Utility
+ * Gateway events and message patterns that start plugins, and the variables they expose
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { GatewayEvents } from '@dismodular/shared/types/events.js';
+import { validatePattern, getPatternGroupNames } from '@dismodular/shared/utils/safeRegex.js';
+
+/**
+ * Get the variables an event trigger exposes to the flow
+ * @param {string} eventName - Gateway event name
+ * @returns {Array} Array of {name, type} variable definitions
+ */
+export function getEventVariables(eventName) {
+  const definition = GatewayEvents[eventName];
+  if (!definition) return [];
+
+  return [
+    { name: 'event_type', type: 'string' },
+    { name: 'event_timestamp', type: 'string' },
+    ...Object.entries(definition.fields).map(([field, type]) => ({
+      name: `event_${field}`,
+      type
+    }))
+  ];
+}
+
+/**
+ * Check a message pattern with the same validation the API and the bot use
+ * @param {string} pattern - Stored pattern string
+ * @returns {string|null} Error message or null when the pattern is valid
+ */
+export function getPatternError(pattern) {
+  const validation = validatePattern(pattern);
+  return validation.valid ? null : validation.error;
+}
+
+/**
+ * Get the variables a message pattern trigger exposes to the flow
+ * @param {string} pattern - Stored pattern string
+ * @returns {Array} Array of {name, type} variable definitions
+ */
+export function getPatternVariables(pattern) {
+  return [
+    { name: 'match', type: 'string' },
+    ...getPatternGroupNames(pattern).map(name => ({ name, type: 'string' }))
+  ];
+}
+
+/**
+ * Variables a schedule trigger exposes to the flow
+ */
+export const SCHEDULE_VARIABLES = [
+  { name: 'scheduled_for', type: 'string' },
+  { name: 'fired_at', type: 'string' },
+  { name: 'schedule_channel_id', type: 'string' },
+  { name: 'schedule_cron', type: 'string' },
+  { name: 'schedule_interval', type: 'number' }
+];
+
+/**
+ * Copy the plugin-level trigger settings onto trigger nodes so the compiler
+ * and variable analysis know what starts a listener, pattern or scheduled plugin
+ * @param {Array} nodes - React Flow nodes
+ * @param {string} pluginType - Plugin type ('slash', 'text', 'both', 'listener', 'pattern', 'scheduled')
+ * @param {Object} trigger - Trigger settings
+ * @param {string} trigger.event - Selected gateway event for listener plugins
+ * @param {string} trigger.pattern - Message pattern for pattern plugins
+ * @returns {Array} Nodes with trigger config applied
+ */
+export function applyTriggerConfig(nodes, pluginType, { event, pattern } = {}) {
+  let triggerConfig = { triggerType: 'command', event: undefined, pattern: undefined };
+  if (pluginType === 'listener') {
+    triggerConfig = { triggerType: 'event', event, pattern: undefined };
+  } else if (pluginType === 'pattern') {
+    triggerConfig = { triggerType: 'message', event: undefined, pattern };
+  } else if (pluginType === 'scheduled') {
+    triggerConfig = { triggerType: 'schedule', event: undefined, pattern: undefined };
+  }
+
+  return nodes.map(node => {
+    if (node.type !== 'trigger') return node;
+
+    return {
+      ...node,
+      data: {
+        ...node.data,
+        config: {
+          ...node.data?.config,
+          ...triggerConfig
+        }
+      }
+    };
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * Execution Trace Utility
+ * Helpers for replaying the node-by-node trace of a test run
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Get the class a node gets while a trace is replayed
+ * The current node is highlighted and nodes the run has not reached yet are dimmed
+ * @param {Array} trace - Trace entries ({nodeId, kind})
+ * @param {number} step - Index of the current entry
+ * @returns {Function} Maps a node ID to its class name
+ */
+export function getTraceNodeClass(trace, step) {
+  const current = trace[step]?.nodeId;
+  const reached = new Set(trace.slice(0, step + 1).map(entry => entry.nodeId));
+  return (nodeId) => {
+    if (nodeId === current) {
+      return 'ring-4 ring-yellow-400 rounded-lg';
+    }
+    return reached.has(nodeId) ? '' : 'opacity-40';
+  };
+}
+
+/**
+ * Describe a trace entry
+ * @param {Object} entry - Trace entry
+ * @param {Array} nodes - Editor nodes
+ * @returns {string} Description, e.g. "If (condition) took the true branch"
+ */
+export function describeTraceEntry(entry, nodes) {
+  const node = nodes.find(n => n.id === entry.nodeId);
+  const name = node ? `${node.data?.label || node.type} (${node.type})` : `Deleted node ${entry.nodeId}`;
+  return entry.kind === 'branch' ? `${name} took the ${entry.handle} branch` : name;
+}
+
+/**
+ * Get the variables at a trace step
+ * Branch entries carry no snapshot, so the last snapshot before them is used
+ * @param {Array} trace - Trace entries
+ * @param {number} step - Index of the current entry
+ * @returns {Object} Variables by name
+ */
+export function getTraceVariables(trace, step) {
+  for (let index = step; index >= 0; index--) {
+    if (trace[index]?.variables) {
+      return trace[index].variables;
+    }
+  }
+  return {};
+}
@@ -5,6 +5,9 @@
  * @date 2025-10-14
  */
 
+import { SCHEDULE_VARIABLES, getEventVariables, getPatternVariables } from './eventTriggers.js';
+import { getUserInputVariables } from './commandOptions.js';
+
 /**
  * Extract all available variables from nodes connected before the target node
  * @param {string} targetNodeId - ID of the target node
@@ -64,8 +67,48 @@ function extractVariablesFromNode(node) {
   const config = node.data?.config || {};
   
   switch (node.type) {
+    case 'trigger':
+      if (config.triggerType === 'event' && config.event) {
+        for (const eventVar of getEventVariables(config.event)) {
+          vars.push({
+            ...eventVar,
+            source: 'Event Trigger',
+            nodeId: node.id,
+            nodeLabel: node.data?.label || 'Event Trigger'
+          });
+        }
+      }
+      if (config.triggerType === 'message' && config.pattern) {
+        for (const patternVar of getPatternVariables(config.pattern)) {
+          vars.push({
+            ...patternVar,
+            source: 'Message Pattern',
+            nodeId: node.id,
+            nodeLabel: node.data?.label || 'Message Pattern'
+          });
+        }
+      }
+      if (config.triggerType === 'schedule') {
+        for (const scheduleVar of SCHEDULE_VARIABLES) {
+          vars.push({
+            ...scheduleVar,
+            source: 'Schedule',
+            nodeId: node.id,
+            nodeLabel: node.data?.label || 'Schedule'
+          });
+        }
+      }
+      break;
+      
     case 'variable':
-      if (config.name) {
+      if (config.name && config.type === 'user_input') {
+        getUserInputVariables(config).forEach(variable => vars.push({
+          ...variable,
+          source: 'Variable Node',
+          nodeId: node.id,
+          nodeLabel: node.data?.label || 'Variable'
+        }));
+      } else if (config.name) {
         vars.push({
           name: config.name,
           type: config.type || 'string',
@@ -163,10 +206,11 @@ function extractVariablesFromNode(node) {
       break;
       
     case 'database':
-      if (config.operation === 'get' && config.resultVar) {
+      if (['get', 'list', 'exists', 'increment'].includes(config.operation || 'get') && config.resultVar) {
+        const types = { list: 'array', exists: 'boolean', increment: 'number' };
         vars.push({
           name: config.resultVar,
-          type: 'database_value',
+          type: types[config.operation] || 'database_value',
           source: 'Database',
           nodeId: node.id,
           nodeLabel: node.data?.label || 'Database'
@@ -211,6 +255,91 @@ function extractVariablesFromNode(node) {
       }
       break;
       
+    case 'schedule_followup':
+      vars.push({
+        name: config.jobVar || 'job_id',
+        type: 'string',
+        source: 'Schedule Follow-up',
+        nodeId: node.id,
+        nodeLabel: node.data?.label || 'Schedule Follow-up'
+      });
+      break;
+      
+    case 'buttons':
+    case 'select_menu':
+      for (const [name, type] of [['component_value', 'string'], ['component_values', 'array'], ['component_state', 'string']]) {
+        vars.push({
+          name,
+          type,
+          source: node.type === 'buttons' ? 'Buttons' : 'Select Menu',
+          nodeId: node.id,
+          nodeLabel: node.data?.label || node.type
+        });
+      }
+      break;
+      
+    case 'modal_input':
+      for (const field of config.fields || []) {
+        if (field.id) {
+          vars.push({
+            name: field.id,
+            type: 'string',
+            source: 'Modal Input',
+            nodeId: node.id,
+            nodeLabel: node.data?.label || 'Modal Input'
+          });
+        }
+      }
+      break;
+      
+    case 'subcommands':
+      vars.push({
+        name: 'subcommand',
+        type: 'string',
+        source: 'Subcommands',
+        nodeId: node.id,
+        nodeLabel: node.data?.label || 'Subcommands'
+      });
+      break;
+      
+    case 'follow_up':
+    case 'edit_reply': {
+      const source = node.type === 'follow_up' ? 'Follow-up' : 'Edit Reply';
+      vars.push({
+        name: config.outputVar || (node.type === 'follow_up' ? 'followup_message_id' : 'reply_message_id'),
+        type: 'string',
+        source,
+        nodeId: node.id,
+        nodeLabel: node.data?.label || source
+      });
+      break;
+    }
+      
+    case 'try_catch':
+      for (const name of [config.messageVar || 'error_message', config.codeVar || 'error_code']) {
+        vars.push({
+          name,
+          type: 'string',
+          source: 'Try/Catch',
+          nodeId: node.id,
+          nodeLabel: node.data?.label || 'Try/Catch'
+        });
+      }
+      break;
+
+    case 'call_subflow':
+      // Outputs map each output the pinned version declares to the variable it is stored in
+      for (const [output, target] of Object.entries(config.outputs || {})) {
+        vars.push({
+          name: target || output,
+          type: 'any',
+          source: config.subflowName ? `Sub-flow ${config.subflowName}` : 'Sub-flow',
+          nodeId: node.id,
+          nodeLabel: node.data?.label || 'Call Sub-flow'
+        });
+      }
+      break;
+      
     case 'comparison':
     case 'discord_action':
       if (config.outputVar) {
@@ -0,0 +1,17 @@
+/**
+ * Plugin Status Utility
+ * Labels for the draft/published lifecycle of a plugin
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { PluginStatuses } from '@dismodular/shared/utils/pluginVersion.js';
+
+/**
+ * Badge label and classes for each publication status
+ */
+export const PUBLICATION_BADGES = {
+  [PluginStatuses.DRAFT]: { label: 'Draft', className: 'bg-gray-500/20 text-gray-300' },
+  [PluginStatuses.CHANGED]: { label: 'Unpublished changes', className: 'bg-yellow-500/20 text-yellow-300' },
+  [PluginStatuses.PUBLISHED]: { label: 'Published', className: 'bg-green-500/20 text-green-300' }
+};
@@ -0,0 +1,208 @@
+/**
+ * Sub-flow Utility
+ * Helpers for turning a selection of nodes into a reusable sub-flow and calling it
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { SUBFLOW_EXCLUDED_NODE_TYPES } from '@dismodular/shared/utils/subflows.js';
+
+/**
+ * ID of the Sub-flow Inputs node every saved sub-flow starts at
+ */
+export const SUBFLOW_INPUT_NODE_ID = 'subflow_inputs';
+
+/**
+ * Input and output names become variable names
+ */
+const PORT_NAME = /^[a-zA-Z_][a-zA-Z0-9_]{0,31}$/;
+
+/**
+ * Parse a comma separated list of input or output names
+ * @param {string} text - e.g. "user_id, amount"
+ * @returns {Object} { ports: [{ name, description }], error }
+ */
+export function parsePortList(text) {
+  const names = text.split(',').map(name => name.trim()).filter(Boolean);
+  const invalid = names.find(name => !PORT_NAME.test(name));
+  if (invalid) {
+    return { ports: [], error: `"${invalid}" is not a valid variable name` };
+  }
+  if (new Set(names).size !== names.length) {
+    return { ports: [], error: 'Names must be unique' };
+  }
+  return { ports: names.map(name => ({ name, description: '' })), error: null };
+}
+
+/**
+ * Get the nodes of a selection that nothing else in the selection leads to
+ * @param {Set<string>} selectedIds - Selected node IDs
+ * @param {Array} edges - Editor edges
+ * @returns {Array<string>} Node IDs the sub-flow starts at
+ */
+function getEntryNodeIds(selectedIds, edges) {
+  const reached = new Set(edges
+    .filter(edge => selectedIds.has(edge.source) && selectedIds.has(edge.target))
+    .map(edge => edge.target));
+  return [...selectedIds].filter(id => !reached.has(id));
+}
+
+/**
+ * Build a sub-flow graph from the selected nodes
+ * A Sub-flow Inputs node is added in front of the nodes the selection starts at.
+ * @param {Array} nodes - Editor nodes
+ * @param {Array} edges - Editor edges
+ * @returns {Object} { nodes, edges, error }
+ */
+export function buildSubflowFromSelection(nodes, edges) {
+  const selected = nodes.filter(node => node.selected);
+  if (selected.length === 0) {
+    return { nodes: [], edges: [], error: 'Select the nodes to turn into a sub-flow first' };
+  }
+
+  const excluded = selected.find(node => SUBFLOW_EXCLUDED_NODE_TYPES.includes(node.type));
+  if (excluded) {
+    return { nodes: [], edges: [], error: `"${excluded.data?.label || excluded.type}" cannot be used in a sub-flow` };
+  }
+
+  const selectedIds = new Set(selected.map(node => node.id));
+  const top = Math.min(...selected.map(node => node.position?.y ?? 0));
+  const left = Math.min(...selected.map(node => node.position?.x ?? 0));
+  const inputNode = {
+    id: SUBFLOW_INPUT_NODE_ID,
+    type: 'subflow_input',
+    position: { x: left, y: top - 120 },
+    data: { label: 'Sub-flow Inputs', config: {} }
+  };
+
+  return {
+    nodes: [inputNode, ...selected.map(({ id, type, position, data }) => ({ id, type, position, data }))],
+    edges: [
+      ...getEntryNodeIds(selectedIds, edges).map(id => ({
+        id: `edge-${SUBFLOW_INPUT_NODE_ID}-${id}`,
+        source: SUBFLOW_INPUT_NODE_ID,
+        target: id
+      })),
+      ...edges
+        .filter(edge => selectedIds.has(edge.source) && selectedIds.has(edge.target))
+        .map(({ id, source, target, sourceHandle, targetHandle }) => ({ id, source, target, sourceHandle, targetHandle }))
+    ],
+    error: null
+  };
+}
+
+/**
+ * Replace the selected nodes with a node that calls the sub-flow made from them
+ * Connections into the selection now lead to the call node and connections out of it start from the call node.
+ * @param {Array} nodes - Editor nodes
+ * @param {Array} edges - Editor edges
+ * @param {Object} callNode - Call Sub-flow node
+ * @returns {Object} { nodes, edges }
+ */
+export function replaceSelectionWithCall(nodes, edges, callNode) {
+  const selectedIds = new Set(nodes.filter(node => node.selected).map(node => node.id));
+  const rewired = new Map();
+
+  for (const edge of edges) {
+    const fromSelection = selectedIds.has(edge.source);
+    const toSelection = selectedIds.has(edge.target);
+    if (fromSelection === toSelection) {
+      if (!fromSelection) {
+        rewired.set(edge.id, edge);
+      }
+      continue;
+    }
+
+    const source = fromSelection ? callNode.id : edge.source;
+    const target = toSelection ? callNode.id : edge.target;
+    const sourceHandle = fromSelection ? null : edge.sourceHandle;
+    const key = `${source}:${sourceHandle || ''}->${target}`;
+    if (!rewired.has(key)) {
+      rewired.set(key, {
+        ...edge,
+        id: `edge-${source}-${target}-${rewired.size}`,
+        source,
+        target,
+        sourceHandle,
+        data: { ...edge.data, sourceNodeId: source, targetNodeId: target }
+      });
+    }
+  }
+
+  return {
+    nodes: [...nodes.filter(node => !selectedIds.has(node.id)), callNode],
+    edges: [...rewired.values()]
+  };
+}
+
+/**
+ * Copy the nodes of a sub-flow version onto the canvas so they can be changed and saved as a new version
+ * The Sub-flow Inputs node is left out; it is added again when the selection is saved.
+ * @param {Object} version - Sub-flow version with nodes and edges
+ * @param {Object} offset - Position offset ({x, y})
+ * @param {Function} makeId - Creates a fresh node ID from a node type
+ * @returns {Object} { nodes, edges } with the copied nodes selected
+ */
+export function copySubflowNodes(version, offset, makeId) {
+  const ids = new Map(version.nodes
+    .filter(node => node.type !== 'subflow_input')
+    .map(node => [node.id, makeId(node.type)]));
+
+  return {
+    nodes: version.nodes
+      .filter(node => ids.has(node.id))
+      .map(node => ({
+        ...node,
+        id: ids.get(node.id),
+        selected: true,
+        position: { x: (node.position?.x ?? 0) + offset.x, y: (node.position?.y ?? 0) + offset.y }
+      })),
+    edges: version.edges
+      .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+      .map(edge => ({
+        ...edge,
+        id: `edge-${ids.get(edge.source)}-${ids.get(edge.target)}`,
+        source: ids.get(edge.source),
+        target: ids.get(edge.target),
+        type: 'custom',
+        animated: true,
+        data: { sourceNodeId: ids.get(edge.source), targetNodeId: ids.get(edge.target) }
+      }))
+  };
+}
+
+/**
+ * Get the config of a Call Sub-flow node pinned to a version
+ * Input templates and output variables set for names the version still declares are kept.
+ * @param {Object} subflow - Sub-flow ({ id, name })
+ * @param {Object} version - Version ({ version, inputs, outputs })
+ * @param {Object} previous - Current node config
+ * @returns {Object} Node config
+ */
+export function getCallConfig(subflow, version, previous = {}) {
+  return {
+    subflowId: subflow.id,
+    subflowName: subflow.name,
+    version: version.version,
+    inputs: Object.fromEntries(version.inputs.map(input => [input.name, previous.inputs?.[input.name] ?? `{${input.name}}`])),
+    outputs: Object.fromEntries(version.outputs.map(output => [output.name, previous.outputs?.[output.name] || output.name]))
+  };
+}
+
+/**
+ * Compare the inputs and outputs of two versions
+ * @param {Object} from - Pinned version ({ inputs, outputs })
+ * @param {Object} to - Newer version ({ inputs, outputs })
+ * @returns {Array<string>} Changes, e.g. ["input amount added", "output total removed"]
+ */
+export function getSignatureChanges(from, to) {
+  const changes = [];
+  for (const kind of ['inputs', 'outputs']) {
+    const before = new Set((from[kind] || []).map(port => port.name));
+    const after = new Set((to[kind] || []).map(port => port.name));
+    const label = kind.slice(0, -1);
+    changes.push(...[...after].filter(name => !before.has(name)).map(name => `${label} ${name} added`));
+    changes.push(...[...before].filter(name => !after.has(name)).map(name => `${label} ${name} removed`));
+  }
+  return changes;
+}
@@ -20,6 +20,7 @@ export const useAppStore = create((set, get) => ({
   guildCount: null,
   isAuthenticated: false,
   isAdmin: false,
+  permissions: [], // Role permissions from /auth/me, e.g. plugins:create
   isLoading: false,
   error: null,
   refreshCooldown: 0, // Cooldown timer in seconds
@@ -29,7 +30,8 @@ export const useAppStore = create((set, get) => ({
   setUser: (user) => set({ 
     user, 
     isAuthenticated: !!user,
-    isAdmin: user?.data?.is_admin || false
+    isAdmin: user?.data?.is_admin || false,
+    permissions: user?.data?.permissions || []
   }),
   
   setApiStatus: (status) => set({ apiStatus: status }),
@@ -40,6 +42,13 @@ export const useAppStore = create((set, get) => ({
   
   setError: (error) => set({ error }),
 
+  /**
+   * Check if the user's role has a permission
+   * @param {string} permission - Permission, e.g. plugins:create
+   * @returns {boolean} Whether the user has it
+   */
+  hasPermission: (permission) => get().permissions.includes(permission),
+
   /**
    * Set selected guild ID and cache it
    */
@@ -140,6 +149,7 @@ export const useAppStore = create((set, get) => ({
         user: response, 
         isAuthenticated: true,
         isAdmin: response?.data?.is_admin || false,
+        permissions: response?.data?.permissions || [],
         isLoading: false 
       });
       
@@ -151,6 +161,7 @@ export const useAppStore = create((set, get) => ({
         user: null, 
         isAuthenticated: false,
         isAdmin: false,
+        permissions: [],
         isLoading: false 
       });
       return false;
@@ -167,6 +178,7 @@ export const useAppStore = create((set, get) => ({
         user: null, 
         isAuthenticated: false,
         isAdmin: false,
+        permissions: [],
         apiStatus: null,
         botStatus: null
       });
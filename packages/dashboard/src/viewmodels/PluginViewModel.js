@@ -119,6 +119,28 @@ export const usePluginStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Publish the plugin's draft so the bot loads it
+   */
+  publishPlugin: async (id, options = {}) => {
+    set({ isLoading: true, error: null });
+    try {
+      const response = await api.plugins.publish(id, options);
+      const updatedPlugin = await api.plugins.getById(id);
+
+      const plugins = get().plugins.map(p => 
+        p.id === id ? updatedPlugin.data : p
+      );
+      set({ plugins, currentPlugin: updatedPlugin.data, isLoading: false });
+
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.error || error.message || 'Failed to publish plugin';
+      set({ error: errorMessage, isLoading: false });
+      throw error;
+    }
+  },
+
   /**
    * Toggle plugin enabled status (optimized for performance)
    */
@@ -0,0 +1,66 @@
+/**
+ * Buttons Node Component
+ * Adds buttons to the response and resumes the plugin when one is clicked
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * ButtonsNode Component
+ * @param {Object} props - Node props
+ */
+export function ButtonsNode({ data, id }) {
+  const buttons = data.config?.buttons || [];
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-sky-600 text-white rounded-lg shadow-lg border-2 border-sky-700 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-sky-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">🔘</span>
+          <div className="font-semibold">{data.label || 'Buttons'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          {buttons.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {buttons.map((button, index) => (
+                <span key={index} className="bg-sky-700 px-2 py-0.5 rounded">
+                  {button.emoji} {button.label || 'Button'}
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex justify-between opacity-75">
+            <span>now</span>
+            <span>on click</span>
+          </div>
+        </div>
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="next"
+        className="w-3 h-3 bg-sky-400"
+        style={{ left: '30%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="click"
+        className="w-3 h-3 bg-sky-300"
+        style={{ left: '70%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+    </div>
+  );
+}
+
+export default ButtonsNode;
@@ -0,0 +1,53 @@
+/**
+ * Call Sub-flow Node Component
+ * Runs a pinned version of a reusable sub-flow and stores its outputs in variables
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * CallSubflowNode Component
+ * @param {Object} props - Node props
+ */
+export function CallSubflowNode({ data, id }) {
+  const config = data.config || {};
+  const outputs = Object.values(config.outputs || {});
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-fuchsia-600 text-white rounded-lg shadow-lg border-2 border-fuchsia-700 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-fuchsia-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">🧩</span>
+          <div className="font-semibold">{data.label || 'Call Sub-flow'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          {config.subflowId ? (
+            <>
+              <div className="bg-fuchsia-700 px-2 py-1 rounded">
+                {config.subflowName} · v{config.version}
+              </div>
+              {outputs.length > 0 && (
+                <div className="font-mono opacity-75 truncate">
+                  → {outputs.map(name => `{${name}}`).join(' ')}
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="opacity-75">No sub-flow selected</div>
+          )}
+        </div>
+      </div>
+
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-fuchsia-400" style={{ bottom: -6 }} {...hoverHandlers} />
+    </div>
+  );
+}
+
+export default CallSubflowNode;
@@ -17,7 +17,8 @@ export function DatabaseNode({ data, id }) {
     set: 'Set Value',
     delete: 'Delete Key',
     list: 'List Keys',
-    exists: 'Key Exists'
+    exists: 'Key Exists',
+    increment: 'Increment'
   };
 
   return (
@@ -0,0 +1,36 @@
+/**
+ * Delete Reply Node Component
+ * Deletes the original reply, or a follow-up by message ID
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * DeleteReplyNode Component
+ * @param {Object} props - Node props
+ */
+export function DeleteReplyNode({ data, id }) {
+  const messageId = data.config?.messageId || '';
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-teal-800 text-white rounded-lg shadow-lg border-2 border-teal-900 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-teal-400" style={{ top: -6 }} {...hoverHandlers} />
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-teal-400" style={{ bottom: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">🗑️</span>
+          <div className="font-semibold">{data.label || 'Delete Reply'}</div>
+        </div>
+
+        <div className="text-xs opacity-75 truncate">{messageId ? `message ${messageId}` : 'original reply'}</div>
+      </div>
+    </div>
+  );
+}
+
+export default DeleteReplyNode;
@@ -0,0 +1,40 @@
+/**
+ * Edit Reply Node Component
+ * Edits the original reply, or a follow-up by message ID, straight away
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * EditReplyNode Component
+ * @param {Object} props - Node props
+ */
+export function EditReplyNode({ data, id }) {
+  const message = data.config?.message || '';
+  const messageId = data.config?.messageId || '';
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-teal-700 text-white rounded-lg shadow-lg border-2 border-teal-800 min-w-[180px] max-w-[250px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-teal-400" style={{ top: -6 }} {...hoverHandlers} />
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-teal-400" style={{ bottom: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">✏️</span>
+          <div className="font-semibold">{data.label || 'Edit Reply'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          <div className="opacity-75">{messageId ? `message ${messageId}` : 'original reply'}</div>
+          {message && <div className="bg-teal-800 px-2 py-1 rounded truncate">{message}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EditReplyNode;
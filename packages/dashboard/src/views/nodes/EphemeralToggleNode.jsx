@@ -0,0 +1,36 @@
+/**
+ * Ephemeral Toggle Node Component
+ * Sets whether the replies after it are visible only to the user who ran the command
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * EphemeralToggleNode Component
+ * @param {Object} props - Node props
+ */
+export function EphemeralToggleNode({ data, id }) {
+  const ephemeral = data.config?.ephemeral !== false;
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-slate-600 text-white rounded-lg shadow-lg border-2 border-slate-700 min-w-[160px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-slate-400" style={{ top: -6 }} {...hoverHandlers} />
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-slate-400" style={{ bottom: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">{ephemeral ? '🙈' : '👀'}</span>
+          <div className="font-semibold">{data.label || 'Ephemeral'}</div>
+        </div>
+
+        <div className="text-xs opacity-75">{ephemeral ? 'Only the user sees replies' : 'Everyone sees replies'}</div>
+      </div>
+    </div>
+  );
+}
+
+export default EphemeralToggleNode;
@@ -0,0 +1,42 @@
+/**
+ * Follow-up Node Component
+ * Sends another message for the interaction straight away and keeps its message ID
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * FollowUpNode Component
+ * @param {Object} props - Node props
+ */
+export function FollowUpNode({ data, id }) {
+  const message = data.config?.message || '';
+  const embedVar = data.config?.embedVar || '';
+  const outputVar = data.config?.outputVar || 'followup_message_id';
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-teal-600 text-white rounded-lg shadow-lg border-2 border-teal-700 min-w-[180px] max-w-[250px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-teal-400" style={{ top: -6 }} {...hoverHandlers} />
+      <Handle type="source" position={Position.Bottom} className="w-3 h-3 bg-teal-400" style={{ bottom: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">📨</span>
+          <div className="font-semibold">{data.label || 'Follow-up'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          {message && <div className="bg-teal-700 px-2 py-1 rounded truncate">{message}</div>}
+          {embedVar && <div className="bg-teal-700 px-2 py-1 rounded truncate">{`{${embedVar}}`}</div>}
+          <div className="opacity-75 font-mono">→ {`{${outputVar}}`}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FollowUpNode;
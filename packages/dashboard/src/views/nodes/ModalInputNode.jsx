@@ -0,0 +1,62 @@
+/**
+ * Modal Input Node Component
+ * Opens a modal form and resumes the plugin with the submitted fields
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * ModalInputNode Component
+ * @param {Object} props - Node props
+ */
+export function ModalInputNode({ data, id }) {
+  const fields = data.config?.fields || [];
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-violet-600 text-white rounded-lg shadow-lg border-2 border-violet-700 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-violet-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">📝</span>
+          <div className="font-semibold">{data.label || 'Modal Input'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          {fields.length > 0 && (
+            <div className="bg-violet-700 px-2 py-1 rounded font-mono truncate">
+              {fields.map(field => `{${field.id}}`).join(' ')}
+            </div>
+          )}
+          <div className="flex justify-between opacity-75">
+            <span>now</span>
+            <span>on submit</span>
+          </div>
+        </div>
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="next"
+        className="w-3 h-3 bg-violet-400"
+        style={{ left: '30%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="submit"
+        className="w-3 h-3 bg-violet-300"
+        style={{ left: '70%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+    </div>
+  );
+}
+
+export default ModalInputNode;
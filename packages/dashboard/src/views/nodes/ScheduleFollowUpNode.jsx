@@ -0,0 +1,61 @@
+/**
+ * Schedule Follow-up Node Component
+ * Persists a delayed job that resumes the plugin at its follow-up branch
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * ScheduleFollowUpNode Component
+ * @param {Object} props - Node props
+ */
+export function ScheduleFollowUpNode({ data, id }) {
+  const delay = data.config?.delay ?? 5;
+  const unit = data.config?.unit || 'minutes';
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-amber-600 text-white rounded-lg shadow-lg border-2 border-amber-700 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-amber-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">⏰</span>
+          <div className="font-semibold">{data.label || 'Schedule Follow-up'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          <div className="bg-amber-700 px-2 py-1 rounded font-mono">
+            after {delay} {unit}
+          </div>
+          <div className="flex justify-between opacity-75">
+            <span>now</span>
+            <span>later</span>
+          </div>
+        </div>
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="next"
+        className="w-3 h-3 bg-amber-400"
+        style={{ left: '30%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="followup"
+        className="w-3 h-3 bg-amber-300"
+        style={{ left: '70%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+    </div>
+  );
+}
+
+export default ScheduleFollowUpNode;
@@ -0,0 +1,60 @@
+/**
+ * Select Menu Node Component
+ * Adds a select menu to the response and resumes the plugin with the chosen values
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * SelectMenuNode Component
+ * @param {Object} props - Node props
+ */
+export function SelectMenuNode({ data, id }) {
+  const options = data.config?.options || [];
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-sky-600 text-white rounded-lg shadow-lg border-2 border-sky-700 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-sky-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">🔽</span>
+          <div className="font-semibold">{data.label || 'Select Menu'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          <div className="bg-sky-700 px-2 py-1 rounded truncate">
+            {data.config?.placeholder || 'Choose an option'} ({options.length} options)
+          </div>
+          <div className="flex justify-between opacity-75">
+            <span>now</span>
+            <span>on select</span>
+          </div>
+        </div>
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="next"
+        className="w-3 h-3 bg-sky-400"
+        style={{ left: '30%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="select"
+        className="w-3 h-3 bg-sky-300"
+        style={{ left: '70%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+    </div>
+  );
+}
+
+export default SelectMenuNode;
@@ -0,0 +1,59 @@
+/**
+ * Subcommands Node Component
+ * Routes a slash command to the branch of the subcommand that was invoked
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+import { getSubcommandHandle } from '../../utils/commandOptions';
+
+/**
+ * SubcommandsNode Component
+ * @param {Object} props - Node props
+ */
+export function SubcommandsNode({ data, id }) {
+  const subcommands = (data.config?.subcommands || []).filter(subcommand => subcommand.name);
+  const hoverHandlers = useNodeHover(id);
+  const outputs = [
+    ...subcommands.map(subcommand => ({
+      id: getSubcommandHandle(subcommand),
+      label: subcommand.group ? `${subcommand.group} ${subcommand.name}` : subcommand.name
+    })),
+    { id: 'fallback', label: 'other' }
+  ];
+
+  return (
+    <div className="bg-indigo-600 text-white rounded-lg shadow-lg border-2 border-indigo-700" style={{ minWidth: Math.max(180, outputs.length * 70) }}>
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-indigo-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">🗂️</span>
+          <div className="font-semibold">{data.label || 'Subcommands'}</div>
+        </div>
+
+        <div className="flex justify-around text-xs opacity-75 gap-2">
+          {outputs.map(output => (
+            <span key={output.id} className="truncate">{output.label}</span>
+          ))}
+        </div>
+      </div>
+
+      {outputs.map((output, index) => (
+        <Handle
+          key={output.id}
+          type="source"
+          position={Position.Bottom}
+          id={output.id}
+          className={`w-3 h-3 ${output.id === 'fallback' ? 'bg-gray-300' : 'bg-indigo-300'}`}
+          style={{ left: `${((index + 0.5) / outputs.length) * 100}%`, bottom: -6 }}
+          {...hoverHandlers}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default SubcommandsNode;
@@ -0,0 +1,60 @@
+/**
+ * Try/Catch Node Component
+ * Runs the success path and falls back to the error path if any of its steps fail
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { Handle, Position } from 'reactflow';
+import { useNodeHover } from '../../utils/nodeHover';
+
+/**
+ * TryCatchNode Component
+ * @param {Object} props - Node props
+ */
+export function TryCatchNode({ data, id }) {
+  const messageVar = data.config?.messageVar || 'error_message';
+  const hoverHandlers = useNodeHover(id);
+
+  return (
+    <div className="bg-rose-600 text-white rounded-lg shadow-lg border-2 border-rose-700 min-w-[180px]">
+      <Handle type="target" position={Position.Top} className="w-3 h-3 bg-rose-400" style={{ top: -6 }} {...hoverHandlers} />
+
+      <div className="px-4 py-3">
+        <div className="flex items-center gap-2 mb-2">
+          <span className="text-lg">🛟</span>
+          <div className="font-semibold">{data.label || 'Try/Catch'}</div>
+        </div>
+
+        <div className="text-xs space-y-1">
+          <div className="bg-rose-700 px-2 py-1 rounded font-mono">
+            on error: {'{'}{messageVar}{'}'}
+          </div>
+          <div className="flex justify-between opacity-75">
+            <span>success</span>
+            <span>error</span>
+          </div>
+        </div>
+      </div>
+
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="success"
+        className="w-3 h-3 bg-green-400"
+        style={{ left: '30%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+      <Handle
+        type="source"
+        position={Position.Bottom}
+        id="error"
+        className="w-3 h-3 bg-red-400"
+        style={{ left: '70%', bottom: -6 }}
+        {...hoverHandlers}
+      />
+    </div>
+  );
+}
+
+export default TryCatchNode;
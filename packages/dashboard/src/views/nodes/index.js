@@ -20,11 +20,22 @@ export { HTTPRequestNode } from './HTTPRequestNode';
 export { EmbedBuilderNode } from './EmbedBuilderNode';
 export { EmbedResponseNode } from './EmbedResponseNode';
 export { DiscordActionNode } from './DiscordActionNode';
+export { ButtonsNode } from './ButtonsNode';
+export { SelectMenuNode } from './SelectMenuNode';
+export { ModalInputNode } from './ModalInputNode';
+export { SubcommandsNode } from './SubcommandsNode';
+export { FollowUpNode } from './FollowUpNode';
+export { EditReplyNode } from './EditReplyNode';
+export { DeleteReplyNode } from './DeleteReplyNode';
+export { EphemeralToggleNode } from './EphemeralToggleNode';
 
 // Control Flow
 export { ForLoopNode } from './ForLoopNode';
 export { WhileLoopNode } from './WhileLoopNode';
 export { ComparisonNode } from './ComparisonNode';
+export { ScheduleFollowUpNode } from './ScheduleFollowUpNode';
+export { TryCatchNode } from './TryCatchNode';
+export { CallSubflowNode } from './CallSubflowNode';
 
 // Data Manipulation
 export { ArrayOperationNode } from './ArrayOperationNode';
@@ -0,0 +1,40 @@
+/**
+ * Unit Tests for executionTrace utility
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getTraceNodeClass, describeTraceEntry, getTraceVariables } from '../src/utils/executionTrace.js';
+
+describe('executionTrace', () => {
+  const nodes = [
+    { id: 't', type: 'trigger', data: { label: 'Start' } },
+    { id: 'c', type: 'condition', data: { label: 'If' } },
+    { id: 'r', type: 'response', data: { label: 'Reply' } }
+  ];
+  const trace = [
+    { step: 0, nodeId: 't', kind: 'enter', variables: {} },
+    { step: 1, nodeId: 'c', kind: 'enter', variables: { count: 1 } },
+    { step: 2, nodeId: 'c', kind: 'branch', handle: 'true' },
+    { step: 3, nodeId: 'r', kind: 'enter', variables: { count: 2 } }
+  ];
+
+  it('should highlight the current node and dim nodes not reached yet', () => {
+    const getClass = getTraceNodeClass(trace, 1);
+    expect(getClass('c')).toContain('ring');
+    expect(getClass('t')).toBe('');
+    expect(getClass('r')).toBe('opacity-40');
+  });
+
+  it('should describe entered nodes and branches', () => {
+    expect(describeTraceEntry(trace[1], nodes)).toBe('If (condition)');
+    expect(describeTraceEntry(trace[2], nodes)).toBe('If (condition) took the true branch');
+    expect(describeTraceEntry({ nodeId: 'gone', kind: 'enter' }, nodes)).toBe('Deleted node gone');
+  });
+
+  it('should carry the last variable snapshot over branch entries', () => {
+    expect(getTraceVariables(trace, 2)).toEqual({ count: 1 });
+    expect(getTraceVariables(trace, 3)).toEqual({ count: 2 });
+  });
+});
@@ -36,6 +36,26 @@ describe('nodeAnalyzer', () => {
       expect(result[0].source).toBe('Variable Node');
     });
 
+    it('should expose the ID and name of resolved slash options', () => {
+      const nodes = [
+        { id: 'var_1', type: 'variable', data: { config: { name: 'target', type: 'user_input', optionType: 6 }, label: 'Target' } },
+        { id: 'var_2', type: 'variable', data: { config: { name: 'amount', type: 'user_input', optionType: 4 }, label: 'Amount' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'var_1', target: 'var_2' },
+        { source: 'var_2', target: 'response_1' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => [v.name, v.type])).toEqual(expect.arrayContaining([
+        ['target', 'user_id'],
+        ['target_name', 'string'],
+        ['amount', 'number']
+      ]));
+      expect(result).toHaveLength(3);
+    });
+
     it('should extract variables from HTTP request nodes', () => {
       const nodes = [
         { id: 'http_1', type: 'http_request', data: { config: { responseVar: 'weatherData' }, label: 'Fetch Weather' } },
@@ -129,6 +149,102 @@ describe('nodeAnalyzer', () => {
       expect(result[0].name).toBe('myEmbed');
       expect(result[0].type).toBe('embed');
     });
+
+    it('should extract variables from schedule triggers', () => {
+      const nodes = [
+        { id: 'trigger_1', type: 'trigger', data: { config: { triggerType: 'schedule' }, label: 'Daily' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'trigger_1', target: 'response_1' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => v.name)).toContain('scheduled_for');
+      expect(result.find(v => v.name === 'schedule_interval').type).toBe('number');
+    });
+
+    it('should extract component and modal field variables', () => {
+      const nodes = [
+        { id: 'buttons_1', type: 'buttons', data: { config: { buttons: [{ label: 'Yes', value: 'yes' }] }, label: 'Confirm' } },
+        { id: 'modal_1', type: 'modal_input', data: { config: { fields: [{ id: 'reason', label: 'Reason' }] }, label: 'Why' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'buttons_1', target: 'modal_1', sourceHandle: 'click' },
+        { source: 'modal_1', target: 'response_1', sourceHandle: 'submit' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => v.name).sort()).toEqual(['component_state', 'component_value', 'component_values', 'reason']);
+    });
+
+    it('should expose the invoked subcommand after a subcommands node', () => {
+      const nodes = [
+        { id: 'sub_1', type: 'subcommands', data: { config: { subcommands: [{ name: 'ban', group: 'mod' }] }, label: 'Route' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'sub_1', target: 'response_1', sourceHandle: 'sub:mod.ban' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => [v.name, v.type])).toEqual([['subcommand', 'string']]);
+    });
+
+    it('should extract the job ID variable from schedule follow-up nodes', () => {
+      const nodes = [
+        { id: 'followup_1', type: 'schedule_followup', data: { config: { jobVar: 'reminder_job' }, label: 'Later' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'followup_1', target: 'response_1', sourceHandle: 'followup' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => v.name)).toEqual(['reminder_job']);
+    });
+
+    it('should extract the message IDs of follow-ups and reply edits', () => {
+      const nodes = [
+        { id: 'follow_1', type: 'follow_up', data: { config: { outputVar: 'progress_id' }, label: 'Progress' } },
+        { id: 'edit_1', type: 'edit_reply', data: { config: {}, label: 'Working' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'follow_1', target: 'edit_1' },
+        { source: 'edit_1', target: 'response_1' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => v.name)).toEqual(['progress_id', 'reply_message_id']);
+    });
+
+    it('should extract the error variables from try/catch nodes', () => {
+      const nodes = [
+        { id: 'try_1', type: 'try_catch', data: { config: { messageVar: 'problem' }, label: 'Try' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'try_1', target: 'response_1', sourceHandle: 'error' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => v.name)).toEqual(['error_code', 'problem']);
+    });
+
+    it('should extract the output variables of sub-flow calls', () => {
+      const nodes = [
+        { id: 'call_1', type: 'call_subflow', data: { config: { subflowName: 'Balance', outputs: { embed: 'balance_embed', total: '' } }, label: 'Balance' } },
+        { id: 'response_1', type: 'response', data: { config: {} } }
+      ];
+      const edges = [
+        { source: 'call_1', target: 'response_1' }
+      ];
+
+      const result = getAvailableVariables('response_1', nodes, edges);
+      expect(result.map(v => [v.name, v.source])).toEqual([['balance_embed', 'Sub-flow Balance'], ['total', 'Sub-flow Balance']]);
+    });
   });
 
   describe('formatVariableDisplay', () => {
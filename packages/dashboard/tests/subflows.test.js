@@ -0,0 +1,71 @@
+/**
+ * Unit Tests for subflows utility
+ * Tests turning a selection into a sub-flow and pinning call nodes to versions
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildSubflowFromSelection,
+  replaceSelectionWithCall,
+  getCallConfig,
+  getSignatureChanges,
+  parsePortList
+} from '../src/utils/subflows.js';
+
+const nodes = [
+  { id: 'trigger_1', type: 'trigger', position: { x: 0, y: 0 }, data: { config: {} } },
+  { id: 'db_1', type: 'database', position: { x: 0, y: 100 }, data: { config: {} }, selected: true },
+  { id: 'embed_1', type: 'embed_builder', position: { x: 0, y: 200 }, data: { config: {} }, selected: true },
+  { id: 'send_1', type: 'embed_response', position: { x: 0, y: 300 }, data: { config: {} } }
+];
+const edges = [
+  { id: 'e1', source: 'trigger_1', target: 'db_1' },
+  { id: 'e2', source: 'db_1', target: 'embed_1' },
+  { id: 'e3', source: 'embed_1', target: 'send_1' }
+];
+
+describe('subflows', () => {
+  it('should start a sub-flow built from a selection at an inputs node', () => {
+    const graph = buildSubflowFromSelection(nodes, edges);
+    expect(graph.error).toBeNull();
+    expect(graph.nodes.map(n => n.type)).toEqual(['subflow_input', 'database', 'embed_builder']);
+    expect(graph.edges.map(e => [e.source, e.target])).toEqual([['subflow_inputs', 'db_1'], ['db_1', 'embed_1']]);
+  });
+
+  it('should refuse selections with nodes that need the interaction', () => {
+    const selected = nodes.map(n => ({ ...n, selected: true }));
+    expect(buildSubflowFromSelection(selected, edges).error).toMatch(/cannot be used in a sub-flow/);
+  });
+
+  it('should wire the call node in place of the selection', () => {
+    const call = { id: 'call_1', type: 'call_subflow', position: { x: 0, y: 150 }, data: { config: {} } };
+    const result = replaceSelectionWithCall(nodes, edges, call);
+    expect(result.nodes.map(n => n.id)).toEqual(['trigger_1', 'send_1', 'call_1']);
+    expect(result.edges.map(e => [e.source, e.target])).toEqual([['trigger_1', 'call_1'], ['call_1', 'send_1']]);
+  });
+
+  it('should keep input and output mappings the new version still declares', () => {
+    const previous = { inputs: { user: '{target}', old: 'x' }, outputs: { embed: 'balance_embed' } };
+    const config = getCallConfig(
+      { id: 'sf_1', name: 'Balance' },
+      { version: 3, inputs: [{ name: 'user' }, { name: 'currency' }], outputs: [{ name: 'embed' }] },
+      previous
+    );
+    expect(config).toEqual({
+      subflowId: 'sf_1',
+      subflowName: 'Balance',
+      version: 3,
+      inputs: { user: '{target}', currency: '{currency}' },
+      outputs: { embed: 'balance_embed' }
+    });
+    expect(getSignatureChanges({ inputs: [{ name: 'user' }, { name: 'old' }], outputs: [{ name: 'embed' }] }, { inputs: [{ name: 'user' }, { name: 'currency' }], outputs: [{ name: 'embed' }] }))
+      .toEqual(['input currency added', 'input old removed']);
+  });
+
+  it('should parse comma separated port names', () => {
+    expect(parsePortList('user_id, amount ').ports.map(p => p.name)).toEqual(['user_id', 'amount']);
+    expect(parsePortList('user id').error).toMatch(/not a valid variable name/);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit Tests for typeInference utility
+ * Tests the variable type checks the editor runs before saving
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { inferVariableTypes, checkVariableTypes } from '@dismodular/shared/utils/typeInference.js';
+import { validateGraph } from '../src/utils/connectionValidation.js';
+
+const node = (id, type, config = {}, label = id) => ({ id, type, data: { label, config } });
+const chain = (...ids) => ids.slice(1).map((id, i) => ({ id: `e${i}`, source: ids[i], target: id }));
+
+describe('typeInference', () => {
+  it('should type trigger variables and slash command options', () => {
+    const nodes = [
+      node('1', 'trigger', { triggerType: 'event', event: 'guildMemberAdd' }),
+      node('2', 'variable', { name: 'target', type: 'user_input', optionType: 6 }),
+      node('3', 'variable', { name: 'amount', type: 'user_input', optionType: 10 }),
+      node('4', 'response', { message: 'Hi' })
+    ];
+    const types = inferVariableTypes(nodes, chain('1', '2', '3', '4')).get('4');
+
+    expect(types.get('event_guild_memberCount').type).toBe('number');
+    expect(types.get('event_member_roles').type).toBe('array');
+    expect(types.get('target').type).toBe('string');
+    expect(types.get('target_name').type).toBe('string');
+    expect(types.get('amount').type).toBe('number');
+  });
+
+  it('should flag mismatched types and undefined placeholders', () => {
+    const nodes = [
+      node('1', 'trigger'),
+      node('2', 'embed_builder', { embedVar: 'card' }, 'Card'),
+      node('3', 'for_loop', { arrayVar: 'card' }, 'Each'),
+      node('4', 'response', { message: 'Sent {crad}' }, 'Reply')
+    ];
+    const issues = checkVariableTypes(nodes, chain('1', '2', '3', '4'));
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      '"Each" uses card as an array, but it is an embed (set by "Card")',
+      '"Reply" uses {crad}, but no node before it sets that variable'
+    ]);
+  });
+
+  it('should include variable warnings in graph validation', () => {
+    const nodes = [
+      node('1', 'trigger'),
+      node('2', 'response', { message: '{missing}' })
+    ];
+    const issues = validateGraph(nodes, chain('1', '2'));
+
+    expect(issues).toEqual([expect.objectContaining({ type: 'undefined_variable', nodeId: '2', severity: 'warning' })]);
+  });
+});
@@ -5,6 +5,22 @@
  */
 
 export * from './types/plugin.js';
+export * from './types/events.js';
 export * from './utils/logger.js';
 export * from './utils/serialization.js';
+export * from './utils/safeRegex.js';
 
+export * from './utils/schedule.js';
+export * from './utils/componentIds.js';
+export * from './utils/commandOptions.js';
+export * from './utils/pluginDiff.js';
+export * from './utils/pluginVersion.js';
+export * from './utils/typeInference.js';
+export * from './utils/replies.js';
+export * from './utils/subflows.js';
+export * from './utils/usageLimits.js';
+export * from './utils/egress.js';
+export * from './utils/network.js';
+export * from './utils/secrets.js';
+export * from './utils/permissions.js';
+export * from './utils/webhooks.js';
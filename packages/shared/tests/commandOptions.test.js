@@ -0,0 +1,100 @@
+/**
+ * Command Option Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  CommandOptionTypes,
+  OptionChannelTypes,
+  validateCommandOptions,
+  toDiscordCommandOption,
+  getAutocompleteChoices,
+  findCommandOption,
+} from '../utils/commandOptions.js';
+
+describe('Command Option Utilities', () => {
+  it('should accept typed options with choices, ranges and channel filters', () => {
+    const result = validateCommandOptions([
+      { type: CommandOptionTypes.INTEGER, name: 'amount', description: 'How many', required: true, min_value: 1, max_value: 10 },
+      { type: CommandOptionTypes.STRING, name: 'size', description: 'Size', choices: [{ name: 'Small', value: 's' }] },
+      { type: CommandOptionTypes.CHANNEL, name: 'where', description: 'Channel', channel_types: [OptionChannelTypes.GUILD_TEXT] },
+      { type: CommandOptionTypes.ATTACHMENT, name: 'file', description: 'Upload' },
+    ]);
+
+    expect(result).toEqual({ valid: true });
+  });
+
+  it('should reject settings that do not fit the option type', () => {
+    const option = { type: CommandOptionTypes.BOOLEAN, name: 'flag', description: 'Flag' };
+
+    expect(validateCommandOptions([{ ...option, choices: [{ name: 'Yes', value: true }] }]).error).toMatch(/cannot have choices/);
+    expect(validateCommandOptions([{ ...option, min_value: 1 }]).error).toMatch(/min_value/);
+    expect(validateCommandOptions([{ ...option, type: CommandOptionTypes.INTEGER, choices: [{ name: 'Half', value: 0.5 }] }]).error)
+      .toMatch(/invalid choice/);
+    expect(validateCommandOptions([{ ...option, type: CommandOptionTypes.STRING, autocomplete: true, choices: [{ name: 'A', value: 'a' }] }]).error)
+      .toMatch(/both choices and autocomplete/);
+  });
+
+  it('should reject duplicate names and required options after optional ones', () => {
+    const optional = { type: CommandOptionTypes.STRING, name: 'note', description: 'Note' };
+    const required = { type: CommandOptionTypes.USER, name: 'target', description: 'Target', required: true };
+
+    expect(validateCommandOptions([optional, optional]).error).toMatch(/Duplicate/);
+    expect(validateCommandOptions([optional, required]).error).toMatch(/must come before/);
+    expect(validateCommandOptions([required, optional]).valid).toBe(true);
+  });
+
+  it('should strip autocomplete suggestions before registering with Discord', () => {
+    const option = {
+      type: CommandOptionTypes.STRING,
+      name: 'city',
+      description: 'City',
+      autocomplete: true,
+      suggestions: ['Oslo', 'Osaka'],
+    };
+
+    expect(validateCommandOptions([option]).valid).toBe(true);
+    expect(toDiscordCommandOption(option)).toEqual({ type: 3, name: 'city', description: 'City', autocomplete: true });
+  });
+
+  it('should rank prefix matches first when filtering suggestions', () => {
+    const option = { suggestions: ['Lisbon', 'Oslo', { name: 'Los Angeles', value: 'la' }] };
+
+    expect(getAutocompleteChoices(option, 'lo')).toEqual([
+      { name: 'Los Angeles', value: 'la' },
+      { name: 'Oslo', value: 'Oslo' },
+    ]);
+    expect(getAutocompleteChoices(option, '')).toHaveLength(3);
+  });
+
+  describe('subcommands', () => {
+    const target = { type: CommandOptionTypes.USER, name: 'target', description: 'Member', required: true };
+    const options = [
+      { type: CommandOptionTypes.SUB_COMMAND, name: 'ping', description: 'Ping' },
+      {
+        type: CommandOptionTypes.SUB_COMMAND_GROUP,
+        name: 'mod',
+        description: 'Moderation',
+        options: [{ type: CommandOptionTypes.SUB_COMMAND, name: 'ban', description: 'Ban a member', options: [target] }],
+      },
+    ];
+
+    it('should accept subcommands and groups with their own options', () => {
+      expect(validateCommandOptions(options)).toEqual({ valid: true });
+      expect(toDiscordCommandOption(options[1]).options[0].options).toEqual([target]);
+    });
+
+    it('should reject mixing subcommands with plain options or nesting too deep', () => {
+      expect(validateCommandOptions([...options, target]).error).toMatch(/cannot have other options/);
+      expect(validateCommandOptions([{ ...options[1], options: [options[1]] }]).error).toMatch(/cannot be nested/);
+      expect(validateCommandOptions([{ ...options[0], options: [options[0]] }]).error).toMatch(/cannot contain subcommands/);
+    });
+
+    it('should find options inside the invoked subcommand', () => {
+      expect(findCommandOption(options, 'target', { group: 'mod', subcommand: 'ban' })).toEqual(target);
+      expect(findCommandOption(options, 'target', { subcommand: 'ping' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Component ID Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  encodeComponentId,
+  decodeComponentId,
+  ComponentResponseModes,
+  MAX_CUSTOM_ID_LENGTH,
+} from '../utils/componentIds.js';
+
+describe('Component ID Utilities', () => {
+  it('should round-trip plugin, step, mode and state', () => {
+    const customId = encodeComponentId({ pluginId: 'poll', step: 'node_3', state: 'vote:yes', mode: ComponentResponseModes.MODAL });
+
+    expect(customId).toBe('dm:m:poll:node_3:vote:yes');
+    expect(decodeComponentId(customId)).toEqual({ pluginId: 'poll', step: 'node_3', state: 'vote:yes', mode: 'm' });
+  });
+
+  it('should default to an empty state and deferred mode', () => {
+    expect(decodeComponentId(encodeComponentId({ pluginId: 'poll', step: 'node_3' }))).toEqual({
+      pluginId: 'poll', step: 'node_3', state: '', mode: 'd',
+    });
+  });
+
+  it('should reject IDs that cannot be routed back', () => {
+    expect(() => encodeComponentId({ pluginId: 'a:b', step: 'node_3' })).toThrow(/without ':'/);
+    expect(() => encodeComponentId({ pluginId: 'poll', step: '' })).toThrow(/Component step/);
+    expect(() => encodeComponentId({ pluginId: 'poll', step: 'node_3', mode: 'x' })).toThrow(/Unknown component response mode/);
+    expect(() => encodeComponentId({ pluginId: 'poll', step: 'node_3', state: 'x'.repeat(MAX_CUSTOM_ID_LENGTH) })).toThrow(/shorten the state/);
+  });
+
+  it('should ignore custom IDs from other sources', () => {
+    expect(decodeComponentId('confirm-delete')).toBeNull();
+    expect(decodeComponentId('dm:d:poll')).toBeNull();
+    expect(decodeComponentId('dm:x:poll:node_3:')).toBeNull();
+    expect(decodeComponentId(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Egress Policy and Secrets Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateEgressPolicy,
+  isDomainAllowed,
+  findSecretReferences,
+  applySecrets,
+  escapeSecretReferences,
+} from '../utils/egress.js';
+import { getSecretsKey, encryptSecret, decryptSecret } from '../utils/secrets.js';
+
+describe('Egress Policy Utility', () => {
+  it('should normalize allowed domains and reject invalid ones', () => {
+    expect(validateEgressPolicy({ allowedDomains: [' API.Example.com. ', '*.github.com', 'api.example.com'] }))
+      .toEqual({ valid: true, policy: { allowedDomains: ['api.example.com', '*.github.com'] } });
+    expect(validateEgressPolicy(null)).toEqual({ valid: true, policy: { allowedDomains: [] } });
+    expect(validateEgressPolicy({ allowedDomains: ['http://example.com'] }).error).toBe('Invalid domain: http://example.com');
+    expect(validateEgressPolicy({ allowedDomains: ['*'] }).valid).toBe(false);
+    expect(validateEgressPolicy({ blockedDomains: [] }).error).toBe('Unknown egress setting: blockedDomains');
+  });
+
+  it('should match hosts exactly or by subdomain wildcard', () => {
+    const allowed = ['api.example.com', '*.github.com'];
+
+    expect(isDomainAllowed('api.example.com', allowed)).toBe(true);
+    expect(isDomainAllowed('API.EXAMPLE.COM.', allowed)).toBe(true);
+    expect(isDomainAllowed('evil-api.example.com', allowed)).toBe(false);
+    expect(isDomainAllowed('raw.github.com', allowed)).toBe(true);
+    expect(isDomainAllowed('github.com', allowed)).toBe(false);
+    expect(isDomainAllowed('notgithub.com', allowed)).toBe(false);
+    expect(isDomainAllowed('anything.test', [])).toBe(true);
+  });
+
+  it('should find and replace secret references', () => {
+    const url = 'https://api.example.com/v1?key={secret.API_KEY}&again={secret.API_KEY}&user={user}';
+
+    expect(findSecretReferences(url)).toEqual(['API_KEY']);
+    expect(applySecrets(url, { API_KEY: 'k3y' })).toBe('https://api.example.com/v1?key=k3y&again=k3y&user={user}');
+    expect(() => applySecrets('{secret.MISSING}', {})).toThrow('Secret MISSING is not set');
+  });
+
+  it('should leave escaped secret references as plain text', () => {
+    const url = `https://api.example.com/v1?key={secret.API_KEY}&q=${escapeSecretReferences('{secret.API_KEY} {{secret.X}')}`;
+
+    expect(findSecretReferences(url)).toEqual(['API_KEY']);
+    expect(applySecrets(url, { API_KEY: 'k3y' })).toBe('https://api.example.com/v1?key=k3y&q={secret.API_KEY} {{secret.X}');
+    expect(escapeSecretReferences(undefined)).toBe('undefined');
+  });
+});
+
+describe('Secrets Utility', () => {
+  it('should encrypt secrets so only the same key decrypts them', () => {
+    const key = getSecretsKey('correct horse battery staple');
+    const encrypted = encryptSecret('sk_live_123', key);
+
+    expect(encrypted).toMatch(/^v1:/);
+    expect(encrypted).not.toContain('sk_live_123');
+    expect(encryptSecret('sk_live_123', key)).not.toBe(encrypted);
+    expect(decryptSecret(encrypted, key)).toBe('sk_live_123');
+    expect(() => decryptSecret(encrypted, getSecretsKey('wrong'))).toThrow();
+    expect(getSecretsKey('')).toBe(null);
+  });
+});
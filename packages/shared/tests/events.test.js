@@ -0,0 +1,34 @@
+/**
+ * Gateway Event Definitions Unit Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { GatewayEvents, isSupportedEvent } from '../types/events.js';
+
+describe('Gateway Events', () => {
+  it('should describe every event with a label, intent and fields', () => {
+    for (const [name, definition] of Object.entries(GatewayEvents)) {
+      assert.strictEqual(typeof definition.label, 'string', `${name} label`);
+      assert.strictEqual(typeof definition.intent, 'string', `${name} intent`);
+      assert.strictEqual(typeof definition.privileged, 'boolean', `${name} privileged`);
+      assert.ok(Object.keys(definition.fields).length > 0, `${name} fields`);
+    }
+  });
+
+  it('should expose guild fields for every event', () => {
+    for (const definition of Object.values(GatewayEvents)) {
+      assert.strictEqual(definition.fields.guild_id, 'string');
+    }
+  });
+
+  it('should recognise supported events only', () => {
+    assert.strictEqual(isSupportedEvent('guildMemberAdd'), true);
+    assert.strictEqual(isSupportedEvent('voiceStateUpdate'), true);
+    assert.strictEqual(isSupportedEvent('interactionCreate'), false);
+    assert.strictEqual(isSupportedEvent('toString'), false);
+    assert.strictEqual(isSupportedEvent(undefined), false);
+  });
+});
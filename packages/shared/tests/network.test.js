@@ -0,0 +1,47 @@
+/**
+ * Network Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isPrivateAddress, isPrivateHost, createGuardedLookup } from '../utils/network.js';
+
+/**
+ * Run a guarded lookup that resolves every hostname to the given address
+ */
+function resolveWith(address, options = {}) {
+  const lookup = createGuardedLookup({
+    lookup: (hostname, lookupOptions, callback) => callback(null, address, 4),
+    ...options,
+  });
+  return new Promise(resolve => lookup('hooks.example.com', {}, (error, result) => resolve(error || result)));
+}
+
+describe('Network Utility', () => {
+  it('should recognize private and reserved addresses', () => {
+    expect(isPrivateAddress('8.8.8.8')).toBe(false);
+    expect(isPrivateAddress('2001:4860:4860::8888')).toBe(false);
+    expect(isPrivateAddress('127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('169.254.169.254')).toBe(true);
+    expect(isPrivateAddress('fd12::1')).toBe(true);
+    expect(isPrivateAddress('::1')).toBe(true);
+    expect(isPrivateAddress('::127.0.0.1')).toBe(true);
+    expect(isPrivateAddress('::ffff:10.0.0.1')).toBe(true);
+    expect(isPrivateAddress('2002:7f00:1::1')).toBe(true);
+    expect(isPrivateAddress('not an address')).toBe(true);
+  });
+
+  it('should only treat IP literal hosts as private hosts', () => {
+    expect(isPrivateHost(new URL('https://[::1]:8443/hook'))).toBe(true);
+    expect(isPrivateHost(new URL('https://10.1.2.3/hook'))).toBe(true);
+    expect(isPrivateHost(new URL('https://localhost/hook'))).toBe(false);
+    expect(isPrivateHost(new URL('https://1.1.1.1/hook'))).toBe(false);
+  });
+
+  it('should refuse lookups that resolve to private addresses', async () => {
+    expect(await resolveWith('93.184.216.34')).toBe('93.184.216.34');
+    expect((await resolveWith('10.0.0.5')).message).toBe('Requests to private address 10.0.0.5 are not allowed');
+    expect(await resolveWith('10.0.0.5', { allowPrivateNetworks: true })).toBe('10.0.0.5');
+  });
+});
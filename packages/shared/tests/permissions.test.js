@@ -0,0 +1,78 @@
+/**
+ * Permission Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  UserRoles,
+  Permissions,
+  getUserRole,
+  getRolePermissions,
+  hasPermission,
+  canEditPlugin,
+  isPluginAvailableInGuild,
+  TokenScopes,
+  isValidTokenScope,
+  tokenHasScope,
+} from '../utils/permissions.js';
+
+describe('Permission Utility', () => {
+  it('should give each role the permissions of the roles below it', () => {
+    expect(getRolePermissions(UserRoles.VIEWER)).toEqual([Permissions.PLUGINS_READ]);
+    expect(getRolePermissions(UserRoles.AUTHOR)).toEqual([
+      Permissions.PLUGINS_READ,
+      Permissions.PLUGINS_CREATE,
+      Permissions.PLUGINS_EDIT,
+    ]);
+    expect(getRolePermissions(UserRoles.GUILD_MANAGER)).toContain(Permissions.PLUGINS_EDIT);
+    expect(getRolePermissions(UserRoles.GUILD_MANAGER)).not.toContain(Permissions.USERS_MANAGE);
+    expect(getRolePermissions(UserRoles.ADMIN)).toEqual(expect.arrayContaining(Object.values(Permissions)));
+    expect(getRolePermissions('owner')).toEqual([]);
+  });
+
+  it('should treat is_admin as admin and unknown roles as viewer', () => {
+    expect(getUserRole(null)).toBeNull();
+    expect(getUserRole({ is_admin: true, role: 'viewer' })).toBe(UserRoles.ADMIN);
+    expect(getUserRole({ is_admin: false, role: 'admin' })).toBe(UserRoles.VIEWER);
+    expect(getUserRole({ role: 'superuser' })).toBe(UserRoles.VIEWER);
+    expect(getUserRole({ role: 'author' })).toBe(UserRoles.AUTHOR);
+
+    expect(hasPermission(null, Permissions.PLUGINS_READ)).toBe(false);
+    expect(hasPermission({ role: 'guild_manager' }, Permissions.GUILDS_MANAGE)).toBe(true);
+    expect(hasPermission({ role: 'author' }, Permissions.GUILDS_MANAGE)).toBe(false);
+  });
+
+  it('should only let authors edit plugins they own or that are shared with them', () => {
+    const author = { id: 'u1', role: 'author' };
+    const plugin = { created_by: 'u2', collaborators: [{ user_id: 'u3' }] };
+
+    expect(canEditPlugin(author, plugin)).toBe(false);
+    expect(canEditPlugin(author, { ...plugin, created_by: 'u1' })).toBe(true);
+    expect(canEditPlugin(author, { ...plugin, collaborators: [{ user_id: 'u1' }] })).toBe(true);
+    expect(canEditPlugin({ id: 'u2', role: 'viewer' }, plugin)).toBe(false);
+    expect(canEditPlugin({ id: 'u4', is_admin: true }, plugin)).toBe(true);
+  });
+
+  it('should only make guild-owned plugins available in their own guild', () => {
+    expect(isPluginAvailableInGuild({ guild_id: null }, 'g1')).toBe(true);
+    expect(isPluginAvailableInGuild({ guild_id: null }, null)).toBe(true);
+    expect(isPluginAvailableInGuild({ guild_id: 'g1' }, 'g1')).toBe(true);
+    expect(isPluginAvailableInGuild({ guild_id: 'g1' }, 'g2')).toBe(false);
+    expect(isPluginAvailableInGuild({ guild_id: 'g1' }, null)).toBe(false);
+    expect(isPluginAvailableInGuild(null, 'g1')).toBe(false);
+  });
+
+  it('should let write token scopes imply read and keep areas apart', () => {
+    expect(isValidTokenScope(TokenScopes.GUILDS_READ)).toBe(true);
+    expect(isValidTokenScope('admin:write')).toBe(false);
+
+    expect(tokenHasScope([TokenScopes.PLUGINS_READ], 'plugins', 'GET')).toBe(true);
+    expect(tokenHasScope([TokenScopes.PLUGINS_READ], 'plugins', 'PUT')).toBe(false);
+    expect(tokenHasScope([TokenScopes.PLUGINS_WRITE], 'plugins', 'get')).toBe(true);
+    expect(tokenHasScope([TokenScopes.PLUGINS_WRITE], 'plugins', 'DELETE')).toBe(true);
+    expect(tokenHasScope([TokenScopes.PLUGINS_WRITE], 'guilds', 'GET')).toBe(false);
+    expect(tokenHasScope(null, 'plugins', 'GET')).toBe(false);
+  });
+});
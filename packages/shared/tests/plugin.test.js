@@ -10,6 +10,7 @@ import {
   PluginTypes, 
   NodeTypes, 
   TriggerTypes, 
+  StateScopes,
 } from '../types/plugin.js';
 
 describe('Plugin Types', () => {
@@ -18,13 +19,16 @@ describe('Plugin Types', () => {
       assert.strictEqual(PluginTypes.SLASH, 'slash');
       assert.strictEqual(PluginTypes.TEXT, 'text');
       assert.strictEqual(PluginTypes.BOTH, 'both');
+      assert.strictEqual(PluginTypes.LISTENER, 'listener');
+      assert.strictEqual(PluginTypes.PATTERN, 'pattern');
+      assert.strictEqual(PluginTypes.SCHEDULED, 'scheduled');
     });
 
     it('should have all expected plugin types', () => {
-      const expectedTypes = ['slash', 'text', 'both'];
+      const expectedTypes = ['slash', 'text', 'both', 'listener', 'pattern', 'scheduled'];
       const actualTypes = Object.values(PluginTypes);
       
-      assert.strictEqual(actualTypes.length, 3);
+      assert.strictEqual(actualTypes.length, 6);
       expectedTypes.forEach(type => {
         assert.ok(actualTypes.includes(type), `Should include ${type}`);
       });
@@ -88,13 +92,14 @@ describe('Plugin Types', () => {
       assert.strictEqual(TriggerTypes.COMMAND, 'command');
       assert.strictEqual(TriggerTypes.EVENT, 'event');
       assert.strictEqual(TriggerTypes.MESSAGE, 'message');
+      assert.strictEqual(TriggerTypes.SCHEDULE, 'schedule');
     });
 
     it('should have all expected trigger types', () => {
-      const expectedTypes = ['command', 'event', 'message'];
+      const expectedTypes = ['command', 'event', 'message', 'schedule'];
       const actualTypes = Object.values(TriggerTypes);
       
-      assert.strictEqual(actualTypes.length, 3);
+      assert.strictEqual(actualTypes.length, 4);
       expectedTypes.forEach(type => {
         assert.ok(actualTypes.includes(type), `Should include ${type}`);
       });
@@ -109,6 +114,15 @@ describe('Plugin Types', () => {
     });
   });
 
+  describe('StateScopes', () => {
+    it('should export correct state scope constants', () => {
+      assert.strictEqual(StateScopes.GLOBAL, 'global');
+      assert.strictEqual(StateScopes.GUILD, 'guild');
+      assert.strictEqual(StateScopes.USER, 'user');
+      assert.strictEqual(Object.values(StateScopes).length, 3);
+    });
+  });
+
   describe('Type consistency', () => {
     it('should have unique values within each type group', () => {
       const pluginTypeValues = Object.values(PluginTypes);
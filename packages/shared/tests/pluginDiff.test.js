@@ -0,0 +1,53 @@
+/**
+ * Plugin Diff Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { diffPluginVersions } from '../utils/pluginDiff.js';
+
+describe('Plugin Diff Utility', () => {
+  const before = {
+    name: 'Greeter',
+    trigger: { type: 'command', command: 'hello' },
+    nodes: [
+      { id: '1', type: 'trigger', position: { x: 0, y: 0 }, data: { label: 'Start', config: {} } },
+      { id: '2', type: 'response', position: { x: 0, y: 100 }, data: { label: 'Reply', config: { message: 'Hi', ephemeral: false } } },
+    ],
+    edges: [{ id: 'e1', source: '1', target: '2' }],
+  };
+
+  it('should report added, removed and changed nodes and edges', () => {
+    const after = {
+      ...before,
+      trigger: { type: 'command', command: 'hi' },
+      nodes: [
+        { ...before.nodes[0], position: { x: 50, y: 0 } },
+        { id: '3', type: 'embed_response', position: { x: 0, y: 200 }, data: { label: 'Embed', config: {} } },
+      ],
+      edges: [{ id: 'e9', source: '1', target: '3' }],
+    };
+
+    const diff = diffPluginVersions(before, after);
+    expect(diff.fields).toEqual(['trigger']);
+    expect(diff.nodes.added).toEqual([{ id: '3', type: 'embed_response', label: 'Embed' }]);
+    expect(diff.nodes.removed).toEqual([{ id: '2', type: 'response', label: 'Reply' }]);
+    expect(diff.nodes.changed).toEqual([{ id: '1', type: 'trigger', label: 'Start', changes: ['position'] }]);
+    expect(diff.edges).toEqual({
+      added: [{ source: '1', target: '3', sourceHandle: null }],
+      removed: [{ source: '1', target: '2', sourceHandle: null }],
+    });
+    expect(diff.unchanged).toBe(false);
+  });
+
+  it('should ignore key order and regenerated edge IDs', () => {
+    const after = {
+      ...before,
+      nodes: [before.nodes[0], { ...before.nodes[1], data: { config: { ephemeral: false, message: 'Hi' }, label: 'Reply' } }],
+      edges: [{ id: 'reactflow__edge-12', source: '1', target: '2' }],
+    };
+
+    expect(diffPluginVersions(before, after).unchanged).toBe(true);
+  });
+});
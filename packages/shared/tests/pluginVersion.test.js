@@ -0,0 +1,31 @@
+/**
+ * Plugin Version Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { bumpVersion, compareVersions, parseVersion, getPluginStatus, PluginStatuses } from '../utils/pluginVersion.js';
+
+describe('Plugin Version Utilities', () => {
+  it('should bump versions and reset lower parts', () => {
+    expect(bumpVersion('1.4.2')).toBe('1.4.3');
+    expect(bumpVersion('1.4.2', 'minor')).toBe('1.5.0');
+    expect(bumpVersion('1.4.2', 'major')).toBe('2.0.0');
+    expect(bumpVersion('not-a-version')).toBe('0.0.1');
+    expect(() => bumpVersion('1.0.0', 'huge')).toThrow(/Unknown version bump/);
+  });
+
+  it('should compare versions numerically', () => {
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('2.0.0', '2.0.0')).toBe(0);
+    expect(parseVersion('1.0.0-beta')).toBeNull();
+    expect(() => compareVersions('1.0', '1.0.0')).toThrow(/Invalid version: 1.0/);
+  });
+
+  it('should derive the publication status', () => {
+    expect(getPluginStatus({ published_at: null, draft: { name: 'New' } })).toBe(PluginStatuses.DRAFT);
+    expect(getPluginStatus({ published_at: new Date(), draft: { name: 'Edit' } })).toBe(PluginStatuses.CHANGED);
+    expect(getPluginStatus({ published_at: new Date(), draft: null })).toBe(PluginStatuses.PUBLISHED);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Reply Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isEphemeralDeferral } from '../utils/replies.js';
+
+const node = (id, type, config = {}) => ({ id, type, data: { config } });
+
+describe('Reply Utility', () => {
+  it('should defer as ephemeral when an ephemeral toggle follows the trigger', () => {
+    const nodes = [node('1', 'trigger'), node('2', 'ephemeral_toggle', { ephemeral: true }), node('3', 'response')];
+    const edges = [{ source: '1', target: '2' }, { source: '2', target: '3' }];
+
+    expect(isEphemeralDeferral(nodes, edges)).toBe(true);
+  });
+
+  it('should defer publicly when the toggle is turned off or comes later', () => {
+    const later = [node('1', 'trigger'), node('2', 'response'), node('3', 'ephemeral_toggle', { ephemeral: true })];
+    const off = [node('1', 'trigger'), node('2', 'ephemeral_toggle', { ephemeral: false })];
+
+    expect(isEphemeralDeferral(later, [{ source: '1', target: '2' }, { source: '2', target: '3' }])).toBe(false);
+    expect(isEphemeralDeferral(off, [{ source: '1', target: '2' }])).toBe(false);
+    expect(isEphemeralDeferral([], [])).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Safe Regex Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parsePattern, validatePattern, getPatternGroupNames, MAX_PATTERN_LENGTH } from '../utils/safeRegex.js';
+
+describe('Safe Regex Utilities', () => {
+  describe('parsePattern', () => {
+    it('should treat bare strings as the pattern source', () => {
+      expect(parsePattern('hello (?<name>\\w+)')).toEqual({ source: 'hello (?<name>\\w+)', flags: '' });
+    });
+
+    it('should split literal form into source and flags', () => {
+      expect(parsePattern('/good (morning|night)/i')).toEqual({ source: 'good (morning|night)', flags: 'i' });
+    });
+  });
+
+  describe('validatePattern', () => {
+    it('should accept simple patterns with named groups', () => {
+      const result = validatePattern('^!roll (?<sides>\\d{1,3})$');
+      expect(result.valid).toBe(true);
+      expect(result.source).toBe('^!roll (?<sides>\\d{1,3})$');
+    });
+
+    it('should reject empty and invalid patterns', () => {
+      expect(validatePattern('').valid).toBe(false);
+      expect(validatePattern(null).valid).toBe(false);
+      expect(validatePattern('(unclosed').error).toMatch(/Invalid regular expression/);
+    });
+
+    it('should reject stateful and unknown flags', () => {
+      expect(validatePattern('/hello/g').error).toMatch(/flag: g/);
+      expect(validatePattern('/hello/y').valid).toBe(false);
+      expect(validatePattern('/hello/imsu').valid).toBe(true);
+    });
+
+    it('should reject patterns that are too long', () => {
+      expect(validatePattern('a'.repeat(MAX_PATTERN_LENGTH + 1)).valid).toBe(false);
+    });
+
+    it('should reject backreferences', () => {
+      expect(validatePattern('(a)\\1').valid).toBe(false);
+      expect(validatePattern('(?<x>a)\\k<x>').valid).toBe(false);
+    });
+
+    it('should reject nested quantifiers', () => {
+      expect(validatePattern('(a+)+$').valid).toBe(false);
+      expect(validatePattern('^(\\w*\\s?)*$').valid).toBe(false);
+      expect(validatePattern('((ab)*c)+').valid).toBe(false);
+      expect(validatePattern('(a{1,}){2,}').valid).toBe(false);
+    });
+
+    it('should reject repeated alternatives that can match the same text', () => {
+      expect(validatePattern('(a|a)*b').error).toMatch(/Repeated alternatives/);
+      expect(validatePattern('(a|aa)+$').valid).toBe(false);
+      expect(validatePattern('(\\w|\\d)+x').valid).toBe(false);
+      expect(validatePattern('(a|)*').valid).toBe(false);
+      expect(validatePattern('/(A|a)+/i').valid).toBe(false);
+    });
+
+    it('should reject bounded repeats of groups that repeat', () => {
+      expect(validatePattern('(.*a){12}').error).toMatch(/Nested quantifiers/);
+    });
+
+    it('should reject runs of repeats that can match the same text', () => {
+      expect(validatePattern('a*a*a*a*a*a*b').error).toMatch(/Runs of repeats/);
+      expect(validatePattern('.*a.*b.*c').valid).toBe(false);
+      expect(validatePattern('(a*)(a*)(a*)b').valid).toBe(false);
+    });
+
+    it('should reject reserved capture group names', () => {
+      expect(validatePattern('(?<__proto__>\\w+)').valid).toBe(false);
+      expect(validatePattern('(?<match_1>\\w+)').valid).toBe(false);
+      expect(validatePattern('(?<name>\\w+)').valid).toBe(true);
+    });
+
+    it('should allow bounded or unrelated quantifiers', () => {
+      expect(validatePattern('(ab)+ (c+)').valid).toBe(true);
+      expect(validatePattern('(a+)?').valid).toBe(true);
+      expect(validatePattern('(a{2})+').valid).toBe(true);
+      expect(validatePattern('[(+]+').valid).toBe(true);
+      expect(validatePattern('\\(a+\\)+').valid).toBe(true);
+      expect(validatePattern('(yes|no)+').valid).toBe(true);
+      expect(validatePattern('(\\s|,)+').valid).toBe(true);
+      expect(validatePattern('.*foo.*').valid).toBe(true);
+      expect(validatePattern('^\\w+\\s+\\w+\\s+\\w+$').valid).toBe(true);
+    });
+  });
+
+  describe('getPatternGroupNames', () => {
+    it('should list named groups in order', () => {
+      expect(getPatternGroupNames('/(?<user>\\w+) gave (?<amount>\\d+)/i')).toEqual(['user', 'amount']);
+      expect(getPatternGroupNames('no groups')).toEqual([]);
+      expect(getPatternGroupNames(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Schedule Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseCron,
+  getNextCronRun,
+  validateSchedule,
+  getNextScheduleRun,
+  MIN_SCHEDULE_INTERVAL_SECONDS,
+} from '../utils/schedule.js';
+
+describe('Schedule Utilities', () => {
+  describe('parseCron', () => {
+    it('should expand ranges, lists, steps and names', () => {
+      const { valid, fields } = parseCron('*/15 9-11,17 * JAN-MAR mon-fri');
+
+      expect(valid).toBe(true);
+      expect([...fields.minute]).toEqual([0, 15, 30, 45]);
+      expect([...fields.hour]).toEqual([9, 10, 11, 17]);
+      expect([...fields.month]).toEqual([1, 2, 3]);
+      expect([...fields.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should accept macros and treat 7 as Sunday', () => {
+      expect(parseCron('@daily').valid).toBe(true);
+      expect([...parseCron('0 0 * * 7').fields.dayOfWeek]).toEqual([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(parseCron('').valid).toBe(false);
+      expect(parseCron('* * * *').error).toMatch(/5 fields/);
+      expect(parseCron('60 * * * *').error).toMatch(/minute/);
+      expect(parseCron('*/0 * * * *').error).toMatch(/step/);
+      expect(parseCron('0 0 * * FUNDAY').valid).toBe(false);
+    });
+  });
+
+  describe('getNextCronRun', () => {
+    it('should find the next matching minute in UTC', () => {
+      const after = new Date('2026-10-19T09:07:30.000Z');
+
+      expect(getNextCronRun('*/15 * * * *', after).toISOString()).toBe('2026-10-19T09:15:00.000Z');
+      expect(getNextCronRun('0 9 * * *', after).toISOString()).toBe('2026-10-20T09:00:00.000Z');
+      expect(getNextCronRun('@monthly', after).toISOString()).toBe('2026-11-01T00:00:00.000Z');
+    });
+
+    it('should never return the start time itself', () => {
+      const after = new Date('2026-10-19T09:00:00.000Z');
+      expect(getNextCronRun('0 9 * * *', after).toISOString()).toBe('2026-10-20T09:00:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // 2026-10-19 is a Monday, the 1st of November is a Sunday
+      const after = new Date('2026-10-20T00:00:00.000Z');
+      expect(getNextCronRun('0 12 1 * 1', after).toISOString()).toBe('2026-10-26T12:00:00.000Z');
+      expect(getNextCronRun('0 12 1 * 0', after).toISOString()).toBe('2026-10-25T12:00:00.000Z');
+    });
+
+    it('should return null for dates that never exist', () => {
+      expect(getNextCronRun('0 0 31 2 *', new Date('2026-01-01T00:00:00.000Z'))).toBeNull();
+    });
+  });
+
+  describe('validateSchedule', () => {
+    it('should require a valid cron expression or interval', () => {
+      expect(validateSchedule({ cron: '0 9 * * 1' }).valid).toBe(true);
+      expect(validateSchedule({ intervalSeconds: 3600 }).valid).toBe(true);
+      expect(validateSchedule({}).valid).toBe(false);
+      expect(validateSchedule({ intervalSeconds: MIN_SCHEDULE_INTERVAL_SECONDS - 1 }).valid).toBe(false);
+      expect(validateSchedule({ cron: '0 0 30 2 *' }).error).toMatch(/never matches/);
+    });
+  });
+
+  describe('getNextScheduleRun', () => {
+    it('should add intervals to the previous run', () => {
+      const after = new Date('2026-10-19T09:00:00.000Z');
+      expect(getNextScheduleRun({ intervalSeconds: 90 }, after).toISOString()).toBe('2026-10-19T09:01:30.000Z');
+      expect(getNextScheduleRun({ cron: '@hourly' }, after).toISOString()).toBe('2026-10-19T10:00:00.000Z');
+    });
+  });
+});
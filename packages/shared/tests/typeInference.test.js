@@ -0,0 +1,80 @@
+/**
+ * Variable Type Inference Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import { inferVariableTypes, checkVariableTypes } from '../utils/typeInference.js';
+
+const node = (id, type, config = {}, label = id) => ({ id, type, data: { label, config } });
+const chain = (...ids) => ids.slice(1).map((id, i) => ({ id: `e${i}`, source: ids[i], target: id }));
+
+describe('Variable Type Inference', () => {
+  it('should infer the types of variables set before each node', () => {
+    const nodes = [
+      node('1', 'trigger', { triggerType: 'message', pattern: '/buy (?<item>\\w+)/i' }),
+      node('2', 'variable', { name: 'qty', type: 'user_input', optionType: 4 }),
+      node('3', 'embed_builder', { embedVar: 'receipt' }),
+      node('4', 'response', { message: 'Done' }),
+    ];
+    const types = inferVariableTypes(nodes, chain('1', '2', '3', '4')).get('4');
+
+    expect(types.get('match').type).toBe('string');
+    expect(types.get('item').type).toBe('string');
+    expect(types.get('qty').type).toBe('number');
+    expect(types.get('receipt')).toEqual({ type: 'embed', sources: ['3'] });
+    expect(inferVariableTypes(nodes, chain('1', '2', '3', '4')).get('2').has('qty')).toBe(false);
+  });
+
+  it('should widen a variable set to different types on different paths to any', () => {
+    const nodes = [
+      node('1', 'trigger'),
+      node('2', 'math_operation', { resultVar: 'value' }),
+      node('3', 'string_operation', { resultVar: 'value' }),
+      node('4', 'math_operation', { operation: 'add', value1: '{value}', value2: '1' }),
+    ];
+    const edges = [...chain('1', '2', '4'), { id: 'e9', source: '1', target: '3' }, { id: 'e10', source: '3', target: '4' }];
+
+    expect(inferVariableTypes(nodes, edges).get('4').get('value').type).toBe('any');
+    expect(checkVariableTypes(nodes, edges)).toEqual([]);
+  });
+
+  it('should flag text in a math operation and an object in an array operation', () => {
+    const nodes = [
+      node('1', 'trigger'),
+      node('2', 'variable', { name: 'price', type: 'user_input' }, 'Price'),
+      node('3', 'object_operation', { operation: 'create', outputVar: 'cart' }, 'Cart'),
+      node('4', 'math_operation', { operation: 'multiply', value1: '{price}', value2: '2' }, 'Double'),
+      node('5', 'array_operation', { operation: 'length', arrayVar: 'cart', resultVar: 'count' }, 'Count'),
+      node('6', 'response', { message: 'Total {result} for {cart}' }, 'Reply'),
+    ];
+    const issues = checkVariableTypes(nodes, chain('1', '2', '3', '4', '5', '6'));
+
+    expect(issues.map(issue => [issue.type, issue.nodeId, issue.variable])).toEqual([
+      ['type_mismatch', '4', 'price'],
+      ['type_mismatch', '5', 'cart'],
+      ['type_mismatch', '6', 'cart'],
+    ]);
+    expect(issues[0].message).toBe('"Double" uses {price} as a number, but it is a string (set by "Price")');
+    expect(issues[1].message).toBe('"Count" uses cart as an array, but it is an object (set by "Cart")');
+    expect(issues.every(issue => issue.severity === 'warning')).toBe(true);
+  });
+
+  it('should flag placeholders no earlier node sets', () => {
+    const nodes = [
+      node('1', 'trigger', { triggerType: 'message', pattern: '^roll (\\d{1,3})$' }),
+      node('2', 'response', { message: 'Rolled {match_1} for {usrname}' }, 'Reply'),
+      node('3', 'variable', { name: 'usrname', type: 'user_name' }),
+    ];
+    const issues = checkVariableTypes(nodes, chain('1', '2', '3'));
+
+    expect(issues).toEqual([{
+      type: 'undefined_variable',
+      nodeId: '2',
+      variable: 'usrname',
+      message: '"Reply" uses {usrname}, but no node before it sets that variable',
+      severity: 'warning',
+    }]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Usage Limit Utility Tests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateUsageLimits,
+  resolveUsageLimits,
+  getUsageBuckets,
+  formatRetryAfter,
+  formatUsageLimitMessage,
+  MAX_COOLDOWN_SECONDS,
+} from '../utils/usageLimits.js';
+
+describe('Usage Limit Utility', () => {
+  it('should normalize limits and drop empty settings', () => {
+    expect(validateUsageLimits({ userCooldown: '30', guildDailyLimit: 0, channelCooldown: null, message: '' }))
+      .toEqual({ valid: true, limits: { userCooldown: 30, guildDailyLimit: 0 } });
+    expect(validateUsageLimits(undefined)).toEqual({ valid: true, limits: {} });
+  });
+
+  it('should reject unknown, negative, fractional and oversized limits', () => {
+    expect(validateUsageLimits({ cooldown: 5 }).error).toBe('Unknown limit: cooldown');
+    expect(validateUsageLimits({ userCooldown: -1 }).valid).toBe(false);
+    expect(validateUsageLimits({ userDailyLimit: 1.5 }).valid).toBe(false);
+    expect(validateUsageLimits({ guildCooldown: MAX_COOLDOWN_SECONDS + 1 }).valid).toBe(false);
+    expect(validateUsageLimits({ message: 'x'.repeat(201) }).valid).toBe(false);
+    expect(validateUsageLimits([]).valid).toBe(false);
+  });
+
+  it('should let guild overrides replace plugin limits, including turning one off', () => {
+    const resolved = resolveUsageLimits(
+      { userCooldown: 30, guildDailyLimit: 100, message: 'Wait {retry_after}' },
+      { userCooldown: 0, guildDailyLimit: null, channelCooldown: 5 },
+    );
+
+    expect(resolved).toEqual({ userCooldown: 0, guildDailyLimit: 100, channelCooldown: 5, message: 'Wait {retry_after}' });
+  });
+
+  it('should build cooldown and daily buckets for the identity', () => {
+    const now = new Date('2026-10-19T22:30:00Z');
+    const limits = { userCooldown: 10, channelCooldown: 60, guildCooldown: 0, userDailyLimit: 5, guildDailyLimit: 50 };
+    const buckets = getUsageBuckets(limits, { guildId: 'g1', channelId: 'c1', userId: 'u1' }, now);
+
+    expect(buckets.map(bucket => [bucket.key, bucket.max])).toEqual([
+      ['cooldown:user:u1', 1],
+      ['cooldown:channel:c1', 1],
+      ['daily:user:u1', 5],
+      ['daily:guild:g1', 50],
+    ]);
+    expect(buckets[0].expiresAt.toISOString()).toBe('2026-10-19T22:30:10.000Z');
+    expect(buckets[2].expiresAt.toISOString()).toBe('2026-10-20T00:00:00.000Z');
+
+    // Direct messages have no guild or channel buckets to count against
+    expect(getUsageBuckets(limits, { userId: 'u1' }, now).map(bucket => bucket.key)).toEqual(['cooldown:user:u1', 'daily:user:u1']);
+  });
+
+  it('should describe the time left in the slow down reply', () => {
+    expect(formatRetryAfter(0.2)).toBe('1 second');
+    expect(formatRetryAfter(45)).toBe('45 seconds');
+    expect(formatRetryAfter(61)).toBe('2 minutes');
+    expect(formatRetryAfter(7200)).toBe('2 hours');
+    expect(formatUsageLimitMessage('', 30)).toBe('⏳ Slow down! You can use this again in 30 seconds.');
+    expect(formatUsageLimitMessage('Cooling down ({retry_after})', 60)).toBe('Cooling down (1 minute)');
+  });
+});
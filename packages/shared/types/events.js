@@ -0,0 +1,195 @@
+/**
+ * Gateway Event Definitions
+ * Discord gateway events that can trigger plugins, with their payload shapes
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * @typedef {Object} EventUser
+ * @property {string} id - User ID
+ * @property {string} username - Username
+ * @property {string} tag - User tag
+ * @property {boolean} bot - Whether the user is a bot
+ */
+
+/**
+ * @typedef {Object} EventPayload
+ * @property {string} type - Gateway event name (e.g. 'guildMemberAdd')
+ * @property {string} timestamp - ISO timestamp of when the event was received
+ * @property {{id: string, name: string}} guild - Guild the event happened in
+ * @property {{id: string, name: string}|null} channel - Channel the event relates to, if any
+ * @property {EventUser|null} user - User the event relates to, if any
+ * @property {Object} [member] - Member details (member events)
+ * @property {Object} [message] - Message details (message and reaction events)
+ * @property {Object} [reaction] - Reaction details (reaction events)
+ * @property {Object} [voice] - Voice state details (voice events)
+ * @property {Object} [ban] - Ban details (ban events)
+ */
+
+/**
+ * Gateway events supported as plugin triggers.
+ * `fields` lists the flattened payload fields exposed to plugins as
+ * `{event_<field>}` variables; `intent` names the GatewayIntentBits flag the
+ * bot needs for Discord to deliver the event.
+ */
+export const GatewayEvents = {
+  guildMemberAdd: {
+    label: 'Member Joined',
+    description: 'A user joins the server',
+    intent: 'GuildMembers',
+    privileged: true,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      user_bot: 'boolean',
+      member_displayName: 'string',
+      member_joinedAt: 'string',
+      member_roles: 'array',
+      guild_id: 'string',
+      guild_name: 'string',
+      guild_memberCount: 'number',
+    },
+  },
+  guildMemberRemove: {
+    label: 'Member Left',
+    description: 'A user leaves or is removed from the server',
+    intent: 'GuildMembers',
+    privileged: true,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      user_bot: 'boolean',
+      member_displayName: 'string',
+      member_joinedAt: 'string',
+      member_roles: 'array',
+      guild_id: 'string',
+      guild_name: 'string',
+      guild_memberCount: 'number',
+    },
+  },
+  guildBanAdd: {
+    label: 'Member Banned',
+    description: 'A user is banned from the server',
+    intent: 'GuildModeration',
+    privileged: false,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      ban_reason: 'string',
+      guild_id: 'string',
+      guild_name: 'string',
+    },
+  },
+  messageReactionAdd: {
+    label: 'Reaction Added',
+    description: 'A user reacts to a message',
+    intent: 'GuildMessageReactions',
+    privileged: false,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      reaction_emoji: 'string',
+      reaction_emojiId: 'string',
+      reaction_count: 'number',
+      message_id: 'string',
+      message_authorId: 'string',
+      message_content: 'string',
+      channel_id: 'string',
+      channel_name: 'string',
+      guild_id: 'string',
+      guild_name: 'string',
+    },
+  },
+  messageReactionRemove: {
+    label: 'Reaction Removed',
+    description: 'A user removes a reaction from a message',
+    intent: 'GuildMessageReactions',
+    privileged: false,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      reaction_emoji: 'string',
+      reaction_emojiId: 'string',
+      reaction_count: 'number',
+      message_id: 'string',
+      message_authorId: 'string',
+      message_content: 'string',
+      channel_id: 'string',
+      channel_name: 'string',
+      guild_id: 'string',
+      guild_name: 'string',
+    },
+  },
+  messageDelete: {
+    label: 'Message Deleted',
+    description: 'A message is deleted',
+    intent: 'GuildMessages',
+    privileged: false,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      message_id: 'string',
+      message_content: 'string',
+      message_createdAt: 'string',
+      channel_id: 'string',
+      channel_name: 'string',
+      guild_id: 'string',
+      guild_name: 'string',
+    },
+  },
+  messageUpdate: {
+    label: 'Message Edited',
+    description: 'A message is edited',
+    intent: 'GuildMessages',
+    privileged: false,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      message_id: 'string',
+      message_content: 'string',
+      message_oldContent: 'string',
+      channel_id: 'string',
+      channel_name: 'string',
+      guild_id: 'string',
+      guild_name: 'string',
+    },
+  },
+  voiceStateUpdate: {
+    label: 'Voice State Changed',
+    description: 'A user joins, leaves, or moves between voice channels',
+    intent: 'GuildVoiceStates',
+    privileged: false,
+    fields: {
+      user_id: 'string',
+      user_username: 'string',
+      user_tag: 'string',
+      voice_action: 'string',
+      voice_channelId: 'string',
+      voice_channelName: 'string',
+      voice_oldChannelId: 'string',
+      voice_oldChannelName: 'string',
+      voice_selfMute: 'boolean',
+      voice_selfDeaf: 'boolean',
+      guild_id: 'string',
+      guild_name: 'string',
+    },
+  },
+};
+
+/**
+ * Check whether an event name is a supported plugin trigger
+ * @param {string} eventName - Gateway event name
+ * @returns {boolean} True if the event can trigger plugins
+ */
+export function isSupportedEvent(eventName) {
+  return typeof eventName === 'string' &&
+    Object.prototype.hasOwnProperty.call(GatewayEvents, eventName);
+}
@@ -11,7 +11,7 @@
  * @property {string} version - Plugin version
  * @property {string} description - Plugin description
  * @property {string} author - Plugin author
- * @property {'slash' | 'text' | 'both'} type - Command type
+ * @property {'slash' | 'text' | 'both' | 'listener' | 'pattern' | 'scheduled'} type - Command type, 'listener' for event-triggered, 'pattern' for message-pattern or 'scheduled' for cron/interval plugins
  * @property {boolean} enabled - Whether plugin is enabled
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
@@ -19,7 +19,7 @@
 
 /**
  * @typedef {Object} PluginTrigger
- * @property {'command' | 'event' | 'message'} type - Trigger type
+ * @property {'command' | 'event' | 'message' | 'schedule'} type - Trigger type
  * @property {string} command - Command name (for command triggers)
  * @property {string} event - Event name (for event triggers)
  * @property {string} pattern - Regex pattern (for message triggers)
@@ -62,6 +62,9 @@ export const PluginTypes = {
   SLASH: 'slash',
   TEXT: 'text',
   BOTH: 'both',
+  LISTENER: 'listener',
+  PATTERN: 'pattern',
+  SCHEDULED: 'scheduled',
 };
 
 export const NodeTypes = {
@@ -77,5 +80,16 @@ export const TriggerTypes = {
   COMMAND: 'command',
   EVENT: 'event',
   MESSAGE: 'message',
+  SCHEDULE: 'schedule',
 };
 
+
+/**
+ * Namespaces for persisted plugin state
+ * GUILD keeps data per server, USER per member of a server, GLOBAL is shared by every server
+ */
+export const StateScopes = {
+  GLOBAL: 'global',
+  GUILD: 'guild',
+  USER: 'user',
+};
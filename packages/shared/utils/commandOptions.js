@@ -0,0 +1,322 @@
+/**
+ * Command Option Utility - Typed slash command options
+ * Validates plugin command options and converts them to the shape Discord registers
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Discord application command option types supported by plugins
+ */
+export const CommandOptionTypes = {
+  SUB_COMMAND: 1,
+  SUB_COMMAND_GROUP: 2,
+  STRING: 3,
+  INTEGER: 4,
+  BOOLEAN: 5,
+  USER: 6,
+  CHANNEL: 7,
+  ROLE: 8,
+  MENTIONABLE: 9,
+  NUMBER: 10,
+  ATTACHMENT: 11,
+};
+
+/**
+ * Discord channel types a channel option can be limited to
+ */
+export const OptionChannelTypes = {
+  GUILD_TEXT: 0,
+  GUILD_VOICE: 2,
+  GUILD_CATEGORY: 4,
+  GUILD_ANNOUNCEMENT: 5,
+  ANNOUNCEMENT_THREAD: 10,
+  PUBLIC_THREAD: 11,
+  PRIVATE_THREAD: 12,
+  GUILD_STAGE_VOICE: 13,
+  GUILD_FORUM: 15,
+  GUILD_MEDIA: 16,
+};
+
+/**
+ * Discord limits for command options
+ */
+export const COMMAND_OPTION_LIMITS = {
+  maxOptions: 25,
+  maxChoices: 25,
+  maxSuggestions: 100, // Autocomplete suggestions stored with the plugin, filtered by the bot
+  maxStringLength: 6000,
+  maxChoiceLength: 100,
+};
+
+// Fields Discord accepts on a command option, anything else stays with the plugin
+const DISCORD_OPTION_FIELDS = [
+  'type', 'name', 'description', 'required', 'choices', 'min_value', 'max_value',
+  'min_length', 'max_length', 'channel_types', 'autocomplete', 'options',
+];
+
+const SUBCOMMAND_TYPES = [CommandOptionTypes.SUB_COMMAND, CommandOptionTypes.SUB_COMMAND_GROUP];
+
+const NUMERIC_TYPES = [CommandOptionTypes.INTEGER, CommandOptionTypes.NUMBER];
+const CHOICE_TYPES = [CommandOptionTypes.STRING, ...NUMERIC_TYPES];
+
+/**
+ * Normalize a choice or suggestion to {name, value}
+ * @param {string|number|Object} choice - Bare value or {name, value}
+ * @returns {{name: string, value: string|number}} Choice
+ */
+function toChoice(choice) {
+  if (choice && typeof choice === 'object') {
+    return { name: String(choice.name ?? choice.value), value: choice.value };
+  }
+  return { name: String(choice), value: choice };
+}
+
+/**
+ * Check a choice value against the option type
+ * @param {number} type - Option type
+ * @param {*} value - Choice value
+ * @returns {boolean} Whether the value fits the type
+ */
+function isChoiceValue(type, value) {
+  if (type === CommandOptionTypes.STRING) {
+    return typeof value === 'string' && value.length > 0 && value.length <= COMMAND_OPTION_LIMITS.maxChoiceLength;
+  }
+  if (type === CommandOptionTypes.INTEGER) {
+    return Number.isSafeInteger(value);
+  }
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate a single command option (subcommands are checked by validateCommandOptions)
+ * @param {Object} option - Command option
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+export function validateCommandOption(option) {
+  if (!option || typeof option !== 'object') {
+    return { valid: false, error: 'Command option must be an object' };
+  }
+
+  const { type, name } = option;
+  if (typeof name !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(name)) {
+    return { valid: false, error: `Invalid option name "${name}": use 1-32 lowercase letters, digits, - or _` };
+  }
+  if (!Object.values(CommandOptionTypes).includes(type) || SUBCOMMAND_TYPES.includes(type)) {
+    return { valid: false, error: `Option ${name} has unsupported type ${type}` };
+  }
+  if (typeof option.description !== 'string' || option.description.length < 1 || option.description.length > 100) {
+    return { valid: false, error: `Option ${name} needs a description of 1-100 characters` };
+  }
+
+  if (option.choices !== undefined) {
+    if (!CHOICE_TYPES.includes(type)) {
+      return { valid: false, error: `Option ${name} cannot have choices` };
+    }
+    if (!Array.isArray(option.choices) || option.choices.length > COMMAND_OPTION_LIMITS.maxChoices) {
+      return { valid: false, error: `Option ${name} can have at most ${COMMAND_OPTION_LIMITS.maxChoices} choices` };
+    }
+    for (const choice of option.choices) {
+      if (!choice?.name || String(choice.name).length > COMMAND_OPTION_LIMITS.maxChoiceLength || !isChoiceValue(type, choice.value)) {
+        return { valid: false, error: `Option ${name} has an invalid choice: ${JSON.stringify(choice)}` };
+      }
+    }
+  }
+
+  if (option.min_value !== undefined || option.max_value !== undefined) {
+    if (!NUMERIC_TYPES.includes(type)) {
+      return { valid: false, error: `Only integer and number options can have min_value or max_value (option ${name})` };
+    }
+    for (const bound of [option.min_value, option.max_value]) {
+      if (bound !== undefined && !isChoiceValue(type, bound)) {
+        return { valid: false, error: `Option ${name} has an invalid min_value or max_value` };
+      }
+    }
+    if (option.min_value !== undefined && option.max_value !== undefined && option.min_value > option.max_value) {
+      return { valid: false, error: `Option ${name} has min_value greater than max_value` };
+    }
+  }
+
+  if (option.min_length !== undefined || option.max_length !== undefined) {
+    if (type !== CommandOptionTypes.STRING) {
+      return { valid: false, error: `Only string options can have min_length or max_length (option ${name})` };
+    }
+    const { min_length: min = 0, max_length: max = COMMAND_OPTION_LIMITS.maxStringLength } = option;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max || max > COMMAND_OPTION_LIMITS.maxStringLength) {
+      return { valid: false, error: `Option ${name} length limits must satisfy 0 <= min_length <= max_length <= ${COMMAND_OPTION_LIMITS.maxStringLength}` };
+    }
+  }
+
+  if (option.channel_types !== undefined) {
+    if (type !== CommandOptionTypes.CHANNEL) {
+      return { valid: false, error: `Only channel options can have channel_types (option ${name})` };
+    }
+    const known = Object.values(OptionChannelTypes);
+    if (!Array.isArray(option.channel_types) || !option.channel_types.every(channelType => known.includes(channelType))) {
+      return { valid: false, error: `Option ${name} has unknown channel_types` };
+    }
+  }
+
+  if (option.autocomplete) {
+    if (!CHOICE_TYPES.includes(type)) {
+      return { valid: false, error: `Only string, integer and number options support autocomplete (option ${name})` };
+    }
+    if (option.choices?.length) {
+      return { valid: false, error: `Option ${name} cannot use both choices and autocomplete` };
+    }
+  }
+
+  if (option.suggestions !== undefined) {
+    if (!option.autocomplete) {
+      return { valid: false, error: `Option ${name} has suggestions but autocomplete is off` };
+    }
+    if (!Array.isArray(option.suggestions) || option.suggestions.length > COMMAND_OPTION_LIMITS.maxSuggestions) {
+      return { valid: false, error: `Option ${name} can have at most ${COMMAND_OPTION_LIMITS.maxSuggestions} suggestions` };
+    }
+    if (!option.suggestions.every(suggestion => isChoiceValue(type, toChoice(suggestion).value))) {
+      return { valid: false, error: `Option ${name} has a suggestion that does not match its type` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate the command options of a plugin
+ * A command either lists subcommands and subcommand groups or plain options, never both.
+ * @param {Array} options - Command options
+ * @param {'command'|'group'|'subcommand'} level - What the options belong to (default: 'command')
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+export function validateCommandOptions(options, level = 'command') {
+  if (!Array.isArray(options)) {
+    return { valid: false, error: 'Command options must be an array' };
+  }
+  if (options.length > COMMAND_OPTION_LIMITS.maxOptions) {
+    return { valid: false, error: `Commands can have at most ${COMMAND_OPTION_LIMITS.maxOptions} options` };
+  }
+
+  const nested = options.filter(option => SUBCOMMAND_TYPES.includes(option?.type));
+  if (level === 'group' && nested.length !== options.length) {
+    return { valid: false, error: 'Subcommand groups can only contain subcommands' };
+  }
+  if (level === 'command' && nested.length > 0 && nested.length !== options.length) {
+    return { valid: false, error: 'Commands with subcommands cannot have other options' };
+  }
+  if (level === 'subcommand' && nested.length > 0) {
+    return { valid: false, error: 'Subcommands cannot contain subcommands or groups' };
+  }
+
+  const names = new Set();
+  let optionalSeen = false;
+  for (const option of options) {
+    const validation = SUBCOMMAND_TYPES.includes(option.type)
+      ? validateSubcommand(option, level)
+      : validateCommandOption(option);
+    if (!validation.valid) {
+      return validation;
+    }
+    if (names.has(option.name)) {
+      return { valid: false, error: `Duplicate option name: ${option.name}` };
+    }
+    names.add(option.name);
+
+    // Discord rejects commands that list a required option after an optional one
+    if (SUBCOMMAND_TYPES.includes(option.type)) {
+      continue;
+    }
+    if (option.required) {
+      if (optionalSeen) {
+        return { valid: false, error: `Required option ${option.name} must come before optional options` };
+      }
+    } else {
+      optionalSeen = true;
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate a subcommand or subcommand group and the options nested in it
+ * @param {Object} option - Subcommand or group
+ * @param {'command'|'group'} level - What the subcommand belongs to
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+function validateSubcommand(option, level) {
+  const { type, name } = option;
+  if (typeof name !== 'string' || !/^[a-z0-9_-]{1,32}$/.test(name)) {
+    return { valid: false, error: `Invalid subcommand name "${name}": use 1-32 lowercase letters, digits, - or _` };
+  }
+  if (typeof option.description !== 'string' || option.description.length < 1 || option.description.length > 100) {
+    return { valid: false, error: `Subcommand ${name} needs a description of 1-100 characters` };
+  }
+  if (type === CommandOptionTypes.SUB_COMMAND_GROUP) {
+    if (level !== 'command') {
+      return { valid: false, error: `Subcommand group ${name} cannot be nested` };
+    }
+    if (!option.options?.length) {
+      return { valid: false, error: `Subcommand group ${name} needs at least one subcommand` };
+    }
+    return validateCommandOptions(option.options, 'group');
+  }
+  return validateCommandOptions(option.options || [], 'subcommand');
+}
+
+/**
+ * Convert a plugin command option to the shape Discord registers
+ * Drops fields Discord does not know, such as autocomplete suggestions
+ * @param {Object} option - Command option
+ * @returns {Object} Discord command option
+ */
+export function toDiscordCommandOption(option) {
+  const discordOption = {};
+  for (const field of DISCORD_OPTION_FIELDS) {
+    if (option[field] !== undefined) {
+      discordOption[field] = option[field];
+    }
+  }
+  if (Array.isArray(discordOption.choices)) {
+    discordOption.choices = discordOption.choices.map(toChoice);
+  }
+  if (Array.isArray(discordOption.options)) {
+    discordOption.options = discordOption.options.map(toDiscordCommandOption);
+  }
+  return discordOption;
+}
+
+/**
+ * Find an option of the subcommand that was invoked
+ * @param {Array} options - Command options
+ * @param {string} name - Option name
+ * @param {Object} path - Invoked subcommand
+ * @param {string|null} path.group - Subcommand group name
+ * @param {string|null} path.subcommand - Subcommand name
+ * @returns {Object|null} Command option
+ */
+export function findCommandOption(options, name, { group = null, subcommand = null } = {}) {
+  let scope = Array.isArray(options) ? options : [];
+  if (group) {
+    scope = scope.find(option => option.type === CommandOptionTypes.SUB_COMMAND_GROUP && option.name === group)?.options || [];
+  }
+  if (subcommand) {
+    scope = scope.find(option => option.type === CommandOptionTypes.SUB_COMMAND && option.name === subcommand)?.options || [];
+  }
+  return scope.find(option => option.name === name && !SUBCOMMAND_TYPES.includes(option.type)) || null;
+}
+
+/**
+ * Pick the autocomplete suggestions that match what the user typed
+ * @param {Object} option - Command option with autocomplete suggestions
+ * @param {string} query - Focused option value typed so far
+ * @returns {Array<{name: string, value: string|number}>} Up to 25 choices, prefix matches first
+ */
+export function getAutocompleteChoices(option, query = '') {
+  const needle = String(query).toLowerCase();
+  const suggestions = (option?.suggestions || []).map(toChoice);
+  const matches = suggestions.filter(choice => choice.name.toLowerCase().includes(needle));
+  const prefixed = matches.filter(choice => choice.name.toLowerCase().startsWith(needle));
+  const rest = matches.filter(choice => !choice.name.toLowerCase().startsWith(needle));
+
+  return [...prefixed, ...rest].slice(0, COMMAND_OPTION_LIMITS.maxChoices);
+}
@@ -0,0 +1,71 @@
+/**
+ * Component ID Utility - Custom IDs for plugin message components
+ * Encodes the plugin, the step to resume at and a small state string into a component custom ID
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Prefix marking custom IDs created for plugins
+ * @type {string}
+ */
+export const COMPONENT_ID_PREFIX = 'dm';
+
+/**
+ * Maximum custom ID length Discord accepts
+ * @type {number}
+ */
+export const MAX_CUSTOM_ID_LENGTH = 100;
+
+/**
+ * How the bot acknowledges a component interaction before running the plugin
+ * DEFER acknowledges immediately, MODAL leaves the interaction open so the plugin can show a modal
+ */
+export const ComponentResponseModes = {
+  DEFER: 'd',
+  MODAL: 'm',
+};
+
+/**
+ * Build a custom ID routed back to a plugin
+ * Format: `dm:<mode>:<pluginId>:<step>:<state>`, the state may contain any characters
+ * @param {Object} component - Component routing data
+ * @param {string} component.pluginId - Plugin ID
+ * @param {string} component.step - Node ID the plugin resumes at
+ * @param {string} component.state - State passed back on interaction (default: '')
+ * @param {string} component.mode - One of ComponentResponseModes (default: DEFER)
+ * @returns {string} Custom ID
+ */
+export function encodeComponentId({ pluginId, step, state = '', mode = ComponentResponseModes.DEFER }) {
+  if (!Object.values(ComponentResponseModes).includes(mode)) {
+    throw new Error(`Unknown component response mode: ${mode}`);
+  }
+  for (const [name, value] of [['Plugin ID', pluginId], ['Component step', step]]) {
+    if (typeof value !== 'string' || value.length === 0 || value.includes(':')) {
+      throw new Error(`${name} must be a non-empty string without ':'`);
+    }
+  }
+
+  const customId = `${COMPONENT_ID_PREFIX}:${mode}:${pluginId}:${step}:${String(state ?? '')}`;
+  if (customId.length > MAX_CUSTOM_ID_LENGTH) {
+    throw new Error(`Component custom ID is ${customId.length} characters, the limit is ${MAX_CUSTOM_ID_LENGTH}; shorten the state`);
+  }
+  return customId;
+}
+
+/**
+ * Parse a custom ID created by encodeComponentId
+ * @param {string} customId - Custom ID from an interaction
+ * @returns {{pluginId: string, step: string, state: string, mode: string}|null} Routing data, or null for foreign IDs
+ */
+export function decodeComponentId(customId) {
+  if (typeof customId !== 'string') {return null;}
+
+  const parts = customId.split(':');
+  if (parts.length < 5 || parts[0] !== COMPONENT_ID_PREFIX) {return null;}
+
+  const [, mode, pluginId, step, ...state] = parts;
+  if (!Object.values(ComponentResponseModes).includes(mode) || !pluginId || !step) {return null;}
+
+  return { pluginId, step, state: state.join(':'), mode };
+}
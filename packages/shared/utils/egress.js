@@ -0,0 +1,150 @@
+/**
+ * Egress Policy Utility - Which hosts plugins may send HTTP requests to
+ * Validates domain allowlists, matches hosts against them and finds {secret.NAME} references in requests
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Time an HTTP request from a plugin may take, in milliseconds
+ * @type {number}
+ */
+export const DEFAULT_HTTP_TIMEOUT_MS = 10000;
+
+/**
+ * Largest response body a plugin may receive, in bytes
+ * @type {number}
+ */
+export const DEFAULT_MAX_RESPONSE_BYTES = 1024 * 1024;
+
+/**
+ * Redirects followed before a request fails
+ * @type {number}
+ */
+export const MAX_HTTP_REDIRECTS = 5;
+
+/**
+ * Most domains one allowlist may hold
+ * @type {number}
+ */
+export const MAX_ALLOWED_DOMAINS = 50;
+
+// A hostname such as api.example.com, optionally prefixed with *. to allow its subdomains
+const DOMAIN_PATTERN = /^(\*\.)?(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+/**
+ * Matches {secret.NAME} references, resolved by the bot just before a request is sent
+ * A reference escaped as {{secret.NAME} is left alone.
+ */
+export const SECRET_REFERENCE_PATTERN = /(?<!\{)\{secret\.([A-Za-z_]\w{0,63})\}/g;
+
+// An escaped reference, or a reference to fill in
+const SECRET_REPLACE_PATTERN = /\{(\{secret\.)|(?<!\{)\{secret\.([A-Za-z_]\w{0,63})\}/g;
+
+/**
+ * Valid secret names: a letter or underscore, then up to 63 letters, digits or underscores
+ */
+export const SECRET_NAME_PATTERN = /^[A-Za-z_]\w{0,63}$/;
+
+/**
+ * Validate an egress policy, as configured on a plugin or a guild
+ * Domains are lowercased and a trailing dot is dropped. An empty allowlist allows every public host.
+ * @param {Object} policy - Egress policy ({ allowedDomains })
+ * @returns {Object} { valid, policy, error }
+ */
+export function validateEgressPolicy(policy) {
+  if (policy === null || policy === undefined) {
+    return { valid: true, policy: { allowedDomains: [] } };
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'Egress policy must be an object' };
+  }
+
+  const unknown = Object.keys(policy).find(name => name !== 'allowedDomains');
+  if (unknown) {
+    return { valid: false, error: `Unknown egress setting: ${unknown}` };
+  }
+
+  const domains = policy.allowedDomains ?? [];
+  if (!Array.isArray(domains)) {
+    return { valid: false, error: 'allowedDomains must be an array' };
+  }
+  if (domains.length > MAX_ALLOWED_DOMAINS) {
+    return { valid: false, error: `At most ${MAX_ALLOWED_DOMAINS} domains can be allowed` };
+  }
+
+  const allowedDomains = [];
+  for (const entry of domains) {
+    const domain = typeof entry === 'string' ? entry.trim().toLowerCase().replace(/\.$/, '') : '';
+    if (!DOMAIN_PATTERN.test(domain)) {
+      return { valid: false, error: `Invalid domain: ${entry}` };
+    }
+    if (!allowedDomains.includes(domain)) {
+      allowedDomains.push(domain);
+    }
+  }
+
+  return { valid: true, policy: { allowedDomains } };
+}
+
+/**
+ * Check whether a hostname is on an allowlist
+ * `example.com` allows only that host, `*.example.com` allows its subdomains but not example.com itself.
+ * @param {string} hostname - Hostname being requested
+ * @param {Array<string>} allowedDomains - Allowlist, empty to allow every host
+ * @returns {boolean} True if the host is allowed
+ */
+export function isDomainAllowed(hostname, allowedDomains = []) {
+  if (!allowedDomains || allowedDomains.length === 0) {
+    return true;
+  }
+
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return allowedDomains.some(domain => (domain.startsWith('*.')
+    ? host.endsWith(domain.slice(1))
+    : host === domain));
+}
+
+/**
+ * Get the names of the secrets a text references
+ * @param {string} text - URL, header value or body
+ * @returns {Array<string>} Secret names, each listed once
+ */
+export function findSecretReferences(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return [...new Set([...text.matchAll(SECRET_REFERENCE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Escape {secret.NAME} references in a value put into a request, such as a variable holding user input
+ * Only references the plugin author wrote are filled in; applySecrets turns escaped ones back into plain text.
+ * @param {*} value - Value
+ * @returns {string} Value as text, with its references escaped
+ */
+export function escapeSecretReferences(value) {
+  return String(value).replaceAll('{secret.', '{{secret.');
+}
+
+/**
+ * Replace {secret.NAME} references with the secrets' values, and unescape escaped references
+ * @param {string} text - URL, header value or body
+ * @param {Object<string, string>} secrets - Secret values by name
+ * @returns {string} Text with the references replaced
+ * @throws {Error} If a referenced secret is not set
+ */
+export function applySecrets(text, secrets = {}) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return text.replace(SECRET_REPLACE_PATTERN, (reference, escaped, name) => {
+    if (escaped) {
+      return escaped;
+    }
+    if (!Object.prototype.hasOwnProperty.call(secrets, name)) {
+      throw new Error(`Secret ${name} is not set`);
+    }
+    return secrets[name];
+  });
+}
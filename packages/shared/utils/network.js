@@ -0,0 +1,72 @@
+/**
+ * Network Utility - Private address checks for outbound requests
+ * Keeps plugin HTTP requests and webhook deliveries away from the machines around the bot and the API
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import dns from 'dns';
+import { BlockList, isIP } from 'net';
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, benchmarking, multicast and reserved ranges,
+// and the IPv6 ranges that embed an IPv4 address (IPv4-compatible, NAT64 and 6to4)
+const PRIVATE_NETWORKS = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address belongs to a private or reserved network
+ * IPv4 addresses mapped into IPv6 are checked against the IPv4 ranges.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if outbound requests may not connect to it
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) {
+    return true;
+  }
+  return PRIVATE_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check whether a URL's host is a private IP address
+ * Hostnames are not resolved here; connections to them go through a guarded lookup instead.
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True if the host is an IP address on a private network
+ */
+export function isPrivateHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return Boolean(isIP(hostname)) && isPrivateAddress(hostname);
+}
+
+/**
+ * Create a DNS lookup that refuses private addresses
+ * Has the signature of dns.lookup, for use by http agents, so the address is checked when the connection is made
+ * and a host cannot resolve to a public address for a check and a private one for the request.
+ * @param {Object} options - Lookup options
+ * @param {Function} options.lookup - DNS lookup (default: dns.lookup)
+ * @param {boolean} options.allowPrivateNetworks - Allow private addresses, for local development only
+ * @returns {Function} Lookup
+ */
+export function createGuardedLookup({ lookup = dns.lookup, allowPrivateNetworks = false } = {}) {
+  return (hostname, options, callback) => {
+    lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = allowPrivateNetworks ? null : addresses.find(entry => isPrivateAddress(entry.address));
+      if (blocked) {
+        callback(new Error(`Requests to private address ${blocked.address} are not allowed`));
+        return;
+      }
+      callback(null, address, family);
+    });
+  };
+}
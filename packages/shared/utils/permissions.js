@@ -0,0 +1,194 @@
+/**
+ * Permission Utility - Dashboard roles and what each one may do
+ * Roles form a ladder, each one has every permission of the roles below it
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Dashboard roles, lowest first
+ * @type {Object<string, string>}
+ */
+export const UserRoles = {
+  VIEWER: 'viewer',
+  AUTHOR: 'author',
+  GUILD_MANAGER: 'guild_manager',
+  ADMIN: 'admin',
+};
+
+/**
+ * Dashboard permissions
+ * @type {Object<string, string>}
+ */
+export const Permissions = {
+  // See plugins and their revision history
+  PLUGINS_READ: 'plugins:read',
+  // Create plugins, compile and test run graphs
+  PLUGINS_CREATE: 'plugins:create',
+  // Change plugins the user owns or that are shared with them
+  PLUGINS_EDIT: 'plugins:edit',
+  // Change any plugin
+  PLUGINS_EDIT_ANY: 'plugins:edit_any',
+  // Manage every guild the bot is in, without being a Discord admin there
+  GUILDS_MANAGE: 'guilds:manage',
+  // Approve users and assign roles
+  USERS_MANAGE: 'users:manage',
+  // Platform statistics and analytics
+  ANALYTICS_READ: 'analytics:read',
+  // Register outgoing webhooks and read their delivery log
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+};
+
+/**
+ * Permissions each role adds to the one below it
+ * @type {Object<string, Array<string>>}
+ */
+const RolePermissions = {
+  [UserRoles.VIEWER]: [Permissions.PLUGINS_READ],
+  [UserRoles.AUTHOR]: [Permissions.PLUGINS_CREATE, Permissions.PLUGINS_EDIT],
+  [UserRoles.GUILD_MANAGER]: [Permissions.GUILDS_MANAGE],
+  [UserRoles.ADMIN]: [Permissions.PLUGINS_EDIT_ANY, Permissions.USERS_MANAGE, Permissions.ANALYTICS_READ, Permissions.WEBHOOKS_MANAGE],
+};
+
+const roleLadder = Object.values(UserRoles);
+
+/**
+ * Check if a value is a known role
+ * @param {string} role - Role to check
+ * @returns {boolean} Whether the role exists
+ */
+export function isValidRole(role) {
+  return roleLadder.includes(role);
+}
+
+/**
+ * Get a user's role
+ * is_admin always means admin, so accounts made before roles existed keep their access
+ * @param {Object|null} user - User with role and is_admin
+ * @returns {string|null} Role, or null without a user
+ */
+export function getUserRole(user) {
+  if (!user) {
+    return null;
+  }
+  if (user.is_admin) {
+    return UserRoles.ADMIN;
+  }
+  // The admin role without is_admin is out of sync, fall back to the least access
+  return isValidRole(user.role) && user.role !== UserRoles.ADMIN ? user.role : UserRoles.VIEWER;
+}
+
+/**
+ * Get every permission a role has
+ * @param {string} role - Role
+ * @returns {Array<string>} Permissions, empty for an unknown role
+ */
+export function getRolePermissions(role) {
+  const rank = roleLadder.indexOf(role);
+  return roleLadder.slice(0, rank + 1).flatMap(name => RolePermissions[name]);
+}
+
+/**
+ * Get every permission a user has
+ * @param {Object|null} user - User with role and is_admin
+ * @returns {Array<string>} Permissions
+ */
+export function getUserPermissions(user) {
+  return getRolePermissions(getUserRole(user));
+}
+
+/**
+ * Check if a user has a permission
+ * @param {Object|null} user - User with role and is_admin
+ * @param {string} permission - Permission to check
+ * @returns {boolean} Whether the user has it
+ */
+export function hasPermission(user, permission) {
+  return getUserPermissions(user).includes(permission);
+}
+
+/**
+ * Check if a user owns a plugin
+ * @param {Object|null} user - User
+ * @param {Object} plugin - Plugin with created_by
+ * @returns {boolean} Whether the user created the plugin
+ */
+export function isPluginOwner(user, plugin) {
+  return Boolean(user?.id) && plugin?.created_by === user.id;
+}
+
+/**
+ * Check if a user may change a plugin
+ * Admins may change any plugin, authors only ones they own or that are shared with them
+ * @param {Object|null} user - User with role and is_admin
+ * @param {Object} plugin - Plugin with created_by and collaborators ([{ user_id }])
+ * @returns {boolean} Whether the user may edit the plugin
+ */
+export function canEditPlugin(user, plugin) {
+  if (hasPermission(user, Permissions.PLUGINS_EDIT_ANY)) {
+    return true;
+  }
+  if (!plugin || !hasPermission(user, Permissions.PLUGINS_EDIT)) {
+    return false;
+  }
+  return isPluginOwner(user, plugin)
+    || (plugin.collaborators || []).some(collaborator => collaborator.user_id === user.id);
+}
+
+/**
+ * Check if a plugin can be used in a guild
+ * Plugins without a guild are global, guild-owned plugins only exist in their own guild
+ * @param {Object} plugin - Plugin with guild_id
+ * @param {string|null} guildId - Guild ID, null outside a guild
+ * @returns {boolean} Whether the plugin is available in the guild
+ */
+export function isPluginAvailableInGuild(plugin, guildId) {
+  return Boolean(plugin) && (!plugin.guild_id || plugin.guild_id === guildId);
+}
+
+/**
+ * Scopes a personal API token can be limited to
+ * Read scopes allow GET requests to their area, write scopes allow every method and imply read
+ * @type {Object<string, string>}
+ */
+export const TokenScopes = {
+  PLUGINS_READ: 'plugins:read',
+  PLUGINS_WRITE: 'plugins:write',
+  GUILDS_READ: 'guilds:read',
+  GUILDS_WRITE: 'guilds:write',
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Check if a value is a known token scope
+ * @param {string} scope - Scope to check
+ * @returns {boolean} Whether the scope exists
+ */
+export function isValidTokenScope(scope) {
+  return Object.values(TokenScopes).includes(scope);
+}
+
+/**
+ * Get the scope a token needs for a request
+ * @param {string} area - API area, e.g. plugins or guilds
+ * @param {string} method - HTTP method
+ * @returns {string} Scope, e.g. plugins:write
+ */
+export function getRequiredTokenScope(area, method) {
+  return `${area}:${READ_METHODS.includes(String(method).toUpperCase()) ? 'read' : 'write'}`;
+}
+
+/**
+ * Check if a token's scopes allow a request
+ * Tokens never grant more than their user's role, this only narrows it
+ * @param {Array<string>} scopes - Token scopes
+ * @param {string} area - API area, e.g. plugins or guilds
+ * @param {string} method - HTTP method
+ * @returns {boolean} Whether the token may make the request
+ */
+export function tokenHasScope(scopes, area, method) {
+  const granted = Array.isArray(scopes) ? scopes : [];
+  const required = getRequiredTokenScope(area, method);
+  return granted.includes(required) || granted.includes(`${area}:write`);
+}
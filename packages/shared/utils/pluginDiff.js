@@ -0,0 +1,105 @@
+/**
+ * Plugin Diff Utility - Compare two saved versions of a plugin
+ * Reports changed plugin fields and node/edge-level changes between node graphs
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Plugin fields compared besides the node graph
+ * @type {string[]}
+ */
+export const DIFFED_PLUGIN_FIELDS = ['name', 'description', 'type', 'trigger', 'options'];
+
+/**
+ * Serialize a value with sorted object keys, so JSON columns compare equal whatever their key order
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Key identifying an edge by what it connects, since edge IDs are regenerated by the editor
+ * @param {Object} edge - React Flow edge
+ * @returns {string} Edge key
+ */
+function getEdgeKey(edge) {
+  return `${edge.source}:${edge.sourceHandle || ''}->${edge.target}:${edge.targetHandle || ''}`;
+}
+
+/**
+ * Summarize a node for display in a diff
+ * @param {Object} node - React Flow node
+ * @returns {Object} Node summary ({id, type, label})
+ */
+function describeNode(node) {
+  return { id: node.id, type: node.type, label: node.data?.label || node.type };
+}
+
+/**
+ * Summarize an edge for display in a diff
+ * @param {Object} edge - React Flow edge
+ * @returns {Object} Edge summary ({source, target, sourceHandle})
+ */
+function describeEdge(edge) {
+  return { source: edge.source, target: edge.target, sourceHandle: edge.sourceHandle || null };
+}
+
+/**
+ * Compare two versions of a plugin
+ * Nodes are matched by ID; a matched node reports which of type, label, config and position changed.
+ * Edges are matched by the nodes and handles they connect.
+ * @param {Object} before - Older version ({name, description, type, trigger, options, nodes, edges})
+ * @param {Object} after - Newer version
+ * @returns {Object} Diff ({fields, nodes: {added, removed, changed}, edges: {added, removed}, unchanged})
+ */
+export function diffPluginVersions(before = {}, after = {}) {
+  const fields = DIFFED_PLUGIN_FIELDS.filter(field => canonicalJson(before[field]) !== canonicalJson(after[field]));
+
+  const beforeNodes = new Map((before.nodes || []).map(node => [node.id, node]));
+  const afterNodes = new Map((after.nodes || []).map(node => [node.id, node]));
+  const nodes = { added: [], removed: [], changed: [] };
+
+  for (const [id, node] of afterNodes) {
+    const previous = beforeNodes.get(id);
+    if (!previous) {
+      nodes.added.push(describeNode(node));
+      continue;
+    }
+
+    const changes = [];
+    if (previous.type !== node.type) {changes.push('type');}
+    if ((previous.data?.label || '') !== (node.data?.label || '')) {changes.push('label');}
+    if (canonicalJson(previous.data?.config || {}) !== canonicalJson(node.data?.config || {})) {changes.push('config');}
+    if (previous.position?.x !== node.position?.x || previous.position?.y !== node.position?.y) {changes.push('position');}
+    if (changes.length > 0) {
+      nodes.changed.push({ ...describeNode(node), changes });
+    }
+  }
+  for (const [id, node] of beforeNodes) {
+    if (!afterNodes.has(id)) {
+      nodes.removed.push(describeNode(node));
+    }
+  }
+
+  const beforeEdges = new Map((before.edges || []).map(edge => [getEdgeKey(edge), edge]));
+  const afterEdges = new Map((after.edges || []).map(edge => [getEdgeKey(edge), edge]));
+  const edges = {
+    added: [...afterEdges].filter(([key]) => !beforeEdges.has(key)).map(([, edge]) => describeEdge(edge)),
+    removed: [...beforeEdges].filter(([key]) => !afterEdges.has(key)).map(([, edge]) => describeEdge(edge)),
+  };
+
+  const unchanged = fields.length === 0
+    && Object.values(nodes).every(list => list.length === 0)
+    && Object.values(edges).every(list => list.length === 0);
+
+  return { fields, nodes, edges, unchanged };
+}
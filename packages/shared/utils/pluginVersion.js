@@ -0,0 +1,93 @@
+/**
+ * Plugin Version Utility - Semantic versions and the draft/published lifecycle
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Parts of a version a publish can bump
+ */
+export const VersionBumps = {
+  MAJOR: 'major',
+  MINOR: 'minor',
+  PATCH: 'patch',
+};
+
+/**
+ * Publication status of a plugin
+ * DRAFT has never been published, CHANGED is published with unpublished edits
+ */
+export const PluginStatuses = {
+  DRAFT: 'draft',
+  CHANGED: 'changed',
+  PUBLISHED: 'published',
+};
+
+/**
+ * Version a plugin gets when it is first published
+ * @type {string}
+ */
+export const INITIAL_PLUGIN_VERSION = '1.0.0';
+
+const VERSION_PATTERN = /^(0|[1-9]\d{0,8})\.(0|[1-9]\d{0,8})\.(0|[1-9]\d{0,8})$/;
+
+/**
+ * Parse a `major.minor.patch` version
+ * Pre-release and build suffixes are not supported
+ * @param {string} version - Version string
+ * @returns {number[]|null} [major, minor, patch], or null if invalid
+ */
+export function parseVersion(version) {
+  const match = typeof version === 'string' ? VERSION_PATTERN.exec(version.trim()) : null;
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Compare two versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * @throws {Error} If either version is invalid
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) {
+    throw new Error(`Invalid version: ${left ? b : a}`);
+  }
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+}
+
+/**
+ * Bump a version, resetting the lower parts
+ * Versions that do not parse are treated as 0.0.0
+ * @param {string} version - Current version
+ * @param {string} bump - One of VersionBumps (default: patch)
+ * @returns {string} Bumped version
+ * @throws {Error} If the bump is unknown
+ */
+export function bumpVersion(version, bump = VersionBumps.PATCH) {
+  const [major, minor, patch] = parseVersion(version) || [0, 0, 0];
+  switch (bump) {
+  case VersionBumps.MAJOR:
+    return `${major + 1}.0.0`;
+  case VersionBumps.MINOR:
+    return `${major}.${minor + 1}.0`;
+  case VersionBumps.PATCH:
+    return `${major}.${minor}.${patch + 1}`;
+  default:
+    throw new Error(`Unknown version bump: ${bump}`);
+  }
+}
+
+/**
+ * Get the publication status of a plugin row
+ * @param {Object} plugin - Plugin row ({published_at, draft})
+ * @returns {string} One of PluginStatuses
+ */
+export function getPluginStatus(plugin) {
+  if (!plugin.published_at) {
+    return PluginStatuses.DRAFT;
+  }
+  return plugin.draft ? PluginStatuses.CHANGED : PluginStatuses.PUBLISHED;
+}
@@ -0,0 +1,31 @@
+/**
+ * Reply Utility - How the bot acknowledges a plugin's slash command
+ * Slash commands are deferred before the plugin runs, and Discord fixes the visibility of the reply at that point
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Node types that send, edit or delete interaction replies while the plugin runs
+ * @type {Array<string>}
+ */
+export const REPLY_NODE_TYPES = ['follow_up', 'edit_reply', 'delete_reply', 'ephemeral_toggle'];
+
+/**
+ * Check whether a plugin's slash command reply should be deferred as ephemeral
+ * Only an Ephemeral Toggle connected straight to the trigger can change it; later toggles only affect follow-ups.
+ * @param {Array} nodes - Plugin nodes
+ * @param {Array} edges - Plugin edges
+ * @returns {boolean} True if only the invoking user should see the reply
+ */
+export function isEphemeralDeferral(nodes = [], edges = []) {
+  const trigger = nodes.find(node => node.type === 'trigger');
+  if (!trigger) {
+    return false;
+  }
+
+  const nextIds = new Set(edges.filter(edge => edge.source === trigger.id).map(edge => edge.target));
+  return nodes.some(node => nextIds.has(node.id)
+    && node.type === 'ephemeral_toggle'
+    && node.data?.config?.ephemeral !== false);
+}
@@ -0,0 +1,255 @@
+/**
+ * Safe Regex Utility - Validation for user-supplied message patterns
+ * Rejects patterns that are prone to catastrophic backtracking
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Maximum length of a message pattern source
+ * @type {number}
+ */
+export const MAX_PATTERN_LENGTH = 256;
+
+/**
+ * Regex flags plugins may use ('g' and 'y' make exec() stateful)
+ * @type {string}
+ */
+export const ALLOWED_PATTERN_FLAGS = 'imsu';
+
+/**
+ * Split a stored pattern into source and flags
+ * Accepts both a bare source (`hello (?<name>\w+)`) and literal form (`/hello/i`)
+ * @param {string} pattern - Stored pattern string
+ * @returns {{source: string, flags: string}} Pattern source and flags
+ */
+export function parsePattern(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(pattern);
+  if (literal) {
+    return { source: literal[1], flags: literal[2] };
+  }
+  return { source: pattern, flags: '' };
+}
+
+// Characters two pattern atoms are tried against to tell whether they can match the same text
+const SAMPLE_CHARACTERS = [
+  ...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)),
+  '\u00a0', '\u00e9', '\u00c9', '\u00df', '\u0130', '\u017f', '\u2028', '\u212a', '\u4e2d',
+];
+
+/**
+ * Read the quantifier at a position
+ * @param {string} source - Pattern source
+ * @param {number} index - Position after an atom
+ * @returns {{length: number, min: number, max: number}} Quantifier, { length: 0, min: 1, max: 1 } if there is none
+ */
+function readQuantifier(source, index) {
+  const ch = source[index];
+  let quantifier = null;
+  if (ch === '*' || ch === '+' || ch === '?') {
+    quantifier = { length: 1, min: ch === '+' ? 1 : 0, max: ch === '?' ? 1 : Infinity };
+  } else if (ch === '{') {
+    const bounds = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+    if (bounds) {
+      const min = Number(bounds[1]);
+      const max = bounds[2] === undefined ? min : bounds[3] === '' ? Infinity : Number(bounds[3]);
+      quantifier = { length: bounds[0].length, min, max };
+    }
+  }
+  if (!quantifier) {
+    return { length: 0, min: 1, max: 1 };
+  }
+  // Lazy quantifiers backtrack just the same
+  if (source[index + quantifier.length] === '?') {
+    quantifier.length++;
+  }
+  return quantifier;
+}
+
+/**
+ * Check whether a quantifier repeats without a small upper bound
+ * @param {Object} quantifier - Quantifier from readQuantifier
+ * @returns {boolean} True for *, + and {n,} / {n,m} quantifiers
+ */
+function isRepeat(quantifier) {
+  return quantifier.max === Infinity || (quantifier.length > 0 && quantifier.max > quantifier.min);
+}
+
+/**
+ * Check whether two atoms can match the same character
+ * @param {RegExp|null} a - Single character regex, or null for an atom that may match anything
+ * @param {RegExp|null} b - Single character regex, or null for an atom that may match anything
+ * @returns {boolean} True if some character matches both
+ */
+function canOverlap(a, b) {
+  if (!a || !b) {
+    return true;
+  }
+  return SAMPLE_CHARACTERS.some(ch => a.test(ch) && b.test(ch));
+}
+
+/**
+ * Find the shapes that make a pattern backtrack catastrophically
+ * - a repeated group that itself contains a repeat, e.g. (a+)+, (\w*\s?)* or (.*a){12}
+ * - a repeated group whose alternatives can start with the same character, e.g. (a|aa)+ or (\w|\d)+
+ * - three or more repeats in a row that can match the same text, e.g. a*a*a* or .*a.*b.*
+ * Groups are treated as matching anything, which errs on the side of rejecting.
+ * @param {string} source - Pattern source
+ * @param {string} flags - Pattern flags
+ * @returns {string|null} Error message, or null if none was found
+ */
+function findBacktrackingShape(source, flags) {
+  const atomFlags = flags.replace(/[gy]/g, '');
+  const toAtom = text => new RegExp(`^(?:${text})$`, atomFlags);
+  const createFrame = () => ({ repeats: false, branches: [], first: undefined, run: [] });
+  const stack = [createFrame()];
+
+  for (let i = 0; i < source.length;) {
+    const frame = stack[stack.length - 1];
+    const ch = source[i];
+    let atom;
+    let group = null;
+
+    if (ch === '(') {
+      const prefix = /^\((\?(:|=|!|<=|<!|<[A-Za-z_$][\w$]*>))?/.exec(source.slice(i));
+      stack.push(createFrame());
+      i += prefix[0].length;
+      continue;
+    }
+    if (ch === '|') {
+      frame.branches.push(frame.first);
+      frame.first = undefined;
+      frame.run = [];
+      i++;
+      continue;
+    }
+    if (ch === '^' || ch === '$') {
+      i++;
+      continue;
+    }
+
+    if (ch === ')') {
+      group = stack.length > 1 ? stack.pop() : createFrame();
+      group.branches.push(group.first);
+      atom = null;
+      i++;
+    } else if (ch === '[') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== ']') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      atom = toAtom(source.slice(i, end + 1));
+      i = end + 1;
+    } else if (ch === '\\') {
+      const escaped = source[i + 1];
+      if (escaped === 'b' || escaped === 'B') {
+        i += 2;
+        continue;
+      }
+      atom = /[dDwWsSnrtfv0]|[^A-Za-z0-9]/.test(escaped) ? toAtom(`\\${escaped}`) : null;
+      i += 2;
+    } else {
+      atom = toAtom(ch === '.' ? '.' : ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'));
+      i++;
+    }
+
+    const quantifier = readQuantifier(source, i);
+    i += quantifier.length;
+    const repeated = quantifier.max > 1;
+    const parent = stack[stack.length - 1];
+
+    if (group && repeated) {
+      if (group.repeats) {
+        return 'Nested quantifiers like (a+)+ are not allowed in patterns';
+      }
+      const branches = group.branches.map(first => (first === undefined ? null : first));
+      if (branches.some((first, index) => branches.slice(index + 1).some(other => canOverlap(first, other)))) {
+        return 'Repeated alternatives that can match the same text, like (a|aa)+, are not allowed in patterns';
+      }
+    }
+
+    // Alternatives starting with an optional atom or a group may start with anything
+    if (parent.first === undefined) {
+      parent.first = group || quantifier.min === 0 ? null : atom;
+    }
+
+    if (isRepeat(quantifier) || group?.repeats) {
+      const last = parent.run[parent.run.length - 1];
+      parent.run = last !== undefined && canOverlap(last, atom) ? [...parent.run, atom] : [atom];
+      if (parent.run.length >= 3) {
+        return 'Runs of repeats that can match the same text, like a*a*a*, are not allowed in patterns';
+      }
+      parent.repeats = true;
+    } else if (quantifier.min > 0 && parent.run.length > 0 && !canOverlap(parent.run[parent.run.length - 1], atom)) {
+      // A required character the repeat before it cannot match ends the run
+      parent.run = [];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a user-supplied message pattern
+ * @param {string} pattern - Stored pattern string
+ * @returns {{valid: boolean, error?: string, source?: string, flags?: string}} Validation result
+ */
+export function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return { valid: false, error: 'Pattern is required' };
+  }
+
+  const { source, flags } = parsePattern(pattern);
+
+  if (source.length > MAX_PATTERN_LENGTH) {
+    return { valid: false, error: `Pattern too long (max ${MAX_PATTERN_LENGTH} characters)` };
+  }
+
+  for (const flag of flags) {
+    if (!ALLOWED_PATTERN_FLAGS.includes(flag)) {
+      return { valid: false, error: `Unsupported pattern flag: ${flag}` };
+    }
+  }
+
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    return { valid: false, error: `Invalid regular expression: ${error.message}` };
+  }
+
+  if (/\\[1-9]|\\k</.test(source)) {
+    return { valid: false, error: 'Backreferences are not allowed in patterns' };
+  }
+
+  const backtracking = findBacktrackingShape(source, flags);
+  if (backtracking) {
+    return { valid: false, error: backtracking };
+  }
+
+  // Group names become plugin variables, keep them clear of internals
+  const reservedGroup = getPatternGroupNames(source).find(name => name.startsWith('__') || name.startsWith('match'));
+  if (reservedGroup) {
+    return { valid: false, error: `Capture group name "${reservedGroup}" is reserved` };
+  }
+
+  return { valid: true, source, flags };
+}
+
+/**
+ * List the named capture groups of a pattern
+ * @param {string} pattern - Stored pattern string
+ * @returns {Array<string>} Group names in order of appearance
+ */
+export function getPatternGroupNames(pattern) {
+  if (typeof pattern !== 'string') {
+    return [];
+  }
+  const { source } = parsePattern(pattern);
+  const names = [];
+  const groupPattern = /\(\?<([A-Za-z_$][\w$]*)>/g;
+  let match;
+  while ((match = groupPattern.exec(source)) !== null) {
+    names.push(match[1]);
+  }
+  return names;
+}
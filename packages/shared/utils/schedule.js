@@ -0,0 +1,237 @@
+/**
+ * Schedule Utility - Cron expressions and intervals for scheduled plugins
+ * Parses five-field cron expressions and computes next run times in UTC
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Shortest interval a schedule may use
+ * @type {number}
+ */
+export const MIN_SCHEDULE_INTERVAL_SECONDS = 60;
+
+/**
+ * Longest interval a schedule may use (one year)
+ * @type {number}
+ */
+export const MAX_SCHEDULE_INTERVAL_SECONDS = 365 * 24 * 60 * 60;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+/**
+ * Parse a single value of a cron field, accepting names for months and weekdays
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number} Parsed value (NaN when invalid)
+ */
+function parseCronValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + field.offset;
+  }
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Expand one cron field into the set of values it matches
+ * Supports *, single values, ranges (a-b), lists (a,b) and steps (*\/n, a-b/n)
+ * @param {string} expression - Field expression
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} field: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+    } else {
+      start = parseCronValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (Number.isNaN(start) || Number.isNaN(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name} field: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {string} expression - Cron expression or macro such as @daily
+ * @returns {{valid: boolean, error?: string, fields?: Object}} Parse result
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return { valid: false, error: 'Cron expression is required' };
+  }
+
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    return { valid: false, error: 'Cron expression must have 5 fields: minute hour day-of-month month day-of-week' };
+  }
+
+  try {
+    const fields = {};
+    CRON_FIELDS.forEach((field, index) => {
+      fields[field.name] = parseCronField(parts[index], field);
+    });
+
+    // 7 is an alias for Sunday
+    if (fields.dayOfWeek.delete(7)) {
+      fields.dayOfWeek.add(0);
+    }
+
+    // Like standard cron, when both day fields are restricted a day matching either one runs
+    fields.dayOfMonthRestricted = parts[2] !== '*';
+    fields.dayOfWeekRestricted = parts[4] !== '*';
+
+    return { valid: true, fields };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Check whether a UTC day matches the day fields of a cron expression
+ * @param {Object} fields - Parsed cron fields
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the day matches
+ */
+function matchesCronDay(fields, date) {
+  const dayOfMonth = fields.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = fields.dayOfWeek.has(date.getUTCDay());
+
+  if (fields.dayOfMonthRestricted && fields.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Get the first time after a date that a cron expression matches, in UTC
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Search start (exclusive)
+ * @returns {Date|null} Next run time, or null if the expression never matches within 5 years
+ */
+export function getNextCronRun(expression, after = new Date()) {
+  const parsed = parseCron(expression);
+  if (!parsed.valid) {
+    throw new Error(parsed.error);
+  }
+  const { fields } = parsed;
+
+  const next = new Date(after.getTime());
+  next.setUTCSeconds(0, 0);
+  next.setUTCMinutes(next.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (next.getTime() <= limit) {
+    if (!fields.month.has(next.getUTCMonth() + 1)) {
+      next.setUTCMonth(next.getUTCMonth() + 1, 1);
+      next.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesCronDay(fields, next)) {
+      next.setUTCDate(next.getUTCDate() + 1);
+      next.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!fields.hour.has(next.getUTCHours())) {
+      next.setUTCHours(next.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!fields.minute.has(next.getUTCMinutes())) {
+      next.setUTCMinutes(next.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return next;
+  }
+
+  return null;
+}
+
+/**
+ * Validate a plugin schedule
+ * @param {Object} schedule - Schedule definition
+ * @param {string} schedule.cron - Cron expression (takes precedence over the interval)
+ * @param {number} schedule.intervalSeconds - Interval between runs in seconds
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+export function validateSchedule(schedule = {}) {
+  if (schedule.cron) {
+    const parsed = parseCron(schedule.cron);
+    if (!parsed.valid) {
+      return { valid: false, error: parsed.error };
+    }
+    if (!getNextCronRun(schedule.cron)) {
+      return { valid: false, error: 'Cron expression never matches' };
+    }
+    return { valid: true };
+  }
+
+  const interval = Number(schedule.intervalSeconds);
+  if (!Number.isInteger(interval)) {
+    return { valid: false, error: 'Either a cron expression or an interval is required' };
+  }
+  if (interval < MIN_SCHEDULE_INTERVAL_SECONDS || interval > MAX_SCHEDULE_INTERVAL_SECONDS) {
+    return {
+      valid: false,
+      error: `Interval must be between ${MIN_SCHEDULE_INTERVAL_SECONDS} and ${MAX_SCHEDULE_INTERVAL_SECONDS} seconds`,
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Get the next run time of a schedule
+ * @param {Object} schedule - Schedule definition ({cron, intervalSeconds})
+ * @param {Date} after - Time of the previous run, or now for a new schedule
+ * @returns {Date|null} Next run time
+ */
+export function getNextScheduleRun(schedule, after = new Date()) {
+  if (schedule.cron) {
+    return getNextCronRun(schedule.cron, after);
+  }
+  return new Date(after.getTime() + Number(schedule.intervalSeconds) * 1000);
+}
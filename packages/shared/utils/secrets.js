@@ -0,0 +1,62 @@
+/**
+ * Secrets Utility - Encryption of plugin secrets at rest
+ * Secrets are encrypted with AES-256-GCM using a key derived from PLUGIN_SECRETS_KEY
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * Longest secret value, in characters
+ * @type {number}
+ */
+export const MAX_SECRET_LENGTH = 4096;
+
+// Prefix of the stored format, so the scheme can change without breaking stored secrets
+const SECRET_FORMAT = 'v1';
+
+/**
+ * Derive the encryption key for plugin secrets
+ * @param {string} passphrase - Configured key (default: PLUGIN_SECRETS_KEY)
+ * @returns {Buffer|null} 32 byte key, or null when no key is configured
+ */
+export function getSecretsKey(passphrase = process.env.PLUGIN_SECRETS_KEY) {
+  if (!passphrase) {
+    return null;
+  }
+  return createHash('sha256').update(passphrase).digest();
+}
+
+/**
+ * Encrypt a secret value
+ * @param {string} value - Secret value
+ * @param {Buffer} key - Key from getSecretsKey
+ * @returns {string} Encrypted value, as `v1:<iv>:<tag>:<ciphertext>` in base64
+ */
+export function encryptSecret(value, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [SECRET_FORMAT, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+/**
+ * Decrypt a secret value
+ * @param {string} payload - Value from encryptSecret
+ * @param {Buffer} key - Key from getSecretsKey
+ * @returns {string} Secret value
+ * @throws {Error} If the payload was not encrypted with this key or was tampered with
+ */
+export function decryptSecret(payload, key) {
+  const [format, iv, tag, ciphertext] = String(payload).split(':');
+  if (format !== SECRET_FORMAT || !ciphertext) {
+    throw new Error('Unsupported secret format');
+  }
+
+  const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,12 @@
+/**
+ * Sub-flow Utility - Rules for reusable node groups
+ * Shared by the compiler, which rejects sub-flows breaking them, and the editor, which stops them being built
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Node types a sub-flow cannot contain: they need the triggering interaction or a later resume of the plugin
+ * @type {Array<string>}
+ */
+export const SUBFLOW_EXCLUDED_NODE_TYPES = ['trigger', 'buttons', 'select_menu', 'modal_input', 'subcommands', 'schedule_followup'];
@@ -0,0 +1,440 @@
+/**
+ * Variable Type Inference
+ * Infers the type of each flow variable from the nodes that set it, and flags variables used as the wrong type
+ * or referenced in {placeholder} templates before any node sets them
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { GatewayEvents } from '../types/events.js';
+import { CommandOptionTypes } from './commandOptions.js';
+import { getPatternGroupNames } from './safeRegex.js';
+
+/**
+ * Inferred variable types
+ * `any` is used when the type is only known at runtime, or when nodes on different paths set different types.
+ * @type {Object<string, string>}
+ */
+export const VariableTypes = {
+  NUMBER: 'number',
+  STRING: 'string',
+  BOOLEAN: 'boolean',
+  ARRAY: 'array',
+  OBJECT: 'object',
+  EMBED: 'embed',
+  ANY: 'any',
+};
+
+const { NUMBER, STRING, BOOLEAN, ARRAY, OBJECT, EMBED, ANY } = VariableTypes;
+
+/**
+ * Types a value may have when it is written into text; objects and embeds render as "[object Object]"
+ */
+const TEXT_TYPES = [NUMBER, STRING, BOOLEAN, ARRAY];
+
+/**
+ * Variables a schedule trigger sets
+ */
+const SCHEDULE_VARIABLES = {
+  scheduled_for: STRING,
+  fired_at: STRING,
+  schedule_channel_id: STRING,
+  schedule_cron: STRING,
+  schedule_interval: NUMBER,
+};
+
+/**
+ * Config fields whose placeholders are read as numbers, per node type
+ */
+const NUMBER_FIELDS = {
+  math_operation: ['value1', 'value2', 'left', 'right'],
+  schedule_followup: ['delay'],
+  action: ['duration'],
+  database: ['amount'],
+};
+
+/**
+ * Config fields that are not plain text: JavaScript conditions, or values a lone {variable} passes through as is
+ */
+const UNTYPED_FIELDS = {
+  condition: ['condition'],
+  while_loop: ['condition'],
+  array_operation: ['expression'],
+  database: ['value'],
+  action: ['value'],
+  call_subflow: ['inputs'],
+};
+
+/**
+ * Matches {name} and {name[0]} placeholders, as interpolated by the compiler
+ */
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_]\w*)(?:\[\d+\])?\}/g;
+
+/**
+ * Get the variables a slash command option sets
+ * @param {Object} config - User Input variable node configuration
+ * @param {string} name - Variable name
+ * @returns {Array<{name: string, type: string}>} Variables
+ */
+function getUserInputVariables(config, name) {
+  const type = Number(config.optionType) || CommandOptionTypes.STRING;
+  const valueTypes = {
+    [CommandOptionTypes.INTEGER]: NUMBER,
+    [CommandOptionTypes.NUMBER]: NUMBER,
+    [CommandOptionTypes.BOOLEAN]: BOOLEAN,
+  };
+  const resolved = [
+    CommandOptionTypes.USER,
+    CommandOptionTypes.CHANNEL,
+    CommandOptionTypes.ROLE,
+    CommandOptionTypes.MENTIONABLE,
+    CommandOptionTypes.ATTACHMENT,
+  ];
+
+  const variables = [{ name, type: valueTypes[type] || STRING }];
+  if (resolved.includes(type)) {
+    variables.push({ name: `${name}_name`, type: STRING });
+  }
+  return variables;
+}
+
+/**
+ * Get the variables a trigger sets for its trigger type
+ * @param {Object} config - Trigger node configuration
+ * @returns {Array<{name: string, type: string}>} Variables
+ */
+function getTriggerVariables(config) {
+  if (config.triggerType === 'event') {
+    const definition = GatewayEvents[config.event];
+    if (!definition) {
+      return [];
+    }
+    return [
+      { name: 'event_type', type: STRING },
+      { name: 'event_timestamp', type: STRING },
+      ...Object.entries(definition.fields).map(([field, type]) => ({ name: `event_${field}`, type })),
+    ];
+  }
+  if (config.triggerType === 'message') {
+    return [
+      { name: 'match', type: STRING },
+      ...getPatternGroupNames(config.pattern).map(name => ({ name, type: STRING })),
+    ];
+  }
+  if (config.triggerType === 'schedule') {
+    return Object.entries(SCHEDULE_VARIABLES).map(([name, type]) => ({ name, type }));
+  }
+  return [];
+}
+
+/**
+ * Get the variables a node sets, with their types
+ * Names default the same way the compiler defaults them.
+ * @param {Object} node - React Flow node
+ * @returns {Array<{name: string, type: string}>} Variables
+ */
+export function getNodeVariables(node) {
+  const config = node.data?.config || {};
+
+  switch (node.type) {
+  case 'trigger':
+    return getTriggerVariables(config);
+
+  case 'variable': {
+    const name = config.name || 'var';
+    if (config.type === 'user_input') {
+      return getUserInputVariables(config, name);
+    }
+    return [{ name, type: config.type === 'random_number' ? NUMBER : STRING }];
+  }
+
+  case 'data':
+    return [{ name: config.name || 'data', type: STRING }];
+
+  case 'http_request': {
+    const name = config.responseVar || config.outputVar || 'response';
+    return [{ name, type: ANY }, { name: `${name}_status`, type: NUMBER }, { name: `${name}_error`, type: STRING }];
+  }
+
+  case 'embed_builder':
+    return [{ name: config.embedVar || config.outputVar || 'embed', type: EMBED }];
+
+  case 'embed_response':
+    return [{ name: '_sent_message', type: OBJECT }, { name: '_message_id', type: STRING }, { name: '_channel_id', type: STRING }];
+
+  case 'follow_up':
+    return [{ name: config.outputVar || 'followup_message_id', type: STRING }];
+
+  case 'edit_reply':
+    return [{ name: config.outputVar || 'reply_message_id', type: STRING }];
+
+  case 'discord_action': {
+    const action = config.actionType || config.action;
+    const outputs = { check_role: ['hasRole', BOOLEAN], create_channel: ['newChannel', OBJECT], collect_reactions: ['reactions', NUMBER] };
+    if (!outputs[action]) {
+      return [];
+    }
+    const [name, type] = outputs[action];
+    return [{ name: config.outputVar || name, type }];
+  }
+
+  case 'comparison':
+    return config.outputVar ? [{ name: config.outputVar, type: BOOLEAN }] : [];
+
+  case 'for_loop':
+    return [{ name: config.iteratorVar || 'item', type: ANY }];
+
+  case 'schedule_followup':
+    return [{ name: config.jobVar || 'job_id', type: STRING }];
+
+  case 'buttons':
+  case 'select_menu':
+    return [{ name: 'component_value', type: STRING }, { name: 'component_values', type: ARRAY }, { name: 'component_state', type: STRING }];
+
+  case 'modal_input':
+    return (config.fields || []).filter(field => field.id).map(field => ({ name: field.id, type: STRING }));
+
+  case 'subcommands':
+    return [{ name: 'subcommand', type: STRING }];
+
+  case 'try_catch':
+    return [{ name: config.messageVar || 'error_message', type: STRING }, { name: config.codeVar || 'error_code', type: STRING }];
+
+  case 'call_subflow':
+    return Object.entries(config.outputs || {}).map(([output, target]) => ({ name: target || output, type: ANY }));
+
+  case 'array_operation': {
+    const operation = config.operation || 'create';
+    if (operation === 'push') {
+      return [{ name: config.arrayVar || 'array', type: ARRAY }];
+    }
+    const types = { pop: ANY, length: NUMBER, join: STRING };
+    return [{ name: config.resultVar || config.outputVar || 'array', type: types[operation] || ARRAY }];
+  }
+
+  case 'string_operation':
+    return [{ name: config.resultVar || config.outputVar || 'result', type: config.operation === 'split' ? ARRAY : STRING }];
+
+  case 'object_operation': {
+    const operation = config.operation || 'create';
+    if (operation === 'set') {
+      return [{ name: config.objectVar || 'object', type: OBJECT }];
+    }
+    const types = { create: OBJECT, get: ANY, keys: ARRAY, values: ARRAY };
+    return types[operation] ? [{ name: config.outputVar || 'object', type: types[operation] }] : [];
+  }
+
+  case 'math_operation':
+    return [{ name: config.resultVar || config.outputVar || 'result', type: NUMBER }];
+
+  case 'database': {
+    const types = { get: ANY, list: ARRAY, exists: BOOLEAN, increment: NUMBER };
+    const type = types[config.operation || 'get'];
+    return type ? [{ name: config.resultVar || config.outputVar || 'dbValue', type }] : [];
+  }
+
+  case 'json': {
+    const name = config.outputVar || 'parsed';
+    if (config.operation === 'stringify') {
+      return [{ name, type: STRING }];
+    }
+    return [{ name, type: ANY }, { name: `${name}_error`, type: STRING }];
+  }
+
+  default:
+    return [];
+  }
+}
+
+/**
+ * Get the variables a node reads by name rather than through a placeholder, with the types it needs
+ * @param {Object} node - React Flow node
+ * @returns {Array<{name: string, types: Array<string>}>} Variable uses
+ */
+function getNamedVariableUses(node) {
+  const config = node.data?.config || {};
+  const stripBraces = (name) => String(name).replace(/^\{|\}$/g, '');
+
+  switch (node.type) {
+  case 'array_operation':
+    return ['pop', 'filter', 'map', 'length', 'join', 'push'].includes(config.operation)
+      ? [{ name: config.arrayVar || 'array', types: [ARRAY] }]
+      : [];
+  case 'string_operation':
+    return config.operation === 'join' ? [{ name: config.arrayVar || 'array', types: [ARRAY] }] : [];
+  case 'for_loop':
+    return [{ name: config.arrayVar || 'array', types: [ARRAY] }];
+  case 'object_operation':
+    return ['get', 'set', 'keys', 'values'].includes(config.operation)
+      ? [{ name: config.objectVar || 'object', types: [OBJECT, EMBED] }]
+      : [];
+  case 'embed_response':
+    return [{ name: config.embedVar || 'embed', types: [EMBED, OBJECT] }];
+  case 'follow_up':
+  case 'edit_reply':
+    return config.embedVar ? [{ name: config.embedVar, types: [EMBED, OBJECT] }] : [];
+  case 'json':
+    return (config.operation || 'parse') === 'parse' ? [{ name: config.inputVar || 'json', types: [STRING] }] : [];
+  case 'discord_action': {
+    const action = config.actionType || config.action;
+    if (action === 'add_multiple_reactions') {
+      return [{ name: stripBraces(config.emojis || 'emojis'), types: [ARRAY] }];
+    }
+    if (action === 'setup_single_choice_voting') {
+      return [
+        { name: stripBraces(config.emojis || 'emojis'), types: [ARRAY] },
+        { name: stripBraces(config.duration || 'duration_ms'), types: [NUMBER] },
+      ];
+    }
+    return [];
+  }
+  default:
+    return [];
+  }
+}
+
+/**
+ * Get the {placeholder} references in a node's config, with the types each needs
+ * Trigger nodes are skipped because message patterns use braces as regex quantifiers.
+ * @param {Object} node - React Flow node
+ * @returns {Array<{name: string, types: Array<string>|null}>} Placeholder uses; `types` is null when any type works
+ */
+function getPlaceholderUses(node) {
+  if (node.type === 'trigger') {
+    return [];
+  }
+
+  const uses = [];
+  const collect = (value, types) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        uses.push({ name: match[1], types });
+      }
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(item => collect(item, types));
+    }
+  };
+
+  for (const [field, value] of Object.entries(node.data?.config || {})) {
+    if (NUMBER_FIELDS[node.type]?.includes(field)) {
+      collect(value, [NUMBER]);
+    } else if (UNTYPED_FIELDS[node.type]?.includes(field)) {
+      collect(value, null);
+    } else {
+      collect(value, TEXT_TYPES);
+    }
+  }
+  return uses;
+}
+
+/**
+ * Infer the variables available when each node runs
+ * A variable is available when a node before it on some path sets it. When nodes on different paths
+ * set it to different types, its type is `any`.
+ * @param {Array} nodes - React Flow nodes
+ * @param {Array} edges - React Flow edges
+ * @returns {Map<string, Map<string, {type: string, sources: Array<string>}>>} Variables by node ID, with the labels of the nodes that set them
+ */
+export function inferVariableTypes(nodes, edges) {
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const previous = new Map();
+  for (const edge of edges) {
+    if (!previous.has(edge.target)) {
+      previous.set(edge.target, []);
+    }
+    previous.get(edge.target).push(edge.source);
+  }
+
+  const result = new Map();
+  for (const node of nodes) {
+    const ancestors = new Set();
+    const pending = [...(previous.get(node.id) || [])];
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (!ancestors.has(id) && nodesById.has(id)) {
+        ancestors.add(id);
+        pending.push(...(previous.get(id) || []));
+      }
+    }
+
+    const variables = new Map();
+    for (const id of ancestors) {
+      const ancestor = nodesById.get(id);
+      for (const { name, type } of getNodeVariables(ancestor)) {
+        const existing = variables.get(name);
+        const source = ancestor.data?.label || ancestor.id;
+        variables.set(name, existing
+          ? { type: existing.type === type ? type : ANY, sources: [...existing.sources, source] }
+          : { type, sources: [source] });
+      }
+    }
+    result.set(node.id, variables);
+  }
+  return result;
+}
+
+/**
+ * Describe a type with its article
+ * @param {string} type - Variable type
+ * @returns {string} e.g. "a number", "an array"
+ */
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Check the variables each node uses against the types inferred for them
+ * Flags variables used as the wrong type, such as text in a math operation or an object in an array operation,
+ * and {placeholder} references that no earlier node sets.
+ * @param {Array} nodes - React Flow nodes
+ * @param {Array} edges - React Flow edges
+ * @returns {Array<{type: string, nodeId: string, variable: string, message: string, severity: string}>} Issues
+ */
+export function checkVariableTypes(nodes, edges) {
+  const available = inferVariableTypes(nodes, edges);
+  const triggerType = nodes.find(node => node.type === 'trigger')?.data?.config?.triggerType;
+  const issues = [];
+
+  for (const node of nodes) {
+    const label = node.data?.label || node.id;
+    const variables = available.get(node.id);
+    const reported = new Set();
+
+    const placeholders = getPlaceholderUses(node).map(use => ({ ...use, placeholder: true }));
+    for (const use of [...placeholders, ...getNamedVariableUses(node)]) {
+      if (reported.has(use.name)) {
+        continue;
+      }
+      const variable = variables.get(use.name);
+
+      if (!variable) {
+        const isCapture = triggerType === 'message' && /^match_\d+$/.test(use.name);
+        if (use.placeholder && !isCapture) {
+          reported.add(use.name);
+          issues.push({
+            type: 'undefined_variable',
+            nodeId: node.id,
+            variable: use.name,
+            message: `"${label}" uses {${use.name}}, but no node before it sets that variable`,
+            severity: 'warning',
+          });
+        }
+        continue;
+      }
+
+      if (use.types && variable.type !== ANY && !use.types.includes(variable.type)) {
+        reported.add(use.name);
+        const name = use.placeholder ? `{${use.name}}` : use.name;
+        issues.push({
+          type: 'type_mismatch',
+          nodeId: node.id,
+          variable: use.name,
+          message: `"${label}" uses ${name} as ${use.types === TEXT_TYPES ? 'text' : describeType(use.types[0])}, but it is ${describeType(variable.type)} (set by "${variable.sources.join('", "')}")`,
+          severity: 'warning',
+        });
+      }
+    }
+  }
+
+  return issues;
+}
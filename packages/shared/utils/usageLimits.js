@@ -0,0 +1,165 @@
+/**
+ * Usage Limit Utility - Cooldowns and daily quotas for plugins
+ * Validates limit settings, applies guild overrides and works out the usage buckets a run counts against
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+/**
+ * Longest cooldown a plugin can set, in seconds
+ * @type {number}
+ */
+export const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Highest daily quota a plugin can set
+ * @type {number}
+ */
+export const MAX_DAILY_USES = 1000000;
+
+/**
+ * Longest slow down reply, in characters
+ * @type {number}
+ */
+export const MAX_LIMIT_MESSAGE_LENGTH = 200;
+
+/**
+ * Reply sent when a run is refused, {retry_after} is replaced with the time left
+ * @type {string}
+ */
+export const DEFAULT_USAGE_LIMIT_MESSAGE = '⏳ Slow down! You can use this again in {retry_after}.';
+
+/**
+ * Limit settings with the highest value each accepts
+ * Cooldowns are in seconds, daily quotas in uses per UTC day. 0 turns a limit off.
+ * @type {Object<string, number>}
+ */
+export const UsageLimitFields = {
+  userCooldown: MAX_COOLDOWN_SECONDS,
+  channelCooldown: MAX_COOLDOWN_SECONDS,
+  guildCooldown: MAX_COOLDOWN_SECONDS,
+  userDailyLimit: MAX_DAILY_USES,
+  guildDailyLimit: MAX_DAILY_USES,
+};
+
+/**
+ * Validate limit settings, as configured on a plugin or overridden by a guild
+ * Settings left out, null or empty are dropped, so an override falls back to the plugin's value.
+ * @param {Object} limits - Limit settings
+ * @returns {Object} { valid, limits, error }
+ */
+export function validateUsageLimits(limits) {
+  if (limits === null || limits === undefined) {
+    return { valid: true, limits: {} };
+  }
+  if (typeof limits !== 'object' || Array.isArray(limits)) {
+    return { valid: false, error: 'Limits must be an object' };
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(limits)) {
+    if (value === null || value === undefined || value === '') {
+      continue;
+    }
+
+    if (name === 'message') {
+      if (typeof value !== 'string' || value.length > MAX_LIMIT_MESSAGE_LENGTH) {
+        return { valid: false, error: `message must be text of at most ${MAX_LIMIT_MESSAGE_LENGTH} characters` };
+      }
+      if (value.trim()) {
+        normalized.message = value;
+      }
+      continue;
+    }
+
+    const max = UsageLimitFields[name];
+    if (max === undefined) {
+      return { valid: false, error: `Unknown limit: ${name}` };
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+      return { valid: false, error: `${name} must be a whole number from 0 to ${max}` };
+    }
+    normalized[name] = number;
+  }
+
+  return { valid: true, limits: normalized };
+}
+
+/**
+ * Apply a guild's overrides to a plugin's limits
+ * @param {Object} limits - Plugin limits
+ * @param {Object} overrides - Guild overrides, from `GuildPlugin.settings.limits`
+ * @returns {Object} Limits in effect for the guild
+ */
+export function resolveUsageLimits(limits = {}, overrides = {}) {
+  const resolved = { ...(limits || {}) };
+  for (const [name, value] of Object.entries(overrides || {})) {
+    if (value !== null && value !== undefined && value !== '') {
+      resolved[name] = value;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Get the start of the next UTC day, when daily quotas reset
+ * @param {Date} now - Current time
+ * @returns {Date} Next UTC midnight
+ */
+export function getNextQuotaReset(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Get the usage buckets a run counts against
+ * A cooldown is a bucket allowing one use until it expires; a daily quota allows `max` uses until midnight UTC.
+ * Per-user buckets need a user, per-channel ones a channel and per-guild ones a guild.
+ * @param {Object} limits - Limits in effect
+ * @param {Object} identity - Who ran the plugin where ({guildId, channelId, userId})
+ * @param {Date} now - Current time
+ * @returns {Array<{key: string, max: number, expiresAt: Date}>} Buckets, cooldowns first
+ */
+export function getUsageBuckets(limits = {}, identity = {}, now = new Date()) {
+  const subjects = { user: identity.userId, channel: identity.channelId, guild: identity.guildId };
+  const buckets = [];
+
+  for (const scope of ['user', 'channel', 'guild']) {
+    const seconds = Number(limits[`${scope}Cooldown`]) || 0;
+    if (seconds > 0 && subjects[scope]) {
+      buckets.push({ key: `cooldown:${scope}:${subjects[scope]}`, max: 1, expiresAt: new Date(now.getTime() + seconds * 1000) });
+    }
+  }
+
+  for (const scope of ['user', 'guild']) {
+    const max = Number(limits[`${scope}DailyLimit`]) || 0;
+    if (max > 0 && subjects[scope]) {
+      buckets.push({ key: `daily:${scope}:${subjects[scope]}`, max, expiresAt: getNextQuotaReset(now) });
+    }
+  }
+
+  return buckets;
+}
+
+/**
+ * Describe how long until a limit lifts
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "1 second", "5 minutes", "3 hours"
+ */
+export function formatRetryAfter(seconds) {
+  const units = [['hour', 3600], ['minute', 60], ['second', 1]];
+  const total = Math.max(1, Math.ceil(seconds));
+  const [unit, size] = units.find(([, length]) => total >= length);
+  const amount = Math.ceil(total / size);
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build the slow down reply
+ * @param {string} message - Configured message, or empty for the default
+ * @param {number} retryAfter - Seconds until the limit lifts
+ * @returns {string} Reply text
+ */
+export function formatUsageLimitMessage(message, retryAfter) {
+  return (message || DEFAULT_USAGE_LIMIT_MESSAGE).replace(/\{retry_after\}/g, formatRetryAfter(retryAfter));
+}
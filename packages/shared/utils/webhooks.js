@@ -0,0 +1,172 @@
+/**
+ * Webhooks Utility - Outgoing webhooks for platform events
+ * Validates webhook endpoints, matches events to subscriptions and signs payloads
+ * @author fkndean_
+ * @date 2026-10-19
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Events a webhook can subscribe to
+ * @type {Object<string, string>}
+ */
+export const WebhookEvents = {
+  PLUGIN_CREATED: 'plugin.created',
+  PLUGIN_TOGGLED: 'plugin.toggled',
+  PLUGIN_DELETED: 'plugin.deleted',
+  // A plugin failed several runs in a row
+  PLUGIN_FAILING: 'plugin.failing',
+  ACCESS_REQUESTED: 'access.requested',
+  // Sent on request from the dashboard, to check an endpoint
+  PING: 'ping',
+};
+
+/**
+ * Most webhooks that can be registered
+ * @type {number}
+ */
+export const MAX_WEBHOOKS = 25;
+
+/**
+ * Header carrying the payload signature
+ * @type {string}
+ */
+export const WEBHOOK_SIGNATURE_HEADER = 'X-DisModular-Signature';
+
+/**
+ * Header carrying the time the payload was signed, in seconds
+ * @type {string}
+ */
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-DisModular-Timestamp';
+
+/**
+ * Check if a value is a known webhook event
+ * @param {string} event - Event name
+ * @returns {boolean} Whether the event exists
+ */
+export function isValidWebhookEvent(event) {
+  return Object.values(WebhookEvents).includes(event);
+}
+
+/**
+ * Validate a webhook endpoint and its event filter
+ * Plain http is only accepted for localhost in local development, so payloads do not cross networks unencrypted.
+ * @param {Object} webhook - { url, events }
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowLocalhost - Accept plain http to localhost, for local development only
+ * @returns {Object} { valid, error }
+ */
+export function validateWebhook(webhook, { allowLocalhost = false } = {}) {
+  const { url, events } = webhook || {};
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, error: 'Webhook URLs must be absolute http(s) URLs' };
+  }
+  if (url.length > 2000) {
+    return { valid: false, error: 'Webhook URLs must be 2000 characters or less' };
+  }
+  const local = allowLocalhost && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && local)) {
+    return { valid: false, error: 'Webhook URLs must use https' };
+  }
+  if (parsed.username || parsed.password) {
+    return { valid: false, error: 'Webhook URLs cannot contain credentials' };
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return { valid: false, error: 'Pick at least one event' };
+  }
+  const unknown = events.find(event => event === WebhookEvents.PING || !isValidWebhookEvent(event));
+  if (unknown !== undefined) {
+    return { valid: false, error: `Unknown event: ${unknown}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Check if a webhook receives an event
+ * Pings are sent to any webhook, whatever it subscribed to.
+ * @param {Object} webhook - Webhook with enabled and events
+ * @param {string} event - Event name
+ * @returns {boolean} Whether a delivery should be made
+ */
+export function webhookReceivesEvent(webhook, event) {
+  if (!webhook?.enabled) {
+    return false;
+  }
+  return event === WebhookEvents.PING || (Array.isArray(webhook.events) && webhook.events.includes(event));
+}
+
+/**
+ * Build the delivery rows for an event
+ * @param {Array<Object>} webhooks - Registered webhooks
+ * @param {string} event - Event name
+ * @param {Object} data - Event details
+ * @param {Date} now - Time the event happened
+ * @returns {Array<Object>} webhook_deliveries rows to create
+ */
+export function buildWebhookDeliveries(webhooks, event, data = {}, now = new Date()) {
+  const payload = { event, occurred_at: now.toISOString(), data };
+  return webhooks
+    .filter(webhook => webhookReceivesEvent(webhook, event))
+    .map(webhook => ({
+      webhook_id: webhook.id,
+      event,
+      payload,
+      next_attempt_at: now,
+    }));
+}
+
+/**
+ * Queue an event for every enabled webhook that subscribed to it
+ * Used by both the API and the bot, so they pick the same webhooks; the API sends the deliveries.
+ * @param {Object} db - Prisma client
+ * @param {string} event - Event name
+ * @param {Object} data - Event details
+ * @param {Object} options - { webhookId } to queue the event for one webhook only
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function queueWebhookEvent(db, event, data = {}, options = {}) {
+  const webhooks = await db.webhook.findMany({
+    where: { enabled: true, ...(options.webhookId ? { id: options.webhookId } : {}) },
+  });
+  const deliveries = buildWebhookDeliveries(webhooks, event, data);
+  if (deliveries.length === 0) {
+    return 0;
+  }
+
+  const result = await db.webhookDelivery.createMany({ data: deliveries });
+  return result.count;
+}
+
+/**
+ * Sign a webhook body
+ * The timestamp is signed with the body, so receivers can reject replayed deliveries.
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Signing time, in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value, `sha256=<hex>`
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a webhook signature, as a receiver would
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Value of the timestamp header
+ * @param {string} body - Raw JSON body
+ * @param {string} signature - Value of the signature header
+ * @returns {boolean} Whether the signature matches
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "command_executions" (
+    "id" TEXT NOT NULL,
+    "plugin_id" TEXT,
+    "user_id" TEXT,
+    "discord_user_id" TEXT,
+    "guild_id" TEXT,
+    "command_name" TEXT,
+    "trigger_type" TEXT,
+    "success" BOOLEAN NOT NULL,
+    "execution_time_ms" INTEGER,
+    "error_message" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "command_executions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "command_execution_daily" (
+    "day" DATE NOT NULL,
+    "plugin_id" TEXT NOT NULL,
+    "guild_id" TEXT NOT NULL,
+    "executions" INTEGER NOT NULL DEFAULT 0,
+    "successes" INTEGER NOT NULL DEFAULT 0,
+    "total_execution_time_ms" BIGINT NOT NULL DEFAULT 0,
+    "unique_users" INTEGER NOT NULL DEFAULT 0,
+    "updated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "command_execution_daily_pkey" PRIMARY KEY ("day","plugin_id","guild_id")
+);
+
+-- CreateIndex
+CREATE INDEX "command_executions_created_at_idx" ON "command_executions"("created_at");
+
+-- CreateIndex
+CREATE INDEX "command_executions_plugin_id_created_at_idx" ON "command_executions"("plugin_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "command_executions_guild_id_created_at_idx" ON "command_executions"("guild_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "command_execution_daily_plugin_id_day_idx" ON "command_execution_daily"("plugin_id", "day");
+
+-- CreateIndex
+CREATE INDEX "command_execution_daily_guild_id_day_idx" ON "command_execution_daily"("guild_id", "day");
+
+-- AddForeignKey
+ALTER TABLE "command_executions" ADD CONSTRAINT "command_executions_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "command_executions" ADD CONSTRAINT "command_executions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
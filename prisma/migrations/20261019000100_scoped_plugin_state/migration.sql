@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "plugin_state" ADD COLUMN "guild_id" TEXT NOT NULL DEFAULT '',
+ADD COLUMN "user_id" TEXT NOT NULL DEFAULT '';
+
+-- AlterPrimaryKey
+ALTER TABLE "plugin_state" DROP CONSTRAINT "plugin_state_pkey",
+ADD CONSTRAINT "plugin_state_pkey" PRIMARY KEY ("plugin_id", "guild_id", "user_id", "key");
+
+-- CreateIndex
+CREATE INDEX "plugin_state_plugin_id_guild_id_idx" ON "plugin_state"("plugin_id", "guild_id");
+
+-- MigrateData
+-- State used to be shared by every guild. Give each guild that has the plugin installed its own
+-- copy so existing counters and settings carry on, and keep the original row as the global state.
+INSERT INTO "plugin_state" ("plugin_id", "guild_id", "user_id", "key", "value", "updated_at")
+SELECT "plugin_state"."plugin_id", "guild_plugins"."guild_id", '', "plugin_state"."key", "plugin_state"."value", "plugin_state"."updated_at"
+FROM "plugin_state"
+INNER JOIN "guild_plugins" ON "guild_plugins"."plugin_id" = "plugin_state"."plugin_id"
+WHERE "plugin_state"."guild_id" = '' AND "plugin_state"."user_id" = ''
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "plugin_state" ADD COLUMN "expires_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "plugin_state_expires_at_idx" ON "plugin_state"("expires_at");
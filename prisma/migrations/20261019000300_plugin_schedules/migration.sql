@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "plugin_schedules" (
+    "guild_id" TEXT NOT NULL,
+    "plugin_id" TEXT NOT NULL,
+    "cron" TEXT,
+    "interval_seconds" INTEGER,
+    "channel_id" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "next_run_at" TIMESTAMP(3) NOT NULL,
+    "last_run_at" TIMESTAMP(3),
+    "last_error" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plugin_schedules_pkey" PRIMARY KEY ("guild_id","plugin_id")
+);
+
+-- CreateIndex
+CREATE INDEX "plugin_schedules_enabled_next_run_at_idx" ON "plugin_schedules"("enabled", "next_run_at");
+
+-- AddForeignKey
+ALTER TABLE "plugin_schedules" ADD CONSTRAINT "plugin_schedules_guild_id_plugin_id_fkey" FOREIGN KEY ("guild_id", "plugin_id") REFERENCES "guild_plugins"("guild_id", "plugin_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "plugin_jobs" (
+    "id" TEXT NOT NULL,
+    "plugin_id" TEXT NOT NULL,
+    "guild_id" TEXT NOT NULL DEFAULT '',
+    "channel_id" TEXT,
+    "user_id" TEXT,
+    "step" TEXT NOT NULL,
+    "payload" JSONB NOT NULL DEFAULT '{}',
+    "run_at" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "last_error" TEXT,
+    "locked_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "plugin_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "plugin_jobs_status_run_at_idx" ON "plugin_jobs"("status", "run_at");
+
+-- CreateIndex
+CREATE INDEX "plugin_jobs_plugin_id_guild_id_idx" ON "plugin_jobs"("plugin_id", "guild_id");
+
+-- AddForeignKey
+ALTER TABLE "plugin_jobs" ADD CONSTRAINT "plugin_jobs_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
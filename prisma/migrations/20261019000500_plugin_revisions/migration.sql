@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "plugin_revisions" (
+    "id" TEXT NOT NULL,
+    "plugin_id" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" TEXT NOT NULL,
+    "trigger_type" TEXT,
+    "trigger_command" TEXT,
+    "trigger_event" TEXT,
+    "trigger_pattern" TEXT,
+    "options" JSONB NOT NULL DEFAULT '[]',
+    "nodes" JSONB NOT NULL,
+    "edges" JSONB NOT NULL,
+    "compiled" TEXT NOT NULL,
+    "message" TEXT,
+    "created_by" TEXT,
+    "author" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "plugin_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plugin_revisions_plugin_id_revision_key" ON "plugin_revisions"("plugin_id", "revision");
+
+-- AddForeignKey
+ALTER TABLE "plugin_revisions" ADD CONSTRAINT "plugin_revisions_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "plugin_revisions" ADD CONSTRAINT "plugin_revisions_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "plugins" ADD COLUMN "draft" JSONB,
+ADD COLUMN "published_at" TIMESTAMP(3);
+
+-- Plugins saved before drafts existed were live, so treat them as published
+UPDATE "plugins" SET "published_at" = "updated_at";
+
+-- AlterTable
+ALTER TABLE "plugin_revisions" ADD COLUMN "version" TEXT;
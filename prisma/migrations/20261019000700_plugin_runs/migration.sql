@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "plugin_runs" (
+    "id" TEXT NOT NULL,
+    "plugin_id" TEXT NOT NULL,
+    "guild_id" TEXT NOT NULL DEFAULT '',
+    "discord_user_id" TEXT,
+    "username" TEXT,
+    "trigger_type" TEXT,
+    "success" BOOLEAN NOT NULL,
+    "duration_ms" INTEGER NOT NULL,
+    "error_message" TEXT,
+    "logs" JSONB NOT NULL DEFAULT '[]',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "plugin_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "plugin_runs_plugin_id_guild_id_created_at_idx" ON "plugin_runs"("plugin_id", "guild_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "plugin_runs" ADD CONSTRAINT "plugin_runs_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "subflows" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "latest_version" INTEGER NOT NULL DEFAULT 1,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subflows_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "subflow_versions" (
+    "id" TEXT NOT NULL,
+    "subflow_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "inputs" JSONB NOT NULL DEFAULT '[]',
+    "outputs" JSONB NOT NULL DEFAULT '[]',
+    "nodes" JSONB NOT NULL,
+    "edges" JSONB NOT NULL,
+    "message" TEXT,
+    "created_by" TEXT,
+    "author" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "subflow_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subflows_name_key" ON "subflows"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subflow_versions_subflow_id_version_key" ON "subflow_versions"("subflow_id", "version");
+
+-- AddForeignKey
+ALTER TABLE "subflow_versions" ADD CONSTRAINT "subflow_versions_subflow_id_fkey" FOREIGN KEY ("subflow_id") REFERENCES "subflows"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "subflow_versions" ADD CONSTRAINT "subflow_versions_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
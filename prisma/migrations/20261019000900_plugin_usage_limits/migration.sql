@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "plugins" ADD COLUMN "limits" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "plugin_usage" (
+    "plugin_id" TEXT NOT NULL,
+    "guild_id" TEXT NOT NULL DEFAULT '',
+    "key" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plugin_usage_pkey" PRIMARY KEY ("plugin_id","guild_id","key")
+);
+
+-- CreateIndex
+CREATE INDEX "plugin_usage_expires_at_idx" ON "plugin_usage"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "plugin_usage" ADD CONSTRAINT "plugin_usage_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "plugins" ADD COLUMN "egress" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "plugin_secrets" (
+    "plugin_id" TEXT NOT NULL,
+    "guild_id" TEXT NOT NULL DEFAULT '',
+    "name" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plugin_secrets_pkey" PRIMARY KEY ("plugin_id","guild_id","name")
+);
+
+-- AddForeignKey
+ALTER TABLE "plugin_secrets" ADD CONSTRAINT "plugin_secrets_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
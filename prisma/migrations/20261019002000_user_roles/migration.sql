@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "role" TEXT NOT NULL DEFAULT 'viewer';
+
+-- Existing admins keep full access
+UPDATE "users" SET "role" = 'admin' WHERE "is_admin" = true;
+
+-- CreateTable
+CREATE TABLE "plugin_collaborators" (
+    "plugin_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "plugin_collaborators_pkey" PRIMARY KEY ("plugin_id","user_id")
+);
+
+-- CreateIndex
+CREATE INDEX "plugin_collaborators_user_id_idx" ON "plugin_collaborators"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "plugin_collaborators" ADD CONSTRAINT "plugin_collaborators_plugin_id_fkey" FOREIGN KEY ("plugin_id") REFERENCES "plugins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "plugin_collaborators" ADD CONSTRAINT "plugin_collaborators_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
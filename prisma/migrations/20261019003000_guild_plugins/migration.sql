@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "plugins" ADD COLUMN "guild_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "plugins_guild_id_idx" ON "plugins"("guild_id");
+
+-- AddForeignKey
+ALTER TABLE "plugins" ADD CONSTRAINT "plugins_guild_id_fkey" FOREIGN KEY ("guild_id") REFERENCES "guilds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
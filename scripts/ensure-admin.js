@@ -73,6 +73,7 @@ async function ensureAdminAccess() {
         where: { discord_id: adminId },
         data: { 
           is_admin: true, 
+          role: 'admin',
           access_status: 'approved',
           admin_notes: 'Initial admin - access ensured by script'
         }
@@ -94,6 +95,7 @@ async function ensureAdminAccess() {
           username: 'Initial Admin',
           discriminator: '0000',
           is_admin: true,
+          role: 'admin',
           access_status: 'approved',
           admin_notes: 'Initial admin user created by ensure-admin script',
           created_at: new Date(),
@@ -72,6 +72,7 @@ async function setupAdmin() {
           where: { discord_id: adminId },
           data: { 
             is_admin: true, 
+            role: 'admin',
             access_status: 'approved',
             admin_notes: 'Initial admin from setup script'
           }
@@ -24,7 +24,21 @@ const requiredTables = [
   'guilds',
   'guild_plugins',
   'user_guild_permissions',
-  'discord_api_cache'
+  'discord_api_cache',
+  'command_executions',
+  'command_execution_daily',
+  'plugin_schedules',
+  'plugin_jobs',
+  'plugin_revisions',
+  'plugin_runs',
+  'subflows',
+  'subflow_versions',
+  'plugin_usage',
+  'plugin_secrets',
+  'plugin_collaborators',
+  'api_tokens',
+  'webhooks',
+  'webhook_deliveries'
 ];
 
 async function testDatabaseConnection() {
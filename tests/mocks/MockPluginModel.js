@@ -122,10 +122,11 @@ export class MockPluginModel {
    * @param {string} pluginId - Plugin ID
    * @param {string} key - State key
    * @param {any} value - State value
+   * @param {Object} scope - State namespace ({guildId, userId})
    */
-  async setState(pluginId, key, value) {
+  async setState(pluginId, key, value, scope = {}) {
     try {
-      const stateKey = `${pluginId}:${key}`;
+      const stateKey = `${pluginId}:${scope.guildId || ''}:${scope.userId || ''}:${key}`;
       this.pluginStates.set(stateKey, JSON.stringify(value));
       return true;
     } catch (error) {
@@ -138,11 +139,12 @@ export class MockPluginModel {
    * Get plugin state value
    * @param {string} pluginId - Plugin ID
    * @param {string} key - State key
+   * @param {Object} scope - State namespace ({guildId, userId})
    * @returns {any} State value
    */
-  async getState(pluginId, key) {
+  async getState(pluginId, key, scope = {}) {
     try {
-      const stateKey = `${pluginId}:${key}`;
+      const stateKey = `${pluginId}:${scope.guildId || ''}:${scope.userId || ''}:${key}`;
       const value = this.pluginStates.get(stateKey);
       
       return value ? JSON.parse(value) : null;
@@ -152,6 +154,31 @@ export class MockPluginModel {
     }
   }
 
+  /**
+   * Delete a plugin state value
+   * @param {string} pluginId - Plugin ID
+   * @param {string} key - State key
+   * @param {Object} scope - State namespace ({guildId, userId})
+   * @returns {boolean} True if a value was removed
+   */
+  async deleteState(pluginId, key, scope = {}) {
+    return this.pluginStates.delete(`${pluginId}:${scope.guildId || ''}:${scope.userId || ''}:${key}`);
+  }
+
+  /**
+   * Atomically add to a numeric plugin state value
+   * @param {string} pluginId - Plugin ID
+   * @param {string} key - State key
+   * @param {number} amount - Amount to add
+   * @param {Object} scope - State namespace ({guildId, userId})
+   * @returns {number} Value after the increment
+   */
+  async incrementState(pluginId, key, amount, scope = {}) {
+    const value = Number(await this.getState(pluginId, key, scope) || 0) + amount;
+    await this.setState(pluginId, key, value, scope);
+    return value;
+  }
+
   /**
    * Log command execution for analytics
    * @param {Object} execution - Execution data
@@ -164,6 +191,27 @@ export class MockPluginModel {
     }
   }
 
+  /**
+   * Write a batch of command executions
+   * @param {Array<Object>} executions - Execution data
+   * @returns {Promise<number>} Number of rows written
+   */
+  async logCommandExecutions(executions) {
+    this.commandExecutions = [...(this.commandExecutions || []), ...executions];
+    return executions.length;
+  }
+
+  /**
+   * Remove command executions older than a cutoff
+   * @param {Date} before - Cutoff date
+   * @returns {Promise<number>} Number of executions removed
+   */
+  async rollupCommandExecutions(before) {
+    const executions = this.commandExecutions || [];
+    this.commandExecutions = executions.filter(execution => execution.created_at >= before);
+    return executions.length - this.commandExecutions.length;
+  }
+
   /**
    * Get guild plugin relationship
    * @param {string} guildId - Discord guild ID
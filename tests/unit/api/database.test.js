@@ -321,8 +321,10 @@ describe('Database Model', () => {
 
       const state = await prisma.pluginState.findUnique({
         where: {
-          plugin_id_key: {
+          plugin_id_guild_id_user_id_key: {
             plugin_id: plugin.id,
+            guild_id: '',
+            user_id: '',
             key: 'test_key'
           }
         }